@@ -36,6 +36,8 @@ export default [
         atob: 'readonly',
         btoa: 'readonly',
         indexedDB: 'readonly',
+        IDBKeyRange: 'readonly',
+        AbortController: 'readonly',
         MutationObserver: 'readonly',
         ResizeObserver: 'readonly',
         IntersectionObserver: 'readonly',
@@ -53,6 +55,7 @@ export default [
         URLSearchParams: 'readonly',
         Response: 'readonly',
         Image: 'readonly',
+        createImageBitmap: 'readonly',
         fabric: 'readonly',
         Map: 'readonly',
         Set: 'readonly',
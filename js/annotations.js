@@ -26,13 +26,14 @@ let toolOptions = {
   fontSize: 16,
   opacity: 1,
   highlightColor: '#ffff00',
+  redactReason: '',        // reason code stamped on new redact boxes
 };
 
 // Per-page annotation storage: { pageNum: fabricJSON }
 const pageAnnotations = {};
 
 // Custom properties to persist in JSON
-const CUSTOM_PROPS = ['mudbrickType', 'noteText', 'noteColor', 'linkType', 'linkURL', 'linkPage', 'commentThread'];
+const CUSTOM_PROPS = ['mudbrickType', 'noteText', 'noteColor', 'linkType', 'linkURL', 'linkPage', 'commentThread', 'redactReason', 'imported'];
 
 // Suppress auto-save during page transitions
 let suppressAutoSave = false;
@@ -763,6 +764,7 @@ function onRedactMove(opt) {
     selectable: false,
     evented: false,
     mudbrickType: 'redact',
+    redactReason: toolOptions.redactReason,
   });
 
   fabricCanvas.add(shapePreview);
@@ -1172,6 +1174,15 @@ export function updateToolOptions(opts) {
     }
   }
 
+  // A new reason applies to the selected redaction too
+  if (fabricCanvas && opts.redactReason !== undefined) {
+    const active = fabricCanvas.getActiveObject();
+    if (active && active.mudbrickType === 'redact') {
+      active.redactReason = opts.redactReason;
+      autoSave();
+    }
+  }
+
   // Apply font property changes to the active text annotation (if any)
   if (fabricCanvas && (opts.fontSize || opts.fontFamily || opts.color)) {
     const active = fabricCanvas.getActiveObject();
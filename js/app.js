@@ -13,13 +13,13 @@ import {
 
 import {
   toast, showLoading, hideLoading, updateLoadingProgress, readFileAsArrayBuffer,
-  formatFileSize, initDragDrop, downloadBlob, parsePageRanges,
+  formatFileSize, initDragDrop, downloadBlob, parsePageRanges, createZipParts,
 } from './utils.js';
 
 import {
-  resetPdfLib, ensurePdfLib, rotatePage, deletePage,
+  resetPdfLib, ensurePdfLib, rotatePage, deletePage, deletePages, collatePages,
   mergePDFs, splitPDF, addWatermark, addImageWatermark, appendPages,
-  insertBlankPage, cropPages, replacePages, normalizePageSizes,
+  insertBlankPage, cropPages, replacePages, normalizePageSizes, measurePageSizes,
 } from './pdf-edit.js';
 
 import {
@@ -34,7 +34,10 @@ import {
   addAnnotationToPage, setOnRequestToolSwitch, clearAllAnnotations,
 } from './annotations.js';
 
-import { exportAnnotatedPDF } from './export.js';
+import { exportAnnotatedPDF, restoreImportedAnnotations } from './export.js';
+import {
+  importNativeAnnotations, exportAnnotationsXFDF, importAnnotationsXFDF,
+} from './pdf-annotations.js';
 
 import {
   initErrorHandler, showUserError, initAutoRecovery,
@@ -55,18 +58,31 @@ import {
   findPrevious as findPrevMatch, getMatchInfo, renderHighlights,
   scrollToActiveHighlight, setFindOpen,
   getCurrentMatchInfo, getAllMatchInfos,
-  removeCurrentMatch, clearMatches,
+  removeCurrentMatch, clearMatches, getDocumentText, augmentTextIndex,
 } from './find.js';
 
-import { applyBatesNumbers, previewBatesLabel } from './bates.js';
+import {
+  applyBatesNumbers, previewBatesLabel, applyBatesProduction, buildProductionLog, readBatesLabel,
+} from './bates.js';
+import { buildLoadFileVolume } from './load-files.js';
 import { applyHeadersFooters, previewHeaderText } from './headers.js';
 import { initSignatureEvents } from './signatures.js';
 import {
-  clearOCRResults, isPageScanned,
+  clearOCRResults, isPageScanned, makeSearchablePDF, applyOCRRotations, previewPreprocessing,
+  getOCRTextEntries,
 } from './ocr.js';
+import { PREPROCESS_STAGES } from './ocr-preprocess.js';
+import {
+  OCR_LANGUAGES, getTesseractAssets, getInstalledLanguages, installLanguage, removeLanguage, languageName,
+} from './ocr-languages.js';
 
 import { encryptPDF, removeMetadata, getMetadata, setMetadata, sanitizeDocument } from './security.js';
-import { searchPatterns } from './redact-patterns.js';
+import { SANITIZE_CATEGORIES, resolveSanitizeOptions } from './sanitize.js';
+import { decryptPDF, isEncryptedPDF } from './pdf-crypto.js';
+import {
+  searchPatterns, parseTermList, getPatternSets, savePatternSet, deletePatternSet,
+} from './redact-patterns.js';
+import { buildRedactionLogCSV, buildRedactionLogPDF } from './redaction-log.js';
 import { exportPagesToImages, createPDFFromImages, optimizePDF } from './export-image.js';
 import {
   addFormField, getTabOrder,
@@ -78,14 +94,31 @@ import {
   exportCommentsText, exportCommentsJSON, exportCommentsCSV,
   getAnnotationStats, flattenAnnotations,
 } from './comment-summary.js';
-import { compareDocuments, generateCompareReport, renderComparisonView } from './doc-compare.js';
+import {
+  compareDocuments, compareDocumentText, generateCompareReport, renderComparisonView,
+  buildRedlineHTML, buildRedlinePDF,
+} from './doc-compare.js';
 import { pushDocState, undoDoc, redoDoc, canUndoDoc, canRedoDoc, clearDocHistory } from './doc-history.js';
 import { getAllThreads } from './comments.js';
 import { restoreFonts } from './font-manager.js';
 import { canUndo, canRedo } from './history.js';
 import { enterTextEditMode, exitTextEditMode, commitTextEdits, isTextEditActive, hasTextEditChanges, enterImageEditMode, exitImageEditMode, commitImageEdits, isImageEditActive, hasImageEditChanges, canUndoImage, undoImageAction } from './text-edit.js';
 import { addExhibitStamp, setExhibitOptions, countExistingExhibits, EXHIBIT_FORMATS } from './exhibit-stamps.js';
-import { setLabelRange, getLabelRanges, clearLabels, previewLabels, LABEL_FORMATS } from './page-labels.js';
+import {
+  setLabelRange, getLabelRanges, clearLabels, previewLabels, LABEL_FORMATS, PREFIX_ONLY,
+  getPageLabel, loadPageLabels, writePageLabels, describePageRange, labelConflictMessage,
+} from './page-labels.js';
+import {
+  readOutline, writeOutline, createBookmark, insertInPageOrder,
+  getBookmark, removeBookmark, moveBookmark,
+} from './outline.js';
+import {
+  planByRanges, planByBookmarks, planEveryN, planBySize, planBySeparators,
+  findKeywordPages, splitFileNames,
+} from './split-strategies.js';
+import {
+  findBlankPages, analyzePages, blankPagesFromScores, DEFAULT_SENSITIVITY,
+} from './blank-pages.js';
 import { initOnboarding, showTip } from './onboarding.js';
 import { initMenuActions } from './menu-actions.js';
 import { parseIntegrationParams, postToCallback } from './integration.js';
@@ -98,11 +131,11 @@ import {
 } from './renderer.js';
 import {
   goToPage,
-  updatePageNav, setNavCallbacks,
+  updatePageNav, setNavCallbacks, parsePageRangeInput,
 } from './navigation.js';
 import {
   generateThumbnails, highlightActiveThumbnail,
-  renderThumbnailForItem, setThumbnailCallbacks,
+  renderThumbnailForItem, setThumbnailCallbacks, setFlaggedThumbnails,
 } from './thumbnails.js';
 import {
   initDropdownMenus,
@@ -164,8 +197,10 @@ async function boot() {
       handleEditImage, handleCommitImageEdits, handleCancelImageEdits,
       handleImageInsert, onImageFileSelected, handleAddPages,
       openMergeModal, addMergeFiles, executeMerge, closeMergeModal,
-      openSplitModal, updateSplitPreview, executeSplit, closeSplitModal,
+      openSplitModal, updateSplitStrategy, updateSplitPreview, previewSplit, executeSplit, closeSplitModal,
+      updateBlankPageFlags, clearBlankPageFlags, deleteBlankPages,
       openBatesModal, closeBatesModal, executeBates, updateBatesPreview,
+      updateBatesMode, addBatesProductionFiles,
       openHfModal, closeHfModal, executeHeadersFooters, updateHfPreview, insertHfToken,
       setLastFocusedHfZone: (input) => { lastFocusedHfZone = input; },
       openCropModal, closeCropModal, executeCrop, initCropDragHandlers, setCropFromPreset,
@@ -180,13 +215,19 @@ async function boot() {
       handleExport, _switchExportTab, _updateImgSizeHint, executeExport,
       executePrint, reloadAfterEdit, getDropTarget, clearDropIndicators,
       executeEncrypt, openMetadataModal, executeMetadataSave, executeMetadataRemove,
+      submitPasswordPrompt, cancelPasswordPrompt,
       executeRedactSearch, executeRedactApply,
+      refreshRedactPatternSets, applyRedactPatternSet, saveRedactPatternSet, deleteRedactPatternSet,
+      loadRedactTermList,
+      refreshOCRLanguages, installOCRLanguage, removeOCRLanguage, executeMakeSearchable,
+      getOCRPreprocessOptions, previewOCRPreprocessing, applyOCRPageRotations,
+      addBookmark,
       addImagesToList, executeCreateFromImages, executeExportImage,
       resetImagesToPdf: () => { _imagesToPdf = []; },
       executeOptimize, loadCompareFile, executeCompare, renderCurrentCompare,
-      navigateCompare, downloadCompareReport,
-      resetCompareDocB: () => { _compareDocB = null; },
-      openCommentSummaryModal, downloadCommentSummary, executeFlattenAnnotations,
+      navigateCompare, selectComparePage, downloadCompareReport, downloadRedline,
+      resetCompareDocB: () => { _compareDocB = null; _compareNameB = ''; },
+      openCommentSummaryModal, downloadCommentSummary, importCommentsXFDF, executeFlattenAnnotations,
       createFormFieldInteractive, showTabOrder, executeFormFlatten,
       executeFormDataImport, executeFormDataExport,
       setFormDataFile: (file) => { _formDataFile = file; },
@@ -195,7 +236,7 @@ async function boot() {
       openPageLabelsModal, addLabelRangeRow, executePageLabels,
       getSavedLabelRanges: () => _savedLabelRanges,
       openReplacePagesModal, executeReplacePages, loadReplaceSource,
-      executeNormalize,
+      executeNormalize, executeCollate, updateMergeControls,
       performSearch, navigateMatch, openFindBar, closeFindBar,
       toggleReplaceRow, executeReplace, executeReplaceAll,
       handlePrint, handleSave, handleSaveDownload,
@@ -476,6 +517,121 @@ async function handleFiles(files) {
   }
 }
 
+/* ── Open password prompt ── */
+
+let _passwordPromptResolve = null;
+
+/**
+ * Ask for the password of a protected file.
+ * @param {string} fileName
+ * @param {boolean} retry - The previous attempt was wrong
+ * @returns {Promise<string|null>} null when cancelled
+ */
+function promptForPassword(fileName, retry) {
+  $('password-prompt-file').textContent = `"${fileName}" is password-protected. Enter its password to open it.`;
+  $('password-prompt-error').classList.toggle('hidden', !retry);
+  openModal('password-modal-backdrop');
+  $('open-password').focus();
+  return new Promise(resolve => { _passwordPromptResolve = resolve; });
+}
+
+function settlePasswordPrompt(password) {
+  const resolve = _passwordPromptResolve;
+  _passwordPromptResolve = null;
+  $('open-password').value = '';
+  closeModal('password-modal-backdrop');
+  resolve?.(password);
+}
+
+function submitPasswordPrompt() {
+  settlePasswordPrompt($('open-password').value);
+}
+
+function cancelPasswordPrompt() {
+  settlePasswordPrompt(null);
+}
+
+/**
+ * Decrypt a password-protected PDF, asking for its password until one works.
+ * @param {Uint8Array} bytes
+ * @param {string} fileName - Named in the prompt
+ * @returns {Promise<{bytes: Uint8Array, encryption: Object}|null>} null when the
+ *   file is not encrypted
+ */
+async function unlockPDF(bytes, fileName) {
+  if (!isEncryptedPDF(bytes)) return null;
+  return decryptPDF(bytes, async (retry) => {
+    hideLoading();
+    const password = await promptForPassword(fileName, retry);
+    showLoading('Unlocking PDF…');
+    return password;
+  });
+}
+
+/**
+ * Read a PDF added to the open one (merged, inserted, numbered, compared…)
+ * as plain bytes, so a protected file is decrypted like one that is opened.
+ * @param {File} file
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} when the password prompt is cancelled
+ */
+async function readUnlockedPDF(file) {
+  const bytes = await readFileAsArrayBuffer(file);
+  if (!isEncryptedPDF(bytes)) return bytes;
+  const overlay = $('loading-overlay');
+  const loadingText = overlay?.classList.contains('hidden') ? null : $('loading-text')?.textContent;
+  try {
+    return (await unlockPDF(bytes, file.name))?.bytes || bytes;
+  } finally {
+    if (loadingText) showLoading(loadingText);
+    else hideLoading();
+  }
+}
+
+const PERMISSION_LABELS = {
+  printing: 'printing',
+  modifying: 'editing',
+  copying: 'copying',
+  annotating: 'annotating',
+  fillingForms: 'form filling',
+  contentAccessibility: 'accessibility extraction',
+  documentAssembly: 'page assembly',
+};
+
+/** Tell the user when a file opened with the user password carries restrictions. */
+function warnPermissionRestrictions(encryption) {
+  if (encryption.ownerAccess) return;
+  const denied = Object.keys(PERMISSION_LABELS).filter(key => !encryption.permissions[key]);
+  if (denied.length === 0) return;
+  toast(`Opened with the user password. The author restricted: ${denied.map(key => PERMISSION_LABELS[key]).join(', ')}.`, 'warning', 8000);
+}
+
+/**
+ * Move highlights, notes, ink and other markup already in the file into the
+ * annotation overlay so they can be edited and deleted. The working copy
+ * drops the originals (every save and export writes them back as
+ * annotations), so PDF.js is reloaded to stop drawing them underneath the
+ * overlay.
+ */
+async function importExistingAnnotations() {
+  if (!State.pdfLibDoc) return;
+  try {
+    const { pages, count } = importNativeAnnotations(State.pdfLibDoc);
+    if (count === 0) return;
+    const bytes = await State.pdfLibDoc.save();
+    const pdfDoc = await loadDocument(bytes);
+    State.pdfDoc.destroy();
+    State.pdfDoc = pdfDoc;
+    State.pdfBytes = bytes;
+    for (const [pageNum, objects] of Object.entries(pages)) {
+      for (const obj of objects) addAnnotationToPage(Number(pageNum), obj);
+    }
+    toast(`Imported ${count} existing annotation${count !== 1 ? 's' : ''} for editing`, 'info');
+  } catch (e) {
+    console.warn('Could not import existing annotations:', e);
+  }
+}
+
 async function openPDF(bytes, fileName, fileSize) {
   const actualSize = fileSize || bytes.length;
   const SIZE_WARN = 50 * 1024 * 1024;    // 50 MB
@@ -495,6 +651,20 @@ async function openPDF(bytes, fileName, fileSize) {
     updateLoadingProgress('Loading large PDF...', 0, 1);
   }
 
+  // Password-protected files are decrypted up front so PDF.js, pdf-lib and
+  // every edit downstream work on plain bytes.
+  let encryption = null;
+  try {
+    const unlocked = await unlockPDF(bytes, fileName);
+    if (unlocked) {
+      bytes = unlocked.bytes;
+      encryption = unlocked.encryption;
+    }
+  } catch (err) {
+    showUserError('file-encrypted', err.message);
+    throw err;
+  }
+
   // ── Reset previous state ──
 
   resetPdfLib();
@@ -502,6 +672,8 @@ async function openPDF(bytes, fileName, fileSize) {
   clearTextIndex();
   clearOCRResults();
   clearDocHistory();
+  clearBlankPageFlags();
+  clearAllAnnotations();
   State.pageAnnotations = {};
   State.formFields = [];
   State.pdfLibDoc = null;
@@ -526,6 +698,7 @@ async function openPDF(bytes, fileName, fileSize) {
   // Update state
   State.pdfDoc = pdfDoc;
   State.pdfBytes = bytes;
+  State.encryption = encryption;
   State.fileName = fileName;
   State.fileSize = actualSize;
   State.totalPages = pdfDoc.numPages;
@@ -622,14 +795,21 @@ async function openPDF(bytes, fileName, fileSize) {
     }
   }
 
+  await importExistingAnnotations();
+
   if (State.formFields.length > 0) {
     toast(`Detected ${State.formFields.length} form field${State.formFields.length !== 1 ? 's' : ''}`, 'info');
     startFormBackup();
   }
 
+  if (encryption) warnPermissionRestrictions(encryption);
+
   // Add to recent files
   addRecentFile(fileName, actualSize, pdfDoc.numPages);
 
+  // Page labels stored in the file (or none, clearing the last document's)
+  await loadPageLabels(pdfDoc);
+
   // Update UI
   updateStatusBar();
   updatePageNav();
@@ -685,6 +865,7 @@ async function reloadAfterEdit(newBytes, { skipHistory = false, editedPage = 0 }
 
   resetPdfLib(); // clear cached pdf-lib doc so next edit re-loads
   clearFormOverlay();
+  clearBlankPageFlags(); // page numbers or content may have changed
 
   // Destroy old PDF.js document to release cached pages & prevent stale renders
   if (State.pdfDoc) {
@@ -715,6 +896,9 @@ async function reloadAfterEdit(newBytes, { skipHistory = false, editedPage = 0 }
     State.currentPage = State.totalPages;
   }
 
+  // Page edits carry labels in the bytes (see page-labels.js)
+  await loadPageLabels(pdfDoc);
+
   updateStatusBar();
   updatePageNav();
   await renderCurrentPage();
@@ -743,6 +927,9 @@ async function reloadAfterEdit(newBytes, { skipHistory = false, editedPage = 0 }
     }
   }, 50);
 
+  // Page edits may have moved or dropped bookmarks
+  loadBookmarks();
+
   // Rebuild text index for Find
   buildTextIndex(State.pdfDoc);
   updateUndoRedoButtons();
@@ -1121,117 +1308,224 @@ function navigateMatch(direction) {
 
 /* ═══════════════════ Bookmarks / Document Outline ═══════════════════ */
 
-async function loadBookmarks() {
-  const panel = $('sidebar-bookmarks');
-  if (!panel || !State.pdfDoc) return;
+/**
+ * Render the outline as an editable tree: click to go, double-click to
+ * rename, × to delete, drag a row onto another to move it before, inside
+ * or after (by which third of the row it's dropped on).
+ */
+function loadBookmarks() {
+  const panel = document.getElementById('sidebar-bookmarks');
+  if (!panel) return;
 
+  let outline = [];
   try {
-    const outline = await State.pdfDoc.getOutline();
-
-    if (!outline || outline.length === 0) {
-      panel.innerHTML = `
-        <div class="sidebar-empty">
-          <span data-icon="bookmark" data-icon-size="24"></span>
-          <p>No bookmarks</p>
-          <p class="sidebar-empty-hint">This PDF has no document outline.</p>
-        </div>`;
-      replaceIcons(); // re-render the data-icon
-      return;
-    }
+    if (State.pdfLibDoc) outline = readOutline(State.pdfLibDoc);
+  } catch (err) {
+    console.warn('Failed to load bookmarks:', err);
+  }
 
-    // Recursively build bookmark tree
-    async function buildTree(items) {
-      const ul = document.createElement('ul');
-      ul.className = 'bookmark-tree';
-
-      for (const item of items) {
-        const li = document.createElement('li');
-        li.className = 'bookmark-item';
-
-        const hasChildren = item.items && item.items.length > 0;
-
-        // Resolve destination to page number
-        let pageNum = null;
-        try {
-          if (item.dest) {
-            let dest = item.dest;
-            if (typeof dest === 'string') {
-              dest = await State.pdfDoc.getDestination(dest);
-            }
-            if (Array.isArray(dest) && dest[0]) {
-              const pageIndex = await State.pdfDoc.getPageIndex(dest[0]);
-              pageNum = pageIndex + 1;
-            }
-          }
-        } catch { /* broken destination — still show title */ }
-
-        const row = document.createElement('div');
-        row.className = 'bookmark-row';
-
-        if (hasChildren) {
-          const toggle = document.createElement('button');
-          toggle.className = 'bookmark-toggle';
-          toggle.innerHTML = icon('chevron-right', 12);
-          toggle.addEventListener('click', (e) => {
-            e.stopPropagation();
-            li.classList.toggle('expanded');
-          });
-          row.appendChild(toggle);
-        } else {
-          const spacer = document.createElement('span');
-          spacer.className = 'bookmark-spacer';
-          row.appendChild(spacer);
-        }
+  panel.innerHTML = '';
+  if (!outline.length) {
+    panel.innerHTML = `<p class="bookmark-empty">${State.pdfDoc ? 'No bookmarks in this document' : 'No document open'}</p>`;
+    return;
+  }
 
-        const link = document.createElement('button');
-        link.className = 'bookmark-link';
-        link.textContent = item.title || 'Untitled';
-        if (pageNum !== null) {
-          link.title = `Go to page ${pageNum}`;
-          link.addEventListener('click', () => {
-            goToPage(pageNum);
-            // Highlight active bookmark
-            panel.querySelectorAll('.bookmark-link.active').forEach(l => l.classList.remove('active'));
-            link.classList.add('active');
-          });
-        } else {
-          link.classList.add('disabled');
-          link.title = 'Destination unavailable';
-        }
-        row.appendChild(link);
+  let dragPath = null;
+
+  function buildTree(items, parentPath) {
+    const ul = document.createElement('ul');
+    ul.className = 'bookmark-tree';
+
+    items.forEach((item, i) => {
+      const path = [...parentPath, i];
+      const li = document.createElement('li');
+      li.className = 'bookmark-item';
+      const hasChildren = item.children.length > 0;
+      if (hasChildren && item.open) li.classList.add('expanded');
+
+      const row = document.createElement('div');
+      row.className = 'bookmark-row';
+      row.draggable = true;
+      row.dataset.path = path.join('.');
+
+      if (hasChildren) {
+        const toggle = document.createElement('button');
+        toggle.className = 'bookmark-toggle';
+        toggle.innerHTML = icon('chevron-right', 12);
+        toggle.addEventListener('click', (e) => {
+          e.stopPropagation();
+          li.classList.toggle('expanded');
+        });
+        row.appendChild(toggle);
+      } else {
+        const spacer = document.createElement('span');
+        spacer.className = 'bookmark-spacer';
+        row.appendChild(spacer);
+      }
 
-        if (pageNum !== null) {
-          const badge = document.createElement('span');
-          badge.className = 'bookmark-page-badge';
-          badge.textContent = pageNum;
-          row.appendChild(badge);
-        }
+      const link = document.createElement('button');
+      link.className = 'bookmark-link';
+      link.textContent = item.title || 'Untitled';
+      if (item.pageIndex !== null) {
+        link.title = `Go to page ${item.pageIndex + 1} — double-click to rename`;
+        link.addEventListener('click', () => {
+          goToBookmark(item);
+          panel.querySelectorAll('.bookmark-link.active').forEach(l => l.classList.remove('active'));
+          link.classList.add('active');
+        });
+      } else {
+        link.classList.add('disabled');
+        link.title = 'Destination unavailable — double-click to rename';
+      }
+      link.addEventListener('dblclick', () => startRename(link, path, item.title));
+      row.appendChild(link);
+
+      if (item.pageIndex !== null) {
+        const badge = document.createElement('span');
+        badge.className = 'bookmark-page-badge';
+        badge.textContent = item.pageIndex + 1;
+        row.appendChild(badge);
+      }
 
-        li.appendChild(row);
+      const del = document.createElement('button');
+      del.className = 'bookmark-delete';
+      del.title = 'Delete bookmark';
+      del.setAttribute('aria-label', `Delete bookmark ${item.title}`);
+      del.textContent = '×';
+      del.addEventListener('click', (e) => {
+        e.stopPropagation();
+        editOutline(tree => { removeBookmark(tree, path); }, 'Bookmark deleted');
+      });
+      row.appendChild(del);
 
-        if (hasChildren) {
-          const childTree = await buildTree(item.items);
-          li.appendChild(childTree);
-        }
+      row.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        dragPath = path;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.title);
+      });
+      row.addEventListener('dragover', (e) => {
+        if (!dragPath) return;
+        e.preventDefault();
+        clearBookmarkDropMarks(panel);
+        row.classList.add(`drop-${bookmarkDropZone(row, e.clientY)}`);
+      });
+      row.addEventListener('dragleave', () => clearBookmarkDropMarks(panel));
+      row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        clearBookmarkDropMarks(panel);
+        const from = dragPath;
+        dragPath = null;
+        if (!from) return;
+        const where = bookmarkDropZone(row, e.clientY);
+        editOutline(tree => moveBookmark(tree, from, path, where), 'Bookmark moved');
+      });
+      row.addEventListener('dragend', () => {
+        dragPath = null;
+        clearBookmarkDropMarks(panel);
+      });
 
-        ul.appendChild(li);
-      }
-      return ul;
+      li.appendChild(row);
+      if (hasChildren) li.appendChild(buildTree(item.children, path));
+      ul.appendChild(li);
+    });
+    return ul;
+  }
+
+  panel.appendChild(buildTree(outline, []));
+}
+
+function bookmarkDropZone(row, clientY) {
+  const rect = row.getBoundingClientRect();
+  const y = clientY - rect.top;
+  if (y < rect.height / 3) return 'before';
+  if (y > rect.height * 2 / 3) return 'after';
+  return 'inside';
+}
+
+function clearBookmarkDropMarks(panel) {
+  panel.querySelectorAll('.drop-before, .drop-inside, .drop-after')
+    .forEach(r => r.classList.remove('drop-before', 'drop-inside', 'drop-after'));
+}
+
+/** Swap a bookmark's title for an input; Enter or leaving saves, Escape cancels */
+function startRename(link, path, title) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'bookmark-rename mb-input';
+  input.value = title;
+  link.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    const value = input.value.trim();
+    if (!save || !value || value === title) {
+      input.replaceWith(link);
+      return;
     }
+    editOutline(tree => {
+      const bookmark = getBookmark(tree, path);
+      if (!bookmark) return false;
+      bookmark.title = value;
+    });
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+    if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+    e.stopPropagation();
+  });
+  input.addEventListener('blur', () => finish(true));
+}
 
-    const tree = await buildTree(outline);
-    panel.innerHTML = '';
-    panel.appendChild(tree);
+function goToBookmark(bookmark) {
+  goToPage(bookmark.pageIndex + 1);
+  const top = bookmark.view?.fit === 'XYZ' ? bookmark.view.args[1] : null;
+  if (top === null || top === undefined) return;
+  // Scroll once the page has rendered at the current zoom
+  setTimeout(() => {
+    if (!State._viewport) return;
+    const [, y] = State._viewport.convertToViewportPoint(0, top);
+    DOM.canvasArea.scrollTo({ top: DOM.pageContainer.offsetTop + y });
+  }, 150);
+}
 
+/**
+ * Add a bookmark for the current page. With `atView`, it also remembers
+ * how far down the page the view is scrolled.
+ */
+function addBookmark(atView = false) {
+  if (!State.pdfDoc) { toast('Open a PDF first', 'error'); return; }
+  const pageIndex = State.currentPage - 1;
+  let view = null;
+  if (atView && State._viewport) {
+    const y = Math.max(0, DOM.canvasArea.scrollTop - DOM.pageContainer.offsetTop);
+    const [, top] = State._viewport.convertToPdfPoint(0, y);
+    view = { fit: 'XYZ', args: [null, Math.round(top), null] };
+  }
+  const title = `Page ${getPageLabel(State.currentPage) || State.currentPage}`;
+  editOutline(tree => insertInPageOrder(tree, [createBookmark(title, pageIndex, view)]), 'Bookmark added');
+}
+
+/**
+ * Read the outline from the current bytes, let `mutate` change it, then
+ * write it back and reload. Returning false from `mutate` cancels.
+ */
+async function editOutline(mutate, message) {
+  if (!State.pdfBytes) return;
+  try {
+    const doc = await ensurePdfLib(State.pdfBytes);
+    const outline = readOutline(doc);
+    if (mutate(outline) === false) { loadBookmarks(); return; }
+    writeOutline(doc, outline);
+    await reloadAfterEdit(await doc.save());
+    if (message) toast(message, 'success');
   } catch (err) {
-    console.warn('Failed to load bookmarks:', err);
-    panel.innerHTML = `
-      <div class="sidebar-empty">
-        <span data-icon="bookmark" data-icon-size="24"></span>
-        <p>No bookmarks</p>
-        <p class="sidebar-empty-hint">Could not read document outline.</p>
-      </div>`;
-    replaceIcons();
+    toast('Bookmark edit failed: ' + err.message, 'error');
+    loadBookmarks();
   }
 }
 
@@ -1243,9 +1537,9 @@ let mergeFiles = []; // [{ file: File, bytes: Uint8Array, name, size }]
 
 function openMergeModal() {
   mergeFiles = [];
+  $('merge-mode').value = 'append';
   renderMergeFileList();
   $('merge-modal-backdrop').classList.remove('hidden');
-  $('btn-merge-execute').disabled = true;
 }
 
 function closeMergeModal() {
@@ -1256,16 +1550,37 @@ function closeMergeModal() {
 async function addMergeFiles(files) {
   for (const file of files) {
     if (!file.name.toLowerCase().endsWith('.pdf')) continue;
-    const bytes = await readFileAsArrayBuffer(file);
-    mergeFiles.push({ file, bytes, name: file.name, size: file.size });
+    try {
+      const bytes = await readUnlockedPDF(file);
+      mergeFiles.push({ file, bytes, name: file.name, size: file.size });
+    } catch (err) {
+      toast(`Skipped ${file.name}: ${err.message}`, 'warning');
+    }
   }
   renderMergeFileList();
-  $('btn-merge-execute').disabled = mergeFiles.length < 2;
+}
+
+/** Enable Merge for the file count the chosen page order needs, and explain it. */
+function updateMergeControls() {
+  const mode = $('merge-mode').value;
+  const interleave = mode === 'interleave' || mode === 'interleave-reverse';
+  const count = mergeFiles.length;
+  let hint = '';
+  if (interleave) {
+    hint = count === 2
+      ? `A (fronts): ${mergeFiles[0].name}. B (backs): ${mergeFiles[1].name}. Extra pages in either file go at the end.`
+      : 'Add exactly two files: the fronts first, then the backs.';
+  } else if (mode === 'reverse') {
+    hint = 'The last page of the last file comes first.';
+  }
+  $('merge-mode-hint').textContent = hint;
+  $('btn-merge-execute').disabled = interleave ? count !== 2 : count < (mode === 'reverse' ? 1 : 2);
 }
 
 function renderMergeFileList() {
   const list = $('merge-file-list');
   list.innerHTML = '';
+  updateMergeControls();
   mergeFiles.forEach((item, i) => {
     const li = document.createElement('li');
     li.className = 'file-list-item';
@@ -1291,7 +1606,6 @@ function renderMergeFileList() {
     li.querySelector('[data-remove]')?.addEventListener('click', () => {
       mergeFiles.splice(i, 1);
       renderMergeFileList();
-      $('btn-merge-execute').disabled = mergeFiles.length < 2;
     });
 
     list.appendChild(li);
@@ -1299,14 +1613,19 @@ function renderMergeFileList() {
 }
 
 async function executeMerge() {
-  if (mergeFiles.length < 2) return;
+  if ($('btn-merge-execute').disabled) return;
+  const mode = $('merge-mode').value;
   showLoading('Merging PDFs…');
   try {
     const fileList = mergeFiles.map(f => ({ bytes: f.bytes }));
-    const mergedBytes = await mergePDFs(fileList);
+    const mergedBytes = await mergePDFs(fileList, { mode });
     closeMergeModal();
     await openPDF(mergedBytes, 'merged.pdf', mergedBytes.length);
-    toast(`Merged ${fileList.length} files`, 'success');
+    if (mode === 'append') {
+      toast(`Merged ${fileList.length} files`, 'success');
+    } else {
+      toast(mode === 'reverse' ? 'Merged in reverse order' : 'Interleaved fronts and backs', 'success');
+    }
   } catch (err) {
     console.error('Merge failed:', err);
     toast('Merge failed: ' + err.message, 'error');
@@ -1317,10 +1636,15 @@ async function executeMerge() {
 
 /* ═══════════════════ Split Modal ═══════════════════ */
 
+// Parts the Split button writes; null until the current settings are previewed
+let splitPlan = null;
+// Page sizes from the last size preview, reused while the document is unchanged
+let splitPageSizes = null;
+
 function openSplitModal() {
+  $('split-strategy').value = 'ranges';
   $('split-range-input').value = '';
-  $('split-preview').textContent = '';
-  $('btn-split-execute').disabled = true;
+  updateSplitStrategy();
   $('split-modal-backdrop').classList.remove('hidden');
 }
 
@@ -1328,51 +1652,176 @@ function closeSplitModal() {
   $('split-modal-backdrop').classList.add('hidden');
 }
 
-function updateSplitPreview() {
-  const input = $('split-range-input').value.trim();
-  const preview = $('split-preview');
+function updateSplitStrategy() {
+  const strategy = $('split-strategy').value;
+  $('split-ranges-fields').classList.toggle('hidden', strategy !== 'ranges');
+  $('split-every-fields').classList.toggle('hidden', strategy !== 'every');
+  $('split-size-fields').classList.toggle('hidden', strategy !== 'size');
+  $('split-separator-fields').classList.toggle('hidden', strategy !== 'separators');
+  // Sizes and separators take a pass over every page, so they wait for a click
+  $('btn-split-preview').classList.toggle('hidden', strategy !== 'size' && strategy !== 'separators');
+  updateSplitPreview();
+}
 
-  if (!input) {
-    preview.textContent = '';
-    $('btn-split-execute').disabled = true;
+async function updateSplitPreview() {
+  const strategy = $('split-strategy').value;
+
+  if (strategy === 'ranges') {
+    const input = $('split-range-input').value.trim();
+    if (!input) return showSplitPlan(null, '');
+
+    const conflicts = [];
+    const ranges = parsePageRangeInput(input, { quiet: true, conflicts });
+    if (!ranges) {
+      return showSplitPlan(null, `Invalid range. Pages are 1-${State.totalPages}, or their labels.`, true);
+    }
+    const note = conflicts.length ? ` ${labelConflictMessage(conflicts)}` : '';
+    return showSplitPlan(planByRanges(ranges), note);
+  }
+
+  if (strategy === 'bookmarks') {
+    let outline = [];
+    try {
+      outline = readOutline(await ensurePdfLib(State.pdfBytes));
+    } catch (err) {
+      console.warn('Failed to read bookmarks:', err);
+    }
+    const plan = planByBookmarks(outline, State.totalPages);
+    return plan.length
+      ? showSplitPlan(plan, '')
+      : showSplitPlan(null, 'This document has no bookmarks to split at.', true);
+  }
+
+  if (strategy === 'every') {
+    const n = parseInt($('split-every-n').value, 10);
+    if (!(n >= 1)) return showSplitPlan(null, 'Enter how many pages each file should have.', true);
+    return showSplitPlan(planEveryN(State.totalPages, n), '');
+  }
+
+  if (strategy === 'size') {
+    const maxBytes = splitMaxBytes();
+    if (!maxBytes) return showSplitPlan(null, 'Enter a maximum size in MB.', true);
+    if (splitPageSizes?.bytes === State.pdfBytes) {
+      return showSplitPlan(planBySize(splitPageSizes.sizes, maxBytes), '');
+    }
+  }
+
+  showSplitPlan(null, 'Click Preview Files to see the output files.');
+}
+
+/** Run the page-by-page pass the size and separator strategies need. */
+async function previewSplit() {
+  const strategy = $('split-strategy').value;
+
+  if (strategy === 'size') {
+    if (!splitMaxBytes()) return updateSplitPreview();
+    showLoading('Measuring pages…');
+    try {
+      const sizes = await measurePageSizes(State.pdfBytes, (done, total) =>
+        updateLoadingProgress(`Measuring page ${done} of ${total}…`, done, total));
+      splitPageSizes = { bytes: State.pdfBytes, sizes };
+      updateSplitPreview();
+    } catch (err) {
+      console.error('Measuring pages failed:', err);
+      toast('Could not measure pages: ' + err.message, 'error');
+    } finally {
+      hideLoading();
+    }
     return;
   }
 
-  const ranges = parsePageRanges(input, State.totalPages);
-  if (!ranges) {
-    preview.textContent = `Invalid range. Pages are 1-${State.totalPages}.`;
-    preview.style.color = 'var(--mb-danger)';
-    $('btn-split-execute').disabled = true;
+  if (strategy === 'separators') {
+    const byKeyword = document.querySelector('input[name="split-separator"]:checked')?.value === 'keyword';
+    const keyword = $('split-keyword').value.trim();
+    if (byKeyword && !keyword) return showSplitPlan(null, 'Enter the text printed on separator pages.', true);
+
+    showLoading('Finding separator pages…');
+    try {
+      let separators;
+      if (byKeyword) {
+        separators = findKeywordPages(await getDocumentText(State.pdfDoc), keyword);
+      } else {
+        const blank = await findBlankPages(State.pdfDoc, {
+          onProgress: (done, total) => updateLoadingProgress(`Checking page ${done} of ${total}…`, done, total),
+        });
+        separators = blank.map(pageNum => pageNum - 1);
+      }
+
+      if (!separators.length) {
+        const what = byKeyword ? `pages containing "${keyword}"` : 'blank pages';
+        return showSplitPlan(null, `No ${what} found.`, true);
+      }
+      const plan = planBySeparators(separators, State.totalPages);
+      const dropped = `${separators.length} separator page${separators.length > 1 ? 's' : ''} left out.`;
+      showSplitPlan(plan.length ? plan : null, plan.length ? dropped : 'Every page is a separator.', !plan.length);
+    } catch (err) {
+      console.error('Finding separators failed:', err);
+      toast('Could not find separator pages: ' + err.message, 'error');
+    } finally {
+      hideLoading();
+    }
+  }
+}
+
+function splitMaxBytes() {
+  const mb = parseFloat($('split-max-mb').value);
+  return mb > 0 ? Math.round(mb * 1024 * 1024) : 0;
+}
+
+/** Show the files a plan will write, or a message when there's nothing to split. */
+function showSplitPlan(plan, message, isError = false) {
+  splitPlan = plan?.length ? plan : null;
+  const preview = $('split-preview');
+  const list = $('split-file-list');
+  list.innerHTML = '';
+  $('btn-split-execute').disabled = !splitPlan;
+
+  if (!splitPlan) {
+    preview.textContent = message;
+    preview.style.color = isError ? 'var(--mb-danger)' : 'var(--mb-text-secondary)';
     return;
   }
 
-  const desc = ranges.map(r => {
-    const first = r[0] + 1;
-    const last = r[r.length - 1] + 1;
-    return first === last ? `Page ${first}` : `Pages ${first}-${last}`;
-  }).join(', ');
+  const oversize = splitPlan.filter(part => part.oversize).length;
+  const warning = oversize
+    ? ` ${oversize} page${oversize > 1 ? 's are' : ' is'} over the limit on ${oversize > 1 ? 'their' : 'its'} own.`
+    : '';
+  preview.textContent = `Will create ${splitPlan.length} file${splitPlan.length > 1 ? 's' : ''}.${message ? ' ' + message : ''}${warning}`;
+  preview.style.color = oversize ? 'var(--mb-danger)' : 'var(--mb-text-secondary)';
 
-  preview.textContent = `Will create ${ranges.length} file${ranges.length > 1 ? 's' : ''}: ${desc}`;
-  preview.style.color = 'var(--mb-text-secondary)';
-  $('btn-split-execute').disabled = false;
+  const names = splitFileNames(State.fileName, splitPlan);
+  splitPlan.forEach((part, i) => {
+    const li = document.createElement('li');
+    li.className = 'file-list-item';
+    const size = part.bytes ? ` · ≤ ${formatFileSize(part.bytes)}` : '';
+    li.innerHTML = `
+      <span class="file-list-name">${icon('file', 14)} ${escapeHtml(names[i])}</span>
+      <span class="file-list-size">${escapeHtml(describePageRange(part.pages[0] + 1, part.pages[part.pages.length - 1] + 1))}${size}</span>
+    `;
+    list.appendChild(li);
+  });
 }
 
 async function executeSplit() {
-  const input = $('split-range-input').value.trim();
-  const ranges = parsePageRanges(input, State.totalPages);
-  if (!ranges) return;
+  if (!splitPlan) return;
+  const plan = splitPlan;
+  const maxBytes = $('split-strategy').value === 'size' ? splitMaxBytes() : 0;
 
   showLoading('Splitting PDF…');
   try {
-    const results = await splitPDF(State.pdfBytes, ranges);
+    const results = await splitPDF(State.pdfBytes, plan.map(part => part.pages));
     closeSplitModal();
 
-    // Download each split file
-    const baseName = State.fileName.replace('.pdf', '');
-    for (const { bytes, label } of results) {
-      downloadBlob(bytes, `${baseName}_${label}.pdf`);
+    // Download each split file under the name the preview showed
+    const names = splitFileNames(State.fileName, plan);
+    results.forEach(({ bytes }, i) => downloadBlob(bytes, names[i]));
+
+    const over = maxBytes ? results.filter(({ bytes }) => bytes.length > maxBytes).length : 0;
+    if (over) {
+      toast(`Split into ${results.length} files; ${over} ${over > 1 ? 'are' : 'is'} over ${formatFileSize(maxBytes)}`, 'warning');
+    } else {
+      toast(`Split into ${results.length} file${results.length > 1 ? 's' : ''}`, 'success');
     }
-    toast(`Split into ${results.length} file${results.length > 1 ? 's' : ''}`, 'success');
   } catch (err) {
     console.error('Split failed:', err);
     toast('Split failed: ' + err.message, 'error');
@@ -1381,6 +1830,82 @@ async function executeSplit() {
   }
 }
 
+/* ═══════════════════ Blank Pages ═══════════════════ */
+
+// Scores from the last blank-page pass; null when no flags are showing
+let blankPageScores = null;
+
+async function openBlankPages() {
+  if (!State.pdfDoc) return;
+
+  // The flags go on the page thumbnails, so make sure they're showing
+  const pagesBtn = document.querySelector('.mb-rail-item[data-panel="pages"]');
+  if (pagesBtn && !pagesBtn.classList.contains('mb-rail-item--active')) pagesBtn.click();
+
+  showLoading('Looking for blank pages…');
+  try {
+    blankPageScores = await analyzePages(State.pdfDoc, (done, total) =>
+      updateLoadingProgress(`Checking page ${done} of ${total}…`, done, total));
+    $('blank-pages-sensitivity').value = DEFAULT_SENSITIVITY;
+    $('blank-pages-bar').classList.remove('hidden');
+    updateBlankPageFlags();
+  } catch (err) {
+    console.error('Blank page detection failed:', err);
+    toast('Could not check pages: ' + err.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+/** Re-flag pages for the current sensitivity; no re-rendering needed. */
+function updateBlankPageFlags() {
+  if (!blankPageScores) return;
+  const pages = flaggedBlankPages();
+  setFlaggedThumbnails(pages, 'Looks blank');
+
+  const count = $('blank-pages-count');
+  count.textContent = pages.length
+    ? `${pages.length} page${pages.length > 1 ? 's look' : ' looks'} blank`
+    : 'No blank pages at this sensitivity';
+  const btn = $('btn-blank-pages-delete');
+  btn.disabled = !pages.length || pages.length >= State.totalPages;
+  btn.textContent = pages.length > 1 ? `Delete ${pages.length} Pages` : 'Delete Flagged Page';
+}
+
+function flaggedBlankPages() {
+  return blankPageScores
+    ? blankPagesFromScores(blankPageScores, parseInt($('blank-pages-sensitivity').value, 10))
+    : [];
+}
+
+function clearBlankPageFlags() {
+  blankPageScores = null;
+  setFlaggedThumbnails([]);
+  $('blank-pages-bar').classList.add('hidden');
+}
+
+async function deleteBlankPages() {
+  const pages = flaggedBlankPages();
+  if (!pages.length || pages.length >= State.totalPages) return;
+  if (!confirm(`Delete ${pages.length} blank page${pages.length > 1 ? 's' : ''}? You can undo this with Ctrl+Z.`)) return;
+
+  showLoading('Deleting blank pages…');
+  try {
+    const newBytes = await deletePages(State.pdfBytes, pages.map(pageNum => pageNum - 1));
+    // Stay on the same page, or the nearest one left
+    const before = pages.filter(pageNum => pageNum <= State.currentPage).length;
+    State.currentPage = Math.max(1, State.currentPage - before);
+    // One reload is one doc-history entry, so a single undo restores every page
+    await reloadAfterEdit(newBytes);
+    toast(`Deleted ${pages.length} blank page${pages.length > 1 ? 's' : ''}`, 'success');
+  } catch (err) {
+    console.error('Delete blank pages failed:', err);
+    toast('Delete failed: ' + err.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
 /* ═══════════════════ Status Bar ═══════════════════ */
 
 function updateStatusBar() {
@@ -1553,6 +2078,53 @@ async function executePrint(pageNums, printScale) {
 
 /* ═══════════════════ Save ═══════════════════ */
 
+/**
+ * Tell the user when an image under a redaction could not be edited pixel by
+ * pixel and had to be dropped from the page instead.
+ */
+function warnRedactionFallbacks(redaction) {
+  if (!redaction) return;
+  const dropped = (redaction.imagesRemoved || 0) + (redaction.inlineImagesRemoved || 0);
+  if (dropped > 0) {
+    toast(`${dropped} image(s) under redactions could not be edited and were removed entirely`, 'warning', 6000);
+  }
+}
+
+/** A redacted export drops the OCR words under its boxes; index and show what's left. */
+async function refreshRedactedOCR(redaction) {
+  if (!redaction?.ocrWordsRemoved) return;
+  buildTextIndex(State.pdfDoc);
+  augmentTextIndex(getOCRTextEntries());
+  await renderCurrentPage();
+}
+
+/**
+ * Password-protect bytes that are about to be downloaded. Files opened with
+ * a password keep their original settings unless the export dialog asks for
+ * new ones or none.
+ * @param {Uint8Array} bytes
+ * @param {'same'|'new'|'none'} mode
+ * @param {Object} [settings] - encryptPDF options for mode 'new'
+ * @returns {Promise<Uint8Array>}
+ */
+async function applySaveProtection(bytes, mode = 'same', settings = {}) {
+  if (mode === 'new') return encryptPDF(bytes, settings);
+  const enc = State.encryption;
+  if (mode === 'none' || !enc) return bytes;
+
+  if (enc.userPassword == null) {
+    toast('The original open password is unknown — the owner password now opens the saved file', 'warning', 8000);
+  }
+  return encryptPDF(bytes, {
+    userPassword: enc.userPassword ?? enc.ownerPassword,
+    // Without the owner password a random one keeps the permissions locked.
+    ownerPassword: enc.ownerPassword || crypto.randomUUID(),
+    permissions: enc.permissions,
+    // RC4 is no longer written; those files come back as AES-128.
+    algorithm: enc.algorithm === 'aes-256' ? 'aes-256' : 'aes-128',
+  });
+}
+
 /**
  * Save in-place: bake annotations into State.pdfBytes without downloading.
  * The document stays open with annotations cleared (since they're now baked in).
@@ -1586,12 +2158,14 @@ async function handleSave() {
         updateLoadingProgress(`Baking annotations… page ${done} of ${total}`, done, total);
       },
     });
+    warnRedactionFallbacks(result.redaction);
 
     // Clear annotations since they're now part of the PDF
     clearAllAnnotations();
 
     // Reload the new bytes into the viewer
     await reloadAfterEdit(result.bytes);
+    await refreshRedactedOCR(result.redaction);
 
     // Send to dashboard callback if in integration mode
     if (State.integration?.callbackUrl) {
@@ -1648,18 +2222,21 @@ async function handleSaveDownload() {
         updateLoadingProgress(`Baking annotations… page ${done} of ${total}`, done, total);
       },
     });
+    warnRedactionFallbacks(result.redaction);
 
     // Clear annotations and reload
     clearAllAnnotations();
     await reloadAfterEdit(result.bytes);
+    await refreshRedactedOCR(result.redaction);
 
-    // Download with original filename
+    // Download with original filename (and original password, if any)
     const outName = State.fileName || 'document.pdf';
+    const outBytes = await applySaveProtection(result.bytes);
     downloadBlob(
-      new Blob([result.bytes], { type: 'application/pdf' }),
+      new Blob([outBytes], { type: 'application/pdf' }),
       outName
     );
-    toast(`Saved ${outName}`, 'success');
+    toast(`Saved ${outName}${State.encryption ? ' (password protected)' : ''}`, 'success');
   } catch (err) {
     console.error('Save failed:', err);
     toast('Save failed: ' + err.message, 'error');
@@ -1698,6 +2275,17 @@ function openExportModal() {
       `— ${State.totalPages} page${State.totalPages !== 1 ? 's' : ''}`;
   }
 
+  // Redaction options only when the document has redactions
+  savePageAnnotations(State.currentPage);
+  const hasRedactions = Object.values(getAnnotations())
+    .some(json => json?.objects?.some(obj => obj.mudbrickType === 'redact'));
+  $('export-pdf-redaction-row')?.classList.toggle('hidden', !hasRedactions);
+
+  // Password protection choice only applies to files opened with a password
+  $('export-pdf-protection-row')?.classList.toggle('hidden', !State.encryption);
+  if ($('export-pdf-protection')) $('export-pdf-protection').value = 'same';
+  $('export-pdf-new-password-row')?.classList.add('hidden');
+
   // Form data tab: show/hide based on detected fields
   const hasForm = State.formFields && State.formFields.length > 0;
   const noFormMsg = $('export-formdata-no-form');
@@ -1777,21 +2365,38 @@ async function _executeExportPDF() {
   const rawName = $('export-pdf-filename')?.value.trim() || '';
   const fileName = rawName.endsWith('.pdf') ? rawName : rawName + '.pdf';
 
+  const protection = State.encryption ? ($('export-pdf-protection')?.value || 'same') : 'none';
+  const newProtection = {
+    userPassword: $('export-pdf-user-pw')?.value.trim() || '',
+    ownerPassword: $('export-pdf-owner-pw')?.value.trim() || '',
+    permissions: State.encryption?.permissions,
+    algorithm: $('export-pdf-algorithm')?.value || 'aes-256',
+  };
+  if (protection === 'new' && !newProtection.userPassword && !newProtection.ownerPassword) {
+    toast('Enter at least one password', 'error');
+    return;
+  }
+
   closeExportModal();
   showLoading('Exporting PDF…');
 
   try {
     if (type === 'original') {
-      // Return unmodified bytes
+      // Return unmodified bytes, with the markup that came in the file
+      const originalBytes = await restoreImportedAnnotations({
+        pdfBytes: State.pdfBytes,
+        currentPage: State.currentPage,
+      });
       downloadBlob(
-        new Blob([State.pdfBytes], { type: 'application/pdf' }),
+        new Blob([await applySaveProtection(originalBytes, protection, newProtection)], { type: 'application/pdf' }),
         fileName || (State.fileName || 'document')
       );
       toast(`Exported ${fileName}`, 'success');
       return;
     }
 
-    // Annotated export: bake form values + annotations
+    // Annotated export: bake form values + annotations ('native' keeps
+    // markup as PDF annotations other viewers can edit and reply to)
     let exportBytes = State.pdfBytes;
     if (State.pdfLibDoc && State.formFields.length > 0) {
       const wrote = writeFormValues(State.pdfLibDoc);
@@ -1805,16 +2410,30 @@ async function _executeExportPDF() {
       currentPage: State.currentPage,
       totalPages: State.totalPages,
       fileName: State.fileName,
+      annotationMode: type === 'native' ? 'native' : 'flatten',
+      printReasons: !!$('export-pdf-print-reasons')?.checked,
+      pageLabel: batesPageLabel,
       onProgress: (done, total) => {
         updateLoadingProgress(`Baking annotations… page ${done} of ${total}`, done, total);
       },
     });
+    warnRedactionFallbacks(result.redaction);
+    await refreshRedactedOCR(result.redaction);
 
     const outName = fileName || result.fileName;
     downloadBlob(
-      new Blob([result.bytes], { type: 'application/pdf' }),
+      new Blob([await applySaveProtection(result.bytes, protection, newProtection)], { type: 'application/pdf' }),
       outName
     );
+    const logFormat = $('export-pdf-redaction-log')?.value || 'none';
+    if (logFormat !== 'none' && result.redactionLog.length > 0) {
+      const logName = outName.replace(/\.pdf$/i, '') + '_redaction_log';
+      if (logFormat === 'pdf') {
+        downloadBlob(await buildRedactionLogPDF(result.redactionLog, { fileName: outName }), `${logName}.pdf`);
+      } else {
+        downloadBlob(buildRedactionLogCSV(result.redactionLog), `${logName}.csv`);
+      }
+    }
     toast(`Exported ${outName}`, 'success');
   } catch (err) {
     console.error('Export PDF failed:', err);
@@ -1840,7 +2459,7 @@ async function _executeExportImages() {
     pageNums = Array.from({ length: State.totalPages }, (_, i) => i + 1);
   } else {
     const rangeInput = $('export-imgs-range')?.value.trim();
-    const ranges = parsePageRanges(rangeInput, State.totalPages);
+    const ranges = parsePageRangeInput(rangeInput);
     if (!ranges) {
       toast('Invalid page range', 'warning');
       return;
@@ -1981,16 +2600,130 @@ async function executeNormalize() {
   }
 }
 
+/* ═══════════════════ Collate Odd/Even ═══════════════════ */
+
+function openCollateModal() {
+  if (!State.pdfBytes) return;
+  openModal('collate-modal-backdrop');
+}
+
+async function executeCollate() {
+  if (!State.pdfBytes) return;
+  if (State.totalPages < 3) {
+    toast('Collating needs at least three pages', 'warning');
+    return;
+  }
+  const backsReversed = document.querySelector('input[name="collate-order"]:checked')?.value !== 'forward';
+
+  showLoading('Collating pages…');
+  try {
+    const newBytes = await collatePages(State.pdfBytes, { backsReversed });
+    closeModal('collate-modal-backdrop');
+    State.currentPage = 1;
+    await reloadAfterEdit(newBytes);
+    toast('Pages collated', 'success');
+  } catch (err) {
+    console.error('Collate failed:', err);
+    toast('Collate failed: ' + err.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
 /* ═══════════════════ Bates Numbering Modal ═══════════════════ */
 
+let batesProductionFiles = []; // [{ name, bytes, size, legend, attachment }]
+
 function openBatesModal() {
   $('bates-modal-backdrop').classList.remove('hidden');
+  updateBatesMode();
   updateBatesPreview();
   replaceIcons();
 }
 
 function closeBatesModal() {
   $('bates-modal-backdrop').classList.add('hidden');
+  batesProductionFiles = [];
+  renderBatesProductionList();
+}
+
+/** Show the file list for production sets, or the page range for the open document. */
+function updateBatesMode() {
+  const production = $('bates-mode').value === 'production';
+  $('bates-production').classList.toggle('hidden', !production);
+  $('bates-page-range-field').classList.toggle('hidden', production);
+  $('bates-custom-range').classList.toggle('hidden', production || $('bates-page-range').value !== 'custom');
+  $('bates-load-file-options').classList.toggle('hidden', !$('bates-load-files').checked);
+  $('btn-bates-execute').textContent = production ? 'Number Production Set' : 'Apply Bates Numbers';
+}
+
+async function addBatesProductionFiles(files) {
+  for (const file of files) {
+    if (!file.name.toLowerCase().endsWith('.pdf')) continue;
+    let bytes;
+    try {
+      bytes = await readUnlockedPDF(file);
+    } catch (err) {
+      toast(`Skipped ${file.name}: ${err.message}`, 'warning');
+      continue;
+    }
+    batesProductionFiles.push({ name: file.name, bytes, size: file.size, legend: '', attachment: false });
+  }
+  renderBatesProductionList();
+}
+
+function renderBatesProductionList() {
+  const list = $('bates-production-list');
+  list.innerHTML = '';
+  batesProductionFiles.forEach((item, i) => {
+    const li = document.createElement('li');
+    li.className = 'file-list-item';
+    li.innerHTML = `
+      <span class="file-list-name">${icon('file', 14)} ${escapeHtml(item.name)}</span>
+      <input type="text" class="bates-field" data-legend placeholder="Default legend" aria-label="Legend for ${escapeHtml(item.name)}">
+      <label title="Attachment of the document above"><input type="checkbox" data-attachment ${i === 0 ? 'disabled' : ''}> Attachment</label>
+      <span class="file-list-size">${formatFileSize(item.size)}</span>
+      <div class="file-list-actions">
+        <button class="file-list-btn" data-move="up" ${i === 0 ? 'disabled' : ''} title="Move up">▲</button>
+        <button class="file-list-btn" data-move="down" ${i === batesProductionFiles.length - 1 ? 'disabled' : ''} title="Move down">▼</button>
+        <button class="file-list-btn" data-remove="${i}" title="Remove">✕</button>
+      </div>
+    `;
+
+    const legendInput = li.querySelector('[data-legend]');
+    legendInput.value = item.legend;
+    legendInput.addEventListener('input', () => { item.legend = legendInput.value; });
+    const attachmentInput = li.querySelector('[data-attachment]');
+    attachmentInput.checked = i > 0 && item.attachment;
+    attachmentInput.addEventListener('change', () => { item.attachment = attachmentInput.checked; });
+    li.querySelector('[data-move="up"]')?.addEventListener('click', () => {
+      if (i > 0) { [batesProductionFiles[i - 1], batesProductionFiles[i]] = [batesProductionFiles[i], batesProductionFiles[i - 1]]; renderBatesProductionList(); }
+    });
+    li.querySelector('[data-move="down"]')?.addEventListener('click', () => {
+      if (i < batesProductionFiles.length - 1) { [batesProductionFiles[i], batesProductionFiles[i + 1]] = [batesProductionFiles[i + 1], batesProductionFiles[i]]; renderBatesProductionList(); }
+    });
+    li.querySelector('[data-remove]')?.addEventListener('click', () => {
+      batesProductionFiles.splice(i, 1);
+      renderBatesProductionList();
+    });
+
+    list.appendChild(li);
+  });
+}
+
+/** Bates options shared by the open document and production sets. */
+function readBatesOptions() {
+  return {
+    prefix: $('bates-prefix').value,
+    suffix: $('bates-suffix').value,
+    startNumber: parseInt($('bates-start').value) || 1,
+    zeroPad: parseInt($('bates-pad').value) || 6,
+    position: $('bates-position').value,
+    fontSize: parseInt($('bates-font-size').value) || 10,
+    color: $('bates-color').value || '#000000',
+    legend: $('bates-legend').value.trim(),
+    legendPosition: $('bates-legend-position').value,
+  };
 }
 
 function updateBatesPreview() {
@@ -2004,6 +2737,10 @@ function updateBatesPreview() {
 }
 
 async function executeBates() {
+  if ($('bates-mode').value === 'production') {
+    await executeBatesProduction();
+    return;
+  }
   if (!State.pdfBytes) return;
 
   const pageRange = $('bates-page-range').value;
@@ -2034,20 +2771,12 @@ async function executeBates() {
 
   showLoading('Applying Bates numbers…');
   try {
-    const { bytes, firstLabel, lastLabel } = await applyBatesNumbers(State.pdfBytes, {
-      prefix: $('bates-prefix').value,
-      suffix: $('bates-suffix').value,
-      startNumber: parseInt($('bates-start').value) || 1,
-      zeroPad: parseInt($('bates-pad').value) || 6,
-      position: $('bates-position').value,
-      fontSize: parseInt($('bates-font-size').value) || 10,
-      color: $('bates-color').value || '#000000',
-      startPage,
-      endPage,
-    });
+    const batesOpts = { ...readBatesOptions(), startPage, endPage: endPage || State.totalPages };
+    const { bytes, firstLabel, lastLabel } = await applyBatesNumbers(State.pdfBytes, batesOpts);
 
     closeBatesModal();
     await reloadAfterEdit(bytes);
+    State.bates = batesOpts;
 
     // Show Bates range in status bar
     const batesStatus = $('status-bates');
@@ -2065,6 +2794,97 @@ async function executeBates() {
   }
 }
 
+/**
+ * Zip writer that downloads `${baseName}.zip`, or `${baseName}_partN.zip`
+ * files when the entries outgrow one archive (see createZipParts).
+ * @returns {{add: function(Object): void, finish: function(): number}}
+ */
+function zipDownload(baseName) {
+  let first = null; // held until we know whether a second part follows
+  const parts = createZipParts((zip, n) => {
+    if (n === 1) {
+      first = zip;
+      return;
+    }
+    if (first) downloadBlob(first, `${baseName}_part1.zip`);
+    first = null;
+    downloadBlob(zip, `${baseName}_part${n}.zip`);
+  });
+  return {
+    add: parts.add,
+    finish() {
+      const count = parts.finish();
+      if (first) downloadBlob(first, `${baseName}.zip`);
+      return count;
+    },
+  };
+}
+
+/**
+ * Number every file in the production list as one run; download the stamped
+ * files as a zip plus the log. With load files on, the zip is a production
+ * volume with DAT/OPT load files, page images and text instead. Either is
+ * split into numbered parts when it outgrows one zip.
+ */
+async function executeBatesProduction() {
+  if (batesProductionFiles.length === 0) {
+    toast('Add the PDFs to number', 'warning');
+    return;
+  }
+
+  showLoading('Numbering production set…');
+  try {
+    const docs = batesProductionFiles.map(f => ({ name: f.name, bytes: f.bytes, legend: f.legend.trim() || undefined }));
+    const { files } = await applyBatesProduction(docs, readBatesOptions(), (i, total, name) => {
+      updateLoadingProgress(`Numbering ${name} (${i + 1} of ${total})…`, i + 1, total);
+    });
+
+    const baseName = $('bates-prefix').value.replace(/[^\w-]+/g, '').replace(/-+$/, '') || 'production';
+    if ($('bates-load-files').checked) {
+      const volume = $('bates-volume').value.trim().replace(/[\\/:*?"<>|]+/g, '_') || 'VOL001';
+      const sources = files.map((f, i) => ({
+        ...f, source: batesProductionFiles[i].bytes, attachment: i > 0 && batesProductionFiles[i].attachment,
+      }));
+      const zip = zipDownload(`${baseName}_${volume}`);
+      await buildLoadFileVolume(sources, {
+        volume,
+        custodian: $('bates-custodian').value.trim(),
+        images: $('bates-images').value,
+        dpi: parseInt($('bates-image-dpi').value) || 300,
+        text: $('bates-text').checked,
+        ocrLanguage: $('ocr-language')?.value || 'eng',
+        onEntry: zip.add,
+      }, (i, total, name) => {
+        updateLoadingProgress(`Building load files: ${name} (${i + 1} of ${total})…`, i + 1, total);
+      });
+      zip.finish();
+    } else {
+      const zip = zipDownload(`${baseName}_production`);
+      for (const f of files) zip.add({ name: f.name, bytes: f.bytes });
+      zip.finish();
+    }
+    downloadBlob(buildProductionLog(files), `${baseName}_production_log.csv`);
+    closeBatesModal();
+
+    const range = `${files[0].firstLabel} – ${files[files.length - 1].lastLabel}`;
+    toast(`Numbered ${files.length} file${files.length > 1 ? 's' : ''} (${range})`, 'success');
+  } catch (err) {
+    console.error('Bates production failed:', err);
+    toast('Bates production failed: ' + err.message, 'error');
+  } finally {
+    hideLoading();
+  }
+}
+
+/**
+ * Bates label stamped on a page of the open document; '' when it has none.
+ * Looks for labels in the format of this session's last Bates run, or the
+ * format in the Bates dialog for a file stamped earlier.
+ */
+function batesPageLabel(pageNum) {
+  return readBatesLabel(State.pdfDoc, pageNum, State.bates || readBatesOptions());
+}
+
 /* ═══════════════════ Headers & Footers Modal ═══════════════════ */
 
 let lastFocusedHfZone = null; // track which zone input was last focused
@@ -2476,7 +3296,7 @@ async function handleAddPages(files, insertAfter) {
       const isImage = /\.(png|jpe?g|gif|webp|bmp|tiff?)$/i.test(name) || file.type.startsWith('image/');
       let bytes;
       if (name.endsWith('.pdf')) {
-        bytes = await readFileAsArrayBuffer(file);
+        bytes = await readUnlockedPDF(file);
       } else if (isImage) {
         bytes = await createPDFFromImages([file], { pageSize: 'fit' });
       } else {
@@ -2886,6 +3706,7 @@ function handleCloseDocument() {
   State.formFields = [];
   State.pdfLibDoc = null;
   State._viewport = null;
+  clearBlankPageFlags();
   // Show welcome screen
   DOM.welcomeScreen.classList.remove('hidden');
   $('status-filename').textContent = 'No file loaded';
@@ -2949,11 +3770,14 @@ function _getMenuActions() {
     formFiller: () => { const btn = document.querySelector('[data-panel="forms"]'); if (btn) btn.click(); $('btn-detect-fields').click(); },
     formCreator: () => { const btn = document.querySelector('[data-panel="forms"]'); if (btn) btn.click(); },
     ocr: () => $('btn-ocr').click(),
+    makeSearchablePDF: executeMakeSearchable,
     redactSearch: () => $('btn-redact-search').click(),
     docCompare: () => $('btn-compare').click(),
     security: () => $('btn-encrypt').click(),
     openCommentSummaryModal,
     openNormalizePagesModal,
+    openCollateModal,
+    openBlankPages,
     optimize: () => { $('optimize-result').textContent = ''; $('optimize-result').classList.add('hidden'); $('optimize-modal-backdrop').classList.remove('hidden'); },
     openShortcutsModal,
     startTour: () => window.__mbStartTour && window.__mbStartTour(),
@@ -3019,6 +3843,7 @@ function clearDropIndicators() {
 /* ── Module-level state for Phase 3 features ── */
 let _imagesToPdf = [];       // images queued for Create PDF from Images
 let _compareDocB = null;     // PDF.js doc for Compare (document B)
+let _compareNameB = '';      // file name of document B
 let _compareResults = null;  // comparison results object
 let _comparePageIdx = 0;     // current page index in comparison view
 let _redactMatches = [];     // redaction search results
@@ -3040,10 +3865,14 @@ async function executeEncrypt() {
       annotating: $('perm-annotate').checked,
       fillingForms: $('perm-fill-forms').checked,
     };
-    const newBytes = await encryptPDF(State.pdfBytes, { userPassword: userPwd, ownerPassword: ownerPwd, permissions });
-    await reloadAfterEdit(newBytes);
+    const algorithm = $('encrypt-algorithm')?.value || 'aes-256';
+    const newBytes = await encryptPDF(State.pdfBytes, { userPassword: userPwd, ownerPassword: ownerPwd, permissions, algorithm });
+    // The editor keeps working on the unencrypted document; the protected
+    // file is handed to the user as a download.
+    const outName = (State.fileName || 'document.pdf').replace(/\.pdf$/i, '') + '_protected.pdf';
+    downloadBlob(new Blob([newBytes], { type: 'application/pdf' }), outName);
     $('encrypt-modal-backdrop').classList.add('hidden');
-    toast('PDF encrypted successfully', 'success');
+    toast(`Encrypted with ${algorithm === 'aes-128' ? 'AES-128' : 'AES-256'} — saved ${outName}`, 'success');
   } catch (err) {
     toast('Encryption failed: ' + err.message, 'error');
   } finally {
@@ -3116,30 +3945,42 @@ async function executeRedactSearch() {
   });
   const customInput = $('redact-custom-input');
   const customPattern = customInput ? customInput.value.trim() : '';
+  const terms = patternNames.includes('terms') ? parseTermList($('redact-terms-input').value) : [];
   if (patternNames.length === 0 && !customPattern) {
     toast('Select at least one pattern', 'error');
     return;
   }
+  if (patternNames.includes('terms') && !terms.length) {
+    toast('Enter or load at least one name or term', 'error');
+    return;
+  }
   if (customPattern && !patternNames.includes('custom')) patternNames.push('custom');
 
   showLoading('Searching for redaction patterns…');
   try {
-    _redactMatches = await searchPatterns(State.pdfDoc, patternNames, customPattern);
+    _redactMatches = await searchPatterns(State.pdfDoc, patternNames, customPattern, {
+      terms,
+      wholeWord: $('redact-terms-whole-word').checked,
+      caseSensitive: $('redact-terms-case').checked,
+    });
     const container = $('redact-results-list');
     $('redact-results').classList.remove('hidden');
     if (_redactMatches.length === 0) {
       container.innerHTML = '<p>No matches found.</p>';
       $('btn-redact-apply').classList.add('hidden');
     } else {
+      // Low-confidence OCR matches start unchecked so they get a look first
       container.innerHTML = _redactMatches.map((m, i) =>
-        `<label class="redact-match-label">
-          <input type="checkbox" checked data-redact-idx="${i}">
+        `<label class="redact-match-label${m.needsReview ? ' redact-match-review' : ''}">
+          <input type="checkbox"${m.needsReview ? '' : ' checked'} data-redact-idx="${i}">
           <span class="redact-match-text"><strong>Page ${m.pageNum}</strong> — ${escapeHtml(m.text)} <em>(${m.pattern})</em></span>
+          ${m.source === 'ocr' ? `<span class="mb-badge redact-match-badge" title="Found in OCR text">${m.needsReview ? `Review · OCR ${Math.round(m.confidence)}%` : 'OCR'}</span>` : ''}
         </label>`
       ).join('');
       $('btn-redact-apply').classList.remove('hidden');
     }
-    toast(`Found ${_redactMatches.length} match(es)`, 'info');
+    const review = _redactMatches.filter(m => m.needsReview).length;
+    toast(`Found ${_redactMatches.length} match(es)` + (review ? ` — ${review} low-confidence OCR match(es) need review` : ''), 'info');
   } catch (err) {
     toast('Search failed: ' + err.message, 'error');
   } finally {
@@ -3147,12 +3988,218 @@ async function executeRedactSearch() {
   }
 }
 
+/* ── OCR Language Data ── */
+
+async function refreshOCRLanguages() {
+  const list = $('ocr-lang-list');
+  if (!list) return;
+  const [assets, installed] = await Promise.all([
+    getTesseractAssets(),
+    getInstalledLanguages().catch(() => []),
+  ]);
+  const sizes = new Map(installed.map(l => [l.code, l.bytes]));
+  list.innerHTML = OCR_LANGUAGES.map(({ code, name }) => {
+    const available = assets.languages.includes(code);
+    let status = 'Not available';
+    let button = '';
+    if (sizes.has(code)) {
+      status = `Downloaded · ${formatFileSize(sizes.get(code))}`;
+      button = `<button type="button" class="btn-secondary" data-lang="${code}" data-action="remove">Remove</button>`;
+    } else if (available) {
+      status = 'Not downloaded';
+      button = `<button type="button" class="btn-secondary" data-lang="${code}" data-action="install">Download</button>`;
+    }
+    return `<div class="ocr-lang-row">
+      <span class="ocr-lang-name">${escapeHtml(name)}</span>
+      <span class="ocr-lang-status">${status}</span>
+      ${button}
+    </div>`;
+  }).join('');
+
+  // Languages the engine has no data for can't be picked
+  for (const option of $('ocr-language').options) {
+    option.disabled = !option.value.split('+').every(code => sizes.has(code) || assets.languages.includes(code));
+  }
+}
+
+async function installOCRLanguage(code) {
+  const button = $('ocr-lang-list').querySelector(`button[data-lang="${code}"]`);
+  if (button) button.disabled = true;
+  try {
+    await installLanguage(code, (received, total) => {
+      if (button) button.textContent = total ? `${Math.round((received / total) * 100)}%` : formatFileSize(received);
+    });
+    toast(`${languageName(code)} is now available offline`, 'success');
+  } catch (err) {
+    toast(err.message, 'error');
+  } finally {
+    await refreshOCRLanguages();
+  }
+}
+
+async function removeOCRLanguage(code) {
+  const name = languageName(code);
+  if (!confirm(`Remove ${name} language data? OCR in ${name} will download it again the next time it runs.`)) return;
+  await removeLanguage(code);
+  await refreshOCRLanguages();
+  toast(`Removed ${name} language data`, 'info');
+}
+
+/* ── OCR Preprocessing ── */
+
+/** Cleanup stages checked in the OCR modal, as runOCR's `preprocess` option */
+function getOCRPreprocessOptions() {
+  const options = { compare: !!$('ocr-pre-compare')?.checked };
+  for (const stage of PREPROCESS_STAGES) {
+    options[stage] = !!document.querySelector(`input[data-stage="${stage}"]`)?.checked;
+  }
+  return options;
+}
+
+async function previewOCRPreprocessing() {
+  if (!State.pdfDoc) return;
+  const button = $('btn-ocr-preview');
+  button.disabled = true;
+  try {
+    const { before, after, rotation, skew } = await previewPreprocessing(
+      State.pdfDoc, State.currentPage, getOCRPreprocessOptions());
+    $('ocr-preview-before').replaceChildren(before);
+    $('ocr-preview-after').replaceChildren(after);
+    const notes = [];
+    if (rotation) notes.push(`turned ${rotation}° to stand upright`);
+    if (skew) notes.push(`straightened by ${Math.abs(skew).toFixed(1)}°`);
+    $('ocr-preview-note').textContent = notes.length
+      ? `Page ${State.currentPage}: ${notes.join(', ')}`
+      : `Page ${State.currentPage}`;
+    $('ocr-preview').classList.remove('hidden');
+  } catch (err) {
+    toast('Could not preview the cleanup: ' + err.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/** Turn pages OCR found sideways or upside down, now that their text is in the upright view */
+async function applyOCRPageRotations() {
+  const PDFLib = window.PDFLib;
+  if (!PDFLib || !State.pdfBytes) return;
+  const doc = await PDFLib.PDFDocument.load(State.pdfBytes, { ignoreEncryption: true });
+  const turned = applyOCRRotations(doc, PDFLib);
+  if (!turned.length) return;
+  await reloadAfterEdit(await doc.save());
+  toast(`Turned ${turned.length} page${turned.length !== 1 ? 's' : ''} upright`, 'info');
+}
+
+/* ── Searchable PDF ── */
+
+async function executeMakeSearchable() {
+  if (!State.pdfDoc || !State.pdfBytes) return;
+  const language = $('ocr-language')?.value || 'eng';
+  const preprocess = getOCRPreprocessOptions();
+
+  showLoading('Looking for scanned pages…');
+  try {
+    const { bytes, pages } = await makeSearchablePDF(State.pdfDoc, State.pdfBytes, info => {
+      updateLoadingProgress(info.status, info.current, info.total);
+    }, { language, preprocess });
+    if (!bytes) {
+      toast('No scanned pages found — this PDF is already searchable', 'info');
+      return;
+    }
+
+    // The recognized text is now part of the document; keeping the OCR
+    // results would embed it a second time on export
+    clearOCRResults();
+    $('status-ocr')?.classList.add('hidden');
+    await reloadAfterEdit(bytes);
+    toast(`Made ${pages.length} scanned page${pages.length !== 1 ? 's' : ''} searchable`, 'success');
+  } catch (err) {
+    toast('Could not make the PDF searchable: ' + err.message, 'error');
+    console.error('Searchable PDF error:', err);
+  } finally {
+    hideLoading();
+  }
+}
+
+/* ── Redaction Pattern Sets & Term Lists ── */
+
+function refreshRedactPatternSets(selected = '') {
+  const select = $('redact-pattern-set');
+  select.innerHTML = '<option value="">— None —</option>' + getPatternSets()
+    .map(set => `<option value="${escapeHtml(set.name)}">${escapeHtml(set.name)}</option>`).join('');
+  select.value = selected;
+  $('btn-redact-set-delete').disabled = !selected;
+}
+
+function applyRedactPatternSet(name) {
+  $('btn-redact-set-delete').disabled = !name;
+  const set = getPatternSets().find(s => s.name === name);
+  if (!set) return;
+  document.querySelectorAll('.redact-pattern-cb').forEach(cb => {
+    cb.checked = set.patterns.includes(cb.value);
+  });
+  $('redact-custom-input').value = set.custom;
+  $('redact-terms-input').value = set.terms.join('\n');
+  $('redact-terms-whole-word').checked = set.wholeWord;
+  $('redact-terms-case').checked = set.caseSensitive;
+  $('redact-search-reason').value = set.reason;
+  $('redact-custom-row').classList.toggle('hidden', !set.patterns.includes('custom'));
+  $('redact-terms-row').classList.toggle('hidden', !set.patterns.includes('terms'));
+  $('redact-set-name').value = set.name;
+}
+
+function saveRedactPatternSet() {
+  const name = $('redact-set-name').value.trim() || $('redact-pattern-set').value;
+  if (!name) {
+    toast('Enter a name for the pattern set', 'error');
+    return;
+  }
+  const patterns = [...document.querySelectorAll('.redact-pattern-cb:checked')].map(cb => cb.value);
+  const saved = savePatternSet({
+    name,
+    patterns,
+    custom: $('redact-custom-input').value.trim(),
+    terms: parseTermList($('redact-terms-input').value),
+    wholeWord: $('redact-terms-whole-word').checked,
+    caseSensitive: $('redact-terms-case').checked,
+    reason: $('redact-search-reason').value.trim(),
+  });
+  if (!saved) {
+    toast('Could not save the pattern set — browser storage is full', 'error');
+    return;
+  }
+  refreshRedactPatternSets(name);
+  toast(`Saved pattern set "${name}"`, 'success');
+}
+
+function deleteRedactPatternSet() {
+  const name = $('redact-pattern-set').value;
+  if (!name || !confirm(`Delete pattern set "${name}"?`)) return;
+  deletePatternSet(name);
+  refreshRedactPatternSets();
+  toast(`Deleted pattern set "${name}"`, 'info');
+}
+
+async function loadRedactTermList(file) {
+  try {
+    const format = /\.csv$/i.test(file.name) ? 'csv' : 'txt';
+    const loaded = parseTermList(await file.text(), format);
+    const input = $('redact-terms-input');
+    const terms = parseTermList(input.value + '\n' + loaded.join('\n'));
+    input.value = terms.join('\n');
+    toast(`Loaded ${loaded.length} term(s) from ${file.name}`, 'success');
+  } catch (err) {
+    toast('Could not read term list: ' + err.message, 'error');
+  }
+}
+
 function executeRedactApply() {
   if (!_redactMatches.length) return;
   const canvas = getCanvas();
   if (!canvas) return;
 
   const checked = document.querySelectorAll('#redact-results-list input[type="checkbox"]:checked');
+  const reason = $('redact-search-reason')?.value.trim() || '';
   let applied = 0;
   for (const cb of checked) {
     const idx = parseInt(cb.dataset.redactIdx);
@@ -3170,6 +4217,7 @@ function executeRedactApply() {
         opacity: 1,
         selectable: true,
         mudbrickType: 'redact',
+        redactReason: reason,
       };
       if (match.pageNum === State.currentPage) {
         canvas.add(new window.fabric.Rect(rectProps));
@@ -3203,7 +4251,7 @@ async function executeExportImage() {
   } else {
     // Custom range
     const rangeInput = $('export-img-range');
-    const parsed = rangeInput ? parsePageRanges(rangeInput.value, State.totalPages) : null;
+    const parsed = rangeInput ? parsePageRangeInput(rangeInput.value) : null;
     pages = parsed ? parsed.flat().map(p => p + 1) : [State.currentPage];
   }
 
@@ -3314,10 +4362,10 @@ async function executeOptimize() {
 /* ── Document Compare ── */
 async function loadCompareFile(file) {
   try {
-    const buf = await readFileAsArrayBuffer(file);
-    const bytes = new Uint8Array(buf);
+    const bytes = await readUnlockedPDF(file);
     const pdfjsLib = window.pdfjsLib;
     _compareDocB = await pdfjsLib.getDocument({ data: bytes }).promise;
+    _compareNameB = file.name;
     const dropZone = $('compare-drop-zone');
     if (dropZone) dropZone.querySelector('p').textContent = `${file.name} (${_compareDocB.numPages} pages)`;
     const execBtn = $('btn-compare-execute');
@@ -3332,20 +4380,33 @@ async function executeCompare() {
   if (!State.pdfDoc || !_compareDocB) { toast('Load a second PDF to compare', 'error'); return; }
   const dpi = parseInt($('compare-dpi')?.value) || 96;
   const threshold = parseInt($('compare-threshold')?.value) || 30;
+  const textMode = $('compare-mode')?.value !== 'visual';
+  const align = $('compare-align')?.checked !== false;
 
   showLoading('Comparing documents…');
   try {
-    _compareResults = await compareDocuments(State.pdfDoc, _compareDocB, { dpi, threshold }, (page, total) => {
-      updateLoadingProgress(`Comparing page ${page} of ${total}…`, page, total);
+    const onProgress = (step, total) => {
+      updateLoadingProgress(textMode ? 'Comparing text…' : `Comparing page ${step} of ${total}…`, step, total);
       const bar = $('compare-progress-bar');
-      if (bar) bar.style.width = Math.round(page / total * 100) + '%';
-    });
+      if (bar) bar.style.width = Math.round(step / total * 100) + '%';
+    };
+    _compareResults = textMode
+      ? await compareDocumentText(State.pdfDoc, _compareDocB, { dpi, align }, onProgress)
+      : await compareDocuments(State.pdfDoc, _compareDocB, { dpi, threshold, align }, onProgress);
     _comparePageIdx = 0;
     $('compare-setup').classList.add('hidden');
     $('compare-results').classList.remove('hidden');
     $('compare-report').textContent = generateCompareReport(_compareResults);
+    $('btn-compare-report').classList.remove('hidden');
+    $('btn-compare-redline-html').classList.toggle('hidden', !textMode);
+    $('btn-compare-redline-pdf').classList.toggle('hidden', !textMode);
+    // Text results only have the two highlighted pages to show
+    $('compare-view-mode').disabled = textMode;
+    if (textMode) $('compare-view-mode').value = 'side-by-side';
     renderCurrentCompare();
-    toast(`Comparison complete — ${_compareResults.overallDiffPercentage.toFixed(1)}% different`, 'info');
+    toast(textMode
+      ? `Comparison complete — ${_compareResults.changes.length} text change(s)`
+      : `Comparison complete — ${_compareResults.overallDiffPercentage.toFixed(1)}% different`, 'info');
   } catch (err) {
     toast('Comparison failed: ' + err.message, 'error');
   } finally {
@@ -3359,7 +4420,12 @@ function renderCurrentCompare() {
   const view = $('compare-view-mode')?.value || 'side-by-side';
   const container = $('compare-view');
   if (container) renderComparisonView(container, page, { view });
-  $('compare-page-info').textContent = `Page ${page.pageNum} of ${_compareResults.maxPages} (${page.diffPercentage.toFixed(2)}% diff)`;
+  const detail = _compareResults.mode === 'text'
+    ? `${page.changeCount} change${page.changeCount === 1 ? '' : 's'}`
+    : `${page.diffPercentage.toFixed(2)}% diff`;
+  $('compare-page-info').textContent =
+    `${_comparePageIdx + 1} of ${_compareResults.pages.length}: ${comparePairLabel(page)} (${detail})`;
+  renderComparePageMap();
   // Update prev/next button states
   const prevBtn = $('btn-compare-prev');
   const nextBtn = $('btn-compare-next');
@@ -3367,6 +4433,33 @@ function renderCurrentCompare() {
   if (nextBtn) nextBtn.disabled = _comparePageIdx >= _compareResults.pages.length - 1;
 }
 
+/** "A p. 3 ↔ B p. 4", "B p. 2 (inserted)", "A p. 5 (deleted)" */
+function comparePairLabel(page) {
+  if (!page.hasB) return `A p. ${page.pageA ?? page.pageNum} (deleted)`;
+  if (!page.hasA) return `B p. ${page.pageB ?? page.pageNum} (inserted)`;
+  return `A p. ${page.pageA ?? page.pageNum} ↔ B p. ${page.pageB ?? page.pageNum}${page.status === 'moved' ? ' (moved)' : ''}`;
+}
+
+/** One chip per page pair, marking inserted, deleted, moved and changed pages */
+function renderComparePageMap() {
+  const map = $('compare-page-map');
+  if (!map) return;
+  map.innerHTML = _compareResults.pages.map((page, i) => {
+    const changed = _compareResults.mode === 'text' ? page.changeCount > 0 : page.diffPercentage >= 0.01;
+    const cls = !page.hasB ? 'deleted' : !page.hasA ? 'inserted' : page.status === 'moved' ? 'moved' : changed ? 'changed' : '';
+    const text = !page.hasB ? `${page.pageA ?? page.pageNum}→∅` : !page.hasA ? `∅→${page.pageB ?? page.pageNum}`
+      : `${page.pageA ?? page.pageNum}→${page.pageB ?? page.pageNum}`;
+    return `<button type="button" class="compare-page-chip ${cls}${i === _comparePageIdx ? ' active' : ''}"
+      data-compare-idx="${i}" title="${escapeHtml(comparePairLabel(page))}">${text}</button>`;
+  }).join('');
+}
+
+function selectComparePage(idx) {
+  if (!_compareResults) return;
+  _comparePageIdx = Math.max(0, Math.min(_compareResults.pages.length - 1, idx));
+  renderCurrentCompare();
+}
+
 function navigateCompare(dir) {
   if (!_compareResults) return;
   _comparePageIdx = Math.max(0, Math.min(_compareResults.pages.length - 1, _comparePageIdx + dir));
@@ -3380,6 +4473,21 @@ function downloadCompareReport() {
   downloadBlob(blob, 'comparison_report.txt');
 }
 
+async function downloadRedline(format) {
+  if (_compareResults?.mode !== 'text') return;
+  const opts = { nameA: State.fileName || 'Original', nameB: _compareNameB || 'Modified' };
+  const base = (State.fileName || 'document').replace(/\.pdf$/i, '') + '_redline';
+  try {
+    if (format === 'pdf') {
+      downloadBlob(await buildRedlinePDF(_compareResults, opts), `${base}.pdf`);
+    } else {
+      downloadBlob(new Blob([buildRedlineHTML(_compareResults, opts)], { type: 'text/html' }), `${base}.html`);
+    }
+  } catch (err) {
+    toast('Redline export failed: ' + err.message, 'error');
+  }
+}
+
 /* ── Comment Summary & Flatten Annotations ── */
 function openCommentSummaryModal() {
   if (!State.pdfDoc) return;
@@ -3403,6 +4511,13 @@ function downloadCommentSummary() {
   } else if (format === 'csv') {
     content = exportCommentsCSV(State.currentPage);
     mime = 'text/csv'; ext = 'csv';
+  } else if (format === 'xfdf') {
+    if (!State.pdfLibDoc) return;
+    savePageAnnotations(State.currentPage);
+    const result = exportAnnotationsXFDF(State.pdfLibDoc, getAnnotations(), { fileName: State.fileName });
+    content = result.xml;
+    mime = 'application/xml'; ext = 'xfdf';
+    if (result.unsupported) toast(`${result.unsupported} object(s) have no XFDF equivalent and were left out`, 'info');
   } else {
     content = exportCommentsText(State.currentPage);
     mime = 'text/plain'; ext = 'txt';
@@ -3413,6 +4528,25 @@ function downloadCommentSummary() {
   toast('Annotation summary downloaded', 'success');
 }
 
+/**
+ * Merge a reviewer's XFDF file into the annotation store and show the
+ * result on the current page.
+ * @param {File} file
+ */
+async function importCommentsXFDF(file) {
+  if (!State.pdfLibDoc) return;
+  try {
+    savePageAnnotations(State.currentPage);
+    const { added, updated, replies } = importAnnotationsXFDF(State.pdfLibDoc, await file.text(), getAnnotations());
+    loadPageAnnotations(State.currentPage);
+    refreshCommentsSidebar();
+    openCommentSummaryModal();
+    toast(`XFDF imported: ${added} added, ${updated} updated, ${replies} new repl${replies === 1 ? 'y' : 'ies'}`, 'success');
+  } catch (err) {
+    toast('XFDF import failed: ' + err.message, 'error');
+  }
+}
+
 async function executeFlattenAnnotations() {
   if (!State.pdfBytes) return;
   if (!confirm('Flatten all annotations into the PDF permanently? This cannot be undone.')) return;
@@ -3597,24 +4731,54 @@ function executeExhibitPlace() {
 /* ── Document Sanitization ── */
 function openSanitizeModal() {
   if (!State.pdfDoc) return;
+  const defaults = resolveSanitizeOptions();
+  document.querySelectorAll('[data-sanitize-option]').forEach(input => {
+    input.checked = defaults[input.dataset.sanitizeOption];
+  });
   $('sanitize-confirm').checked = false;
   $('btn-sanitize-execute').disabled = true;
+  $('btn-sanitize-execute').classList.remove('hidden');
+  $('btn-sanitize-close').textContent = 'Cancel';
+  $('sanitize-options').classList.remove('hidden');
+  $('sanitize-report').classList.add('hidden');
   $('sanitize-modal-backdrop').classList.remove('hidden');
 }
 
+/** Swap the sanitize options for a per-category list of what was removed. */
+function showSanitizeReport(report, options) {
+  const list = $('sanitize-report-list');
+  list.innerHTML = '';
+  let total = 0;
+  for (const { option, count, label } of SANITIZE_CATEGORIES) {
+    if (!options[option]) continue;
+    const n = report[count] || 0;
+    total += n;
+    const li = document.createElement('li');
+    li.textContent = `${label}: ${n ? `${n} removed` : 'none found'}`;
+    list.appendChild(li);
+  }
+  $('sanitize-report-summary').textContent = total
+    ? `Removed ${total} item${total === 1 ? '' : 's'}. Save or export to keep the sanitized copy.`
+    : 'No hidden data was found for the selected categories.';
+  $('sanitize-options').classList.add('hidden');
+  $('btn-sanitize-execute').classList.add('hidden');
+  $('btn-sanitize-close').textContent = 'Close';
+  $('sanitize-report').classList.remove('hidden');
+}
+
 async function executeSanitize() {
   if (!State.pdfBytes) return;
+  const options = {};
+  document.querySelectorAll('[data-sanitize-option]').forEach(input => {
+    options[input.dataset.sanitizeOption] = input.checked;
+  });
+
   showLoading('Sanitizing document…');
   try {
-    const result = await sanitizeDocument(State.pdfBytes);
+    const result = await sanitizeDocument(State.pdfBytes, options);
     await reloadAfterEdit(result.bytes);
-    $('sanitize-modal-backdrop').classList.add('hidden');
-
-    const rpt = result.report || {};
-    const msg = rpt.metadataRemoved
-      ? 'Document sanitized — metadata stripped'
-      : 'Document sanitized (no metadata found)';
-    toast(msg, 'success');
+    showSanitizeReport(result.report || {}, resolveSanitizeOptions(options));
+    toast('Document sanitized', 'success');
   } catch (err) {
     toast('Sanitization failed: ' + err.message, 'error');
   } finally {
@@ -3658,7 +4822,7 @@ function addLabelRangeRow(evt, prefill) {
   const prefixVal = prefill ? prefill.prefix : '';
   const startNumVal = prefill ? prefill.startNum : 1;
 
-  const fmtOptions = LABEL_FORMATS.map(f =>
+  const fmtOptions = [...LABEL_FORMATS, PREFIX_ONLY].map(f =>
     `<option value="${f}" ${f === fmtVal ? 'selected' : ''}>${f}</option>`
   ).join('');
 
@@ -3717,12 +4881,22 @@ function updateLabelsPreview() {
   }
 }
 
-function executePageLabels() {
-  // Ranges are already applied from live preview — just persist and refresh
-  generateThumbnails();
-  updatePageNav();
+async function executePageLabels() {
+  // Ranges are already applied from live preview — write them into the
+  // document so page edits carry them and undo restores the old ones
   $('page-labels-modal-backdrop').classList.add('hidden');
-  toast('Page labels updated', 'success');
+  showLoading('Updating page labels…');
+  try {
+    const doc = await window.PDFLib.PDFDocument.load(State.pdfBytes, { ignoreEncryption: true });
+    writePageLabels(doc);
+    await reloadAfterEdit(await doc.save());
+    toast('Page labels updated', 'success');
+  } catch (err) {
+    console.error('Page labels failed:', err);
+    toast('Page labels failed: ' + err.message, 'error');
+  } finally {
+    hideLoading();
+  }
 }
 
 /* ── Replace Pages ── */
@@ -3744,7 +4918,7 @@ function openReplacePagesModal() {
 
 async function loadReplaceSource(file) {
   try {
-    const bytes = new Uint8Array(await readFileAsArrayBuffer(file));
+    const bytes = await readUnlockedPDF(file);
     // Validate it's a valid PDF by loading with pdf-lib
     const { PDFDocument } = window.PDFLib;
     const doc = await PDFDocument.load(bytes, { ignoreEncryption: true });
@@ -2,6 +2,14 @@
  * Mudbrick — Bates Numbering (Phase 2, W2.1)
  * Stamps sequential Bates numbers onto each page via pdf-lib drawText().
  * Returns new PDF bytes.
+ *
+ * Production sets number several documents as one run: each file picks up
+ * where the previous one ended, and a CSV log records the Bates range of
+ * every file.
+ *
+ * Labels are read back from the stamped text rather than remembered, so
+ * they stay right through page edits and undo, and in files stamped in an
+ * earlier session.
  */
 
 const getPDFLib = () => window.PDFLib;
@@ -17,6 +25,8 @@ const getPDFLib = () => window.PDFLib;
  * @property {string}  [color='#000000'] - Hex color
  * @property {number}  [startPage=1]     - First page to stamp (1-based)
  * @property {number}  [endPage=0]       - Last page to stamp (1-based, 0 = all)
+ * @property {string}  [legend='']       - Confidentiality legend stamped on each numbered page
+ * @property {string}  [legendPosition='bottom-left'] - Legend position (same 6 positions)
  */
 
 const MARGIN = 36; // 0.5 inch margin from edge
@@ -25,7 +35,8 @@ const MARGIN = 36; // 0.5 inch margin from edge
  * Apply Bates numbers to a PDF document.
  * @param {Uint8Array} pdfBytes - Source PDF
  * @param {BatesOptions} opts
- * @returns {Promise<{bytes: Uint8Array, firstLabel: string, lastLabel: string}>}
+ * @returns {Promise<{bytes: Uint8Array, firstLabel: string, lastLabel: string, nextNumber: number}>}
+ *   nextNumber is the number after the last one stamped
  */
 export async function applyBatesNumbers(pdfBytes, opts = {}) {
   const PDFLib = getPDFLib();
@@ -41,6 +52,8 @@ export async function applyBatesNumbers(pdfBytes, opts = {}) {
     color = '#000000',
     startPage = 1,
     endPage = 0,
+    legend = '',
+    legendPosition = 'bottom-left',
   } = opts;
 
   // Parse color
@@ -77,11 +90,22 @@ export async function applyBatesNumbers(pdfBytes, opts = {}) {
       color: PDFLib.rgb(r, g, b),
     });
 
+    if (legend) {
+      const legendPos = calcPosition(legendPosition, width, height, font.widthOfTextAtSize(legend, fontSize), fontSize);
+      page.drawText(legend, {
+        x: legendPos.x,
+        y: legendPos.y,
+        size: fontSize,
+        font,
+        color: PDFLib.rgb(r, g, b),
+      });
+    }
+
     num++;
   }
 
   const bytes = await doc.save();
-  return { bytes, firstLabel, lastLabel };
+  return { bytes, firstLabel, lastLabel, nextNumber: num };
 }
 
 /**
@@ -135,3 +159,113 @@ export function previewBatesLabel(opts = {}) {
   } = opts;
   return prefix + String(startNumber).padStart(zeroPad, '0') + suffix;
 }
+
+/**
+ * Bates label stamped on a page, found in the page's text. When more than
+ * one piece of text looks like a label (the page cites another Bates
+ * number), the stamp is the last one, since it was drawn over the page.
+ * @param {PDFDocumentProxy} pdfDoc - PDF.js document
+ * @param {number} pageNum - 1-based
+ * @param {BatesOptions} opts - prefix, suffix and zeroPad of the labels to look for
+ * @returns {Promise<string>} '' when the page has none
+ */
+export async function readBatesLabel(pdfDoc, pageNum, opts = {}) {
+  const { prefix = '', suffix = '', zeroPad = 6 } = opts;
+  const pattern = new RegExp(`^${escapeRegex(prefix)}\\d{${Math.max(1, zeroPad)},}${escapeRegex(suffix)}$`);
+  const page = await pdfDoc.getPage(pageNum);
+  const { items } = await page.getTextContent();
+  const labels = items.map(item => item.str.trim()).filter(str => pattern.test(str));
+  return labels.at(-1) || '';
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/* ═══════════════════ Production Sets ═══════════════════ */
+
+/**
+ * @typedef {Object} ProductionDocument
+ * @property {string}     name     - File name
+ * @property {Uint8Array} bytes    - Source PDF
+ * @property {string}     [legend] - Legend for this document (overrides opts.legend)
+ */
+
+/**
+ * @typedef {Object} ProductionFile
+ * @property {string}     name       - Unique file name within the production
+ * @property {Uint8Array} bytes      - Stamped PDF
+ * @property {string}     firstLabel - Bates label of the first page
+ * @property {string}     lastLabel  - Bates label of the last page
+ * @property {string[]}   labels     - Bates label of every page, in order
+ * @property {number}     pageCount
+ */
+
+/**
+ * Number a set of documents continuously, in the order given: the first
+ * page of each document gets the number after the last page of the one
+ * before it.
+ * @param {ProductionDocument[]} docs
+ * @param {BatesOptions} opts - startNumber numbers the first page of the set;
+ *   startPage/endPage are ignored, every page is numbered
+ * @param {function} [onProgress] - Called as (index, total, name) before each document
+ * @returns {Promise<{files: ProductionFile[], nextNumber: number}>}
+ */
+export async function applyBatesProduction(docs, opts = {}, onProgress) {
+  const files = [];
+  const used = new Set();
+  let next = opts.startNumber ?? 1;
+
+  for (let i = 0; i < docs.length; i++) {
+    const { name, bytes, legend } = docs[i];
+    if (onProgress) onProgress(i, docs.length, name);
+    const result = await applyBatesNumbers(bytes, {
+      ...opts,
+      startNumber: next,
+      startPage: 1,
+      endPage: 0,
+      legend: legend ?? opts.legend,
+    });
+    files.push({
+      name: uniqueFileName(name, used),
+      bytes: result.bytes,
+      firstLabel: result.firstLabel,
+      lastLabel: result.lastLabel,
+      labels: Array.from({ length: result.nextNumber - next }, (_, p) =>
+        previewBatesLabel({ ...opts, startNumber: next + p })),
+      pageCount: result.nextNumber - next,
+    });
+    next = result.nextNumber;
+  }
+
+  return { files, nextNumber: next };
+}
+
+/**
+ * Production log as CSV: one row per file with its Bates range.
+ * @param {Array<{name: string, firstLabel: string, lastLabel: string, pageCount: number}>} files
+ * @returns {string}
+ */
+export function buildProductionLog(files) {
+  const rows = [['File Name', 'Begin Bates', 'End Bates', 'Pages']];
+  for (const f of files) rows.push([f.name, f.firstLabel, f.lastLabel, String(f.pageCount)]);
+  return rows.map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+/** Keep file names distinct inside one production: "a.pdf", "a (2).pdf", … */
+function uniqueFileName(name, used) {
+  const base = name || 'document.pdf';
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    candidate = base.replace(/(\.pdf)?$/i, ext => ` (${n})${ext}`);
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function csvEscape(str) {
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
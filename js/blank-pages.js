@@ -0,0 +1,152 @@
+/**
+ * Mudbrick — Blank Page Detection
+ * Finds blank and near-blank pages (slip sheets, the blank backs of duplex
+ * scans) by rendering each page small and scoring how much of it is ink.
+ * Scanner speckle is scored separately as noise, so a dusty blank back
+ * still reads as blank while a page with one short line of text doesn't.
+ */
+
+import { renderThumbnail } from './pdf-engine.js';
+
+const RENDER_WIDTH = 200;     // px, about 24 DPI on a letter page
+const INK_LEVEL = 200;        // luma below this counts as ink
+const MARGIN = 0.04;          // share of each edge ignored (scanner shadows, punch holes)
+
+/** Middle of the sensitivity slider */
+export const DEFAULT_SENSITIVITY = 50;
+
+/**
+ * @typedef {Object} PageScore
+ * @property {number} ink - Share of pixels inside the margins that are ink, 0–1
+ * @property {number} noise - Share of that ink in isolated specks, 0–1
+ */
+
+/* ═══════════════════ Scoring ═══════════════════ */
+
+/**
+ * Score a rendered page. A speck is an ink pixel with no ink among its
+ * eight neighbours; text and lines, even at this size, are connected.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA
+ * @returns {PageScore}
+ */
+export function scorePageImage({ data, width, height }) {
+  const x0 = Math.floor(width * MARGIN);
+  const y0 = Math.floor(height * MARGIN);
+  const x1 = width - x0;
+  const y1 = height - y0;
+  const area = (x1 - x0) * (y1 - y0);
+  if (area <= 0) return { ink: 0, noise: 0 };
+
+  const mask = new Uint8Array(width * height);
+  let ink = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = y * width + x;
+      // Transparent pixels are paper
+      const alpha = data[i * 4 + 3] / 255;
+      const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+      if (255 - alpha * (255 - luma) < INK_LEVEL) {
+        mask[i] = 1;
+        ink++;
+      }
+    }
+  }
+  if (!ink) return { ink: 0, noise: 0 };
+
+  let specks = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      if (mask[y * width + x] && !hasInkNeighbour(mask, width, height, x, y)) specks++;
+    }
+  }
+  return { ink: ink / area, noise: specks / ink };
+}
+
+function hasInkNeighbour(mask, width, height, x, y) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (!dx && !dy) continue;
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[ny * width + nx]) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Largest share of connected ink a blank page may have at a sensitivity.
+ * 0 flags only spotless pages, 100 flags pages with a few words on them;
+ * the scale is logarithmic, 0.01% to 1%.
+ * @param {number} sensitivity - 0–100
+ * @returns {number}
+ */
+export function sensitivityToMaxInk(sensitivity) {
+  const s = Math.min(100, Math.max(0, sensitivity));
+  return 0.0001 * 100 ** (s / 100);
+}
+
+/**
+ * Whether a score reads as blank. Specks don't count toward the ink.
+ * @param {PageScore} score
+ * @param {number} [sensitivity=DEFAULT_SENSITIVITY]
+ * @returns {boolean}
+ */
+export function isBlankScore(score, sensitivity = DEFAULT_SENSITIVITY) {
+  return score.ink * (1 - score.noise) <= sensitivityToMaxInk(sensitivity);
+}
+
+/* ═══════════════════ Document Pass ═══════════════════ */
+
+/**
+ * Score one page, rendered at thumbnail size.
+ * @param {PDFDocumentProxy} pdfDoc - PDF.js document
+ * @param {number} pageNum - 1-based
+ * @returns {Promise<PageScore>}
+ */
+export async function scorePage(pdfDoc, pageNum) {
+  const canvas = await renderThumbnail(pdfDoc, pageNum, RENDER_WIDTH);
+  const ctx = canvas.getContext('2d');
+  return scorePageImage(ctx.getImageData(0, 0, canvas.width, canvas.height));
+}
+
+/**
+ * Score every page. Keep the result to re-threshold with
+ * blankPagesFromScores() as the sensitivity changes.
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {function(number, number)} [onProgress] - (done, total)
+ * @returns {Promise<PageScore[]>} index 0 = page 1
+ */
+export async function analyzePages(pdfDoc, onProgress) {
+  const scores = [];
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    scores.push(await scorePage(pdfDoc, pageNum));
+    onProgress?.(pageNum, pdfDoc.numPages);
+  }
+  return scores;
+}
+
+/**
+ * @param {PageScore[]} scores - From analyzePages()
+ * @param {number} [sensitivity=DEFAULT_SENSITIVITY]
+ * @returns {number[]} 1-based page numbers
+ */
+export function blankPagesFromScores(scores, sensitivity = DEFAULT_SENSITIVITY) {
+  const blank = [];
+  scores.forEach((score, i) => {
+    if (isBlankScore(score, sensitivity)) blank.push(i + 1);
+  });
+  return blank;
+}
+
+/**
+ * Blank pages of a document in one call.
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {Object} [opts]
+ * @param {number} [opts.sensitivity=DEFAULT_SENSITIVITY]
+ * @param {function(number, number)} [opts.onProgress] - (done, total)
+ * @returns {Promise<number[]>} 1-based page numbers
+ */
+export async function findBlankPages(pdfDoc, { sensitivity = DEFAULT_SENSITIVITY, onProgress } = {}) {
+  return blankPagesFromScores(await analyzePages(pdfDoc, onProgress), sensitivity);
+}
@@ -66,23 +66,3 @@ export function getAllThreads(pageAnnotations) {
   threads.sort((a, b) => new Date(b.thread.created) - new Date(a.thread.created));
   return threads;
 }
-
-/** Export all threads as XFDF-like XML string for interop. */
-export function exportThreadsXFDF(pageAnnotations) {
-  const threads = getAllThreads(pageAnnotations);
-  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<xfdf xmlns="http://ns.adobe.com/xfdf/">\n<annots>\n`;
-  for (const t of threads) {
-    xml += `  <text page="${t.pageNum - 1}" subject="${t.type}" date="${t.thread.created}" name="${t.thread.id}" title="${escapeXml(t.thread.author)}">\n`;
-    xml += `    <contents>${escapeXml(t.text)}</contents>\n`;
-    for (const r of t.thread.replies) {
-      xml += `    <popup date="${r.date}" title="${escapeXml(r.author)}">${escapeXml(r.text)}</popup>\n`;
-    }
-    xml += `  </text>\n`;
-  }
-  xml += `</annots>\n</xfdf>`;
-  return xml;
-}
-
-function escapeXml(s) {
-  return (s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
-}
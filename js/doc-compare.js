@@ -1,11 +1,22 @@
 /**
  * Mudbrick — Document Comparison (Phase 3)
- * Side-by-side visual comparison of two PDF documents.
- * Highlights differences at the pixel level by overlaying pages.
+ * Side-by-side comparison of two PDF documents, in two modes:
  *
- * Uses PDF.js to render each page to canvas, then compares pixels.
+ *  - Visual: renders each page pair with PDF.js and highlights the pixels
+ *    that differ.
+ *  - Text: extracts the words of both documents, runs a word-level diff
+ *    over the whole text, and highlights insertions and deletions at their
+ *    word boxes, so an inserted paragraph shows up as one change rather
+ *    than a difference on every following page. Text results also feed
+ *    the redline report (HTML or PDF).
+ *
+ * Before either diff, pages are aligned by text similarity (or a
+ * perceptual hash for pages without text), so inserted, deleted and moved
+ * pages are detected and every page is compared with its real counterpart.
  */
 
+const getPDFLib = () => window.PDFLib;
+
 /* ═══════════════════ Compare Engine ═══════════════════ */
 
 /**
@@ -15,15 +26,18 @@
  * @param {Object} opts
  * @param {number} opts.dpi - Comparison DPI (default 96)
  * @param {number} opts.threshold - Pixel diff threshold 0-255 (default 30)
+ * @param {boolean} opts.align - Match pages before comparing (default true);
+ *   false pairs page i with page i
  * @param {Function} [onProgress] - (page, total)
  * @returns {Promise<Object>} Comparison results
  */
 export async function compareDocuments(docA, docB, opts = {}, onProgress) {
-  const { dpi = 96, threshold = 30 } = opts;
+  const { dpi = 96, threshold = 30, align = true } = opts;
 
   const pagesA = docA.numPages;
   const pagesB = docB.numPages;
   const maxPages = Math.max(pagesA, pagesB);
+  const pairs = align ? await alignPages(docA, docB) : pairPagesByNumber(pagesA, pagesB);
 
   const results = {
     pagesA,
@@ -34,11 +48,13 @@ export async function compareDocuments(docA, docB, opts = {}, onProgress) {
     totalPixels: 0,
   };
 
-  for (let i = 1; i <= maxPages; i++) {
+  for (let i = 0; i < pairs.length; i++) {
+    const { pageA, pageB } = pairs[i];
     const pageResult = {
-      pageNum: i,
-      hasA: i <= pagesA,
-      hasB: i <= pagesB,
+      pageNum: i + 1,
+      ...pairs[i],
+      hasA: pageA !== null,
+      hasB: pageB !== null,
       diffPercentage: 0,
       diffPixelCount: 0,
       totalPixels: 0,
@@ -46,10 +62,10 @@ export async function compareDocuments(docA, docB, opts = {}, onProgress) {
     };
 
     try {
-      if (i <= pagesA && i <= pagesB) {
+      if (pageA !== null && pageB !== null) {
         // Compare both pages
-        const canvasA = await renderPageToCanvas(docA, i, dpi);
-        const canvasB = await renderPageToCanvas(docB, i, dpi);
+        const canvasA = await renderPageToCanvas(docA, pageA, dpi);
+        const canvasB = await renderPageToCanvas(docB, pageB, dpi);
 
         const diff = diffCanvases(canvasA, canvasB, threshold);
         pageResult.diffPercentage = diff.percentage;
@@ -61,24 +77,24 @@ export async function compareDocuments(docA, docB, opts = {}, onProgress) {
 
         results.totalDiffPixels += diff.diffCount;
         results.totalPixels += diff.totalPixels;
-      } else if (i <= pagesA) {
+      } else if (pageA !== null) {
         // Only in A
-        const canvasA = await renderPageToCanvas(docA, i, dpi);
+        const canvasA = await renderPageToCanvas(docA, pageA, dpi);
         pageResult.canvasA = canvasA;
         pageResult.diffPercentage = 100;
       } else {
         // Only in B
-        const canvasB = await renderPageToCanvas(docB, i, dpi);
+        const canvasB = await renderPageToCanvas(docB, pageB, dpi);
         pageResult.canvasB = canvasB;
         pageResult.diffPercentage = 100;
       }
     } catch (err) {
-      console.warn(`Failed to render page ${i} for comparison:`, err);
+      console.warn(`Failed to render page pair ${i + 1} for comparison:`, err);
       pageResult.error = err.message || String(err);
     }
 
     results.pages.push(pageResult);
-    onProgress?.(i, maxPages);
+    onProgress?.(i + 1, pairs.length);
   }
 
   results.overallDiffPercentage = results.totalPixels > 0
@@ -190,6 +206,552 @@ function normalizeCanvas(src, targetW, targetH) {
   return canvas;
 }
 
+/* ═══════════════════ Page Alignment ═══════════════════ */
+
+/** Pages this similar (0–1) can be aligned with each other */
+const MIN_PAGE_SIMILARITY = 0.2;
+/** An unaligned page this similar to an unaligned page elsewhere has moved there */
+const MOVE_SIMILARITY = 0.5;
+/** Pages with fewer words than this are matched by how they look instead */
+const MIN_PAGE_WORDS = 3;
+/** DPI pages are rendered at for the perceptual hash */
+const HASH_DPI = 24;
+
+/**
+ * @typedef {Object} PagePair
+ * @property {number|null} pageA   - Page in the original (null when inserted)
+ * @property {number|null} pageB   - Page in the modified document (null when deleted)
+ * @property {string} status       - 'matched', 'moved', 'inserted' or 'deleted'
+ * @property {number} similarity   - 0–1; 0 for unpaired pages
+ */
+
+/**
+ * Match the pages of two documents. Pages are compared by their words
+ * (or a perceptual hash when a page has almost no text), aligned in order
+ * so as to maximise total similarity, and then:
+ *  - an unaligned page that closely matches an unaligned page elsewhere
+ *    is paired with it as 'moved';
+ *  - leftover pages between the same two aligned pages are paired in
+ *    order, as heavily edited versions of each other;
+ *  - anything still unpaired is 'deleted' or 'inserted'.
+ * Pairs are returned in the order of the modified document, with deleted
+ * pages where they used to be.
+ * @param {Object} docA - PDF.js document (original)
+ * @param {Object} docB - PDF.js document (modified)
+ * @param {Object} [opts]
+ * @param {CompareWord[]} [opts.wordsA] - Words from extractWords(), if already read
+ * @param {CompareWord[]} [opts.wordsB]
+ * @returns {Promise<PagePair[]>}
+ */
+export async function alignPages(docA, docB, opts = {}) {
+  const sigA = await pageSignatures(docA, opts.wordsA);
+  const sigB = await pageSignatures(docB, opts.wordsB);
+  const n = sigA.length;
+  const m = sigB.length;
+
+  const sim = new Float32Array(n * m);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < m; j++) sim[i * m + j] = pageSimilarity(sigA[i], sigB[j]);
+  }
+
+  // Needleman–Wunsch style alignment maximising total similarity; gaps are free
+  const score = new Float32Array((n + 1) * (m + 1));
+  const at = (i, j) => score[i * (m + 1) + j];
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const s = sim[(i - 1) * m + j - 1];
+      const diag = s >= MIN_PAGE_SIMILARITY ? at(i - 1, j - 1) + s : -1;
+      score[i * (m + 1) + j] = Math.max(at(i - 1, j), at(i, j - 1), diag);
+    }
+  }
+
+  // Walk back, preferring gaps on ties so matches land as early as possible
+  const steps = [];
+  for (let i = n, j = m; i > 0 || j > 0;) {
+    if (j > 0 && at(i, j) === at(i, j - 1)) {
+      steps.push({ b: j-- });
+    } else if (i > 0 && (j === 0 || at(i, j) === at(i - 1, j))) {
+      steps.push({ a: i-- });
+    } else {
+      steps.push({ a: i, b: j, similarity: sim[(i - 1) * m + j - 1] });
+      i--;
+      j--;
+    }
+  }
+  steps.reverse();
+
+  // Unaligned pages that closely match another unaligned page have moved
+  const unalignedA = steps.filter(st => st.b === undefined).map(st => st.a);
+  const moves = new Map(); // pageB → { pageA, similarity }
+  for (const st of steps) {
+    if (st.a !== undefined) continue;
+    let best = null;
+    for (const a of unalignedA) {
+      const s = sim[(a - 1) * m + st.b - 1];
+      if (s >= MOVE_SIMILARITY && (!best || s > best.similarity)) best = { pageA: a, similarity: s };
+    }
+    if (best) {
+      moves.set(st.b, best);
+      unalignedA.splice(unalignedA.indexOf(best.pageA), 1);
+    }
+  }
+  const movedA = new Set([...moves.values()].map(mv => mv.pageA));
+
+  const pairs = [];
+  let gapA = [];
+  let gapB = [];
+  const flushGap = () => {
+    for (const b of gapB) {
+      const move = moves.get(b);
+      if (move) {
+        pairs.push({ pageA: move.pageA, pageB: b, status: 'moved', similarity: move.similarity });
+      } else if (gapA.length) {
+        const a = gapA.shift();
+        pairs.push({ pageA: a, pageB: b, status: 'matched', similarity: sim[(a - 1) * m + b - 1] });
+      } else {
+        pairs.push({ pageA: null, pageB: b, status: 'inserted', similarity: 0 });
+      }
+    }
+    for (const a of gapA) pairs.push({ pageA: a, pageB: null, status: 'deleted', similarity: 0 });
+    gapA = [];
+    gapB = [];
+  };
+  for (const st of steps) {
+    if (st.a !== undefined && st.b !== undefined) {
+      flushGap();
+      pairs.push({ pageA: st.a, pageB: st.b, status: 'matched', similarity: st.similarity });
+    } else if (st.a !== undefined) {
+      if (!movedA.has(st.a)) gapA.push(st.a);
+    } else {
+      gapB.push(st.b);
+    }
+  }
+  flushGap();
+  return pairs;
+}
+
+/** Page i of A with page i of B, as compare did before alignment */
+function pairPagesByNumber(pagesA, pagesB) {
+  return Array.from({ length: Math.max(pagesA, pagesB) }, (_, i) => {
+    const pageA = i < pagesA ? i + 1 : null;
+    const pageB = i < pagesB ? i + 1 : null;
+    const status = pageA && pageB ? 'matched' : pageA ? 'deleted' : 'inserted';
+    return { pageA, pageB, status, similarity: pageA && pageB ? 1 : 0 };
+  });
+}
+
+/**
+ * Per page: a bag of normalised words, or a perceptual hash when the page
+ * has too few words to go by. Unreadable text counts as no text.
+ */
+async function pageSignatures(pdfDoc, words) {
+  if (!words) {
+    try {
+      words = await extractWords(pdfDoc);
+    } catch {
+      words = [];
+    }
+  }
+  const sigs = Array.from({ length: pdfDoc.numPages }, () => ({ bag: new Map(), count: 0, hash: null }));
+  for (const w of words) {
+    const sig = sigs[w.pageNum - 1];
+    const key = normalizeWord(w.text).toLowerCase();
+    sig.bag.set(key, (sig.bag.get(key) || 0) + 1);
+    sig.count++;
+  }
+  for (let i = 0; i < sigs.length; i++) {
+    if (sigs[i].count >= MIN_PAGE_WORDS) continue;
+    try {
+      sigs[i].hash = await pageHash(pdfDoc, i + 1);
+    } catch {
+      sigs[i].hash = null;
+    }
+  }
+  return sigs;
+}
+
+/**
+ * Similarity of two page signatures, 0–1: the overlap of their word bags
+ * (shared words over all words), or for pages with little text, how many
+ * hash bits agree.
+ */
+function pageSimilarity(a, b) {
+  if (a.hash || b.hash) {
+    if (!a.hash || !b.hash) return 0;
+    let same = 0;
+    for (let k = 0; k < a.hash.length; k++) if (a.hash[k] === b.hash[k]) same++;
+    return same / a.hash.length;
+  }
+  let shared = 0;
+  for (const [word, count] of a.bag) shared += Math.min(count, b.bag.get(word) || 0);
+  const union = a.count + b.count - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Difference hash of a page: render small, shrink to 9×8 greyscale and
+ * record whether each pixel is brighter than its right-hand neighbour.
+ * @returns {Promise<Uint8Array>} 64 bits, one per byte
+ */
+async function pageHash(pdfDoc, pageNum) {
+  const source = await renderPageToCanvas(pdfDoc, pageNum, HASH_DPI);
+  const small = document.createElement('canvas');
+  small.width = 9;
+  small.height = 8;
+  const ctx = small.getContext('2d');
+  ctx.drawImage(source, 0, 0, 9, 8);
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+  const bits = new Uint8Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const p = (y * 9 + x) * 4;
+      const left = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+      const right = data[p + 4] * 0.299 + data[p + 5] * 0.587 + data[p + 6] * 0.114;
+      bits[y * 8 + x] = left > right ? 1 : 0;
+    }
+  }
+  return bits;
+}
+
+/* ═══════════════════ Text Comparison ═══════════════════ */
+
+/** Highlight colours for text changes, drawn over the rendered pages */
+const TEXT_CHANGE_COLORS = {
+  delete: 'rgba(220, 38, 38, 0.35)',
+  insert: 'rgba(22, 163, 74, 0.35)',
+};
+
+/** Words of context kept on each side of a change for the report */
+const CONTEXT_WORDS = 6;
+
+/**
+ * @typedef {Object} CompareWord
+ * @property {string} text
+ * @property {number} pageNum - 1-based
+ * @property {number} x       - Box in page coordinates at scale 1, top-left origin
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} TextChange
+ * @property {string} type     - 'insert', 'delete' or 'replace'
+ * @property {CompareWord[]} wordsA - Words removed from the original
+ * @property {CompareWord[]} wordsB - Words added in the modified document
+ * @property {number} pageA    - Original page the change is on (or next to)
+ * @property {number} pageB    - Modified page the change is on (or next to)
+ * @property {string} before   - Unchanged words just before the change
+ * @property {string} after    - Unchanged words just after the change
+ */
+
+/**
+ * Compare the text of two PDF documents word by word.
+ * Pages are aligned first and the original's words are put in the order
+ * of the aligned pages, so a moved page diffs against the page it moved
+ * to. The result has the same page list shape as compareDocuments(), with
+ * the changed words highlighted on canvasA (deletions) and canvasB
+ * (insertions), plus the list of changes for reporting.
+ * @param {Object} docA - PDF.js document (original)
+ * @param {Object} docB - PDF.js document (modified)
+ * @param {Object} opts
+ * @param {number} opts.dpi - Render DPI (default 96)
+ * @param {boolean} opts.align - Match pages before comparing (default true)
+ * @param {Function} [onProgress] - (step, total)
+ * @returns {Promise<Object>} Comparison results with mode 'text'
+ */
+export async function compareDocumentText(docA, docB, opts = {}, onProgress) {
+  const { dpi = 96, align = true } = opts;
+  const pagesA = docA.numPages;
+  const pagesB = docB.numPages;
+  const maxPages = Math.max(pagesA, pagesB);
+  let step = 0;
+  let total = pagesA + pagesB + maxPages;
+  const tick = () => onProgress?.(++step, total);
+
+  const wordsA = await extractWords(docA, tick);
+  const wordsB = await extractWords(docB, tick);
+  const pairs = align
+    ? await alignPages(docA, docB, { wordsA, wordsB })
+    : pairPagesByNumber(pagesA, pagesB);
+  total = pagesA + pagesB + pairs.length;
+
+  const rank = new Map(pairs.filter(p => p.pageA !== null).map((p, i) => [p.pageA, i]));
+  const orderedA = wordsA.slice().sort((x, y) => rank.get(x.pageNum) - rank.get(y.pageNum));
+  const changes = diffWords(orderedA, wordsB);
+
+  const results = {
+    mode: 'text',
+    pagesA,
+    pagesB,
+    maxPages,
+    pages: [],
+    changes,
+    wordsA: wordsA.length,
+    wordsB: wordsB.length,
+    insertions: changes.filter(c => c.type === 'insert').length,
+    deletions: changes.filter(c => c.type === 'delete').length,
+    replacements: changes.filter(c => c.type === 'replace').length,
+  };
+
+  const removed = changes.flatMap(c => c.wordsA);
+  const added = changes.flatMap(c => c.wordsB);
+  const changedA = countByPage(removed);
+  const changedB = countByPage(added);
+  const totalA = countByPage(wordsA);
+  const totalB = countByPage(wordsB);
+
+  for (let i = 0; i < pairs.length; i++) {
+    const { pageA, pageB } = pairs[i];
+    const words = (totalA[pageA] || 0) + (totalB[pageB] || 0);
+    const changed = (changedA[pageA] || 0) + (changedB[pageB] || 0);
+    const pageResult = {
+      pageNum: i + 1,
+      ...pairs[i],
+      hasA: pageA !== null,
+      hasB: pageB !== null,
+      changeCount: changes.filter(c => c.wordsA.some(w => w.pageNum === pageA) || c.wordsB.some(w => w.pageNum === pageB)).length,
+      diffPercentage: words > 0 ? changed / words * 100 : 0,
+      diffCanvas: null,
+    };
+
+    try {
+      if (pageA !== null) {
+        pageResult.canvasA = await renderPageToCanvas(docA, pageA, dpi);
+        highlightWords(pageResult.canvasA, removed.filter(w => w.pageNum === pageA), TEXT_CHANGE_COLORS.delete, dpi);
+      }
+      if (pageB !== null) {
+        pageResult.canvasB = await renderPageToCanvas(docB, pageB, dpi);
+        highlightWords(pageResult.canvasB, added.filter(w => w.pageNum === pageB), TEXT_CHANGE_COLORS.insert, dpi);
+      }
+    } catch (err) {
+      console.warn(`Failed to render page pair ${i + 1} for comparison:`, err);
+      pageResult.error = err.message || String(err);
+    }
+
+    results.pages.push(pageResult);
+    tick();
+  }
+
+  const changedWords = removed.length + added.length;
+  results.overallDiffPercentage = wordsA.length + wordsB.length > 0
+    ? changedWords / (wordsA.length + wordsB.length) * 100
+    : 0;
+
+  return results;
+}
+
+/**
+ * Extract every word of a document with its box.
+ * Text items are split on whitespace; a word that PDF.js split across
+ * items (kerning, font changes) is joined back when the pieces touch on
+ * the same line. Characters share an item's width evenly.
+ * @param {Object} pdfDoc - PDF.js document
+ * @param {Function} [onPage] - Called after each page
+ * @returns {Promise<CompareWord[]>}
+ */
+export async function extractWords(pdfDoc, onPage) {
+  const words = [];
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    const page = await pdfDoc.getPage(pageNum);
+    const viewport = page.getViewport({ scale: 1 });
+    const { items } = await page.getTextContent();
+    let current = null;
+
+    for (const item of items) {
+      const str = item.str || '';
+      if (str) {
+        const tx = multiplyTransform(viewport.transform, item.transform);
+        const fontSize = Math.hypot(tx[2], tx[3]);
+        const charWidth = item.width / str.length;
+        const top = tx[5] - fontSize;
+
+        // Continue a word from the previous item only when the pieces touch
+        if (current && !(Math.abs(current.y - top) < fontSize * 0.5 &&
+            Math.abs(tx[4] - (current.x + current.width)) < fontSize * 0.25)) {
+          current = null;
+        }
+        for (let i = 0; i < str.length; i++) {
+          if (/\s/.test(str[i])) {
+            current = null;
+            continue;
+          }
+          const x = tx[4] + charWidth * i;
+          if (current) {
+            current.text += str[i];
+            current.width = x + charWidth - current.x;
+          } else {
+            current = { text: str[i], pageNum, x, y: top, width: charWidth, height: fontSize };
+            words.push(current);
+          }
+        }
+      }
+      if (item.hasEOL) current = null;
+    }
+    onPage?.(pageNum);
+  }
+  return words;
+}
+
+/**
+ * Word-level diff of two word lists (Myers' algorithm, linear space).
+ * Adjacent deletions and insertions are merged into one 'replace' change.
+ * @param {CompareWord[]} wordsA
+ * @param {CompareWord[]} wordsB
+ * @returns {TextChange[]}
+ */
+export function diffWords(wordsA, wordsB) {
+  const a = wordsA.map(w => normalizeWord(w.text));
+  const b = wordsB.map(w => normalizeWord(w.text));
+  const changes = [];
+
+  let pending = null;
+  const flush = () => {
+    if (!pending) return;
+    const { aStart, aEnd, bStart, bEnd } = pending;
+    const removed = wordsA.slice(aStart, aEnd);
+    const added = wordsB.slice(bStart, bEnd);
+    changes.push({
+      type: removed.length && added.length ? 'replace' : removed.length ? 'delete' : 'insert',
+      wordsA: removed,
+      wordsB: added,
+      pageA: (wordsA[aStart] || wordsA[aStart - 1])?.pageNum || 1,
+      pageB: (wordsB[bStart] || wordsB[bStart - 1])?.pageNum || 1,
+      before: wordsA.slice(Math.max(0, aStart - CONTEXT_WORDS), aStart).map(w => w.text).join(' '),
+      after: wordsA.slice(aEnd, aEnd + CONTEXT_WORDS).map(w => w.text).join(' '),
+    });
+    pending = null;
+  };
+
+  diffSequences(a, b, (type, ai, bi) => {
+    if (type === 'equal') {
+      flush();
+      return;
+    }
+    if (!pending) pending = { aStart: ai, aEnd: ai, bStart: bi, bEnd: bi };
+    if (type === 'delete') pending.aEnd = ai + 1;
+    else pending.bEnd = bi + 1;
+  });
+  flush();
+  return changes;
+}
+
+/**
+ * Myers' O(ND) diff in linear space: find the middle snake, then recurse
+ * on each side. Calls visit(type, aIndex, bIndex) for every element in
+ * order, with type 'equal', 'delete' (a[aIndex]) or 'insert' (b[bIndex]).
+ * For inserts aIndex is where the element goes in a, and vice versa.
+ */
+function diffSequences(a, b, visit) {
+  const recurse = (aLo, aHi, bLo, bHi) => {
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) visit('equal', aLo++, bLo++);
+    let suffix = 0;
+    while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) { aHi--; bHi--; suffix++; }
+
+    if (aLo === aHi) {
+      for (let j = bLo; j < bHi; j++) visit('insert', aLo, j);
+    } else if (bLo === bHi) {
+      for (let i = aLo; i < aHi; i++) visit('delete', i, bLo);
+    } else {
+      const [x, y, u, v] = middleSnake(a, aLo, aHi, b, bLo, bHi);
+      recurse(aLo, aLo + x, bLo, bLo + y);
+      for (let k = 0; k < u - x; k++) visit('equal', aLo + x + k, bLo + y + k);
+      recurse(aLo + u, aHi, bLo + v, bHi);
+    }
+
+    for (let k = 0; k < suffix; k++) visit('equal', aHi + k, bHi + k);
+  };
+  recurse(0, a.length, 0, b.length);
+}
+
+/**
+ * The middle snake of the shortest edit script between a[aLo..aHi) and
+ * b[bLo..bHi), as [x, y, u, v] relative to aLo/bLo: the snake runs from
+ * (x, y) to (u, v). Both ranges are non-empty.
+ */
+function middleSnake(a, aLo, aHi, b, bLo, bHi) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  // vf[k]: furthest x on forward diagonal k; vb[c]: furthest distance from
+  // the end on backward diagonal c, where c = delta - k
+  const vf = new Int32Array(2 * max + 3);
+  const vb = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1]))
+        ? vf[offset + k + 1]
+        : vf[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) { x++; y++; }
+      vf[offset + k] = x;
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + vb[offset + c] >= n) {
+        return [x0, y0, x, y];
+      }
+    }
+
+    for (let c = -d; c <= d; c += 2) {
+      let x = (c === -d || (c !== d && vb[offset + c - 1] < vb[offset + c + 1]))
+        ? vb[offset + c + 1]
+        : vb[offset + c - 1] + 1;
+      let y = x - c;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) { x++; y++; }
+      vb[offset + c] = x;
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + vf[offset + k] >= n) {
+        return [n - x, m - y, n - x0, m - y0];
+      }
+    }
+  }
+  // Unreachable for non-empty ranges: the paths always meet by d = max
+  return [0, 0, 0, 0];
+}
+
+/** Compare words ignoring typographic variants that PDF producers swap freely */
+function normalizeWord(text) {
+  return text.normalize('NFKC')
+    .replace(/[‘’‚′]/g, "'")
+    .replace(/[“”„″]/g, '"')
+    .replace(/[‐‑‒–]/g, '-');
+}
+
+function countByPage(words) {
+  const counts = {};
+  for (const w of words) counts[w.pageNum] = (counts[w.pageNum] || 0) + 1;
+  return counts;
+}
+
+/** Fill translucent boxes over words on a page rendered at the given DPI */
+function highlightWords(canvas, words, color, dpi) {
+  if (!words.length) return;
+  const scale = dpi / 72;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = color;
+  for (const w of words) {
+    ctx.fillRect(w.x * scale, w.y * scale, w.width * scale, w.height * scale);
+  }
+}
+
+function multiplyTransform(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
 /* ═══════════════════ Comparison Report ═══════════════════ */
 
 /**
@@ -198,6 +760,8 @@ function normalizeCanvas(src, targetW, targetH) {
  * @returns {string}
  */
 export function generateCompareReport(results) {
+  if (results.mode === 'text') return generateTextCompareReport(results);
+
   const lines = [
     'DOCUMENT COMPARISON REPORT',
     '═'.repeat(50),
@@ -217,13 +781,229 @@ export function generateCompareReport(results) {
                    page.diffPercentage < 10 ? '[Modified]' :
                    '[Significantly changed]';
 
-    lines.push(`  Page ${page.pageNum}: ${status}  (${page.diffPercentage.toFixed(2)}% different)`);
+    lines.push(`  Page ${page.pageNum}: ${status}${pairLabel(page)}  (${page.diffPercentage.toFixed(2)}% different)`);
   }
 
   lines.push('', '═'.repeat(50));
   return lines.join('\n');
 }
 
+/** " A p. 3 ↔ B p. 4 (moved)" for aligned pages; empty for plain page-number results */
+function pairLabel(page) {
+  if (!page.status) return '';
+  return `  A p. ${page.pageA ?? '—'} ↔ B p. ${page.pageB ?? '—'}${page.status === 'moved' ? ' (moved)' : ''}`;
+}
+
+function generateTextCompareReport(results) {
+  const lines = [
+    'DOCUMENT COMPARISON REPORT (TEXT)',
+    '═'.repeat(50),
+    '',
+    `Document A: ${results.pagesA} page(s), ${results.wordsA} word(s)`,
+    `Document B: ${results.pagesB} page(s), ${results.wordsB} word(s)`,
+    `Changes: ${results.changes.length} (${results.insertions} inserted, ${results.deletions} deleted, ${results.replacements} replaced)`,
+    '',
+  ];
+
+  // Page alignment, when any page was inserted, deleted or moved
+  const shifted = results.pages.filter(p => p.status && (p.status !== 'matched' || p.pageA !== p.pageB));
+  if (shifted.length) {
+    lines.push('── Page Alignment ' + '─'.repeat(32));
+    for (const page of shifted) {
+      const label = page.status === 'inserted' ? `B p. ${page.pageB} inserted`
+        : page.status === 'deleted' ? `A p. ${page.pageA} deleted`
+        : `A p. ${page.pageA} → B p. ${page.pageB}${page.status === 'moved' ? ' (moved)' : ''}`;
+      lines.push(`  ${label}`);
+    }
+    lines.push('');
+  }
+
+  lines.push('── Changes ' + '─'.repeat(39));
+
+  results.changes.forEach((change, i) => {
+    lines.push(`  ${i + 1}. ${CHANGE_LABELS[change.type]}  (A p. ${change.pageA}, B p. ${change.pageB})`);
+    if (change.wordsA.length) lines.push(`     - ${wordText(change.wordsA)}`);
+    if (change.wordsB.length) lines.push(`     + ${wordText(change.wordsB)}`);
+  });
+  if (!results.changes.length) lines.push('  No text differences.');
+
+  lines.push('', '═'.repeat(50));
+  return lines.join('\n');
+}
+
+const CHANGE_LABELS = { insert: 'Inserted', delete: 'Deleted', replace: 'Changed' };
+
+function wordText(words) {
+  return words.map(w => w.text).join(' ');
+}
+
+/* ═══════════════════ Redline Report ═══════════════════ */
+
+/**
+ * Redline report as a standalone HTML page: a summary, then each change
+ * with its page references and surrounding text, deletions struck
+ * through in red and insertions underlined in blue.
+ * @param {Object} results - From compareDocumentText()
+ * @param {Object} [opts]
+ * @param {string} [opts.nameA='Original']
+ * @param {string} [opts.nameB='Modified']
+ * @param {Date}   [opts.date=new Date()]
+ * @returns {string}
+ */
+export function buildRedlineHTML(results, { nameA = 'Original', nameB = 'Modified', date = new Date() } = {}) {
+  const esc = escapeHtml;
+  const rows = results.changes.map((change, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td>${CHANGE_LABELS[change.type]}</td>
+      <td>${change.pageA}</td>
+      <td>${change.pageB}</td>
+      <td>${change.before ? `${esc(change.before)} ` : ''}${
+        change.wordsA.length ? `<del>${esc(wordText(change.wordsA))}</del> ` : ''}${
+        change.wordsB.length ? `<ins>${esc(wordText(change.wordsB))}</ins> ` : ''}${esc(change.after)}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Redline — ${esc(nameA)} vs. ${esc(nameB)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #111; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .meta { color: #555; margin-bottom: 16px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f4f5; font-size: 12px; }
+  td:nth-child(-n+4) { white-space: nowrap; }
+  del { color: #b91c1c; background: #fee2e2; }
+  ins { color: #1d4ed8; background: #dbeafe; }
+</style>
+</head>
+<body>
+<h1>Redline Report</h1>
+<div class="meta">
+  Original: ${esc(nameA)} (${results.pagesA} page${results.pagesA === 1 ? '' : 's'})<br>
+  Modified: ${esc(nameB)} (${results.pagesB} page${results.pagesB === 1 ? '' : 's'})<br>
+  ${esc(date.toLocaleDateString())} · ${results.changes.length} change${results.changes.length === 1 ? '' : 's'}:
+  ${results.insertions} inserted, ${results.deletions} deleted, ${results.replacements} replaced
+</div>
+${results.changes.length ? `<table>
+  <thead><tr><th>#</th><th>Change</th><th>Original Page</th><th>Modified Page</th><th>Text</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>` : '<p>No text differences.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Redline report as a Letter PDF, with the same content as
+ * buildRedlineHTML(): each change numbered with its page references and
+ * its text in context, deletions red and struck through, insertions blue
+ * and underlined.
+ * @param {Object} results - From compareDocumentText()
+ * @param {Object} [opts] - Same as buildRedlineHTML()
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildRedlinePDF(results, { nameA = 'Original', nameB = 'Modified', date = new Date() } = {}) {
+  const { PDFDocument, StandardFonts, rgb } = getPDFLib();
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const [W, H] = [612, 792];
+  const margin = 54;
+  const size = 10;
+  const lineHeight = 14;
+  const colors = {
+    context: rgb(0.1, 0.1, 0.1),
+    delete: rgb(0.73, 0.11, 0.11),
+    insert: rgb(0.11, 0.31, 0.85),
+  };
+
+  let page = doc.addPage([W, H]);
+  let y = H - margin;
+  const ensureRoom = (height) => {
+    if (y - height >= margin) return;
+    page = doc.addPage([W, H]);
+    y = H - margin;
+  };
+
+  page.drawText('Redline Report', { x: margin, y: y - 16, size: 16, font: bold });
+  y -= 34;
+  const summary = [
+    `Original: ${nameA} (${results.pagesA} pages)`,
+    `Modified: ${nameB} (${results.pagesB} pages)`,
+    `${date.toLocaleDateString()}  ·  ${results.changes.length} changes: ${results.insertions} inserted, ` +
+      `${results.deletions} deleted, ${results.replacements} replaced`,
+  ];
+  for (const line of summary) {
+    page.drawText(pdfSafe(line), { x: margin, y, size: 9, font, color: rgb(0.35, 0.35, 0.35) });
+    y -= 13;
+  }
+  y -= 10;
+
+  if (!results.changes.length) {
+    page.drawText('No text differences.', { x: margin, y, size, font });
+    return doc.save();
+  }
+
+  results.changes.forEach((change, i) => {
+    ensureRoom(lineHeight * 2 + 8);
+    page.drawText(`${i + 1}. ${CHANGE_LABELS[change.type]}  —  Original p. ${change.pageA}  ·  Modified p. ${change.pageB}`, {
+      x: margin, y, size: 9, font: bold,
+    });
+    y -= lineHeight;
+
+    // Lay the change out word by word, wrapping at the margin
+    const runs = [
+      ...splitRun(change.before, 'context'),
+      ...splitRun(wordText(change.wordsA), 'delete'),
+      ...splitRun(wordText(change.wordsB), 'insert'),
+      ...splitRun(change.after, 'context'),
+    ];
+    const space = font.widthOfTextAtSize(' ', size);
+    let x = margin + 12;
+    for (const run of runs) {
+      const text = pdfSafe(run.text);
+      const width = font.widthOfTextAtSize(text, size);
+      if (x + width > W - margin && x > margin + 12) {
+        y -= lineHeight;
+        ensureRoom(lineHeight);
+        x = margin + 12;
+      }
+      page.drawText(text, { x, y, size, font, color: colors[run.style] });
+      if (run.style === 'delete') {
+        page.drawLine({ start: { x, y: y + size * 0.3 }, end: { x: x + width, y: y + size * 0.3 }, thickness: 0.8, color: colors.delete });
+      } else if (run.style === 'insert') {
+        page.drawLine({ start: { x, y: y - 1.5 }, end: { x: x + width, y: y - 1.5 }, thickness: 0.8, color: colors.insert });
+      }
+      x += width + space;
+    }
+    y -= lineHeight + 8;
+  });
+
+  return doc.save();
+}
+
+function splitRun(text, style) {
+  return text ? text.split(/\s+/).filter(Boolean).map(word => ({ text: word, style })) : [];
+}
+
+/** Replace characters the standard fonts cannot encode */
+function pdfSafe(text) {
+  return String(text).replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”…]/g, '?');
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /* ═══════════════════ Side-by-Side Rendering ═══════════════════ */
 
 /**
@@ -16,7 +16,7 @@ const AUTO_SAVE_INTERVAL = 60000; // 60 seconds
 /** Map of error categories to user-friendly messages */
 const ERROR_MESSAGES = {
   'file-corrupt': 'This PDF file appears to be corrupted or damaged. Please try a different file.',
-  'file-encrypted': 'This PDF is password-protected. Mudbrick does not currently support encrypted PDFs.',
+  'file-encrypted': 'This PDF is password-protected and could not be unlocked.',
   'file-too-large': 'This file is very large and may cause performance issues or run out of memory.',
   'file-not-pdf': 'This file does not appear to be a valid PDF. Please check the file and try again.',
   'memory': 'The browser ran out of memory. Try closing other tabs or using a smaller file.',
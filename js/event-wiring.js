@@ -13,13 +13,15 @@ import {
   renderCurrentPage, setZoom, zoomIn, zoomOut,
   fitWidth, fitPage, setZoomThrottled, setPendingScrollRestore,
 } from './renderer.js';
-import { goToPage, prevPage, nextPage, firstPage, lastPage } from './navigation.js';
+import {
+  goToPage, prevPage, nextPage, firstPage, lastPage, goToPageInput, parsePageRangeInput,
+} from './navigation.js';
 import { closeDropdown, hideContextMenu, showContextMenu, showAnnotationContextMenu } from './menus.js';
 
 // Annotation imports
 import {
   setTool, savePageAnnotations, deleteSelected,
-  updateToolOptions, getCanvas, getAnnotations,
+  updateToolOptions, getToolOptions, getCanvas,
   copySelected, pasteClipboard, duplicateSelected,
   updateSelectedNoteText,
 } from './annotations.js';
@@ -27,13 +29,14 @@ import {
 // Feature module imports used directly in wireEvents
 import { getNextZoom } from './pdf-engine.js';
 import {
-  toast, showLoading, hideLoading, debounce, downloadBlob, parsePageRanges,
+  toast, showLoading, hideLoading, debounce, downloadBlob, formatDuration,
 } from './utils.js';
 import { rotatePage, deletePage, reorderPages, insertBlankPage } from './pdf-edit.js';
 import { openSignatureModal, closeSignatureModal } from './signatures.js';
 import {
   runOCR, hasOCRResults, getOCRTextEntries, enableCorrectionMode,
-  disableCorrectionMode, exportOCRText, getOCRStats,
+  disableCorrectionMode, exportOCRText, getOCRStats, defaultOCRWorkers, ocrDocumentKey,
+  exportHOCR, exportALTO, importOCR,
 } from './ocr.js';
 import {
   detectFormFields, detectFormFieldsPdfJs,
@@ -44,7 +47,6 @@ import {
 import { followLink, normalizeURL } from './links.js';
 import {
   getAuthorName, setAuthorName, addReply, setThreadStatus,
-  exportThreadsXFDF,
 } from './comments.js';
 import {
   isTextEditActive,
@@ -54,6 +56,7 @@ import {
 import { setLabelRange, clearLabels } from './page-labels.js';
 import { announceToScreenReader, cycleRegion } from './a11y.js';
 import { showTip } from './onboarding.js';
+import { REDACTION_REASONS } from './redaction-log.js';
 
 /* ── Callback bridge to app.js feature handlers ── */
 
@@ -232,15 +235,12 @@ export function wireEvents() {
   DOM.btnPrev.addEventListener('click', prevPage);
   DOM.btnNext.addEventListener('click', nextPage);
   if (DOM.btnLast) DOM.btnLast.addEventListener('click', lastPage);
-  DOM.pageInput.addEventListener('change', () => {
-    const val = parseInt(DOM.pageInput.value);
-    if (!isNaN(val)) goToPage(val);
-  });
+  // Page box takes labels ("xii", "A-3") as well as page numbers
+  DOM.pageInput.addEventListener('change', () => goToPageInput(DOM.pageInput.value));
   DOM.pageInput.addEventListener('keydown', e => {
     if (e.key === 'Enter') {
       e.preventDefault();
-      const val = parseInt(DOM.pageInput.value);
-      if (!isNaN(val)) goToPage(val);
+      goToPageInput(DOM.pageInput.value);
       DOM.pageInput.blur();
     }
   });
@@ -281,6 +281,7 @@ export function wireEvents() {
 
   // Merge modal
   $('btn-merge').addEventListener('click', () => _appCallbacks.openMergeModal?.());
+  $('merge-mode').addEventListener('change', () => _appCallbacks.updateMergeControls?.());
   $('merge-drop-zone').addEventListener('click', () => $('merge-file-input').click());
   $('merge-file-input').addEventListener('change', e => {
     if (e.target.files.length) _appCallbacks.addMergeFiles?.(Array.from(e.target.files));
@@ -296,7 +297,15 @@ export function wireEvents() {
 
   // Split modal
   $('btn-split').addEventListener('click', () => _appCallbacks.openSplitModal?.());
+  $('split-strategy').addEventListener('change', () => _appCallbacks.updateSplitStrategy?.());
   $('split-range-input').addEventListener('input', () => _appCallbacks.updateSplitPreview?.());
+  $('split-every-n').addEventListener('input', () => _appCallbacks.updateSplitPreview?.());
+  $('split-max-mb').addEventListener('input', () => _appCallbacks.updateSplitPreview?.());
+  document.querySelectorAll('input[name="split-separator"]').forEach(radio => {
+    radio.addEventListener('change', () => _appCallbacks.updateSplitPreview?.());
+  });
+  $('split-keyword').addEventListener('input', () => _appCallbacks.updateSplitPreview?.());
+  $('btn-split-preview').addEventListener('click', () => _appCallbacks.previewSplit?.());
   $('btn-split-execute').addEventListener('click', () => _appCallbacks.executeSplit?.());
 
   // Close modals — delegates to dedicated close functions for complex modals,
@@ -313,6 +322,7 @@ export function wireEvents() {
       if (modal === 'signature') closeSignatureModal();
       if (modal === 'ocr') _appCallbacks.closeModal?.('ocr-modal-backdrop');
       if (modal === 'encrypt') _appCallbacks.closeModal?.('encrypt-modal-backdrop');
+      if (modal === 'password') _appCallbacks.cancelPasswordPrompt?.();
       if (modal === 'metadata') _appCallbacks.closeModal?.('metadata-modal-backdrop');
       if (modal === 'redact-search') _appCallbacks.closeModal?.('redact-search-modal-backdrop');
       if (modal === 'export-image') _appCallbacks.closeModal?.('export-image-modal-backdrop');
@@ -326,6 +336,7 @@ export function wireEvents() {
       if (modal === 'shortcuts') _appCallbacks.closeModal?.('shortcuts-modal-backdrop');
       if (modal === 'about') _appCallbacks.closeModal?.('about-modal-backdrop');
       if (modal === 'normalize') _appCallbacks.closeModal?.('normalize-modal-backdrop');
+      if (modal === 'collate') _appCallbacks.closeModal?.('collate-modal-backdrop');
       if (modal === 'page-labels') {
         _appCallbacks.closeModal?.('page-labels-modal-backdrop');
         // Restore previously saved ranges on cancel
@@ -435,6 +446,12 @@ export function wireEvents() {
     // Update font family
     const ff = $('prop-font-family');
     if (ff && obj.fontFamily) ff.value = obj.fontFamily;
+    // Show the reason of a selected redaction
+    if (obj.mudbrickType === 'redact') {
+      $('panel-tool-props').style.display = '';
+      $('prop-redact-reason-row').style.display = '';
+      $('prop-redact-reason').value = obj.redactReason || '';
+    }
   }
 
   // Properties panel — color swatches
@@ -507,6 +524,16 @@ export function wireEvents() {
     });
   }
 
+  // Properties panel — redaction reason (presets offered, any code accepted)
+  const reasonInput = $('prop-redact-reason');
+  if (reasonInput) {
+    $('redact-reason-list').innerHTML = REDACTION_REASONS
+      .map(r => `<option value="${r.code}">${r.label}</option>`).join('');
+    reasonInput.addEventListener('change', () => {
+      updateToolOptions({ redactReason: reasonInput.value.trim() });
+    });
+  }
+
   // Properties panel — shape picker
   document.querySelectorAll('#shape-picker .shape-pick').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -637,12 +664,6 @@ export function wireEvents() {
     _appCallbacks.refreshCommentsSidebar?.();
   });
   $('comment-filter-status')?.addEventListener('change', () => _appCallbacks.refreshCommentsSidebar?.());
-  $('btn-export-comments-xfdf')?.addEventListener('click', () => {
-    const xml = exportThreadsXFDF(getAnnotations());
-    const blob = new Blob([xml], { type: 'application/xml' });
-    downloadBlob(blob, (State.fileName || 'document').replace(/\.pdf$/i, '') + '-comments.xfdf');
-    toast('Comments exported as XFDF', 'success');
-  });
   // Author name
   const authorInput = $('author-name-input');
   if (authorInput) {
@@ -652,6 +673,7 @@ export function wireEvents() {
 
   // Normalize Page Sizes modal
   $('btn-normalize-execute').addEventListener('click', () => _appCallbacks.executeNormalize?.());
+  $('btn-collate-execute').addEventListener('click', () => _appCallbacks.executeCollate?.());
 
   // Bates Numbering modal
   $('btn-bates').addEventListener('click', () => _appCallbacks.openBatesModal?.());
@@ -660,6 +682,20 @@ export function wireEvents() {
   ['bates-prefix', 'bates-suffix', 'bates-start', 'bates-pad'].forEach(id => {
     $(id).addEventListener('input', () => _appCallbacks.updateBatesPreview?.());
   });
+  // Production sets number several PDFs instead of the open document
+  $('bates-mode').addEventListener('change', () => _appCallbacks.updateBatesMode?.());
+  $('bates-load-files').addEventListener('change', () => _appCallbacks.updateBatesMode?.());
+  $('bates-production-drop-zone').addEventListener('click', () => $('bates-production-file-input').click());
+  $('bates-production-file-input').addEventListener('change', e => {
+    if (e.target.files.length) _appCallbacks.addBatesProductionFiles?.(Array.from(e.target.files));
+    e.target.value = '';
+  });
+  $('bates-production-drop-zone').addEventListener('dragover', e => e.preventDefault());
+  $('bates-production-drop-zone').addEventListener('drop', e => {
+    e.preventDefault();
+    const files = Array.from(e.dataTransfer.files).filter(f => f.name.toLowerCase().endsWith('.pdf'));
+    if (files.length) _appCallbacks.addBatesProductionFiles?.(files);
+  });
   // Toggle custom range visibility
   $('bates-page-range').addEventListener('change', () => {
     const custom = $('bates-custom-range');
@@ -715,10 +751,73 @@ export function wireEvents() {
   $('btn-ocr').addEventListener('click', () => {
     $('ocr-modal-backdrop').classList.remove('hidden');
     $('ocr-progress-area').classList.add('hidden');
+    $('ocr-preview').classList.add('hidden');
     $('btn-ocr-run').disabled = false;
     // Default to current page
     const radios = document.querySelectorAll('input[name="ocr-scope"]');
     radios[0].checked = true;
+    if (!$('ocr-workers').value) $('ocr-workers').value = defaultOCRWorkers();
+    _appCallbacks.refreshOCRLanguages?.();
+  });
+
+  // Index, badge, stats and text layer for pages that just got OCR results
+  async function showOCRResults(pageNumbers) {
+    // Augment find text index with OCR results
+    const ocrEntries = getOCRTextEntries();
+    if (ocrEntries.length > 0) {
+      augmentTextIndex(ocrEntries);
+    }
+
+    // Update status bar
+    const ocrBadge = $('status-ocr');
+    if (ocrBadge) {
+      ocrBadge.textContent = `OCR ✓ (${pageNumbers.length} pg${pageNumbers.length !== 1 ? 's' : ''})`;
+      ocrBadge.classList.remove('hidden');
+    }
+
+    // Show OCR stats in results area
+    const stats = getOCRStats();
+    if (stats) {
+      $('ocr-results-area')?.classList.remove('hidden');
+      const statsEl = $('ocr-stats');
+      if (statsEl) {
+        statsEl.textContent = `${stats.pagesProcessed} pages, ${stats.totalWords} words, ` +
+          `${stats.avgConfidence}% avg confidence` +
+          (stats.lowConfidenceWords ? `, ${stats.lowConfidenceWords} low-confidence words` : '') +
+          (stats.confidenceGain !== null
+            ? `, ${stats.confidenceGain >= 0 ? '+' : ''}${stats.confidenceGain} points from cleanup`
+            : '');
+      }
+    }
+
+    // Store embed preference
+    State.ocrEmbedText = $('ocr-embed-text')?.checked ?? true;
+
+    // Re-render current page to show OCR text layer
+    await renderCurrentPage();
+  }
+
+  let ocrAbort = null;
+  $('btn-ocr-stop').addEventListener('click', () => ocrAbort?.abort());
+  // Closing the dialog (×, Cancel or Escape) stops a run too, rather than
+  // leaving it going with no Stop button in sight
+  document.querySelectorAll('[data-close-modal="ocr"]').forEach(btn => {
+    btn.addEventListener('click', () => ocrAbort?.abort());
+  });
+
+  $('btn-ocr-preview').addEventListener('click', () => _appCallbacks.previewOCRPreprocessing?.());
+  // Keep an open preview in step with the stages
+  document.querySelectorAll('input[data-stage]').forEach(input => {
+    input.addEventListener('change', () => {
+      if (!$('ocr-preview').classList.contains('hidden')) _appCallbacks.previewOCRPreprocessing?.();
+    });
+  });
+
+  $('ocr-lang-list').addEventListener('click', e => {
+    const button = e.target.closest('button[data-lang]');
+    if (!button) return;
+    if (button.dataset.action === 'remove') _appCallbacks.removeOCRLanguage?.(button.dataset.lang);
+    else _appCallbacks.installOCRLanguage?.(button.dataset.lang);
   });
 
   $('btn-ocr-run').addEventListener('click', async () => {
@@ -738,7 +837,7 @@ export function wireEvents() {
         toast('Enter a page range', 'warning');
         return;
       }
-      const parsed = parsePageRanges(rangeStr, State.totalPages);
+      const parsed = parsePageRangeInput(rangeStr);
       if (!parsed || !parsed.length) {
         toast('Invalid page range', 'error');
         return;
@@ -750,52 +849,53 @@ export function wireEvents() {
     // Show progress
     $('ocr-progress-area').classList.remove('hidden');
     $('btn-ocr-run').disabled = true;
+    $('btn-ocr-stop').classList.remove('hidden');
+    ocrAbort = new AbortController();
 
+    let stopped = false;
     try {
       const language = $('ocr-language')?.value || 'eng';
-      await runOCR(State.pdfDoc, pageNumbers, (info) => {
-        $('ocr-progress-label').textContent = info.status;
-        $('ocr-progress-pct').textContent = Math.round(info.progress) + '%';
-        $('ocr-progress-bar').style.width = info.progress + '%';
-      }, { language });
-
-      // Augment find text index with OCR results
-      const ocrEntries = getOCRTextEntries();
-      if (ocrEntries.length > 0) {
-        augmentTextIndex(ocrEntries);
-      }
-
-      // Update status bar
-      const ocrBadge = $('status-ocr');
-      if (ocrBadge) {
-        ocrBadge.textContent = `OCR ✓ (${pageNumbers.length} pg${pageNumbers.length !== 1 ? 's' : ''})`;
-        ocrBadge.classList.remove('hidden');
-      }
-
-      // Show OCR stats in results area
-      const stats = getOCRStats();
-      if (stats) {
-        $('ocr-results-area')?.classList.remove('hidden');
-        const statsEl = $('ocr-stats');
-        if (statsEl) {
-          statsEl.textContent = `${stats.pagesProcessed} pages, ${stats.totalWords} words, ` +
-            `${stats.avgConfidence}% avg confidence` +
-            (stats.lowConfidenceWords ? `, ${stats.lowConfidenceWords} low-confidence words` : '');
+      const workers = parseInt($('ocr-workers')?.value) || defaultOCRWorkers();
+      const documentKey = await ocrDocumentKey(State.pdfBytes).catch(() => undefined);
+      try {
+        await runOCR(State.pdfDoc, pageNumbers, (info) => {
+          $('ocr-progress-label').textContent = info.status + (info.eta ? ` — about ${formatDuration(info.eta)} left` : '');
+          $('ocr-progress-pct').textContent = Math.round(info.progress) + '%';
+          $('ocr-progress-bar').style.width = info.progress + '%';
+        }, {
+          language, workers, documentKey, signal: ocrAbort.signal,
+          preprocess: _appCallbacks.getOCRPreprocessOptions?.(),
+        });
+      } catch (err) {
+        if (err.name !== 'AbortError') throw err;
+        // Pages finished before the stop are kept (and saved for resuming)
+        stopped = true;
+        pageNumbers = pageNumbers.filter(p => hasOCRResults(p));
+        if (!pageNumbers.length) {
+          toast('OCR stopped', 'info');
+          return;
         }
       }
 
-      // Store embed preference
-      State.ocrEmbedText = $('ocr-embed-text')?.checked ?? true;
+      // Pages found sideways or upside down are turned to match their text
+      await _appCallbacks.applyOCRPageRotations?.();
 
-      // Re-render current page to show OCR text layer
-      await renderCurrentPage();
+      await showOCRResults(pageNumbers);
 
-      toast(`OCR complete — ${pageNumbers.length} page${pageNumbers.length !== 1 ? 's' : ''} processed`, 'success');
+      if (stopped) {
+        toast(`OCR stopped after ${pageNumbers.length} page${pageNumbers.length !== 1 ? 's' : ''} — run OCR again to continue where it left off`, 'info', 6000);
+      } else {
+        toast(`OCR complete — ${pageNumbers.length} page${pageNumbers.length !== 1 ? 's' : ''} processed`, 'success');
+      }
     } catch (err) {
       toast('OCR failed: ' + err.message, 'error');
       console.error('OCR error:', err);
     } finally {
+      ocrAbort = null;
+      $('btn-ocr-stop').classList.add('hidden');
       $('btn-ocr-run').disabled = false;
+      // Languages used for the first time were just downloaded
+      _appCallbacks.refreshOCRLanguages?.();
     }
   });
 
@@ -810,6 +910,36 @@ export function wireEvents() {
     downloadBlob(blob, (State.fileName || 'document').replace(/\.pdf$/i, '') + '-ocr.txt');
     toast('OCR text exported', 'success');
   });
+  const ocrExportName = ext => (State.fileName || 'document').replace(/\.pdf$/i, '') + '-ocr' + ext;
+  $('btn-ocr-export-hocr')?.addEventListener('click', () => {
+    const hocr = exportHOCR({ title: State.fileName || 'OCR output' });
+    if (!hocr) { toast('No OCR results to export', 'warning'); return; }
+    downloadBlob(new Blob([hocr], { type: 'application/xhtml+xml' }), ocrExportName('.hocr'));
+    toast('hOCR exported', 'success');
+  });
+  $('btn-ocr-export-alto')?.addEventListener('click', () => {
+    const alto = exportALTO({ fileName: State.fileName || '' });
+    if (!alto) { toast('No OCR results to export', 'warning'); return; }
+    downloadBlob(new Blob([alto], { type: 'application/xml' }), ocrExportName('.alto.xml'));
+    toast('ALTO XML exported', 'success');
+  });
+  $('btn-ocr-import').addEventListener('click', () => $('ocr-import-input').click());
+  $('ocr-import-input').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !State.pdfDoc) return;
+    try {
+      const pages = await importOCR(State.pdfDoc, await file.text());
+      if (!pages.length) {
+        toast('No pages of this document found in ' + file.name, 'warning');
+        return;
+      }
+      await showOCRResults(pages);
+      toast(`Imported OCR for ${pages.length} page${pages.length !== 1 ? 's' : ''}`, 'success');
+    } catch (err) {
+      toast('Could not import OCR: ' + err.message, 'error');
+    }
+  });
   $('btn-ocr-correct')?.addEventListener('click', () => {
     enableCorrectionMode(State.currentPage, DOM.textLayer);
     $('ocr-modal-backdrop')?.classList.add('hidden');
@@ -921,6 +1051,8 @@ export function wireEvents() {
       _appCallbacks.hideCommentThreadPanel?.();
       // Reset color swatches to default (no active highlight)
       document.querySelectorAll('#panel-tool-props .color-swatch').forEach(s => s.classList.remove('active'));
+      if (State.activeTool !== 'redact') $('prop-redact-reason-row').style.display = 'none';
+      else $('prop-redact-reason').value = getToolOptions().redactReason;
       if (typeof UIController !== 'undefined') {
         UIController.hideProperties();
       }
@@ -967,6 +1099,10 @@ export function wireEvents() {
     _appCallbacks._updateImgSizeHint?.();
   });
 
+  $('export-pdf-protection')?.addEventListener('change', () => {
+    $('export-pdf-new-password-row').classList.toggle('hidden', $('export-pdf-protection').value !== 'new');
+  });
+
   // Unified export modal — execute button
   $('btn-export-execute')?.addEventListener('click', () => _appCallbacks.executeExport?.());
 
@@ -988,7 +1124,7 @@ export function wireEvents() {
       pageNums = Array.from({ length: State.totalPages }, (_, i) => i + 1);
     } else {
       const rangeInput = $('print-range').value.trim();
-      const ranges = parsePageRanges(rangeInput, State.totalPages);
+      const ranges = parsePageRangeInput(rangeInput);
       if (!ranges) { toast('Invalid page range', 'warning'); return; }
       pageNums = ranges.flat().map(i => i + 1);
     }
@@ -1022,7 +1158,7 @@ export function wireEvents() {
 
   // Redaction visual-only warning
   document.addEventListener('redact-warning', () => {
-    toast('Redactions are visual only — export to PDF to make permanent. Original content may still be extractable.', 'warning', 6000);
+    toast('Redactions are applied on export — text and images under the box are removed from the saved PDF.', 'warning', 6000);
   });
 
   // Find bar events
@@ -1168,6 +1304,12 @@ export function wireEvents() {
   });
   $('btn-encrypt-execute').addEventListener('click', () => _appCallbacks.executeEncrypt?.());
 
+  // Open-password prompt (shown by openPDF for protected files)
+  $('btn-password-unlock').addEventListener('click', () => _appCallbacks.submitPasswordPrompt?.());
+  $('open-password').addEventListener('keydown', e => {
+    if (e.key === 'Enter') { e.preventDefault(); _appCallbacks.submitPasswordPrompt?.(); }
+  });
+
   $('btn-metadata').addEventListener('click', () => _appCallbacks.openMetadataModal?.());
   $('btn-meta-save').addEventListener('click', () => _appCallbacks.executeMetadataSave?.());
   $('btn-meta-remove').addEventListener('click', () => _appCallbacks.executeMetadataRemove?.());
@@ -1176,20 +1318,32 @@ export function wireEvents() {
     $('redact-results-list').innerHTML = '';
     $('redact-results').classList.add('hidden');
     $('btn-redact-apply').classList.add('hidden');
+    _appCallbacks.refreshRedactPatternSets?.();
     $('redact-search-modal-backdrop').classList.remove('hidden');
   });
   $('btn-redact-search-execute').addEventListener('click', () => _appCallbacks.executeRedactSearch?.());
   $('btn-redact-apply').addEventListener('click', () => _appCallbacks.executeRedactApply?.());
 
-  // Toggle custom pattern row when "Custom Pattern" checkbox changes
+  // Toggle the custom pattern and term list rows with their checkboxes
+  const redactOptionRows = { custom: 'redact-custom-row', terms: 'redact-terms-row' };
   document.querySelectorAll('.redact-pattern-cb').forEach(cb => {
-    if (cb.value === 'custom') {
+    if (redactOptionRows[cb.value]) {
       cb.addEventListener('change', () => {
-        $('redact-custom-row').classList.toggle('hidden', !cb.checked);
+        $(redactOptionRows[cb.value]).classList.toggle('hidden', !cb.checked);
       });
     }
   });
 
+  $('btn-redact-terms-load').addEventListener('click', () => $('redact-terms-file-input').click());
+  $('redact-terms-file-input').addEventListener('change', e => {
+    const file = e.target.files[0];
+    if (file) _appCallbacks.loadRedactTermList?.(file);
+    e.target.value = '';
+  });
+  $('redact-pattern-set').addEventListener('change', e => _appCallbacks.applyRedactPatternSet?.(e.target.value));
+  $('btn-redact-set-save').addEventListener('click', () => _appCallbacks.saveRedactPatternSet?.());
+  $('btn-redact-set-delete').addEventListener('click', () => _appCallbacks.deleteRedactPatternSet?.());
+
   /* ── Tools ribbon ── */
   $('btn-export-image').addEventListener('click', () => {
     $('export-image-modal-backdrop').classList.remove('hidden');
@@ -1272,14 +1426,25 @@ export function wireEvents() {
   $('btn-compare').addEventListener('click', () => {
     $('compare-setup').classList.remove('hidden');
     $('compare-results').classList.add('hidden');
+    ['btn-compare-report', 'btn-compare-redline-html', 'btn-compare-redline-pdf']
+      .forEach(id => $(id).classList.add('hidden'));
     $('compare-modal-backdrop').classList.remove('hidden');
     _appCallbacks.resetCompareDocB?.();
   });
   $('btn-compare-execute').addEventListener('click', () => _appCallbacks.executeCompare?.());
   $('btn-compare-report').addEventListener('click', () => _appCallbacks.downloadCompareReport?.());
+  $('btn-compare-redline-html').addEventListener('click', () => _appCallbacks.downloadRedline?.('html'));
+  $('btn-compare-redline-pdf').addEventListener('click', () => _appCallbacks.downloadRedline?.('pdf'));
+  $('compare-mode').addEventListener('change', e => {
+    $('compare-threshold-row').classList.toggle('hidden', e.target.value !== 'visual');
+  });
   $('btn-compare-prev')?.addEventListener('click', () => _appCallbacks.navigateCompare?.(-1));
   $('btn-compare-next')?.addEventListener('click', () => _appCallbacks.navigateCompare?.(1));
   $('compare-view-mode')?.addEventListener('change', () => _appCallbacks.renderCurrentCompare?.());
+  $('compare-page-map').addEventListener('click', e => {
+    const chip = e.target.closest('[data-compare-idx]');
+    if (chip) _appCallbacks.selectComparePage?.(parseInt(chip.dataset.compareIdx));
+  });
 
   // Compare drop zone
   const cmpDropZone = $('compare-drop-zone');
@@ -1302,6 +1467,14 @@ export function wireEvents() {
 
   $('btn-comment-summary').addEventListener('click', () => _appCallbacks.openCommentSummaryModal?.());
   $('btn-comment-download').addEventListener('click', () => _appCallbacks.downloadCommentSummary?.());
+  $('btn-comment-import-xfdf').addEventListener('click', () => {
+    const input = document.createElement('input');
+    input.type = 'file'; input.accept = '.xfdf,.xml';
+    input.addEventListener('change', () => {
+      if (input.files[0]) _appCallbacks.importCommentsXFDF?.(input.files[0]);
+    });
+    input.click();
+  });
   $('btn-flatten-anno-exec').addEventListener('click', () => _appCallbacks.executeFlattenAnnotations?.());
 
   $('btn-flatten-annotations').addEventListener('click', () => _appCallbacks.executeFlattenAnnotations?.());
@@ -1454,6 +1627,15 @@ export function wireEvents() {
     finally { hideLoading(); }
   });
 
+  // ── Flyout: Pages panel, blank page flags ──
+  $('blank-pages-sensitivity').addEventListener('input', () => _appCallbacks.updateBlankPageFlags?.());
+  $('btn-blank-pages-delete').addEventListener('click', () => _appCallbacks.deleteBlankPages?.());
+  $('btn-blank-pages-close').addEventListener('click', () => _appCallbacks.clearBlankPageFlags?.());
+
+  // ── Flyout: Bookmarks panel buttons ──
+  $('btn-bookmark-add').addEventListener('click', () => _appCallbacks.addBookmark?.(false));
+  $('btn-bookmark-add-view').addEventListener('click', () => _appCallbacks.addBookmark?.(true));
+
   // ── Flyout: Forms panel buttons ──
   $('btn-detect-fields').addEventListener('click', async () => {
     if (!State.pdfDoc && !State.pdfLibDoc) { toast('Open a PDF first', 'error'); return; }
@@ -1517,6 +1699,9 @@ export function wireEvents() {
     }
   });
 
+  // ── Flyout: Make Searchable PDF ──
+  $('btn-ocr-searchable')?.addEventListener('click', () => _appCallbacks.executeMakeSearchable?.());
+
   // ── Flyout: OCR Correction Mode ──
   $('btn-ocr-correct-flyout')?.addEventListener('click', () => {
     if (!hasOCRResults()) { toast('Run OCR first', 'info'); return; }
@@ -1777,6 +1962,12 @@ export function selectTool(toolName) {
   const isShapeTool = toolName === 'shape';
   if (shapeTypeRow) shapeTypeRow.style.display = isShapeTool ? '' : 'none';
   if (strokeWidthRow) strokeWidthRow.style.display = isShapeTool ? '' : 'none';
+  // Reason code for new redactions
+  const reasonRow = $('prop-redact-reason-row');
+  if (reasonRow) {
+    reasonRow.style.display = toolName === 'redact' ? '' : 'none';
+    if (toolName === 'redact') $('prop-redact-reason').value = getToolOptions().redactReason;
+  }
   // Update canvas cursor
   DOM.canvasArea.setAttribute('data-cursor', toolName);
 
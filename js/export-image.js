@@ -6,6 +6,8 @@
  * Uses PDF.js for rendering and canvas API for format conversion.
  */
 
+import { readPageLabels, carryPageLabels } from './page-labels.js';
+
 const getPDFLib = () => window.PDFLib;
 
 /* ═══════════════════ Export Pages to Images ═══════════════════ */
@@ -18,6 +20,7 @@ const getPDFLib = () => window.PDFLib;
  * @param {string} opts.format - 'png', 'jpg', or 'tiff' (default 'png')
  * @param {number} opts.dpi - Output DPI (default 150, max 600)
  * @param {number} opts.quality - JPEG quality 0-1 (default 0.92)
+ * @param {boolean} opts.bilevel - TIFF only: 1-bit black and white (default false)
  * @returns {Promise<{blob: Blob, width: number, height: number}>}
  */
 export async function exportPageToImage(pdfDoc, pageNum, opts = {}) {
@@ -25,6 +28,7 @@ export async function exportPageToImage(pdfDoc, pageNum, opts = {}) {
     format = 'png',
     dpi = 150,
     quality = 0.92,
+    bilevel = false,
   } = opts;
 
   const page = await pdfDoc.getPage(pageNum);
@@ -46,14 +50,21 @@ export async function exportPageToImage(pdfDoc, pageNum, opts = {}) {
   }).promise;
 
   // Convert to blob
-  const mimeType = format === 'jpg' ? 'image/jpeg' : 'image/png';
-  const blob = await new Promise((resolve, reject) => {
-    canvas.toBlob(
-      b => b ? resolve(b) : reject(new Error('Failed to render page image')),
-      mimeType,
-      quality
-    );
-  });
+  let blob;
+  if (format === 'tiff') {
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const tiff = encodeTIFF({ data: imageData.data, width: canvas.width, height: canvas.height }, { dpi, bilevel });
+    blob = new Blob([tiff], { type: 'image/tiff' });
+  } else {
+    const mimeType = format === 'jpg' ? 'image/jpeg' : 'image/png';
+    blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        b => b ? resolve(b) : reject(new Error('Failed to render page image')),
+        mimeType,
+        quality
+      );
+    });
+  }
 
   // Release canvas memory
   canvas.width = canvas.height = 0;
@@ -71,21 +82,25 @@ export async function exportPageToImage(pdfDoc, pageNum, opts = {}) {
  * @param {number[]} pages - Array of 1-based page numbers
  * @param {Object} opts - Same as exportPageToImage
  * @param {string} opts.fileName - Base filename
+ * @param {boolean} opts.download - Download each image (default true); pass
+ *   false to only collect them, e.g. for a production volume
  * @param {Function} [onProgress] - Progress callback (pageNum, total)
- * @returns {Promise<void>}
+ * @returns {Promise<Array<{pageNum: number, fileName: string, blob: Blob}>>}
  */
 export async function exportPagesToImages(pdfDoc, pages, opts = {}, onProgress) {
-  const { fileName = 'page', format = 'png' } = opts;
-  const ext = format === 'jpg' ? 'jpg' : 'png';
+  const { fileName = 'page', format = 'png', download = true } = opts;
+  const ext = IMAGE_EXTENSIONS[format] || 'png';
   const baseName = fileName.replace(/\.pdf$/i, '');
+  const images = [];
 
   if (pages.length === 1) {
     // Single page — download directly
     onProgress?.(0, 1);
     const { blob } = await exportPageToImage(pdfDoc, pages[0], opts);
-    downloadBlob(blob, `${baseName}_page${pages[0]}.${ext}`);
+    images.push({ pageNum: pages[0], fileName: `${baseName}_page${pages[0]}.${ext}`, blob });
+    if (download) downloadBlob(blob, images[0].fileName);
     onProgress?.(1, 1);
-    return;
+    return images;
   }
 
   // Multiple pages — download each file individually with a small delay
@@ -93,11 +108,127 @@ export async function exportPagesToImages(pdfDoc, pages, opts = {}, onProgress)
   for (let i = 0; i < pages.length; i++) {
     onProgress?.(i, pages.length);
     const { blob } = await exportPageToImage(pdfDoc, pages[i], opts);
-    downloadBlob(blob, `${baseName}_page${pages[i]}.${ext}`);
+    const image = { pageNum: pages[i], fileName: `${baseName}_page${pages[i]}.${ext}`, blob };
+    images.push(image);
     onProgress?.(i + 1, pages.length);
+    if (!download) continue;
+    downloadBlob(blob, image.fileName);
     // Brief pause between downloads so the browser does not suppress them
     await new Promise(r => setTimeout(r, 150));
   }
+  return images;
+}
+
+/** File extension for each export format */
+export const IMAGE_EXTENSIONS = { png: 'png', jpg: 'jpg', tiff: 'tif' };
+
+/* ═══════════════════ TIFF Encoding ═══════════════════ */
+
+/**
+ * PackBits-compress one row: runs of a repeated byte become a count and
+ * the byte, everything else is copied as literals (at most 128 per run).
+ */
+function packBitsRow(row, out, pos) {
+  let i = 0;
+  while (i < row.length) {
+    let run = 1;
+    while (i + run < row.length && run < 128 && row[i + run] === row[i]) run++;
+    if (run > 1) {
+      out[pos++] = (1 - run) & 0xFF;
+      out[pos++] = row[i];
+      i += run;
+      continue;
+    }
+    // Literals stop where a run of three or more begins, which keeps the
+    // output within one header byte per 128 input bytes
+    let end = i + 1;
+    while (end < row.length && end - i < 128 &&
+      !(row[end] === row[end + 1] && row[end] === row[end + 2])) end++;
+    out[pos++] = end - i - 1;
+    for (let k = i; k < end; k++) out[pos++] = row[k];
+    i = end;
+  }
+  return pos;
+}
+
+/**
+ * Encode RGBA pixels as a single-page baseline TIFF, PackBits compressed.
+ * Bilevel output (1 bit per pixel, the usual form for document productions)
+ * thresholds luminance at 50%; otherwise pixels are RGB over white.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @param {Object} [opts]
+ * @param {number} [opts.dpi=150] - Resolution recorded in the file
+ * @param {boolean} [opts.bilevel=false]
+ * @returns {Uint8Array}
+ */
+export function encodeTIFF({ data, width, height }, { dpi = 150, bilevel = false } = {}) {
+  const rowBytes = bilevel ? Math.ceil(width / 8) : width * 3;
+  const row = new Uint8Array(rowBytes);
+  const strip = new Uint8Array(height * (rowBytes + Math.ceil(rowBytes / 128) + 1));
+  let stripLength = 0;
+
+  for (let y = 0; y < height; y++) {
+    row.fill(0);
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      const a = data[p + 3] / 255;
+      const [r, g, b] = [data[p], data[p + 1], data[p + 2]].map(c => c * a + 255 * (1 - a));
+      if (bilevel) {
+        // WhiteIsZero: set bits are black
+        if (0.299 * r + 0.587 * g + 0.114 * b < 128) row[x >> 3] |= 0x80 >> (x & 7);
+      } else {
+        row[x * 3] = r;
+        row[x * 3 + 1] = g;
+        row[x * 3 + 2] = b;
+      }
+    }
+    stripLength = packBitsRow(row, strip, stripLength);
+  }
+
+  // Header, strip, then the out-of-line values and the IFD
+  const tags = [
+    [256, 4, 1, width],
+    [257, 4, 1, height],
+    [258, 3, bilevel ? 1 : 3, bilevel ? 1 : 'bits'],
+    [259, 3, 1, 32773],                // PackBits
+    [262, 3, 1, bilevel ? 0 : 2],      // WhiteIsZero / RGB
+    [273, 4, 1, 8],                    // StripOffsets
+    [277, 3, 1, bilevel ? 1 : 3],
+    [278, 4, 1, height],
+    [279, 4, 1, stripLength],
+    [282, 5, 1, 'res'],
+    [283, 5, 1, 'res'],
+    [296, 3, 1, 2],                    // inches
+  ];
+  const extraAt = 8 + stripLength + (stripLength & 1);
+  const bitsAt = extraAt;
+  const resAt = extraAt + 6;
+  const ifdAt = resAt + 8;
+  const buffer = new ArrayBuffer(ifdAt + 2 + tags.length * 12 + 4);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint16(0, 0x4949);           // "II": little-endian
+  view.setUint16(2, 42, true);
+  view.setUint32(4, ifdAt, true);
+  bytes.set(strip.subarray(0, stripLength), 8);
+  [8, 8, 8].forEach((v, i) => view.setUint16(bitsAt + i * 2, v, true));
+  view.setUint32(resAt, Math.round(dpi), true);
+  view.setUint32(resAt + 4, 1, true);
+
+  view.setUint16(ifdAt, tags.length, true);
+  tags.forEach(([tag, type, count, value], i) => {
+    const at = ifdAt + 2 + i * 12;
+    view.setUint16(at, tag, true);
+    view.setUint16(at + 2, type, true);
+    view.setUint32(at + 4, count, true);
+    if (value === 'bits') view.setUint32(at + 8, bitsAt, true);
+    else if (value === 'res') view.setUint32(at + 8, resAt, true);
+    else if (type === 3) view.setUint16(at + 8, value, true);
+    else view.setUint32(at + 8, value, true);
+  });
+  view.setUint32(ifdAt + 2 + tags.length * 12, 0, true);
+  return bytes;
 }
 
 /* ═══════════════════ Create PDF from Images ═══════════════════ */
@@ -345,6 +476,7 @@ export async function optimizePDF(pdfDoc, pdfBytes, opts = {}, onProgress) {
     onProgress?.(i, pageCount, shouldRasterize ? 'compressing' : 'copying');
   }
 
+  carryPageLabels(newDoc, readPageLabels(sourceDoc), i => i);
   const result = await newDoc.save();
 
   // Attach stats to the result for reporting
@@ -5,9 +5,21 @@
  * Strategy:
  * 1. For each page with annotations, render Fabric canvas → PNG
  * 2. Embed PNG as overlay image on the pdf-lib page
- * 3. Cover/redact objects: draw black rects with pdf-lib BEFORE overlay
- *    (permanently destroys underlying content)
+ * 3. Cover/redact objects: draw black rects with pdf-lib BEFORE overlay.
+ *    Redact objects first have the text, image pixels and annotations
+ *    beneath them removed from the page (see redact-content.js), and the
+ *    saved file is re-read with PDF.js to confirm no text survived.
+ *    Each redaction is logged with its reason code (see redaction-log.js)
  * 4. Save and trigger download
+ *
+ * Page label ranges are written into the /PageLabels number tree
+ * (see page-labels.js) whether or not there are annotations.
+ *
+ * In native annotation mode, highlights, shapes, ink, text, notes and stamps
+ * are written as PDF annotations instead (see pdf-annotations.js), and only
+ * objects with no native form go into the PNG overlay. Markup imported from
+ * the file when it was opened is always written back this way, so other
+ * viewers' comments and reply threads survive a flattening save.
  */
 
 import {
@@ -17,7 +29,13 @@ import {
 
 import { showUserError, clearRecoveryData } from './error-handler.js';
 import { writeLinkToPDF } from './links.js';
-import { hasOCRResults, embedOCRTextLayer } from './ocr.js';
+import { hasOCRResults, embedOCRTextLayer, dropRedactedOCRWords } from './ocr.js';
+import { writePageLabels } from './page-labels.js';
+import { standardFontName, writeNativeAnnotations } from './pdf-annotations.js';
+import { getPdfjsLib, loadDocument } from './pdf-engine.js';
+import {
+  redactPageContent, removeUnreachableObjects, findTextUnderRects, countTextUnderRects,
+} from './redact-content.js';
 
 const getPDFLib = () => window.PDFLib;
 const getFabric = () => window.fabric;
@@ -30,15 +48,27 @@ const getFabric = () => window.fabric;
  * @param {number} opts.totalPages - Total page count
  * @param {string} opts.fileName - Original filename
  * @param {Function} [opts.onProgress] - Progress callback (done: number, total: number)
- * @returns {Promise<{bytes: Uint8Array, fileName: string}>}
+ * @param {'flatten'|'native'} [opts.annotationMode='flatten'] - 'native' writes markup as
+ *   PDF annotation dictionaries instead of an image overlay
+ * @param {boolean} [opts.printReasons=false] - Print each redaction's reason code inside its box
+ * @param {Function} [opts.pageLabel] - Bates label (or a promise of one) for a 1-based page,
+ *   for the redaction log
+ * @returns {Promise<{bytes: Uint8Array, fileName: string, redaction: Object|null,
+ *   redactionLog: import('./redaction-log.js').RedactionLogEntry[]}>}
+ *   redaction holds counts from redactPageContent when any redact boxes were applied,
+ *   plus ocrWordsRemoved: OCR words under the boxes, dropped from the in-memory results
  */
 export async function exportAnnotatedPDF(opts) {
-  const { pdfBytes, currentPage, totalPages, fileName, onProgress } = opts;
+  const {
+    pdfBytes, currentPage, totalPages, fileName, onProgress, annotationMode = 'flatten',
+    printReasons = false, pageLabel,
+  } = opts;
   const PDFLib = getPDFLib();
   const fabric = getFabric();
 
   if (!PDFLib || !pdfBytes) throw new Error('PDF not loaded');
 
+  let sourceDoc = null; // PDF.js copy of the input, to measure redacted text
   try {
     // Save current page annotations before export
     savePageAnnotations(currentPage);
@@ -51,26 +81,23 @@ export async function exportAnnotatedPDF(opts) {
         return json && json.objects && json.objects.length > 0;
       });
 
-    const hasRedactions = Object.values(pageAnnotations).some(json =>
-      json?.objects?.some(o => o.mudbrickType === 'redact')
-    );
-    if (hasRedactions) {
-      console.warn('PDF contains redaction annotations. Visual content is covered but underlying PDF objects are not removed.');
-    }
-
     // Load a fresh copy of the PDF for modification
     const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, {
       ignoreEncryption: true,
     });
 
+    writePageLabels(pdfDoc);
+
     if (annotatedPages.length === 0) {
-      // No annotations — just return the original bytes
+      // No annotations — just return the original bytes with their labels
       const bytes = await pdfDoc.save();
       // Clear recovery data on successful export
       clearRecoveryData().catch(() => {});
       return {
         bytes,
         fileName: makeExportName(fileName),
+        redaction: null,
+        redactionLog: [],
       };
     }
 
@@ -78,6 +105,14 @@ export async function exportAnnotatedPDF(opts) {
     const fabricCanvas = getCanvas();
     if (!fabricCanvas) throw new Error('Annotation canvas not available');
 
+    const coverRectsByPage = {};
+    const redactRectsByPage = {};
+    const reasonLabelsByPage = {};
+    const redactionLog = [];
+    const fontCache = {};
+    const native = annotationMode === 'native';
+    let redaction = null;
+
     // Process each annotated page
     for (let i = 0; i < annotatedPages.length; i++) {
       const pageNum = annotatedPages[i];
@@ -98,6 +133,7 @@ export async function exportAnnotatedPDF(opts) {
       }
 
       const json = pageAnnotations[pageNum];
+      const keepNative = obj => native || !!obj.imported;
 
       // Step 1: Draw cover/redact rectangles directly with pdf-lib
       // (these are destructive — they permanently hide content underneath)
@@ -109,39 +145,57 @@ export async function exportAnnotatedPDF(opts) {
       const savedCanvasW = json._canvasWidth || effectiveWidth;
       const savedCanvasH = json._canvasHeight || effectiveHeight;
 
-      for (const cover of coverObjects) {
-        // Fabric stores coords in screen space; we need PDF space
-        const cx = cover.left || 0;
-        const cy = cover.top || 0;
-        const cw = (cover.width || 0) * (cover.scaleX || 1);
-        const ch = (cover.height || 0) * (cover.scaleY || 1);
-
-        // Convert from Fabric (top-left origin, Y down) to PDF (bottom-left, Y up)
-        // Scale factors (canvas → PDF)
-        const sx = effectiveWidth / savedCanvasW;
-        const sy = effectiveHeight / savedCanvasH;
-
-        const pdfX = cx * sx;
-        const pdfY = effectiveHeight - (cy * sy) - (ch * sy);
-        const pdfW = cw * sx;
-        const pdfH = ch * sy;
+      const coverRects = coverObjects.map(obj => canvasRectToUserSpace(obj, page, savedCanvasW, savedCanvasH));
+      const redactObjects = coverObjects.filter(obj => obj.mudbrickType === 'redact');
+      const redactRects = coverRects.filter((_, idx) => coverObjects[idx].mudbrickType === 'redact');
+      coverRectsByPage[pageNum] = coverRects;
+
+      // Remove the content under redact boxes before covering it, so the
+      // black box is not the only thing standing between a reader and the text
+      if (redactRects.length > 0) {
+        if (!sourceDoc && getPdfjsLib()) sourceDoc = await loadDocument(pdfBytes);
+        const lengths = sourceDoc ? await countTextUnderRects(sourceDoc, pageNum, redactRects) : [];
+        const bates = (await pageLabel?.(pageNum)) || '';
+        redactObjects.forEach((obj, idx) => redactionLog.push({
+          pageNum,
+          bates,
+          reason: obj.redactReason || '',
+          textLength: sourceDoc ? lengths[idx] : null,
+        }));
+
+        const stats = await redactPageContent(pdfDoc, pageIndex, redactRects);
+        redaction = redaction || {};
+        for (const [key, value] of Object.entries(stats)) redaction[key] = (redaction[key] || 0) + value;
+        redactRectsByPage[pageNum] = redactRects;
+      }
 
+      for (const rect of coverRects) {
         page.drawRectangle({
-          x: pdfX,
-          y: pdfY,
-          width: pdfW,
-          height: pdfH,
+          x: rect.x1,
+          y: rect.y1,
+          width: rect.x2 - rect.x1,
+          height: rect.y2 - rect.y1,
           color: PDFLib.rgb(0, 0, 0),
         });
       }
 
-      // Step 2a: Render text annotations as native PDF text (so they remain editable)
+      if (printReasons && redactObjects.some(obj => obj.redactReason)) {
+        if (!fontCache.HelveticaBold) fontCache.HelveticaBold = await pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold);
+        redactObjects.forEach((obj, idx) => {
+          const label = obj.redactReason && drawReasonLabel(page, redactRects[idx], obj.redactReason, fontCache.HelveticaBold, rotation);
+          if (label) (reasonLabelsByPage[pageNum] = reasonLabelsByPage[pageNum] || []).push(label);
+        });
+      }
+
+      // Step 2a: Render text annotations as native PDF text (so they remain editable).
+      // In native mode, and for imported text, they become /FreeText annotations
+      // in step 2b instead
       const textObjects = (json.objects || []).filter(
         obj => obj.mudbrickType === 'text' && (obj.type === 'i-text' || obj.type === 'textbox')
       );
-      const fontCache = {};
+      const pageTextObjects = textObjects.filter(obj => !keepNative(obj));
 
-      for (const textObj of textObjects) {
+      for (const textObj of pageTextObjects) {
         const tx = textObj.left || 0;
         const ty = textObj.top || 0;
         const scaleFX = textObj.scaleX || 1;
@@ -173,23 +227,7 @@ export async function exportAnnotatedPDF(opts) {
         }
 
         // Embed a standard font matching the annotation's font
-        const fontName = (textObj.fontFamily || 'Helvetica').split(',')[0].trim();
-        const isBold = textObj.fontWeight === 'bold' || (textObj.fontWeight >= 700);
-        const isItalic = textObj.fontStyle === 'italic';
-        let stdFont = 'Helvetica';
-        if (/times|serif/i.test(fontName) && !/sans/i.test(fontName)) {
-          stdFont = isBold && isItalic ? 'TimesRomanBoldItalic' :
-                    isBold ? 'TimesRomanBold' :
-                    isItalic ? 'TimesRomanItalic' : 'TimesRoman';
-        } else if (/courier|mono/i.test(fontName)) {
-          stdFont = isBold && isItalic ? 'CourierBoldOblique' :
-                    isBold ? 'CourierBold' :
-                    isItalic ? 'CourierOblique' : 'Courier';
-        } else {
-          stdFont = isBold && isItalic ? 'HelveticaBoldOblique' :
-                    isBold ? 'HelveticaBold' :
-                    isItalic ? 'HelveticaOblique' : 'Helvetica';
-        }
+        const stdFont = standardFontName(textObj);
         if (!fontCache[stdFont]) {
           fontCache[stdFont] = await pdfDoc.embedFont(PDFLib.StandardFonts[stdFont] || PDFLib.StandardFonts.Helvetica);
         }
@@ -215,11 +253,20 @@ export async function exportAnnotatedPDF(opts) {
         }
       }
 
-      // Step 2b: Render remaining annotations (except covers/redacts/text) to PNG
-      const nonCoverObjects = (json.objects || []).filter(
+      // Step 2b: Render remaining annotations (except covers/redacts/text) to PNG.
+      // In native mode, and for imported markup, write them as PDF annotations
+      // and only rasterize the ones with no native equivalent (images, signatures)
+      let nonCoverObjects = (json.objects || []).filter(
         obj => obj.mudbrickType !== 'cover' && obj.mudbrickType !== 'redact' &&
                obj.mudbrickType !== 'text' && obj.mudbrickType !== 'link'
       );
+      const nativeObjects = [...textObjects, ...nonCoverObjects].filter(keepNative);
+      if (nativeObjects.length > 0) {
+        const { unsupported } = await writeNativeAnnotations(pdfDoc, pageIndex, nativeObjects, {
+          canvasWidth: savedCanvasW, canvasHeight: savedCanvasH, fontCache,
+        });
+        nonCoverObjects = [...nonCoverObjects.filter(obj => !keepNative(obj)), ...unsupported];
+      }
 
       // Step 2c: Convert link annotations to real PDF /Link annotations
       const linkObjects = (json.objects || []).filter(obj => obj.mudbrickType === 'link');
@@ -296,7 +343,7 @@ export async function exportAnnotatedPDF(opts) {
     }
 
     // Step 3: Preserve existing PDF link annotations from the original document
-    await preserveLinkAnnotations(pdfBytes, pdfDoc, pageAnnotations, PDFLib);
+    await preserveLinkAnnotations(pdfBytes, pdfDoc, coverRectsByPage, PDFLib);
 
     // Step 4: Embed OCR text as invisible searchable layer (if OCR was run)
     try {
@@ -306,18 +353,31 @@ export async function exportAnnotatedPDF(opts) {
         if (hasOCRResults(i)) { hasAnyOCR = true; break; }
       }
       if (hasAnyOCR) {
-        await embedOCRTextLayer(pdfDoc, PDFLib);
+        // Leave out words under redactions, or they'd put the text back
+        await embedOCRTextLayer(pdfDoc, PDFLib, undefined, { redactRectsByPage });
       }
     } catch (ocrErr) {
       console.warn('Could not embed OCR text layer:', ocrErr.message);
     }
 
+    // Replaced content streams and images are still registered with pdf-lib
+    // and would be written out unless dropped here
+    if (redaction) removeUnreachableObjects(pdfDoc);
+
     const bytes = await pdfDoc.save();
+    if (redaction) {
+      await verifyRedactions(bytes, redactRectsByPage, reasonLabelsByPage);
+      // The redacted text is gone from the file; keep it out of OCR searches and exports too
+      redaction.ocrWordsRemoved = dropRedactedOCRWords(redactRectsByPage);
+    }
+
     // Clear recovery data on successful export
     clearRecoveryData().catch(() => {});
     return {
       bytes,
       fileName: makeExportName(fileName),
+      redaction,
+      redactionLog,
     };
   } catch (err) {
     // Classify and show user-friendly error
@@ -328,6 +388,8 @@ export async function exportAnnotatedPDF(opts) {
     }
     showUserError('export-failed', msg);
     throw err;
+  } finally {
+    sourceDoc?.destroy();
   }
 }
 
@@ -340,13 +402,46 @@ export async function exportFlattenedPDF(opts) {
   return exportAnnotatedPDF(opts);
 }
 
+/**
+ * Put the markup imported when the file was opened back into it as PDF
+ * annotations, and nothing else from the overlay. The working bytes no
+ * longer carry those annotations, so this is what an unmodified export is.
+ * @param {Object} opts
+ * @param {Uint8Array} opts.pdfBytes - Working PDF bytes
+ * @param {number} opts.currentPage - Current page number
+ * @returns {Promise<Uint8Array>} pdfBytes itself when nothing was imported
+ */
+export async function restoreImportedAnnotations({ pdfBytes, currentPage }) {
+  savePageAnnotations(currentPage);
+  const pages = Object.entries(getAnnotations())
+    .map(([pageNum, json]) => [Number(pageNum), json, (json?.objects || []).filter(obj => obj.imported)])
+    .filter(([, , objects]) => objects.length > 0);
+  if (pages.length === 0) return pdfBytes;
+
+  const pdfDoc = await getPDFLib().PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  const fontCache = {};
+  for (const [pageNum, json, objects] of pages) {
+    if (pageNum > pdfDoc.getPageCount()) continue;
+    const page = pdfDoc.getPage(pageNum - 1);
+    const { width, height } = page.getSize();
+    const turned = page.getRotation().angle % 180 !== 0;
+    await writeNativeAnnotations(pdfDoc, pageNum - 1, objects, {
+      canvasWidth: json._canvasWidth || (turned ? height : width),
+      canvasHeight: json._canvasHeight || (turned ? width : height),
+      fontCache,
+    });
+  }
+  return pdfDoc.save();
+}
+
 /* ═══════════════════ Link Preservation ═══════════════════ */
 
 /**
  * Copy /Link annotations from the original PDF to the export document.
  * Excludes links that overlap with cover/redact annotations (deliberately hidden).
+ * @param {Object<number, Array<{x1,y1,x2,y2}>>} coverRectsByPage - Cover rects in user space
  */
-async function preserveLinkAnnotations(originalBytes, exportDoc, pageAnnotations, PDFLib) {
+async function preserveLinkAnnotations(originalBytes, exportDoc, coverRectsByPage, PDFLib) {
   try {
     const origDoc = await PDFLib.PDFDocument.load(originalBytes, { ignoreEncryption: true });
     const pageCount = Math.min(origDoc.getPageCount(), exportDoc.getPageCount());
@@ -357,30 +452,7 @@ async function preserveLinkAnnotations(originalBytes, exportDoc, pageAnnotations
       const annotsRef = origPage.node.lookup(PDFLib.PDFName.of('Annots'));
       if (!annotsRef || !(annotsRef instanceof PDFLib.PDFArray)) continue;
 
-      const { width: pageW, height: pageH } = origPage.getSize();
-
-      // Collect cover/redact rects for this page to exclude overlapping links
-      const pageNum = i + 1;
-      const json = pageAnnotations[pageNum];
-      const coverRects = [];
-      if (json?.objects) {
-        const savedCanvasW = json._canvasWidth || pageW;
-        const savedCanvasH = json._canvasHeight || pageH;
-        const sx = pageW / savedCanvasW;
-        const sy = pageH / savedCanvasH;
-        for (const obj of json.objects) {
-          if (obj.mudbrickType !== 'cover' && obj.mudbrickType !== 'redact') continue;
-          const cx = (obj.left || 0) * sx;
-          const cy = (obj.top || 0) * sy;
-          const cw = (obj.width || 0) * (obj.scaleX || 1) * sx;
-          const ch = (obj.height || 0) * (obj.scaleY || 1) * sy;
-          // Convert to PDF coords (bottom-left origin)
-          coverRects.push({
-            x1: cx, y1: pageH - cy - ch,
-            x2: cx + cw, y2: pageH - cy,
-          });
-        }
-      }
+      const coverRects = coverRectsByPage[i + 1] || [];
 
       // Collect link annotations to rebuild in the export doc
       const linkAnnotsToAdd = [];
@@ -471,6 +543,122 @@ async function preserveLinkAnnotations(originalBytes, exportDoc, pageAnnotations
   }
 }
 
+/* ═══════════════════ Redaction Helpers ═══════════════════ */
+
+/**
+ * Convert a Fabric rect (canvas pixels, top-left origin, as displayed with
+ * the page's /Rotate applied) into PDF user space, honoring the CropBox
+ * origin and rotation.
+ * @returns {{x1: number, y1: number, x2: number, y2: number}}
+ */
+function canvasRectToUserSpace(obj, page, canvasW, canvasH) {
+  const box = page.getCropBox();
+  const rotation = (((page.getRotation().angle || 0) % 360) + 360) % 360;
+  const quarter = rotation === 90 || rotation === 270;
+  const sx = (quarter ? box.height : box.width) / canvasW;
+  const sy = (quarter ? box.width : box.height) / canvasH;
+
+  const dx1 = (obj.left || 0) * sx;
+  const dy1 = (obj.top || 0) * sy;
+  const dx2 = dx1 + (obj.width || 0) * (obj.scaleX || 1) * sx;
+  const dy2 = dy1 + (obj.height || 0) * (obj.scaleY || 1) * sy;
+
+  const x0 = box.x;
+  const y0 = box.y;
+  const x1 = box.x + box.width;
+  const y1 = box.y + box.height;
+  const toUser = (dx, dy) => {
+    switch (rotation) {
+      case 90: return [x0 + dy, y0 + dx];
+      case 180: return [x1 - dx, y0 + dy];
+      case 270: return [x1 - dy, y1 - dx];
+      default: return [x0 + dx, y1 - dy];
+    }
+  };
+  const [ax, ay] = toUser(dx1, dy1);
+  const [bx, by] = toUser(dx2, dy2);
+  return {
+    x1: Math.min(ax, bx), y1: Math.min(ay, by),
+    x2: Math.max(ax, bx), y2: Math.max(ay, by),
+  };
+}
+
+/**
+ * Re-open the exported bytes with PDF.js and make sure no text is still
+ * extractable from under a redaction. Throws rather than hand back a file
+ * that only looks redacted.
+ */
+async function verifyRedactions(bytes, redactRectsByPage, reasonLabelsByPage = {}) {
+  if (!getPdfjsLib()) return;
+  const doc = await loadDocument(bytes);
+  try {
+    const leaks = withoutReasonLabels(await findTextUnderRects(doc, redactRectsByPage), reasonLabelsByPage);
+    if (leaks.length > 0) {
+      const pages = [...new Set(leaks.map(l => l.pageNum))].join(', ');
+      throw new Error(`Redaction check failed: text is still extractable under redactions on page ${pages}`);
+    }
+  } finally {
+    doc.destroy();
+  }
+}
+
+/**
+ * Drop the reason codes printed inside redaction boxes from the leak
+ * report: they are the only text meant to be there. Matching is by
+ * character so it holds however PDF.js splits or joins the text items.
+ */
+function withoutReasonLabels(leaks, reasonLabelsByPage) {
+  const spare = {};
+  for (const [pageNum, labels] of Object.entries(reasonLabelsByPage)) {
+    spare[pageNum] = {};
+    for (const ch of labels.join('').replace(/\s+/g, '')) spare[pageNum][ch] = (spare[pageNum][ch] || 0) + 1;
+  }
+  return leaks
+    .map(leak => {
+      const counts = spare[leak.pageNum] || {};
+      const text = Array.from(leak.text).filter(ch => {
+        if (!counts[ch]) return true;
+        counts[ch]--;
+        return false;
+      }).join('');
+      return { ...leak, text };
+    })
+    .filter(leak => leak.text);
+}
+
+/**
+ * Print a reason code in white, centred in a redaction box and upright as
+ * the page is displayed. Shrinks the text to fit and skips boxes too small
+ * to hold it legibly.
+ * @returns {string|null} The text drawn, or null when skipped
+ */
+function drawReasonLabel(page, rect, reason, font, rotation) {
+  const PDFLib = getPDFLib();
+  const text = reason.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?').trim();
+  if (!text) return null;
+  const sideways = rotation === 90 || rotation === 270;
+  const along = sideways ? rect.y2 - rect.y1 : rect.x2 - rect.x1;
+  const across = sideways ? rect.x2 - rect.x1 : rect.y2 - rect.y1;
+  const size = Math.min(10, across * 0.7, ((along - 4) * 10) / font.widthOfTextAtSize(text, 10));
+  if (!(size >= 4)) return null;
+
+  const rad = (rotation * Math.PI) / 180;
+  const dir = [Math.cos(rad), Math.sin(rad)];
+  const up = [-Math.sin(rad), Math.cos(rad)];
+  const width = font.widthOfTextAtSize(text, size);
+  const cx = (rect.x1 + rect.x2) / 2;
+  const cy = (rect.y1 + rect.y2) / 2;
+  page.drawText(text, {
+    x: cx - dir[0] * width / 2 - up[0] * size * 0.35,
+    y: cy - dir[1] * width / 2 - up[1] * size * 0.35,
+    size,
+    font,
+    color: PDFLib.rgb(1, 1, 1),
+    rotate: PDFLib.degrees(rotation),
+  });
+  return text;
+}
+
 /* ═══════════════════ Helpers ═══════════════════ */
 
 function makeExportName(fileName) {
@@ -51,20 +51,51 @@ async function ensurePageIndexed(pageNum) {
   if (!textIndex || textIndex[pageNum]) return; // already done
   if (!_indexedDoc) return;
   try {
-    const page = await _indexedDoc.getPage(pageNum);
-    const content = await page.getTextContent();
-    let fullText = '';
-    const items = content.items.map(item => {
-      const start = fullText.length;
-      fullText += item.str;
-      return { str: item.str, start, transform: item.transform, width: item.width, height: item.height };
-    });
+    const entry = await readPageText(_indexedDoc, pageNum);
     if (!_indexCancelled && textIndex) {
-      textIndex[pageNum] = { pageNum, text: fullText, items };
+      textIndex[pageNum] = entry;
     }
   } catch (_) { /* page unavailable — leave as null */ }
 }
 
+/** Build an index entry for one page from its PDF.js text content. */
+async function readPageText(pdfDoc, pageNum) {
+  const page = await pdfDoc.getPage(pageNum);
+  const content = await page.getTextContent();
+  let fullText = '';
+  const items = content.items.map(item => {
+    const start = fullText.length;
+    fullText += item.str;
+    return {
+      str: item.str, start, transform: item.transform, width: item.width, height: item.height,
+      hasEOL: item.hasEOL,
+    };
+  });
+  return { pageNum, text: fullText, items };
+}
+
+/**
+ * Plain text of every page, with line breaks where the text content has
+ * them. Pages of the indexed document come from the index, so OCR text
+ * merged by augmentTextIndex() is included; other documents are read
+ * directly. Unreadable pages give ''.
+ * @param {PDFDocumentProxy} pdfDoc — PDF.js document
+ * @returns {Promise<string[]>} index 0 = page 1
+ */
+export async function getDocumentText(pdfDoc) {
+  const pages = [];
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    let entry = null;
+    if (pdfDoc === _indexedDoc) {
+      await ensurePageIndexed(pageNum);
+      entry = textIndex?.[pageNum] || null;
+    }
+    if (!entry) entry = await readPageText(pdfDoc, pageNum).catch(() => null);
+    pages.push(entry ? entry.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('') : '');
+  }
+  return pages;
+}
+
 /** Reset index (on doc close) */
 export function clearTextIndex() {
   _indexCancelled = true;
@@ -0,0 +1,263 @@
+/**
+ * Mudbrick — E-Discovery Load Files
+ * Concordance (.dat) and Opticon (.opt) load files for a Bates production,
+ * so review platforms can ingest the set with its Bates ranges, families
+ * and metadata.
+ *
+ * A production volume is laid out the way review platforms expect:
+ *
+ *   VOL001/DATA/VOL001.dat        one row per document
+ *   VOL001/DATA/VOL001.opt        one row per page image
+ *   VOL001/PDF/<BEGBATES>.pdf     the stamped documents
+ *   VOL001/IMAGES/0001/<BATES>.tif  single-page images, 1000 per folder
+ *   VOL001/TEXT/<BEGBATES>.txt    extracted text, pages split by form feeds;
+ *                                 OCR text for pages with none of their own
+ *
+ * Paths inside the load files are relative to the folder holding the
+ * volume and use Windows separators, as Concordance and Opticon do.
+ */
+
+import { exportPagesToImages, IMAGE_EXTENSIONS } from './export-image.js';
+import { getDocumentText } from './find.js';
+import { ocrDocumentKey, recognizePageText } from './ocr.js';
+import { loadDocument } from './pdf-engine.js';
+
+const getPDFLib = () => window.PDFLib;
+
+/** Concordance default delimiters: field separator, text qualifier, in-field newline */
+export const CONCORDANCE_DELIMITERS = { field: '\u0014', quote: '\u00FE', newline: '\u00AE' };
+
+/** DAT columns, in order */
+export const DAT_FIELDS = [
+  'BEGBATES', 'ENDBATES', 'BEGATTACH', 'ENDATTACH', 'PGCOUNT', 'CUSTODIAN',
+  'FILENAME', 'TITLE', 'AUTHOR', 'SUBJECT', 'DATECREATED', 'DATEMODIFIED',
+  'PDFPATH', 'TEXTPATH',
+];
+
+const IMAGES_PER_FOLDER = 1000;
+
+/* ═══════════════════ Load File Formats ═══════════════════ */
+
+/**
+ * Concordance DAT: a header row of field names, then one row per record.
+ * Every value is wrapped in þ, fields are separated by DC4 (0x14), and
+ * newlines inside a value become ®. Starts with a UTF-8 byte order mark.
+ * @param {Object[]} records - Keyed by field name
+ * @param {string[]} [fields=DAT_FIELDS]
+ * @returns {string}
+ */
+export function buildDAT(records, fields = DAT_FIELDS) {
+  const { field, quote } = CONCORDANCE_DELIMITERS;
+  const row = values => values.map(v => quote + datValue(v) + quote).join(field);
+  const lines = [row(fields), ...records.map(r => row(fields.map(f => r[f])))];
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function datValue(value) {
+  const { quote, newline } = CONCORDANCE_DELIMITERS;
+  return String(value ?? '')
+    .replace(/\r\n|\r|\n/g, newline)
+    .split(quote).join('')
+    .replace(/\u0014/g, ' ');
+}
+
+/**
+ * Opticon OPT: one row per page image,
+ * "ImageKey,Volume,Path,DocBreak,FolderBreak,BoxBreak,PageCount", where the
+ * first page of each document has DocBreak "Y" and its page count.
+ * @param {Array<{labels: string[], imagePaths: string[]}>} docs
+ * @param {string} volume
+ * @returns {string}
+ */
+export function buildOPT(docs, volume) {
+  const lines = [];
+  for (const doc of docs) {
+    doc.labels.forEach((label, i) => {
+      const first = i === 0;
+      lines.push([label, volume, doc.imagePaths[i], first ? 'Y' : '', '', '', first ? doc.labels.length : ''].join(','));
+    });
+  }
+  return lines.join('\r\n') + (lines.length ? '\r\n' : '');
+}
+
+/**
+ * Attachment ranges for each document. A document marked as an attachment
+ * joins the family of the nearest document before it that is not one;
+ * every family spans from its parent's first page to its last attachment's
+ * last page. Standalone documents are a family of one.
+ * @param {Array<{firstLabel: string, lastLabel: string, attachment?: boolean}>} docs
+ * @returns {Array<{begAttach: string, endAttach: string}>}
+ */
+export function attachmentRanges(docs) {
+  const ranges = new Array(docs.length);
+  for (let start = 0; start < docs.length;) {
+    let end = start + 1;
+    while (end < docs.length && docs[end].attachment) end++;
+    for (let i = start; i < end; i++) {
+      ranges[i] = { begAttach: docs[start].firstLabel, endAttach: docs[end - 1].lastLabel };
+    }
+    start = end;
+  }
+  return ranges;
+}
+
+/* ═══════════════════ Production Volume ═══════════════════ */
+
+/**
+ * @typedef {Object} LoadFileOptions
+ * @property {string}  [volume='VOL001'] - Volume name; also the DAT/OPT file name
+ * @property {string}  [custodian='']    - CUSTODIAN value for every document
+ * @property {string}  [images='none']   - 'none', 'tiff' (1-bit) or 'jpg' page images
+ * @property {number}  [dpi=300]         - Image resolution
+ * @property {boolean} [text=false]      - Write extracted text per document
+ * @property {string}  [ocrLanguage='eng'] - Language to OCR pages with no text in
+ * @property {function({name: string, bytes: Uint8Array|string}): void} [onEntry] - Receives
+ *   each entry as soon as it is ready instead of collecting them, so a large
+ *   volume never has to be held in memory at once; the DAT and OPT come last
+ */
+
+/**
+ * Build a production volume from stamped files. Each file needs the
+ * fields applyBatesProduction() returns; `source` (the unstamped PDF) is
+ * used for metadata and text, since stamping rewrites the producer and
+ * modification date, and `attachment` marks it as part of the previous
+ * document's family.
+ * @param {Array<import('./bates.js').ProductionFile & {source?: Uint8Array, attachment?: boolean}>} files
+ * @param {LoadFileOptions} [opts]
+ * @param {function} [onProgress] - Called as (index, total, name) before each file
+ * @returns {Promise<{entries: Array<{name: string, bytes: Uint8Array|string}>, dat: string, opt: string}>}
+ *   entries is empty when they went to opts.onEntry
+ */
+export async function buildLoadFileVolume(files, opts = {}, onProgress) {
+  const {
+    volume = 'VOL001',
+    custodian = '',
+    images = 'none',
+    dpi = 300,
+    text = false,
+    ocrLanguage = 'eng',
+    onEntry,
+  } = opts;
+  const entries = [];
+  const add = onEntry || (entry => entries.push(entry));
+  const records = [];
+  const imageDocs = [];
+  const families = attachmentRanges(files);
+  let imageCount = 0;
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    if (onProgress) onProgress(i, files.length, file.name);
+    const key = safeFileName(file.firstLabel);
+    const meta = await readMetadata(file.source || file.bytes);
+
+    const pdfPath = `PDF/${key}.pdf`;
+    add({ name: `${volume}/${pdfPath}`, bytes: file.bytes });
+
+    let textPath = '';
+    if (text) {
+      const source = file.source || file.bytes;
+      const doc = await loadDocument(source);
+      try {
+        textPath = `TEXT/${key}.txt`;
+        add({ name: `${volume}/${textPath}`, bytes: (await documentText(doc, source, ocrLanguage)).join('\f') });
+      } finally {
+        doc.destroy?.();
+      }
+    }
+
+    if (images !== 'none') {
+      const doc = await loadDocument(file.bytes);
+      try {
+        const pages = Array.from({ length: doc.numPages }, (_, p) => p + 1);
+        const rendered = await exportPagesToImages(doc, pages, {
+          format: images, dpi, bilevel: images === 'tiff', quality: 0.85, download: false,
+        });
+        const imagePaths = [];
+        for (let p = 0; p < rendered.length; p++) {
+          const folder = String(Math.floor(imageCount++ / IMAGES_PER_FOLDER) + 1).padStart(4, '0');
+          const path = `IMAGES/${folder}/${safeFileName(file.labels[p])}.${IMAGE_EXTENSIONS[images]}`;
+          add({ name: `${volume}/${path}`, bytes: new Uint8Array(await rendered[p].blob.arrayBuffer()) });
+          imagePaths.push(windowsPath(volume, path));
+        }
+        imageDocs.push({ labels: file.labels.slice(0, rendered.length), imagePaths });
+      } finally {
+        doc.destroy?.();
+      }
+    }
+
+    records.push({
+      BEGBATES: file.firstLabel,
+      ENDBATES: file.lastLabel,
+      BEGATTACH: families[i].begAttach,
+      ENDATTACH: families[i].endAttach,
+      PGCOUNT: file.pageCount,
+      CUSTODIAN: custodian,
+      FILENAME: file.name,
+      TITLE: meta.title,
+      AUTHOR: meta.author,
+      SUBJECT: meta.subject,
+      DATECREATED: meta.created,
+      DATEMODIFIED: meta.modified,
+      PDFPATH: windowsPath(volume, pdfPath),
+      TEXTPATH: textPath && windowsPath(volume, textPath),
+    });
+  }
+
+  const dat = buildDAT(records);
+  const opt = buildOPT(imageDocs, volume);
+  const data = [{ name: `${volume}/DATA/${volume}.dat`, bytes: dat }];
+  if (imageDocs.length) data.push({ name: `${volume}/DATA/${volume}.opt`, bytes: opt });
+  if (onEntry) data.forEach(onEntry);
+  else entries.unshift(...data);
+  return { entries, dat, opt };
+}
+
+/* ═══════════════════ Helpers ═══════════════════ */
+
+/**
+ * Text of every page; pages with no text of their own (scans) are OCR'd.
+ * When OCR can't run, those pages stay blank rather than failing the volume.
+ */
+async function documentText(doc, bytes, language) {
+  const pages = await getDocumentText(doc);
+  const scanned = pages.flatMap((page, p) => (page.trim() ? [] : [p + 1]));
+  if (!scanned.length) return pages;
+  try {
+    const documentKey = await ocrDocumentKey(bytes).catch(() => undefined);
+    const ocr = await recognizePageText(doc, scanned, { language, documentKey });
+    for (const [pageNum, pageText] of ocr) pages[pageNum - 1] = pageText;
+  } catch (err) {
+    console.warn('Load files: OCR unavailable, scanned pages have no text:', err);
+  }
+  return pages;
+}
+
+/** Document properties of the source PDF; blank where missing or unreadable. */
+async function readMetadata(bytes) {
+  const meta = { title: '', author: '', subject: '', created: '', modified: '' };
+  try {
+    const doc = await getPDFLib().PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    meta.title = doc.getTitle?.() || '';
+    meta.author = doc.getAuthor?.() || '';
+    meta.subject = doc.getSubject?.() || '';
+    meta.created = formatDate(doc.getCreationDate?.());
+    meta.modified = formatDate(doc.getModificationDate?.());
+  } catch { /* leave blank */ }
+  return meta;
+}
+
+/** MM/DD/YYYY, the date form load files use */
+function formatDate(date) {
+  if (!(date instanceof Date) || isNaN(date)) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}`;
+}
+
+function safeFileName(name) {
+  return String(name).replace(/[\\/:*?"<>|]+/g, '_').trim() || 'document';
+}
+
+function windowsPath(volume, path) {
+  return `${volume}\\${path.replace(/\//g, '\\')}`;
+}
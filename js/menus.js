@@ -9,6 +9,7 @@
 import State from './state.js';
 import { DOM, $ } from './dom-refs.js';
 import { icon } from './icons.js';
+import { describePage, readPageLabels, carryPageLabels } from './page-labels.js';
 
 /* ═══════════════════ Module-level State ═══════════════════ */
 
@@ -297,6 +298,7 @@ export function getMenuDefinitions(actions) {
       { icon: 'list-ordered', label: 'Form Creator', action: actions.formCreator },
       '---',
       { icon: 'file-scan', label: 'OCR', action: actions.ocr },
+      { icon: 'search', label: 'Make Searchable PDF', action: actions.makeSearchablePDF },
       { icon: 'shield-off', label: 'Redaction Patterns', action: actions.redactSearch },
       { icon: 'git-compare', label: 'Document Compare', action: actions.docCompare },
       '---',
@@ -304,6 +306,8 @@ export function getMenuDefinitions(actions) {
       { icon: 'message-square', label: 'Comment Summary', action: actions.openCommentSummaryModal },
       '---',
       { icon: 'maximize', label: 'Normalize Page Sizes', action: actions.openNormalizePagesModal },
+      { icon: 'list-ordered', label: 'Collate Odd/Even Pages', action: actions.openCollateModal },
+      { icon: 'scan', label: 'Find Blank Pages', action: actions.openBlankPages },
       '---',
       { icon: 'zap', label: 'Optimize / Compress', action: actions.optimize },
     ],
@@ -379,6 +383,11 @@ export function showContextMenu(e, pageNum) {
     <button data-action="delete" ${State.totalPages <= 1 ? 'disabled' : ''}>${icon('trash', 14)} Delete Page</button>
     <button data-action="extract">${icon('file-output', 14)} Extract Page</button>
   `;
+  // Name the page as the user sees it (its label, if it has one)
+  const title = document.createElement('div');
+  title.className = 'context-menu-title';
+  title.textContent = describePage(pageNum);
+  contextMenu.prepend(title);
   // Position at mouse
   contextMenu.style.left = e.clientX + 'px';
   contextMenu.style.top = e.clientY + 'px';
@@ -441,12 +450,14 @@ export function showContextMenu(e, pageNum) {
       try {
         const PDFLib = window.PDFLib;
         const doc = await PDFLib.PDFDocument.load(State.pdfBytes, { ignoreEncryption: true });
+        const labels = readPageLabels(doc);
         const [copied] = await doc.copyPages(doc, [idx]);
         doc.insertPage(idx + 1, copied);
+        carryPageLabels(doc, labels, i => (i > idx ? i + 1 : i));
         const newBytes = await doc.save();
         State.currentPage = pageNum + 1;
         await _callbacks.reloadAfterEdit(newBytes);
-        _callbacks.toast(`Duplicated page ${pageNum}`, 'success');
+        _callbacks.toast(`Duplicated ${describePage(pageNum)}`, 'success');
       } catch (err) {
         console.error('Duplicate page failed:', err);
         _callbacks.toast('Duplicate failed: ' + err.message, 'error');
@@ -477,14 +488,14 @@ export function showContextMenu(e, pageNum) {
           break;
         case 'delete':
           if (State.totalPages <= 1) return;
-          if (!confirm(`Delete page ${pageNum}? This cannot be undone.`)) return;
+          if (!confirm(`Delete ${describePage(pageNum)}? This cannot be undone.`)) return;
           newBytes = await _callbacks.deletePage(State.pdfBytes, idx);
           // If we deleted the current page or a page before it, adjust
           if (pageNum <= State.currentPage && State.currentPage > 1) {
             State.currentPage--;
           }
           await _callbacks.reloadAfterEdit(newBytes);
-          _callbacks.toast(`Deleted page ${pageNum}`, 'success');
+          _callbacks.toast(`Deleted ${describePage(pageNum)}`, 'success');
           break;
         case 'extract': {
           const extracted = await _callbacks.splitPDF(State.pdfBytes, [[idx]]);
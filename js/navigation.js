@@ -6,7 +6,10 @@ import State from './state.js';
 import { DOM } from './dom-refs.js';
 import { renderCurrentPage } from './renderer.js';
 import { announceToScreenReader } from './a11y.js';
-import { getPageLabel } from './page-labels.js';
+import {
+  getPageLabel, resolvePageRef, parseLabeledPageRanges, labelConflictMessage,
+} from './page-labels.js';
+import { toast } from './utils.js';
 
 // Callback registry — avoids importing functions still in app.js
 let _callbacks = {};
@@ -44,6 +47,43 @@ export function goToPage(pageNum) {
   }, NAV_DEBOUNCE_MS);
 }
 
+/**
+ * Go to a page typed into the page box: a label ("xii", "A-3") or a page
+ * number. Says which page was used when a label and a number disagree.
+ * @param {string} text
+ * @returns {boolean} Whether the text named a page
+ */
+export function goToPageInput(text) {
+  // Already showing: the box holds the current page's label after navigating
+  if (String(text).trim() === getPageLabel(State.currentPage)) return true;
+  const ref = resolvePageRef(text, State.totalPages);
+  if (!ref) {
+    toast(`No page "${String(text).trim()}" in this document`, 'warning');
+    updatePageNav();
+    return false;
+  }
+  if (ref.conflict) toast(labelConflictMessage([{ text: String(text).trim(), ...ref }]), 'info');
+  goToPage(ref.pageNum);
+  updatePageNav();
+  return true;
+}
+
+/**
+ * Parse a page range field of the current document, accepting labels as
+ * well as page numbers (see parseLabeledPageRanges). Label/number
+ * conflicts are reported in a toast unless `quiet`.
+ * @param {string} input
+ * @param {Object} [opts]
+ * @param {boolean} [opts.quiet=false]
+ * @param {Array} [opts.conflicts] - Collects the conflicts found
+ * @returns {number[][]|null} 0-based page index arrays
+ */
+export function parsePageRangeInput(input, { quiet = false, conflicts = [] } = {}) {
+  const ranges = parseLabeledPageRanges(input || '', State.totalPages, { onConflict: c => conflicts.push(c) });
+  if (ranges && conflicts.length && !quiet) toast(labelConflictMessage(conflicts), 'info');
+  return ranges;
+}
+
 export function prevPage() { goToPage(State.currentPage - 1); }
 export function nextPage() { goToPage(State.currentPage + 1); }
 export function firstPage() { goToPage(1); }
@@ -0,0 +1,319 @@
+/**
+ * Mudbrick — OCR Interchange Formats
+ * hOCR and ALTO XML export of OCR results, and import of the same formats
+ * produced by other engines (Tesseract, ABBYY, Google Vision converters…),
+ * so recognized text can move between Mudbrick and document platforms with
+ * its word boxes and confidences intact.
+ *
+ * Results here use the ocr.js shape: per page, words and lines with boxes
+ * in page points (72 DPI, top-left origin, as the page is displayed).
+ * Exports write pixels at the 300 DPI OCR resolution, which is what other
+ * OCR tools produce and expect.
+ */
+
+const EXPORT_DPI = 300;
+const PX = EXPORT_DPI / 72;
+
+/* ═══════════════════ Export ═══════════════════ */
+
+/**
+ * hOCR 1.2 document (XHTML) with a page, line and word per result.
+ * @param {Object<number, object>} results - pageNum → OCR result
+ * @param {object} [opts]
+ * @param {string} [opts.title='OCR output']
+ * @returns {string}
+ */
+export function toHOCR(results, opts = {}) {
+  const { title = 'OCR output' } = opts;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN"',
+    '    "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+    ' <head>',
+    `  <title>${escapeXml(title)}</title>`,
+    '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    '  <meta name="ocr-system" content="Mudbrick"/>',
+    '  <meta name="ocr-capabilities" content="ocr_page ocr_line ocrx_word ocrp_wconf"/>',
+    ' </head>',
+    ' <body>',
+  ];
+
+  for (const pageNum of sortedPages(results)) {
+    const page = pageLayout(results[pageNum]);
+    out.push(`  <div class="ocr_page" id="page_${pageNum}" ` +
+      `title="bbox 0 0 ${px(page.width)} ${px(page.height)}; ppageno ${pageNum - 1}; scan_res ${EXPORT_DPI} ${EXPORT_DPI}">`);
+    page.lines.forEach((line, l) => {
+      out.push(`   <span class="ocr_line" id="line_${pageNum}_${l + 1}" title="${bboxTitle(line.bbox)}">`);
+      line.words.forEach(({ word, index }) => {
+        out.push(`    <span class="ocrx_word" id="word_${pageNum}_${index + 1}" ` +
+          `title="${bboxTitle(word.bbox)}; x_wconf ${Math.round(word.confidence ?? 100)}">${escapeXml(word.text)}</span>`);
+      });
+      out.push('   </span>');
+    });
+    out.push('  </div>');
+  }
+
+  out.push(' </body>', '</html>', '');
+  return out.join('\n');
+}
+
+/**
+ * ALTO v4 XML document, in pixels at 300 DPI, with a Page per result.
+ * @param {Object<number, object>} results - pageNum → OCR result
+ * @param {object} [opts]
+ * @param {string} [opts.fileName=''] - Source document, for sourceImageInformation
+ * @returns {string}
+ */
+export function toALTO(results, opts = {}) {
+  const { fileName = '' } = opts;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#"',
+    '      xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '      xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">',
+    '  <Description>',
+    '    <MeasurementUnit>pixel</MeasurementUnit>',
+    '    <sourceImageInformation>',
+    `      <fileName>${escapeXml(fileName)}</fileName>`,
+    '    </sourceImageInformation>',
+    '    <OCRProcessing ID="OCR_0">',
+    '      <ocrProcessingStep>',
+    '        <processingSoftware><softwareName>Mudbrick</softwareName></processingSoftware>',
+    '      </ocrProcessingStep>',
+    '    </OCRProcessing>',
+    '  </Description>',
+    '  <Layout>',
+  ];
+
+  for (const pageNum of sortedPages(results)) {
+    const page = pageLayout(results[pageNum]);
+    out.push(`    <Page ID="page_${pageNum}" PHYSICAL_IMG_NR="${pageNum}" WIDTH="${px(page.width)}" HEIGHT="${px(page.height)}">`);
+    out.push(`      <PrintSpace HPOS="0" VPOS="0" WIDTH="${px(page.width)}" HEIGHT="${px(page.height)}">`);
+    if (page.lines.length) {
+      out.push(`        <TextBlock ID="block_${pageNum}_1" ${altoBox(unionBox(page.lines.map(l => l.bbox)))}>`);
+      page.lines.forEach((line, l) => {
+        out.push(`          <TextLine ID="line_${pageNum}_${l + 1}" ${altoBox(line.bbox)}>`);
+        line.words.forEach(({ word, index }, w) => {
+          if (w) out.push('            <SP/>');
+          const wc = ((word.confidence ?? 100) / 100).toFixed(2);
+          out.push(`            <String ID="string_${pageNum}_${index + 1}" ${altoBox(word.bbox)} ` +
+            `WC="${wc}" CONTENT="${escapeXml(word.text)}"/>`);
+        });
+        out.push('          </TextLine>');
+      });
+      out.push('        </TextBlock>');
+    }
+    out.push('      </PrintSpace>', '    </Page>');
+  }
+
+  out.push('  </Layout>', '</alto>', '');
+  return out.join('\n');
+}
+
+/* ═══════════════════ Import ═══════════════════ */
+
+/**
+ * @typedef {Object} ImportedPage
+ * @property {number} pageNum - 1-based
+ * @property {Array<{text: string, bbox: object, confidence: number, line: number}>} words - Boxes
+ *   in points; `line` indexes `lines`
+ * @property {Array<{text: string, bbox: object}>} lines
+ */
+
+/**
+ * Tell hOCR from ALTO by content.
+ * @param {string} text
+ * @returns {'hocr'|'alto'|null}
+ */
+export function detectOCRFormat(text) {
+  const head = text.slice(0, 4096);
+  if (/<alto[\s>]/i.test(head)) return 'alto';
+  if (/ocr_page|ocrx_word|ocr-system/.test(text)) return 'hocr';
+  return null;
+}
+
+/**
+ * Read hOCR. Boxes are scaled to each page's size in points, looked up by
+ * `pageSize(pageNum)`; pages come from ppageno, or their order.
+ * @param {string} text
+ * @param {function(number): ({width: number, height: number}|null)} pageSize - null skips the page
+ * @returns {ImportedPage[]}
+ */
+export function parseHOCR(text, pageSize) {
+  const doc = new DOMParser().parseFromString(text, 'text/html');
+  const pages = [];
+  doc.querySelectorAll('.ocr_page').forEach((pageEl, i) => {
+    const props = titleProps(pageEl);
+    const pageNum = props.ppageno ? Number(props.ppageno[0]) + 1 : i + 1;
+    const size = pageSize(pageNum);
+    if (!size) return;
+
+    let scale = 1;
+    if (props.bbox && props.bbox[2] > props.bbox[0]) scale = size.width / (props.bbox[2] - props.bbox[0]);
+    else if (props.scan_res) scale = 72 / props.scan_res[0];
+
+    const page = { pageNum, words: [], lines: [] };
+    const lineOf = new Map();
+    pageEl.querySelectorAll('.ocrx_word').forEach(wordEl => {
+      const wordProps = titleProps(wordEl);
+      const text = wordEl.textContent.trim();
+      if (!text || !wordProps.bbox) return;
+      const word = {
+        text,
+        bbox: scaleBox(wordProps.bbox, scale),
+        confidence: wordProps.x_wconf ? Number(wordProps.x_wconf[0]) : 100,
+      };
+      page.words.push(word);
+
+      // Words outside any line element become lines of their own
+      const lineEl = wordEl.closest('.ocr_line, .ocrx_line, .ocr_caption, .ocr_header, .ocr_textfloat') || wordEl;
+      if (!lineOf.has(lineEl)) {
+        const lineBox = titleProps(lineEl).bbox;
+        lineOf.set(lineEl, { words: [], bbox: lineBox ? scaleBox(lineBox, scale) : null });
+      }
+      lineOf.get(lineEl).words.push(word);
+    });
+    page.lines = [...lineOf.values()].map((line, l) => {
+      line.words.forEach(word => { word.line = l; });
+      return finishLine(line);
+    });
+    pages.push(page);
+  });
+  return pages;
+}
+
+/**
+ * Read ALTO (v2–v4). Pixel units are scaled to each page's size in points;
+ * mm10 and inch1200 are absolute. Pages come from PHYSICAL_IMG_NR, or
+ * their order.
+ * @param {string} text
+ * @param {function(number): ({width: number, height: number}|null)} pageSize - null skips the page
+ * @returns {ImportedPage[]}
+ */
+export function parseALTO(text, pageSize) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Not a well-formed ALTO file');
+  const byName = (el, name) => Array.from(el.getElementsByTagNameNS('*', name));
+  const unit = byName(doc, 'MeasurementUnit')[0]?.textContent.trim() || 'pixel';
+
+  const pages = [];
+  byName(doc, 'Page').forEach((pageEl, i) => {
+    const pageNum = Number(pageEl.getAttribute('PHYSICAL_IMG_NR')) || i + 1;
+    const size = pageSize(pageNum);
+    if (!size) return;
+
+    let scale;
+    if (unit === 'mm10') scale = 72 / 254;
+    else if (unit === 'inch1200') scale = 72 / 1200;
+    else scale = Number(pageEl.getAttribute('WIDTH')) > 0 ? size.width / Number(pageEl.getAttribute('WIDTH')) : 1 / PX;
+
+    const boxOf = el => {
+      const [x, y, w, h] = ['HPOS', 'VPOS', 'WIDTH', 'HEIGHT'].map(a => Number(el.getAttribute(a)) || 0);
+      return scaleBox([x, y, x + w, y + h], scale);
+    };
+    const page = { pageNum, words: [], lines: [] };
+    for (const lineEl of byName(pageEl, 'TextLine')) {
+      const words = [];
+      for (const stringEl of byName(lineEl, 'String')) {
+        const content = (stringEl.getAttribute('CONTENT') || '').trim();
+        if (!content) continue;
+        const wc = stringEl.getAttribute('WC');
+        words.push({
+          text: content,
+          bbox: boxOf(stringEl),
+          confidence: wc === null ? 100 : Math.round(Number(wc) * 100),
+          line: page.lines.length,
+        });
+      }
+      if (!words.length) continue;
+      page.words.push(...words);
+      page.lines.push(finishLine({ words, bbox: lineEl.hasAttribute('HPOS') ? boxOf(lineEl) : null }));
+    }
+    pages.push(page);
+  });
+  return pages;
+}
+
+/* ── Helpers ── */
+
+function sortedPages(results) {
+  return Object.keys(results).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * Page size and lines with their words. Words carry the index of their
+ * line; results without it (imported or saved by older versions) are
+ * matched to the line whose box holds the word's center.
+ */
+function pageLayout(result) {
+  const words = result.words || [];
+  const lines = (result.lines || []).map(line => ({ bbox: line.bbox, words: [] }));
+  words.forEach((word, index) => {
+    let line = lines[word.line];
+    if (!line) {
+      const cx = (word.bbox.x0 + word.bbox.x1) / 2;
+      const cy = (word.bbox.y0 + word.bbox.y1) / 2;
+      line = lines.find(l => cx >= l.bbox.x0 && cx <= l.bbox.x1 && cy >= l.bbox.y0 && cy <= l.bbox.y1);
+    }
+    if (!line) {
+      line = { bbox: word.bbox, words: [] };
+      lines.push(line);
+    }
+    line.words.push({ word, index });
+  });
+
+  const width = result.pageWidth || Math.max(0, ...words.map(w => w.bbox.x1));
+  const height = result.pageHeight || Math.max(0, ...words.map(w => w.bbox.y1));
+  return { width, height, lines: lines.filter(l => l.words.length) };
+}
+
+function finishLine({ words, bbox }) {
+  return {
+    text: words.map(w => w.text).join(' '),
+    bbox: bbox || unionBox(words.map(w => w.bbox)),
+  };
+}
+
+/** Properties of an hOCR title attribute: "bbox 0 0 10 10; x_wconf 95" → { bbox: [0,0,10,10], x_wconf: [95] } */
+function titleProps(el) {
+  const props = {};
+  for (const part of (el.getAttribute('title') || '').split(';')) {
+    const [name, ...values] = part.trim().split(/\s+/);
+    if (name) props[name] = values.map(Number);
+  }
+  return props;
+}
+
+function scaleBox([x0, y0, x1, y1], scale) {
+  return { x0: x0 * scale, y0: y0 * scale, x1: x1 * scale, y1: y1 * scale };
+}
+
+function unionBox(boxes) {
+  return {
+    x0: Math.min(...boxes.map(b => b.x0)),
+    y0: Math.min(...boxes.map(b => b.y0)),
+    x1: Math.max(...boxes.map(b => b.x1)),
+    y1: Math.max(...boxes.map(b => b.y1)),
+  };
+}
+
+function px(points) {
+  return Math.round(points * PX);
+}
+
+function bboxTitle({ x0, y0, x1, y1 }) {
+  return `bbox ${px(x0)} ${px(y0)} ${px(x1)} ${px(y1)}`;
+}
+
+function altoBox({ x0, y0, x1, y1 }) {
+  return `HPOS="${px(x0)}" VPOS="${px(y0)}" WIDTH="${px(x1) - px(x0)}" HEIGHT="${px(y1) - px(y0)}"`;
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
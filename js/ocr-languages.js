@@ -0,0 +1,213 @@
+/**
+ * Mudbrick — OCR Engine Assets & Language Data
+ * Where Tesseract.js, its worker, wasm core and traineddata come from, and
+ * the language packs downloaded into Cache Storage for offline OCR.
+ *
+ * The engine is served from vendor/tesseract/ when it has been vendored
+ * (`npm run build` writes it with scripts/vendor-tesseract.js, along with a
+ * languages.json manifest); otherwise it falls back to the jsdelivr CDN. Either way, the
+ * service worker answers traineddata requests from OCR_LANG_CACHE, so a
+ * language downloaded here keeps working with no network at all. The
+ * vendored languages are also pre-cached with the engine, so installing
+ * one of them works offline too.
+ */
+
+/** Cache Storage bucket for traineddata; survives service worker updates */
+export const OCR_LANG_CACHE = 'mudbrick-ocr-lang';
+
+/** Languages offered in the OCR modal */
+export const OCR_LANGUAGES = [
+  { code: 'eng', name: 'English' },
+  { code: 'spa', name: 'Spanish' },
+  { code: 'fra', name: 'French' },
+  { code: 'deu', name: 'German' },
+  { code: 'por', name: 'Portuguese' },
+  { code: 'ita', name: 'Italian' },
+  { code: 'jpn', name: 'Japanese' },
+  { code: 'kor', name: 'Korean' },
+  { code: 'chi_sim', name: 'Chinese (Simplified)' },
+  { code: 'chi_tra', name: 'Chinese (Traditional)' },
+  { code: 'ara', name: 'Arabic' },
+  { code: 'rus', name: 'Russian' },
+  { code: 'hin', name: 'Hindi' },
+];
+
+const VENDOR_PATH = 'vendor/tesseract/';
+const CDN_TESSERACT = 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/';
+const CDN_CORE = 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.1';
+const CDN_LANG_DATA = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/';
+
+/**
+ * @typedef {Object} TesseractAssets
+ * @property {'local'|'cdn'} source
+ * @property {string}   scriptPath - tesseract.min.js
+ * @property {string}   workerPath - worker.min.js
+ * @property {string}   corePath   - Directory holding the wasm core builds
+ * @property {string}   [langPath] - Directory holding <code>.traineddata.gz (local only;
+ *                                   the CDN keeps each language in its own package)
+ * @property {string[]} languages  - Language codes that can be downloaded
+ */
+
+let assetsPromise = null;
+
+/**
+ * Locate the Tesseract assets. The vendored copy is used when its manifest
+ * can be read; the result is remembered for the session.
+ * @returns {Promise<TesseractAssets>}
+ */
+export function getTesseractAssets() {
+  if (!assetsPromise) assetsPromise = findAssets();
+  return assetsPromise;
+}
+
+async function findAssets() {
+  const base = new URL(VENDOR_PATH, document.baseURI).href;
+  try {
+    const resp = await fetch(base + 'languages.json');
+    if (resp.ok) {
+      const manifest = await resp.json();
+      return {
+        source: 'local',
+        scriptPath: base + 'tesseract.min.js',
+        workerPath: base + 'worker.min.js',
+        corePath: base + 'core',
+        langPath: base + 'lang',
+        languages: Array.isArray(manifest.languages) ? manifest.languages : [],
+      };
+    }
+  } catch { /* not vendored — use the CDN */ }
+  return {
+    source: 'cdn',
+    scriptPath: CDN_TESSERACT + 'tesseract.min.js',
+    workerPath: CDN_TESSERACT + 'worker.min.js',
+    corePath: CDN_CORE,
+    languages: OCR_LANGUAGES.map(l => l.code),
+  };
+}
+
+/**
+ * URL Tesseract fetches a language's traineddata from.
+ * @param {TesseractAssets} assets
+ * @param {string} code
+ * @returns {string}
+ */
+export function languageDataURL(assets, code) {
+  return assets.langPath
+    ? `${assets.langPath}/${code}.traineddata.gz`
+    : `${CDN_LANG_DATA}${code}/4.0.0_best_int/${code}.traineddata.gz`;
+}
+
+/**
+ * Display name for a language code; combined codes ("eng+spa") name each part.
+ * @param {string} code
+ * @returns {string}
+ */
+export function languageName(code) {
+  return code.split('+')
+    .map(c => OCR_LANGUAGES.find(l => l.code === c)?.name || c)
+    .join(' + ');
+}
+
+/* ═══════════════════ Language Manager ═══════════════════ */
+
+/**
+ * Languages whose traineddata is in Cache Storage, with its size.
+ * @returns {Promise<Array<{code: string, bytes: number}>>}
+ */
+export async function getInstalledLanguages() {
+  if (typeof caches === 'undefined') return [];
+  const cache = await caches.open(OCR_LANG_CACHE);
+  const installed = [];
+  for (const request of await cache.keys()) {
+    const match = /\/([a-z_]+)\.traineddata\.gz$/.exec(new URL(request.url).pathname);
+    if (!match) continue;
+    const resp = await cache.match(request);
+    const bytes = Number(resp?.headers.get('Content-Length')) || (await resp.clone().blob()).size;
+    installed.push({ code: match[1], bytes });
+  }
+  return installed;
+}
+
+/**
+ * Download a language's traineddata into Cache Storage.
+ * @param {string} code
+ * @param {function} [onProgress] - Called with (receivedBytes, totalBytes); total is 0 when unknown
+ * @returns {Promise<number>} Size in bytes
+ */
+export async function installLanguage(code, onProgress) {
+  if (typeof caches === 'undefined') {
+    throw new Error('Offline language storage is not available in this browser');
+  }
+  const assets = await getTesseractAssets();
+  if (!assets.languages.includes(code)) {
+    throw new Error(`${languageName(code)} language data is not available`);
+  }
+  const url = languageDataURL(assets, code);
+  const resp = await fetch(url);
+  if (!resp.ok) {
+    throw new Error(`Could not download ${languageName(code)} language data (HTTP ${resp.status})`);
+  }
+
+  const total = Number(resp.headers.get('Content-Length')) || 0;
+  const chunks = [];
+  let received = 0;
+  if (resp.body?.getReader) {
+    const reader = resp.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      onProgress?.(received, total);
+    }
+  } else {
+    chunks.push(new Uint8Array(await resp.arrayBuffer()));
+    received = chunks[0].length;
+    onProgress?.(received, total);
+  }
+
+  const data = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, offset);
+    offset += chunk.length;
+  }
+  const cache = await caches.open(OCR_LANG_CACHE);
+  await cache.put(url, new Response(data, {
+    headers: { 'Content-Type': 'application/gzip', 'Content-Length': String(received) },
+  }));
+  return received;
+}
+
+/**
+ * Remove a language's traineddata from Cache Storage.
+ * @param {string} code
+ * @returns {Promise<boolean>} Whether anything was removed
+ */
+export async function removeLanguage(code) {
+  if (typeof caches === 'undefined') return false;
+  const cache = await caches.open(OCR_LANG_CACHE);
+  return cache.delete(languageDataURL(await getTesseractAssets(), code));
+}
+
+/**
+ * Make sure every language in a Tesseract language string ("eng+spa") is
+ * installed, downloading the missing ones. Does nothing when Cache Storage
+ * is unavailable; Tesseract then fetches the data itself.
+ * @param {string} language
+ * @param {function} [onProgress] - Called with (code, receivedBytes, totalBytes)
+ * @returns {Promise<string[]>} Codes that were downloaded
+ */
+export async function ensureLanguages(language, onProgress) {
+  if (typeof caches === 'undefined') return [];
+  const installed = new Set((await getInstalledLanguages()).map(l => l.code));
+  const missing = language.split('+').filter(code => !installed.has(code));
+  for (const code of missing) {
+    try {
+      await installLanguage(code, (received, total) => onProgress?.(code, received, total));
+    } catch (err) {
+      throw new Error(`${languageName(code)} language data is not installed and could not be downloaded: ${err.message}`);
+    }
+  }
+  return missing;
+}
@@ -0,0 +1,387 @@
+/**
+ * Mudbrick — OCR Image Preprocessing
+ * Cleans up a 300 DPI page render before Tesseract reads it, for faxed and
+ * photocopied pages that OCR poorly as rendered. Every stage is optional:
+ *
+ *  - grayscale:   drop color (scanner tints, yellowed paper)
+ *  - binarize:    adaptive black & white (Sauvola), which copes with uneven
+ *                 backgrounds where a single threshold would not
+ *  - despeckle:   remove isolated specks of fax and photocopier noise
+ *  - deskew:      straighten text lines, found by projection profile
+ *  - orientation: turn sideways and upside-down pages upright
+ *
+ * The pixel stages work on 8-bit grayscale images ({data, width, height},
+ * 0 = black), so they can be tested without a canvas.
+ */
+
+/** Stage option names, in the order they run */
+export const PREPROCESS_STAGES = ['grayscale', 'binarize', 'despeckle', 'deskew', 'orientation'];
+
+const SAUVOLA_WINDOW = 31;  // px at 300 DPI: a little more than a line of 10pt text
+const SAUVOLA_K = 0.2;
+const SAUVOLA_RANGE = 128;
+const SPECK_AREA = 8;       // px at 300 DPI; a period in 8pt text is about 20
+const MAX_SKEW = 5;         // degrees
+const SKEW_POINTS = 200000; // ink pixels sampled for the projection profile
+
+/**
+ * Whether any preprocessing stage is turned on.
+ * @param {object} [options] - { grayscale, binarize, despeckle, deskew, orientation }
+ * @returns {boolean}
+ */
+export function hasPreprocessing(options) {
+  return PREPROCESS_STAGES.some(stage => options?.[stage]);
+}
+
+/**
+ * Short name for the enabled stages ("binarize+deskew"), '' for none. OCR
+ * results from different stages are kept apart under this name.
+ * @param {object} [options]
+ * @returns {string}
+ */
+export function preprocessProfile(options) {
+  return PREPROCESS_STAGES.filter(stage => options?.[stage]).join('+');
+}
+
+/* ═══════════════════ Pixel Stages ═══════════════════ */
+
+/**
+ * Convert RGBA image data to 8-bit grayscale (Rec. 601 luma).
+ * @param {ImageData|{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function toGrayscale({ data, width, height }) {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return { data: gray, width, height };
+}
+
+/**
+ * Sauvola adaptive binarization: each pixel is compared with a threshold
+ * from the mean and standard deviation of the window around it,
+ * T = m · (1 + k · (s / R − 1)). Window sums slide along rows and columns,
+ * so memory stays at a few rows' worth whatever the page size.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} gray
+ * @param {object} [opts]
+ * @param {number} [opts.window=31] - Window size in pixels (odd)
+ * @param {number} [opts.k=0.2] - Sensitivity; higher keeps less ink
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}} 0 = ink, 255 = paper
+ */
+export function binarize({ data, width, height }, opts = {}) {
+  const { window = SAUVOLA_WINDOW, k = SAUVOLA_K } = opts;
+  const r = Math.floor(window / 2);
+  const out = new Uint8ClampedArray(width * height);
+  const colSum = new Float64Array(width);
+  const colSq = new Float64Array(width);
+
+  const addRow = (y, sign) => {
+    for (let x = 0, i = y * width; x < width; x++, i++) {
+      const v = data[i];
+      colSum[x] += sign * v;
+      colSq[x] += sign * v * v;
+    }
+  };
+  for (let y = 0; y < Math.min(r, height); y++) addRow(y, 1);
+
+  for (let y = 0; y < height; y++) {
+    if (y + r < height) addRow(y + r, 1);
+    if (y - r - 1 >= 0) addRow(y - r - 1, -1);
+    const rows = Math.min(height - 1, y + r) - Math.max(0, y - r) + 1;
+
+    let sum = 0;
+    let sq = 0;
+    for (let x = 0; x < Math.min(r, width); x++) {
+      sum += colSum[x];
+      sq += colSq[x];
+    }
+    for (let x = 0; x < width; x++) {
+      if (x + r < width) {
+        sum += colSum[x + r];
+        sq += colSq[x + r];
+      }
+      if (x - r - 1 >= 0) {
+        sum -= colSum[x - r - 1];
+        sq -= colSq[x - r - 1];
+      }
+      const n = rows * (Math.min(width - 1, x + r) - Math.max(0, x - r) + 1);
+      const mean = sum / n;
+      const sd = Math.sqrt(Math.max(0, sq / n - mean * mean));
+      const threshold = mean * (1 + k * (sd / SAUVOLA_RANGE - 1));
+      out[y * width + x] = data[y * width + x] <= threshold ? 0 : 255;
+    }
+  }
+  return { data: out, width, height };
+}
+
+/**
+ * Remove specks: connected groups of ink pixels (8-connected) no bigger
+ * than `maxArea` are turned to paper.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} binary - Modified in place
+ * @param {object} [opts]
+ * @param {number} [opts.maxArea=8] - Largest speck in pixels
+ * @returns {number[]} Indexes of the pixels removed
+ */
+export function despeckle({ data, width, height }, opts = {}) {
+  const { maxArea = SPECK_AREA } = opts;
+  const seen = new Uint8Array(width * height);
+  const removed = [];
+  const stack = [];
+  const group = [];
+
+  for (let start = 0; start < data.length; start++) {
+    if (data[start] !== 0 || seen[start]) continue;
+    seen[start] = 1;
+    stack.push(start);
+    group.length = 0;
+    let area = 0;
+    while (stack.length) {
+      const i = stack.pop();
+      if (++area <= maxArea) group.push(i);
+      const x = i % width;
+      const y = (i - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy;
+        if (ny < 0 || ny >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          const j = ny * width + nx;
+          if (data[j] === 0 && !seen[j]) {
+            seen[j] = 1;
+            stack.push(j);
+          }
+        }
+      }
+    }
+    if (area <= maxArea) {
+      for (const i of group) {
+        data[i] = 255;
+        removed.push(i);
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Skew of the text lines, by projection profile: ink pixels are projected
+ * onto rows along a range of angles, and the angle whose profile is the
+ * most sharply peaked (lines and gaps cleanly apart) wins. Searched
+ * coarsely, then finely around the best coarse angle.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} binary
+ * @param {object} [opts]
+ * @param {number} [opts.maxAngle=5] - Largest skew looked for, in degrees
+ * @returns {number} Degrees; positive when lines run downhill to the right
+ */
+export function estimateSkew(binary, opts = {}) {
+  return skewSearch(binary, opts.maxAngle ?? MAX_SKEW).angle;
+}
+
+/**
+ * Which way up the page is. Text lines give a sharply peaked projection
+ * profile along them and a flat one across them, so the page is sideways
+ * when it profiles better turned a quarter. Upside-down text is told apart
+ * by where ink sits around each line's x-height band: ascenders (b, d, h,
+ * capitals…) are far commoner than descenders (g, p, y…) in Latin-script
+ * text, so more ink below the band than above means the page is upside
+ * down. Profiles are taken along the skew, so skewed pages work too.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} binary
+ * @returns {0|90|180|270} Clockwise turn that makes the page upright
+ */
+export function detectOrientation(binary) {
+  const asIs = skewSearch(binary, MAX_SKEW);
+  const turned = skewSearch(rotateImage(binary, 90), MAX_SKEW);
+  if (turned.score > asIs.score) return isUpsideDown(turned.profile) ? 270 : 90;
+  return isUpsideDown(asIs.profile) ? 180 : 0;
+}
+
+/**
+ * Turn an image clockwise by a multiple of 90°.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @param {0|90|180|270} degrees
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function rotateImage({ data, width, height }, degrees) {
+  if (!degrees) return { data, width, height };
+  const turned = degrees % 180 !== 0;
+  const w = turned ? height : width;
+  const h = turned ? width : height;
+  const out = new Uint8ClampedArray(data.length);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sx, sy;
+      if (degrees === 90) { sx = y; sy = height - 1 - x; }
+      else if (degrees === 180) { sx = width - 1 - x; sy = height - 1 - y; }
+      else { sx = width - 1 - y; sy = x; }
+      out[y * w + x] = data[sy * width + sx];
+    }
+  }
+  return { data: out, width: w, height: h };
+}
+
+/**
+ * Best projection angle within ±maxAngle, its score (sum of squared row
+ * counts: high when ink is bunched into lines) and its row profile.
+ */
+function skewSearch({ data, width, height }, maxAngle) {
+  let count = 0;
+  for (let i = 0; i < data.length; i++) if (data[i] === 0) count++;
+  if (count < 50) return { angle: 0, score: 0, profile: new Float64Array(0) };
+
+  // Sample the ink evenly so big pages stay quick
+  const step = Math.max(1, Math.ceil(count / SKEW_POINTS));
+  const xs = new Float64Array(Math.ceil(count / step));
+  const ys = new Int32Array(xs.length);
+  let n = 0;
+  for (let i = 0, seen = 0; i < data.length; i++) {
+    if (data[i] !== 0 || seen++ % step) continue;
+    xs[n] = i % width;
+    ys[n] = (i - xs[n]) / width;
+    n++;
+  }
+
+  const offset = Math.ceil(width * Math.tan(maxAngle * Math.PI / 180)) + 1;
+  const bins = new Float64Array(height + 2 * offset + 1);
+  const project = angle => {
+    const t = Math.tan(angle * Math.PI / 180);
+    bins.fill(0);
+    for (let i = 0; i < n; i++) bins[Math.round(ys[i] - xs[i] * t) + offset]++;
+    let score = 0;
+    for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+    return score;
+  };
+  const search = (from, to, by) => {
+    let best = { angle: 0, score: -1 };
+    for (let angle = from; angle <= to + 1e-9; angle += by) {
+      const score = project(angle);
+      if (score > best.score) best = { angle, score };
+    }
+    return best;
+  };
+
+  const coarse = search(-maxAngle, maxAngle, 0.5);
+  const fine = search(coarse.angle - 0.5, coarse.angle + 0.5, 0.05);
+  project(fine.angle);
+  return { angle: Math.round(fine.angle * 100) / 100, score: fine.score, profile: bins };
+}
+
+function isUpsideDown(rows) {
+  let above = 0;
+  let below = 0;
+  for (let y = 0; y < rows.length;) {
+    if (!rows[y]) { y++; continue; }
+    const top = y;
+    while (y < rows.length && rows[y]) y++;
+    const line = rows.subarray(top, y);
+    if (line.length < 8) continue;
+
+    // The x-height band holds the rows at least half as inked as the busiest
+    const peak = Math.max(...line);
+    let bandTop = 0;
+    while (line[bandTop] < peak / 2) bandTop++;
+    let bandBottom = line.length - 1;
+    while (line[bandBottom] < peak / 2) bandBottom--;
+    for (let i = 0; i < bandTop; i++) above += line[i];
+    for (let i = bandBottom + 1; i < line.length; i++) below += line[i];
+  }
+  return below > above;
+}
+
+/* ═══════════════════ Canvas Pipeline ═══════════════════ */
+
+/**
+ * @typedef {Object} PreprocessResult
+ * @property {HTMLCanvasElement} canvas - The cleaned-up image (a new canvas)
+ * @property {0|90|180|270} rotation - Clockwise turn applied to make the page upright
+ * @property {number} skew - Skew removed, in degrees (see estimateSkew)
+ * @property {function(number, number): {x: number, y: number}} toUpright - Maps a
+ *   point in `canvas` back to the source turned by `rotation` but not deskewed
+ */
+
+/**
+ * Run the enabled stages over a page render. The source canvas is left
+ * as it was. Each stage takes a noticeable time on a 300 DPI page, so the
+ * pipeline hands control back to the page between stages, and gives up
+ * there when `signal` has been aborted.
+ * @param {HTMLCanvasElement} source
+ * @param {object} options - { grayscale, binarize, despeckle, deskew, orientation }
+ * @param {object} [run]
+ * @param {AbortSignal} [run.signal]
+ * @returns {Promise<PreprocessResult>} Rejects with an AbortError when aborted
+ */
+export async function preprocessCanvas(source, options, { signal } = {}) {
+  const { width, height } = source;
+  signal?.throwIfAborted();
+  const imageData = source.getContext('2d').getImageData(0, 0, width, height);
+  const gray = toGrayscale(imageData);
+  await nextStage(signal);
+
+  // Deskew and orientation read the black & white image even when it isn't the output
+  const needsBinary = options.binarize || options.despeckle || options.deskew || options.orientation;
+  const binary = needsBinary ? binarize(gray) : null;
+  if (needsBinary) await nextStage(signal);
+  const specks = options.despeckle ? despeckle(binary) : [];
+  if (options.despeckle) await nextStage(signal);
+  const rotation = options.orientation ? detectOrientation(binary) : 0;
+  if (options.orientation) await nextStage(signal);
+  const skew = options.deskew ? estimateSkew(rotateImage(binary, rotation)) : 0;
+  if (options.deskew) await nextStage(signal);
+
+  let pixels = null; // grayscale output; null keeps the source colors
+  if (options.binarize) pixels = binary.data;
+  else if (options.grayscale) pixels = gray.data;
+  const cleaned = document.createElement('canvas');
+  cleaned.width = width;
+  cleaned.height = height;
+  const cleanedCtx = cleaned.getContext('2d');
+  if (pixels) {
+    for (let i = 0, p = 0; i < pixels.length; i++, p += 4) {
+      imageData.data[p] = imageData.data[p + 1] = imageData.data[p + 2] = pixels[i];
+      imageData.data[p + 3] = 255;
+    }
+  }
+  for (const i of specks) {
+    imageData.data.fill(255, i * 4, i * 4 + 4);
+  }
+  cleanedCtx.putImageData(imageData, 0, 0);
+
+  if (!rotation && !skew) {
+    return { canvas: cleaned, rotation, skew, toUpright: (x, y) => ({ x, y }) };
+  }
+
+  // Turn upright and straighten in one draw, growing the canvas to keep the corners
+  const angle = (rotation - skew) * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(Math.abs(width * cos) + Math.abs(height * sin));
+  canvas.height = Math.round(Math.abs(width * sin) + Math.abs(height * cos));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate(angle);
+  ctx.drawImage(cleaned, -width / 2, -height / 2);
+  cleaned.width = cleaned.height = 0;
+
+  // Undo the deskew only: rotate back by `skew` about the centers
+  const upright = rotation % 180 ? { w: height, h: width } : { w: width, h: height };
+  const s = skew * Math.PI / 180;
+  const toUpright = (x, y) => {
+    const dx = x - canvas.width / 2;
+    const dy = y - canvas.height / 2;
+    return {
+      x: dx * Math.cos(s) - dy * Math.sin(s) + upright.w / 2,
+      y: dx * Math.sin(s) + dy * Math.cos(s) + upright.h / 2,
+    };
+  };
+  return { canvas, rotation, skew, toUpright };
+}
+
+/** Let the page repaint and handle input (the Stop button) before the next stage */
+async function nextStage(signal) {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  signal?.throwIfAborted();
+}
@@ -1,20 +1,28 @@
 /**
  * Mudbrick — OCR via Tesseract.js (Phase 2, W5.1)
- * Lazy-loads Tesseract.js from CDN, renders pages at 300 DPI,
- * runs OCR, and creates synthetic text layer spans for search.
+ * Lazy-loads Tesseract.js (vendored copy, or CDN when not vendored),
+ * renders pages at 300 DPI (optionally cleaned up first, see
+ * ocr-preprocess.js), runs OCR, and creates synthetic text layer spans
+ * for search.
  */
 
+import { getTesseractAssets, ensureLanguages, languageName } from './ocr-languages.js';
+import { hasPreprocessing, preprocessProfile, preprocessCanvas } from './ocr-preprocess.js';
+import { toHOCR, toALTO, detectOCRFormat, parseHOCR, parseALTO } from './ocr-formats.js';
+
 let tesseractLoaded = false;
 let ocrResults = {};   // pageNum → { words, lines, fullText }
-let worker = null;
+let workers = [];      // Tesseract worker pool, all loaded with workersLang
+let workersLang = null;
 
 const OCR_DPI = 300;
 const PDF_DPI = 72;
 const SCALE_FACTOR = OCR_DPI / PDF_DPI;
+const MAX_OCR_WORKERS = 6;
 
-/* ── Lazy-load Tesseract.js from CDN ── */
+/* ── Lazy-load Tesseract.js ── */
 
-async function ensureTesseract() {
+async function ensureTesseract(assets) {
   if (tesseractLoaded && window.Tesseract) return;
 
   return new Promise((resolve, reject) => {
@@ -25,16 +33,31 @@ async function ensureTesseract() {
     }
 
     const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js';
+    script.src = assets.scriptPath;
     script.onload = () => {
       tesseractLoaded = true;
       resolve();
     };
-    script.onerror = () => reject(new Error('Failed to load Tesseract.js from CDN'));
+    script.onerror = () => reject(new Error(`Failed to load Tesseract.js from ${assets.source === 'local' ? 'vendor/tesseract' : 'CDN'}`));
     document.head.appendChild(script);
   });
 }
 
+/**
+ * Worker backed by the located assets. Tesseract's own IndexedDB cache is
+ * turned off: traineddata lives in Cache Storage (see ocr-languages.js),
+ * so removing a language there actually frees the space.
+ */
+function createWorker(assets, language) {
+  const options = {
+    workerPath: assets.workerPath,
+    corePath: assets.corePath,
+    cacheMethod: 'none',
+  };
+  if (assets.langPath) options.langPath = assets.langPath;
+  return window.Tesseract.createWorker(language, 1, options);
+}
+
 /* ── Render PDF page to offscreen canvas at high DPI ── */
 
 async function renderPageToCanvas(pdfDoc, pageNum) {
@@ -48,124 +71,312 @@ async function renderPageToCanvas(pdfDoc, pageNum) {
   const ctx = canvas.getContext('2d');
   await page.render({ canvasContext: ctx, viewport }).promise;
 
-  return { canvas, viewport, nativeViewport: page.getViewport({ scale: 1 }) };
+  return { canvas, page, viewport, nativeViewport: page.getViewport({ scale: 1 }) };
+}
+
+/* ── Worker pool ── */
+
+/**
+ * Default number of parallel OCR workers: one per core, leaving one for
+ * the page renderer and UI, and capped because every worker holds its own
+ * wasm heap and traineddata (100–200 MB each).
+ * @returns {number}
+ */
+export function defaultOCRWorkers() {
+  const cores = navigator.hardwareConcurrency || 2;
+  return Math.max(1, Math.min(cores - 1, MAX_OCR_WORKERS));
+}
+
+/** Workers for `language`, growing the pool to `size` as needed */
+async function getWorkerPool(assets, language, size) {
+  if (workersLang !== language) {
+    await terminateOCR();
+    workersLang = language;
+  }
+  const missing = Math.max(0, size - workers.length);
+  workers.push(...await Promise.all(Array.from({ length: missing }, () => createWorker(assets, language))));
+  return workers.slice(0, size);
+}
+
+/**
+ * Render one page at 300 DPI, preprocess it if asked, and turn Tesseract's
+ * blocks into page-point words and lines.
+ *
+ * Words are placed in the page's view space. When preprocessing turned the
+ * page upright, that is the view of the page with the turn added to its
+ * rotation, and the result records the turn as `rotation` so it can be
+ * applied to the page (see applyOCRRotations). A deskewed word keeps its
+ * size and is moved back to where its center is on the skewed page.
+ */
+async function recognizePage(ocrWorker, pdfDoc, pageNum, preprocess, signal) {
+  const { canvas, page, nativeViewport } = await renderPageToCanvas(pdfDoc, pageNum);
+  const preprocessing = hasPreprocessing(preprocess);
+
+  // Unprocessed confidence, to measure what preprocessing gained
+  let baselineConfidence;
+  if (preprocessing && preprocess.compare) {
+    const raw = await ocrWorker.recognize(canvas, {}, { blocks: true });
+    baselineConfidence = averageConfidence(parseBlocks(raw.data, bbox => bbox).words);
+  }
+
+  let prepared = null;
+  try {
+    if (preprocessing) prepared = await preprocessCanvas(canvas, preprocess, { signal });
+  } catch (err) {
+    canvas.width = canvas.height = 0;
+    throw err;
+  }
+  const result = await ocrWorker.recognize(prepared?.canvas || canvas, {}, { blocks: true });
+  canvas.width = canvas.height = 0; // release the bitmaps before the next page
+  if (prepared) prepared.canvas.width = prepared.canvas.height = 0;
+
+  const rotation = prepared?.rotation || 0;
+  const view = rotation
+    ? page.getViewport({ scale: 1, rotation: (page.rotate + rotation) % 360 })
+    : nativeViewport;
+
+  // Convert image coords (300 DPI) back to PDF coords (72 DPI)
+  const toPage = ({ x0, y0, x1, y1 }) => {
+    let dx = 0;
+    let dy = 0;
+    if (prepared?.skew) {
+      const center = prepared.toUpright((x0 + x1) / 2, (y0 + y1) / 2);
+      dx = center.x - (x0 + x1) / 2;
+      dy = center.y - (y0 + y1) / 2;
+    }
+    return {
+      x0: (x0 + dx) / SCALE_FACTOR,
+      y0: (y0 + dy) / SCALE_FACTOR,
+      x1: (x1 + dx) / SCALE_FACTOR,
+      y1: (y1 + dy) / SCALE_FACTOR,
+    };
+  };
+  const { words, lines, fullText } = parseBlocks(result.data, toPage);
+
+  const avgConfidence = averageConfidence(words);
+  const lowConfidenceWords = words.filter(w => w.confidence < 70);
+
+  const pageResult = {
+    words,
+    lines,
+    fullText,
+    pageWidth: view.width,
+    pageHeight: view.height, // in PDF pts (72 DPI)
+    transform: view.transform,
+    avgConfidence,
+    lowConfidenceWords,
+  };
+  if (prepared) pageResult.preprocess = { profile: preprocessProfile(preprocess), rotation, skew: prepared.skew };
+  if (rotation) pageResult.rotation = rotation;
+  if (baselineConfidence !== undefined) pageResult.baselineConfidence = baselineConfidence;
+  return pageResult;
+}
+
+/** Words and lines from Tesseract's block tree, with boxes passed through `toPage` */
+function parseBlocks(data, toPage) {
+  const words = [];
+  const lines = [];
+  let fullText = '';
+
+  if (data.blocks) {
+    for (const block of data.blocks) {
+      if (!block.paragraphs) continue;
+      for (const para of block.paragraphs) {
+        if (!para.lines) continue;
+        for (const line of para.lines) {
+          const lineWords = [];
+          if (!line.words) continue;
+          for (const word of line.words) {
+            words.push({
+              text: word.text,
+              bbox: toPage(word.bbox),
+              confidence: word.confidence,
+              line: lines.length,
+            });
+            lineWords.push(word.text);
+          }
+          const lineText = lineWords.join(' ');
+          lines.push({ text: lineText, bbox: toPage(line.bbox) });
+          fullText += lineText + '\n';
+        }
+      }
+    }
+  } else {
+    // Fallback: just store the raw text without positions
+    fullText = data.text || '';
+  }
+
+  return { words, lines, fullText: fullText.trim() };
+}
+
+function averageConfidence(words) {
+  return words.length ? words.reduce((s, w) => s + w.confidence, 0) / words.length : 0;
+}
+
+function abortError() {
+  const err = new Error('OCR cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+/** Reject as soon as `signal` aborts; Tesseract jobs can't be interrupted */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return Promise.race([promise, new Promise((_, reject) => {
+    if (signal.aborted) reject(abortError());
+    signal.addEventListener('abort', () => reject(abortError()), { once: true });
+  })]);
 }
 
 /* ── Public API ── */
 
 /**
- * Run OCR on specified pages.
+ * Run OCR on specified pages, several at a time on a pool of workers.
+ *
+ * With a `documentKey`, every finished page is saved to IndexedDB as soon
+ * as it is recognized, and pages saved by an earlier run (same document and
+ * language) are restored instead of recognized again, so an interrupted or
+ * cancelled run picks up where it stopped.
+ *
+ * Aborting `signal` stops at once: pages already finished are kept, the
+ * ones in flight are dropped and the call rejects with an AbortError.
+ *
  * @param {PDFDocumentProxy} pdfDoc — PDF.js document
  * @param {number[]} pageNumbers — 1-based page numbers
- * @param {function} onProgress — callback({current, total, status, progress})
+ * @param {function} onProgress — callback({current, total, pageNum, status, progress, eta, resumed});
+ *   `eta` is the estimated seconds remaining (null until a page finishes),
+ *   `resumed` the number of pages restored from an earlier run
+ * @param {object} [options]
+ * @param {string} [options.language='eng']
+ * @param {number} [options.workers=defaultOCRWorkers()] — parallel workers
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.documentKey] — identifies the document for saving and resuming (see ocrDocumentKey)
+ * @param {object} [options.preprocess] — image cleanup stages (see ocr-preprocess.js), plus
+ *   `compare` to also OCR each page unprocessed and record its `baselineConfidence`
  * @returns {Object} ocrResults map
  */
 export async function runOCR(pdfDoc, pageNumbers, onProgress, options = {}) {
-  const { language = 'eng', confidenceThreshold = 60 } = options;
+  const { language = 'eng', workers: poolSize = defaultOCRWorkers(), signal, documentKey, preprocess } = options;
+  // Results from different cleanup stages are saved apart
+  const profile = preprocessProfile(preprocess);
+  const variant = profile ? `${language}~${profile}` : language;
+  const total = pageNumbers.length;
+  if (signal?.aborted) throw abortError();
 
   // Load Tesseract.js
   onProgress?.({
-    current: 0, total: pageNumbers.length,
+    current: 0, total,
     status: 'Loading OCR engine…', progress: 0,
   });
-  await ensureTesseract();
-
-  // Create / reuse worker (recreate if language changed)
-  if (!worker) {
-    worker = await window.Tesseract.createWorker(language);
-    worker._lang = language;
-  } else if (worker._lang !== language) {
-    await worker.terminate();
-    worker = await window.Tesseract.createWorker(language);
-    worker._lang = language;
-  }
-
-  for (let i = 0; i < pageNumbers.length; i++) {
-    const pageNum = pageNumbers[i];
-    const pct = Math.round((i / pageNumbers.length) * 100);
+  const assets = await getTesseractAssets();
+  await ensureTesseract(assets);
 
+  // Download missing language data into Cache Storage so it works offline next time
+  await ensureLanguages(language, (code, received, size) => {
     onProgress?.({
-      current: i + 1, total: pageNumbers.length,
-      pageNum,
-      status: `OCR page ${pageNum} of ${pageNumbers.length}…`,
-      progress: pct,
+      current: 0, total,
+      status: `Downloading ${languageName(code)} language data…` +
+        (size ? ` ${Math.round(received / 1048576)} of ${Math.round(size / 1048576)} MB` : ''),
+      progress: size ? Math.round((received / size) * 100) : 0,
     });
+  });
 
-    // Render page at 300 DPI
-    const { canvas, nativeViewport } = await renderPageToCanvas(pdfDoc, pageNum);
-    const pageHeight = nativeViewport.height; // in PDF pts (72 DPI)
-
-    // Run OCR with blocks output for bounding boxes
-    const result = await worker.recognize(canvas, {}, { blocks: true });
-
-    // Parse results — extract words with bounding boxes
-    const words = [];
-    const lines = [];
-    let fullText = '';
-
-    if (result.data.blocks) {
-      for (const block of result.data.blocks) {
-        if (!block.paragraphs) continue;
-        for (const para of block.paragraphs) {
-          if (!para.lines) continue;
-          for (const line of para.lines) {
-            const lineWords = [];
-            if (!line.words) continue;
-            for (const word of line.words) {
-              // Convert image coords (300 DPI) back to PDF coords (72 DPI)
-              const pdfBbox = {
-                x0: word.bbox.x0 / SCALE_FACTOR,
-                y0: word.bbox.y0 / SCALE_FACTOR,
-                x1: word.bbox.x1 / SCALE_FACTOR,
-                y1: word.bbox.y1 / SCALE_FACTOR,
-              };
-              words.push({
-                text: word.text,
-                bbox: pdfBbox,
-                confidence: word.confidence,
-              });
-              lineWords.push(word.text);
-            }
-            const lineText = lineWords.join(' ');
-            lines.push({
-              text: lineText,
-              bbox: {
-                x0: line.bbox.x0 / SCALE_FACTOR,
-                y0: line.bbox.y0 / SCALE_FACTOR,
-                x1: line.bbox.x1 / SCALE_FACTOR,
-                y1: line.bbox.y1 / SCALE_FACTOR,
-              },
-            });
-            fullText += lineText + '\n';
-          }
+  // Restore pages an earlier run already finished
+  const saved = documentKey
+    ? await loadSavedPages(documentKey, variant, pageNumbers).catch(() => new Map())
+    : new Map();
+  for (const [pageNum, result] of saved) ocrResults[pageNum] = result;
+  const resumed = saved.size;
+  const queue = pageNumbers.filter(pageNum => !saved.has(pageNum));
+
+  let done = total - queue.length;
+  let recognized = 0;
+  const started = Date.now();
+  const report = (pageNum, status) => {
+    const elapsed = (Date.now() - started) / 1000;
+    onProgress?.({
+      current: done, total, pageNum, status, resumed,
+      progress: Math.round((done / total) * 100),
+      eta: recognized ? Math.round((elapsed / recognized) * (total - done)) : null,
+    });
+  };
+  if (resumed) report(undefined, `Resumed ${resumed} page${resumed !== 1 ? 's' : ''} from an earlier run…`);
+
+  if (queue.length) {
+    const pool = await getWorkerPool(assets, language, Math.max(1, Math.min(poolSize, queue.length)));
+    try {
+      await Promise.all(pool.map(async ocrWorker => {
+        while (queue.length && !signal?.aborted) {
+          const pageNum = queue.shift();
+          report(pageNum, `OCR page ${pageNum} (${done + 1} of ${total})…`);
+          const result = await abortable(recognizePage(ocrWorker, pdfDoc, pageNum, preprocess, signal), signal);
+          ocrResults[pageNum] = result;
+          done++;
+          recognized++;
+          if (documentKey) savePage(documentKey, variant, pageNum, result).catch(() => {});
+          report(pageNum, `Recognized page ${pageNum} (${done} of ${total})`);
         }
-      }
-    } else {
-      // Fallback: just store the raw text without positions
-      fullText = result.data.text || '';
+      }));
+    } catch (err) {
+      queue.length = 0; // stop the other workers after their current page
+      // Workers with a job in flight can't be reused
+      if (err.name === 'AbortError') await terminateOCR();
+      throw err;
     }
-
-    const avgConfidence = words.length ? words.reduce((s, w) => s + w.confidence, 0) / words.length : 0;
-    const lowConfidenceWords = words.filter(w => w.confidence < 70);
-
-    ocrResults[pageNum] = {
-      words,
-      lines,
-      fullText: fullText.trim(),
-      pageHeight,
-      avgConfidence,
-      lowConfidenceWords,
-    };
+    if (signal?.aborted) throw abortError();
   }
 
   onProgress?.({
-    current: pageNumbers.length, total: pageNumbers.length,
-    status: 'OCR complete', progress: 100,
+    current: total, total,
+    status: 'OCR complete', progress: 100, eta: 0, resumed,
   });
 
   return ocrResults;
 }
 
+/**
+ * Recognize pages of a document other than the open one (a file in a Bates
+ * production, say) and return only their text. The open document's results
+ * are left alone; pages saved by an earlier run on the same bytes are
+ * reused instead of recognized again.
+ * @param {PDFDocumentProxy} pdfDoc — PDF.js document
+ * @param {number[]} pageNumbers — 1-based page numbers
+ * @param {object} [options]
+ * @param {string} [options.language='eng']
+ * @param {string} [options.documentKey] — see ocrDocumentKey
+ * @returns {Promise<Map<number, string>>} text by page number
+ */
+export async function recognizePageText(pdfDoc, pageNumbers, { language = 'eng', documentKey } = {}) {
+  const text = new Map();
+  if (!pageNumbers.length) return text;
+
+  const saved = documentKey
+    ? await loadSavedPages(documentKey, language, pageNumbers).catch(() => new Map())
+    : new Map();
+  for (const [pageNum, result] of saved) text.set(pageNum, result.fullText);
+  const queue = pageNumbers.filter(pageNum => !saved.has(pageNum));
+  if (!queue.length) return text;
+
+  const assets = await getTesseractAssets();
+  await ensureTesseract(assets);
+  await ensureLanguages(language);
+  const pool = await getWorkerPool(assets, language, Math.max(1, Math.min(defaultOCRWorkers(), queue.length)));
+  try {
+    await Promise.all(pool.map(async ocrWorker => {
+      while (queue.length) {
+        const pageNum = queue.shift();
+        const result = await recognizePage(ocrWorker, pdfDoc, pageNum);
+        text.set(pageNum, result.fullText);
+        if (documentKey) savePage(documentKey, language, pageNum, result).catch(() => {});
+      }
+    }));
+  } catch (err) {
+    queue.length = 0; // stop the other workers after their current page
+    throw err;
+  }
+  return text;
+}
+
 /**
  * Check if a page has OCR results stored.
  */
@@ -346,7 +557,63 @@ export function exportOCRText() {
 }
 
 /**
- * Get OCR stats for display.
+ * Export all OCR results as hOCR (XHTML), with word boxes and confidences.
+ * @param {object} [opts] — { title }
+ * @returns {string} Empty when there are no results
+ */
+export function exportHOCR(opts) {
+  return Object.keys(ocrResults).length ? toHOCR(ocrResults, opts) : '';
+}
+
+/**
+ * Export all OCR results as ALTO v4 XML.
+ * @param {object} [opts] — { fileName }
+ * @returns {string} Empty when there are no results
+ */
+export function exportALTO(opts) {
+  return Object.keys(ocrResults).length ? toALTO(ocrResults, opts) : '';
+}
+
+/**
+ * Load OCR from another engine (hOCR or ALTO) as this document's OCR
+ * results, replacing any already held for the pages it covers. Pages
+ * beyond the end of the document are ignored.
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {string} text — file contents
+ * @returns {Promise<number[]>} Pages imported
+ */
+export async function importOCR(pdfDoc, text) {
+  const format = detectOCRFormat(text);
+  if (!format) throw new Error('Not an hOCR or ALTO file');
+
+  // Page sizes in the displayed orientation, which both formats describe
+  const viewports = new Map();
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    viewports.set(pageNum, (await pdfDoc.getPage(pageNum)).getViewport({ scale: 1 }));
+  }
+  const pageSize = pageNum => viewports.get(pageNum) || null;
+  const pages = format === 'alto' ? parseALTO(text, pageSize) : parseHOCR(text, pageSize);
+
+  for (const { pageNum, words, lines } of pages) {
+    const viewport = viewports.get(pageNum);
+    ocrResults[pageNum] = {
+      words,
+      lines,
+      fullText: lines.map(l => l.text).join('\n'),
+      pageWidth: viewport.width,
+      pageHeight: viewport.height,
+      transform: viewport.transform,
+      avgConfidence: averageConfidence(words),
+      lowConfidenceWords: words.filter(w => w.confidence < 70),
+    };
+  }
+  return pages.map(p => p.pageNum);
+}
+
+/**
+ * Get OCR stats for display. `confidenceGain` is the average number of
+ * confidence points preprocessing added on pages also OCR'd unprocessed
+ * (runOCR's `preprocess.compare`), or null when there are none.
  */
 export function getOCRStats() {
   const pages = Object.keys(ocrResults);
@@ -354,56 +621,383 @@ export function getOCRStats() {
   const totalWords = pages.reduce((s, p) => s + ocrResults[p].words.length, 0);
   const avgConfidence = pages.reduce((s, p) => s + ocrResults[p].avgConfidence, 0) / pages.length;
   const lowConfCount = pages.reduce((s, p) => s + (ocrResults[p].lowConfidenceWords?.length || 0), 0);
+
+  // Gain over the unprocessed page, for pages OCR'd both ways
+  const compared = pages.filter(p => ocrResults[p].baselineConfidence !== undefined);
+  const confidenceGain = compared.length
+    ? compared.reduce((s, p) => s + ocrResults[p].avgConfidence - ocrResults[p].baselineConfidence, 0) / compared.length
+    : null;
   return {
     pagesProcessed: pages.length,
     totalWords,
     avgConfidence: Math.round(avgConfidence),
     lowConfidenceWords: lowConfCount,
+    preprocessedPages: pages.filter(p => ocrResults[p].preprocess).length,
+    deskewedPages: pages.filter(p => ocrResults[p].preprocess?.skew).length,
+    confidenceGain: confidenceGain === null ? null : Math.round(confidenceGain),
   };
 }
 
 /**
- * Embed OCR text as invisible text layer in a pdf-lib document.
- * Makes exported PDFs permanently searchable in any viewer.
+ * Embed OCR results as an invisible text layer (render mode 3) so the
+ * PDF becomes searchable. Each word is its own text object, scaled
+ * horizontally to span exactly its OCR box, so selecting and copying in
+ * any viewer lines up with the image underneath. Words on the same line
+ * are followed by a space so extracted text keeps its word breaks.
+ * Words touching a redaction box are left out, since the redaction has
+ * already removed what they read from the page.
+ * @param {PDFDocument} pdfDoc — pdf-lib document
+ * @param {object} PDFLib — pdf-lib namespace
+ * @param {number[]} [pageNumbers] — 1-based pages to embed (default: every page with results)
+ * @param {Object} [opts]
+ * @param {Object<number, Array<{x1, y1, x2, y2}>>} [opts.redactRectsByPage] — redaction
+ *   boxes in PDF user space, by 1-based page
  */
-export async function embedOCRTextLayer(pdfDoc, PDFLib) {
-  const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+export async function embedOCRTextLayer(pdfDoc, PDFLib, pageNumbers, { redactRectsByPage = {} } = {}) {
+  const {
+    StandardFonts, TextRenderingMode, pushGraphicsState, popGraphicsState,
+    beginText, endText, setFontAndSize, setTextRenderingMode, setTextMatrix, showText,
+  } = PDFLib;
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const pages = pageNumbers || Array.from({ length: pdfDoc.getPageCount() }, (_, i) => i + 1);
 
-  for (let i = 0; i < pdfDoc.getPageCount(); i++) {
-    const pageNum = i + 1;
-    if (!ocrResults[pageNum]?.words?.length) continue;
+  for (const pageNum of pages) {
+    const result = ocrResults[pageNum];
+    if (!result?.words?.length || pageNum > pdfDoc.getPageCount()) continue;
+
+    const page = pdfDoc.getPage(pageNum - 1);
+    const fontKey = page.node.newFontDictionary(font.name, font.ref);
+    // OCR boxes are in the unrotated-view space of the page at 72 DPI;
+    // invert the viewport transform to get back to PDF user space
+    const toUser = invertTransform(result.transform || [1, 0, 0, -1, 0, result.pageHeight]);
+    const redactRects = redactRectsByPage[pageNum] || [];
+    const ops = [
+      pushGraphicsState(), beginText(),
+      setFontAndSize(fontKey, 1), setTextRenderingMode(TextRenderingMode.Invisible),
+    ];
+
+    result.words.forEach((word, i) => {
+      const text = encodableText(font, word.text.trim());
+      if (!text) return;
+      const textWidth = font.widthOfTextAtSize(text, 1);
+      const { x0, y0, x1, y1 } = word.bbox;
+      const size = Math.max(1, y1 - y0);
+      if (!textWidth || x1 <= x0) return;
+      if (isRedacted(toUser, word, redactRects)) return;
+
+      const next = result.words[i + 1];
+      const sameLine = next && next.bbox.x0 >= x0 &&
+        Math.min(y1, next.bbox.y1) - Math.max(y0, next.bbox.y0) > size / 2;
+
+      // Text space → view space: horizontal scale fits the box, the
+      // baseline sits a descender above the bottom edge
+      const toView = [(x1 - x0) / textWidth, 0, 0, -size, x0, y1 - size * 0.15];
+      ops.push(
+        setTextMatrix(...multiplyTransform(toUser, toView)),
+        showText(font.encodeText(sameLine ? text + ' ' : text)),
+      );
+    });
+
+    ops.push(endText(), popGraphicsState());
+    page.pushOperators(...ops);
+  }
+}
+
+/**
+ * Forget the OCR words under redactions that an export applied, so Find,
+ * the text layer and the OCR text, hOCR and ALTO exports stop returning
+ * what the redaction removed. Lines and page text are rebuilt from the
+ * words that are left.
+ * @param {Object<number, Array<{x1, y1, x2, y2}>>} redactRectsByPage — redaction
+ *   boxes in PDF user space, by 1-based page
+ * @returns {number} Words dropped
+ */
+export function dropRedactedOCRWords(redactRectsByPage) {
+  let dropped = 0;
+  for (const [key, redactRects] of Object.entries(redactRectsByPage)) {
+    const result = ocrResults[key];
+    if (!result?.words?.length || !redactRects?.length) continue;
+    const toUser = invertTransform(result.transform || [1, 0, 0, -1, 0, result.pageHeight]);
+    const words = result.words.filter(word => !isRedacted(toUser, word, redactRects));
+    if (words.length === result.words.length) continue;
+    dropped += result.words.length - words.length;
+
+    // Renumber the lines that still have words
+    const lines = [];
+    const lineOf = new Map();
+    for (const word of words) {
+      if (!lineOf.has(word.line)) {
+        lineOf.set(word.line, lines.length);
+        lines.push({ ...result.lines[word.line], text: '' });
+      }
+      const line = lines[lineOf.get(word.line)];
+      line.text = line.text ? `${line.text} ${word.text}` : word.text;
+      word.line = lineOf.get(word.line);
+    }
+    Object.assign(result, {
+      words,
+      lines,
+      fullText: lines.map(l => l.text).join('\n'),
+      avgConfidence: averageConfidence(words),
+      lowConfidenceWords: words.filter(w => w.confidence < 70),
+    });
+  }
+  return dropped;
+}
 
+/**
+ * Turn the pages that preprocessing found sideways or upside down, so
+ * they display upright and match their OCR results. Each turn is applied
+ * once; the results then belong to the turned page.
+ * @param {PDFDocument} pdfDoc — pdf-lib document
+ * @param {object} PDFLib — pdf-lib namespace
+ * @param {number[]} [pageNumbers] — 1-based pages to turn (default: every page with results)
+ * @returns {number[]} Pages turned
+ */
+export function applyOCRRotations(pdfDoc, PDFLib, pageNumbers) {
+  const pages = pageNumbers || Object.keys(ocrResults).map(Number);
+  const turned = [];
+  for (const pageNum of pages) {
     const result = ocrResults[pageNum];
-    const page = pdfDoc.getPage(i);
-    const { height: pageHeight } = page.getSize();
+    if (!result?.rotation || pageNum > pdfDoc.getPageCount()) continue;
+    const page = pdfDoc.getPage(pageNum - 1);
+    page.setRotation(PDFLib.degrees((page.getRotation().angle + result.rotation) % 360));
+    delete result.rotation;
+    turned.push(pageNum);
+  }
+  return turned;
+}
 
-    for (const word of result.words) {
-      if (!word.text.trim()) continue;
+/**
+ * Before and after images of a page's preprocessing, for previewing the
+ * stages in the OCR modal.
+ * @param {PDFDocumentProxy} pdfDoc
+ * @param {number} pageNum — 1-based
+ * @param {object} preprocess — stages, as for runOCR
+ * @param {number} [maxWidth=800] — the images are scaled down to this width
+ * @returns {Promise<{before: HTMLCanvasElement, after: HTMLCanvasElement, rotation: number, skew: number}>}
+ */
+export async function previewPreprocessing(pdfDoc, pageNum, preprocess, maxWidth = 800) {
+  const { canvas } = await renderPageToCanvas(pdfDoc, pageNum);
+  const prepared = hasPreprocessing(preprocess)
+    ? await preprocessCanvas(canvas, preprocess)
+    : { canvas, rotation: 0, skew: 0 };
+  const shrink = source => {
+    const scale = Math.min(1, maxWidth / source.width);
+    const out = document.createElement('canvas');
+    out.width = Math.round(source.width * scale);
+    out.height = Math.round(source.height * scale);
+    out.getContext('2d').drawImage(source, 0, 0, out.width, out.height);
+    return out;
+  };
+  const before = shrink(canvas);
+  const after = shrink(prepared.canvas);
+  canvas.width = canvas.height = 0;
+  prepared.canvas.width = prepared.canvas.height = 0;
+  return { before, after, rotation: prepared.rotation, skew: prepared.skew };
+}
 
-      const wordHeight = word.bbox.y1 - word.bbox.y0;
-      const fontSize = Math.max(1, wordHeight * 0.85);
+/* ── Searchable PDF ── */
 
-      page.drawText(word.text, {
-        x: word.bbox.x0,
-        y: pageHeight - word.bbox.y1 + (wordHeight * 0.15),
-        size: fontSize,
-        font,
-        opacity: 0,
-      });
-    }
+/**
+ * Make a searchable PDF in one pass: OCR the pages isPageScanned() flags
+ * (reusing results already on hand), embed their invisible text layer and
+ * save once. Pages that already have text are left untouched; pages
+ * preprocessing found sideways or upside down are turned upright.
+ * @param {PDFDocumentProxy} pdfDoc — PDF.js document
+ * @param {Uint8Array} pdfBytes — the same document's bytes
+ * @param {function} [onProgress] — callback({current, total, status, progress})
+ * @param {object} [options] — runOCR options (language, workers, signal, …); the
+ *   document key for resuming is derived from pdfBytes when not given
+ * @returns {Promise<{bytes: Uint8Array|null, pages: number[]}>} bytes is null when no page needs OCR
+ */
+export async function makeSearchablePDF(pdfDoc, pdfBytes, onProgress, options = {}) {
+  const PDFLib = window.PDFLib;
+  const scanned = [];
+  for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+    onProgress?.({
+      current: pageNum, total: pdfDoc.numPages,
+      status: `Checking page ${pageNum} of ${pdfDoc.numPages} for text…`,
+      progress: Math.round((pageNum / pdfDoc.numPages) * 100),
+    });
+    if (await isPageScanned(pdfDoc, pageNum)) scanned.push(pageNum);
   }
+  if (!scanned.length) return { bytes: null, pages: [] };
+
+  const documentKey = options.documentKey ?? await ocrDocumentKey(pdfBytes).catch(() => undefined);
+  const pending = scanned.filter(pageNum => !hasOCRResults(pageNum));
+  if (pending.length) await runOCR(pdfDoc, pending, onProgress, { ...options, documentKey });
+
+  const doc = await PDFLib.PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  await embedOCRTextLayer(doc, PDFLib, scanned);
+  applyOCRRotations(doc, PDFLib, scanned);
+  const bytes = await doc.save();
+  // The saved pages belong to the scanned original, which this replaces
+  if (documentKey) clearSavedOCR(documentKey).catch(() => {});
+  return { bytes, pages: scanned };
 }
 
+/* ── Saved results (IndexedDB) ── */
+
+const DB_NAME = 'mudbrick-ocr';
+const DB_VERSION = 1;
+const STORE_NAME = 'pages';
+const SAVED_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+let dbPromise = null;
+
 /**
- * Terminate the Tesseract worker.
+ * Key identifying a document's exact bytes for saving and resuming OCR
+ * (SHA-256, hex). PDF.js fingerprints aren't used because edits keep the
+ * file ID and would resume with another version's pages.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
  */
-export async function terminateOCR() {
-  if (worker) {
-    try { await worker.terminate(); } catch (_) { /* ignore */ }
-    worker = null;
+export async function ocrDocumentKey(bytes) {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(hash, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Forget the pages saved for a document (every language).
+ * @param {string} documentKey
+ * @returns {Promise<void>}
+ */
+export async function clearSavedOCR(documentKey) {
+  const db = await openDB();
+  await request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME)
+    .delete(IDBKeyRange.bound(`${documentKey}|`, `${documentKey}|\uffff`)));
+}
+
+/** `variant` is the language, plus the preprocessing profile when there is one */
+function savedKey(documentKey, variant, pageNum) {
+  return `${documentKey}|${variant}|${pageNum}`;
+}
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        if (!req.result.objectStoreNames.contains(STORE_NAME)) req.result.createObjectStore(STORE_NAME);
+      };
+      req.onsuccess = () => {
+        pruneSaved(req.result).catch(() => { /* best effort */ });
+        resolve(req.result);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function loadSavedPages(documentKey, variant, pageNumbers) {
+  const store = (await openDB()).transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+  const records = await Promise.all(pageNumbers.map(p => request(store.get(savedKey(documentKey, variant, p)))));
+  const saved = new Map();
+  records.forEach((record, i) => {
+    if (record?.result) saved.set(pageNumbers[i], record.result);
+  });
+  return saved;
+}
+
+async function savePage(documentKey, variant, pageNum, result) {
+  const db = await openDB();
+  await request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME)
+    .put({ result, savedAt: Date.now() }, savedKey(documentKey, variant, pageNum)));
+}
+
+/** Drop pages saved more than SAVED_MAX_AGE ago; runs once per session */
+async function pruneSaved(db) {
+  const cutoff = Date.now() - SAVED_MAX_AGE;
+  const req = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).openCursor();
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      if (!(cursor.value?.savedAt > cutoff)) cursor.delete();
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* ── Text layer helpers ── */
+
+/** Replace characters the standard font can't encode (WinAnsi) with '?' */
+function encodableText(font, text) {
+  try {
+    font.encodeText(text);
+    return text;
+  } catch {
+    return [...text].map(ch => {
+      try {
+        font.encodeText(ch);
+        return ch;
+      } catch {
+        return '?';
+      }
+    }).join('');
   }
 }
 
+/** Bounding box in PDF user space of a view-space OCR box */
+function userBox(toUser, { x0, y0, x1, y1 }) {
+  const [a, b, c, d, e, f] = toUser;
+  const xs = [];
+  const ys = [];
+  for (const [x, y] of [[x0, y0], [x1, y0], [x0, y1], [x1, y1]]) {
+    xs.push(a * x + c * y + e);
+    ys.push(b * x + d * y + f);
+  }
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+/** Whether an OCR word touches any of a page's redaction boxes */
+function isRedacted(toUser, word, redactRects) {
+  const box = userBox(toUser, word.bbox);
+  return redactRects.some(rect => boxesTouch(box, rect));
+}
+
+function boxesTouch(a, b) {
+  return a.x1 < b.x2 && b.x1 < a.x2 && a.y1 < b.y2 && b.y1 < a.y2;
+}
+
+function invertTransform([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+/** m1 × m2: applies m2 first, then m1 (PDF.js Util.transform order) */
+function multiplyTransform(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+/**
+ * Terminate the Tesseract worker pool.
+ */
+export async function terminateOCR() {
+  const pool = workers;
+  workers = [];
+  workersLang = null;
+  await Promise.all(pool.map(w => Promise.resolve().then(() => w.terminate()).catch(() => { /* ignore */ })));
+}
+
 /**
  * Clear all stored OCR results.
  */
@@ -0,0 +1,394 @@
+/**
+ * Mudbrick — Document Outline (Bookmarks)
+ * Reads a PDF's /Outlines tree into plain bookmark objects, edits them and
+ * writes them back with pdf-lib.
+ *
+ * Bookmarks point at pages by index rather than by page object, so page
+ * operations (pdf-edit.js) carry them across deletes, reorders, merges and
+ * splits by remapping indexes before writing the outline again.
+ */
+
+const getPDFLib = () => window.PDFLib;
+
+const MAX_DEPTH = 32;     // outlines deeper than this are malformed
+const FIT_TYPES = ['XYZ', 'Fit', 'FitH', 'FitV', 'FitR', 'FitB', 'FitBH', 'FitBV'];
+// Entries writeOutline() builds itself; /SE points into the structure tree,
+// which doesn't follow the item between documents
+const STRUCTURAL_KEYS = ['Title', 'Parent', 'Prev', 'Next', 'First', 'Last', 'Count', 'Dest', 'SE'];
+
+/**
+ * @typedef {Object} Bookmark
+ * @property {string} title
+ * @property {number|null} pageIndex - 0-based target page; null for a heading without one
+ * @property {{fit: string, args: Array<number|null>}|null} view - Destination type and its
+ *   arguments (XYZ: [left, top, zoom]); null shows the whole page
+ * @property {boolean} open - Whether children are shown
+ * @property {Bookmark[]} children
+ * @property {PDFDict} [extras] - The item's other entries as read (colour /C,
+ *   style /F, a URI, GoToR, Launch or JavaScript action), written back as they were
+ */
+
+/**
+ * New bookmark for a page.
+ * @param {string} title
+ * @param {number} pageIndex - 0-based
+ * @param {{fit: string, args: Array<number|null>}|null} [view=null]
+ * @returns {Bookmark}
+ */
+export function createBookmark(title, pageIndex, view = null) {
+  return { title, pageIndex, view, open: true, children: [] };
+}
+
+/* ═══════════════════ Reading ═══════════════════ */
+
+/**
+ * Read the document outline. Destinations given by name, through GoTo
+ * actions or by page number are all resolved to page indexes; bookmarks
+ * whose target can't be found keep their title with no page.
+ * @param {PDFDocument} doc - pdf-lib document
+ * @returns {Bookmark[]}
+ */
+export function readOutline(doc) {
+  const { PDFName, PDFDict } = getPDFLib();
+  const root = doc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  if (!root) return [];
+
+  const pageRefs = pageRefsOf(doc);
+  const named = namedDestinations(doc);
+  const seen = new Set();
+
+  const readItems = (parent, depth) => {
+    const items = [];
+    if (depth > MAX_DEPTH) return items;
+    let ref = parent.get(PDFName.of('First'));
+    while (ref && !seen.has(ref)) {
+      seen.add(ref);
+      const item = doc.context.lookup(ref);
+      if (!(item instanceof PDFDict)) break;
+      const { pageIndex, view } = readDestination(doc, item, pageRefs, named);
+      const count = numberValue(item.lookup(PDFName.of('Count')));
+      const bookmark = {
+        title: textValue(item.lookup(PDFName.of('Title'))),
+        pageIndex,
+        view,
+        open: count > 0,
+        children: readItems(item, depth + 1),
+      };
+      const extras = readExtras(doc, item);
+      if (extras) bookmark.extras = extras;
+      items.push(bookmark);
+      ref = item.get(PDFName.of('Next'));
+    }
+    return items;
+  };
+  return readItems(root, 0);
+}
+
+/** Entries other than the outline structure and GoTo destination, or undefined when none */
+function readExtras(doc, item) {
+  const { PDFName, PDFDict } = getPDFLib();
+  const extras = doc.context.obj({});
+  for (const [key, value] of item.entries()) {
+    const name = key.asString().slice(1);
+    if (STRUCTURAL_KEYS.includes(name)) continue;
+    // GoTo actions are read into pageIndex and written back as /Dest
+    if (name === 'A') {
+      const action = item.lookup(key);
+      if (action instanceof PDFDict && action.lookup(PDFName.of('S'))?.asString?.() === '/GoTo') continue;
+    }
+    extras.set(key, value);
+  }
+  return extras.keys().length ? extras : undefined;
+}
+
+function readDestination(doc, item, pageRefs, named) {
+  const { PDFName, PDFDict } = getPDFLib();
+  let dest = item.lookup(PDFName.of('Dest'));
+  if (!dest) {
+    const action = item.lookup(PDFName.of('A'));
+    if (action instanceof PDFDict && action.lookup(PDFName.of('S'))?.asString?.() === '/GoTo') {
+      dest = action.lookup(PDFName.of('D'));
+    }
+  }
+  dest = resolveDestination(doc, dest, named);
+  if (!dest) return { pageIndex: null, view: null };
+
+  const target = dest.get(0);
+  let pageIndex = pageRefs.indexOf(target);
+  // Some producers write a page number instead of a page reference
+  if (pageIndex < 0 && typeof target?.asNumber === 'function') pageIndex = target.asNumber();
+  if (pageIndex < 0 || pageIndex >= pageRefs.length) return { pageIndex: null, view: null };
+
+  const fit = dest.lookup(1)?.asString?.().slice(1);
+  const args = [];
+  for (let i = 2; i < dest.size(); i++) args.push(numberValue(dest.lookup(i), null));
+  const view = FIT_TYPES.includes(fit) && fit !== 'Fit' ? { fit, args } : null;
+  return { pageIndex, view };
+}
+
+/** Explicit destination array for a destination that may be a name or a dict with /D */
+function resolveDestination(doc, dest, named, depth = 0) {
+  const { PDFName, PDFArray, PDFDict } = getPDFLib();
+  if (!dest || depth > 3) return null;
+  if (dest instanceof PDFArray) return dest;
+  if (dest instanceof PDFDict) return resolveDestination(doc, dest.lookup(PDFName.of('D')), named, depth + 1);
+  const name = dest instanceof PDFName ? dest.decodeText?.() ?? dest.asString().slice(1) : textValue(dest);
+  return name && named.has(name) ? resolveDestination(doc, named.get(name), named, depth + 1) : null;
+}
+
+/** Named destinations from the catalog's /Dests dictionary and the /Names /Dests name tree */
+function namedDestinations(doc) {
+  const { PDFName, PDFDict, PDFArray } = getPDFLib();
+  const named = new Map();
+
+  const dests = doc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  if (dests) {
+    for (const [key] of dests.entries()) named.set(key.asString().slice(1), dests.lookup(key));
+  }
+
+  const names = doc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const tree = names?.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  const walk = (node, depth) => {
+    if (!node || depth > MAX_DEPTH) return;
+    const pairs = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (pairs) {
+      for (let i = 0; i + 1 < pairs.size(); i += 2) named.set(textValue(pairs.lookup(i)), pairs.lookup(i + 1));
+    }
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    if (kids) {
+      for (let i = 0; i < kids.size(); i++) walk(kids.lookupMaybe(i, PDFDict), depth + 1);
+    }
+  };
+  walk(tree, 0);
+  return named;
+}
+
+/**
+ * Page refs in document order, read from the page tree itself: pdf-lib's
+ * getPages() cache isn't refreshed by removePage().
+ */
+function pageRefsOf(doc) {
+  const { PDFPageLeaf } = getPDFLib();
+  const refs = [];
+  doc.catalog.Pages().traverse((node, ref) => {
+    if (node instanceof PDFPageLeaf) refs.push(ref);
+  });
+  return refs;
+}
+
+function textValue(obj) {
+  return typeof obj?.decodeText === 'function' ? obj.decodeText() : '';
+}
+
+function numberValue(obj, fallback = 0) {
+  return typeof obj?.asNumber === 'function' ? obj.asNumber() : fallback;
+}
+
+/* ═══════════════════ Writing ═══════════════════ */
+
+/**
+ * Replace the document outline with `bookmarks`, or remove it when empty.
+ * The old outline's objects are dropped so they don't linger in the file.
+ * @param {PDFDocument} doc - pdf-lib document
+ * @param {Bookmark[]} bookmarks
+ */
+export function writeOutline(doc, bookmarks) {
+  const { PDFName, PDFHexString, PDFNumber, PDFNull } = getPDFLib();
+  const { context } = doc;
+  removeOutlineObjects(doc);
+
+  const pageRefs = pageRefsOf(doc);
+  const items = bookmarks.filter(Boolean);
+  if (!items.length) {
+    doc.catalog.delete(PDFName.of('Outlines'));
+    return;
+  }
+
+  // Returns the first and last item refs and how many items show when expanded
+  const writeItems = (list, parentRef) => {
+    const refs = list.map(() => context.nextRef());
+    let visible = 0;
+    list.forEach((bookmark, i) => {
+      const dict = context.obj({ Title: PDFHexString.fromText(bookmark.title || 'Untitled'), Parent: parentRef });
+      if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+      if (i < list.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+      const page = bookmark.pageIndex !== null ? pageRefs[bookmark.pageIndex] : undefined;
+      if (bookmark.extras) {
+        const extras = copyInto(doc, bookmark.extras);
+        for (const [key, value] of extras.entries()) {
+          // A page target replaces any action the bookmark had
+          if (page && key.asString() === '/A') continue;
+          dict.set(key, value);
+        }
+      }
+      if (page) {
+        const { fit = 'Fit', args = [] } = bookmark.view || {};
+        dict.set(PDFName.of('Dest'), context.obj([
+          page, PDFName.of(fit),
+          ...args.map(a => (a === null || a === undefined ? PDFNull : PDFNumber.of(a))),
+        ]));
+      }
+
+      const children = bookmark.children || [];
+      if (children.length) {
+        const sub = writeItems(children, refs[i]);
+        dict.set(PDFName.of('First'), sub.first);
+        dict.set(PDFName.of('Last'), sub.last);
+        // Count: visible descendants when open, negated when closed
+        dict.set(PDFName.of('Count'), PDFNumber.of(bookmark.open ? sub.visible : -sub.visible));
+        if (bookmark.open) visible += sub.visible;
+      }
+      context.assign(refs[i], dict);
+      visible++;
+    });
+    return { first: refs[0], last: refs[refs.length - 1], visible };
+  };
+
+  const rootRef = context.nextRef();
+  const { first, last, visible } = writeItems(items, rootRef);
+  context.assign(rootRef, context.obj({ Type: 'Outlines', First: first, Last: last, Count: visible }));
+  doc.catalog.set(PDFName.of('Outlines'), rootRef);
+}
+
+/** A dict read from another document, copied with the objects it refers to */
+function copyInto(doc, dict) {
+  if (dict.context === doc.context) return dict;
+  return getPDFLib().PDFObjectCopier.for(dict.context, doc.context).copy(dict);
+}
+
+function removeOutlineObjects(doc) {
+  const { PDFName, PDFRef, PDFDict } = getPDFLib();
+  const rootRef = doc.catalog.get(PDFName.of('Outlines'));
+  if (!(rootRef instanceof PDFRef)) return;
+  const seen = new Set();
+  const drop = (ref, depth) => {
+    while (ref instanceof PDFRef && !seen.has(ref) && depth <= MAX_DEPTH) {
+      seen.add(ref);
+      const item = doc.context.lookup(ref);
+      if (!(item instanceof PDFDict)) break;
+      drop(item.get(PDFName.of('First')), depth + 1);
+      doc.context.delete(ref);
+      ref = item.get(PDFName.of('Next'));
+    }
+  };
+  const root = doc.context.lookup(rootRef);
+  if (root instanceof PDFDict) drop(root.get(PDFName.of('First')), 0);
+  doc.context.delete(rootRef);
+}
+
+/* ═══════════════════ Page Remapping ═══════════════════ */
+
+/**
+ * Carry bookmarks across a page operation. A bookmark whose page is gone
+ * is dropped, unless it has children: then it stays as a heading over
+ * them, pointing at its first child's page.
+ * @param {Bookmark[]} bookmarks
+ * @param {function(number): (number|null)} mapIndex - Old page index → new index, or null when removed
+ * @returns {Bookmark[]} New tree; the input is left as it was
+ */
+export function remapOutline(bookmarks, mapIndex) {
+  const out = [];
+  for (const bookmark of bookmarks) {
+    const children = remapOutline(bookmark.children || [], mapIndex);
+    if (bookmark.pageIndex === null) {
+      out.push({ ...bookmark, children });
+      continue;
+    }
+    const pageIndex = mapIndex(bookmark.pageIndex);
+    if (pageIndex !== null && pageIndex !== undefined) {
+      out.push({ ...bookmark, pageIndex, children });
+    } else if (children.length) {
+      out.push({ ...bookmark, pageIndex: children[0].pageIndex, view: null, children });
+    }
+  }
+  return out;
+}
+
+/**
+ * Insert bookmarks at top level where their first page falls in page order.
+ * @param {Bookmark[]} bookmarks - Modified in place
+ * @param {Bookmark[]} additions
+ */
+export function insertInPageOrder(bookmarks, additions) {
+  for (const addition of additions) {
+    const at = bookmarks.findIndex(b => b.pageIndex !== null && b.pageIndex > (addition.pageIndex ?? Infinity));
+    bookmarks.splice(at < 0 ? bookmarks.length : at, 0, addition);
+  }
+}
+
+/* ═══════════════════ Tree Editing ═══════════════════ */
+
+/**
+ * Bookmark at a path of child indexes ([2, 0] is the first child of the third).
+ * @param {Bookmark[]} bookmarks
+ * @param {number[]} path
+ * @returns {Bookmark|null}
+ */
+export function getBookmark(bookmarks, path) {
+  let list = bookmarks;
+  let node = null;
+  for (const i of path) {
+    node = list?.[i];
+    if (!node) return null;
+    list = node.children;
+  }
+  return node;
+}
+
+/**
+ * Remove the bookmark at `path`, with its children.
+ * @param {Bookmark[]} bookmarks - Modified in place
+ * @param {number[]} path
+ * @returns {Bookmark|null} The removed bookmark
+ */
+export function removeBookmark(bookmarks, path) {
+  const list = path.length > 1 ? getBookmark(bookmarks, path.slice(0, -1))?.children : bookmarks;
+  if (!list || !list[path.at(-1)]) return null;
+  return list.splice(path.at(-1), 1)[0];
+}
+
+/**
+ * Move a bookmark before, after or inside (as last child of) another.
+ * Moving a bookmark into itself or its own descendants does nothing.
+ * @param {Bookmark[]} bookmarks - Modified in place
+ * @param {number[]} from
+ * @param {number[]} to
+ * @param {'before'|'after'|'inside'} where
+ * @returns {boolean} Whether anything moved
+ */
+export function moveBookmark(bookmarks, from, to, where) {
+  if (to.length >= from.length && from.every((v, i) => to[i] === v)) return false;
+  const target = getBookmark(bookmarks, to);
+  if (!target || !getBookmark(bookmarks, from)) return false;
+
+  const node = removeBookmark(bookmarks, from);
+  if (where === 'inside') {
+    target.children.push(node);
+    target.open = true;
+    return true;
+  }
+  // Removing the node may have shifted the target, so find it again
+  const list = findParentList(bookmarks, target);
+  const index = list.indexOf(target);
+  list.splice(where === 'after' ? index + 1 : index, 0, node);
+  return true;
+}
+
+function findParentList(bookmarks, target) {
+  if (bookmarks.includes(target)) return bookmarks;
+  for (const b of bookmarks) {
+    const found = findParentList(b.children, target);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Number of bookmarks in a tree, at every level.
+ * @param {Bookmark[]} bookmarks
+ * @returns {number}
+ */
+export function countBookmarks(bookmarks) {
+  return bookmarks.reduce((n, b) => n + 1 + countBookmarks(b.children || []), 0);
+}
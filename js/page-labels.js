@@ -1,9 +1,16 @@
 /**
  * Mudbrick — Page Labels
  * Custom page numbering schemes: roman numerals, alpha, decimal, custom prefixes.
- * Labels are display-only metadata — they don't modify the PDF itself.
+ * Labels live in the PDF's /PageLabels number tree, so other readers show
+ * the same ones: applying ranges writes them into the working copy, page
+ * edits carry each page's label along (carryPageLabels), and the ranges
+ * are read back whenever the document is reloaded.
  */
 
+import { parsePageRanges } from './utils.js';
+
+const getPDFLib = () => window.PDFLib;
+
 /* ═══════════════════ Format Converters ═══════════════════ */
 
 export function toRoman(num) {
@@ -17,27 +24,39 @@ export function toRoman(num) {
   return result;
 }
 
-export function toAlpha(num) {
+/**
+ * Letters as PDF page labels count them: A–Z, then AA–ZZ, AAA–ZZZ...
+ * (page 28 is BB, not AB), so other readers show the same labels.
+ */
+export function toLabelLetters(num) {
   if (num <= 0) return String(num);
-  let result = '';
-  while (num > 0) {
-    num--;
-    result = String.fromCharCode(65 + (num % 26)) + result;
-    num = Math.floor(num / 26);
-  }
-  return result;
+  return String.fromCharCode(65 + (num - 1) % 26).repeat(Math.floor((num - 1) / 26) + 1);
 }
 
 const FORMAT_FN = {
   'decimal':      n => String(n),
   'roman-upper':  n => toRoman(n),
   'roman-lower':  n => toRoman(n).toLowerCase(),
-  'alpha-upper':  n => toAlpha(n),
-  'alpha-lower':  n => toAlpha(n).toLowerCase(),
+  'alpha-upper':  n => toLabelLetters(n),
+  'alpha-lower':  n => toLabelLetters(n).toLowerCase(),
 };
 
 export const LABEL_FORMATS = Object.keys(FORMAT_FN);
 
+/** Format for ranges labelled by their prefix alone, with no number */
+export const PREFIX_ONLY = 'none';
+
+/** /PageLabels numbering style (/S) for each format */
+const PDF_STYLE = {
+  'decimal':     'D',
+  'roman-upper': 'R',
+  'roman-lower': 'r',
+  'alpha-upper': 'A',
+  'alpha-lower': 'a',
+};
+
+const STYLE_FORMAT = Object.fromEntries(Object.entries(PDF_STYLE).map(([format, style]) => [style, format]));
+
 /* ═══════════════════ Label Ranges ═══════════════════ */
 
 /**
@@ -72,6 +91,7 @@ export function getPageLabel(pageNum) {
     if (pageNum >= r.startPage && pageNum <= r.endPage) {
       const offset = pageNum - r.startPage;
       const num = r.startNum + offset;
+      if (r.format === PREFIX_ONLY) return r.prefix;
       const fn = FORMAT_FN[r.format] || FORMAT_FN.decimal;
       return r.prefix + fn(num);
     }
@@ -112,3 +132,336 @@ export function previewLabels(totalPages) {
   }
   return result;
 }
+
+/* ═══════════════════ Pages by Label ═══════════════════ */
+
+/**
+ * Pages whose label is `text`: exact matches, or failing those, matches
+ * that ignore case ("a-3" finds "A-3").
+ * @param {string} text
+ * @param {number} totalPages
+ * @returns {number[]} 1-based page numbers
+ */
+export function findPagesByLabel(text, totalPages) {
+  const exact = [];
+  const loose = [];
+  const lower = text.toLowerCase();
+  for (let page = 1; page <= totalPages; page++) {
+    const label = getPageLabel(page);
+    if (label === text) exact.push(page);
+    else if (label.toLowerCase() === lower) loose.push(page);
+  }
+  return exact.length ? exact : loose;
+}
+
+/**
+ * Resolve a page the user typed. A page label wins, so "7" goes to the page
+ * labelled 7 once front matter is numbered i–xii; a plain number is the
+ * fallback, and "#7" always means the seventh page.
+ * @param {string} text
+ * @param {number} totalPages
+ * @returns {{pageNum: number, conflict: number|null}|null} conflict is the
+ *   other page the text could mean (its page number), when that differs
+ */
+export function resolvePageRef(text, totalPages) {
+  const value = String(text).trim();
+  const forced = value.match(/^#\s*(\d+)$/);
+  if (forced) {
+    const page = Number(forced[1]);
+    return page >= 1 && page <= totalPages ? { pageNum: page, conflict: null } : null;
+  }
+
+  const physical = /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= totalPages ? Number(value) : null;
+  const [labelled] = value ? findPagesByLabel(value, totalPages) : [];
+  if (labelled) return { pageNum: labelled, conflict: physical !== null && physical !== labelled ? physical : null };
+  return physical !== null ? { pageNum: physical, conflict: null } : null;
+}
+
+/**
+ * parsePageRanges() that accepts labels ("iii-v", "A-1–A-12") as well as
+ * page numbers, resolved as resolvePageRef() does.
+ * @param {string} input
+ * @param {number} totalPages
+ * @param {Object} [opts]
+ * @param {function({text: string, pageNum: number, conflict: number})} [opts.onConflict] -
+ *   Called for each typed page whose label and page number name different pages
+ * @returns {number[][]|null} 0-based page index arrays
+ */
+export function parseLabeledPageRanges(input, totalPages, { onConflict } = {}) {
+  const conflicts = new Map();
+  const ranges = parsePageRanges(input, totalPages, text => {
+    const ref = resolvePageRef(text, totalPages);
+    if (ref?.conflict) conflicts.set(text, { text, ...ref });
+    return ref ? ref.pageNum : null;
+  });
+  // Splitting at the wrong dash can resolve parts that weren't used
+  if (ranges && onConflict) {
+    const used = new Set(ranges.flatMap(r => [r[0] + 1, r[r.length - 1] + 1]));
+    for (const c of conflicts.values()) if (used.has(c.pageNum)) onConflict(c);
+  }
+  return ranges;
+}
+
+/**
+ * How to refer to a page in messages: "page 12", or "page xii (12)" when
+ * it has a label of its own.
+ * @param {number} pageNum
+ * @returns {string}
+ */
+export function describePage(pageNum) {
+  return describePageRange(pageNum, pageNum);
+}
+
+/**
+ * describePage() for a run of pages: "pages 3–5", "pages iii–v (3–5)".
+ * @param {number} first - 1-based
+ * @param {number} last - 1-based
+ * @returns {string}
+ */
+export function describePageRange(first, last) {
+  const numbers = first === last ? `${first}` : `${first}–${last}`;
+  const labels = first === last ? getPageLabel(first) : `${getPageLabel(first)}–${getPageLabel(last)}`;
+  const noun = first === last ? 'page' : 'pages';
+  return labels === numbers ? `${noun} ${numbers}` : `${noun} ${labels} (${numbers})`;
+}
+
+/**
+ * Explain which page was picked when a label and a page number disagree.
+ * @param {Array<{text: string, pageNum: number, conflict: number}>} conflicts
+ * @returns {string}
+ */
+export function labelConflictMessage(conflicts) {
+  const [first] = conflicts;
+  const more = conflicts.length > 1 ? ` (and ${conflicts.length - 1} more)` : '';
+  return `"${first.text}" is the label of page ${first.pageNum}, so that page was used${more}. ` +
+    `Type #${first.conflict} for page ${first.conflict}.`;
+}
+
+/* ═══════════════════ PDF /PageLabels ═══════════════════ */
+
+/**
+ * Rebuild label ranges from one label per page (as PDF.js getPageLabels()
+ * returns them). Each run of pages whose labels count up in one format
+ * under one prefix becomes a range; where a label could be read more than
+ * one way ("i", "C"), the reading that covers the most following pages wins.
+ * A single page with text in its label keeps the whole label as a prefix.
+ * Pages numbered plainly 1, 2, 3... get no range, since that's the default.
+ * @param {Array<string>|null} labels
+ * @returns {LabelRange[]}
+ */
+export function rangesFromLabels(labels) {
+  const ranges = [];
+  if (!labels) return ranges;
+
+  let i = 0;
+  while (i < labels.length) {
+    let best = null;
+    for (const reading of readLabel(labels[i] ?? '')) {
+      let end = i;
+      while (end + 1 < labels.length && labels[end + 1] === formatReading(reading, end + 1 - i)) end++;
+      if (!best || end > best.end) best = { ...reading, end };
+    }
+    // A lone label with text before its "number" ("Cover", "Exhibit C") is just text
+    if (best.end === i && best.prefix) best = { format: PREFIX_ONLY, prefix: labels[i], startNum: 1, end: i };
+    const range = {
+      startPage: i + 1,
+      endPage: best.end + 1,
+      format: best.format,
+      prefix: best.prefix,
+      startNum: best.startNum,
+    };
+    const plain = range.format === 'decimal' && !range.prefix && range.startNum === range.startPage;
+    if (!plain) ranges.push(range);
+    i = best.end + 1;
+  }
+  return ranges;
+}
+
+/** Every {format, prefix, startNum} that produces `label`; a prefix-only reading always fits */
+function readLabel(label) {
+  const readings = [];
+  const digits = label.match(/(\d+)$/);
+  if (digits && String(Number(digits[1])) === digits[1] && Number(digits[1]) > 0) {
+    readings.push({ format: 'decimal', prefix: label.slice(0, -digits[1].length), startNum: Number(digits[1]) });
+  }
+  for (const [format, pattern] of [['roman-upper', /[IVXLCDM]+$/], ['roman-lower', /[ivxlcdm]+$/]]) {
+    const tail = label.match(pattern)?.[0] || '';
+    // Longest valid numeral at the end ("XIV", not "IV")
+    for (let start = 0; start < tail.length; start++) {
+      const numeral = tail.slice(start);
+      const num = romanValue(numeral.toUpperCase());
+      if (num && FORMAT_FN[format](num) === numeral) {
+        readings.push({ format, prefix: label.slice(0, label.length - numeral.length), startNum: num });
+        break;
+      }
+    }
+  }
+  for (const [format, pattern, base] of [['alpha-upper', /([A-Z])\1*$/, 65], ['alpha-lower', /([a-z])\1*$/, 97]]) {
+    const run = label.match(pattern)?.[0];
+    if (run) {
+      const num = (run.length - 1) * 26 + run.charCodeAt(0) - base + 1;
+      readings.push({ format, prefix: label.slice(0, label.length - run.length), startNum: num });
+    }
+  }
+  readings.push({ format: PREFIX_ONLY, prefix: label, startNum: 1 });
+  return readings;
+}
+
+function formatReading({ format, prefix, startNum }, offset) {
+  return format === PREFIX_ONLY ? prefix : prefix + FORMAT_FN[format](startNum + offset);
+}
+
+function romanValue(numeral) {
+  const VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+  let total = 0;
+  for (let i = 0; i < numeral.length; i++) {
+    const v = VALUES[numeral[i]];
+    const next = VALUES[numeral[i + 1]] || 0;
+    total += v < next ? -v : v;
+  }
+  return total;
+}
+
+/**
+ * Replace the label ranges with those stored in a document's /PageLabels.
+ * Documents without page labels clear them.
+ * @param {PDFDocumentProxy} pdfDoc - PDF.js document
+ * @returns {Promise<LabelRange[]>}
+ */
+export async function loadPageLabels(pdfDoc) {
+  let labels = null;
+  try {
+    labels = await pdfDoc.getPageLabels();
+  } catch (err) {
+    console.warn('Could not read page labels:', err.message);
+  }
+  _ranges = rangesFromLabels(labels);
+  return getLabelRanges();
+}
+
+/**
+ * Write label ranges into the document's /PageLabels number tree, or
+ * remove it when there are none. Pages outside every range are labelled
+ * with their page number, as getPageLabel() shows them.
+ * @param {PDFDocument} doc - pdf-lib document
+ * @param {LabelRange[]} [ranges] - Defaults to the current ranges
+ */
+export function writePageLabels(doc, ranges = _ranges) {
+  const { PDFName, PDFHexString } = getPDFLib();
+  const pageCount = doc.getPageCount();
+  const sorted = ranges
+    .filter(r => r.startPage <= pageCount && r.endPage >= r.startPage)
+    .sort((a, b) => a.startPage - b.startPage);
+
+  if (!sorted.length) {
+    doc.catalog.delete(PDFName.of('PageLabels'));
+    return;
+  }
+
+  const nums = [];
+  const plain = page => nums.push(page - 1, doc.context.obj({ S: 'D', St: page }));
+  let next = 1;
+  for (const r of sorted) {
+    if (r.startPage < next) continue;
+    if (r.startPage > next) plain(next);
+    const entry = doc.context.obj({});
+    if (PDF_STYLE[r.format]) entry.set(PDFName.of('S'), PDFName.of(PDF_STYLE[r.format]));
+    else if (r.format !== PREFIX_ONLY) entry.set(PDFName.of('S'), PDFName.of('D'));
+    if (r.prefix) entry.set(PDFName.of('P'), PDFHexString.fromText(r.prefix));
+    if (r.startNum !== 1) entry.set(PDFName.of('St'), doc.context.obj(Math.max(1, r.startNum)));
+    nums.push(r.startPage - 1, entry);
+    next = r.endPage + 1;
+  }
+  if (next <= pageCount) plain(next);
+
+  doc.catalog.set(PDFName.of('PageLabels'), doc.context.obj({ Nums: nums }));
+}
+
+
+/**
+ * One label per page from a document's /PageLabels number tree, as
+ * PDF.js getPageLabels() reads them, or null when it has none. Pages
+ * before the first entry are labelled with their page number.
+ * @param {PDFDocument} doc - pdf-lib document
+ * @returns {Array<string>|null}
+ */
+export function readPageLabels(doc) {
+  const { PDFName, PDFDict, PDFNumber, PDFString, PDFHexString } = getPDFLib();
+  const root = doc.catalog.lookup(PDFName.of('PageLabels'));
+  if (!(root instanceof PDFDict)) return null;
+
+  const entries = [];
+  collectNums(root, entries, 0);
+  entries.sort((a, b) => a.key - b.key);
+
+  const labels = [];
+  let entry = null;
+  for (let i = 0, next = 0; i < doc.getPageCount(); i++) {
+    while (next < entries.length && entries[next].key <= i) entry = entries[next++];
+    if (!entry) {
+      labels.push(String(i + 1));
+      continue;
+    }
+    const style = entry.dict.lookup(PDFName.of('S'));
+    const prefix = entry.dict.lookup(PDFName.of('P'));
+    const start = entry.dict.lookup(PDFName.of('St'));
+    const format = style instanceof PDFName ? STYLE_FORMAT[style.decodeText()] : null;
+    const text = prefix instanceof PDFString || prefix instanceof PDFHexString ? prefix.decodeText() : '';
+    const num = (start instanceof PDFNumber ? start.asNumber() : 1) + i - entry.key;
+    labels.push(format ? text + FORMAT_FN[format](num) : text);
+  }
+  return labels;
+}
+
+/** Gather the [key, dict] pairs of a number tree node and its kids */
+function collectNums(node, entries, depth) {
+  const { PDFName, PDFDict, PDFArray, PDFNumber } = getPDFLib();
+  if (!(node instanceof PDFDict) || depth > 32) return;
+
+  const nums = node.lookup(PDFName.of('Nums'));
+  if (nums instanceof PDFArray) {
+    for (let i = 0; i + 1 < nums.size(); i += 2) {
+      const key = nums.lookup(i);
+      const dict = nums.lookup(i + 1);
+      if (key instanceof PDFNumber && dict instanceof PDFDict) entries.push({ key: key.asNumber(), dict });
+    }
+  }
+  const kids = node.lookup(PDFName.of('Kids'));
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i++) collectNums(kids.lookup(i), entries, depth + 1);
+  }
+}
+
+/**
+ * Move per-page labels to their pages' new positions, as remapOutline()
+ * moves bookmarks. Pages numbered plainly (page 3 labelled "3") and pages
+ * no label lands on are numbered by their new position.
+ * @param {Array<string>} labels - From readPageLabels()
+ * @param {function(number): (number|null|undefined)} mapIndex - Old 0-based
+ *   index to new index, or null when the page is gone
+ * @param {number} pageCount - Pages after the edit
+ * @param {Array<string>|null} [into] - Labels to place them onto, when several
+ *   files' pages make up the result
+ * @returns {Array<string>}
+ */
+export function remapPageLabels(labels, mapIndex, pageCount, into) {
+  const remapped = into || Array.from({ length: pageCount }, (_, i) => String(i + 1));
+  labels.forEach((label, i) => {
+    const to = mapIndex(i);
+    if (to == null || to < 0 || to >= pageCount || label === String(i + 1)) return;
+    remapped[to] = label;
+  });
+  return remapped;
+}
+
+/**
+ * Write labels read before a page edit back into the edited document, each
+ * on its page's new position. Does nothing when there were none.
+ * @param {PDFDocument} doc - pdf-lib document after the edit
+ * @param {Array<string>|null} labels - From readPageLabels() before the edit
+ * @param {function(number): (number|null|undefined)} mapIndex - See remapPageLabels()
+ */
+export function carryPageLabels(doc, labels, mapIndex) {
+  if (!labels) return;
+  writePageLabels(doc, rangesFromLabels(remapPageLabels(labels, mapIndex, doc.getPageCount())));
+}
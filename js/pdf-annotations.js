@@ -0,0 +1,1575 @@
+/**
+ * Mudbrick — Native PDF Annotations (Phase 5)
+ * Writes Fabric annotations as real PDF annotation dictionaries, so other
+ * viewers see highlights, shapes, ink, notes and stamps as markup they can
+ * select, review and reply to, rather than pixels in an overlay image.
+ *
+ * Strategy:
+ * 1. Map each Fabric object to an annotation subtype (Highlight, Square,
+ *    Circle, Line, Ink, FreeText, Text, Stamp, …); objects with no native
+ *    equivalent (images, signatures) are handed back for rasterizing
+ * 2. Build one matrix from the object's own transform and the page's
+ *    canvas-to-user-space mapping; geometry entries (Rect, QuadPoints,
+ *    InkList, L, Vertices) are the object's points run through it
+ * 3. Draw the appearance stream in the object's local coordinates behind a
+ *    single `cm` with that matrix, so it matches what was on screen
+ * 4. Write comment thread replies as /IRT replies, plus a review state
+ *    reply when the thread was resolved, accepted or rejected
+ *
+ * Import runs the other way when a file is opened: markup from other
+ * viewers becomes Fabric objects with the matching mudbrickType, and its
+ * replies and review state become the object's comment thread.
+ *
+ * XFDF export and import use the same mapping without touching the PDF:
+ * annotations and replies go out as XFDF elements in user space, and a
+ * returned file merges back into the per-page annotation store.
+ */
+
+import { multiplyMatrix, removeDetachedObjects } from './redact-content.js';
+import { getAuthorName } from './comments.js';
+
+const getPDFLib = () => window.PDFLib;
+
+/* ═══════════════════ Geometry ═══════════════════ */
+
+const DEG = Math.PI / 180;
+
+function applyMatrix(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/**
+ * Matrix from Fabric canvas pixels (top-left origin, page shown with its
+ * /Rotate applied) to PDF user space, honoring the CropBox origin.
+ * @param {{x: number, y: number, width: number, height: number}} box - CropBox
+ * @param {number} rotation - Page /Rotate in degrees
+ * @param {number} canvasW - Canvas width the annotations were saved at
+ * @param {number} canvasH - Canvas height the annotations were saved at
+ * @returns {number[]} [a b c d e f]
+ */
+export function canvasToUserMatrix(box, rotation, canvasW, canvasH) {
+  const rot = (((rotation || 0) % 360) + 360) % 360;
+  const quarter = rot === 90 || rot === 270;
+  const sx = (quarter ? box.height : box.width) / canvasW;
+  const sy = (quarter ? box.width : box.height) / canvasH;
+  const x1 = box.x + box.width;
+  const y1 = box.y + box.height;
+  switch (rot) {
+    case 90: return [0, sx, sy, 0, box.x, box.y];
+    case 180: return [-sx, 0, 0, sy, x1, box.y];
+    case 270: return [0, -sx, -sy, 0, x1, y1];
+    default: return [sx, 0, 0, -sy, box.x, y1];
+  }
+}
+
+const ORIGIN_OFFSET = { left: 0.5, center: 0, right: -0.5, top: 0.5, bottom: -0.5 };
+
+/**
+ * Transform from a Fabric object's local coordinates (origin at its centre,
+ * y down) to its parent's coordinates — the canvas, or the centre of the
+ * group it belongs to. Mirrors fabric.Object#calcOwnMatrix without skew.
+ * @param {Object} obj - Serialized Fabric object
+ * @returns {number[]} [a b c d e f]
+ */
+export function fabricObjectMatrix(obj) {
+  const scaleX = (obj.scaleX ?? 1) * (obj.flipX ? -1 : 1);
+  const scaleY = (obj.scaleY ?? 1) * (obj.flipY ? -1 : 1);
+  const sw = obj.strokeWidth || 0;
+  const w = obj.strokeUniform ? (obj.width || 0) * Math.abs(scaleX) + sw : ((obj.width || 0) + sw) * Math.abs(scaleX);
+  const h = obj.strokeUniform ? (obj.height || 0) * Math.abs(scaleY) + sw : ((obj.height || 0) + sw) * Math.abs(scaleY);
+  const origin = (value, fallback) => (typeof value === 'number' ? 0.5 - value : ORIGIN_OFFSET[value] ?? fallback);
+  const ox = origin(obj.originX, 0.5) * w;
+  const oy = origin(obj.originY, 0.5) * h;
+
+  const angle = (obj.angle || 0) * DEG;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const cx = (obj.left || 0) + ox * cos - oy * sin;
+  const cy = (obj.top || 0) + ox * sin + oy * cos;
+  return [cos * scaleX, sin * scaleX, -sin * scaleY, cos * scaleY, cx, cy];
+}
+
+/** End points of a fabric.Line in its local coordinates. */
+function linePoints(obj) {
+  const xMult = (obj.x1 ?? 0) <= (obj.x2 ?? 0) ? -1 : 1;
+  const yMult = (obj.y1 ?? 0) <= (obj.y2 ?? 0) ? -1 : 1;
+  const x1 = xMult * (obj.width || 0) / 2;
+  const y1 = yMult * (obj.height || 0) / 2;
+  return [[x1, y1], [-x1, -y1]];
+}
+
+/** Points of a polygon or polyline, relative to the centre of their bounding box. */
+function polyPoints(obj) {
+  const pts = (obj.points || []).map(p => [p.x, p.y]);
+  if (!pts.length) return [];
+  const xs = pts.map(p => p[0]);
+  const ys = pts.map(p => p[1]);
+  const cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+  const cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+  return pts.map(([x, y]) => [x - cx, y - cy]);
+}
+
+const quadAt = (p0, p1, p2, t) => (1 - t) * (1 - t) * p0 + 2 * (1 - t) * t * p1 + t * t * p2;
+const cubicAt = (p0, p1, p2, p3, t) =>
+  (1 - t) ** 3 * p0 + 3 * (1 - t) ** 2 * t * p1 + 3 * (1 - t) * t * t * p2 + t ** 3 * p3;
+
+/**
+ * Split absolute Fabric path commands (M, L, Q, C, Z) into sub-paths of
+ * points, sampling curves.
+ * @param {Array} path - e.g. [['M', 0, 0], ['Q', 5, 5, 10, 0]]
+ * @param {number} [steps=4] - Samples per curve segment
+ * @returns {number[][][]} One array of [x, y] points per sub-path
+ */
+export function flattenPath(path, steps = 4) {
+  const strokes = [];
+  let current = null;
+  let x = 0, y = 0;
+  for (const [cmd, ...args] of path || []) {
+    switch (cmd) {
+      case 'M':
+        [x, y] = args;
+        current = [[x, y]];
+        strokes.push(current);
+        break;
+      case 'L':
+        [x, y] = args;
+        current?.push([x, y]);
+        break;
+      case 'Q':
+        for (let i = 1; i <= steps; i++) {
+          const t = i / steps;
+          current?.push([quadAt(x, args[0], args[2], t), quadAt(y, args[1], args[3], t)]);
+        }
+        [x, y] = [args[2], args[3]];
+        break;
+      case 'C':
+        for (let i = 1; i <= steps; i++) {
+          const t = i / steps;
+          current?.push([cubicAt(x, args[0], args[2], args[4], t), cubicAt(y, args[1], args[3], args[5], t)]);
+        }
+        [x, y] = [args[4], args[5]];
+        break;
+      case 'Z':
+      case 'z':
+        if (current?.length) current.push(current[0].slice());
+        break;
+      default:
+        break;
+    }
+  }
+  return strokes.filter(s => s.length > 0);
+}
+
+/** Centre of a path's bounding box, which Fabric uses as the path's local origin. */
+function pathCenter(path) {
+  const pts = flattenPath(path, 16).flat();
+  if (!pts.length) return [0, 0];
+  const xs = pts.map(p => p[0]);
+  const ys = pts.map(p => p[1]);
+  return [(Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2];
+}
+
+/** Axis-aligned box around points after transforming them. */
+function boundsOf(points, m) {
+  const mapped = points.map(([x, y]) => applyMatrix(m, x, y));
+  const xs = mapped.map(p => p[0]);
+  const ys = mapped.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)].map(round);
+}
+
+/** Local bounding box of an object, including half its stroke. */
+function localBox(obj) {
+  const pad = (obj.strokeWidth || 0) / 2;
+  const w = (obj.width || 0) / 2 + pad;
+  const h = (obj.height || 0) / 2 + pad;
+  return [[-w, -h], [w, -h], [-w, h], [w, h]];
+}
+
+const round = n => Math.round(n * 1000) / 1000;
+
+/* ═══════════════════ Colors and Fonts ═══════════════════ */
+
+/**
+ * Parse a Fabric color ('#rgb', '#rrggbb', 'rgb()', 'rgba()').
+ * @returns {{rgb: number[], alpha: number}|null} null for transparent or empty
+ */
+export function parseColor(color) {
+  if (!color || typeof color !== 'string' || color === 'transparent' || color === 'none') return null;
+  let m = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (m) {
+    const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+    return { rgb: [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255), alpha: 1 };
+  }
+  m = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/i);
+  if (m) {
+    const alpha = m[4] === undefined ? 1 : +m[4];
+    if (alpha === 0) return null;
+    return { rgb: [+m[1] / 255, +m[2] / 255, +m[3] / 255], alpha };
+  }
+  return { rgb: [0, 0, 0], alpha: 1 };
+}
+
+const colorOps = (c, op) => `${c.rgb.map(v => round(v)).join(' ')} ${op}`;
+
+/**
+ * Pick the standard 14 font closest to a Fabric text object's font.
+ * @param {Object} textObj - Serialized Fabric text object
+ * @returns {string} Key of PDFLib.StandardFonts
+ */
+export function standardFontName(textObj) {
+  const fontName = (textObj.fontFamily || 'Helvetica').split(',')[0].trim();
+  const isBold = textObj.fontWeight === 'bold' || (textObj.fontWeight >= 700);
+  const isItalic = textObj.fontStyle === 'italic';
+  if (/times|serif/i.test(fontName) && !/sans/i.test(fontName)) {
+    return isBold && isItalic ? 'TimesRomanBoldItalic' :
+           isBold ? 'TimesRomanBold' :
+           isItalic ? 'TimesRomanItalic' : 'TimesRoman';
+  }
+  if (/courier|mono/i.test(fontName)) {
+    return isBold && isItalic ? 'CourierBoldOblique' :
+           isBold ? 'CourierBold' :
+           isItalic ? 'CourierOblique' : 'Courier';
+  }
+  return isBold && isItalic ? 'HelveticaBoldOblique' :
+         isBold ? 'HelveticaBold' :
+         isItalic ? 'HelveticaOblique' : 'Helvetica';
+}
+
+/* ═══════════════════ Appearance Streams ═══════════════════ */
+
+const fmtMatrix = m => m.map(round).join(' ');
+
+// Bezier constant for quarter ellipses
+const KAPPA = 0.5522847498;
+
+function ellipsePath(rx, ry) {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    `${round(rx)} 0 m`,
+    `${round(rx)} ${round(ky)} ${round(kx)} ${round(ry)} 0 ${round(ry)} c`,
+    `${round(-kx)} ${round(ry)} ${round(-rx)} ${round(ky)} ${round(-rx)} 0 c`,
+    `${round(-rx)} ${round(-ky)} ${round(-kx)} ${round(-ry)} 0 ${round(-ry)} c`,
+    `${round(kx)} ${round(-ry)} ${round(rx)} ${round(-ky)} ${round(rx)} 0 c h`,
+  ].join('\n');
+}
+
+function rectPath(obj) {
+  const w = obj.width || 0;
+  const h = obj.height || 0;
+  const rx = Math.min(obj.rx || 0, w / 2);
+  const ry = Math.min(obj.ry || 0, h / 2);
+  const x = -w / 2;
+  const y = -h / 2;
+  if (!rx && !ry) return `${round(x)} ${round(y)} ${round(w)} ${round(h)} re`;
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  const r = round;
+  return [
+    `${r(x + rx)} ${r(y)} m`,
+    `${r(x + w - rx)} ${r(y)} l`,
+    `${r(x + w - rx + kx)} ${r(y)} ${r(x + w)} ${r(y + ry - ky)} ${r(x + w)} ${r(y + ry)} c`,
+    `${r(x + w)} ${r(y + h - ry)} l`,
+    `${r(x + w)} ${r(y + h - ry + ky)} ${r(x + w - rx + kx)} ${r(y + h)} ${r(x + w - rx)} ${r(y + h)} c`,
+    `${r(x + rx)} ${r(y + h)} l`,
+    `${r(x + rx - kx)} ${r(y + h)} ${r(x)} ${r(y + h - ry + ky)} ${r(x)} ${r(y + h - ry)} c`,
+    `${r(x)} ${r(y + ry)} l`,
+    `${r(x)} ${r(y + ry - ky)} ${r(x + rx - kx)} ${r(y)} ${r(x + rx)} ${r(y)} c h`,
+  ].join('\n');
+}
+
+const polyPath = (pts, close) =>
+  pts.map(([x, y], i) => `${round(x)} ${round(y)} ${i ? 'l' : 'm'}`).join('\n') + (close ? ' h' : '');
+
+/**
+ * Content-stream path operators for absolute Fabric path commands, shifted
+ * so that `center` becomes the origin. Quadratic segments become cubics.
+ */
+export function pathOperators(path, center = [0, 0]) {
+  const [ox, oy] = center;
+  const p = (x, y) => `${round(x - ox)} ${round(y - oy)}`;
+  const ops = [];
+  let x = 0, y = 0;
+  for (const [cmd, ...a] of path || []) {
+    switch (cmd) {
+      case 'M': ops.push(`${p(a[0], a[1])} m`); [x, y] = a; break;
+      case 'L': ops.push(`${p(a[0], a[1])} l`); [x, y] = a; break;
+      case 'Q': {
+        const c1 = [x + 2 / 3 * (a[0] - x), y + 2 / 3 * (a[1] - y)];
+        const c2 = [a[2] + 2 / 3 * (a[0] - a[2]), a[3] + 2 / 3 * (a[1] - a[3])];
+        ops.push(`${p(...c1)} ${p(...c2)} ${p(a[2], a[3])} c`);
+        [x, y] = [a[2], a[3]];
+        break;
+      }
+      case 'C': ops.push(`${p(a[0], a[1])} ${p(a[2], a[3])} ${p(a[4], a[5])} c`); [x, y] = [a[4], a[5]]; break;
+      case 'Z': case 'z': ops.push('h'); break;
+      default: break;
+    }
+  }
+  return ops.join('\n');
+}
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+/** Fill/stroke state and painting operator for a shape. */
+function paintFor(obj, { closed = true } = {}) {
+  const fill = closed ? parseColor(obj.fill) : null;
+  const stroke = obj.strokeWidth > 0 ? parseColor(obj.stroke) : null;
+  const setup = [];
+  if (fill) setup.push(colorOps(fill, 'rg'));
+  if (stroke) {
+    setup.push(colorOps(stroke, 'RG'), `${round(obj.strokeWidth)} w`);
+    setup.push(`${LINE_CAPS[obj.strokeLineCap] ?? 0} J ${LINE_JOINS[obj.strokeLineJoin] ?? 0} j`);
+    if (Array.isArray(obj.strokeDashArray) && obj.strokeDashArray.length) {
+      setup.push(`[${obj.strokeDashArray.map(round).join(' ')}] 0 d`);
+    }
+  }
+  const op = fill && stroke ? 'B' : fill ? 'f' : stroke ? 'S' : null;
+  return { setup: setup.join(' '), op };
+}
+
+/** Replace characters a standard (WinAnsi) font cannot encode. */
+function encodable(font, line) {
+  try {
+    font.encodeText(line);
+    return line;
+  } catch {
+    return line.replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  }
+}
+
+/** Text lines laid out the way Fabric draws them. */
+async function drawText(obj, env) {
+  const PDFLib = getPDFLib();
+  const fontKey = standardFontName(obj);
+  const font = await env.font(fontKey);
+  const resName = `F${Object.keys(PDFLib.StandardFonts).indexOf(fontKey)}`;
+  env.fonts[resName] = font.ref;
+
+  const fontSize = obj.fontSize || 16;
+  const lineHeight = obj.lineHeight || 1.16;
+  // Fabric: each line is fontSize × lineHeight × 1.13 tall; the baseline sits
+  // fontSize × 1.13 below the line top, lifted by the 0.222 descent fraction
+  const lineStep = fontSize * lineHeight * 1.13;
+  const firstBaseline = fontSize * 1.13 * (1 - 0.222);
+  const fill = parseColor(obj.fill);
+  const stroke = obj.strokeWidth > 0 ? parseColor(obj.stroke) : null;
+  const mode = fill && stroke ? 2 : stroke ? 1 : fill ? 0 : 3;
+
+  const ops = ['BT', `/${resName} ${round(fontSize)} Tf`, `${mode} Tr`];
+  if (fill) ops.push(colorOps(fill, 'rg'));
+  if (stroke) ops.push(colorOps(stroke, 'RG'), `${round(obj.strokeWidth)} w`);
+  const lines = String(obj.text || '').split('\n');
+  lines.forEach((text, i) => {
+    if (!text) return;
+    const line = encodable(font, text);
+    const lineWidth = font.widthOfTextAtSize(line, fontSize);
+    const slack = (obj.width || 0) - lineWidth;
+    const dx = obj.textAlign === 'center' ? slack / 2 : obj.textAlign === 'right' ? slack : 0;
+    const x = -(obj.width || 0) / 2 + dx;
+    const y = -(obj.height || 0) / 2 + firstBaseline + i * lineStep;
+    // Local space is y-down; flip the text back upright
+    ops.push(`1 0 0 -1 ${round(x)} ${round(y)} Tm`, `${font.encodeText(line).toString()} Tj`);
+  });
+  ops.push('ET');
+  return ops.join('\n');
+}
+
+/**
+ * Content operators that draw a Fabric object in its own local coordinates.
+ * @returns {Promise<string|null>} null when the object cannot be drawn natively
+ */
+async function drawObject(obj, env) {
+  switch (obj.type) {
+    case 'rect': {
+      const { setup, op } = paintFor(obj);
+      return op ? `${setup}\n${rectPath(obj)} ${op}` : '';
+    }
+    case 'ellipse':
+    case 'circle': {
+      const { setup, op } = paintFor(obj);
+      const rx = obj.type === 'circle' ? obj.radius : obj.rx;
+      const ry = obj.type === 'circle' ? obj.radius : obj.ry;
+      return op ? `${setup}\n${ellipsePath(rx || 0, ry || 0)} ${op}` : '';
+    }
+    case 'line': {
+      const { setup, op } = paintFor(obj, { closed: false });
+      return op ? `${setup}\n${polyPath(linePoints(obj), false)} S` : '';
+    }
+    case 'triangle': {
+      const w = (obj.width || 0) / 2;
+      const h = (obj.height || 0) / 2;
+      const { setup, op } = paintFor(obj);
+      return op ? `${setup}\n${polyPath([[-w, h], [0, -h], [w, h]], true)} ${op}` : '';
+    }
+    case 'polygon':
+    case 'polyline': {
+      const closed = obj.type === 'polygon';
+      const { setup, op } = paintFor(obj, { closed });
+      return op ? `${setup}\n${polyPath(polyPoints(obj), closed)} ${op}` : '';
+    }
+    case 'path': {
+      const { setup, op } = paintFor(obj, { closed: false });
+      return op ? `${setup}\n${pathOperators(obj.path, pathCenter(obj.path))}\n${op}` : '';
+    }
+    case 'text':
+    case 'i-text':
+    case 'textbox':
+      return drawText(obj, env);
+    case 'group': {
+      const parts = [];
+      for (const child of obj.objects || []) {
+        const body = await drawObject(child, env);
+        if (body === null) return null;
+        parts.push(`q ${fmtMatrix(fabricObjectMatrix(child))} cm\n${body}\nQ`);
+      }
+      return parts.join('\n');
+    }
+    default:
+      return null;
+  }
+}
+
+/* ═══════════════════ Annotation Mapping ═══════════════════ */
+
+const NOTE_FILLS = {
+  yellow: '#fff9c4', green: '#c8e6c9', blue: '#bbdefb', pink: '#f8bbd0', orange: '#ffe0b2',
+};
+
+// Mudbrick's stamp labels with Acrobat's standard stamp names
+const STAMPS = {
+  APPROVED: { name: 'Approved', color: '#27ae60' },
+  REJECTED: { name: 'NotApproved', color: '#c0392b' },
+  DRAFT: { name: 'Draft', color: '#7f8c8d' },
+  CONFIDENTIAL: { name: 'Confidential', color: '#e74c3c' },
+  FINAL: { name: 'Final', color: '#2980b9' },
+};
+
+const REVIEW_STATES = { resolved: 'Completed', accepted: 'Accepted', rejected: 'Rejected' };
+
+const SUBJECTS = {
+  Highlight: 'Highlight', Underline: 'Underline', StrikeOut: 'Strikethrough', Square: 'Rectangle',
+  Circle: 'Oval', Line: 'Line', Polygon: 'Polygon', PolyLine: 'Polygonal Line', Ink: 'Pencil',
+  FreeText: 'Text Box', Text: 'Sticky Note', Stamp: 'Stamp',
+};
+
+/**
+ * Decide which annotation subtype a Fabric object becomes.
+ * @param {Object} obj - Serialized Fabric object
+ * @returns {string|null} PDF annotation subtype, or null if there is no native equivalent
+ */
+export function annotationSubtype(obj) {
+  switch (obj.mudbrickType) {
+    case 'highlight': return 'Highlight';
+    case 'underline': return 'Underline';
+    case 'strikethrough': return 'StrikeOut';
+    case 'sticky-note': return 'Text';
+    case 'stamp': return 'Stamp';
+    case 'text': return ['i-text', 'textbox', 'text'].includes(obj.type) ? 'FreeText' : null;
+    case 'shape':
+    case undefined:
+      break;
+    default:
+      return null;
+  }
+  switch (obj.type) {
+    case 'rect': return 'Square';
+    case 'ellipse':
+    case 'circle': return 'Circle';
+    case 'line': return 'Line';
+    case 'polygon': return 'Polygon';
+    case 'polyline': return 'PolyLine';
+    case 'path': return 'Ink';
+    case 'group': {
+      const types = (obj.objects || []).map(o => o.type).sort().join(',');
+      if (types === 'line,triangle') return 'Line';
+      if (types && (obj.objects || []).every(o => o.type === 'line' || o.type === 'path')) return 'Ink';
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/** Ink strokes of an object (path, or group of lines and paths) in its local coordinates. */
+function inkStrokes(obj) {
+  if (obj.type === 'path') {
+    const [cx, cy] = pathCenter(obj.path);
+    return flattenPath(obj.path).map(s => s.map(([x, y]) => [x - cx, y - cy]));
+  }
+  if (obj.type === 'line') return [linePoints(obj)];
+  return (obj.objects || []).flatMap(child => {
+    const m = fabricObjectMatrix(child);
+    return inkStrokes(child).map(s => s.map(([x, y]) => applyMatrix(m, x, y)));
+  });
+}
+
+/**
+ * Quadrilateral for a text markup stroke, as [top-left, top-right,
+ * bottom-left, bottom-right] in local coordinates. Strokes drawn over text
+ * only say where the text is horizontally, so underlines and strikeouts
+ * borrow a text height from the stroke width.
+ */
+function markupQuad(obj, subtype) {
+  const capped = obj.strokeLineCap === 'round' || obj.strokeLineCap === 'square';
+  const w = (obj.width || 0) / 2 + (capped ? (obj.strokeWidth || 0) / 2 : 0);
+  const h = (obj.height || 0) / 2;
+  const sw = obj.strokeWidth || 1;
+  let top = -h - sw / 2;
+  let bottom = h + sw / 2;
+  if (subtype === 'Underline') top = bottom - 5 * sw;
+  if (subtype === 'StrikeOut') {
+    top = -2.5 * sw;
+    bottom = 2.5 * sw;
+  }
+  return [[-w, top], [w, top], [-w, bottom], [w, bottom]];
+}
+
+/** Custom note icon: the sticky note square with three ruled lines. */
+function noteIcon(obj) {
+  const fill = parseColor(NOTE_FILLS[obj.noteColor] || NOTE_FILLS.yellow);
+  const w = (obj.width || 0) / 2;
+  const h = (obj.height || 0) / 2;
+  const lines = [0.3, 0, -0.3].map(f => `${round(-w * 0.55)} ${round(h * f)} m ${round(w * 0.55)} ${round(h * f)} l`);
+  return [
+    `${colorOps(fill, 'rg')} 0.69 0.63 0 RG 1 w`,
+    `${round(-w)} ${round(-h)} ${round(2 * w)} ${round(2 * h)} re B`,
+    '0.4 0.4 0.4 RG 0.8 w',
+    ...lines, 'S',
+  ].join('\n');
+}
+
+/** Main color of an object, for /C. */
+function annotationColor(obj, subtype) {
+  if (subtype === 'Text') return parseColor(NOTE_FILLS[obj.noteColor] || NOTE_FILLS.yellow);
+  if (subtype === 'FreeText') return parseColor(obj.fill);
+  const first = obj.type === 'group' ? (obj.objects || [])[0] || {} : obj;
+  return parseColor(first.stroke) || parseColor(first.fill);
+}
+
+const pdfString = text => getPDFLib().PDFString.of(String(text || ''));
+const pdfText = text => getPDFLib().PDFHexString.fromText(text || '');
+const pdfDate = date => getPDFLib().PDFString.fromDate(date instanceof Date ? date : new Date(date));
+
+/**
+ * Write the /IRT replies (and review state) of a comment thread.
+ * @returns {Object[]} Refs of the reply annotations
+ */
+function writeReplies(thread, parentRef, rect, color, env) {
+  const { context } = env.pdfDoc;
+  const base = { Type: 'Annot', Subtype: 'Text', Rect: rect, P: env.pageRef, F: 28, IRT: parentRef, Name: 'Comment', Open: false };
+  if (color) base.C = color.rgb.map(round);
+
+  const refs = (thread.replies || []).map(reply => context.register(context.obj({
+    ...base,
+    NM: pdfString(reply.id),
+    T: pdfText(reply.author),
+    Contents: pdfText(reply.text),
+    M: pdfDate(reply.date || env.now),
+    CreationDate: pdfDate(reply.date || env.now),
+  })));
+
+  const state = REVIEW_STATES[thread.status];
+  if (state) {
+    const author = thread.author || env.author;
+    refs.push(context.register(context.obj({
+      ...base,
+      F: 30,
+      NM: pdfString(`${thread.id}-state`),
+      T: pdfText(author),
+      Contents: pdfText(`${state} set by ${author}`),
+      M: pdfDate(env.now),
+      State: pdfString(state),
+      StateModel: pdfString('Review'),
+    })));
+  }
+  return refs;
+}
+
+/**
+ * Describe the annotation for a Fabric object in user space: its Rect,
+ * colors, text and the geometry entries of its subtype. The PDF and XFDF
+ * writers both build on this.
+ * @param {Object} obj - Serialized Fabric object
+ * @param {string} subtype - From annotationSubtype
+ * @param {number[]} pageMatrix - Canvas → user space matrix of the page
+ * @returns {Object}
+ */
+function describeAnnotation(obj, subtype, pageMatrix) {
+  const m = multiplyMatrix(fabricObjectMatrix(obj), pageMatrix);
+  const markup = subtype === 'Highlight' || subtype === 'Underline' || subtype === 'StrikeOut';
+  const stroke = parseColor(obj.stroke);
+  const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+  const toUser = pts => pts.flatMap(([x, y]) => applyMatrix(m, x, y)).map(round);
+  const borderWidth = round((obj.type === 'group' ? (obj.objects || [])[0]?.strokeWidth : obj.strokeWidth) * scale || 1);
+
+  const desc = {
+    subtype,
+    matrix: m,
+    rect: boundsOf(markup ? markupQuad(obj, subtype) : localBox(obj), m),
+    color: annotationColor(obj, subtype),
+    opacity: (obj.opacity ?? 1) * (subtype === 'Highlight' && stroke ? stroke.alpha : 1),
+    contents: obj.noteText || undefined,
+  };
+
+  switch (subtype) {
+    case 'Highlight':
+    case 'Underline':
+    case 'StrikeOut':
+      desc.quadPoints = toUser(markupQuad(obj, subtype));
+      break;
+    case 'Square':
+    case 'Circle':
+      desc.width = borderWidth;
+      desc.interior = parseColor(obj.fill);
+      break;
+    case 'Line': {
+      const line = obj.type === 'group' ? obj.objects.find(o => o.type === 'line') : obj;
+      const lm = obj.type === 'group' ? multiplyMatrix(fabricObjectMatrix(line), m) : m;
+      desc.line = linePoints(line).flatMap(([x, y]) => applyMatrix(lm, x, y)).map(round);
+      desc.width = round((line.strokeWidth || 1) * scale);
+      if (obj.type === 'group') {
+        desc.endings = ['None', 'ClosedArrow'];
+        desc.interior = desc.color;
+      }
+      break;
+    }
+    case 'Polygon':
+    case 'PolyLine':
+      desc.vertices = toUser(polyPoints(obj));
+      desc.width = borderWidth;
+      break;
+    case 'Ink':
+      desc.inkList = inkStrokes(obj).map(toUser);
+      desc.width = borderWidth;
+      break;
+    case 'FreeText': {
+      const fill = parseColor(obj.fill) || { rgb: [0, 0, 0] };
+      const size = round((obj.fontSize || 16) * (obj.scaleY ?? 1) * Math.sqrt(Math.abs(pageMatrix[0] * pageMatrix[3] - pageMatrix[1] * pageMatrix[2])));
+      desc.contents = obj.text || '';
+      desc.da = `/Helv ${size} Tf ${fill.rgb.map(round).join(' ')} rg`;
+      desc.width = 0;
+      break;
+    }
+    case 'Text':
+      desc.contents = obj.noteText || '';
+      desc.icon = 'Comment';
+      break;
+    case 'Stamp': {
+      const label = (obj.objects || []).find(o => ['text', 'i-text', 'textbox'].includes(o.type))?.text || '';
+      desc.icon = STAMPS[label]?.name || 'Draft';
+      desc.contents = label;
+      break;
+    }
+    default:
+      break;
+  }
+  return desc;
+}
+
+/**
+ * Build and register one annotation (plus thread replies) for a Fabric object.
+ * @returns {Promise<Object[]|null>} Refs to add to the page, or null when unsupported
+ */
+async function writeAnnotation(obj, env) {
+  const subtype = annotationSubtype(obj);
+  if (!subtype) return null;
+  const { context } = env.pdfDoc;
+
+  const fonts = {};
+  const drawEnv = { ...env, fonts };
+  const body = subtype === 'Text' ? noteIcon(obj) : await drawObject(obj, drawEnv);
+  if (body === null) return null;
+
+  const desc = describeAnnotation(obj, subtype, env.pageMatrix);
+  const { rect, color, opacity } = desc;
+  const gs = { Type: 'ExtGState', CA: round(opacity), ca: round(opacity) };
+  if (subtype === 'Highlight') gs.BM = 'Multiply';
+  const resources = { ExtGState: { GS0: gs } };
+  if (Object.keys(fonts).length) resources.Font = fonts;
+  const ap = context.flateStream(`q /GS0 gs ${fmtMatrix(desc.matrix)} cm\n${body}\nQ`, {
+    Type: 'XObject', Subtype: 'Form', BBox: rect, Resources: resources,
+  });
+
+  const thread = obj.commentThread;
+  const dict = {
+    Type: 'Annot',
+    Subtype: subtype,
+    Rect: rect,
+    P: env.pageRef,
+    F: subtype === 'Text' ? 28 : 4,
+    NM: pdfString(thread?.id || crypto.randomUUID()),
+    T: pdfText(thread?.author || env.author),
+    Subj: pdfText(SUBJECTS[subtype]),
+    M: pdfDate(env.now),
+    CreationDate: pdfDate(thread?.created || env.now),
+    AP: { N: context.register(ap) },
+  };
+  if (color) dict.C = color.rgb.map(round);
+  if (opacity < 1) dict.CA = round(opacity);
+  if (desc.quadPoints) dict.QuadPoints = desc.quadPoints;
+  if (desc.line) dict.L = desc.line;
+  if (desc.endings) dict.LE = desc.endings;
+  if (desc.vertices) dict.Vertices = desc.vertices;
+  if (desc.inkList) dict.InkList = desc.inkList;
+  if (desc.width !== undefined) dict.BS = { W: desc.width };
+  if (desc.interior) dict.IC = desc.interior.rgb.map(round);
+  if (desc.da) dict.DA = pdfString(desc.da);
+  if (desc.icon) dict.Name = desc.icon;
+  if (subtype === 'Text') dict.Open = false;
+  if (desc.contents !== undefined) dict.Contents = pdfText(desc.contents);
+
+  const ref = context.register(context.obj(dict));
+  const refs = [ref];
+  if (thread) refs.push(...writeReplies(thread, ref, rect, color, env));
+  return refs;
+}
+
+/* ═══════════════════ Page Export ═══════════════════ */
+
+/**
+ * Add Fabric objects to a page as native PDF annotations.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument
+ * @param {number} pageIndex - 0-based page index
+ * @param {Object[]} objects - Serialized Fabric objects from the page
+ * @param {Object} opts
+ * @param {number} opts.canvasWidth - Canvas width the objects were saved at
+ * @param {number} opts.canvasHeight - Canvas height the objects were saved at
+ * @param {string} [opts.author] - /T for objects without a comment thread (default: current author)
+ * @param {Date} [opts.now] - Modification date (default: now)
+ * @param {Object} [opts.fontCache] - StandardFonts key → embedded PDFFont, shared across pages
+ * @returns {Promise<{written: number, unsupported: Object[]}>} unsupported lists the
+ *   objects with no native equivalent, to be rasterized by the caller
+ */
+export async function writeNativeAnnotations(pdfDoc, pageIndex, objects, opts) {
+  const PDFLib = getPDFLib();
+  const page = pdfDoc.getPage(pageIndex);
+  const fontCache = opts.fontCache || {};
+  const env = {
+    pdfDoc,
+    pageRef: page.ref,
+    pageMatrix: canvasToUserMatrix(page.getCropBox(), page.getRotation().angle, opts.canvasWidth, opts.canvasHeight),
+    author: opts.author || getAuthorName(),
+    now: opts.now || new Date(),
+    font: async key => {
+      if (!fontCache[key]) fontCache[key] = await pdfDoc.embedFont(PDFLib.StandardFonts[key]);
+      return fontCache[key];
+    },
+  };
+
+  let written = 0;
+  const unsupported = [];
+  for (const obj of objects) {
+    const refs = await writeAnnotation(obj, env);
+    if (!refs) {
+      unsupported.push(obj);
+      continue;
+    }
+    for (const ref of refs) page.node.addAnnot(ref);
+    written++;
+  }
+  return { written, unsupported };
+}
+
+/* ═══════════════════ Import ═══════════════════ */
+
+// Subtypes brought into the overlay for editing; everything else (links,
+// form widgets, attachments, …) stays in the file untouched
+const IMPORTED_SUBTYPES = new Set([
+  'Highlight', 'Underline', 'Squiggly', 'StrikeOut', 'Square', 'Circle', 'Line',
+  'Polygon', 'PolyLine', 'Ink', 'FreeText', 'Text', 'Stamp',
+]);
+
+const ARROW_ENDINGS = new Set(['OpenArrow', 'ClosedArrow', 'ROpenArrow', 'RClosedArrow']);
+
+const REVIEW_STATUSES = { Completed: 'resolved', Accepted: 'accepted', Rejected: 'rejected', Cancelled: 'open', None: 'open' };
+
+// Annotation flag bit 2
+const HIDDEN_FLAG = 2;
+
+const NOTE_SIZE = 28;
+const ARROW_HEAD = 15;
+const MARKUP_WIDTH = 2;
+
+/**
+ * Parse a PDF date string (D:YYYYMMDDHHmmSSOHH'mm).
+ * @param {string} value
+ * @returns {string|null} ISO 8601 timestamp, or null when unparseable
+ */
+export function parsePDFDate(value) {
+  const m = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(String(value || '').trim());
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', s = '00', sign, oh = '00', om = '00'] = m;
+  let time = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  if (sign === '+' || sign === '-') time -= (sign === '+' ? 1 : -1) * (+oh * 60 + +om) * 60000;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/** '#rrggbb' for a /C or /IC array (gray, RGB or CMYK), or null when empty. */
+function hexColor(components) {
+  let rgb;
+  if (components.length === 1) rgb = [components[0], components[0], components[0]];
+  else if (components.length === 3) rgb = components;
+  else if (components.length === 4) rgb = components.slice(0, 3).map(c => (1 - c) * (1 - components[3]));
+  else return null;
+  return '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+function rgbaColor(hex, alpha) {
+  const { rgb } = parseColor(hex);
+  return `rgba(${rgb.map(c => Math.round(c * 255)).join(',')},${alpha})`;
+}
+
+function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+/** Typed accessors for one annotation dictionary. */
+function annotationReader(dict) {
+  const PDFLib = getPDFLib();
+  const { context } = dict;
+  const get = key => dict.lookup(PDFLib.PDFName.of(key));
+  const number = v => (v instanceof PDFLib.PDFNumber ? v.asNumber() : 0);
+  const numbersOf = v => (v instanceof PDFLib.PDFArray ? v.asArray().map(x => number(context.lookup(x))) : []);
+  return {
+    get,
+    has: key => dict.has(PDFLib.PDFName.of(key)),
+    name: key => {
+      const v = get(key);
+      return v instanceof PDFLib.PDFName ? v.decodeText() : undefined;
+    },
+    number: key => {
+      const v = get(key);
+      return v instanceof PDFLib.PDFNumber ? v.asNumber() : undefined;
+    },
+    numbers: key => numbersOf(get(key)),
+    names: key => {
+      const v = get(key);
+      return v instanceof PDFLib.PDFArray ? v.asArray().map(x => (x instanceof PDFLib.PDFName ? x.decodeText() : undefined)) : [];
+    },
+    lists: key => {
+      const v = get(key);
+      return v instanceof PDFLib.PDFArray ? v.asArray().map(x => numbersOf(context.lookup(x))) : [];
+    },
+    text: key => {
+      const v = get(key);
+      return v instanceof PDFLib.PDFString || v instanceof PDFLib.PDFHexString ? v.decodeText() : '';
+    },
+    borderWidth: () => {
+      const bs = get('BS');
+      const w = bs instanceof PDFLib.PDFDict ? bs.lookup(PDFLib.PDFName.of('W')) : undefined;
+      if (w instanceof PDFLib.PDFNumber) return w.asNumber();
+      const border = numbersOf(get('Border'));
+      return border.length >= 3 ? border[2] : 1;
+    },
+  };
+}
+
+/** Axis-aligned canvas box of a list of user-space coordinates. */
+function canvasBox(coords, m) {
+  const pts = [];
+  for (let i = 0; i + 1 < coords.length; i += 2) pts.push(applyMatrix(m, coords[i], coords[i + 1]));
+  const xs = pts.map(p => p[0]);
+  const ys = pts.map(p => p[1]);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  return { left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top, points: pts };
+}
+
+/** Fabric path JSON for absolute canvas points, positioned the way Fabric does it. */
+function pathObject(path, strokeWidth, props) {
+  const pts = path.map(([, x, y]) => [x, y]);
+  const xs = pts.map(p => p[0]);
+  const ys = pts.map(p => p[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return {
+    type: 'path', originX: 'left', originY: 'top',
+    left: minX - strokeWidth / 2, top: minY - strokeWidth / 2,
+    width: Math.max(...xs) - minX, height: Math.max(...ys) - minY,
+    path, fill: null, strokeWidth, strokeLineCap: 'round', strokeLineJoin: 'round',
+    ...props,
+  };
+}
+
+function lineObject([x1, y1], [x2, y2], stroke, strokeWidth) {
+  return {
+    type: 'line', originX: 'left', originY: 'top',
+    left: Math.min(x1, x2) - strokeWidth / 2, top: Math.min(y1, y2) - strokeWidth / 2,
+    width: Math.abs(x2 - x1), height: Math.abs(y2 - y1),
+    x1, y1, x2, y2, stroke, strokeWidth,
+  };
+}
+
+function polyObject(type, points, props) {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  const sw = props.strokeWidth || 0;
+  return {
+    type, originX: 'left', originY: 'top',
+    left: Math.min(...xs) - sw / 2, top: Math.min(...ys) - sw / 2,
+    width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys),
+    points: points.map(([x, y]) => ({ x, y })),
+    ...props,
+  };
+}
+
+/** A group positioned by its centre, with children given in canvas coordinates. */
+function groupObject(center, width, height, children, props) {
+  for (const child of children) {
+    child.left -= center[0];
+    child.top -= center[1];
+    if (child.type === 'line') {
+      child.x1 -= center[0]; child.x2 -= center[0];
+      child.y1 -= center[1]; child.y2 -= center[1];
+    }
+  }
+  return {
+    type: 'group', originX: 'center', originY: 'center',
+    left: center[0], top: center[1], width, height, objects: children, ...props,
+  };
+}
+
+function closestNoteColor(hex) {
+  if (!hex) return 'yellow';
+  const target = parseColor(hex).rgb;
+  let best = 'yellow';
+  let bestDistance = Infinity;
+  for (const [name, fill] of Object.entries(NOTE_FILLS)) {
+    const distance = parseColor(fill).rgb.reduce((sum, c, i) => sum + (c - target[i]) ** 2, 0);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = name;
+    }
+  }
+  return best;
+}
+
+/** Font size and color from a /DA string such as "/Helv 12 Tf 1 0 0 rg". */
+function parseDefaultAppearance(da) {
+  const size = /([\d.]+)\s+Tf/.exec(da);
+  const rgb = /([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg/.exec(da);
+  const gray = /([\d.]+)\s+g(?:\s|$)/.exec(da);
+  const color = rgb ? [+rgb[1], +rgb[2], +rgb[3]] : gray ? [+gray[1]] : [0];
+  return { fontSize: size && +size[1] > 0 ? +size[1] : 12, color: hexColor(color) };
+}
+
+/** Comment thread for an imported annotation, from its name, author and dates. */
+function threadFrom(r) {
+  return {
+    id: r.text('NM') || crypto.randomUUID(),
+    author: r.text('T') || 'Anonymous',
+    created: parsePDFDate(r.text('CreationDate')) || parsePDFDate(r.text('M')) || new Date().toISOString(),
+    status: 'open',
+    replies: [],
+  };
+}
+
+/**
+ * A reply annotation as a thread reply, or as a state change when it sets
+ * /State (review is true for the Review state model).
+ */
+function replyFrom(r, thread) {
+  const date = parsePDFDate(r.text('M')) || parsePDFDate(r.text('CreationDate')) || thread.created;
+  const state = r.text('State') || r.name('State');
+  if (state) return { date, state, review: (r.text('StateModel') || r.name('StateModel')) === 'Review' };
+  return {
+    id: r.text('NM') || crypto.randomUUID(),
+    author: r.text('T') || 'Anonymous',
+    date,
+    text: r.text('Contents'),
+  };
+}
+
+/**
+ * Canvas → user space matrix for a page's stored annotations: at the
+ * canvas size they were saved at, or 100% zoom when none was recorded.
+ * @param {Object} page - pdf-lib PDFPage
+ * @param {Object} [json] - The page's entry in the annotation store
+ */
+function storedPageMatrix(page, json) {
+  const box = page.getCropBox();
+  const rotation = page.getRotation().angle || 0;
+  const quarter = rotation % 180 !== 0;
+  const width = json?._canvasWidth || (quarter ? box.height : box.width);
+  const height = json?._canvasHeight || (quarter ? box.width : box.height);
+  return canvasToUserMatrix(box, rotation, width, height);
+}
+
+/**
+ * Build the Fabric JSON for one annotation.
+ * @param {Object} r - annotationReader for the annotation
+ * @param {string} subtype
+ * @param {number[]} m - User space → canvas matrix
+ * @param {number} scale - Canvas units per point
+ * @returns {Object|null}
+ */
+function fabricObjectFor(r, subtype, m, scale) {
+  const color = hexColor(r.numbers('C'));
+  const interior = hexColor(r.numbers('IC'));
+  const opacity = r.number('CA') ?? 1;
+  const border = r.borderWidth() * scale;
+  const rect = canvasBox(r.numbers('Rect'), m);
+  const contents = r.text('Contents');
+
+  switch (subtype) {
+    case 'Highlight':
+    case 'Underline':
+    case 'Squiggly':
+    case 'StrikeOut': {
+      let coords = r.numbers('QuadPoints');
+      if (coords.length < 8) {
+        const [x1, y1, x2, y2] = r.numbers('Rect');
+        coords = [x1, y2, x2, y2, x1, y1, x2, y1];
+      }
+      const quads = [];
+      for (let i = 0; i + 7 < coords.length; i += 8) quads.push(canvasBox(coords.slice(i, i + 8), m));
+      if (!quads.length) return null;
+      const stroke = color || '#ffff00';
+      if (subtype === 'Highlight') {
+        const width = Math.max(...quads.map(q => q.height));
+        const path = quads.flatMap(q => [['M', q.left, q.top + q.height / 2], ['L', q.left + q.width, q.top + q.height / 2]]);
+        return pathObject(path, width, {
+          stroke: rgbaColor(stroke, 0.35), strokeLineCap: 'butt', mudbrickType: 'highlight', noteText: contents,
+        });
+      }
+      const sw = MARKUP_WIDTH * scale;
+      const strike = subtype === 'StrikeOut';
+      const path = quads.flatMap(q => {
+        const y = strike ? q.top + q.height / 2 : q.top + q.height - sw / 2;
+        return [['M', q.left, y], ['L', q.left + q.width, y]];
+      });
+      return pathObject(path, sw, {
+        stroke, strokeLineCap: 'butt', mudbrickType: strike ? 'strikethrough' : 'underline', noteText: contents,
+      });
+    }
+    case 'Square':
+    case 'Circle': {
+      const width = Math.max(0, rect.width - border);
+      const height = Math.max(0, rect.height - border);
+      const shape = {
+        originX: 'left', originY: 'top', left: rect.left, top: rect.top, width, height,
+        stroke: color, strokeWidth: border, fill: interior || 'transparent', opacity,
+        mudbrickType: 'shape', noteText: contents,
+      };
+      return subtype === 'Square'
+        ? { type: 'rect', ...shape }
+        : { type: 'ellipse', rx: width / 2, ry: height / 2, ...shape };
+    }
+    case 'Line': {
+      const [from, to] = canvasBox(r.numbers('L'), m).points;
+      if (!to) return null;
+      const ends = r.names('LE');
+      const props = { mudbrickType: 'shape', noteText: contents, opacity };
+      if (!ARROW_ENDINGS.has(ends[0]) && !ARROW_ENDINGS.has(ends[1])) {
+        return { ...lineObject(from, to, color, border), ...props };
+      }
+      // Mudbrick's arrow: a line with a triangle head at its end
+      const [tail, tip] = ARROW_ENDINGS.has(ends[1]) ? [from, to] : [to, from];
+      const head = ARROW_HEAD * scale;
+      const angle = Math.atan2(tip[1] - tail[1], tip[0] - tail[0]) * 180 / Math.PI + 90;
+      return groupObject(
+        [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2],
+        Math.abs(to[0] - from[0]) + head, Math.abs(to[1] - from[1]) + head,
+        [
+          lineObject(tail, tip, color, border),
+          {
+            type: 'triangle', originX: 'center', originY: 'center', left: tip[0], top: tip[1],
+            width: head, height: head, angle, fill: color, strokeWidth: 0,
+          },
+        ],
+        props,
+      );
+    }
+    case 'Polygon':
+    case 'PolyLine': {
+      const { points } = canvasBox(r.numbers('Vertices'), m);
+      if (points.length < 2) return null;
+      return polyObject(subtype === 'Polygon' ? 'polygon' : 'polyline', points, {
+        stroke: color, strokeWidth: border, fill: (subtype === 'Polygon' && interior) || 'transparent',
+        opacity, mudbrickType: 'shape', noteText: contents,
+      });
+    }
+    case 'Ink': {
+      const path = r.lists('InkList').flatMap(list => canvasBox(list, m).points.map(([x, y], i) => [i ? 'L' : 'M', x, y]));
+      if (!path.length) return null;
+      return pathObject(path, border, { stroke: color || '#000000', opacity, noteText: contents });
+    }
+    case 'FreeText': {
+      const da = parseDefaultAppearance(r.text('DA'));
+      const inset = r.has('BS') || r.has('Border') ? border : 0;
+      return {
+        type: 'i-text', originX: 'left', originY: 'top',
+        left: rect.left + inset, top: rect.top + inset,
+        width: Math.max(0, rect.width - 2 * inset), height: Math.max(0, rect.height - 2 * inset),
+        text: contents || r.text('RC').replace(/<[^>]*>/g, ''),
+        fontFamily: 'Helvetica, Arial, sans-serif', fontSize: da.fontSize * scale,
+        fill: da.color, opacity, mudbrickType: 'text',
+      };
+    }
+    case 'Text': {
+      const size = NOTE_SIZE * scale;
+      const noteColor = closestNoteColor(color);
+      return groupObject([rect.left + size / 2, rect.top + size / 2], size + 1, size + 1, [
+        {
+          type: 'rect', originX: 'left', originY: 'top', left: rect.left, top: rect.top,
+          width: size, height: size, fill: NOTE_FILLS[noteColor], stroke: '#b0a000', strokeWidth: 1, rx: 2, ry: 2,
+        },
+        {
+          type: 'text', originX: 'center', originY: 'center', left: rect.left + size / 2, top: rect.top + size / 2,
+          text: '📝', fontSize: size * 0.45,
+        },
+      ], { mudbrickType: 'sticky-note', noteText: contents, noteColor });
+    }
+    case 'Stamp': {
+      const name = r.name('Name');
+      const label = Object.keys(STAMPS).find(key => STAMPS[key].name === name) ||
+        (contents || name || 'DRAFT').toUpperCase().slice(0, 24);
+      const stroke = STAMPS[label]?.color || color || '#c0392b';
+      const fontSize = Math.max(8 * scale, Math.min(24 * scale, (rect.height - 16 * scale) / 1.13));
+      const center = [rect.left + rect.width / 2, rect.top + rect.height / 2];
+      return groupObject(center, rect.width, rect.height, [
+        {
+          type: 'rect', originX: 'center', originY: 'center', left: center[0], top: center[1],
+          width: Math.max(0, rect.width - 2 * scale), height: Math.max(0, rect.height - 2 * scale),
+          fill: 'transparent', stroke, strokeWidth: 2 * scale, rx: 4 * scale, ry: 4 * scale,
+        },
+        {
+          type: 'text', originX: 'center', originY: 'center', left: center[0], top: center[1],
+          text: label, fontFamily: 'Helvetica, Arial, sans-serif', fontSize, fontWeight: 'bold',
+          fill: 'transparent', stroke, strokeWidth: 1.5 * scale,
+        },
+      ], { mudbrickType: 'stamp', opacity, noteText: contents && contents !== label ? contents : undefined });
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Move a document's markup annotations into Fabric objects so they can be
+ * edited like Mudbrick's own. Imported annotations, with their pop-ups and
+ * replies, are removed from the document: the overlay now owns them and
+ * export writes them back, so nothing ends up on the page twice. Each object
+ * is marked `imported` so every export writes it back as an annotation,
+ * even one that flattens Mudbrick's own markup.
+ *
+ * Coordinates are canvas pixels at 100% zoom, like addAnnotationToPage.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument (modified in place)
+ * @returns {{pages: Object<number, Object[]>, count: number}} Fabric JSON
+ *   objects by 1-based page number, and how many annotations were imported
+ */
+export function importNativeAnnotations(pdfDoc) {
+  const PDFLib = getPDFLib();
+  const { context } = pdfDoc;
+  const pages = {};
+  const detached = [];
+  let count = 0;
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const annots = page.node.lookup(PDFLib.PDFName.of('Annots'));
+    if (!(annots instanceof PDFLib.PDFArray)) return;
+
+    const entries = annots.asArray()
+      .map(ref => ({ ref, dict: context.lookup(ref) }))
+      .filter(entry => entry.dict instanceof PDFLib.PDFDict);
+    for (const entry of entries) {
+      entry.reader = annotationReader(entry.dict);
+      entry.subtype = entry.reader.name('Subtype');
+      entry.parent = entry.reader.has('IRT') ? entry.dict.get(PDFLib.PDFName.of('IRT')) : null;
+    }
+    const byRef = new Map(entries.map(entry => [entry.ref, entry]));
+
+    const m = invertMatrix(storedPageMatrix(page));
+    const scale = Math.hypot(m[0], m[1]);
+
+    // Top-level markup
+    const threads = new Map();
+    const objects = [];
+    for (const entry of entries) {
+      const { reader, subtype } = entry;
+      if (entry.parent || !IMPORTED_SUBTYPES.has(subtype)) continue;
+      if ((reader.number('F') || 0) & HIDDEN_FLAG) continue;
+      const obj = fabricObjectFor(reader, subtype, m, scale);
+      if (!obj) continue;
+      obj.commentThread = threadFrom(reader);
+      obj.imported = true;
+      if (obj.noteText === '' || obj.noteText === undefined) delete obj.noteText;
+      objects.push(obj);
+      threads.set(entry, obj.commentThread);
+    }
+
+    // Replies, which may answer other replies, join the thread of their root
+    const rootOf = entry => {
+      const seen = new Set();
+      while (entry?.parent && !seen.has(entry)) {
+        seen.add(entry);
+        entry = byRef.get(entry.parent);
+      }
+      return entry;
+    };
+    const removed = new Set(threads.keys());
+    const states = [];
+    for (const entry of entries) {
+      if (!entry.parent) continue;
+      const thread = threads.get(rootOf(entry));
+      if (!thread) continue;
+      removed.add(entry);
+      const reply = replyFrom(entry.reader, thread);
+      if (reply.state) {
+        if (reply.review) states.push({ thread, ...reply });
+        continue;
+      }
+      thread.replies.push(reply);
+    }
+    for (const thread of threads.values()) thread.replies.sort((a, b) => a.date.localeCompare(b.date));
+    states.sort((a, b) => a.date.localeCompare(b.date));
+    for (const { thread, state } of states) thread.status = REVIEW_STATUSES[state] || thread.status;
+
+    // Pop-ups belong to whatever they are attached to
+    for (const entry of entries) {
+      if (entry.subtype !== 'Popup') continue;
+      const parent = byRef.get(entry.dict.get(PDFLib.PDFName.of('Parent')));
+      if (parent && removed.has(parent)) removed.add(entry);
+    }
+
+    if (!removed.size) return;
+    const kept = annots.asArray().filter(ref => !removed.has(byRef.get(ref)));
+    page.node.set(PDFLib.PDFName.of('Annots'), context.obj(kept));
+    for (const entry of removed) detached.push(entry.ref);
+    if (objects.length) pages[index + 1] = objects;
+    count += objects.length;
+  });
+
+  if (detached.length) removeDetachedObjects(pdfDoc, detached);
+  return { pages, count };
+}
+
+/* ═══════════════════ XFDF ═══════════════════ */
+
+const XFDF_NS = 'http://ns.adobe.com/xfdf/';
+
+// XFDF element name → annotation subtype
+const XFDF_SUBTYPES = new Map([...IMPORTED_SUBTYPES].map(subtype => [subtype.toLowerCase(), subtype]));
+
+// Annotation flags by bit, as XFDF spells them
+const FLAG_NAMES = [
+  'invisible', 'hidden', 'print', 'nozoom', 'norotate', 'noview', 'readonly', 'locked', 'togglenoview', 'lockedcontents',
+];
+
+// Annotation keys read from XFDF attributes, and from child elements
+const XFDF_ATTRIBUTES = {
+  Rect: 'rect', C: 'color', IC: 'interior-color', CA: 'opacity', QuadPoints: 'coords', NM: 'name',
+  T: 'title', M: 'date', CreationDate: 'creationdate', Name: 'icon', State: 'state', StateModel: 'statemodel',
+  IRT: 'inreplyto', F: 'flags', BS: 'width',
+};
+const XFDF_CHILDREN = { Contents: 'contents', RC: 'contents-richtext', DA: 'defaultappearance', Vertices: 'vertices' };
+
+function escapeXml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const xfdfFlags = flags => FLAG_NAMES.filter((_, bit) => flags & (1 << bit)).join(',');
+const xfdfNumbers = nums => nums.map(round).join(',');
+const xfdfPoints = nums => nums.reduce((pts, n, i) => (i % 2 ? pts : [...pts, `${round(n)},${round(nums[i + 1])}`]), []).join(';');
+const xfdfColor = color => '#' + color.rgb.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('').toUpperCase();
+
+/** PDF date string (UTC) for an XFDF date attribute. */
+function xfdfDate(date) {
+  const d = new Date(date);
+  return 'D:' + (Number.isNaN(d.getTime()) ? new Date() : d).toISOString().replace(/\D/g, '').slice(0, 14) + 'Z';
+}
+
+function xfdfElement(tag, attrs, children = []) {
+  const attrText = Object.entries(attrs)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+  if (!children.length) return `    <${tag}${attrText}/>`;
+  return [`    <${tag}${attrText}>`, ...children.map(c => `      ${c}`), `    </${tag}>`].join('\n');
+}
+
+/** XFDF replies (and review state) of a comment thread, like writeReplies. */
+function xfdfReplies(thread, pageIndex, desc, env) {
+  const base = {
+    page: pageIndex, rect: xfdfNumbers(desc.rect), inreplyto: thread.id, flags: xfdfFlags(28),
+    color: desc.color && xfdfColor(desc.color), icon: 'Comment',
+  };
+  const elements = (thread.replies || []).map(reply => xfdfElement('text', {
+    ...base,
+    name: reply.id,
+    title: reply.author,
+    date: xfdfDate(reply.date || env.now),
+    creationdate: xfdfDate(reply.date || env.now),
+  }, [`<contents>${escapeXml(reply.text)}</contents>`]));
+
+  const state = REVIEW_STATES[thread.status];
+  if (state) {
+    const author = thread.author || env.author;
+    elements.push(xfdfElement('text', {
+      ...base,
+      flags: xfdfFlags(30),
+      name: `${thread.id}-state`,
+      title: author,
+      date: xfdfDate(env.now),
+      state,
+      statemodel: 'Review',
+    }, [`<contents>${escapeXml(`${state} set by ${author}`)}</contents>`]));
+  }
+  return elements;
+}
+
+/** XFDF elements for one Fabric object and its thread, or null when unsupported. */
+function xfdfAnnotation(obj, pageIndex, env) {
+  const subtype = annotationSubtype(obj);
+  if (!subtype) return null;
+  const desc = describeAnnotation(obj, subtype, env.pageMatrix);
+  const thread = obj.commentThread;
+
+  const attrs = {
+    page: pageIndex,
+    rect: xfdfNumbers(desc.rect),
+    name: thread?.id || crypto.randomUUID(),
+    title: thread?.author || env.author,
+    subject: SUBJECTS[subtype],
+    date: xfdfDate(env.now),
+    creationdate: xfdfDate(thread?.created || env.now),
+    flags: xfdfFlags(subtype === 'Text' ? 28 : 4),
+    color: desc.color && xfdfColor(desc.color),
+    opacity: desc.opacity < 1 ? round(desc.opacity) : undefined,
+    width: desc.width,
+    'interior-color': desc.interior && xfdfColor(desc.interior),
+    coords: desc.quadPoints && xfdfNumbers(desc.quadPoints),
+    start: desc.line && xfdfNumbers(desc.line.slice(0, 2)),
+    end: desc.line && xfdfNumbers(desc.line.slice(2, 4)),
+    head: desc.endings?.[0],
+    tail: desc.endings?.[1],
+    icon: desc.icon,
+  };
+  const children = [];
+  if (desc.contents !== undefined) children.push(`<contents>${escapeXml(desc.contents)}</contents>`);
+  if (desc.da) children.push(`<defaultappearance>${escapeXml(desc.da)}</defaultappearance>`);
+  if (desc.vertices) children.push(`<vertices>${xfdfPoints(desc.vertices)}</vertices>`);
+  if (desc.inkList) children.push(`<inklist>${desc.inkList.map(g => `<gesture>${xfdfPoints(g)}</gesture>`).join('')}</inklist>`);
+
+  const elements = [xfdfElement(subtype.toLowerCase(), attrs, children)];
+  if (thread) elements.push(...xfdfReplies(thread, pageIndex, desc, env));
+  return elements;
+}
+
+/**
+ * Export the annotation store as XFDF: every object with a native
+ * equivalent becomes an XFDF annotation in PDF user space, with its comment
+ * thread as replies, so other viewers can import it onto the same PDF.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument the annotations belong to
+ * @param {Object<number, Object>} pageAnnotations - Fabric JSON by 1-based page number
+ * @param {Object} [opts]
+ * @param {string} [opts.fileName] - PDF file name, written as <f href>
+ * @param {string} [opts.author] - title for objects without a comment thread (default: current author)
+ * @param {Date} [opts.now] - Modification date (default: now)
+ * @returns {{xml: string, written: number, unsupported: number}} unsupported counts
+ *   the objects with no XFDF equivalent (images, signatures, redactions, …)
+ */
+export function exportAnnotationsXFDF(pdfDoc, pageAnnotations, opts = {}) {
+  const env = { author: opts.author || getAuthorName(), now: opts.now || new Date() };
+  const elements = [];
+  let written = 0;
+  let unsupported = 0;
+
+  const pageNums = Object.keys(pageAnnotations).map(Number).sort((a, b) => a - b);
+  for (const pageNum of pageNums) {
+    const json = pageAnnotations[pageNum];
+    if (!json?.objects?.length || !(pageNum >= 1 && pageNum <= pdfDoc.getPageCount())) continue;
+    const pageEnv = { ...env, pageMatrix: storedPageMatrix(pdfDoc.getPage(pageNum - 1), json) };
+    for (const obj of json.objects) {
+      const xml = xfdfAnnotation(obj, pageNum - 1, pageEnv);
+      if (!xml) {
+        unsupported++;
+        continue;
+      }
+      elements.push(...xml);
+      written++;
+    }
+  }
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xfdf xmlns="${XFDF_NS}" xml:space="preserve">`,
+    ...(opts.fileName ? [`  <f href="${escapeXml(opts.fileName)}"/>`] : []),
+    '  <annots>',
+    ...elements,
+    '  </annots>',
+    '</xfdf>',
+  ].join('\n');
+  return { xml, written, unsupported };
+}
+
+const numbersIn = text => String(text || '').split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+
+/** An XFDF annotation element behind the same accessors as annotationReader. */
+function xfdfReader(el) {
+  const child = tag => Array.from(el.children).find(c => c.localName === tag);
+  const attr = key => el.getAttribute(XFDF_ATTRIBUTES[key]);
+  const text = key => (XFDF_CHILDREN[key] ? child(XFDF_CHILDREN[key])?.textContent : attr(key)) ?? '';
+  return {
+    has: key => Boolean(XFDF_ATTRIBUTES[key]) && el.hasAttribute(XFDF_ATTRIBUTES[key]),
+    name: key => attr(key) || undefined,
+    number: key => {
+      if (key === 'F') return (attr('F') || '').split(/[\s,]+/).reduce((flags, name) => {
+        const bit = FLAG_NAMES.indexOf(name);
+        return bit < 0 ? flags : flags | (1 << bit);
+      }, 0);
+      const v = parseFloat(attr(key));
+      return Number.isFinite(v) ? v : undefined;
+    },
+    numbers: key => {
+      if (key === 'C' || key === 'IC') return parseColor(attr(key))?.rgb || [];
+      if (key === 'L') return [...numbersIn(el.getAttribute('start')), ...numbersIn(el.getAttribute('end'))];
+      return numbersIn(text(key));
+    },
+    names: key => (key === 'LE' ? [el.getAttribute('head') || 'None', el.getAttribute('tail') || 'None'] : []),
+    lists: key => (key === 'InkList' ? Array.from(child('inklist')?.children || []).map(g => numbersIn(g.textContent)) : []),
+    text,
+    borderWidth: () => {
+      const w = parseFloat(el.getAttribute('width'));
+      return Number.isFinite(w) ? w : 1;
+    },
+  };
+}
+
+/** Where an object with the given thread id sits in the store. */
+function findThreadObject(pageAnnotations, id) {
+  for (const [pageNum, json] of Object.entries(pageAnnotations)) {
+    const index = (json?.objects || []).findIndex(obj => obj.commentThread?.id === id);
+    if (index >= 0) return { pageNum: Number(pageNum), index };
+  }
+  return null;
+}
+
+/**
+ * Index of an object without a comment thread that an XFDF annotation
+ * describes: same subtype and the same Rect to within a point. Objects only
+ * get a thread name on export, so this is how they are recognized coming back.
+ */
+function findUnthreadedObject(json, subtype, rect, pageMatrix) {
+  if (rect.length < 4) return -1;
+  return (json?.objects || []).findIndex(obj => {
+    if (obj.commentThread || annotationSubtype(obj) !== subtype) return false;
+    const own = describeAnnotation(obj, subtype, pageMatrix).rect;
+    return own.every((v, i) => Math.abs(v - rect[i]) <= 1);
+  });
+}
+
+/**
+ * Merge the annotations in an XFDF file into the annotation store, so a
+ * reviewer can send back a small .xfdf instead of a whole PDF.
+ *
+ * An annotation named like a comment thread in the store replaces that
+ * object and keeps its replies; one matching an unthreaded object of the
+ * same kind and place replaces that object; anything else is added.
+ * Replies join the thread they answer, from the file or already in the
+ * store, skipping ones the thread already has. Coordinates follow each
+ * page's stored canvas size, like storedPageMatrix.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument the annotations are for
+ * @param {string} xfdf - XFDF document text
+ * @param {Object<number, Object>} pageAnnotations - Fabric JSON by 1-based page number (modified in place)
+ * @returns {{added: number, updated: number, replies: number}}
+ */
+export function importAnnotationsXFDF(pdfDoc, xfdf, pageAnnotations) {
+  const doc = new DOMParser().parseFromString(xfdf, 'text/xml');
+  if (doc.getElementsByTagName('parsererror').length || doc.documentElement?.localName !== 'xfdf') {
+    throw new Error('Not an XFDF file');
+  }
+  const annots = doc.documentElement.getElementsByTagNameNS('*', 'annots')[0];
+  const entries = Array.from(annots?.children || []).map(el => ({
+    el, reader: xfdfReader(el), subtype: XFDF_SUBTYPES.get(el.localName),
+  }));
+
+  // Threads in the store, by thread id and by reply id
+  const threads = new Map();
+  for (const json of Object.values(pageAnnotations)) {
+    for (const obj of json?.objects || []) {
+      const thread = obj.commentThread;
+      if (!thread) continue;
+      threads.set(thread.id, thread);
+      for (const reply of thread.replies || []) threads.set(reply.id, thread);
+    }
+  }
+
+  const result = { added: 0, updated: 0, replies: 0 };
+  for (const { el, reader, subtype } of entries) {
+    const pageIndex = parseInt(el.getAttribute('page'), 10);
+    if (reader.has('IRT') || !subtype || !(pageIndex >= 0 && pageIndex < pdfDoc.getPageCount())) continue;
+    if (reader.number('F') & HIDDEN_FLAG) continue;
+
+    const pageNum = pageIndex + 1;
+    const toUser = storedPageMatrix(pdfDoc.getPage(pageIndex), pageAnnotations[pageNum]);
+    const m = invertMatrix(toUser);
+    const obj = fabricObjectFor(reader, subtype, m, Math.hypot(m[0], m[1]));
+    if (!obj) continue;
+    if (obj.noteText === '' || obj.noteText === undefined) delete obj.noteText;
+    if (!pageAnnotations[pageNum]) pageAnnotations[pageNum] = { version: '5.3.0', objects: [] };
+    const { objects } = pageAnnotations[pageNum];
+
+    const imported = threadFrom(reader);
+    const existing = findThreadObject(pageAnnotations, imported.id);
+    if (existing) {
+      obj.commentThread = pageAnnotations[existing.pageNum].objects[existing.index].commentThread;
+      if (existing.pageNum === pageNum) {
+        objects[existing.index] = obj;
+      } else {
+        pageAnnotations[existing.pageNum].objects.splice(existing.index, 1);
+        objects.push(obj);
+      }
+      result.updated++;
+      continue;
+    }
+    obj.commentThread = imported;
+    threads.set(imported.id, imported);
+    const index = findUnthreadedObject(pageAnnotations[pageNum], subtype, reader.numbers('Rect'), toUser);
+    if (index >= 0) {
+      objects[index] = obj;
+      result.updated++;
+    } else {
+      objects.push(obj);
+      result.added++;
+    }
+  }
+
+  // Replies, which may answer other replies in the file
+  const byName = new Map(entries.map(entry => [entry.reader.text('NM'), entry]));
+  const threadOf = entry => {
+    const seen = new Set();
+    while (entry && !seen.has(entry)) {
+      seen.add(entry);
+      const parent = entry.reader.text('IRT');
+      if (threads.has(parent)) return threads.get(parent);
+      entry = byName.get(parent);
+    }
+    return null;
+  };
+  const touched = new Set();
+  const states = [];
+  for (const entry of entries) {
+    if (!entry.reader.has('IRT')) continue;
+    const thread = threadOf(entry);
+    if (!thread) continue;
+    const reply = replyFrom(entry.reader, thread);
+    if (reply.state) {
+      if (reply.review) states.push({ thread, ...reply });
+      continue;
+    }
+    thread.replies = thread.replies || [];
+    if (thread.replies.some(r => r.id === reply.id)) continue;
+    thread.replies.push(reply);
+    threads.set(reply.id, thread);
+    touched.add(thread);
+    result.replies++;
+  }
+  for (const thread of touched) thread.replies.sort((a, b) => a.date.localeCompare(b.date));
+  states.sort((a, b) => a.date.localeCompare(b.date));
+  for (const { thread, state } of states) thread.status = REVIEW_STATUSES[state] || thread.status;
+
+  return result;
+}
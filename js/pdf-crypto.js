@@ -0,0 +1,786 @@
+/**
+ * Mudbrick — PDF Encryption (Phase 3)
+ * Standard security handler (ISO 32000-2 §7.6.4) implemented in JavaScript.
+ *
+ * Encrypts with:
+ * - AES-256, revision 6 (PDF 2.0) — the default
+ * - AES-128, revision 4 (PDF 1.6) for older readers
+ *
+ * Decrypts revisions 2–6 (RC4 40–128, AES-128, AES-256) so protected files
+ * can be opened and edited as plain bytes.
+ *
+ * AES and SHA-2 run through WebCrypto. MD5 and RC4 are small JS
+ * implementations below.
+ */
+
+const getPDFLib = () => window.PDFLib;
+
+/* ═══════════════════ Byte Helpers ═══════════════════ */
+
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.length; }
+  return out;
+}
+
+function randomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/* ═══════════════════ MD5 / RC4 ═══════════════════ */
+
+const MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+
+/**
+ * MD5 digest.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 16-byte digest
+ */
+export function md5(data) {
+  const bitLen = data.length * 8;
+  const padLen = ((data.length + 8) >> 6) * 64 + 64;
+  const buf = new Uint8Array(padLen);
+  buf.set(data);
+  buf[data.length] = 0x80;
+  const view = new DataView(buf.buffer);
+  view.setUint32(padLen - 8, bitLen >>> 0, true);
+  view.setUint32(padLen - 4, Math.floor(bitLen / 0x100000000), true);
+
+  let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+  for (let off = 0; off < padLen; off += 64) {
+    let a = a0, b = b0, c = c0, d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) { f = (b & c) | (~b & d); g = i; }
+      else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+      else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+      else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+      const tmp = d;
+      d = c;
+      c = b;
+      const sum = (a + f + MD5_K[i] + view.getUint32(off + g * 4, true)) >>> 0;
+      const s = MD5_S[(i >> 4) * 4 + (i % 4)];
+      b = (b + ((sum << s) | (sum >>> (32 - s)))) >>> 0;
+      a = tmp;
+    }
+    a0 = (a0 + a) >>> 0; b0 = (b0 + b) >>> 0; c0 = (c0 + c) >>> 0; d0 = (d0 + d) >>> 0;
+  }
+  const out = new Uint8Array(16);
+  const outView = new DataView(out.buffer);
+  [a0, b0, c0, d0].forEach((v, i) => outView.setUint32(i * 4, v, true));
+  return out;
+}
+
+/**
+ * RC4 stream cipher (encryption and decryption are the same operation).
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = new Uint8Array(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return out;
+}
+
+/* ═══════════════════ WebCrypto Wrappers ═══════════════════ */
+
+async function sha(bits, data) {
+  return new Uint8Array(await crypto.subtle.digest(`SHA-${bits}`, data));
+}
+
+/**
+ * AES-CBC encrypt. WebCrypto always applies PKCS#7 padding; for
+ * block-aligned input `pad: false` drops the extra padding block, which
+ * leaves exactly the unpadded CBC output.
+ */
+async function aesCbcEncrypt(key, iv, data, { pad = true } = {}) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+  const out = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, cryptoKey, data));
+  return pad ? out : out.subarray(0, data.length);
+}
+
+/**
+ * AES-CBC decrypt. WebCrypto insists on PKCS#7 padding, so for unpadded
+ * input (`pad: false`) one extra ciphertext block is appended that decrypts
+ * to a full block of padding, which WebCrypto then strips again.
+ */
+async function aesCbcDecrypt(key, iv, data, { pad = true } = {}) {
+  const cryptoKey = key instanceof Uint8Array
+    ? await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt', 'decrypt'])
+    : key;
+  let input = data;
+  if (!pad) {
+    const prev = data.length >= 16 ? data.subarray(data.length - 16) : iv;
+    const extra = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-CBC', iv: prev }, cryptoKey, new Uint8Array(16).fill(16),
+    )).subarray(0, 16);
+    input = concatBytes(data, extra);
+  }
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, input));
+}
+
+/* ═══════════════════ Permissions ═══════════════════ */
+
+/** Permission bits of the /P entry (ISO 32000-2 Table 22), 1-based bit positions. */
+const PERMISSION_BITS = {
+  printing: [3, 12],
+  modifying: [4],
+  copying: [5],
+  annotating: [6],
+  fillingForms: [9],
+  contentAccessibility: [10],
+  documentAssembly: [11],
+};
+
+/**
+ * Build the signed 32-bit /P value. Every permission defaults to allowed
+ * unless explicitly set to false, matching encryptPDF's options.
+ * @param {Object} permissions - { printing, copying, modifying, annotating,
+ *   fillingForms, contentAccessibility, documentAssembly }
+ * @returns {number}
+ */
+export function permissionFlags(permissions = {}) {
+  // Bits 7-8 and 13-32 are reserved and must be 1; bits 1-2 must be 0.
+  let p = 0xFFFFF0C0;
+  for (const [key, bits] of Object.entries(PERMISSION_BITS)) {
+    if (permissions[key] !== false) {
+      for (const bit of bits) p |= 1 << (bit - 1);
+    }
+  }
+  return p | 0;
+}
+
+/**
+ * Read a /P value back into the options object permissionFlags accepts.
+ * @param {number} p
+ * @returns {Object} { printing, copying, modifying, annotating, fillingForms,
+ *   contentAccessibility, documentAssembly }
+ */
+export function decodePermissions(p) {
+  const permissions = {};
+  for (const [key, bits] of Object.entries(PERMISSION_BITS)) {
+    // Printing counts as allowed at low resolution (bit 3 alone).
+    permissions[key] = (p & (1 << (bits[0] - 1))) !== 0;
+  }
+  return permissions;
+}
+
+/* ═══════════════════ Key Derivation ═══════════════════ */
+
+const PASSWORD_PAD = new Uint8Array([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a,
+]);
+
+/** Revision 6 passwords: UTF-8, at most 127 bytes. */
+export function passwordBytesR6(password) {
+  return new TextEncoder().encode((password || '').normalize('NFKC')).subarray(0, 127);
+}
+
+/** Revision 4 passwords: Latin-1, padded or truncated to 32 bytes. */
+export function paddedPasswordR4(password) {
+  const bytes = Array.from(password || '', ch => ch.charCodeAt(0) & 0xff).slice(0, 32);
+  return concatBytes(new Uint8Array(bytes), PASSWORD_PAD).subarray(0, 32);
+}
+
+/**
+ * Revision 6 hash (ISO 32000-2 Algorithm 2.B).
+ * @param {Uint8Array} password - UTF-8 password bytes
+ * @param {Uint8Array} salt - 8-byte salt
+ * @param {Uint8Array} userKey - 48-byte /U value when hashing an owner password, else empty
+ * @returns {Promise<Uint8Array>} 32-byte hash
+ */
+export async function hashR6(password, salt, userKey = new Uint8Array(0)) {
+  let k = await sha(256, concatBytes(password, salt, userKey));
+  for (let round = 0; ; round++) {
+    const block = concatBytes(password, k, userKey);
+    const k1 = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) k1.set(block, i * block.length);
+    const e = await aesCbcEncrypt(k.subarray(0, 16), k.subarray(16, 32), k1, { pad: false });
+    // The first 16 bytes of E as a big-endian number, mod 3 — the same as
+    // the byte sum mod 3 since 256 ≡ 1 (mod 3).
+    let mod = 0;
+    for (let i = 0; i < 16; i++) mod += e[i];
+    k = await sha([256, 384, 512][mod % 3], e);
+    if (round >= 63 && e[e.length - 1] <= round - 31) break;
+  }
+  return k.subarray(0, 32);
+}
+
+/**
+ * Revision 4 /O value (Algorithm 3).
+ * @returns {Uint8Array} 32 bytes
+ */
+export function computeOwnerKeyR4(ownerPassword, userPassword, keyLength = 16) {
+  let digest = md5(paddedPasswordR4(ownerPassword || userPassword));
+  for (let i = 0; i < 50; i++) digest = md5(digest);
+  const key = digest.subarray(0, keyLength);
+  let out = rc4(key, paddedPasswordR4(userPassword));
+  for (let i = 1; i <= 19; i++) out = rc4(key.map(b => b ^ i), out);
+  return out;
+}
+
+/**
+ * Revision 2–4 file encryption key (Algorithm 2).
+ * @returns {Uint8Array}
+ */
+export function computeFileKeyR4(userPassword, ownerKey, p, fileId, encryptMetadata = true, keyLength = 16, revision = 4) {
+  const pBytes = new Uint8Array(4);
+  new DataView(pBytes.buffer).setInt32(0, p, true);
+  const parts = [paddedPasswordR4(userPassword), ownerKey, pBytes, fileId];
+  if (revision >= 4 && !encryptMetadata) parts.push(new Uint8Array([0xff, 0xff, 0xff, 0xff]));
+  let digest = md5(concatBytes(...parts));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) digest = md5(digest.subarray(0, keyLength));
+  }
+  return digest.subarray(0, keyLength);
+}
+
+/**
+ * Revision 4 /U value (Algorithm 5).
+ * @returns {Uint8Array} 32 bytes (16 significant + 16 arbitrary)
+ */
+export function computeUserKeyR4(fileKey, fileId) {
+  let out = rc4(fileKey, md5(concatBytes(PASSWORD_PAD, fileId)));
+  for (let i = 1; i <= 19; i++) out = rc4(fileKey.map(b => b ^ i), out);
+  return concatBytes(out, new Uint8Array(16));
+}
+
+/* ═══════════════════ Security Handlers ═══════════════════ */
+
+/** Per-object key for RC4 and AESV2 (Algorithm 1; AES adds the "sAlT" suffix). */
+function objectKeyR4(fileKey, objectNumber, generation, aes = true) {
+  const extra = new Uint8Array([
+    objectNumber & 0xff, (objectNumber >> 8) & 0xff, (objectNumber >> 16) & 0xff,
+    generation & 0xff, (generation >> 8) & 0xff,
+    ...(aes ? [0x73, 0x41, 0x6c, 0x54] : []),
+  ]);
+  return md5(concatBytes(fileKey, extra)).subarray(0, Math.min(fileKey.length + 5, 16));
+}
+
+async function buildHandlerR6(userPassword, ownerPassword, p) {
+  const fileKey = randomBytes(32);
+  const user = passwordBytesR6(userPassword);
+  const owner = passwordBytesR6(ownerPassword);
+  const zeroIv = new Uint8Array(16);
+
+  const uSalts = randomBytes(16);
+  const u = concatBytes(await hashR6(user, uSalts.subarray(0, 8)), uSalts);
+  const ue = await aesCbcEncrypt(await hashR6(user, uSalts.subarray(8, 16)), zeroIv, fileKey, { pad: false });
+
+  const oSalts = randomBytes(16);
+  const o = concatBytes(await hashR6(owner, oSalts.subarray(0, 8), u), oSalts);
+  const oe = await aesCbcEncrypt(await hashR6(owner, oSalts.subarray(8, 16), u), zeroIv, fileKey, { pad: false });
+
+  // /Perms: P (little-endian, sign-extended to 8 bytes), "T" for
+  // EncryptMetadata, "adb", then 4 random bytes — AES-256-ECB, which for a
+  // single block equals CBC with a zero IV.
+  const perms = new Uint8Array(16);
+  new DataView(perms.buffer).setInt32(0, p, true);
+  perms.fill(0xff, 4, 8);
+  perms.set([0x54, 0x61, 0x64, 0x62], 8);
+  perms.set(randomBytes(4), 12);
+  const permsEnc = await aesCbcEncrypt(fileKey, zeroIv, perms, { pad: false });
+
+  return {
+    dict: {
+      Filter: 'Standard', V: 5, R: 6, Length: 256,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+      StmF: 'StdCF', StrF: 'StdCF',
+      O: o, U: u, OE: oe, UE: ue, P: p, Perms: permsEnc,
+      EncryptMetadata: true,
+    },
+    objectKey: () => fileKey,
+  };
+}
+
+function buildHandlerR4(userPassword, ownerPassword, p, fileId) {
+  const o = computeOwnerKeyR4(ownerPassword, userPassword);
+  const fileKey = computeFileKeyR4(userPassword, o, p, fileId);
+  const u = computeUserKeyR4(fileKey, fileId);
+  return {
+    dict: {
+      Filter: 'Standard', V: 4, R: 4, Length: 128,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV2', Length: 16 } },
+      StmF: 'StdCF', StrF: 'StdCF',
+      O: o, U: u, P: p,
+      EncryptMetadata: true,
+    },
+    objectKey: (objectNumber, generation) => objectKeyR4(fileKey, objectNumber, generation),
+  };
+}
+
+/* ═══════════════════ Document Encryption ═══════════════════ */
+
+/**
+ * Encrypt every string and stream of a pdf-lib document in place and attach
+ * the /Encrypt dictionary. Save the document afterwards with
+ * `{ useObjectStreams: false, updateFieldAppearances: false }` — object
+ * streams and regenerated field appearances would be written unencrypted.
+ *
+ * @param {Object} pdfDoc - pdf-lib PDFDocument (must not already be encrypted)
+ * @param {Object} opts
+ * @param {string} opts.userPassword - Password to open ('' = opens without a prompt)
+ * @param {string} opts.ownerPassword - Password for full access; a random one is used
+ *   when empty so the permissions cannot be lifted with the user password
+ * @param {Object} opts.permissions - See permissionFlags
+ * @param {'aes-256'|'aes-128'} opts.algorithm - Cipher (default 'aes-256')
+ * @returns {Promise<{objectsEncrypted: number}>}
+ */
+export async function encryptDocument(pdfDoc, opts = {}) {
+  const PDFLib = getPDFLib();
+  const {
+    PDFName, PDFString, PDFHexString, PDFDict, PDFArray, PDFStream, PDFRawStream,
+  } = PDFLib;
+  const {
+    userPassword = '',
+    ownerPassword = '',
+    permissions = {},
+    algorithm = 'aes-256',
+  } = opts;
+
+  // Fonts and images embedded through pdf-lib only become objects on flush.
+  await pdfDoc.flush();
+  const context = pdfDoc.context;
+  if (context.trailerInfo.Encrypt) throw new Error('Document is already encrypted');
+
+  // Keep the permanent half of an existing file ID; revision 4 keys depend on it.
+  let fileId = null;
+  const existingId = context.lookup(context.trailerInfo.ID);
+  if (existingId instanceof PDFArray && existingId.size() > 0) {
+    const first = existingId.lookup(0);
+    if (first instanceof PDFHexString || first instanceof PDFString) fileId = first.asBytes();
+  }
+  if (!fileId || !fileId.length) fileId = randomBytes(16);
+  const changingId = randomBytes(16);
+  context.trailerInfo.ID = context.obj([PDFHexString.of(toHex(fileId)), PDFHexString.of(toHex(changingId))]);
+
+  const p = permissionFlags(permissions);
+  const owner = ownerPassword || toHex(randomBytes(16));
+  const handler = algorithm === 'aes-128'
+    ? buildHandlerR4(userPassword, owner, p, fileId)
+    : await buildHandlerR6(userPassword, owner, p);
+
+  const encrypt = async (bytes, ref) => {
+    const iv = randomBytes(16);
+    const key = handler.objectKey(ref.objectNumber, ref.generationNumber);
+    return concatBytes(iv, await aesCbcEncrypt(key, iv, bytes));
+  };
+
+  const encryptString = async (str, ref) => PDFHexString.of(toHex(await encrypt(str.asBytes(), ref)));
+
+  // Strings live anywhere inside an object; walk direct dicts and arrays.
+  const encryptStringsIn = async (obj, ref) => {
+    if (obj instanceof PDFDict) {
+      // Signature /Contents must stay as-is for the byte range digest.
+      const isSig = obj.get(PDFName.of('Type')) === PDFName.of('Sig');
+      for (const [key, value] of obj.entries()) {
+        if (value instanceof PDFString || value instanceof PDFHexString) {
+          if (isSig && key === PDFName.of('Contents')) continue;
+          obj.set(key, await encryptString(value, ref));
+        } else {
+          await encryptStringsIn(value, ref);
+        }
+      }
+    } else if (obj instanceof PDFArray) {
+      for (let i = 0; i < obj.size(); i++) {
+        const value = obj.get(i);
+        if (value instanceof PDFString || value instanceof PDFHexString) obj.set(i, await encryptString(value, ref));
+        else await encryptStringsIn(value, ref);
+      }
+    }
+  };
+
+  let objectsEncrypted = 0;
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFStream) {
+      await encryptStringsIn(obj.dict, ref);
+      const contents = obj instanceof PDFRawStream ? obj.contents : obj.getContents();
+      context.assign(ref, PDFRawStream.of(obj.dict, await encrypt(contents, ref)));
+    } else if (obj instanceof PDFString || obj instanceof PDFHexString) {
+      context.assign(ref, await encryptString(obj, ref));
+    } else {
+      await encryptStringsIn(obj, ref);
+    }
+    objectsEncrypted++;
+  }
+
+  // Registered last so the dictionary itself is never encrypted.
+  const dict = { ...handler.dict };
+  for (const key of ['O', 'U', 'OE', 'UE', 'Perms']) {
+    if (dict[key]) dict[key] = PDFHexString.of(toHex(dict[key]));
+  }
+  context.trailerInfo.Encrypt = context.register(context.obj(dict));
+
+  return { objectsEncrypted };
+}
+
+/* ═══════════════════ Password Authentication ═══════════════════ */
+
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/** Strip the standard padding from a 32-byte password recovered from /O. */
+function unpadPassword(padded) {
+  for (let len = 0; len < 32; len++) {
+    if (bytesEqual(padded.subarray(len), PASSWORD_PAD.subarray(0, 32 - len))) {
+      return String.fromCharCode(...padded.subarray(0, len));
+    }
+  }
+  return String.fromCharCode(...padded);
+}
+
+/**
+ * Check a password against a standard security handler and derive the file
+ * encryption key. The password is tried as the user password first, then as
+ * the owner password (Algorithms 6 and 7, 11 and 12).
+ *
+ * @param {Object} encrypt - /Encrypt values { R, Length, O, U, OE, UE, P, EncryptMetadata },
+ *   byte strings as Uint8Arrays
+ * @param {Uint8Array} fileId - First element of the trailer /ID
+ * @param {string} password
+ * @returns {Promise<{fileKey: Uint8Array, owner: boolean, userPassword: string|null}|null>}
+ *   null for a wrong password; userPassword is null when it cannot be recovered
+ */
+export async function computeDecryptionKey(encrypt, fileId, password) {
+  const { R, O, U, P } = encrypt;
+
+  if (R >= 5) {
+    // Revision 5 (a deprecated Adobe extension) uses a single SHA-256 pass.
+    const hash = R === 5
+      ? async (pw, salt, userKey = new Uint8Array(0)) => sha(256, concatBytes(pw, salt, userKey))
+      : hashR6;
+    const pw = passwordBytesR6(password);
+    const zeroIv = new Uint8Array(16);
+    const userKey = U.subarray(0, 48);
+    if (bytesEqual(await hash(pw, U.subarray(32, 40)), U.subarray(0, 32))) {
+      const key = await hash(pw, U.subarray(40, 48));
+      const fileKey = await aesCbcDecrypt(key, zeroIv, encrypt.UE.subarray(0, 32), { pad: false });
+      return { fileKey, owner: false, userPassword: password };
+    }
+    if (bytesEqual(await hash(pw, O.subarray(32, 40), userKey), O.subarray(0, 32))) {
+      const key = await hash(pw, O.subarray(40, 48), userKey);
+      const fileKey = await aesCbcDecrypt(key, zeroIv, encrypt.OE.subarray(0, 32), { pad: false });
+      return { fileKey, owner: true, userPassword: null };
+    }
+    return null;
+  }
+
+  const keyLength = R === 2 ? 5 : (encrypt.Length || 40) / 8;
+  const encryptMetadata = encrypt.EncryptMetadata !== false;
+  const tryUser = pw => {
+    const fileKey = computeFileKeyR4(pw, O, P, fileId, encryptMetadata, keyLength, R);
+    const ok = R === 2
+      ? bytesEqual(rc4(fileKey, PASSWORD_PAD), U.subarray(0, 32))
+      : bytesEqual(computeUserKeyR4(fileKey, fileId).subarray(0, 16), U.subarray(0, 16));
+    return ok ? fileKey : null;
+  };
+
+  const fileKey = tryUser(password);
+  if (fileKey) return { fileKey, owner: false, userPassword: password };
+
+  // The owner password decrypts /O back into the padded user password.
+  let digest = md5(paddedPasswordR4(password));
+  if (R >= 3) {
+    for (let i = 0; i < 50; i++) digest = md5(digest);
+  }
+  const ownerKey = digest.subarray(0, keyLength);
+  let padded = O.subarray(0, 32);
+  if (R === 2) {
+    padded = rc4(ownerKey, padded);
+  } else {
+    for (let i = 19; i >= 0; i--) padded = rc4(ownerKey.map(b => b ^ i), padded);
+  }
+  const userPassword = unpadPassword(padded);
+  const ownerFileKey = tryUser(userPassword);
+  return ownerFileKey ? { fileKey: ownerFileKey, owner: true, userPassword } : null;
+}
+
+/* ═══════════════════ Document Decryption ═══════════════════ */
+
+const ENCRYPT_MARKER = Array.from('/Encrypt', ch => ch.charCodeAt(0));
+
+/**
+ * Cheap check for an /Encrypt entry before paying for a full parse. False
+ * positives are harmless: decryptPDF confirms against the trailer.
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isEncryptedPDF(bytes) {
+  for (let i = bytes.indexOf(0x2f); i !== -1; i = bytes.indexOf(0x2f, i + 1)) {
+    if (ENCRYPT_MARKER.every((b, k) => bytes[i + k] === b)) return true;
+  }
+  return false;
+}
+
+const isWhitespace = b => b === 0x20 || b === 0x0a || b === 0x0d || b === 0x09 || b === 0x0c || b === 0x00;
+const isDigit = b => b >= 0x30 && b <= 0x39;
+const isLetter = b => (b >= 0x41 && b <= 0x5a) || (b >= 0x61 && b <= 0x7a);
+
+/**
+ * Find every "N G obj" header in file order, the same sequential scan
+ * pdf-lib's parser uses (it never reads the xref table either).
+ * @returns {Array<{objectNumber: number, generation: number, offset: number, bodyOffset: number}>}
+ */
+function scanObjectHeaders(bytes) {
+  const readInt = (start, end) => Number(String.fromCharCode(...bytes.subarray(start, end)));
+  const headers = [];
+  for (let i = bytes.indexOf(0x6f); i !== -1; i = bytes.indexOf(0x6f, i + 1)) {
+    if (bytes[i + 1] !== 0x62 || bytes[i + 2] !== 0x6a || isLetter(bytes[i + 3])) continue;
+    let j = i - 1;
+    if (!isWhitespace(bytes[j])) continue;
+    while (j >= 0 && isWhitespace(bytes[j])) j--;
+    const genEnd = j + 1;
+    while (j >= 0 && isDigit(bytes[j])) j--;
+    const genStart = j + 1;
+    if (genStart === genEnd || !isWhitespace(bytes[j])) continue;
+    while (j >= 0 && isWhitespace(bytes[j])) j--;
+    const numEnd = j + 1;
+    while (j >= 0 && isDigit(bytes[j])) j--;
+    const numStart = j + 1;
+    if (numStart === numEnd) continue;
+    headers.push({
+      objectNumber: readInt(numStart, numEnd),
+      generation: readInt(genStart, genEnd),
+      offset: numStart,
+      bodyOffset: i + 3,
+    });
+  }
+  return headers;
+}
+
+/**
+ * Decrypt a password-protected PDF into plain bytes for the edit pipeline.
+ *
+ * The file is parsed once and `requestPassword` is called until a password
+ * authenticates; an empty user password is tried first without asking.
+ * Object streams are decrypted before their objects are read, which pdf-lib's
+ * `ignoreEncryption` loading cannot do.
+ *
+ * @param {Uint8Array} bytes
+ * @param {function(boolean): Promise<string|null>} requestPassword - Called with
+ *   `true` after a wrong password; resolve null to give up
+ * @returns {Promise<{bytes: Uint8Array, encryption: Object}|null>} null when the file
+ *   is not encrypted. `encryption` is { algorithm, revision, permissions, ownerAccess,
+ *   userPassword, ownerPassword }, enough to re-encrypt on save.
+ * @throws {Error} named 'PasswordException' when no password is given
+ */
+export async function decryptPDF(bytes, requestPassword) {
+  const PDFLib = getPDFLib();
+  const {
+    PDFName, PDFNumber, PDFString, PDFHexString, PDFDict, PDFArray, PDFRef, PDFRawStream,
+  } = PDFLib;
+
+  const context = await PDFLib.PDFParser.forBytesWithOptions(bytes, 100).parseDocument();
+  const encryptRef = context.trailerInfo.Encrypt;
+  const encryptDict = context.lookup(encryptRef);
+  if (!(encryptDict instanceof PDFDict)) return null;
+
+  const get = key => encryptDict.lookup(PDFName.of(key));
+  const num = key => {
+    const value = get(key);
+    return value instanceof PDFNumber ? value.asNumber() : undefined;
+  };
+  const str = key => {
+    const value = get(key);
+    return value instanceof PDFString || value instanceof PDFHexString ? value.asBytes() : new Uint8Array(0);
+  };
+
+  const filter = get('Filter');
+  if (filter !== PDFName.of('Standard')) {
+    const handler = filter instanceof PDFName ? `the ${filter.decodeText()}` : 'an unknown';
+    throw new Error(`This PDF uses ${handler} security handler; only password-protected PDFs can be opened`);
+  }
+  const V = num('V') || 0;
+  const encrypt = {
+    R: num('R') || 2,
+    Length: num('Length'),
+    P: num('P') ?? -4,
+    O: str('O'), U: str('U'), OE: str('OE'), UE: str('UE'),
+    EncryptMetadata: get('EncryptMetadata')?.asBoolean?.() !== false,
+  };
+
+  // V1/V2 use RC4 throughout; V4/V5 name a crypt filter for streams and strings.
+  const cipherFor = entry => {
+    if (V < 4) return 'RC4';
+    const name = get(entry);
+    const cf = get('CF');
+    const filterDict = name instanceof PDFName && cf instanceof PDFDict ? cf.lookup(name) : undefined;
+    const cfm = filterDict instanceof PDFDict ? filterDict.lookup(PDFName.of('CFM')) : undefined;
+    return { V2: 'RC4', AESV2: 'AESV2', AESV3: 'AESV3' }[cfm?.decodeText()] || 'Identity';
+  };
+  const stmCipher = cipherFor('StmF');
+  const strCipher = cipherFor('StrF');
+
+  let fileId = new Uint8Array(0);
+  const id = context.lookup(context.trailerInfo.ID);
+  if (id instanceof PDFArray && id.size() > 0) {
+    const first = id.lookup(0);
+    if (first instanceof PDFString || first instanceof PDFHexString) fileId = first.asBytes();
+  }
+
+  // ── Authenticate ──
+
+  let password = '';
+  let auth = await computeDecryptionKey(encrypt, fileId, password);
+  for (let retry = false; !auth; retry = true) {
+    password = await requestPassword(retry);
+    if (password == null) {
+      const err = new Error('A password is required to open this PDF');
+      err.name = 'PasswordException';
+      throw err;
+    }
+    auth = await computeDecryptionKey(encrypt, fileId, password);
+  }
+
+  const aesKeys = new Map();
+  const decrypt = async (data, ref, cipher) => {
+    if (cipher === 'Identity') return data;
+    const key = encrypt.R >= 5
+      ? auth.fileKey
+      : objectKeyR4(auth.fileKey, ref.objectNumber, ref.generationNumber, cipher === 'AESV2');
+    if (cipher === 'RC4') return rc4(key, data);
+
+    // AES: a 16-byte IV, then whole blocks.
+    if (data.length < 32) return new Uint8Array(0);
+    const keyHex = toHex(key);
+    if (!aesKeys.has(keyHex)) {
+      aesKeys.set(keyHex, await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt', 'decrypt']));
+    }
+    const cryptoKey = aesKeys.get(keyHex);
+    const iv = data.subarray(0, 16);
+    const body = data.subarray(16, 16 + Math.floor((data.length - 16) / 16) * 16);
+    try {
+      return await aesCbcDecrypt(cryptoKey, iv, body);
+    } catch {
+      // Some writers get the padding wrong; keep every block rather than fail.
+      return aesCbcDecrypt(cryptoKey, iv, body, { pad: false });
+    }
+  };
+
+  // ── Object streams ──
+  // pdf-lib tried to expand them while still encrypted and got nothing useful.
+  // Re-read each one, decrypt it and expand it over whatever is there, unless
+  // a later incremental update redefines the object at the top level.
+
+  const headers = scanObjectHeaders(bytes);
+  const lastOffset = new Map();
+  for (const h of headers) lastOffset.set(`${h.objectNumber} ${h.generation}`, h.offset);
+
+  const fromObjectStreams = new Set();
+  for (const h of headers) {
+    const head = String.fromCharCode(...bytes.subarray(h.bodyOffset, h.bodyOffset + 512)).split('stream')[0];
+    if (!/^\s*<<[^]*\/Type\s*\/ObjStm\b/.test(head)) continue;
+
+    let stream;
+    try {
+      stream = PDFLib.PDFObjectParser.forBytes(bytes.subarray(h.bodyOffset), context).parseObject();
+    } catch {
+      continue;
+    }
+    if (!(stream instanceof PDFRawStream)) continue;
+
+    const streamRef = PDFRef.of(h.objectNumber, h.generation);
+    const plain = PDFRawStream.of(stream.dict, await decrypt(stream.contents, streamRef, stmCipher));
+    let members;
+    try {
+      members = PDFLib.PDFObjectStreamParser.forStream(plain).parseOffsetsAndObjectNumbers()
+        .map(({ objectNumber }) => PDFRef.of(objectNumber, 0));
+    } catch {
+      continue;
+    }
+    const newer = members.filter(ref => (lastOffset.get(`${ref.objectNumber} 0`) ?? -1) > h.offset);
+    const kept = new Map(newer.map(ref => [ref, context.lookup(ref)]));
+
+    await PDFLib.PDFObjectStreamParser.forStream(plain).parseIntoContext();
+    context.delete(streamRef);
+    for (const ref of members) {
+      if (kept.has(ref)) context.assign(ref, kept.get(ref));
+      else fromObjectStreams.add(ref);
+    }
+  }
+
+  // ── Strings and streams ──
+
+  const decryptString = async (value, ref) => PDFHexString.of(toHex(await decrypt(value.asBytes(), ref, strCipher)));
+
+  const decryptStringsIn = async (obj, ref) => {
+    if (obj instanceof PDFDict) {
+      // Signature /Contents is never encrypted.
+      const isSig = obj.get(PDFName.of('Type')) === PDFName.of('Sig');
+      for (const [key, value] of obj.entries()) {
+        if (value instanceof PDFString || value instanceof PDFHexString) {
+          if (isSig && key === PDFName.of('Contents')) continue;
+          obj.set(key, await decryptString(value, ref));
+        } else {
+          await decryptStringsIn(value, ref);
+        }
+      }
+    } else if (obj instanceof PDFArray) {
+      for (let i = 0; i < obj.size(); i++) {
+        const value = obj.get(i);
+        if (value instanceof PDFString || value instanceof PDFHexString) obj.set(i, await decryptString(value, ref));
+        else await decryptStringsIn(value, ref);
+      }
+    }
+  };
+
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (ref === encryptRef || fromObjectStreams.has(ref)) continue;
+    if (obj instanceof PDFRawStream) {
+      const type = obj.dict.lookup(PDFName.of('Type'));
+      if (type === PDFName.of('XRef')) continue;
+      await decryptStringsIn(obj.dict, ref);
+      if (type === PDFName.of('Metadata') && !encrypt.EncryptMetadata) continue;
+      // Streams with their own /Crypt filter are left for a reader to handle.
+      const filters = obj.dict.lookup(PDFName.of('Filter'));
+      const hasCrypt = filters === PDFName.of('Crypt')
+        || (filters instanceof PDFArray && filters.asArray().includes(PDFName.of('Crypt')));
+      if (hasCrypt) continue;
+      context.assign(ref, PDFRawStream.of(obj.dict, await decrypt(obj.contents, ref, stmCipher)));
+    } else if (obj instanceof PDFString || obj instanceof PDFHexString) {
+      context.assign(ref, await decryptString(obj, ref));
+    } else {
+      await decryptStringsIn(obj, ref);
+    }
+  }
+
+  context.delete(encryptRef);
+  context.trailerInfo.Encrypt = undefined;
+
+  const cipher = stmCipher !== 'Identity' ? stmCipher : strCipher;
+  return {
+    bytes: await PDFLib.PDFStreamWriter.forContext(context, 50).serializeToBuffer(),
+    encryption: {
+      algorithm: { AESV3: 'aes-256', AESV2: 'aes-128' }[cipher] || 'rc4',
+      revision: encrypt.R,
+      permissions: decodePermissions(encrypt.P),
+      ownerAccess: auth.owner,
+      userPassword: auth.userPassword,
+      ownerPassword: auth.owner ? password : null,
+    },
+  };
+}
@@ -5,6 +5,11 @@
  * produce new bytes which the caller reloads into PDF.js.
  */
 
+import { readOutline, writeOutline, remapOutline, insertInPageOrder } from './outline.js';
+import {
+  readPageLabels, remapPageLabels, carryPageLabels, writePageLabels, rangesFromLabels,
+} from './page-labels.js';
+
 const getPDFLib = () => window.PDFLib;
 
 let pdfLibDoc = null;
@@ -47,7 +52,35 @@ export async function deletePage(pdfBytes, pageIndex) {
   if (doc.getPageCount() <= 1) {
     throw new Error('Cannot delete the only remaining page');
   }
+  const outline = readOutline(doc);
+  const labels = readPageLabels(doc);
+  const mapIndex = i => (i === pageIndex ? null : i > pageIndex ? i - 1 : i);
   doc.removePage(pageIndex);
+  if (outline.length) writeOutline(doc, remapOutline(outline, mapIndex));
+  carryPageLabels(doc, labels, mapIndex);
+  return doc.save();
+}
+
+/**
+ * Delete several pages in one save, so the whole batch is one undo step.
+ * Indexes are 0-based, in any order; out-of-range ones are ignored.
+ * Returns new bytes.
+ */
+export async function deletePages(pdfBytes, pageIndexes) {
+  const doc = await ensurePdfLib(pdfBytes);
+  const count = doc.getPageCount();
+  const doomed = new Set(pageIndexes.filter(i => i >= 0 && i < count));
+  if (doomed.size >= count) {
+    throw new Error('Cannot delete every page');
+  }
+  const outline = readOutline(doc);
+  const labels = readPageLabels(doc);
+  const kept = Array.from({ length: count }, (_, i) => i).filter(i => !doomed.has(i));
+  const mapIndex = i => (doomed.has(i) ? null : kept.indexOf(i));
+  // Highest first, so earlier indexes stay valid
+  [...doomed].sort((a, b) => b - a).forEach(i => doc.removePage(i));
+  if (outline.length) writeOutline(doc, remapOutline(outline, mapIndex));
+  carryPageLabels(doc, labels, mapIndex);
   return doc.save();
 }
 
@@ -66,12 +99,38 @@ export async function reorderPages(pdfBytes, fromIndex, toIndex) {
   const [removed] = order.splice(fromIndex, 1);
   order.splice(toIndex, 0, removed);
 
+  return rebuildInOrder(doc, order);
+}
+
+/**
+ * Put a single-sided duplex scan in reading order. The first half of the
+ * document is the fronts; the second half the backs, last page first as
+ * the flipped stack was fed (1, 3, 5, …, 6, 4, 2) unless backsReversed is
+ * false (1, 3, 5, …, 2, 4, 6). With an odd count the fronts have the extra page.
+ * Returns new bytes.
+ */
+export async function collatePages(pdfBytes, { backsReversed = true } = {}) {
+  const doc = await ensurePdfLib(pdfBytes);
+  const count = doc.getPageCount();
+  const fronts = Math.ceil(count / 2);
+  const order = mergeOrder([fronts, count - fronts], backsReversed ? 'interleave-reverse' : 'interleave')
+    .map(([file, page]) => (file === 0 ? page : fronts + page));
+  return rebuildInOrder(doc, order);
+}
+
+/** Rebuild `doc` with its pages in `order` (0-based indexes). */
+async function rebuildInOrder(doc, order) {
   // Create new document with reordered pages
   const { PDFDocument } = getPDFLib();
   const newDoc = await PDFDocument.create();
   const copiedPages = await newDoc.copyPages(doc, order);
   copiedPages.forEach(p => newDoc.addPage(p));
 
+  // Carry bookmarks and page labels over to the pages' new positions
+  const outline = readOutline(doc);
+  if (outline.length) writeOutline(newDoc, remapOutline(outline, i => order.indexOf(i)));
+  carryPageLabels(newDoc, readPageLabels(doc), i => order.indexOf(i));
+
   // Replace internal doc reference
   pdfLibDoc = newDoc;
   return newDoc.save();
@@ -79,20 +138,90 @@ export async function reorderPages(pdfBytes, fromIndex, toIndex) {
 
 /* ═══════════════════ Phase 3: Merge & Split ═══════════════════ */
 
+/** Page orders mergePDFs() can assemble */
+export const MERGE_MODES = ['append', 'interleave', 'interleave-reverse', 'reverse'];
+
+/**
+ * Merged page order as [fileIndex, pageIndex] pairs.
+ *  - append: each file in turn
+ *  - interleave: A1, B1, A2, B2… for fronts (A) and backs (B) scanned
+ *    as separate files
+ *  - interleave-reverse: the same with B read last page first, as a
+ *    scanner fed the flipped stack produces it
+ *  - reverse: every page of the appended files, last first
+ * Interleaving takes exactly two files; pages one has more of go at the end.
+ * @param {number[]} pageCounts - Page count of each file
+ * @param {string} [mode='append'] - One of MERGE_MODES
+ * @returns {Array<[number, number]>}
+ */
+export function mergeOrder(pageCounts, mode = 'append') {
+  const pagesOf = file => Array.from({ length: pageCounts[file] }, (_, page) => [file, page]);
+
+  if (mode === 'interleave' || mode === 'interleave-reverse') {
+    if (pageCounts.length !== 2) {
+      throw new Error('Interleaving needs exactly two files');
+    }
+    const fronts = pagesOf(0);
+    const backs = mode === 'interleave-reverse' ? pagesOf(1).reverse() : pagesOf(1);
+    const order = [];
+    for (let i = 0; i < Math.max(fronts.length, backs.length); i++) {
+      if (i < fronts.length) order.push(fronts[i]);
+      if (i < backs.length) order.push(backs[i]);
+    }
+    return order;
+  }
+
+  if (!MERGE_MODES.includes(mode)) {
+    throw new Error(`Unknown merge mode: ${mode}`);
+  }
+  const order = pageCounts.flatMap((_, file) => pagesOf(file));
+  return mode === 'reverse' ? order.reverse() : order;
+}
+
 /**
  * Merge multiple PDFs. fileList = [{ bytes: Uint8Array }, ...]
+ * `mode` picks the page order (see mergeOrder); the default appends each
+ * file in turn. Each file's bookmarks and page labels follow its pages
+ * into the merged document.
  * Returns new bytes for the merged document.
  */
-export async function mergePDFs(fileList) {
+export async function mergePDFs(fileList, { mode = 'append' } = {}) {
   const { PDFDocument } = getPDFLib();
   const merged = await PDFDocument.create();
 
+  const donors = [];
   for (const { bytes } of fileList) {
-    const donor = await PDFDocument.load(bytes, { ignoreEncryption: true });
-    const indices = donor.getPageIndices();
-    const pages = await merged.copyPages(donor, indices);
-    pages.forEach(p => merged.addPage(p));
+    donors.push(await PDFDocument.load(bytes, { ignoreEncryption: true }));
   }
+  const order = mergeOrder(donors.map(donor => donor.getPageCount()), mode);
+
+  // Copy each file's pages once, then add them in merged order
+  const copied = [];
+  for (const donor of donors) {
+    copied.push(await merged.copyPages(donor, donor.getPageIndices()));
+  }
+  const position = new Map();
+  order.forEach(([file, page], i) => {
+    merged.addPage(copied[file][page]);
+    position.set(`${file}:${page}`, i);
+  });
+
+  const outline = [];
+  donors.forEach((donor, file) => {
+    const bookmarks = remapOutline(readOutline(donor), page => position.get(`${file}:${page}`));
+    // Appended files stay in file order; mixed pages need sorting
+    if (mode === 'append') outline.push(...bookmarks);
+    else insertInPageOrder(outline, bookmarks);
+  });
+
+  if (outline.length) writeOutline(merged, outline);
+
+  let labels = null;
+  donors.forEach((donor, file) => {
+    const own = readPageLabels(donor);
+    if (own) labels = remapPageLabels(own, page => position.get(`${file}:${page}`), order.length, labels);
+  });
+  if (labels) writePageLabels(merged, rangesFromLabels(labels));
 
   pdfLibDoc = merged;
   return merged.save();
@@ -107,12 +236,19 @@ export async function splitPDF(pdfBytes, ranges) {
   const doc = await ensurePdfLib(pdfBytes);
   const { PDFDocument } = getPDFLib();
   const results = [];
+  const outline = readOutline(doc);
+  const labels = readPageLabels(doc);
 
   for (let i = 0; i < ranges.length; i++) {
     const range = ranges[i];
     const newDoc = await PDFDocument.create();
     const pages = await newDoc.copyPages(doc, range);
     pages.forEach(p => newDoc.addPage(p));
+    // Each part keeps the bookmarks that point into it
+    const inPart = p => (range.includes(p) ? range.indexOf(p) : null);
+    const partOutline = remapOutline(outline, inPart);
+    if (partOutline.length) writeOutline(newDoc, partOutline);
+    carryPageLabels(newDoc, labels, inPart);
     const savedBytes = await newDoc.save();
 
     // Label: "pages 1-3" or "page 5"
@@ -126,6 +262,31 @@ export async function splitPDF(pdfBytes, ranges) {
   return results;
 }
 
+/**
+ * Bytes each page takes when saved as a file of its own. Shared fonts and
+ * images count toward every page that uses them, so a run of pages saves
+ * to no more than the sum of its pages (see split-strategies.js planBySize).
+ * @param {Uint8Array} pdfBytes
+ * @param {function(number, number)} [onProgress] - (done, total)
+ * @returns {Promise<number[]>}
+ */
+export async function measurePageSizes(pdfBytes, onProgress) {
+  const doc = await ensurePdfLib(pdfBytes);
+  const { PDFDocument } = getPDFLib();
+  const count = doc.getPageCount();
+  const sizes = [];
+
+  for (let i = 0; i < count; i++) {
+    const single = await PDFDocument.create();
+    const [page] = await single.copyPages(doc, [i]);
+    single.addPage(page);
+    sizes.push((await single.save()).length);
+    onProgress?.(i + 1, count);
+  }
+
+  return sizes;
+}
+
 /* ═══════════════════ Append Pages (Inline Add) ═══════════════════ */
 
 /**
@@ -141,17 +302,38 @@ export async function appendPages(basePdfBytes, additions, insertAfter) {
   const baseDoc = await PDFDocument.load(basePdfBytes, { ignoreEncryption: true });
   const baseCount = baseDoc.getPageCount();
   const insertIdx = insertAfter !== undefined ? insertAfter + 1 : baseCount;
+  const baseLabels = readPageLabels(baseDoc);
+  const added = [];
+  const addedLabels = [];
 
   let offset = 0;
   for (const { bytes } of additions) {
     const donor = await PDFDocument.load(bytes, { ignoreEncryption: true });
     const indices = donor.getPageIndices();
+    const start = insertIdx + offset;
     const pages = await baseDoc.copyPages(donor, indices);
     for (let i = 0; i < pages.length; i++) {
       baseDoc.insertPage(insertIdx + offset, pages[i]);
       offset++;
     }
+    added.push(...remapOutline(readOutline(donor), i => i + start));
+    addedLabels.push({ labels: readPageLabels(donor), start });
+  }
+
+  // Inserted pages keep their references, so the base outline only needs
+  // rewriting when the added files bring bookmarks of their own
+  if (added.length) {
+    const outline = readOutline(baseDoc);
+    insertInPageOrder(outline, added);
+    writeOutline(baseDoc, outline);
+  }
+
+  // Base pages after the insertion point move down past the added ones
+  let labels = baseLabels && remapPageLabels(baseLabels, i => (i < insertIdx ? i : i + offset), baseCount + offset);
+  for (const { labels: own, start } of addedLabels) {
+    if (own) labels = remapPageLabels(own, i => i + start, baseCount + offset, labels);
   }
+  if (labels) writePageLabels(baseDoc, rangesFromLabels(labels));
 
   pdfLibDoc = baseDoc;
   return baseDoc.save();
@@ -170,6 +352,7 @@ export async function replacePages(basePdfBytes, sourcePdfBytes, mappings) {
   const { PDFDocument } = getPDFLib();
   const baseDoc = await PDFDocument.load(basePdfBytes, { ignoreEncryption: true });
   const sourceDoc = await PDFDocument.load(sourcePdfBytes, { ignoreEncryption: true });
+  const outline = readOutline(baseDoc);
 
   // Sort descending by target page to avoid index shifts
   const sorted = [...mappings].sort((a, b) => b.targetPage - a.targetPage);
@@ -186,6 +369,8 @@ export async function replacePages(basePdfBytes, sourcePdfBytes, mappings) {
     baseDoc.insertPage(targetIdx, copiedPage);
   }
 
+  // Bookmarks on replaced pages move to their replacements
+  if (outline.length) writeOutline(baseDoc, outline);
   pdfLibDoc = baseDoc;
   return baseDoc.save();
 }
@@ -213,7 +398,9 @@ export async function insertBlankPage(pdfBytes, afterIndex, width, height) {
   }
 
   const insertAt = afterIndex + 1; // insertPage is 0-based position
+  const labels = readPageLabels(doc);
   doc.insertPage(insertAt, [width, height]);
+  carryPageLabels(doc, labels, i => (i < insertAt ? i : i + 1));
 
   return doc.save();
 }
@@ -0,0 +1,1703 @@
+/**
+ * Mudbrick — Content Redaction (Phase 3)
+ * Removes the content underneath redaction boxes from the PDF itself, so
+ * nothing can be copied or extracted from under the black box on export.
+ *
+ * Strategy:
+ * 1. Parse each page content stream (and any Form XObjects it draws)
+ *    while tracking the graphics and text state
+ * 2. Drop every glyph whose box intersects a redaction rect, replacing it
+ *    with a TJ kerning adjustment so the remaining glyphs keep their position
+ * 3. Blank the pixels of image XObjects under the rect (or drop images that
+ *    cannot be decoded in the browser, and inline images that intersect)
+ * 4. Remove annotations and form widgets that overlap a rect
+ * 5. Garbage-collect unreachable objects so no orphaned copy survives
+ *
+ * Rects are given in PDF default user space: { x1, y1, x2, y2 }.
+ *
+ * The object-graph cleanup and the hidden optional content (layer) removal
+ * are shared with document sanitization.
+ */
+
+const getPDFLib = () => window.PDFLib;
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/* ═══════════════════ Content Stream Tokenizer ═══════════════════ */
+
+const isWhite = c => c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+const isDelim = c => c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b ||
+  c === 0x5d || c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+
+/**
+ * Parse a content stream into operations.
+ * Operands are JS numbers, arrays, or tagged objects:
+ * { type: 'string', value } (binary string), { type: 'name', value },
+ * { type: 'dict', value: Map }, { type: 'keyword', value }.
+ * Each operation keeps its source offsets so untouched operators can be
+ * copied back byte-for-byte.
+ * @param {string} src - Decoded content stream as a binary (latin1) string
+ * @returns {Array<{op: string, operands: Array, start: number, end: number}>}
+ */
+export function parseContentStream(src) {
+  const len = src.length;
+  let pos = 0;
+
+  function skipWhite() {
+    while (pos < len) {
+      const c = src.charCodeAt(pos);
+      if (isWhite(c)) { pos++; continue; }
+      if (c === 0x25) { // % comment
+        while (pos < len && src.charCodeAt(pos) !== 0x0a && src.charCodeAt(pos) !== 0x0d) pos++;
+        continue;
+      }
+      break;
+    }
+  }
+
+  function readLiteralString() {
+    pos++; // (
+    let depth = 1;
+    let out = '';
+    while (pos < len) {
+      const ch = src[pos++];
+      if (ch === '\\') {
+        const e = src[pos++];
+        if (e === undefined) break;
+        if (e === 'n') out += '\n';
+        else if (e === 'r') out += '\r';
+        else if (e === 't') out += '\t';
+        else if (e === 'b') out += '\b';
+        else if (e === 'f') out += '\f';
+        else if (e >= '0' && e <= '7') {
+          let oct = e;
+          for (let k = 0; k < 2 && src[pos] >= '0' && src[pos] <= '7'; k++) oct += src[pos++];
+          out += String.fromCharCode(parseInt(oct, 8) & 0xff);
+        } else if (e === '\r') {
+          if (src[pos] === '\n') pos++;
+        } else if (e !== '\n') {
+          out += e;
+        }
+      } else if (ch === '(') {
+        depth++;
+        out += ch;
+      } else if (ch === ')') {
+        if (--depth === 0) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return { type: 'string', value: out };
+  }
+
+  function readHexString() {
+    pos++; // <
+    let hex = '';
+    while (pos < len && src[pos] !== '>') {
+      if (/[0-9a-fA-F]/.test(src[pos])) hex += src[pos];
+      pos++;
+    }
+    pos++; // >
+    if (hex.length % 2) hex += '0';
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+    return { type: 'string', value: out };
+  }
+
+  function readName() {
+    pos++; // /
+    let name = '';
+    while (pos < len) {
+      const c = src.charCodeAt(pos);
+      if (isWhite(c) || isDelim(c)) break;
+      if (c === 0x23 && /^[0-9a-fA-F]{2}$/.test(src.slice(pos + 1, pos + 3))) {
+        name += String.fromCharCode(parseInt(src.slice(pos + 1, pos + 3), 16));
+        pos += 3;
+      } else {
+        name += src[pos++];
+      }
+    }
+    return { type: 'name', value: name };
+  }
+
+  function readRegular() {
+    const start = pos;
+    while (pos < len) {
+      const c = src.charCodeAt(pos);
+      if (isWhite(c) || isDelim(c)) break;
+      pos++;
+    }
+    if (pos === start) pos++; // stray delimiter such as ) or }
+    const word = src.slice(start, pos);
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    return { type: 'keyword', value: word };
+  }
+
+  function readObject() {
+    skipWhite();
+    const ch = src[pos];
+    if (ch === '(') return readLiteralString();
+    if (ch === '/') return readName();
+    if (ch === '<') {
+      if (src[pos + 1] === '<') {
+        pos += 2;
+        const map = new Map();
+        for (;;) {
+          skipWhite();
+          if (pos >= len) break;
+          if (src[pos] === '>' && src[pos + 1] === '>') { pos += 2; break; }
+          const key = readObject();
+          const value = readObject();
+          if (key && key.type === 'name') map.set(key.value, value);
+        }
+        return { type: 'dict', value: map };
+      }
+      return readHexString();
+    }
+    if (ch === '[') {
+      pos++;
+      const arr = [];
+      for (;;) {
+        skipWhite();
+        if (pos >= len) break;
+        if (src[pos] === ']') { pos++; break; }
+        arr.push(readObject());
+      }
+      return arr;
+    }
+    return readRegular();
+  }
+
+  function readInlineImage(opStart) {
+    // BI <key value pairs> ID <binary data> EI
+    const dict = new Map();
+    for (;;) {
+      skipWhite();
+      if (pos >= len) break;
+      const key = readObject();
+      if (key && key.type === 'keyword' && key.value === 'ID') break;
+      const value = readObject();
+      if (key && key.type === 'name') dict.set(key.value, value);
+    }
+    pos++; // single white-space byte after ID
+    const re = /[\s\0]EI(?=[\s\0]|$)/g;
+    re.lastIndex = pos;
+    const m = re.exec(src);
+    pos = m ? m.index + m[0].length : len;
+    return { op: 'BI', operands: [{ type: 'dict', value: dict }], start: opStart, end: pos };
+  }
+
+  const ops = [];
+  let operands = [];
+  let opStart = -1;
+
+  for (;;) {
+    skipWhite();
+    if (pos >= len) break;
+    if (opStart < 0) opStart = pos;
+    const tok = readObject();
+    if (tok && tok.type === 'keyword' && !['true', 'false', 'null'].includes(tok.value)) {
+      if (tok.value === 'BI') {
+        ops.push(readInlineImage(opStart));
+      } else {
+        ops.push({ op: tok.value, operands, start: opStart, end: pos });
+      }
+      operands = [];
+      opStart = -1;
+    } else {
+      operands.push(tok);
+    }
+  }
+  return ops;
+}
+
+/**
+ * Serialize a parsed operand back to content-stream syntax.
+ * Strings are always written as hex so binary glyph codes survive intact.
+ * @param {*} v - Operand as produced by parseContentStream
+ * @returns {string}
+ */
+export function serializeOperand(v) {
+  if (typeof v === 'number') {
+    if (Number.isInteger(v)) return String(v);
+    return v.toFixed(4).replace(/0+$/, '').replace(/\.$/, '');
+  }
+  if (Array.isArray(v)) return '[' + v.map(serializeOperand).join(' ') + ']';
+  if (!v) return 'null';
+  if (v.type === 'string') {
+    let hex = '';
+    for (let i = 0; i < v.value.length; i++) hex += v.value.charCodeAt(i).toString(16).padStart(2, '0');
+    return '<' + hex + '>';
+  }
+  if (v.type === 'name') {
+    return '/' + v.value.replace(/[^!-~]|[#()<>[\]{}/%]/g,
+      c => '#' + c.charCodeAt(0).toString(16).padStart(2, '0'));
+  }
+  if (v.type === 'dict') {
+    const parts = [];
+    for (const [k, val] of v.value) parts.push(serializeOperand({ type: 'name', value: k }) + ' ' + serializeOperand(val));
+    return '<<' + parts.join(' ') + '>>';
+  }
+  return String(v.value);
+}
+
+/* ═══════════════════ Geometry ═══════════════════ */
+
+/**
+ * Multiply two PDF matrices: the result applies m1 first, then m2.
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]}
+ */
+export function multiplyMatrix(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5],
+  ];
+}
+
+function invertMatrix(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) return null;
+  return [
+    m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det,
+  ];
+}
+
+function applyMatrix(m, x, y) {
+  return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+}
+
+/** Axis-aligned bounds of a box after transformation by m. */
+function transformBox(m, x1, y1, x2, y2) {
+  const pts = [applyMatrix(m, x1, y1), applyMatrix(m, x2, y1), applyMatrix(m, x1, y2), applyMatrix(m, x2, y2)];
+  const xs = pts.map(p => p[0]);
+  const ys = pts.map(p => p[1]);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+function overlapArea(a, b) {
+  const w = Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1);
+  const h = Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+/**
+ * A glyph counts as redacted when a meaningful share of its box lies under
+ * a rect. Tiny overlaps from the line above or below are ignored so that
+ * neighbouring lines survive a tightly drawn box.
+ */
+function glyphHit(box, rects) {
+  const area = (box.x2 - box.x1) * (box.y2 - box.y1);
+  if (area <= 0) {
+    const cx = (box.x1 + box.x2) / 2;
+    const cy = (box.y1 + box.y2) / 2;
+    return rects.some(r => cx >= r.x1 && cx <= r.x2 && cy >= r.y1 && cy <= r.y2);
+  }
+  return rects.some(r => overlapArea(box, r) > area * 0.15);
+}
+
+function boxHit(box, rects) {
+  return rects.some(r => overlapArea(box, r) > 0);
+}
+
+/* ═══════════════════ Operator Rewriting ═══════════════════ */
+
+const DEFAULT_FONT = {
+  decode: s => Array.from(s, ch => ({ code: ch.charCodeAt(0), bytes: ch })),
+  width: () => 0.5,
+  ascent: 0.8,
+  descent: -0.2,
+};
+
+/**
+ * Rewrite a content stream so that nothing drawn under the rects survives.
+ * Pure function — resources are resolved through the callbacks.
+ * @param {string} src - Decoded content stream (binary string)
+ * @param {Object} opts
+ * @param {Array<{x1,y1,x2,y2}>} opts.rects - Redaction rects in page user space
+ * @param {number[][]} [opts.placements] - Matrices mapping this stream's space to
+ *   page user space (one per place the stream is drawn; identity for a page)
+ * @param {Function} [opts.getFont] - (resourceName) => font metrics
+ *   { decode(str) => [{code, bytes}], width(code) (text space, 1/1000 scaled),
+ *     ascent, descent } or null
+ * @param {Function} [opts.getXObject] - (resourceName) => { subtype: 'Image',
+ *   redactable } | { subtype: 'Form', matrix, bbox } | null
+ * @returns {{content: string|null, glyphsRemoved: number, imagesRemoved: number,
+ *   inlineImagesRemoved: number, imageHits: Map<string, number[][]>,
+ *   formHits: Map<string, number[][]>}} content is null when nothing changed
+ */
+export function redactOperations(src, opts) {
+  const { rects, placements = [IDENTITY], getFont = () => null, getXObject = () => null } = opts;
+  const ops = parseContentStream(src);
+
+  const result = {
+    content: null,
+    glyphsRemoved: 0,
+    imagesRemoved: 0,
+    inlineImagesRemoved: 0,
+    imageHits: new Map(),
+    formHits: new Map(),
+  };
+
+  let gs = {
+    ctm: IDENTITY, font: DEFAULT_FONT, fontSize: 0,
+    charSpace: 0, wordSpace: 0, scale: 1, leading: 0, rise: 0,
+  };
+  const gsStack = [];
+  let tm = IDENTITY;
+  let tlm = IDENTITY;
+  const markedStack = [];
+
+  const out = [];
+  let last = 0;
+  let changed = false;
+
+  const keep = op => { out.push(src.slice(last, op.end)); last = op.end; };
+  const replace = (op, text) => {
+    out.push(src.slice(last, op.start) + text);
+    last = op.end;
+    changed = true;
+  };
+
+  const hitsAnyPlacement = (m, x1, y1, x2, y2, test) =>
+    placements.some(p => test(transformBox(multiplyMatrix(m, p), x1, y1, x2, y2), rects));
+
+  function nextLine(tx, ty) {
+    tlm = multiplyMatrix([1, 0, 0, 1, tx, ty], tlm);
+    tm = tlm;
+  }
+
+  /**
+   * Walk the glyphs of a text-showing operator, advancing the text matrix.
+   * Returns the rewritten TJ array, or null when no glyph was removed.
+   */
+  function showText(elements) {
+    const font = gs.font;
+    const fs = gs.fontSize;
+    const th = gs.scale;
+    const newElems = [];
+    let removed = 0;
+    let pending = '';
+    const flush = () => { if (pending) { newElems.push({ type: 'string', value: pending }); pending = ''; } };
+    const pushAdjust = n => {
+      flush();
+      const prev = newElems[newElems.length - 1];
+      if (typeof prev === 'number') newElems[newElems.length - 1] = prev + n;
+      else newElems.push(n);
+    };
+
+    for (const el of elements) {
+      if (typeof el === 'number') {
+        pushAdjust(el);
+        tm = multiplyMatrix([1, 0, 0, 1, -el / 1000 * fs * th, 0], tm);
+        continue;
+      }
+      if (!el || el.type !== 'string') continue;
+
+      for (const glyph of font.decode(el.value)) {
+        const w0 = font.width(glyph.code);
+        const spacing = gs.charSpace + (glyph.bytes.length === 1 && glyph.code === 32 ? gs.wordSpace : 0);
+        const trm = multiplyMatrix(multiplyMatrix([fs * th, 0, 0, fs, 0, gs.rise], tm), gs.ctm);
+        const hit = fs !== 0 && hitsAnyPlacement(trm, 0, font.descent, w0, font.ascent, glyphHit);
+        if (hit) {
+          removed++;
+          markedStack.forEach(frame => { frame.removed = true; });
+          pushAdjust(-(w0 + spacing / fs) * 1000);
+        } else {
+          pending += glyph.bytes;
+        }
+        tm = multiplyMatrix([1, 0, 0, 1, (w0 * fs + spacing) * th, 0], tm);
+      }
+      flush();
+    }
+
+    if (!removed) return null;
+    result.glyphsRemoved += removed;
+    return newElems.map(e => (typeof e === 'number' ? Math.round(e * 1000) / 1000 : e));
+  }
+
+  for (const op of ops) {
+    const a = op.operands;
+    switch (op.op) {
+      case 'q':
+        gsStack.push(gs);
+        gs = { ...gs };
+        keep(op);
+        break;
+      case 'Q':
+        if (gsStack.length) gs = gsStack.pop();
+        keep(op);
+        break;
+      case 'cm':
+        if (a.length === 6 && a.every(n => typeof n === 'number')) gs.ctm = multiplyMatrix(a, gs.ctm);
+        keep(op);
+        break;
+      case 'BT':
+        tm = IDENTITY;
+        tlm = IDENTITY;
+        keep(op);
+        break;
+      case 'Tc': gs.charSpace = +a[0] || 0; keep(op); break;
+      case 'Tw': gs.wordSpace = +a[0] || 0; keep(op); break;
+      case 'Tz': gs.scale = (+a[0] || 0) / 100; keep(op); break;
+      case 'TL': gs.leading = +a[0] || 0; keep(op); break;
+      case 'Ts': gs.rise = +a[0] || 0; keep(op); break;
+      case 'Tf':
+        gs.font = (a[0] && a[0].type === 'name' && getFont(a[0].value)) || DEFAULT_FONT;
+        gs.fontSize = +a[1] || 0;
+        keep(op);
+        break;
+      case 'Td':
+        nextLine(+a[0] || 0, +a[1] || 0);
+        keep(op);
+        break;
+      case 'TD':
+        gs.leading = -(+a[1] || 0);
+        nextLine(+a[0] || 0, +a[1] || 0);
+        keep(op);
+        break;
+      case 'Tm':
+        if (a.length === 6 && a.every(n => typeof n === 'number')) {
+          tm = a.slice();
+          tlm = a.slice();
+        }
+        keep(op);
+        break;
+      case 'T*':
+        nextLine(0, -gs.leading);
+        keep(op);
+        break;
+      case 'Tj': {
+        const elems = showText([a[0]]);
+        if (elems) replace(op, serializeOperand(elems) + ' TJ');
+        else keep(op);
+        break;
+      }
+      case 'TJ': {
+        const elems = showText(Array.isArray(a[0]) ? a[0] : []);
+        if (elems) replace(op, serializeOperand(elems) + ' TJ');
+        else keep(op);
+        break;
+      }
+      case "'": {
+        nextLine(0, -gs.leading);
+        const elems = showText([a[0]]);
+        if (elems) replace(op, 'T* ' + serializeOperand(elems) + ' TJ');
+        else keep(op);
+        break;
+      }
+      case '"': {
+        gs.wordSpace = +a[0] || 0;
+        gs.charSpace = +a[1] || 0;
+        nextLine(0, -gs.leading);
+        const elems = showText([a[2]]);
+        if (elems) {
+          replace(op, `${serializeOperand(a[0])} Tw ${serializeOperand(a[1])} Tc T* ${serializeOperand(elems)} TJ`);
+        } else {
+          keep(op);
+        }
+        break;
+      }
+      case 'Do': {
+        const name = a[0] && a[0].type === 'name' ? a[0].value : null;
+        const xobj = name ? getXObject(name) : null;
+        if (xobj && xobj.subtype === 'Image') {
+          if (hitsAnyPlacement(gs.ctm, 0, 0, 1, 1, boxHit)) {
+            if (xobj.redactable) {
+              if (!result.imageHits.has(name)) result.imageHits.set(name, []);
+              result.imageHits.get(name).push(...placements.map(p => multiplyMatrix(gs.ctm, p)));
+              keep(op);
+            } else {
+              result.imagesRemoved++;
+              replace(op, '');
+            }
+          } else {
+            keep(op);
+          }
+        } else if (xobj && xobj.subtype === 'Form') {
+          const fm = multiplyMatrix(xobj.matrix || IDENTITY, gs.ctm);
+          const [bx1, by1, bx2, by2] = xobj.bbox || [0, 0, 0, 0];
+          if (hitsAnyPlacement(fm, Math.min(bx1, bx2), Math.min(by1, by2), Math.max(bx1, bx2), Math.max(by1, by2), boxHit)) {
+            if (!result.formHits.has(name)) result.formHits.set(name, []);
+            result.formHits.get(name).push(...placements.map(p => multiplyMatrix(fm, p)));
+          }
+          keep(op);
+        } else {
+          keep(op);
+        }
+        break;
+      }
+      case 'BI':
+        if (hitsAnyPlacement(gs.ctm, 0, 0, 1, 1, boxHit)) {
+          result.inlineImagesRemoved++;
+          replace(op, '');
+        } else {
+          keep(op);
+        }
+        break;
+      case 'BMC':
+        markedStack.push({ removed: false, index: -1 });
+        keep(op);
+        break;
+      case 'BDC': {
+        // Replacement text (/ActualText, /Alt, /E) would still expose what the
+        // removed glyphs said, so such sequences are downgraded to plain BMC.
+        const props = a[1] && a[1].type === 'dict' ? a[1].value : null;
+        const exposes = !!props && ['ActualText', 'Alt', 'E'].some(k => props.has(k));
+        keep(op);
+        markedStack.push({ removed: false, index: exposes ? out.length - 1 : -1, op });
+        break;
+      }
+      case 'EMC': {
+        const frame = markedStack.pop();
+        if (frame && frame.removed && frame.index >= 0) {
+          const piece = out[frame.index];
+          const lead = piece.slice(0, piece.length - (frame.op.end - frame.op.start));
+          out[frame.index] = lead + serializeOperand(frame.op.operands[0]) + ' BMC';
+          changed = true;
+        }
+        keep(op);
+        break;
+      }
+      default:
+        keep(op);
+    }
+  }
+
+  if (changed) {
+    out.push(src.slice(last));
+    result.content = out.join('');
+  }
+  return result;
+}
+
+/* ═══════════════════ Binary Helpers ═══════════════════ */
+
+function bytesToBinary(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    s += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return s;
+}
+
+function binaryToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/* ═══════════════════ PDF Object Helpers ═══════════════════ */
+
+function nameOf(obj) {
+  const PDFLib = getPDFLib();
+  return obj instanceof PDFLib.PDFName ? obj.decodeText() : null;
+}
+
+function numberOf(obj, fallback) {
+  const PDFLib = getPDFLib();
+  return obj instanceof PDFLib.PDFNumber ? obj.asNumber() : fallback;
+}
+
+function numbersOf(arr) {
+  const PDFLib = getPDFLib();
+  if (!(arr instanceof PDFLib.PDFArray)) return null;
+  return arr.asArray().map(o => numberOf(arr.context.lookup(o), 0));
+}
+
+function filterNames(dict) {
+  const PDFLib = getPDFLib();
+  const f = dict.lookup(PDFLib.PDFName.of('Filter'));
+  if (!f) return [];
+  if (f instanceof PDFLib.PDFArray) return f.asArray().map(o => nameOf(dict.context.lookup(o)));
+  return [nameOf(f)];
+}
+
+const DECODABLE_FILTERS = ['FlateDecode', 'Fl', 'LZWDecode', 'LZW', 'ASCII85Decode', 'A85',
+  'ASCIIHexDecode', 'AHx', 'RunLengthDecode', 'RL'];
+
+/** Undo PNG (10-15) and TIFF (2) predictors on decoded Flate/LZW data. */
+function unpredict(data, params) {
+  const predictor = params.Predictor || 1;
+  if (predictor < 2) return data;
+  const colors = params.Colors || 1;
+  const bpc = params.BitsPerComponent || 8;
+  const columns = params.Columns || 1;
+  const bpp = Math.max(1, Math.ceil(colors * bpc / 8));
+  const rowLen = Math.ceil(columns * colors * bpc / 8);
+
+  if (predictor === 2) {
+    if (bpc !== 8) return data;
+    const out = new Uint8Array(data);
+    for (let r = 0; r + rowLen <= out.length; r += rowLen) {
+      for (let i = bpp; i < rowLen; i++) out[r + i] = (out[r + i] + out[r + i - bpp]) & 0xff;
+    }
+    return out;
+  }
+
+  const rows = Math.floor(data.length / (rowLen + 1));
+  const out = new Uint8Array(rows * rowLen);
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * (rowLen + 1)];
+    const inOff = r * (rowLen + 1) + 1;
+    const o = r * rowLen;
+    for (let i = 0; i < rowLen; i++) {
+      const raw = data[inOff + i];
+      const left = i >= bpp ? out[o + i - bpp] : 0;
+      const up = r > 0 ? out[o - rowLen + i] : 0;
+      const upLeft = r > 0 && i >= bpp ? out[o - rowLen + i - bpp] : 0;
+      let v;
+      switch (type) {
+        case 1: v = raw + left; break;
+        case 2: v = raw + up; break;
+        case 3: v = raw + ((left + up) >> 1); break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+          v = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+          break;
+        }
+        default: v = raw;
+      }
+      out[o + i] = v & 0xff;
+    }
+  }
+  return out;
+}
+
+function decodeParams(dict) {
+  const PDFLib = getPDFLib();
+  let p = dict.lookup(PDFLib.PDFName.of('DecodeParms'));
+  if (p instanceof PDFLib.PDFArray) {
+    p = p.asArray().map(o => dict.context.lookup(o)).filter(o => o instanceof PDFLib.PDFDict).pop();
+  }
+  if (!(p instanceof PDFLib.PDFDict)) return {};
+  const params = {};
+  for (const key of ['Predictor', 'Colors', 'BitsPerComponent', 'Columns']) {
+    const v = numberOf(p.lookup(PDFLib.PDFName.of(key)), undefined);
+    if (v !== undefined) params[key] = v;
+  }
+  return params;
+}
+
+/**
+ * Fully decode a stream whose filters pdf-lib understands.
+ * @param {Object} stream - PDFRawStream or PDFContentStream
+ * @param {number} [keepLast=0] - Number of trailing filters to leave applied
+ *   (1 leaves a DCTDecode image as JPEG bytes)
+ * @returns {Uint8Array}
+ */
+function decodeStream(stream, keepLast = 0) {
+  const PDFLib = getPDFLib();
+  if (typeof stream.getUnencodedContents === 'function') return stream.getUnencodedContents();
+  const filters = filterNames(stream.dict);
+  if (!filters.length) return stream.contents;
+  if (!keepLast) {
+    const decoded = PDFLib.decodePDFRawStream(stream).decode();
+    const last = filters[filters.length - 1];
+    return ['FlateDecode', 'Fl', 'LZWDecode', 'LZW'].includes(last) ? unpredict(decoded, decodeParams(stream.dict)) : decoded;
+  }
+  const applied = filters.slice(0, filters.length - keepLast);
+  if (!applied.length) return stream.contents;
+  const dict = stream.dict.clone(stream.dict.context);
+  dict.set(PDFLib.PDFName.of('Filter'), stream.dict.context.obj(applied));
+  dict.delete(PDFLib.PDFName.of('DecodeParms'));
+  return PDFLib.decodePDFRawStream(PDFLib.PDFRawStream.of(dict, stream.contents)).decode();
+}
+
+/* ═══════════════════ Font Metrics ═══════════════════ */
+
+const STANDARD_ALIASES = [
+  [/^(Arial|Helvetica)[,-]?(Bold)?(Italic|Oblique)?/i, (b, i) => 'Helvetica' + (b && i ? '-BoldOblique' : b ? '-Bold' : i ? '-Oblique' : '')],
+  [/^Times(NewRoman|-Roman)?(PS)?(MT)?[,-]?(Bold)?(Italic)?/i, (b, i) => 'Times-' + (b && i ? 'BoldItalic' : b ? 'Bold' : i ? 'Italic' : 'Roman')],
+  [/^Courier(New)?(PS)?(MT)?[,-]?(Bold)?(Oblique|Italic)?/i, (b, i) => 'Courier' + (b && i ? '-BoldOblique' : b ? '-Bold' : i ? '-Oblique' : '')],
+  [/^Symbol/i, () => 'Symbol'],
+  [/^ZapfDingbats/i, () => 'ZapfDingbats'],
+];
+
+function standardWidthFn(baseFont) {
+  const PDFLib = getPDFLib();
+  const plain = (baseFont || '').replace(/^[A-Z]{6}\+/, '');
+  for (const [re, build] of STANDARD_ALIASES) {
+    if (!re.test(plain)) continue;
+    const std = build(/bold/i.test(plain), /italic|oblique/i.test(plain));
+    try {
+      const embedder = PDFLib.StandardFontEmbedder.for(std);
+      return code => {
+        try {
+          return embedder.widthOfTextAtSize(String.fromCharCode(code), 1000) / 1000;
+        } catch {
+          return 0.5;
+        }
+      };
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/** Parse codespace ranges out of an embedded CMap stream. */
+function parseCodespaceRanges(cmapStream) {
+  const text = bytesToBinary(decodeStream(cmapStream));
+  const ranges = [];
+  const blockRe = /begincodespacerange([\s\S]*?)endcodespacerange/g;
+  let block;
+  while ((block = blockRe.exec(text))) {
+    const pairRe = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g;
+    let m;
+    while ((m = pairRe.exec(block[1]))) {
+      ranges.push({ bytes: m[1].length / 2, low: parseInt(m[1], 16), high: parseInt(m[2], 16) });
+    }
+  }
+  return ranges;
+}
+
+function makeCodespaceDecoder(ranges) {
+  return s => {
+    const glyphs = [];
+    let i = 0;
+    while (i < s.length) {
+      let matched = null;
+      for (let n = 1; n <= 4 && i + n <= s.length && !matched; n++) {
+        let code = 0;
+        for (let k = 0; k < n; k++) code = code * 256 + s.charCodeAt(i + k);
+        if (ranges.some(r => r.bytes === n && code >= r.low && code <= r.high)) matched = { code, bytes: s.slice(i, i + n) };
+      }
+      if (!matched) {
+        const n = Math.min(s.length - i, ranges.length ? Math.min(...ranges.map(r => r.bytes)) : 1);
+        let code = 0;
+        for (let k = 0; k < n; k++) code = code * 256 + s.charCodeAt(i + k);
+        matched = { code, bytes: s.slice(i, i + n) };
+      }
+      glyphs.push(matched);
+      i += matched.bytes.length;
+    }
+    return glyphs;
+  };
+}
+
+const decodeTwoByte = s => {
+  const glyphs = [];
+  for (let i = 0; i < s.length; i += 2) {
+    const bytes = s.slice(i, i + 2);
+    glyphs.push({ code: (bytes.charCodeAt(0) << 8) | (bytes.charCodeAt(1) || 0), bytes });
+  }
+  return glyphs;
+};
+
+/**
+ * Build glyph metrics for a font dictionary.
+ * @param {Object} fontDict - pdf-lib PDFDict of the font
+ * @returns {{decode: Function, width: Function, ascent: number, descent: number}}
+ */
+function loadFontMetrics(fontDict) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFDict, PDFArray, PDFStream } = PDFLib;
+  const get = (d, k) => d.lookup(PDFName.of(k));
+  const subtype = nameOf(get(fontDict, 'Subtype'));
+
+  let descriptor = get(fontDict, 'FontDescriptor');
+  let decode = DEFAULT_FONT.decode;
+  let width;
+
+  if (subtype === 'Type0') {
+    const descendants = get(fontDict, 'DescendantFonts');
+    const cid = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+    const encoding = get(fontDict, 'Encoding');
+    if (encoding instanceof PDFStream) {
+      const ranges = parseCodespaceRanges(encoding);
+      decode = ranges.length ? makeCodespaceDecoder(ranges) : decodeTwoByte;
+    } else {
+      decode = decodeTwoByte;
+    }
+    const widths = new Map();
+    let dw = 1000;
+    if (cid instanceof PDFDict) {
+      descriptor = get(cid, 'FontDescriptor');
+      dw = numberOf(get(cid, 'DW'), 1000);
+      const w = get(cid, 'W');
+      if (w instanceof PDFArray) {
+        const items = w.asArray().map(o => w.context.lookup(o));
+        for (let i = 0; i < items.length;) {
+          const first = numberOf(items[i], 0);
+          const next = items[i + 1];
+          if (next instanceof PDFArray) {
+            numbersOf(next).forEach((v, k) => widths.set(first + k, v));
+            i += 2;
+          } else {
+            const lastCid = numberOf(next, first);
+            const v = numberOf(items[i + 2], dw);
+            for (let c = first; c <= lastCid && c - first < 65536; c++) widths.set(c, v);
+            i += 3;
+          }
+        }
+      }
+    }
+    // Codes map to CIDs one-to-one for Identity encodings, which covers
+    // virtually every font written by modern producers.
+    width = code => (widths.has(code) ? widths.get(code) : dw) / 1000;
+  } else {
+    const firstChar = numberOf(get(fontDict, 'FirstChar'), 0);
+    const widths = numbersOf(get(fontDict, 'Widths'));
+    const missing = descriptor instanceof PDFDict ? numberOf(get(descriptor, 'MissingWidth'), 0) : 0;
+    const fontMatrix = numbersOf(get(fontDict, 'FontMatrix'));
+    const unit = subtype === 'Type3' && fontMatrix ? fontMatrix[0] : 0.001;
+    const stdWidth = !widths ? standardWidthFn(nameOf(get(fontDict, 'BaseFont'))) : null;
+    width = code => {
+      if (widths) {
+        const w = widths[code - firstChar];
+        return (w !== undefined ? w : missing) * unit;
+      }
+      return stdWidth ? stdWidth(code) : 0.5;
+    };
+    if (subtype === 'Type3') {
+      const bbox = numbersOf(get(fontDict, 'FontBBox'));
+      const ascent = bbox && fontMatrix ? bbox[3] * fontMatrix[3] : 0.8;
+      const descent = bbox && fontMatrix ? bbox[1] * fontMatrix[3] : -0.2;
+      return { decode, width, ascent: ascent > 0 ? ascent : 0.8, descent: descent < 0 ? descent : -0.2 };
+    }
+  }
+
+  let ascent = 0.8;
+  let descent = -0.2;
+  if (descriptor instanceof PDFDict) {
+    const a = numberOf(get(descriptor, 'Ascent'), 0) / 1000;
+    const d = numberOf(get(descriptor, 'Descent'), 0) / 1000;
+    if (a > 0) ascent = a;
+    if (d < 0) descent = d;
+  }
+  return { decode, width, ascent, descent };
+}
+
+/* ═══════════════════ Images ═══════════════════ */
+
+const COLOR_COMPONENTS = {
+  DeviceGray: 1, CalGray: 1, G: 1,
+  DeviceRGB: 3, CalRGB: 3, RGB: 3, Lab: 3,
+  DeviceCMYK: 4, CMYK: 4,
+};
+
+/**
+ * Work out how many components an image has and which sample values
+ * paint it solid black (normalized 0-1, or raw palette index for Indexed).
+ */
+function describeColorSpace(cs, context) {
+  const PDFLib = getPDFLib();
+  const { PDFArray, PDFStream, PDFName } = PDFLib;
+  if (cs instanceof PDFName) {
+    const name = cs.decodeText();
+    const comps = COLOR_COMPONENTS[name];
+    if (!comps) return null;
+    if (comps === 4) return { comps, black: [0, 0, 0, 1] };
+    if (name === 'Lab') return { comps, black: [0, 0.5, 0.5] };
+    return { comps, black: new Array(comps).fill(0) };
+  }
+  if (!(cs instanceof PDFArray) || !cs.size()) return null;
+  const family = nameOf(context.lookup(cs.get(0)));
+  if (family === 'ICCBased') {
+    const stream = cs.lookup(1);
+    const n = stream instanceof PDFStream ? numberOf(stream.dict.lookup(PDFName.of('N')), 3) : 3;
+    return { comps: n, black: n === 4 ? [0, 0, 0, 1] : new Array(n).fill(0) };
+  }
+  if (family === 'Indexed' || family === 'I') {
+    const base = describeColorSpace(cs.lookup(1), context);
+    const hival = numberOf(cs.lookup(2), 255);
+    const lookup = cs.lookup(3);
+    let table = null;
+    if (lookup instanceof PDFStream) table = decodeStream(lookup);
+    else if (lookup && typeof lookup.asBytes === 'function') table = lookup.asBytes();
+    let darkest = 0;
+    if (base && table) {
+      let best = Infinity;
+      for (let i = 0; i <= hival; i++) {
+        const entry = Array.from(table.subarray(i * base.comps, (i + 1) * base.comps));
+        if (entry.length < base.comps) break;
+        const dist = entry.reduce((sum, v, k) => sum + Math.abs(v / 255 - base.black[k]), 0);
+        if (dist < best) { best = dist; darkest = i; }
+      }
+    }
+    return { comps: 1, black: [darkest], indexed: true };
+  }
+  if (family === 'Separation') return { comps: 1, black: [1] };
+  if (family === 'DeviceN') {
+    const names = cs.lookup(1);
+    const n = names instanceof PDFArray ? names.size() : 1;
+    return { comps: n, black: new Array(n).fill(1) };
+  }
+  if (family === 'CalGray') return { comps: 1, black: [0] };
+  if (family === 'CalRGB' || family === 'Lab') return describeColorSpace(PDFName.of(family), context);
+  return null;
+}
+
+function canDecodeJpeg() {
+  return typeof createImageBitmap === 'function' && typeof document !== 'undefined';
+}
+
+/**
+ * Inspect an image XObject and decide how (or whether) it can be redacted
+ * pixel by pixel.
+ * @returns {{kind: 'raw'|'jpeg', width, height, bpc, comps, black: number[]}|null}
+ */
+function inspectImage(stream) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFBool } = PDFLib;
+  const dict = stream.dict;
+  const get = k => dict.lookup(PDFName.of(k));
+  const width = numberOf(get('Width'), 0);
+  const height = numberOf(get('Height'), 0);
+  if (!width || !height) return null;
+  const filters = filterNames(dict);
+  const last = filters[filters.length - 1];
+
+  if (last === 'DCTDecode' || last === 'DCT') {
+    const before = filters.slice(0, -1);
+    if (!canDecodeJpeg() || !before.every(f => DECODABLE_FILTERS.includes(f))) return null;
+    return { kind: 'jpeg', width, height };
+  }
+  if (!filters.every(f => DECODABLE_FILTERS.includes(f))) return null;
+
+  const imageMask = get('ImageMask');
+  const isMask = imageMask instanceof PDFBool && imageMask.asBoolean();
+  let bpc = isMask ? 1 : numberOf(get('BitsPerComponent'), 8);
+  if (![1, 2, 4, 8, 16].includes(bpc)) return null;
+  let space = isMask ? { comps: 1, black: [1] } : describeColorSpace(get('ColorSpace'), dict.context);
+  if (!space) return null;
+
+  // Respect inverted /Decode ranges (and the mask's painted/unpainted sense).
+  const decodeArr = numbersOf(get('Decode'));
+  const black = space.black.map((v, i) => {
+    if (space.indexed) return v;
+    const inverted = decodeArr && decodeArr[i * 2] > decodeArr[i * 2 + 1];
+    return inverted ? 1 - v : v;
+  });
+  return { kind: 'raw', width, height, bpc, comps: space.comps, black, indexed: !!space.indexed };
+}
+
+/**
+ * Pixel positions (column, row) of an image that fall under any rect,
+ * across every place the image is drawn.
+ */
+function* coveredPixels(width, height, placements, rects) {
+  for (const m of placements) {
+    const inv = invertMatrix(m);
+    if (!inv) continue;
+    for (const r of rects) {
+      const box = transformBox(inv, r.x1, r.y1, r.x2, r.y2);
+      const c0 = Math.max(0, Math.floor(box.x1 * width));
+      const c1 = Math.min(width - 1, Math.ceil(box.x2 * width));
+      const r0 = Math.max(0, Math.floor((1 - box.y2) * height));
+      const r1 = Math.min(height - 1, Math.ceil((1 - box.y1) * height));
+      for (let row = r0; row <= r1; row++) {
+        for (let col = c0; col <= c1; col++) {
+          const [x, y] = applyMatrix(m, (col + 0.5) / width, 1 - (row + 0.5) / height);
+          if (x >= r.x1 - 0.5 && x <= r.x2 + 0.5 && y >= r.y1 - 0.5 && y <= r.y2 + 0.5) yield [col, row];
+        }
+      }
+    }
+  }
+}
+
+function blankRawSamples(data, info, placements, rects) {
+  const { width, height, bpc, comps, black, indexed } = info;
+  const max = (1 << bpc) - 1;
+  const values = black.map(v => (indexed ? v : Math.round(v * max)));
+  const rowBytes = Math.ceil(width * comps * bpc / 8);
+  const out = new Uint8Array(Math.max(data.length, rowBytes * height));
+  out.set(data.subarray(0, out.length));
+  let count = 0;
+
+  for (const [col, row] of coveredPixels(width, height, placements, rects)) {
+    for (let c = 0; c < comps; c++) {
+      const v = values[c];
+      const bit = (col * comps + c) * bpc;
+      const at = row * rowBytes;
+      if (bpc === 8) {
+        out[at + bit / 8] = v;
+      } else if (bpc === 16) {
+        out[at + bit / 8] = v >> 8;
+        out[at + bit / 8 + 1] = v & 0xff;
+      } else {
+        const byte = at + (bit >> 3);
+        const shift = 8 - bpc - (bit & 7);
+        out[byte] = (out[byte] & ~(max << shift)) | (v << shift);
+      }
+    }
+    count++;
+  }
+  return count ? out : null;
+}
+
+async function blankJpeg(jpegBytes, info, placements, rects) {
+  const bitmap = await createImageBitmap(new Blob([jpegBytes], { type: 'image/jpeg' }));
+  const canvas = document.createElement('canvas');
+  canvas.width = info.width;
+  canvas.height = info.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, info.width, info.height);
+  bitmap.close?.();
+  const imageData = ctx.getImageData(0, 0, info.width, info.height);
+  let count = 0;
+  for (const [col, row] of coveredPixels(info.width, info.height, placements, rects)) {
+    const i = (row * info.width + col) * 4;
+    imageData.data[i] = imageData.data[i + 1] = imageData.data[i + 2] = 0;
+    imageData.data[i + 3] = 255;
+    count++;
+  }
+  if (!count) {
+    canvas.width = canvas.height = 0;
+    return null;
+  }
+  ctx.putImageData(imageData, 0, 0);
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(b => b ? resolve(b) : reject(new Error('JPEG re-encode failed')), 'image/jpeg', 0.92);
+  });
+  canvas.width = canvas.height = 0;
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Produce a redacted copy of an image XObject, or null if no pixel changed.
+ * The original object is left for garbage collection so pages that draw the
+ * same image elsewhere are unaffected.
+ */
+async function redactImage(context, stream, info, placements, rects) {
+  const PDFLib = getPDFLib();
+  const { PDFName } = PDFLib;
+  const skip = ['Length', 'Filter', 'DecodeParms'];
+  let newStream;
+
+  if (info.kind === 'jpeg') {
+    const jpeg = await blankJpeg(decodeStream(stream, 1), info, placements, rects);
+    if (!jpeg) return null;
+    skip.push('ColorSpace', 'Decode', 'BitsPerComponent');
+    newStream = context.stream(jpeg, {
+      Filter: 'DCTDecode', ColorSpace: 'DeviceRGB', BitsPerComponent: 8,
+    });
+  } else {
+    const pixels = blankRawSamples(decodeStream(stream), info, placements, rects);
+    if (!pixels) return null;
+    newStream = context.flateStream(pixels);
+  }
+
+  for (const [key, value] of stream.dict.entries()) {
+    if (!skip.includes(key.decodeText())) newStream.dict.set(key, value);
+  }
+  newStream.dict.set(PDFName.of('Length'), PDFLib.PDFNumber.of(newStream.contents.length));
+  return context.register(newStream);
+}
+
+/* ═══════════════════ Page Redaction ═══════════════════ */
+
+/**
+ * Give a resources holder (page or form) its own Resources and XObject
+ * dictionaries so that swapping an entry does not leak into other pages
+ * that share them. Returns the writable XObject dictionary.
+ */
+function ownXObjectDict(holder, resources) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFDict } = PDFLib;
+  const context = holder.context;
+  const ownRes = resources.clone(context);
+  const xobjects = ownRes.lookup(PDFName.of('XObject'));
+  const ownXo = xobjects instanceof PDFDict ? xobjects.clone(context) : context.obj({});
+  ownRes.set(PDFName.of('XObject'), ownXo);
+  holder.set(PDFName.of('Resources'), ownRes);
+  return ownXo;
+}
+
+/**
+ * Redact one content stream plus everything it draws.
+ * @returns {Promise<string|null>} Rewritten content, or null if unchanged.
+ *   Swapped image/form objects are written into `holder`'s own Resources.
+ */
+async function redactContentTree(content, resources, holder, placements, rects, stats, fontCache, depth) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFDict, PDFStream } = PDFLib;
+  const context = holder.context;
+  const resDict = resources instanceof PDFDict ? resources : null;
+  const lookupRes = (category, name) => {
+    const group = resDict?.lookup(PDFName.of(category));
+    return group instanceof PDFDict ? group.lookup(PDFName.of(name)) : undefined;
+  };
+
+  const imageInfo = new Map();
+  const result = redactOperations(content, {
+    rects,
+    placements,
+    getFont: name => {
+      const font = lookupRes('Font', name);
+      if (!(font instanceof PDFDict)) return null;
+      if (!fontCache.has(font)) {
+        let metrics = null;
+        try { metrics = loadFontMetrics(font); } catch { metrics = null; }
+        fontCache.set(font, metrics);
+      }
+      return fontCache.get(font);
+    },
+    getXObject: name => {
+      const xobj = lookupRes('XObject', name);
+      if (!(xobj instanceof PDFStream)) return null;
+      const subtype = nameOf(xobj.dict.lookup(PDFName.of('Subtype')));
+      if (subtype === 'Image') {
+        if (!imageInfo.has(name)) imageInfo.set(name, inspectImage(xobj));
+        return { subtype, redactable: !!imageInfo.get(name) };
+      }
+      if (subtype === 'Form' && depth < 12) {
+        return {
+          subtype,
+          matrix: numbersOf(xobj.dict.lookup(PDFName.of('Matrix'))) || IDENTITY,
+          bbox: numbersOf(xobj.dict.lookup(PDFName.of('BBox'))) || [0, 0, 0, 0],
+        };
+      }
+      return null;
+    },
+  });
+
+  stats.glyphsRemoved += result.glyphsRemoved;
+  stats.imagesRemoved += result.imagesRemoved;
+  stats.inlineImagesRemoved += result.inlineImagesRemoved;
+
+  const swaps = [];
+  for (const [name, imgPlacements] of result.imageHits) {
+    const stream = lookupRes('XObject', name);
+    const ref = await redactImage(context, stream, imageInfo.get(name), imgPlacements, rects);
+    if (ref) {
+      swaps.push([name, ref]);
+      stats.imagesRedacted++;
+    }
+  }
+
+  for (const [name, formPlacements] of result.formHits) {
+    const form = lookupRes('XObject', name);
+    const formDict = form.dict.clone(context);
+    const formRes = form.dict.lookup(PDFName.of('Resources'));
+    const formContent = await redactContentTree(
+      bytesToBinary(decodeStream(form)), formRes || resources, formDict,
+      formPlacements, rects, stats, fontCache, depth + 1,
+    );
+    if (formContent === null && formDict.lookup(PDFName.of('Resources')) === formRes) continue;
+    const newForm = context.flateStream(binaryToBytes(formContent ?? bytesToBinary(decodeStream(form))));
+    for (const [key, value] of formDict.entries()) {
+      if (!['Length', 'Filter', 'DecodeParms'].includes(key.decodeText())) newForm.dict.set(key, value);
+    }
+    newForm.dict.set(PDFName.of('Length'), PDFLib.PDFNumber.of(newForm.contents.length));
+    swaps.push([name, context.register(newForm)]);
+    stats.formsRewritten++;
+  }
+
+  if (swaps.length && resDict) {
+    const xobjects = ownXObjectDict(holder, resDict);
+    for (const [name, ref] of swaps) xobjects.set(PDFName.of(name), ref);
+  }
+
+  return result.content;
+}
+
+/**
+ * Remove annotations (including form widgets) that overlap a rect. Widget
+ * values and appearance streams are cleared too, since the field dictionary
+ * usually outlives the widget through /AcroForm.
+ */
+function removeOverlappingAnnotations(page, rects) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFArray, PDFDict } = PDFLib;
+  const annots = page.node.lookup(PDFName.of('Annots'));
+  if (!(annots instanceof PDFArray)) return 0;
+
+  const kept = [];
+  const removed = [];
+  for (const entry of annots.asArray()) {
+    const annot = page.node.context.lookup(entry);
+    const rect = annot instanceof PDFDict ? numbersOf(annot.lookup(PDFName.of('Rect'))) : null;
+    if (rect && boxHit({
+      x1: Math.min(rect[0], rect[2]), y1: Math.min(rect[1], rect[3]),
+      x2: Math.max(rect[0], rect[2]), y2: Math.max(rect[1], rect[3]),
+    }, rects)) {
+      removed.push(annot);
+    } else {
+      kept.push(entry);
+    }
+  }
+  if (!removed.length) return 0;
+
+  const popups = new Set(removed.map(a => a.get(PDFName.of('Popup'))).filter(Boolean));
+  const finalKept = kept.filter(entry => !popups.has(entry));
+  for (const annot of removed) {
+    for (const key of ['AP', 'V', 'Contents', 'RC']) annot.delete(PDFName.of(key));
+    const parent = annot.lookup(PDFName.of('Parent'));
+    if (parent instanceof PDFDict && nameOf(annot.lookup(PDFName.of('Subtype'))) === 'Widget') {
+      parent.delete(PDFName.of('V'));
+    }
+  }
+  page.node.set(PDFName.of('Annots'), page.node.context.obj(finalKept));
+  return removed.length + (kept.length - finalKept.length);
+}
+
+/**
+ * Permanently remove everything drawn under the given rects on one page.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument
+ * @param {number} pageIndex - 0-based page index
+ * @param {Array<{x1,y1,x2,y2}>} rects - Rects in PDF user space
+ * @returns {Promise<{glyphsRemoved: number, imagesRedacted: number,
+ *   imagesRemoved: number, inlineImagesRemoved: number,
+ *   formsRewritten: number, annotationsRemoved: number}>}
+ */
+export async function redactPageContent(pdfDoc, pageIndex, rects) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFArray, PDFStream } = PDFLib;
+  const stats = {
+    glyphsRemoved: 0, imagesRedacted: 0, imagesRemoved: 0,
+    inlineImagesRemoved: 0, formsRewritten: 0, annotationsRemoved: 0,
+  };
+  if (!rects.length) return stats;
+
+  const page = pdfDoc.getPage(pageIndex);
+  const context = pdfDoc.context;
+
+  const contents = page.node.lookup(PDFName.of('Contents'));
+  const streams = contents instanceof PDFArray
+    ? contents.asArray().map(o => context.lookup(o)).filter(s => s instanceof PDFStream)
+    : contents instanceof PDFStream ? [contents] : [];
+  // Streams may split operators across boundaries; join them with white-space.
+  const content = streams.map(s => bytesToBinary(decodeStream(s))).join('\n');
+
+  const resources = page.node.Resources();
+  const newContent = await redactContentTree(content, resources, page.node, [IDENTITY], rects, stats, new Map(), 0);
+  if (newContent !== null) {
+    const stream = context.flateStream(binaryToBytes(newContent));
+    page.node.set(PDFName.of('Contents'), context.register(stream));
+  }
+
+  stats.annotationsRemoved = removeOverlappingAnnotations(page, rects);
+  return stats;
+}
+
+/** Collect every indirect reference reachable from `roots`. */
+function collectReachable(context, roots) {
+  const PDFLib = getPDFLib();
+  const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+  const reached = new Set();
+  const stack = roots.filter(Boolean);
+
+  while (stack.length) {
+    const obj = stack.pop();
+    if (obj instanceof PDFRef) {
+      if (reached.has(obj)) continue;
+      reached.add(obj);
+      const target = context.lookup(obj);
+      if (target) stack.push(target);
+    } else if (obj instanceof PDFDict) {
+      for (const [, value] of obj.entries()) stack.push(value);
+    } else if (obj instanceof PDFArray) {
+      stack.push(...obj.asArray());
+    } else if (obj instanceof PDFStream) {
+      stack.push(obj.dict);
+    }
+  }
+  return reached;
+}
+
+/**
+ * Delete every indirect object that can no longer be reached from the
+ * trailer. pdf-lib writes all registered objects on save, so replaced
+ * content streams and images would otherwise still be in the file.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument
+ * @returns {number} Number of objects deleted
+ */
+export function removeUnreachableObjects(pdfDoc) {
+  const context = pdfDoc.context;
+  const { Root, Info, Encrypt } = context.trailerInfo;
+  const reached = collectReachable(context, [Root, Info, Encrypt]);
+
+  let deleted = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reached.has(ref)) {
+      context.delete(ref);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Delete the objects reachable from values that were just cut out of the
+ * document, unless something still in the document uses them. Unlike
+ * removeUnreachableObjects this leaves unrelated orphans alone.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument
+ * @param {Array} detached - Removed values (refs, dicts, arrays, streams)
+ * @returns {number} Number of objects deleted
+ */
+export function removeDetachedObjects(pdfDoc, detached) {
+  if (!detached.length) return 0;
+  const context = pdfDoc.context;
+  const { Root, Info, Encrypt } = context.trailerInfo;
+  const live = collectReachable(context, [Root, Info, Encrypt]);
+
+  let deleted = 0;
+  for (const ref of collectReachable(context, detached)) {
+    if (!live.has(ref)) {
+      context.delete(ref);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+/* ═══════════════════ Optional Content ═══════════════════ */
+
+const PATH_PAINT_OPS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*']);
+const PAINT_OPS = new Set(['Tj', 'TJ', 'Do', 'sh', 'BI']);
+
+/** True when q/Q and BT/ET pair up inside `ops`. */
+function balancedState(ops) {
+  let q = 0, bt = 0;
+  for (const { op } of ops) {
+    if (op === 'q') q++;
+    else if (op === 'Q' && --q < 0) return false;
+    else if (op === 'BT') bt++;
+    else if (op === 'ET' && --bt < 0) return false;
+  }
+  return q === 0 && bt === 0;
+}
+
+/**
+ * Remove content that belongs to hidden optional content groups from one
+ * content stream. A hidden `/OC … BDC … EMC` sequence is dropped whole when
+ * it leaves the graphics and text state as it found it; otherwise only its
+ * painting operators go (paths end with `n`, text and images are removed)
+ * so that the content after it still renders the same.
+ * @param {string} src - Content stream as a binary string
+ * @param {Object} opts
+ * @param {Function} opts.isHiddenOC - (propertiesOperand) => boolean, given
+ *   the BDC properties operand (a name or inline dictionary)
+ * @param {Function} [opts.isHiddenXObject] - (name) => boolean for XObjects
+ *   that carry their own /OC entry
+ * @returns {{content: string|null, removed: number}} content is null when nothing changed
+ */
+export function stripHiddenContent(src, opts) {
+  const { isHiddenOC, isHiddenXObject = () => false } = opts;
+  const ops = parseContentStream(src);
+  let out = '';
+  let last = 0;
+  let removed = 0;
+  const replace = (op, text = '') => {
+    out += src.slice(last, op.start) + text;
+    last = op.end;
+  };
+
+  for (let i = 0; i < ops.length; i++) {
+    const op = ops[i];
+    if (op.op === 'Do' && op.operands[0]?.type === 'name' && isHiddenXObject(op.operands[0].value)) {
+      replace(op);
+      removed++;
+      continue;
+    }
+    if (op.op !== 'BDC' || op.operands[0]?.value !== 'OC' || !isHiddenOC(op.operands[1])) continue;
+
+    let end = i + 1;
+    for (let depth = 0; end < ops.length; end++) {
+      const inner = ops[end].op;
+      if (inner === 'BDC' || inner === 'BMC') depth++;
+      else if (inner === 'EMC' && depth-- === 0) break;
+    }
+    const block = ops.slice(i + 1, end);
+    const close = ops[end];
+
+    if (balancedState(block)) {
+      replace({ start: op.start, end: (close || block[block.length - 1] || op).end });
+    } else {
+      replace(op);
+      for (const inner of block) {
+        if (PATH_PAINT_OPS.has(inner.op)) replace(inner, 'n');
+        else if (PAINT_OPS.has(inner.op)) replace(inner);
+        else if (inner.op === "'") replace(inner, 'T*');
+        else if (inner.op === '"') {
+          const [aw, ac] = inner.operands;
+          replace(inner, `${serializeOperand(aw)} Tw ${serializeOperand(ac)} Tc T*`);
+        }
+      }
+      if (close) replace(close);
+    }
+    removed++;
+    i = end;
+  }
+
+  if (!removed) return { content: null, removed: 0 };
+  return { content: out + src.slice(last), removed };
+}
+
+/**
+ * Work out which optional content groups are hidden in the default
+ * configuration, and a predicate that also evaluates membership
+ * dictionaries (/OCMD with a /P visibility policy).
+ */
+function hiddenGroups(pdfDoc) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFDict, PDFArray, PDFRef } = PDFLib;
+  const context = pdfDoc.context;
+  const ocProps = pdfDoc.catalog.lookup(PDFName.of('OCProperties'));
+  if (!(ocProps instanceof PDFDict)) return null;
+
+  const refsIn = arr => (arr instanceof PDFArray ? arr.asArray().filter(o => o instanceof PDFRef) : []);
+  const ocgs = refsIn(ocProps.lookup(PDFName.of('OCGs')));
+  const config = ocProps.lookup(PDFName.of('D'));
+  const cfg = key => (config instanceof PDFDict ? config.lookup(PDFName.of(key)) : undefined);
+  const on = new Set(refsIn(cfg('ON')));
+  const off = new Set(refsIn(cfg('OFF')));
+  const baseOff = nameOf(cfg('BaseState')) === 'OFF';
+  const hidden = new Set(ocgs.filter(ref => (baseOff ? !on.has(ref) : off.has(ref))));
+
+  const isHidden = value => {
+    if (value instanceof PDFRef && hidden.has(value)) return true;
+    const dict = value instanceof PDFRef ? context.lookup(value) : value;
+    if (!(dict instanceof PDFDict) || nameOf(dict.lookup(PDFName.of('Type'))) !== 'OCMD') return false;
+    const members = dict.get(PDFName.of('OCGs'));
+    const refs = members instanceof PDFRef ? [members] : refsIn(context.lookup(members));
+    if (!refs.length) return false;
+    const visible = refs.map(ref => !hidden.has(ref));
+    switch (nameOf(dict.lookup(PDFName.of('P')))) {
+      case 'AllOn': return !visible.every(Boolean);
+      case 'AnyOff': return visible.every(Boolean);
+      case 'AllOff': return visible.some(Boolean);
+      default: return !visible.some(Boolean);
+    }
+  };
+
+  return { ocProps, hidden, isHidden };
+}
+
+/**
+ * Strip hidden content from one content stream and every form it draws.
+ * Forms are rewritten in place: hidden content is hidden wherever the
+ * form is used.
+ */
+function stripContentTree(content, resources, groups, stats, visited) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFDict, PDFStream, PDFRef } = PDFLib;
+  if (!(resources instanceof PDFDict)) return null;
+  const context = resources.context;
+  const { hidden, isHidden } = groups;
+  const group = category => {
+    const dict = resources.lookup(PDFName.of(category));
+    return dict instanceof PDFDict ? dict : null;
+  };
+  const properties = group('Properties');
+  const xobjects = group('XObject');
+  const hiddenXObject = name => {
+    const xobj = xobjects?.lookup(PDFName.of(name));
+    const oc = xobj instanceof PDFStream ? xobj.dict.get(PDFName.of('OC')) : undefined;
+    return !!oc && isHidden(oc);
+  };
+
+  const result = stripHiddenContent(content, {
+    isHiddenOC: operand => {
+      if (operand?.type !== 'name') return false;
+      const entry = properties?.get(PDFName.of(operand.value));
+      return !!entry && isHidden(entry);
+    },
+    isHiddenXObject: hiddenXObject,
+  });
+  stats.contentRemoved += result.removed;
+
+  // Nothing draws the hidden resources any more; drop them so their data goes too
+  for (const [key, value] of properties ? properties.entries() : []) {
+    if (value instanceof PDFRef && hidden.has(value)) properties.delete(key);
+  }
+  for (const [key, ref] of xobjects ? xobjects.entries() : []) {
+    if (hiddenXObject(key.decodeText())) {
+      xobjects.delete(key);
+      stats.detached.push(ref);
+      continue;
+    }
+    if (!(ref instanceof PDFRef) || visited.has(ref)) continue;
+    visited.add(ref);
+    const form = context.lookup(ref);
+    if (!(form instanceof PDFStream) || nameOf(form.dict.lookup(PDFName.of('Subtype'))) !== 'Form') continue;
+    let formContent;
+    try { formContent = bytesToBinary(decodeStream(form)); } catch { continue; }
+    const formRes = form.dict.lookup(PDFName.of('Resources')) || resources;
+    const stripped = stripContentTree(formContent, formRes, groups, stats, visited);
+    if (stripped === null) continue;
+    const newForm = context.flateStream(binaryToBytes(stripped));
+    for (const [key, value] of form.dict.entries()) {
+      if (!['Length', 'Filter', 'DecodeParms'].includes(key.decodeText())) newForm.dict.set(key, value);
+    }
+    newForm.dict.set(PDFName.of('Length'), PDFLib.PDFNumber.of(newForm.contents.length));
+    context.assign(ref, newForm);
+  }
+
+  return result.content;
+}
+
+/**
+ * Remove every optional content group (layer) that is hidden in the
+ * document's default configuration, along with the content, XObjects and
+ * annotations it governs. Groups that a membership dictionary still refers
+ * to keep an anonymised dictionary so that the remaining visibility
+ * expressions evaluate the same.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument
+ * @returns {{layersRemoved: number, contentRemoved: number, annotationsRemoved: number,
+ *   detached: Array}} detached lists the values cut out of the document
+ */
+export function removeHiddenOptionalContent(pdfDoc) {
+  const PDFLib = getPDFLib();
+  const { PDFName, PDFDict, PDFArray, PDFStream } = PDFLib;
+  const stats = { layersRemoved: 0, contentRemoved: 0, annotationsRemoved: 0, detached: [] };
+  const groups = hiddenGroups(pdfDoc);
+  if (!groups || !groups.hidden.size) return stats;
+  const { ocProps, hidden, isHidden } = groups;
+  const context = pdfDoc.context;
+  const visited = new Set();
+
+  for (const page of pdfDoc.getPages()) {
+    const contents = page.node.lookup(PDFName.of('Contents'));
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map(o => context.lookup(o)).filter(s => s instanceof PDFStream)
+      : contents instanceof PDFStream ? [contents] : [];
+    let content;
+    try { content = streams.map(s => bytesToBinary(decodeStream(s))).join('\n'); } catch { content = null; }
+    if (content !== null) {
+      const stripped = stripContentTree(content, page.node.Resources(), groups, stats, visited);
+      if (stripped !== null) {
+        stats.detached.push(page.node.get(PDFName.of('Contents')));
+        page.node.set(PDFName.of('Contents'), context.register(context.flateStream(binaryToBytes(stripped))));
+      }
+    }
+
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (!(annots instanceof PDFArray)) continue;
+    const kept = annots.asArray().filter(entry => {
+      const annot = context.lookup(entry);
+      const oc = annot instanceof PDFDict ? annot.get(PDFName.of('OC')) : undefined;
+      if (!oc || !isHidden(oc)) return true;
+      stats.detached.push(entry);
+      return false;
+    });
+    if (kept.length < annots.size()) {
+      stats.annotationsRemoved += annots.size() - kept.length;
+      stats.detached.push(page.node.get(PDFName.of('Annots')));
+      page.node.set(PDFName.of('Annots'), context.obj(kept));
+    }
+  }
+
+  // Membership dictionaries anywhere in the file keep their groups alive
+  const referenced = new Set();
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFDict && nameOf(obj.lookup(PDFName.of('Type'))) === 'OCMD') {
+      const members = obj.get(PDFName.of('OCGs'));
+      const list = context.lookup(members);
+      for (const ref of list instanceof PDFArray ? list.asArray() : [members]) referenced.add(ref);
+    }
+  }
+  const dropped = new Set([...hidden].filter(ref => !referenced.has(ref)));
+  stats.layersRemoved = hidden.size;
+  stats.detached.push(...dropped);
+  for (const ref of hidden) {
+    const ocg = context.lookup(ref);
+    if (!dropped.has(ref) && ocg instanceof PDFDict) {
+      ocg.set(PDFName.of('Name'), PDFLib.PDFString.of('Removed layer'));
+      ocg.delete(PDFName.of('Usage'));
+    }
+  }
+
+  // Prune the dropped groups from every array in the configuration dictionaries
+  const prune = arr => context.obj(arr.asArray().filter(o => !dropped.has(o)).map(o => {
+    if (o instanceof PDFArray) return prune(o);
+    if (o instanceof PDFDict) pruneDict(o);
+    return o;
+  }));
+  const pruneDict = dict => {
+    for (const [key] of dict.entries()) {
+      const value = dict.lookup(key);
+      if (value instanceof PDFArray) dict.set(key, prune(value));
+      else if (value instanceof PDFDict) pruneDict(value);
+    }
+  };
+  pruneDict(ocProps);
+
+  return stats;
+}
+
+/* ═══════════════════ Verification ═══════════════════ */
+
+/**
+ * Call visit(char, rectIndex) for every non-blank character of the text
+ * items whose estimated centre falls inside one of the rects. Character
+ * positions are estimated by spreading each item's width evenly across
+ * its characters.
+ */
+function forEachCharUnderRects(items, rects, visit) {
+  for (const item of items) {
+    const str = item.str || '';
+    if (!str.trim()) continue;
+    const [a, b, c, d, e, f] = item.transform;
+    const along = Math.hypot(a, b) || 1;
+    const up = Math.hypot(c, d) || 1;
+    const dir = [a / along, b / along];
+    const norm = [c / up, d / up];
+    const charW = (item.width || 0) / str.length;
+    const lift = (item.height || up) * 0.35;
+    // Stay clear of the rect edges so glyphs that merely touch it pass.
+    const inset = Math.min(1.5, charW * 0.25);
+    for (let i = 0; i < str.length; i++) {
+      if (!str[i].trim()) continue;
+      const x = e + dir[0] * charW * (i + 0.5) + norm[0] * lift;
+      const y = f + dir[1] * charW * (i + 0.5) + norm[1] * lift;
+      const hit = rects.findIndex(r => x > r.x1 + inset && x < r.x2 - inset && y > r.y1 + inset && y < r.y2 - inset);
+      if (hit >= 0) visit(str[i], hit, item);
+    }
+  }
+}
+
+/**
+ * Check a rendered document's text layer for characters that still sit
+ * under a redaction rect.
+ * @param {Object} pdfDoc - PDF.js document of the exported file
+ * @param {Object<number, Array<{x1,y1,x2,y2}>>} pageRects - Rects by 1-based page
+ * @returns {Promise<Array<{pageNum: number, text: string}>>} Leaked text (empty when clean)
+ */
+export async function findTextUnderRects(pdfDoc, pageRects) {
+  const leaks = [];
+  for (const [pageKey, rects] of Object.entries(pageRects)) {
+    const pageNum = Number(pageKey);
+    if (!rects.length || pageNum < 1 || pageNum > pdfDoc.numPages) continue;
+    const page = await pdfDoc.getPage(pageNum);
+    const { items } = await page.getTextContent();
+
+    const leakedByItem = new Map();
+    forEachCharUnderRects(items, rects, (ch, _, item) => {
+      leakedByItem.set(item, (leakedByItem.get(item) || '') + ch);
+    });
+    for (const text of leakedByItem.values()) leaks.push({ pageNum, text });
+    page.cleanup?.();
+  }
+  return leaks;
+}
+
+/**
+ * Count the characters of text under each rect on one page, e.g. to log
+ * how much text a redaction removes before it is applied.
+ * @param {Object} pdfDoc - PDF.js document
+ * @param {number} pageNum - 1-based page
+ * @param {Array<{x1,y1,x2,y2}>} rects - Rects in PDF user space
+ * @returns {Promise<number[]>} One count per rect; a character inside
+ *   overlapping rects counts for the first
+ */
+export async function countTextUnderRects(pdfDoc, pageNum, rects) {
+  const counts = rects.map(() => 0);
+  if (!rects.length || pageNum < 1 || pageNum > pdfDoc.numPages) return counts;
+  const page = await pdfDoc.getPage(pageNum);
+  const { items } = await page.getTextContent();
+  forEachCharUnderRects(items, rects, (_, index) => { counts[index]++; });
+  page.cleanup?.();
+  return counts;
+}
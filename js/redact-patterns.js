@@ -1,6 +1,7 @@
 /**
  * Mudbrick — Redaction Search Patterns (Phase 3)
- * Auto-detect sensitive data (SSN, credit cards, emails, phone numbers)
+ * Auto-detect sensitive data (SSN, credit cards, emails, phone numbers,
+ * bank and government ID numbers, addresses…) and lists of names or terms,
  * and create redaction rectangles over matching text.
  *
  * Works with the existing text layer (PDF.js text content items)
@@ -8,6 +9,8 @@
  * redaction rectangles.
  */
 
+import { getOCRResults } from './ocr.js';
+
 /* ═══════════════════ Pattern Definitions ═══════════════════ */
 
 export const REDACTION_PATTERNS = {
@@ -59,6 +62,84 @@ export const REDACTION_PATTERNS = {
     regex: /\b(?:\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4})\b/gi,
     validate: () => true,
   },
+  routingNumber: {
+    label: 'Bank Routing Numbers',
+    description: '9-digit ABA routing numbers (checksum verified)',
+    regex: /\b\d{9}\b/g,
+    validate: (match) => {
+      const prefix = parseInt(match.substring(0, 2), 10);
+      // Federal Reserve districts, thrifts, electronic and traveler's cheque prefixes
+      const validPrefix = prefix <= 12 || (prefix >= 21 && prefix <= 32) ||
+        (prefix >= 61 && prefix <= 72) || prefix === 80;
+      return validPrefix && abaCheck(match);
+    },
+  },
+  bankAccount: {
+    label: 'Bank Account Numbers',
+    description: '6–17 digits following "Account" or "Acct"',
+    regex: /(?<=\b(?:account|acct)\.?\s*(?:no\.?|number|#)?\s*[:#]?\s*)\d[\d-]{4,18}\d\b/gi,
+    validate: (match) => {
+      const digits = match.replace(/-/g, '');
+      return digits.length >= 6 && digits.length <= 17;
+    },
+  },
+  ein: {
+    label: 'Employer Identification Numbers',
+    description: 'XX-XXXXXXX format',
+    regex: /\b\d{2}-\d{7}\b/g,
+    validate: (match) => !INVALID_EIN_PREFIXES.has(match.substring(0, 2)),
+  },
+  itin: {
+    label: 'Individual Taxpayer Identification Numbers',
+    description: '9XX-7X-XXXX format',
+    regex: /\b9\d{2}[-\s]?\d{2}[-\s]?\d{4}\b/g,
+    validate: (match) => {
+      const digits = match.replace(/[-\s]/g, '');
+      if (digits.length !== 9) return false;
+      const group = parseInt(digits.substring(3, 5), 10);
+      return (group >= 50 && group <= 65) || (group >= 70 && group <= 88) ||
+        (group >= 90 && group <= 92) || group >= 94;
+    },
+  },
+  passport: {
+    label: 'Passport Numbers',
+    description: '6–9 letters and digits following "Passport"',
+    regex: /(?<=\bpassport\s*(?:no\.?|number|#)?\s*[:#]?\s*)[A-Z0-9]{6,9}\b/gi,
+    validate: (match) => /\d/.test(match),
+  },
+  driversLicense: {
+    label: "Driver's License Numbers",
+    description: 'CA, FL, GA, IL, MI, NJ, NY, OH, PA, TX and WA formats following "DL" or "License"',
+    regex: /(?<=\b(?:driver(?:'|’)?s?\s+licen[cs]e|licen[cs]e|DL|D\.L\.)\s*(?:no\.?|number|#)?\s*[:#]?\s*)[A-Z0-9][A-Z0-9-]{4,20}[A-Z0-9]\b/gi,
+    validate: (match) => {
+      const id = match.replace(/-/g, '').toUpperCase();
+      return Object.values(DRIVERS_LICENSE_FORMATS).some(re => re.test(id));
+    },
+  },
+  dob: {
+    label: 'Dates of Birth',
+    description: 'Dates following "DOB", "Date of Birth" or "Born"',
+    regex: /(?<=\b(?:DOB|D\.O\.B\.?|date\s+of\s+birth|birth\s*date|born(?:\s+on)?)\s*[:#-]?\s*)(?:\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4})\b/gi,
+    validate: () => true,
+  },
+  ipAddress: {
+    label: 'IP Addresses',
+    description: 'IPv4 and IPv6',
+    regex: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b|(?<![\w:])[0-9a-f]{0,4}(?::[0-9a-f]{0,4}){2,7}(?![\w:])/gi,
+    validate: (match) => match.includes('.') || isIPv6(match),
+  },
+  streetAddress: {
+    label: 'Street Addresses',
+    description: '123 Main St, Apt 4',
+    regex: /\b\d{1,6}\s+(?:[NSEW]\.?\s+)?(?:(?:[A-Z][A-Za-z'.-]*|\d+(?:st|nd|rd|th))\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy|Square|Sq|Trail|Trl)\b\.?(?:\s+(?:NE|NW|SE|SW|[NSEW])\b\.?)?(?:,?\s+(?:Apt|Apartment|Suite|Ste|Unit|Floor|Fl|#)\.?\s*#?[A-Za-z0-9-]+)?/g,
+    validate: () => true,
+  },
+  mrn: {
+    label: 'Medical Record Numbers',
+    description: 'Identifiers following "MRN" or "Medical Record"',
+    regex: /(?<=\b(?:MRN|med(?:ical)?\.?\s+rec(?:ord)?\.?\s*(?:no\.?|number|#)?)\s*[:#]?\s*)[A-Z0-9][A-Z0-9-]{3,14}[A-Z0-9]\b/gi,
+    validate: (match) => /\d/.test(match),
+  },
   custom: {
     label: 'Custom Pattern',
     description: 'Enter your own regex or text to find',
@@ -67,17 +148,57 @@ export const REDACTION_PATTERNS = {
   },
 };
 
+/** EIN prefixes the IRS has never assigned */
+const INVALID_EIN_PREFIXES = new Set([
+  '00', '07', '08', '09', '17', '18', '19', '28', '29', '49', '69', '70', '78', '79', '89', '96', '97',
+]);
+
+/** Driver's license number formats by state, matched without dashes */
+export const DRIVERS_LICENSE_FORMATS = {
+  CA: /^[A-Z]\d{7}$/,
+  FL: /^[A-Z]\d{12}$/,
+  GA: /^\d{7,9}$/,
+  IL: /^[A-Z]\d{11}$/,
+  MI: /^[A-Z]\d{12}$/,
+  NJ: /^[A-Z]\d{14}$/,
+  NY: /^\d{9}$/,
+  OH: /^[A-Z]{2}\d{6}$/,
+  PA: /^\d{8}$/,
+  TX: /^\d{8}$/,
+  WA: /^WDL[A-Z0-9]{9}$/,
+};
+
 /* ═══════════════════ Pattern Search ═══════════════════ */
 
+/** OCR matches with a word below this confidence are flagged for review */
+export const OCR_REVIEW_CONFIDENCE = 70;
+
 /**
  * Search for patterns in text content across all pages.
+ *
+ * Pages without a usable text layer (scans) are searched through their OCR
+ * words instead, so a scanned SSN is still found once the page has been
+ * OCR'd. With `ocr: 'merge'`, OCR words are searched on every page as well
+ * and any OCR match that overlaps a text-layer match is dropped.
+ *
  * @param {Object} pdfDoc - PDF.js document
  * @param {string[]} patternNames - Which patterns to search for
  * @param {string} [customPattern] - Custom regex string (when 'custom' is in patternNames)
- * @returns {Promise<Array>} Matches with page numbers and text positions
+ * @param {Object} [opts]
+ * @param {string} [opts.ocr='fallback'] - 'fallback', 'merge' or 'off'
+ * @param {number} [opts.reviewConfidence=OCR_REVIEW_CONFIDENCE]
+ * @param {string[]} [opts.terms] - Names or terms to find as well, reported as pattern 'terms'
+ * @param {boolean} [opts.wholeWord=true] - Terms only match whole words
+ * @param {boolean} [opts.caseSensitive=false] - Terms match case exactly
+ * @returns {Promise<Array>} Matches with page numbers and text positions.
+ *   `source` is 'text' or 'ocr'; OCR matches also carry the lowest word
+ *   `confidence` and `needsReview` when it is below reviewConfidence.
  */
-export async function searchPatterns(pdfDoc, patternNames, customPattern) {
+export async function searchPatterns(pdfDoc, patternNames, customPattern, opts = {}) {
   if (!pdfDoc) return [];
+  const { ocr = 'fallback', reviewConfidence = OCR_REVIEW_CONFIDENCE } = opts;
+  const patterns = compilePatterns(patternNames, customPattern, opts);
+  if (!patterns.length) return [];
 
   const results = [];
   const pageCount = pdfDoc.numPages;
@@ -88,52 +209,92 @@ export async function searchPatterns(pdfDoc, patternNames, customPattern) {
     const viewport = page.getViewport({ scale: 1.0 });
 
     // Build full text for the page with character position mapping
-    const { fullText, charMap } = buildCharMap(textContent.items, viewport);
-
-    for (const patternName of patternNames) {
-      const pattern = REDACTION_PATTERNS[patternName];
-      if (!pattern) continue;
-
-      let regex = pattern.regex;
-      if (patternName === 'custom' && customPattern) {
-        try {
-          regex = new RegExp(customPattern, 'gi');
-        } catch {
-          // Invalid regex — treat as literal
-          regex = new RegExp(escapeRegex(customPattern), 'gi');
-        }
-      }
-      if (!regex) continue;
-
-      // Reset regex state
-      regex.lastIndex = 0;
-      let match;
-      while ((match = regex.exec(fullText)) !== null) {
-        const matchText = match[0];
-
-        // Validate match
-        if (pattern.validate && !pattern.validate(matchText)) continue;
-
-        // Get bounding rectangles for this match
-        const startIdx = match.index;
-        const endIdx = startIdx + matchText.length;
-        const rects = getRectsForRange(charMap, startIdx, endIdx);
-
-        if (rects.length > 0) {
-          results.push({
-            pageNum,
-            pattern: patternName,
-            text: matchText,
-            rects, // [{ x, y, width, height }] in PDF coordinates
-          });
-        }
+    const textMap = buildCharMap(textContent.items, viewport);
+    const pageMatches = findMatches(textMap, patterns)
+      .map(m => ({ pageNum, ...m, source: 'text' }));
+
+    const ocrResult = ocr !== 'off' ? getOCRResults(pageNum) : null;
+    const scanned = textMap.fullText.trim().length < MIN_TEXT_LAYER_CHARS;
+    if (ocrResult?.words?.length && (scanned || ocr === 'merge')) {
+      for (const m of findMatches(buildOCRCharMap(ocrResult.words), patterns)) {
+        if (pageMatches.some(t => t.source === 'text' && rectsOverlap(t.rects, m.rects))) continue;
+        pageMatches.push({ pageNum, ...m, source: 'ocr', needsReview: m.confidence < reviewConfidence });
       }
     }
+    results.push(...pageMatches);
   }
 
   return results;
 }
 
+/** Pages with less text than this are treated as scans (as isPageScanned does) */
+const MIN_TEXT_LAYER_CHARS = 20;
+
+/**
+ * Regexes to run for the selected pattern names, the custom pattern and
+ * the term list.
+ * @returns {Array<{name: string, regex: RegExp, validate: function}>}
+ */
+function compilePatterns(patternNames, customPattern, opts) {
+  const compiled = [];
+  for (const patternName of patternNames) {
+    const pattern = REDACTION_PATTERNS[patternName];
+    if (!pattern) continue;
+
+    let regex = pattern.regex;
+    if (patternName === 'custom' && customPattern) {
+      try {
+        regex = new RegExp(customPattern, 'gi');
+      } catch {
+        // Invalid regex — treat as literal
+        regex = new RegExp(escapeRegex(customPattern), 'gi');
+      }
+    }
+    if (!regex) continue;
+    compiled.push({ name: patternName, regex, validate: pattern.validate });
+  }
+
+  const termRegex = opts.terms?.length ? buildTermRegex(opts.terms, opts) : null;
+  if (termRegex) compiled.push({ name: 'terms', regex: termRegex, validate: () => true });
+  return compiled;
+}
+
+/**
+ * Run compiled patterns over one character map.
+ * @returns {Array<{pattern: string, text: string, rects: Array, confidence?: number}>}
+ */
+function findMatches({ fullText, charMap }, patterns) {
+  const matches = [];
+  for (const { name: patternName, regex, validate } of patterns) {
+    // Reset regex state
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(fullText)) !== null) {
+      const matchText = match[0];
+      if (!matchText) { regex.lastIndex++; continue; }
+
+      // Validate match
+      if (validate && !validate(matchText)) continue;
+
+      // Get bounding rectangles for this match
+      const startIdx = match.index;
+      const endIdx = startIdx + matchText.length;
+      const rects = getRectsForRange(charMap, startIdx, endIdx);
+      if (rects.length === 0) continue;
+
+      const found = {
+        pattern: patternName,
+        text: matchText,
+        rects, // [{ x, y, width, height }] in PDF coordinates
+      };
+      const confidence = rangeConfidence(charMap, startIdx, endIdx);
+      if (confidence !== null) found.confidence = confidence;
+      matches.push(found);
+    }
+  }
+  return matches;
+}
+
 /**
  * Build a character-level position map from text content items.
  * Returns { fullText, charMap } where charMap[charIndex] = { x, y, w, h, item }
@@ -189,6 +350,53 @@ function transformPoint(viewportTransform, textTransform) {
   ];
 }
 
+/**
+ * Character map for OCR words. OCR boxes are already in top-left page
+ * coordinates at scale 1, the same space as the text-layer map. Characters
+ * share their word's box evenly; the space between two words on one line
+ * spans the gap, so a match across words ("555 123 4567") gets one box.
+ */
+function buildOCRCharMap(words) {
+  let fullText = '';
+  const charMap = [];
+
+  words.forEach((word, idx) => {
+    const text = word.text || '';
+    if (!text) return;
+    const { x0, y0, x1, y1 } = word.bbox;
+    const h = y1 - y0;
+
+    if (idx > 0 && fullText) {
+      const prev = charMap[charMap.length - 1];
+      const gapStart = prev ? prev.x + prev.w : 0;
+      const sameLine = prev && Math.abs(prev.y - y0) < h * 0.5 && x0 > prev.x;
+      fullText += ' ';
+      charMap.push(sameLine
+        ? { x: gapStart, y: Math.min(prev.y, y0), w: Math.max(0, x0 - gapStart), h: Math.max(prev.h, h), confidence: Infinity }
+        : null);
+    }
+
+    const w = (x1 - x0) / text.length;
+    for (let i = 0; i < text.length; i++) {
+      charMap.push({ x: x0 + w * i, y: y0, w, h, confidence: word.confidence ?? 0 });
+    }
+    fullText += text;
+  });
+
+  return { fullText, charMap };
+}
+
+/** Lowest OCR confidence in a character range; null for text-layer maps */
+function rangeConfidence(charMap, startIdx, endIdx) {
+  let min = null;
+  for (let i = startIdx; i < endIdx && i < charMap.length; i++) {
+    const c = charMap[i]?.confidence;
+    if (c === undefined || c === Infinity) continue;
+    min = min === null ? c : Math.min(min, c);
+  }
+  return min;
+}
+
 /**
  * Get bounding rectangles for a character range in the char map.
  */
@@ -225,8 +433,125 @@ function getRectsForRange(charMap, startIdx, endIdx) {
   return rects;
 }
 
+/* ═══════════════════ Name & Term Lists ═══════════════════ */
+
+/**
+ * Terms from a loaded list: one per line in a .txt file, one per non-empty
+ * cell in a .csv file. Blank entries and duplicates are dropped.
+ * @param {string} text - File contents
+ * @param {string} [format='txt'] - 'txt' or 'csv'
+ * @returns {string[]}
+ */
+export function parseTermList(text, format = 'txt') {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const cells = format === 'csv' ? lines.flatMap(parseCSVLine) : lines;
+  const seen = new Set();
+  const terms = [];
+  for (const cell of cells) {
+    const term = cell.trim().replace(/\s+/g, ' ');
+    if (!term || seen.has(term)) continue;
+    seen.add(term);
+    terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * One regex matching every term. Longer terms are tried first so
+ * "John Smith" wins over "John", and any run of whitespace in the text
+ * matches a space in a term, since lines and text items are joined with
+ * spaces.
+ * @param {string[]} terms
+ * @param {Object} [opts]
+ * @param {boolean} [opts.wholeWord=true]
+ * @param {boolean} [opts.caseSensitive=false]
+ * @returns {RegExp|null} null when there are no terms
+ */
+export function buildTermRegex(terms, { wholeWord = true, caseSensitive = false } = {}) {
+  const sources = [...new Set(terms.map(t => t.trim()).filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .map(t => t.split(/\s+/).map(escapeRegex).join('\\s+'));
+  if (!sources.length) return null;
+  const body = `(?:${sources.join('|')})`;
+  // Lookarounds rather than \b so terms that start or end with punctuation still work
+  const source = wholeWord ? `(?<![\\p{L}\\p{N}_])${body}(?![\\p{L}\\p{N}_])` : body;
+  return new RegExp(source, caseSensitive ? 'gu' : 'giu');
+}
+
+/* ═══════════════════ Saved Pattern Sets ═══════════════════ */
+
+const PATTERN_SETS_KEY = 'mudbrick-redact-pattern-sets';
+
+/**
+ * @typedef {Object} PatternSet
+ * @property {string}   name
+ * @property {string[]} patterns      - REDACTION_PATTERNS keys
+ * @property {string}   custom        - Custom regex or text
+ * @property {string[]} terms         - Names and terms
+ * @property {boolean}  wholeWord
+ * @property {boolean}  caseSensitive
+ * @property {string}   reason        - Reason code for the redactions
+ */
+
+/**
+ * Saved pattern sets, sorted by name.
+ * @returns {PatternSet[]}
+ */
+export function getPatternSets() {
+  try {
+    const raw = localStorage.getItem(PATTERN_SETS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save a pattern set, replacing any set with the same name.
+ * @param {PatternSet} set
+ * @returns {boolean} false when the set has no name or storage is full
+ */
+export function savePatternSet(set) {
+  const name = set?.name?.trim();
+  if (!name) return false;
+  const sets = getPatternSets().filter(s => s.name !== name);
+  sets.push({
+    name,
+    patterns: set.patterns || [],
+    custom: set.custom || '',
+    terms: set.terms || [],
+    wholeWord: set.wholeWord !== false,
+    caseSensitive: !!set.caseSensitive,
+    reason: set.reason || '',
+  });
+  sets.sort((a, b) => a.name.localeCompare(b.name));
+  try {
+    localStorage.setItem(PATTERN_SETS_KEY, JSON.stringify(sets));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Delete a saved pattern set.
+ * @param {string} name
+ */
+export function deletePatternSet(name) {
+  const sets = getPatternSets().filter(s => s.name !== name);
+  try {
+    localStorage.setItem(PATTERN_SETS_KEY, JSON.stringify(sets));
+  } catch {}
+}
+
 /* ═══════════════════ Helpers ═══════════════════ */
 
+function rectsOverlap(a, b) {
+  return a.some(r => b.some(o =>
+    r.x < o.x + o.width && o.x < r.x + r.width &&
+    r.y < o.y + o.height && o.y < r.y + r.height));
+}
+
 function luhnCheck(num) {
   let sum = 0;
   let alt = false;
@@ -242,6 +567,53 @@ function luhnCheck(num) {
   return sum % 10 === 0;
 }
 
+/** ABA routing checksum: weights 3, 7, 1 repeating */
+function abaCheck(num) {
+  const weights = [3, 7, 1];
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += parseInt(num[i], 10) * weights[i % 3];
+  return sum % 10 === 0;
+}
+
+function isIPv6(str) {
+  const halves = str.split('::');
+  if (halves.length > 2) return false;
+  const groups = halves.flatMap(h => (h ? h.split(':') : []));
+  if (!groups.every(g => /^[0-9a-f]{1,4}$/i.test(g))) return false;
+  return halves.length === 2 ? groups.length < 8 && groups.length > 0 : groups.length === 8;
+}
+
+function parseCSVLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        current += ch;
+      }
+    } else {
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ',') {
+        result.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+  }
+  result.push(current.trim());
+  return result;
+}
+
 function escapeRegex(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
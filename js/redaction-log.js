@@ -0,0 +1,146 @@
+/**
+ * Mudbrick — Redaction Reasons & Log
+ * Reason codes for redaction boxes and the redaction log written during
+ * export: one row per redaction with its page, Bates number, reason and
+ * the number of characters removed, as CSV (for a privilege log) or as
+ * a printable PDF.
+ */
+
+const getPDFLib = () => window.PDFLib;
+
+/**
+ * Preset reason codes. The code is what gets stored on the redaction and
+ * printed in the box; any other text is accepted as a custom code.
+ */
+export const REDACTION_REASONS = [
+  { code: 'AC', label: 'Attorney-Client Privilege' },
+  { code: 'WP', label: 'Attorney Work Product' },
+  { code: 'PII', label: 'Personally Identifiable Information' },
+  { code: '(b)(1)', label: 'FOIA (b)(1) — Classified national security information' },
+  { code: '(b)(2)', label: 'FOIA (b)(2) — Internal personnel rules and practices' },
+  { code: '(b)(3)', label: 'FOIA (b)(3) — Exempted by statute' },
+  { code: '(b)(4)', label: 'FOIA (b)(4) — Trade secrets and confidential commercial information' },
+  { code: '(b)(5)', label: 'FOIA (b)(5) — Privileged inter- or intra-agency communications' },
+  { code: '(b)(6)', label: 'FOIA (b)(6) — Personal privacy' },
+  { code: '(b)(7)(A)', label: 'FOIA (b)(7)(A) — Interference with enforcement proceedings' },
+  { code: '(b)(7)(C)', label: 'FOIA (b)(7)(C) — Personal privacy in law enforcement records' },
+  { code: '(b)(7)(D)', label: 'FOIA (b)(7)(D) — Confidential sources' },
+  { code: '(b)(7)(E)', label: 'FOIA (b)(7)(E) — Law enforcement techniques and procedures' },
+  { code: '(b)(7)(F)', label: 'FOIA (b)(7)(F) — Personal safety' },
+  { code: '(b)(8)', label: 'FOIA (b)(8) — Financial institution supervision' },
+  { code: '(b)(9)', label: 'FOIA (b)(9) — Geological information on wells' },
+];
+
+/**
+ * Description for a reason code; custom codes describe themselves.
+ * @param {string} code
+ * @returns {string}
+ */
+export function describeReason(code) {
+  if (!code) return '';
+  return REDACTION_REASONS.find(r => r.code === code)?.label || code;
+}
+
+/**
+ * @typedef {Object} RedactionLogEntry
+ * @property {number}      pageNum    - 1-based page
+ * @property {string}      bates      - Bates label of the page ('' when not numbered)
+ * @property {string}      reason     - Reason code ('' when none was given)
+ * @property {number|null} textLength - Characters of text removed (null when not measured)
+ */
+
+const LOG_COLUMNS = ['Page', 'Bates', 'Reason', 'Description', 'Redacted Characters'];
+
+function logRow(entry) {
+  return [
+    String(entry.pageNum),
+    entry.bates || '',
+    entry.reason || '',
+    describeReason(entry.reason),
+    entry.textLength == null ? '' : String(entry.textLength),
+  ];
+}
+
+/**
+ * Redaction log as CSV, one row per redaction in page order.
+ * @param {RedactionLogEntry[]} entries
+ * @returns {string}
+ */
+export function buildRedactionLogCSV(entries) {
+  const rows = [LOG_COLUMNS, ...sortEntries(entries).map(logRow)];
+  return rows.map(row => row.map(csvEscape).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Redaction log as a landscape Letter PDF table.
+ * @param {RedactionLogEntry[]} entries
+ * @param {Object} [opts]
+ * @param {string} [opts.fileName] - Document the log belongs to, shown in the title
+ * @param {Date}   [opts.date=new Date()]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function buildRedactionLogPDF(entries, { fileName = '', date = new Date() } = {}) {
+  const { PDFDocument, StandardFonts, rgb } = getPDFLib();
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const [W, H] = [792, 612];
+  const margin = 40;
+  const widths = [40, 110, 80, 372, 110];
+  const lineHeight = 16;
+  const size = 9;
+
+  let page = null;
+  let y = 0;
+  const newPage = () => {
+    page = doc.addPage([W, H]);
+    y = H - margin;
+    page.drawText('Redaction Log', { x: margin, y: y - 14, size: 14, font: bold });
+    const subtitle = [fileName, date.toLocaleDateString(), `${entries.length} redaction${entries.length === 1 ? '' : 's'}`]
+      .filter(Boolean).join('  ·  ');
+    page.drawText(subtitle, { x: margin, y: y - 30, size, font, color: rgb(0.35, 0.35, 0.35) });
+    y -= 52;
+    drawRow(LOG_COLUMNS, bold);
+    page.drawLine({
+      start: { x: margin, y: y + lineHeight - 4 }, end: { x: W - margin, y: y + lineHeight - 4 },
+      thickness: 0.5, color: rgb(0.5, 0.5, 0.5),
+    });
+  };
+  const drawRow = (cells, rowFont) => {
+    let x = margin;
+    cells.forEach((cell, i) => {
+      page.drawText(fitText(cell, rowFont, size, widths[i] - 6), { x, y, size, font: rowFont });
+      x += widths[i];
+    });
+    y -= lineHeight;
+  };
+
+  newPage();
+  for (const entry of sortEntries(entries)) {
+    if (y < margin) newPage();
+    drawRow(logRow(entry), font);
+  }
+  return doc.save();
+}
+
+/* ═══════════════════ Helpers ═══════════════════ */
+
+function sortEntries(entries) {
+  return entries.slice().sort((a, b) => a.pageNum - b.pageNum);
+}
+
+/** Trim text with an ellipsis until it fits the given width */
+function fitText(text, font, size, maxWidth) {
+  const clean = String(text).replace(/[^\x20-\x7E\xA0-\xFF\u2013\u2014\u2026]/g, '?');
+  if (font.widthOfTextAtSize(clean, size) <= maxWidth) return clean;
+  let end = clean.length;
+  while (end > 0 && font.widthOfTextAtSize(clean.slice(0, end) + '…', size) > maxWidth) end--;
+  return clean.slice(0, end) + '…';
+}
+
+function csvEscape(str) {
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
@@ -0,0 +1,381 @@
+/**
+ * Mudbrick — Document Sanitization (Phase 3)
+ * Strips hidden data from a PDF before it is produced to another party:
+ * document properties and XMP metadata, JavaScript and automatic actions,
+ * embedded files, hidden layers, thumbnails, private application data
+ * (PieceInfo), unreferenced objects, and optionally comments and form data.
+ *
+ * Works directly on pdf-lib's object model. Each pass counts what it
+ * removed so the sanitize modal can show a per-category report, and
+ * everything a pass cuts out is deleted from the file afterwards unless
+ * something that stays still uses it.
+ */
+
+import {
+  removeUnreachableObjects, removeDetachedObjects, removeHiddenOptionalContent,
+} from './redact-content.js';
+
+const getPDFLib = () => window.PDFLib;
+
+const pdfName = name => getPDFLib().PDFName.of(name);
+
+/* ═══════════════════ Categories ═══════════════════ */
+
+/**
+ * Sanitize categories in the order the sanitize modal lists them.
+ * `option` is the sanitize option, `count` the report field that says how
+ * many items were removed, and `enabled` the default.
+ */
+export const SANITIZE_CATEGORIES = [
+  { option: 'metadata', count: 'fieldsCount', label: 'Document properties', enabled: true },
+  { option: 'xmp', count: 'xmpStreams', label: 'XMP metadata streams', enabled: true },
+  { option: 'javascript', count: 'javascript', label: 'JavaScript', enabled: true },
+  { option: 'actions', count: 'actions', label: 'Open, trigger and launch actions', enabled: true },
+  { option: 'embeddedFiles', count: 'embeddedFiles', label: 'Embedded files', enabled: true },
+  { option: 'hiddenLayers', count: 'hiddenLayers', label: 'Hidden layers', enabled: true },
+  { option: 'thumbnails', count: 'thumbnails', label: 'Page thumbnails', enabled: true },
+  { option: 'pieceInfo', count: 'pieceInfo', label: 'Private application data', enabled: true },
+  { option: 'unreferenced', count: 'unreferencedObjects', label: 'Unreferenced objects', enabled: true },
+  { option: 'comments', count: 'comments', label: 'Comments and markup', enabled: false },
+  { option: 'formData', count: 'formFields', label: 'Form field data', enabled: false },
+];
+
+/**
+ * Fill in defaults for any sanitize option that was not given.
+ * @param {Object} [opts] - Partial options keyed by category option name
+ * @returns {Object<string, boolean>}
+ */
+export function resolveSanitizeOptions(opts = {}) {
+  const options = {};
+  for (const { option, enabled } of SANITIZE_CATEGORIES) {
+    options[option] = opts[option] === undefined ? enabled : !!opts[option];
+  }
+  return options;
+}
+
+/* ═══════════════════ Object Helpers ═══════════════════ */
+
+function nameOf(obj) {
+  const PDFLib = getPDFLib();
+  return obj instanceof PDFLib.PDFName ? obj.decodeText() : null;
+}
+
+/**
+ * Call `visit` for every dictionary in the file, including direct ones
+ * nested inside other objects. Entries that `visit` deletes are not
+ * descended into.
+ */
+function forEachDict(context, visit) {
+  const { PDFDict, PDFArray, PDFStream } = getPDFLib();
+  const stack = [];
+  for (const [, obj] of context.enumerateIndirectObjects()) stack.push(obj);
+  while (stack.length) {
+    const obj = stack.pop();
+    if (obj instanceof PDFStream) {
+      stack.push(obj.dict);
+    } else if (obj instanceof PDFDict) {
+      visit(obj);
+      for (const [, value] of obj.entries()) stack.push(value);
+    } else if (obj instanceof PDFArray) {
+      stack.push(...obj.asArray());
+    }
+  }
+}
+
+/** Values stored in a name tree (JavaScript, EmbeddedFiles, …). */
+function nameTreeValues(context, tree, seen = new Set()) {
+  const { PDFDict, PDFArray } = getPDFLib();
+  if (!(tree instanceof PDFDict) || seen.has(tree)) return [];
+  seen.add(tree);
+  const values = [];
+  const names = tree.lookup(pdfName('Names'));
+  if (names instanceof PDFArray) {
+    for (let i = 1; i < names.size(); i += 2) values.push(names.get(i));
+  }
+  const kids = tree.lookup(pdfName('Kids'));
+  if (kids instanceof PDFArray) {
+    for (const kid of kids.asArray()) values.push(...nameTreeValues(context, context.lookup(kid), seen));
+  }
+  return values;
+}
+
+/** Remove `key` from `dict`, remembering the value for cleanup. */
+function detach(dict, key, detached) {
+  const value = dict.get(pdfName(key));
+  if (value === undefined) return false;
+  detached.push(value);
+  dict.delete(pdfName(key));
+  return true;
+}
+
+/**
+ * Remove the annotations that match `predicate` from every page, along
+ * with their pop-ups. Text is blanked too, since a structure tree can keep
+ * an annotation dictionary alive after it leaves the page.
+ * @returns {number} Annotations removed, not counting pop-ups
+ */
+function removeAnnotations(pdfDoc, predicate, detached) {
+  const { PDFDict, PDFArray } = getPDFLib();
+  const context = pdfDoc.context;
+  let count = 0;
+
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.lookup(pdfName('Annots'));
+    if (!(annots instanceof PDFArray)) continue;
+    const entries = annots.asArray();
+    const removed = new Set(entries.filter(entry => {
+      const annot = context.lookup(entry);
+      return annot instanceof PDFDict && predicate(annot);
+    }));
+    if (!removed.size) continue;
+
+    for (const entry of removed) {
+      const annot = context.lookup(entry);
+      const popup = annot.get(pdfName('Popup'));
+      if (popup) removed.add(popup);
+      if (nameOf(annot.lookup(pdfName('Subtype'))) !== 'Popup') count++;
+      for (const key of ['Contents', 'RC', 'T', 'Subj']) annot.delete(pdfName(key));
+    }
+    // Pop-ups whose parent went are orphans now
+    const kept = entries.filter(entry => {
+      if (removed.has(entry)) return false;
+      const annot = context.lookup(entry);
+      return !(annot instanceof PDFDict && removed.has(annot.get(pdfName('Parent'))));
+    });
+    detached.push(...removed, ...entries.filter(entry => !kept.includes(entry)));
+    detach(page.node, 'Annots', detached);
+    page.node.set(pdfName('Annots'), context.obj(kept));
+  }
+  return count;
+}
+
+/* ═══════════════════ Sanitize Passes ═══════════════════ */
+
+const COMMENT_SUBTYPES = new Set([
+  'Text', 'FreeText', 'Line', 'Square', 'Circle', 'Polygon', 'PolyLine', 'Highlight',
+  'Underline', 'Squiggly', 'StrikeOut', 'Caret', 'Ink', 'Stamp', 'FileAttachment',
+  'Sound', 'Redact', 'Popup',
+]);
+
+// Actions a reader runs or sends without the user seeing where they lead
+const RISKY_ACTIONS = new Set(['Launch', 'SubmitForm', 'ImportData']);
+
+/** Drop the document information dictionary. */
+function removeInfo(pdfDoc, report, detached) {
+  const { PDFDict } = getPDFLib();
+  const context = pdfDoc.context;
+  const infoRef = context.trailerInfo.Info;
+  if (!infoRef) return;
+  const info = context.lookup(infoRef);
+  report.fieldsCount = info instanceof PDFDict ? info.entries().length : 0;
+  detached.push(infoRef);
+  context.trailerInfo.Info = undefined;
+}
+
+/** Drop XMP metadata from the catalog, pages, images and every other object. */
+function removeXmp(pdfDoc, report, detached) {
+  forEachDict(pdfDoc.context, dict => {
+    if (detach(dict, 'Metadata', detached)) report.xmpStreams++;
+  });
+}
+
+/**
+ * Drop document-level JavaScript, JavaScript actions anywhere, the open
+ * action and additional-actions (trigger) dictionaries, and launch/submit/
+ * import actions.
+ */
+function removeScriptsAndActions(pdfDoc, options, report, detached) {
+  const { PDFDict, PDFArray } = getPDFLib();
+  const context = pdfDoc.context;
+  const actionType = value => {
+    const action = context.lookup(value);
+    return action instanceof PDFDict ? nameOf(action.lookup(pdfName('S'))) : null;
+  };
+  const tally = type => {
+    if (type === 'JavaScript') report.javascript++;
+    else report.actions++;
+  };
+  const unwanted = type => (type === 'JavaScript' ? options.javascript : options.actions && RISKY_ACTIONS.has(type));
+
+  if (options.javascript) {
+    const names = pdfDoc.catalog.lookup(pdfName('Names'));
+    if (names instanceof PDFDict) {
+      report.javascript += nameTreeValues(context, names.lookup(pdfName('JavaScript'))).length;
+      detach(names, 'JavaScript', detached);
+    }
+  }
+
+  forEachDict(context, dict => {
+    const openAction = dict.get(pdfName('OpenAction'));
+    if (openAction) {
+      const type = actionType(openAction);
+      if (options.actions || (type === 'JavaScript' && options.javascript)) {
+        tally(type);
+        detach(dict, 'OpenAction', detached);
+      }
+    }
+
+    const action = dict.get(pdfName('A'));
+    if (action && unwanted(actionType(action))) {
+      tally(actionType(action));
+      detach(dict, 'A', detached);
+    }
+
+    // Action chains: /Next is one action or an array of them
+    const next = dict.lookup(pdfName('Next'));
+    if (next instanceof PDFArray) {
+      const kept = next.asArray().filter(entry => {
+        const type = actionType(entry);
+        if (!unwanted(type)) return true;
+        tally(type);
+        detached.push(entry);
+        return false;
+      });
+      if (kept.length < next.size()) dict.set(pdfName('Next'), context.obj(kept));
+    } else if (next && unwanted(actionType(next))) {
+      tally(actionType(next));
+      detach(dict, 'Next', detached);
+    }
+
+    const triggers = dict.lookup(pdfName('AA'));
+    if (!(triggers instanceof PDFDict)) return;
+    for (const [key, value] of triggers.entries()) {
+      const type = actionType(value);
+      if (options.actions || type === 'JavaScript') {
+        tally(type);
+        detached.push(value);
+        triggers.delete(key);
+      }
+    }
+    if (!triggers.entries().length) detach(dict, 'AA', detached);
+  });
+}
+
+/** Drop attached files: the EmbeddedFiles tree, associated files and file attachment annotations. */
+function removeEmbeddedFiles(pdfDoc, report, detached) {
+  const { PDFDict, PDFArray } = getPDFLib();
+  const context = pdfDoc.context;
+  const catalog = pdfDoc.catalog;
+  const files = new Set();
+
+  const names = catalog.lookup(pdfName('Names'));
+  if (names instanceof PDFDict) {
+    for (const spec of nameTreeValues(context, names.lookup(pdfName('EmbeddedFiles')))) files.add(spec);
+    detach(names, 'EmbeddedFiles', detached);
+  }
+  detach(catalog, 'Collection', detached);
+
+  forEachDict(context, dict => {
+    const associated = dict.lookup(pdfName('AF'));
+    if (!associated) return;
+    for (const spec of associated instanceof PDFArray ? associated.asArray() : [associated]) files.add(spec);
+    detach(dict, 'AF', detached);
+  });
+
+  removeAnnotations(pdfDoc, annot => {
+    if (nameOf(annot.lookup(pdfName('Subtype'))) !== 'FileAttachment') return false;
+    const spec = annot.get(pdfName('FS'));
+    if (spec) files.add(spec);
+    return true;
+  }, detached);
+
+  report.embeddedFiles = files.size;
+}
+
+/** Drop the embedded thumbnail image of every page. */
+function removeThumbnails(pdfDoc, report, detached) {
+  for (const page of pdfDoc.getPages()) {
+    if (detach(page.node, 'Thumb', detached)) report.thumbnails++;
+  }
+}
+
+/** Drop page-piece dictionaries, where authoring applications keep their private data. */
+function removePieceInfo(pdfDoc, report, detached) {
+  forEachDict(pdfDoc.context, dict => {
+    if (detach(dict, 'PieceInfo', detached)) report.pieceInfo++;
+  });
+}
+
+/**
+ * Clear the value of every form field. Text, choice and signature widgets
+ * lose their appearance streams (the reader regenerates empty ones);
+ * check boxes and radio buttons are switched off.
+ */
+function clearFormData(pdfDoc, report, detached) {
+  const { PDFDict, PDFArray } = getPDFLib();
+  const context = pdfDoc.context;
+  const acroForm = pdfDoc.catalog.lookup(pdfName('AcroForm'));
+  if (!(acroForm instanceof PDFDict)) return;
+
+  const seen = new Set();
+  const clearField = (field, inheritedType) => {
+    if (!(field instanceof PDFDict) || seen.has(field)) return;
+    seen.add(field);
+    const type = nameOf(field.lookup(pdfName('FT'))) || inheritedType;
+
+    const hadValue = detach(field, 'V', detached);
+    detach(field, 'DV', detached);
+    detach(field, 'I', detached);
+    if (hadValue) report.formFields++;
+
+    if (nameOf(field.lookup(pdfName('Subtype'))) === 'Widget') {
+      if (type === 'Btn') {
+        if (field.get(pdfName('AS'))) field.set(pdfName('AS'), pdfName('Off'));
+      } else {
+        detach(field, 'AP', detached);
+      }
+    }
+
+    const kids = field.lookup(pdfName('Kids'));
+    if (kids instanceof PDFArray) {
+      for (const kid of kids.asArray()) clearField(context.lookup(kid), type);
+    }
+  };
+
+  const fields = acroForm.lookup(pdfName('Fields'));
+  if (fields instanceof PDFArray) {
+    for (const field of fields.asArray()) clearField(context.lookup(field), null);
+  }
+  // XFA forms carry their own copy of the data
+  detach(acroForm, 'XFA', detached);
+  acroForm.set(pdfName('NeedAppearances'), context.obj(true));
+}
+
+/* ═══════════════════ Sanitize ═══════════════════ */
+
+/**
+ * Run the selected sanitize passes on a loaded document.
+ * @param {Object} pdfDoc - pdf-lib PDFDocument
+ * @param {Object} [opts] - Category options (see SANITIZE_CATEGORIES); missing
+ *   options take their default
+ * @returns {Object<string, number>} Items removed, keyed by each category's `count` field
+ */
+export function sanitizeObjects(pdfDoc, opts = {}) {
+  const options = resolveSanitizeOptions(opts);
+  const report = {};
+  for (const { count } of SANITIZE_CATEGORIES) report[count] = 0;
+  const detached = [];
+
+  // Leftovers from earlier edits and incremental saves, counted before the
+  // passes below orphan anything of their own
+  if (options.unreferenced) report.unreferencedObjects = removeUnreachableObjects(pdfDoc);
+
+  if (options.metadata) removeInfo(pdfDoc, report, detached);
+  if (options.xmp) removeXmp(pdfDoc, report, detached);
+  if (options.javascript || options.actions) removeScriptsAndActions(pdfDoc, options, report, detached);
+  if (options.embeddedFiles) removeEmbeddedFiles(pdfDoc, report, detached);
+  if (options.hiddenLayers) {
+    const layers = removeHiddenOptionalContent(pdfDoc);
+    report.hiddenLayers = layers.layersRemoved;
+    detached.push(...layers.detached);
+  }
+  if (options.thumbnails) removeThumbnails(pdfDoc, report, detached);
+  if (options.pieceInfo) removePieceInfo(pdfDoc, report, detached);
+  if (options.comments) {
+    report.comments = removeAnnotations(pdfDoc, annot => COMMENT_SUBTYPES.has(nameOf(annot.lookup(pdfName('Subtype')))), detached);
+  }
+  if (options.formData) clearFormData(pdfDoc, report, detached);
+
+  removeDetachedObjects(pdfDoc, detached);
+  return report;
+}
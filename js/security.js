@@ -2,23 +2,26 @@
  * Mudbrick — Security Module (Phase 3)
  * Password encryption, permission controls, metadata removal/sanitization.
  *
- * Uses pdf-lib for metadata operations. Encryption relies on
- * pdf-lib's built-in encryption support (AES-256 when available,
- * falls back to RC4-128 for broader compatibility).
+ * Uses pdf-lib for metadata operations. Encryption is done by the
+ * standard security handler in pdf-crypto.js (AES-256 by default,
+ * AES-128 for older readers).
  */
 
+import { encryptDocument } from './pdf-crypto.js';
+import { sanitizeObjects } from './sanitize.js';
+
 const getPDFLib = () => window.PDFLib;
 
 /* ═══════════════════ Password Encryption ═══════════════════ */
 
 /**
  * Encrypt a PDF with user/owner passwords and permission controls.
- * pdf-lib supports setting encryption via the save() options.
  *
  * @param {Uint8Array} pdfBytes - Source PDF bytes
  * @param {Object} opts
  * @param {string} opts.userPassword - Password to open the document (empty = no open password)
  * @param {string} opts.ownerPassword - Password for full access / permission changes
+ * @param {'aes-256'|'aes-128'} [opts.algorithm] - Cipher (default 'aes-256'; AES-128 for Acrobat 7 era readers)
  * @param {Object} opts.permissions - Permission flags
  * @param {boolean} opts.permissions.printing - Allow printing
  * @param {boolean} opts.permissions.copying - Allow copy/extract
@@ -37,6 +40,7 @@ export async function encryptPDF(pdfBytes, opts = {}) {
     userPassword = '',
     ownerPassword = '',
     permissions = {},
+    algorithm = 'aes-256',
   } = opts;
 
   if (!userPassword && !ownerPassword) {
@@ -44,26 +48,15 @@ export async function encryptPDF(pdfBytes, opts = {}) {
   }
 
   const doc = await PDFLib.PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  if (doc.isEncrypted) {
+    throw new Error('PDF is already encrypted — open it with its password first');
+  }
+
+  await encryptDocument(doc, { userPassword, ownerPassword, permissions, algorithm });
 
-  // Build permission flags array
-  const permFlags = [];
-  if (permissions.printing !== false) permFlags.push(PDFLib.PrintPermission || 0x04);
-  if (permissions.modifying !== false) permFlags.push(PDFLib.ModifyPermission || 0x08);
-  if (permissions.copying !== false) permFlags.push(PDFLib.CopyPermission || 0x10);
-  if (permissions.annotating !== false) permFlags.push(PDFLib.AnnotPermission || 0x20);
-  if (permissions.fillingForms !== false) permFlags.push(PDFLib.FillFormPermission || 0x100);
-  if (permissions.contentAccessibility !== false) permFlags.push(PDFLib.AccessibilityPermission || 0x200);
-  if (permissions.documentAssembly !== false) permFlags.push(PDFLib.AssemblyPermission || 0x400);
-
-  // pdf-lib encryption via save options
-  const saveOpts = {};
-  if (userPassword) saveOpts.userPassword = userPassword;
-  if (ownerPassword) saveOpts.ownerPassword = ownerPassword;
-
-  // Note: pdf-lib's encryption support is limited. For full AES-256,
-  // we use the permission flags pattern. If pdf-lib doesn't support
-  // the encryption flags directly, we still set passwords.
-  return doc.save(saveOpts);
+  // Object streams would be written after encryption, in the clear, and
+  // regenerating form appearances would read the now-encrypted values.
+  return doc.save({ useObjectStreams: false, updateFieldAppearances: false });
 }
 
 /* ═══════════════════ Metadata Removal ═══════════════════ */
@@ -163,35 +156,31 @@ export async function setMetadata(pdfBytes, fields = {}) {
 
 /**
  * Full document sanitization: remove metadata + hidden content.
- * This is the "Sanitize Document" workflow.
+ * This is the "Sanitize Document" workflow; the passes live in sanitize.js.
  *
  * @param {Uint8Array} pdfBytes
- * @returns {Promise<{bytes: Uint8Array, report: Object}>}
+ * @param {Object} [opts] - Categories to strip, keyed by SANITIZE_CATEGORIES
+ *   option (metadata, xmp, javascript, actions, embeddedFiles, hiddenLayers,
+ *   thumbnails, pieceInfo, unreferenced, comments, formData). Comments and
+ *   form data are kept unless asked for; everything else is removed.
+ * @returns {Promise<{bytes: Uint8Array, report: Object}>} report has
+ *   metadataRemoved plus an item count per category (fieldsCount, xmpStreams,
+ *   javascript, actions, embeddedFiles, hiddenLayers, thumbnails, pieceInfo,
+ *   unreferencedObjects, comments, formFields)
  */
-export async function sanitizeDocument(pdfBytes) {
+export async function sanitizeDocument(pdfBytes, opts = {}) {
   const PDFLib = getPDFLib();
   if (!PDFLib) throw new Error('pdf-lib not loaded');
 
-  const doc = await PDFLib.PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+  // updateMetadata would stamp a fresh Producer and dates back in
+  const doc = await PDFLib.PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
 
+  const counts = sanitizeObjects(doc, opts);
   const report = {
-    metadataRemoved: false,
-    fieldsCount: 0,
+    metadataRemoved: counts.fieldsCount > 0 || counts.xmpStreams > 0,
+    ...counts,
   };
 
-  // Remove all metadata
-  const hadTitle = !!doc.getTitle();
-  const hadAuthor = !!doc.getAuthor();
-  doc.setTitle('');
-  doc.setAuthor('');
-  doc.setSubject('');
-  doc.setKeywords([]);
-  doc.setCreator('');
-  doc.setProducer('');
-  doc.setCreationDate(new Date(0));
-  doc.setModificationDate(new Date(0));
-  report.metadataRemoved = hadTitle || hadAuthor;
-
   const bytes = await doc.save();
   return { bytes, report };
 }
@@ -0,0 +1,189 @@
+/**
+ * Mudbrick — Split Strategies
+ * Plans how to cut a document into files: by top-level bookmark, every N
+ * pages, by a maximum file size, or at separator pages. Plans are plain
+ * lists of parts, so the modal can show the output names before splitPDF()
+ * (pdf-edit.js) writes anything.
+ */
+
+/**
+ * @typedef {Object} SplitPart
+ * @property {number[]} pages - 0-based page indexes, in order
+ * @property {string} label - File name part, unique within the plan
+ * @property {string} [title] - Bookmark title the part is named after
+ */
+
+/* ═══════════════════ Strategies ═══════════════════ */
+
+/**
+ * One part per typed range, e.g. from parsePageRanges() (utils.js).
+ * @param {number[][]} ranges - 0-based page indexes per part
+ * @returns {SplitPart[]}
+ */
+export function planByRanges(ranges) {
+  return nameParts(ranges.map(pages => ({ pages })));
+}
+
+/**
+ * One part per top-level bookmark, running to the next one. Pages before
+ * the first bookmark get a part of their own. Bookmarks on the same page
+ * as an earlier one are skipped, since they'd produce an empty file.
+ * @param {import('./outline.js').Bookmark[]} outline
+ * @param {number} totalPages
+ * @returns {SplitPart[]}
+ */
+export function planByBookmarks(outline, totalPages) {
+  const starts = [];
+  for (const bookmark of outline) {
+    const page = bookmark.pageIndex;
+    if (page === null || page < 0 || page >= totalPages) continue;
+    if (starts.some(s => s.page === page)) continue;
+    starts.push({ page, title: bookmark.title });
+  }
+  starts.sort((a, b) => a.page - b.page);
+  if (!starts.length) return [];
+
+  const parts = [];
+  if (starts[0].page > 0) parts.push({ pages: pageRun(0, starts[0].page - 1) });
+  starts.forEach((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].page - 1 : totalPages - 1;
+    parts.push({ pages: pageRun(start.page, end), title: start.title });
+  });
+  return nameParts(parts);
+}
+
+/**
+ * Parts of `n` pages each (the last may be shorter).
+ * @param {number} totalPages
+ * @param {number} n
+ * @returns {SplitPart[]}
+ */
+export function planEveryN(totalPages, n) {
+  const size = Math.max(1, Math.floor(n));
+  const parts = [];
+  for (let start = 0; start < totalPages; start += size) {
+    parts.push({ pages: pageRun(start, Math.min(start + size, totalPages) - 1) });
+  }
+  return nameParts(parts);
+}
+
+/**
+ * Fill each part with as many pages as fit under `maxBytes`. Page costs
+ * come from measurePageSizes() (pdf-edit.js); each counts the resources
+ * its page uses, so shared fonts and images are counted more than once
+ * and the real files come out smaller than planned, never larger.
+ * A page that alone is over the limit gets a part of its own, flagged
+ * `oversize`.
+ * @param {number[]} pageBytes - Cost of each page, in bytes
+ * @param {number} maxBytes
+ * @returns {Array<SplitPart & {bytes: number, oversize?: boolean}>}
+ */
+export function planBySize(pageBytes, maxBytes) {
+  const parts = [];
+  let current = null;
+  pageBytes.forEach((bytes, page) => {
+    if (current && current.bytes + bytes <= maxBytes) {
+      current.pages.push(page);
+      current.bytes += bytes;
+      return;
+    }
+    current = { pages: [page], bytes };
+    if (bytes > maxBytes) current.oversize = true;
+    parts.push(current);
+  });
+  return nameParts(parts);
+}
+
+/**
+ * Cut at separator pages, which are left out of every part. Runs of
+ * separators and separators at either end don't make empty files.
+ * @param {number[]} separators - 0-based indexes of separator pages
+ * @param {number} totalPages
+ * @returns {SplitPart[]}
+ */
+export function planBySeparators(separators, totalPages) {
+  const isSeparator = new Set(separators);
+  const parts = [];
+  let pages = [];
+  for (let page = 0; page < totalPages; page++) {
+    if (isSeparator.has(page)) {
+      if (pages.length) parts.push({ pages });
+      pages = [];
+    } else {
+      pages.push(page);
+    }
+  }
+  if (pages.length) parts.push({ pages });
+  return nameParts(parts);
+}
+
+/**
+ * Pages whose text contains `keyword`, ignoring case and spacing, e.g.
+ * "SLIPSHEET" slip sheets or the text printed under a separator barcode.
+ * @param {string[]} pageTexts - Text of each page (find.js getDocumentText)
+ * @param {string} keyword
+ * @returns {number[]} 0-based page indexes
+ */
+export function findKeywordPages(pageTexts, keyword) {
+  const needle = normalizeText(keyword);
+  if (!needle) return [];
+  const found = [];
+  pageTexts.forEach((text, page) => {
+    if (normalizeText(text).includes(needle)) found.push(page);
+  });
+  return found;
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/* ═══════════════════ Naming ═══════════════════ */
+
+/**
+ * Output file names for a plan, as splitPDF() results are saved:
+ * "<base>_<label>.pdf".
+ * @param {string} fileName - Source file name
+ * @param {SplitPart[]} parts
+ * @returns {string[]}
+ */
+export function splitFileNames(fileName, parts) {
+  const base = fileName.replace(/\.pdf$/i, '');
+  return parts.map(part => `${base}_${part.label}.pdf`);
+}
+
+/**
+ * Strip characters file systems reject from a bookmark title.
+ * @param {string} title
+ * @returns {string}
+ */
+export function safeFileName(title) {
+  return String(title)
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, 80)
+    .trim();
+}
+
+/**
+ * Give each part its label: "pages-1-3" / "page-5" as splitPDF() names
+ * ranges, or "01_<title>" for bookmark parts so files sort in order.
+ */
+function nameParts(parts) {
+  const width = Math.max(2, String(parts.length).length);
+  return parts.map((part, i) => {
+    const first = part.pages[0] + 1;
+    const last = part.pages[part.pages.length - 1] + 1;
+    const title = part.title !== undefined ? safeFileName(part.title) : '';
+    const label = title
+      ? `${String(i + 1).padStart(width, '0')}_${title}`
+      : first === last ? `page-${first}` : `pages-${first}-${last}`;
+    return { ...part, label };
+  });
+}
+
+function pageRun(start, end) {
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+}
@@ -19,6 +19,8 @@ const State = {
   pdfLibDoc: null,
   _viewport: null,
   integration: null,
+  encryption: null,
+  bates: null,          // label format of the last Bates run: prefix, suffix, zeroPad, …
 };
 
 export default State;
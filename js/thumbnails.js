@@ -18,6 +18,10 @@ let _thumbObserver = null; // current IntersectionObserver; disconnected on rege
 let _callbacks = {};
 export function setThumbnailCallbacks(cbs) { _callbacks = cbs; }
 
+// Pages flagged by an analysis pass (e.g. blank-page detection), 1-based
+let _flagged = new Set();
+let _flagTitle = '';
+
 export function generateThumbnails() {
   DOM.thumbnailList.innerHTML = '';
 
@@ -69,6 +73,7 @@ export function generateThumbnails() {
 
     DOM.thumbnailList.appendChild(item);
   }
+  applyFlags();
 
   // Use IntersectionObserver to render only thumbnails near the viewport.
   // rootMargin of 300px pre-loads thumbnails before the user actually scrolls
@@ -140,3 +145,25 @@ export function highlightActiveThumbnail() {
   // Announce page change to screen readers
   announceToScreenReader(`Page ${State.currentPage} of ${State.totalPages}`);
 }
+
+/**
+ * Mark pages in the sidebar, replacing any earlier flags. The flags survive
+ * thumbnail regeneration, so clear them when page numbers change.
+ * @param {number[]} pages - 1-based page numbers
+ * @param {string} [title] - Tooltip and screen-reader text for the flag
+ */
+export function setFlaggedThumbnails(pages, title = 'Flagged') {
+  _flagged = new Set(pages);
+  _flagTitle = title;
+  applyFlags();
+}
+
+function applyFlags() {
+  DOM.thumbnailList.querySelectorAll('.thumbnail-item').forEach(item => {
+    const pageNum = parseInt(item.dataset.page);
+    const flagged = _flagged.has(pageNum);
+    item.classList.toggle('flagged', flagged);
+    item.title = flagged ? _flagTitle : '';
+    item.setAttribute('aria-label', `Page ${getPageLabel(pageNum)}${flagged ? `, ${_flagTitle.toLowerCase()}` : ''}`);
+  });
+}
@@ -79,6 +79,14 @@ export function formatFileSize(bytes) {
   return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
 
+/** Rough duration for progress messages: "40 s", "12 min", "2 h 5 min" */
+export function formatDuration(seconds) {
+  if (seconds < 60) return Math.max(1, Math.round(seconds)) + ' s';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return minutes + ' min';
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
 /* ── Drag-and-Drop ── */
 
 export function initDragDrop(dropZoneId, onFile) {
@@ -144,6 +152,7 @@ export function downloadBlob(bytes, filename) {
     const types = {
       pdf: 'application/pdf', json: 'application/json', csv: 'text/csv',
       txt: 'text/plain', xfdf: 'application/xml', png: 'image/png', jpg: 'image/jpeg',
+      zip: 'application/zip',
     };
     blob = new Blob([bytes], { type: types[ext] || 'application/octet-stream' });
   }
@@ -170,25 +179,186 @@ export function debounce(fn, ms = 150) {
 /* ── Parse Page Ranges ── */
 // "1-3, 5, 7-12" → [[0,1,2], [4], [6,7,8,9,10,11]]  (0-indexed)
 
-export function parsePageRanges(input, totalPages) {
+const pageNumber = text => (/^\d+$/.test(text) ? Number(text) : null);
+
+/**
+ * Parse comma-separated pages and ranges into 0-based page index arrays.
+ * Returns null if any part is invalid or out of range.
+ * @param {string} input
+ * @param {number} totalPages
+ * @param {function(string): (number|null)} [resolvePage] - Maps one typed page to a
+ *   1-based page number, or null; defaults to reading it as a number. Pages that
+ *   contain dashes themselves ("A-3") work too: a part is first tried whole.
+ * @returns {number[][]|null}
+ */
+export function parsePageRanges(input, totalPages, resolvePage = pageNumber) {
   const ranges = [];
   const parts = input.split(',').map(s => s.trim()).filter(Boolean);
+  const resolve = text => {
+    const page = resolvePage(text.trim());
+    return Number.isInteger(page) && page >= 1 && page <= totalPages ? page : null;
+  };
 
   for (const part of parts) {
-    const match = part.match(/^(\d+)\s*-\s*(\d+)$/);
-    if (match) {
-      const start = parseInt(match[1]) - 1;
-      const end = parseInt(match[2]) - 1;
-      if (start < 0 || end >= totalPages || start > end) return null;
-      const range = [];
-      for (let i = start; i <= end; i++) range.push(i);
-      ranges.push(range);
-    } else {
-      const page = parseInt(part) - 1;
-      if (isNaN(page) || page < 0 || page >= totalPages) return null;
-      ranges.push([page]);
+    const page = resolve(part);
+    if (page !== null) {
+      ranges.push([page - 1]);
+      continue;
     }
+
+    // Try each dash as the range separator ("iii-v", "A-1–A-12")
+    let range = null;
+    for (const m of part.matchAll(/\s*[-–—]\s*/g)) {
+      const start = resolve(part.slice(0, m.index));
+      const end = resolve(part.slice(m.index + m[0].length));
+      if (start !== null && end !== null && start <= end) {
+        range = Array.from({ length: end - start + 1 }, (_, i) => start - 1 + i);
+        break;
+      }
+    }
+    if (!range) return null;
+    ranges.push(range);
   }
 
   return ranges.length > 0 ? ranges : null;
 }
+
+/* ── Zip Archive ── */
+
+let _crcTable = null;
+
+function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Without ZIP64, a zip lists at most 65,535 entries and offsets stop at 4 GB
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const ZIP_MAX_BYTES = 0xFFFFFFFF;
+
+/** Largest archive createZipParts writes: inside the zip limit, and one a browser can hold */
+export const ZIP_PART_SIZE = 1024 * 1024 * 1024;
+
+/**
+ * Build a zip archive with every entry stored uncompressed — PDFs are
+ * already compressed, so deflating them again gains little.
+ * @param {Array<{name: string, bytes: Uint8Array|string}>} entries
+ * @param {Date} [date] - Modification time recorded for every entry
+ * @returns {Uint8Array}
+ * @throws {Error} past the zip limits (65,535 entries, 4 GB); see createZipParts
+ */
+export function createZip(entries, date = new Date()) {
+  if (entries.length > ZIP_MAX_ENTRIES) throw new Error('Zip archive has more than 65,535 files');
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.bytes === 'string' ? encoder.encode(entry.bytes) : entry.bytes;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);        // version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+    if (offset > ZIP_MAX_BYTES) throw new Error('Zip archive is larger than 4 GB');
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  if (offset + centralSize + 22 > ZIP_MAX_BYTES) throw new Error('Zip archive is larger than 4 GB');
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let pos = 0;
+  for (const part of parts) {
+    zip.set(part, pos);
+    pos += part.length;
+  }
+  return zip;
+}
+
+/**
+ * Zip entries as they arrive, starting a new archive whenever the next
+ * entry would take the current one past `maxBytes` or the 65,535 entries a
+ * zip can list. Only the archive being filled is held, so a large set is
+ * never zipped in one piece; an entry bigger than `maxBytes` gets an
+ * archive of its own.
+ * @param {function(Uint8Array, number): void} onZip - Called with each finished
+ *   archive and its 1-based number
+ * @param {number} [maxBytes=ZIP_PART_SIZE]
+ * @returns {{add: function({name: string, bytes: Uint8Array|string}): void, finish: function(): number}}
+ *   finish writes the last archive and returns how many were written
+ */
+export function createZipParts(onZip, maxBytes = ZIP_PART_SIZE) {
+  const encoder = new TextEncoder();
+  let entries = [];
+  let size = 0;
+  let count = 0;
+
+  const flush = () => {
+    if (!entries.length) return;
+    onZip(createZip(entries), ++count);
+    entries = [];
+    size = 0;
+  };
+
+  return {
+    add(entry) {
+      const name = encoder.encode(entry.name).length;
+      const data = typeof entry.bytes === 'string' ? encoder.encode(entry.bytes).length : entry.bytes.length;
+      const entrySize = 30 + 46 + 2 * name + data; // local header, central header, name twice
+      if (entries.length && (size + entrySize + 22 > maxBytes || entries.length === ZIP_MAX_ENTRIES)) flush();
+      entries.push(entry);
+      size += entrySize;
+    },
+    finish() {
+      flush();
+      return count;
+    },
+  };
+}
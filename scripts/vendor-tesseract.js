@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Copy Tesseract.js, its worker, the LSTM wasm cores and language packs
+ * into vendor/tesseract/ so OCR runs with no network access.
+ *
+ * The packages are pinned devDependencies and `npm run build` (the deploy
+ * build command in vercel.json) runs this with the default language. To
+ * ship more languages, add their @tesseract.js-data/<lang> packages as
+ * devDependencies and list them:
+ *   npm run vendor:tesseract -- eng spa
+ * Usage: node scripts/vendor-tesseract.js [lang ...]   (default: eng)
+ *
+ * Without vendor/tesseract/ the app falls back to the jsdelivr CDN.
+ */
+
+import { copyFileSync, mkdirSync, statSync, writeFileSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const require = createRequire(import.meta.url);
+const OUT = resolve(__dirname, '../vendor/tesseract');
+
+// The app creates LSTM-only workers, so the legacy cores aren't needed
+const CORE_FILES = ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js'];
+
+function packageDir(name) {
+  try {
+    return dirname(require.resolve(`${name}/package.json`));
+  } catch {
+    throw new Error(`${name} is not installed. Add it with:\n  npm install --save-dev ${name}`);
+  }
+}
+
+function copy(from, to, out, log) {
+  mkdirSync(dirname(to), { recursive: true });
+  copyFileSync(from, to);
+  const kb = Math.round(statSync(to).size / 1024);
+  log(`  Copied: ${to.slice(out.length + 1)} (${kb} KB)`);
+}
+
+/**
+ * Write the engine, cores and `languages` into `out`, with the
+ * languages.json manifest the app looks for.
+ * @param {string[]} [languages=['eng']]
+ * @param {string} [out] - Defaults to vendor/tesseract/
+ * @param {function(string)} [log]
+ */
+export function vendorTesseract(languages = ['eng'], out = OUT, log = console.log) {
+  const tesseract = packageDir('tesseract.js');
+  const core = packageDir('tesseract.js-core');
+  copy(resolve(tesseract, 'dist/tesseract.min.js'), resolve(out, 'tesseract.min.js'), out, log);
+  copy(resolve(tesseract, 'dist/worker.min.js'), resolve(out, 'worker.min.js'), out, log);
+  copy(resolve(tesseract, 'LICENSE.md'), resolve(out, 'LICENSE.md'), out, log);
+  for (const file of CORE_FILES) {
+    copy(resolve(core, file), resolve(out, 'core', file), out, log);
+  }
+
+  for (const lang of languages) {
+    const data = packageDir(`@tesseract.js-data/${lang}`);
+    copy(resolve(data, `4.0.0_best_int/${lang}.traineddata.gz`), resolve(out, `lang/${lang}.traineddata.gz`), out, log);
+  }
+
+  const { version } = require('tesseract.js/package.json');
+  writeFileSync(resolve(out, 'languages.json'), JSON.stringify({ tesseract: version, languages }, null, 2) + '\n');
+  log('  Wrote: languages.json');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const languages = process.argv.slice(2);
+  try {
+    vendorTesseract(languages.length ? languages : undefined);
+    console.log(`\nVendored into ${OUT}. Bump CACHE_VERSION in sw.js when the engine version changes.`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -2,11 +2,18 @@
  * Mudbrick — Service Worker (Phase 2, W7)
  * App shell: stale-while-revalidate
  * CDN assets: cache-first with versioned key
+ * Vendored OCR engine and its languages: cache-first, pre-cached best effort
+ * OCR traineddata: served from the language cache the app manages, then
+ * from the vendored languages
  * Graceful offline fallback, cache quota handling,
  * update notification to clients.
  */
 
-const CACHE_VERSION = 'mudbrick-v6.0';
+const CACHE_VERSION = 'mudbrick-v6.8';
+
+/* Traineddata downloaded from the OCR language manager (js/ocr-languages.js).
+   Kept across versions; only the app adds or removes entries. */
+const OCR_LANG_CACHE = 'mudbrick-ocr-lang';
 
 /* App shell — local assets (28 JS modules + HTML/CSS/manifest) */
 const SHELL_ASSETS = [
@@ -38,10 +45,17 @@ const SHELL_ASSETS = [
   './js/headers.js',
   './js/signatures.js',
   './js/pdf-edit.js',
+  './js/outline.js',
+  './js/split-strategies.js',
+  './js/blank-pages.js',
   './js/history.js',
   './js/ocr.js',
+  './js/ocr-languages.js',
+  './js/ocr-preprocess.js',
+  './js/ocr-formats.js',
   './js/text-edit.js',
   './js/security.js',
+  './js/pdf-crypto.js',
   './js/export-image.js',
   './js/form-creator.js',
   './js/comment-summary.js',
@@ -50,6 +64,7 @@ const SHELL_ASSETS = [
   './js/exhibit-stamps.js',
   './js/page-labels.js',
   './js/redact-patterns.js',
+  './js/redact-content.js',
   './js/error-handler.js',
   './js/menu-actions.js',
   './js/a11y.js',
@@ -66,6 +81,20 @@ const CDN_ASSETS = [
   'https://cdn.jsdelivr.net/npm/fabric@5.3.0/dist/fabric.min.js',
 ];
 
+/* Traineddata vendored with the engine, one file per code in its manifest */
+const OCR_ENGINE_MANIFEST = './vendor/tesseract/languages.json';
+const vendoredLanguageURL = code => `./vendor/tesseract/lang/${code}.traineddata.gz`;
+
+/* Vendored Tesseract engine (written by scripts/vendor-tesseract.js).
+   About 8 MB, so pre-cached best effort like the CDN assets. */
+const OCR_ENGINE_ASSETS = [
+  OCR_ENGINE_MANIFEST,
+  './vendor/tesseract/tesseract.min.js',
+  './vendor/tesseract/worker.min.js',
+  './vendor/tesseract/core/tesseract-core-lstm.wasm.js',
+  './vendor/tesseract/core/tesseract-core-simd-lstm.wasm.js',
+];
+
 /* Offline fallback page (inline HTML returned when nothing is cached) */
 const OFFLINE_HTML = `<!DOCTYPE html>
 <html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
@@ -98,6 +127,21 @@ async function safeCachePut(cache, request, response) {
   }
 }
 
+/** Pre-cache the languages the deploy build vendored, so OCR works offline from the first visit */
+async function precacheVendoredLanguages(cache) {
+  const manifest = await cache.match(OCR_ENGINE_MANIFEST);
+  if (!manifest) return;
+  const { languages } = await manifest.json();
+  if (!Array.isArray(languages)) return;
+  await Promise.allSettled(
+    languages.filter(code => /^[a-z_]+$/.test(code)).map(code =>
+      fetch(vendoredLanguageURL(code)).then(resp => {
+        if (resp.ok) return cache.put(vendoredLanguageURL(code), resp);
+      })
+    )
+  );
+}
+
 /* ── Install: pre-cache app shell + critical CDN ── */
 
 self.addEventListener('install', event => {
@@ -106,14 +150,15 @@ self.addEventListener('install', event => {
       // Cache local assets first (these should always succeed)
       return cache.addAll(SHELL_ASSETS)
         .then(() => {
-          // CDN assets — best effort, don't fail install if CDN is down
+          // CDN assets and the OCR engine — best effort, don't fail
+          // install if the CDN is down or the engine isn't vendored
           return Promise.allSettled(
-            CDN_ASSETS.map(url =>
+            [...CDN_ASSETS, ...OCR_ENGINE_ASSETS].map(url =>
               fetch(url).then(resp => {
                 if (resp.ok) return cache.put(url, resp);
               })
             )
-          );
+          ).then(() => precacheVendoredLanguages(cache).catch(() => {}));
         });
     })
   );
@@ -127,7 +172,7 @@ self.addEventListener('activate', event => {
     caches.keys().then(keys =>
       Promise.all(
         keys
-          .filter(k => k !== CACHE_VERSION)
+          .filter(k => k !== CACHE_VERSION && k !== OCR_LANG_CACHE)
           .map(k => {
             console.log('SW: Deleting old cache:', k);
             return caches.delete(k);
@@ -156,8 +201,24 @@ self.addEventListener('fetch', event => {
   // Skip non-http(s) requests (e.g. chrome-extension://)
   if (!url.protocol.startsWith('http')) return;
 
-  // CDN resources: cache-first, update in background
-  if (url.hostname === 'cdn.jsdelivr.net' ||
+  // OCR traineddata: installed languages come from the language cache,
+  // then the vendored ones from the shell cache; anything else goes to
+  // the network without being cached
+  if (/\.traineddata(\.gz)?$/.test(url.pathname)) {
+    const vendored = url.pathname.includes('/vendor/tesseract/lang/');
+    event.respondWith(
+      caches.open(OCR_LANG_CACHE)
+        .then(cache => cache.match(event.request))
+        .then(cached => cached || (vendored && caches.open(CACHE_VERSION).then(cache => cache.match(event.request))))
+        .then(cached => cached || fetch(event.request))
+        .catch(() => new Response('', { status: 503, statusText: 'Offline' }))
+    );
+    return;
+  }
+
+  // CDN resources and the vendored OCR engine: cache-first, update in background
+  if (url.pathname.includes('/vendor/tesseract/') ||
+      url.hostname === 'cdn.jsdelivr.net' ||
       url.hostname === 'fonts.googleapis.com' ||
       url.hostname === 'fonts.gstatic.com') {
     event.respondWith(
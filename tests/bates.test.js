@@ -1,5 +1,29 @@
-import { describe, it, expect } from 'vitest';
-import { previewBatesLabel } from '../js/bates.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as PDFLib from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import {
+  previewBatesLabel, applyBatesNumbers, applyBatesProduction, buildProductionLog, readBatesLabel,
+} from '../js/bates.js';
+import { resetPdfLib, deletePage, reorderPages } from '../js/pdf-edit.js';
+
+// Documents whose first byte is their page count; stamped text is recorded per page
+function makeLoader() {
+  const stamped = [];
+  const load = vi.fn(async bytes => {
+    const pages = Array.from({ length: bytes[0] }, () => {
+      const texts = [];
+      stamped.push(texts);
+      return { getSize: () => ({ width: 612, height: 792 }), drawText: (text, o) => texts.push({ text, x: o.x, y: o.y }) };
+    });
+    return {
+      getPageCount: () => pages.length,
+      getPage: i => pages[i],
+      embedFont: async () => ({ widthOfTextAtSize: (text, size) => text.length * size / 2 }),
+      save: async () => new Uint8Array([pages.length]),
+    };
+  });
+  return { load, stamped };
+}
 
 describe('previewBatesLabel', () => {
   it('returns default label with no options', () => {
@@ -44,3 +68,132 @@ describe('previewBatesLabel', () => {
     expect(result).toBe('EX-00000100-CONF');
   });
 });
+
+describe('production sets', () => {
+  let savedLoad;
+  let loader;
+
+  beforeEach(() => {
+    savedLoad = window.PDFLib.PDFDocument.load;
+    loader = makeLoader();
+    window.PDFLib.PDFDocument.load = loader.load;
+  });
+
+  afterEach(() => {
+    window.PDFLib.PDFDocument.load = savedLoad;
+  });
+
+  it('stamps a legend next to each Bates number', async () => {
+    const result = await applyBatesNumbers(new Uint8Array([2]), {
+      prefix: 'DOC-', legend: 'CONFIDENTIAL', position: 'bottom-right', legendPosition: 'bottom-left',
+    });
+    expect(result).toMatchObject({ firstLabel: 'DOC-000001', lastLabel: 'DOC-000002', nextNumber: 3 });
+    expect(loader.stamped[0].map(t => t.text)).toEqual(['DOC-000001', 'CONFIDENTIAL']);
+    expect(loader.stamped[0][1]).toMatchObject({ x: 36, y: 36 });
+  });
+
+  it('numbers documents continuously in the order given', async () => {
+    const onProgress = vi.fn();
+    const { files, nextNumber } = await applyBatesProduction([
+      { name: 'a.pdf', bytes: new Uint8Array([3]) },
+      { name: 'b.pdf', bytes: new Uint8Array([1]), legend: 'HIGHLY CONFIDENTIAL' },
+      { name: 'c.pdf', bytes: new Uint8Array([2]) },
+    ], { prefix: 'DOC-', startNumber: 10, startPage: 2, legend: 'CONFIDENTIAL' }, onProgress);
+
+    expect(files.map(f => [f.name, f.firstLabel, f.lastLabel, f.pageCount])).toEqual([
+      ['a.pdf', 'DOC-000010', 'DOC-000012', 3],
+      ['b.pdf', 'DOC-000013', 'DOC-000013', 1],
+      ['c.pdf', 'DOC-000014', 'DOC-000015', 2],
+    ]);
+    expect(nextNumber).toBe(16);
+    expect(files[2].labels).toEqual(['DOC-000014', 'DOC-000015']);
+    expect(loader.stamped[3].map(t => t.text)).toEqual(['DOC-000013', 'HIGHLY CONFIDENTIAL']);
+    expect(loader.stamped[4].map(t => t.text)).toEqual(['DOC-000014', 'CONFIDENTIAL']);
+    expect(onProgress.mock.calls.map(c => c[2])).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+  });
+
+  it('keeps file names distinct', async () => {
+    const { files } = await applyBatesProduction([
+      { name: 'Scan.pdf', bytes: new Uint8Array([1]) },
+      { name: 'scan.pdf', bytes: new Uint8Array([1]) },
+      { name: 'scan.pdf', bytes: new Uint8Array([1]) },
+    ]);
+    expect(files.map(f => f.name)).toEqual(['Scan.pdf', 'scan (2).pdf', 'scan (3).pdf']);
+  });
+
+  it('writes the production log as CSV', () => {
+    const log = buildProductionLog([
+      { name: 'a.pdf', firstLabel: 'DOC-000001', lastLabel: 'DOC-000003', pageCount: 3 },
+      { name: 'Smith, J.pdf', firstLabel: 'DOC-000004', lastLabel: 'DOC-000004', pageCount: 1 },
+    ]);
+    expect(log).toBe(
+      'File Name,Begin Bates,End Bates,Pages\n' +
+      'a.pdf,DOC-000001,DOC-000003,3\n' +
+      '"Smith, J.pdf",DOC-000004,DOC-000004,1\n',
+    );
+  });
+});
+
+describe('reading labels back from the page', () => {
+  let savedPDFLib;
+
+  beforeEach(() => {
+    savedPDFLib = window.PDFLib;
+    window.PDFLib = PDFLib;
+    resetPdfLib();
+  });
+
+  afterEach(() => {
+    window.PDFLib = savedPDFLib;
+  });
+
+  const FORMAT = { prefix: 'ABC-', zeroPad: 6 };
+
+  async function labelsOf(bytes, opts = FORMAT) {
+    const doc = await pdfjsLib.getDocument({ data: bytes.slice(), isEvalSupported: false }).promise;
+    try {
+      const labels = [];
+      for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) labels.push(await readBatesLabel(doc, pageNum, opts));
+      return labels;
+    } finally {
+      doc.destroy();
+    }
+  }
+
+  /** Pages of body text; page 2 cites another Bates number */
+  async function sourceDoc(pageCount) {
+    const doc = await PDFLib.PDFDocument.create();
+    const font = await doc.embedFont(PDFLib.StandardFonts.Helvetica);
+    for (let i = 0; i < pageCount; i++) {
+      const page = doc.addPage([612, 792]);
+      page.drawText(`Body of page ${i + 1}`, { x: 72, y: 700, size: 12, font });
+      if (i === 1) page.drawText('ABC-000042', { x: 72, y: 680, size: 12, font });
+    }
+    return doc.save();
+  }
+
+  it('finds the stamped label of each page', async () => {
+    const { bytes } = await applyBatesNumbers(await sourceDoc(3), { ...FORMAT, startNumber: 7, startPage: 2 });
+    expect(await labelsOf(bytes)).toEqual(['', 'ABC-000007', 'ABC-000008']);
+  });
+
+  it('follows its page after a delete or reorder', async () => {
+    const { bytes } = await applyBatesNumbers(await sourceDoc(3), FORMAT);
+
+    expect(await labelsOf(await deletePage(bytes, 0))).toEqual(['ABC-000002', 'ABC-000003']);
+    resetPdfLib();
+    expect(await labelsOf(await reorderPages(bytes, 2, 0))).toEqual(['ABC-000003', 'ABC-000001', 'ABC-000002']);
+  });
+
+  it('writes nothing but the stamp into the pages', async () => {
+    const { bytes } = await applyBatesNumbers(await sourceDoc(1), FORMAT);
+    const doc = await PDFLib.PDFDocument.load(bytes);
+    expect(doc.getPage(0).node.has(PDFLib.PDFName.of('PieceInfo'))).toBe(false);
+  });
+
+  it('only matches labels in the format asked for', async () => {
+    const { bytes } = await applyBatesNumbers(await sourceDoc(1), { prefix: 'X(1).', suffix: '-R', zeroPad: 4 });
+    expect(await labelsOf(bytes, { prefix: 'X(1).', suffix: '-R', zeroPad: 4 })).toEqual(['X(1).0001-R']);
+    expect(await labelsOf(bytes, FORMAT)).toEqual(['']);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../js/pdf-engine.js', () => ({
+  renderThumbnail: vi.fn(),
+}));
+
+import { renderThumbnail } from '../js/pdf-engine.js';
+import {
+  scorePageImage, sensitivityToMaxInk, isBlankScore, scorePage,
+  analyzePages, blankPagesFromScores, findBlankPages, DEFAULT_SENSITIVITY,
+} from '../js/blank-pages.js';
+
+/* ── Helpers ── */
+
+/** RGBA image, white unless `ink` marks [x, y] pixels black */
+function image(width, height, ink = [], alpha = 255) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let i = 0; i < width * height; i++) data[i * 4 + 3] = alpha;
+  for (const [x, y] of ink) data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+  return { data, width, height };
+}
+
+/** Pixels of a filled w×h block at (x, y) */
+function block(x, y, w, h) {
+  const pixels = [];
+  for (let dy = 0; dy < h; dy++) for (let dx = 0; dx < w; dx++) pixels.push([x + dx, y + dy]);
+  return pixels;
+}
+
+function canvasFor(img) {
+  return {
+    width: img.width,
+    height: img.height,
+    getContext: () => ({ getImageData: () => img }),
+  };
+}
+
+/* ── Tests ── */
+
+describe('blank-pages.js', () => {
+  beforeEach(() => {
+    renderThumbnail.mockReset();
+  });
+
+  describe('scorePageImage', () => {
+    it('scores a white page as no ink', () => {
+      expect(scorePageImage(image(100, 100))).toEqual({ ink: 0, noise: 0 });
+    });
+
+    it('measures connected ink inside the margins', () => {
+      const score = scorePageImage(image(100, 100, block(10, 10, 23, 20)));
+      expect(score.ink).toBeCloseTo(460 / (92 * 92));
+      expect(score.noise).toBe(0);
+    });
+
+    it('counts isolated specks as noise', () => {
+      const specks = [[10, 10], [20, 20], [30, 30], [40, 40]];
+      const score = scorePageImage(image(100, 100, [...specks, ...block(60, 60, 2, 2)]));
+      expect(score.noise).toBe(0.5);
+    });
+
+    it('ignores ink in the margins and transparent pixels', () => {
+      expect(scorePageImage(image(100, 100, block(0, 0, 3, 100))).ink).toBe(0);
+      expect(scorePageImage(image(100, 100, block(10, 10, 5, 5), 0)).ink).toBe(0);
+    });
+  });
+
+  describe('sensitivity', () => {
+    it('maps 0–100 to a rising ink limit', () => {
+      expect(sensitivityToMaxInk(0)).toBeCloseTo(0.0001);
+      expect(sensitivityToMaxInk(DEFAULT_SENSITIVITY)).toBeCloseTo(0.001);
+      expect(sensitivityToMaxInk(100)).toBeCloseTo(0.01);
+      expect(sensitivityToMaxInk(150)).toBeCloseTo(0.01);
+    });
+
+    it('discounts speckle when deciding', () => {
+      expect(isBlankScore({ ink: 0.004, noise: 0 })).toBe(false);
+      expect(isBlankScore({ ink: 0.004, noise: 0.9 })).toBe(true);
+      expect(isBlankScore({ ink: 0.004, noise: 0 }, 100)).toBe(true);
+    });
+  });
+
+  describe('document pass', () => {
+    const pages = [
+      image(100, 100),
+      image(100, 100, block(20, 20, 40, 10)),
+      image(100, 100, [[30, 30], [50, 50], [70, 70]]),
+    ];
+
+    beforeEach(() => {
+      renderThumbnail.mockImplementation((doc, pageNum) => Promise.resolve(canvasFor(pages[pageNum - 1])));
+    });
+
+    it('renders each page small and scores it', async () => {
+      const doc = { numPages: 3 };
+      expect((await scorePage(doc, 2)).ink).toBeGreaterThan(0.04);
+      expect(renderThumbnail).toHaveBeenCalledWith(doc, 2, expect.any(Number));
+    });
+
+    it('analyzes every page with progress, then thresholds', async () => {
+      const onProgress = vi.fn();
+      const scores = await analyzePages({ numPages: 3 }, onProgress);
+      expect(scores).toHaveLength(3);
+      expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+      expect(blankPagesFromScores(scores)).toEqual([1, 3]);
+      expect(blankPagesFromScores(scores, 0)).toEqual([1, 3]);
+    });
+
+    it('finds blank pages in one call', async () => {
+      expect(await findBlankPages({ numPages: 3 })).toEqual([1, 3]);
+    });
+  });
+});
@@ -1,8 +1,14 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import {
   compareDocuments,
+  compareDocumentText,
+  alignPages,
+  extractWords,
+  diffWords,
   generateCompareReport,
   renderComparisonView,
+  buildRedlineHTML,
+  buildRedlinePDF,
 } from '../js/doc-compare.js';
 
 /* ── Stub canvas getContext so jsdom doesn't return null ── */
@@ -382,4 +388,223 @@ describe('doc-compare.js', () => {
       expect(container.innerHTML).not.toContain('Modified');
     });
   });
+
+  /* ── Text comparison ── */
+
+  // PDF.js document whose pages hold the given lines of 12pt text, 6pt per character
+  function createMockTextDoc(pages) {
+    return {
+      numPages: pages.length,
+      getPage: vi.fn(pageNum => Promise.resolve({
+        getViewport: ({ scale }) => ({
+          width: 612 * scale, height: 792 * scale, transform: [scale, 0, 0, -scale, 0, 792 * scale],
+        }),
+        getTextContent: () => Promise.resolve({
+          items: pages[pageNum - 1].map((line, i) => ({
+            str: line, width: line.length * 6, transform: [12, 0, 0, 12, 72, 692 - i * 20], hasEOL: true,
+          })),
+        }),
+        render: () => ({ promise: Promise.resolve() }),
+      })),
+    };
+  }
+
+  const words = text => text.split(' ').map((t, i) => ({ text: t, pageNum: 1, i }));
+
+  describe('extractWords', () => {
+    it('splits items into words with boxes in top-left page coordinates', async () => {
+      const result = await extractWords(createMockTextDoc([['Net 30 days'], ['Total']]));
+      expect(result.map(w => [w.text, w.pageNum])).toEqual([['Net', 1], ['30', 1], ['days', 1], ['Total', 2]]);
+      expect(result[1]).toMatchObject({ x: 96, y: 88, width: 12, height: 12 });
+    });
+
+    it('joins a word split across touching items on one line', async () => {
+      const doc = createMockTextDoc([[]]);
+      const page = await doc.getPage(1);
+      page.getTextContent = () => Promise.resolve({
+        items: [
+          { str: 'Agree', width: 30, transform: [12, 0, 0, 12, 72, 692] },
+          { str: 'ment is', width: 42, transform: [12, 0, 0, 12, 102, 692], hasEOL: true },
+          { str: 'final', width: 30, transform: [12, 0, 0, 12, 72, 672] },
+        ],
+      });
+      doc.getPage = () => Promise.resolve(page);
+      expect((await extractWords(doc)).map(w => w.text)).toEqual(['Agreement', 'is', 'final']);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('reports an inserted passage as one change', () => {
+      const a = words('one two three four five');
+      const b = words('one two new words here three four five');
+      const changes = diffWords(a, b);
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toMatchObject({ type: 'insert', before: 'one two', after: 'three four five' });
+      expect(changes[0].wordsB.map(w => w.text)).toEqual(['new', 'words', 'here']);
+    });
+
+    it('merges adjacent deletions and insertions into replacements', () => {
+      const changes = diffWords(words('pay within 30 days of receipt'), words('pay within 45 days of invoice'));
+      expect(changes.map(c => [c.type, c.wordsA.map(w => w.text), c.wordsB.map(w => w.text)])).toEqual([
+        ['replace', ['30'], ['45']],
+        ['replace', ['receipt'], ['invoice']],
+      ]);
+    });
+
+    it('ignores curly versus straight quotes', () => {
+      expect(diffWords(words('the Buyer’s duty'), words("the Buyer's duty"))).toEqual([]);
+    });
+
+    it('finds a minimal edit script', () => {
+      const changes = diffWords(words('a b c a b b a'), words('c b a b a c'));
+      const edits = changes.reduce((n, c) => n + c.wordsA.length + c.wordsB.length, 0);
+      expect(edits).toBe(5);
+    });
+  });
+
+  describe('compareDocumentText', () => {
+    it('finds changes across page breaks and highlights their words', async () => {
+      const ctx = makeMockCtx();
+      HTMLCanvasElement.prototype.getContext = vi.fn(() => ctx);
+      const docA = createMockTextDoc([['The seller shall deliver'], ['within 30 days']]);
+      const docB = createMockTextDoc([['The seller shall promptly deliver'], ['within 30 days']]);
+      const onProgress = vi.fn();
+
+      const results = await compareDocumentText(docA, docB, { dpi: 72 }, onProgress);
+
+      expect(results.mode).toBe('text');
+      expect(results.changes).toHaveLength(1);
+      expect(results).toMatchObject({ insertions: 1, deletions: 0, replacements: 0, wordsA: 7, wordsB: 8 });
+      expect(results.pages[0]).toMatchObject({ changeCount: 1, hasA: true, hasB: true });
+      expect(results.pages[1]).toMatchObject({ changeCount: 0, diffPercentage: 0 });
+      // 'promptly' is the 4th word of B's first line
+      expect(ctx.fillRect).toHaveBeenCalledWith(72 + 17 * 6, 88, 48, 12);
+      expect(onProgress).toHaveBeenLastCalledWith(6, 6);
+    });
+  });
+
+  describe('text reports', () => {
+    const results = {
+      mode: 'text', pagesA: 2, pagesB: 3, wordsA: 100, wordsB: 104,
+      insertions: 1, deletions: 0, replacements: 1,
+      pages: [
+        { pageNum: 1, pageA: 1, pageB: 1, status: 'matched', hasA: true, hasB: true },
+        { pageNum: 2, pageA: null, pageB: 2, status: 'inserted', hasA: false, hasB: true },
+        { pageNum: 3, pageA: 2, pageB: 3, status: 'matched', hasA: true, hasB: true },
+      ],
+      changes: [
+        { type: 'insert', wordsA: [], wordsB: words('promptly'), pageA: 1, pageB: 1, before: 'shall', after: 'deliver' },
+        { type: 'replace', wordsA: words('30'), wordsB: words('45'), pageA: 2, pageB: 3, before: 'within', after: 'days <net>' },
+      ],
+    };
+
+    it('lists each change in the text report', () => {
+      const report = generateCompareReport(results);
+      expect(report).toContain('Changes: 2 (1 inserted, 0 deleted, 1 replaced)');
+      expect(report).toContain('B p. 2 inserted');
+      expect(report).toContain('A p. 2 → B p. 3');
+      expect(report).toContain('2. Changed  (A p. 2, B p. 3)');
+      expect(report).toContain('- 30');
+      expect(report).toContain('+ 45');
+    });
+
+    it('builds an HTML redline with escaped text', () => {
+      const html = buildRedlineHTML(results, { nameA: 'v1.pdf', nameB: 'v2.pdf' });
+      expect(html).toContain('Original: v1.pdf (2 pages)');
+      expect(html).toContain('within <del>30</del> <ins>45</ins> days &lt;net&gt;');
+      expect(html).toContain('shall <ins>promptly</ins> deliver');
+    });
+
+    it('builds a PDF redline with struck deletions and underlined insertions', async () => {
+      const saved = window.PDFLib.PDFDocument.create;
+      const page = { drawText: vi.fn(), drawLine: vi.fn() };
+      const font = { widthOfTextAtSize: (text, size) => text.length * size * 0.5 };
+      window.PDFLib.PDFDocument.create = vi.fn(() => Promise.resolve({
+        embedFont: vi.fn(() => Promise.resolve(font)),
+        addPage: vi.fn(() => page),
+        save: vi.fn(() => Promise.resolve(new Uint8Array([37, 80, 68, 70]))),
+      }));
+      try {
+        await buildRedlinePDF(results, { nameA: 'v1.pdf', nameB: 'v2.pdf' });
+      } finally {
+        window.PDFLib.PDFDocument.create = saved;
+      }
+      const texts = page.drawText.mock.calls.map(c => c[0]);
+      expect(texts[0]).toBe('Redline Report');
+      expect(texts).toContain('2. Changed  —  Original p. 2  ·  Modified p. 3');
+      // One strike-through for '30', one underline each for 'promptly' and '45'
+      expect(page.drawLine).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  /* ── Page alignment ── */
+
+  describe('alignPages', () => {
+    const para = k => [`clause ${k} alpha beta gamma`, `delta epsilon ${k} zeta`];
+
+    it('detects inserted, deleted and moved pages', async () => {
+      // B: page 4 moved to the front, a new page after page 1, page 3 deleted
+      const docA = createMockTextDoc([para(1), para(2), para(3), para(4)]);
+      const docB = createMockTextDoc([para(4), para(1), ['brand new page text'], para(2)]);
+
+      const pairs = await alignPages(docA, docB);
+
+      expect(pairs.map(p => [p.pageA, p.pageB, p.status])).toEqual([
+        [4, 1, 'moved'],
+        [1, 2, 'matched'],
+        [null, 3, 'inserted'],
+        [2, 4, 'matched'],
+        [3, null, 'deleted'],
+      ]);
+      expect(pairs[1].similarity).toBe(1);
+    });
+
+    it('pairs an edited page with the page in the same place', async () => {
+      const docA = createMockTextDoc([para(1), ['old terms of payment apply'], para(3)]);
+      const docB = createMockTextDoc([para(1), ['entirely different wording here'], para(3)]);
+      const pairs = await alignPages(docA, docB);
+      expect(pairs.map(p => [p.pageA, p.pageB, p.status])).toEqual([[1, 1, 'matched'], [2, 2, 'matched'], [3, 3, 'matched']]);
+      expect(pairs[1].similarity).toBe(0);
+    });
+
+    it('matches pages without text by how they look', async () => {
+      const pairs = await alignPages(createMockPdfDoc(2), createMockPdfDoc(1));
+      expect(pairs.map(p => [p.pageA, p.pageB, p.status])).toEqual([[1, 1, 'matched'], [2, null, 'deleted']]);
+    });
+  });
+
+  describe('aligned comparison', () => {
+    it('compares each visual pair against its counterpart', async () => {
+      const docA = createMockTextDoc([['first page words here'], ['second page words here']]);
+      const docB = createMockTextDoc([['a cover sheet was added'], ['first page words here'], ['second page words here']]);
+
+      const results = await compareDocuments(docA, docB);
+
+      expect(results.pages.map(p => [p.pageA, p.pageB, p.status, p.hasA, p.hasB])).toEqual([
+        [null, 1, 'inserted', false, true],
+        [1, 2, 'matched', true, true],
+        [2, 3, 'matched', true, true],
+      ]);
+      expect(results.pages[1].diffPercentage).toBe(0);
+    });
+
+    it('keeps page-number pairing when alignment is off', async () => {
+      const docA = createMockTextDoc([['first page words here']]);
+      const docB = createMockTextDoc([['a cover sheet was added'], ['first page words here']]);
+      const results = await compareDocuments(docA, docB, { align: false });
+      expect(results.pages.map(p => [p.pageA, p.pageB])).toEqual([[1, 1], [null, 2]]);
+    });
+
+    it('reports no text changes for a moved page', async () => {
+      const docA = createMockTextDoc([['intro page one text'], ['schedule of fees and costs'], ['signature block text']]);
+      const docB = createMockTextDoc([['intro page one text'], ['signature block text'], ['schedule of fees and costs']]);
+
+      const results = await compareDocumentText(docA, docB, { dpi: 72 });
+
+      expect(results.changes).toEqual([]);
+      expect(results.pages.map(p => [p.pageA, p.pageB, p.status])).toEqual([
+        [1, 1, 'matched'], [3, 2, 'matched'], [2, 3, 'moved'],
+      ]);
+    });
+  });
 });
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as PDFLib from 'pdf-lib';
+
+// Markup another viewer left in the file, opened and saved again: real
+// pdf-lib, so the annotations are read back from the exported bytes
+
+vi.mock('../js/annotations.js', () => ({
+  getAnnotations: vi.fn(() => ({})),
+  getCanvas: vi.fn(() => ({})),
+  savePageAnnotations: vi.fn(),
+  loadPageAnnotations: vi.fn(),
+  resizeOverlay: vi.fn(),
+}));
+
+vi.mock('../js/error-handler.js', () => ({
+  showUserError: vi.fn(),
+  clearRecoveryData: vi.fn(() => Promise.resolve()),
+}));
+
+import { exportAnnotatedPDF, restoreImportedAnnotations } from '../js/export.js';
+import { getAnnotations } from '../js/annotations.js';
+import { importNativeAnnotations } from '../js/pdf-annotations.js';
+
+/* ── Helpers ── */
+
+/** One page with a reviewer's highlight and a reply to it */
+async function reviewedBytes() {
+  const { PDFDocument, PDFString } = PDFLib;
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([612, 792]);
+  const { context } = doc;
+  const highlight = context.register(context.obj({
+    Type: 'Annot', Subtype: 'Highlight', Rect: [100, 682, 320, 702],
+    QuadPoints: [100, 702, 320, 702, 100, 682, 320, 682], C: [1, 1, 0],
+    T: PDFString.of('Alex'), NM: PDFString.of('h-1'), Contents: PDFString.of('Check this'),
+  }));
+  const reply = context.register(context.obj({
+    Type: 'Annot', Subtype: 'Text', Rect: [100, 682, 120, 702], IRT: highlight,
+    T: PDFString.of('Sam'), Contents: PDFString.of('Done'), M: PDFString.of('D:20260103000000Z'),
+  }));
+  page.node.addAnnot(highlight);
+  page.node.addAnnot(reply);
+  return doc.save();
+}
+
+/** Open the way the app does: import the markup, keep the stripped bytes */
+async function openReviewed() {
+  const doc = await PDFLib.PDFDocument.load(await reviewedBytes());
+  const { pages } = importNativeAnnotations(doc);
+  getAnnotations.mockReturnValue({ 1: { version: '5.3.0', objects: pages[1] } });
+  return doc.save();
+}
+
+async function annotationsIn(bytes) {
+  const doc = await PDFLib.PDFDocument.load(bytes);
+  const annots = doc.getPage(0).node.Annots();
+  return (annots ? annots.asArray() : []).map(ref => ({ ref, dict: doc.context.lookup(ref) }));
+}
+
+const field = (dict, key) => dict.lookup(PDFLib.PDFName.of(key));
+
+/* ── Tests ── */
+
+describe('export.js with imported annotations', () => {
+  let savedPDFLib;
+
+  beforeEach(() => {
+    savedPDFLib = window.PDFLib;
+    window.PDFLib = PDFLib;
+  });
+
+  afterEach(() => {
+    window.PDFLib = savedPDFLib;
+    getAnnotations.mockReturnValue({});
+  });
+
+  it('keeps the /Annots when a file is opened and saved unchanged', async () => {
+    const working = await openReviewed();
+    expect(await annotationsIn(working)).toEqual([]);
+
+    const { bytes } = await exportAnnotatedPDF({
+      pdfBytes: working, currentPage: 1, totalPages: 1, fileName: 'memo.pdf',
+    });
+
+    const annots = await annotationsIn(bytes);
+    const highlight = annots.find(({ dict }) => field(dict, 'Subtype').asString() === '/Highlight');
+    const reply = annots.find(({ dict }) => field(dict, 'IRT'));
+    expect(highlight).toBeDefined();
+    expect(field(highlight.dict, 'T').decodeText()).toBe('Alex');
+    expect(field(highlight.dict, 'Contents').decodeText()).toBe('Check this');
+    expect(reply.dict.get(PDFLib.PDFName.of('IRT'))).toBe(highlight.ref);
+    expect(field(reply.dict, 'T').decodeText()).toBe('Sam');
+    expect(field(reply.dict, 'Contents').decodeText()).toBe('Done');
+  });
+
+  it('puts the imported markup back into an unmodified export', async () => {
+    const working = await openReviewed();
+
+    const bytes = await restoreImportedAnnotations({ pdfBytes: working, currentPage: 1 });
+
+    const subtypes = (await annotationsIn(bytes)).map(({ dict }) => field(dict, 'Subtype').asString());
+    expect(subtypes).toEqual(['/Highlight', '/Text']);
+  });
+
+  it('returns the bytes untouched when nothing was imported', async () => {
+    const working = await openReviewed();
+    getAnnotations.mockReturnValue({ 1: { objects: [{ mudbrickType: 'highlight', type: 'path', path: [] }] } });
+
+    expect(await restoreImportedAnnotations({ pdfBytes: working, currentPage: 1 })).toBe(working);
+  });
+});
@@ -3,8 +3,15 @@ import {
   exportPagesToImages,
   createPDFFromImages,
   optimizePDF,
+  encodeTIFF,
 } from '../js/export-image.js';
 
+// The mock documents have no catalog to keep page labels in
+vi.mock('../js/page-labels.js', () => ({
+  readPageLabels: vi.fn(() => null),
+  carryPageLabels: vi.fn(),
+}));
+
 /* ── Helpers ── */
 
 function makeMockPdfDoc(pageCount = 3) {
@@ -142,6 +149,75 @@ describe('exportPagesToImages', () => {
     // Should call getViewport with scale = 300/72 = 4.166...
     expect(page.getViewport).toHaveBeenCalledWith({ scale: 300 / 72 });
   });
+
+  it('returns the images without downloading when download is false', async () => {
+    const pdfDoc = makeMockPdfDoc(2);
+    const images = await exportPagesToImages(pdfDoc, [1, 2], { format: 'tiff', dpi: 10, fileName: 'test.pdf', download: false });
+    expect(images.map(i => i.fileName)).toEqual(['test_page1.tif', 'test_page2.tif']);
+    expect(images[0].blob.type).toBe('image/tiff');
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+  });
+});
+
+/* ═══════════════════ encodeTIFF ═══════════════════ */
+
+describe('encodeTIFF', () => {
+  // Minimal reader for the tags encodeTIFF writes
+  function readTIFF(bytes) {
+    const view = new DataView(bytes.buffer);
+    const ifd = view.getUint32(4, true);
+    const tags = {};
+    for (let i = 0; i < view.getUint16(ifd, true); i++) {
+      const at = ifd + 2 + i * 12;
+      const type = view.getUint16(at + 2, true);
+      tags[view.getUint16(at, true)] = type === 3 ? view.getUint16(at + 8, true) : view.getUint32(at + 8, true);
+    }
+    return { view, tags };
+  }
+
+  function unpackBits(bytes) {
+    const out = [];
+    for (let i = 0; i < bytes.length;) {
+      const n = bytes[i++];
+      if (n < 128) { out.push(...bytes.subarray(i, i + n + 1)); i += n + 1; }
+      else if (n > 128) { out.push(...new Array(257 - n).fill(bytes[i++])); }
+    }
+    return out;
+  }
+
+  const pixels = (width, height, fn) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) data.set([...fn(p % width, Math.floor(p / width)), 255], p * 4);
+    return { data, width, height };
+  };
+
+  it('writes a little-endian PackBits RGB image with its resolution', () => {
+    const image = pixels(3, 2, (x, y) => [x * 100, y * 100, 7]);
+    const bytes = encodeTIFF(image, { dpi: 300 });
+    const { view, tags } = readTIFF(bytes);
+
+    expect(String.fromCharCode(bytes[0], bytes[1])).toBe('II');
+    expect(view.getUint16(2, true)).toBe(42);
+    expect([tags[256], tags[257], tags[259], tags[262], tags[277]]).toEqual([3, 2, 32773, 2, 3]);
+    expect(view.getUint32(tags[282], true) / view.getUint32(tags[282] + 4, true)).toBe(300);
+    const strip = bytes.subarray(tags[273], tags[273] + tags[279]);
+    expect(unpackBits(strip)).toEqual([0, 0, 7, 100, 0, 7, 200, 0, 7, 0, 100, 7, 100, 100, 7, 200, 100, 7]);
+  });
+
+  it('thresholds bilevel images with set bits as black', () => {
+    const image = pixels(10, 1, x => (x < 3 ? [0, 0, 0] : [255, 255, 255]));
+    const bytes = encodeTIFF(image, { bilevel: true });
+    const { tags } = readTIFF(bytes);
+
+    expect([tags[258], tags[262], tags[277]]).toEqual([1, 0, 1]);
+    expect(unpackBits(bytes.subarray(tags[273], tags[273] + tags[279]))).toEqual([0b11100000, 0]);
+  });
+
+  it('compresses repeated runs', () => {
+    const image = pixels(400, 50, () => [255, 255, 255]);
+    const { tags } = readTIFF(encodeTIFF(image));
+    expect(tags[279]).toBeLessThan(50 * 40);
+  });
 });
 
 /* ═══════════════════ createPDFFromImages ═══════════════════ */
@@ -0,0 +1,119 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as PDFLib from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Redacting an OCR'd scan end to end: real pdf-lib and PDF.js, so the
+// export's own redaction check runs on the saved file
+
+vi.mock('../js/annotations.js', () => ({
+  getAnnotations: vi.fn(() => ({})),
+  getCanvas: vi.fn(() => ({})),
+  savePageAnnotations: vi.fn(),
+  loadPageAnnotations: vi.fn(),
+  resizeOverlay: vi.fn(),
+}));
+
+vi.mock('../js/error-handler.js', () => ({
+  showUserError: vi.fn(),
+  clearRecoveryData: vi.fn(() => Promise.resolve()),
+}));
+
+vi.mock('../js/pdf-engine.js', async importOriginal => {
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  return {
+    ...await importOriginal(),
+    getPdfjsLib: () => pdfjs,
+    loadDocument: bytes => pdfjs.getDocument({ data: bytes.slice(), isEvalSupported: false }).promise,
+  };
+});
+
+import { exportAnnotatedPDF } from '../js/export.js';
+import { getAnnotations } from '../js/annotations.js';
+import {
+  importOCR, clearOCRResults, getOCRResults, getOCRTextEntries, exportOCRText, exportHOCR, exportALTO,
+} from '../js/ocr.js';
+
+/* ── Helpers ── */
+
+const openPDF = bytes => pdfjsLib.getDocument({ data: bytes.slice(), isEvalSupported: false }).promise;
+
+async function textOf(bytes) {
+  const doc = await openPDF(bytes);
+  try {
+    const content = await (await doc.getPage(1)).getTextContent();
+    return content.items.map(item => item.str).join(' ');
+  } finally {
+    doc.destroy();
+  }
+}
+
+/** One-page "scan" with no text of its own: just a drawn shape */
+async function scanBytes() {
+  const doc = await PDFLib.PDFDocument.create();
+  doc.addPage([612, 792]).drawRectangle({ x: 50, y: 50, width: 500, height: 690, borderWidth: 1 });
+  return doc.save();
+}
+
+const HOCR = `<html><body>
+  <div class="ocr_page" title="bbox 0 0 612 792; ppageno 0">
+    <span class="ocr_line" title="bbox 100 100 200 120">
+      <span class="ocrx_word" title="bbox 100 100 200 120; x_wconf 95">Privileged</span>
+    </span>
+    <span class="ocr_line" title="bbox 100 300 160 320">
+      <span class="ocrx_word" title="bbox 100 300 160 320; x_wconf 95">Public</span>
+    </span>
+  </div>
+</body></html>`;
+
+/* ── Tests ── */
+
+describe('export.js with OCR and redactions', () => {
+  let savedPDFLib;
+
+  beforeEach(() => {
+    savedPDFLib = window.PDFLib;
+    window.PDFLib = PDFLib;
+  });
+
+  afterEach(() => {
+    window.PDFLib = savedPDFLib;
+    clearOCRResults();
+  });
+
+  it('leaves redacted OCR words out of the exported text layer', async () => {
+    const pdfBytes = await scanBytes();
+    const source = await openPDF(pdfBytes);
+    await importOCR(source, HOCR);
+    source.destroy();
+
+    getAnnotations.mockReturnValue({
+      1: {
+        _canvasWidth: 612,
+        _canvasHeight: 792,
+        objects: [
+          { mudbrickType: 'redact', left: 95, top: 95, width: 110, height: 30, scaleX: 1, scaleY: 1 },
+        ],
+      },
+    });
+
+    const result = await exportAnnotatedPDF({
+      pdfBytes, currentPage: 1, totalPages: 1, fileName: 'scan.pdf',
+    });
+
+    const text = await textOf(result.bytes);
+    expect(text).toContain('Public');
+    expect(text).not.toContain('Privileged');
+
+    // Nor does it come back through Find or the OCR exports
+    expect(result.redaction.ocrWordsRemoved).toBe(1);
+    const ocr = getOCRResults(1);
+    expect(ocr.words.map(w => w.text)).toEqual(['Public']);
+    expect(ocr.lines.map(l => l.text)).toEqual(['Public']);
+    expect(ocr.words[0].line).toBe(0);
+    expect(getOCRTextEntries()[0].text).toBe('Public');
+    for (const exported of [exportOCRText(), exportHOCR(), exportALTO()]) {
+      expect(exported).toContain('Public');
+      expect(exported).not.toContain('Privileged');
+    }
+  });
+});
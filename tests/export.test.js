@@ -15,9 +15,39 @@ vi.mock('../js/error-handler.js', () => ({
   clearRecoveryData: vi.fn(() => Promise.resolve()),
 }));
 
+// Mock content redaction and PDF.js (verification is skipped while PDF.js is absent)
+vi.mock('../js/redact-content.js', () => ({
+  redactPageContent: vi.fn(() => Promise.resolve({ glyphsRemoved: 12, imagesRedacted: 1 })),
+  removeUnreachableObjects: vi.fn(() => 0),
+  findTextUnderRects: vi.fn(() => Promise.resolve([])),
+  countTextUnderRects: vi.fn((doc, pageNum, rects) => Promise.resolve(rects.map((_, i) => 10 + i))),
+}));
+
+vi.mock('../js/pdf-engine.js', () => ({
+  getPdfjsLib: vi.fn(() => null),
+  loadDocument: vi.fn(),
+}));
+
+vi.mock('../js/pdf-annotations.js', async importOriginal => ({
+  ...await importOriginal(),
+  writeNativeAnnotations: vi.fn((doc, pageIndex, objects) => Promise.resolve({
+    written: objects.length, unsupported: [],
+  })),
+}));
+
+vi.mock('../js/page-labels.js', () => ({
+  writePageLabels: vi.fn(),
+}));
+
 import { exportAnnotatedPDF } from '../js/export.js';
 import { getAnnotations, getCanvas, savePageAnnotations } from '../js/annotations.js';
 import { clearRecoveryData } from '../js/error-handler.js';
+import {
+  redactPageContent, removeUnreachableObjects, findTextUnderRects,
+} from '../js/redact-content.js';
+import { getPdfjsLib, loadDocument } from '../js/pdf-engine.js';
+import { writeNativeAnnotations } from '../js/pdf-annotations.js';
+import { writePageLabels } from '../js/page-labels.js';
 
 /* ── Helpers ── */
 
@@ -28,18 +58,23 @@ function makePdfBytes() {
 /* ── Tests ── */
 
 describe('export.js', () => {
+  let mockPage;
+
   beforeEach(() => {
     vi.clearAllMocks();
 
+    mockPage = {
+      getSize: () => ({ width: 612, height: 792 }),
+      getCropBox: () => ({ x: 0, y: 0, width: 612, height: 792 }),
+      getRotation: () => ({ angle: 0 }),
+      drawRectangle: vi.fn(),
+      drawImage: vi.fn(),
+    };
+
     // Ensure PDFLib mock is set up
     window.PDFLib.PDFDocument.load = vi.fn(() => Promise.resolve({
       getPageCount: vi.fn(() => 3),
-      getPage: vi.fn(() => ({
-        getSize: () => ({ width: 612, height: 792 }),
-        getRotation: () => ({ angle: 0 }),
-        drawRectangle: vi.fn(),
-        drawImage: vi.fn(),
-      })),
+      getPage: vi.fn(() => mockPage),
       save: vi.fn(() => Promise.resolve(new Uint8Array([37, 80, 68, 70]))),
       embedPng: vi.fn(() => Promise.resolve({})),
       getForm: vi.fn(() => ({ getFields: vi.fn(() => []) })),
@@ -86,6 +121,20 @@ describe('export.js', () => {
       expect(result.fileName).toBe('report_edited.pdf');
     });
 
+    it('writes page labels into the exported document', async () => {
+      getAnnotations.mockReturnValue({});
+
+      await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'report.pdf',
+      });
+
+      expect(writePageLabels).toHaveBeenCalledTimes(1);
+      expect(writePageLabels.mock.calls[0][0].getPageCount()).toBe(3);
+    });
+
     it('saves current page annotations before export', async () => {
       getAnnotations.mockReturnValue({});
 
@@ -224,6 +273,195 @@ describe('export.js', () => {
       expect(result.fileName).toBe('redacted_edited.pdf');
     });
 
+    it('removes content under redact boxes before covering them', async () => {
+      getAnnotations.mockReturnValue({
+        2: {
+          objects: [
+            { mudbrickType: 'redact', left: 50, top: 100, width: 200, height: 30, scaleX: 1, scaleY: 1 },
+            { mudbrickType: 'cover', left: 0, top: 0, width: 10, height: 10, scaleX: 1, scaleY: 1 },
+          ],
+          _canvasWidth: 612,
+          _canvasHeight: 792,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      const result = await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'redacted.pdf',
+      });
+
+      const rect = { x1: 50, y1: 662, x2: 250, y2: 692 };
+      expect(redactPageContent).toHaveBeenCalledTimes(1);
+      expect(redactPageContent).toHaveBeenCalledWith(expect.anything(), 1, [rect]);
+      expect(mockPage.drawRectangle).toHaveBeenCalledWith(expect.objectContaining({ x: 50, y: 662, width: 200, height: 30 }));
+      expect(removeUnreachableObjects).toHaveBeenCalled();
+      expect(result.redaction).toEqual({ glyphsRemoved: 12, imagesRedacted: 1, ocrWordsRemoved: 0 });
+    });
+
+    it('maps redact boxes on rotated pages into unrotated user space', async () => {
+      mockPage.getRotation = () => ({ angle: 90 });
+      getAnnotations.mockReturnValue({
+        1: {
+          objects: [
+            { mudbrickType: 'redact', left: 0, top: 0, width: 100, height: 50, scaleX: 1, scaleY: 1 },
+          ],
+          _canvasWidth: 792,
+          _canvasHeight: 612,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 792, height: 612 });
+
+      await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'rotated.pdf',
+      });
+
+      expect(redactPageContent).toHaveBeenCalledWith(expect.anything(), 0, [{ x1: 0, y1: 0, x2: 50, y2: 100 }]);
+    });
+
+    it('does not remove content under cover boxes', async () => {
+      getAnnotations.mockReturnValue({
+        1: {
+          objects: [
+            { mudbrickType: 'cover', left: 0, top: 0, width: 100, height: 50, scaleX: 1, scaleY: 1 },
+          ],
+          _canvasWidth: 612,
+          _canvasHeight: 792,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      const result = await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'test.pdf',
+      });
+
+      expect(redactPageContent).not.toHaveBeenCalled();
+      expect(result.redaction).toBeNull();
+    });
+
+    it('fails the export when text is still extractable under a redaction', async () => {
+      const destroy = vi.fn();
+      getPdfjsLib.mockReturnValue({});
+      loadDocument.mockResolvedValue({ destroy });
+      findTextUnderRects.mockResolvedValueOnce([{ pageNum: 1, text: '123-45-6789' }]);
+      getAnnotations.mockReturnValue({
+        1: {
+          objects: [
+            { mudbrickType: 'redact', left: 50, top: 100, width: 200, height: 30, scaleX: 1, scaleY: 1 },
+          ],
+          _canvasWidth: 612,
+          _canvasHeight: 792,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      await expect(exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'test.pdf',
+      })).rejects.toThrow('Redaction check failed');
+      expect(destroy).toHaveBeenCalled();
+      expect(clearRecoveryData).not.toHaveBeenCalled();
+
+      getPdfjsLib.mockReturnValue(null);
+    });
+
+    it('logs each redaction with its reason, Bates label and text length', async () => {
+      getPdfjsLib.mockReturnValue({});
+      loadDocument.mockResolvedValue({ destroy: vi.fn() });
+      getAnnotations.mockReturnValue({
+        2: {
+          objects: [
+            { mudbrickType: 'redact', redactReason: '(b)(6)', left: 50, top: 100, width: 200, height: 30 },
+            { mudbrickType: 'cover', left: 0, top: 0, width: 10, height: 10 },
+            { mudbrickType: 'redact', left: 50, top: 200, width: 200, height: 30 },
+          ],
+          _canvasWidth: 612,
+          _canvasHeight: 792,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      const result = await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'test.pdf',
+        pageLabel: n => `ABC${String(n).padStart(6, '0')}`,
+      });
+
+      expect(result.redactionLog).toEqual([
+        { pageNum: 2, bates: 'ABC000002', reason: '(b)(6)', textLength: 10 },
+        { pageNum: 2, bates: 'ABC000002', reason: '', textLength: 11 },
+      ]);
+      expect(mockPage.drawText).toBeUndefined();
+
+      getPdfjsLib.mockReturnValue(null);
+    });
+
+    it('leaves text lengths unmeasured without PDF.js', async () => {
+      getAnnotations.mockReturnValue({
+        1: {
+          objects: [{ mudbrickType: 'redact', redactReason: 'AC', left: 50, top: 100, width: 200, height: 30 }],
+          _canvasWidth: 612,
+          _canvasHeight: 792,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      const result = await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(), currentPage: 1, totalPages: 3, fileName: 'test.pdf',
+      });
+      expect(result.redactionLog).toEqual([{ pageNum: 1, bates: '', reason: 'AC', textLength: null }]);
+    });
+
+    it('prints reason codes inside redaction boxes without failing the leak check', async () => {
+      const font = { widthOfTextAtSize: (text, size) => text.length * size * 0.6 };
+      const doc = await window.PDFLib.PDFDocument.load();
+      doc.embedFont = vi.fn(() => Promise.resolve(font));
+      window.PDFLib.PDFDocument.load = vi.fn(() => Promise.resolve(doc));
+      mockPage.drawText = vi.fn();
+      getPdfjsLib.mockReturnValue({});
+      loadDocument.mockResolvedValue({ destroy: vi.fn() });
+      findTextUnderRects.mockResolvedValueOnce([{ pageNum: 1, text: '(b)(6)' }]);
+      getAnnotations.mockReturnValue({
+        1: {
+          objects: [
+            { mudbrickType: 'redact', redactReason: '(b)(6)', left: 50, top: 100, width: 200, height: 30 },
+            { mudbrickType: 'redact', redactReason: 'PII', left: 50, top: 300, width: 4, height: 4 },
+          ],
+          _canvasWidth: 612,
+          _canvasHeight: 792,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(), currentPage: 1, totalPages: 3, fileName: 'test.pdf', printReasons: true,
+      });
+
+      // The 4pt box is too small for a legible label
+      expect(mockPage.drawText).toHaveBeenCalledTimes(1);
+      const [text, options] = mockPage.drawText.mock.calls[0];
+      expect(text).toBe('(b)(6)');
+      expect(options.size).toBe(10);
+      expect(options.color).toEqual({ r: 1, g: 1, b: 1 });
+      // Centred in the box (x 50–250, y 662–692 in user space)
+      expect(options.x + (6 * 10 * 0.6) / 2).toBeCloseTo(150);
+      expect(options.y + 3.5).toBeCloseTo(677);
+
+      getPdfjsLib.mockReturnValue(null);
+    });
+
     it('skips annotated pages with invalid page indices', async () => {
       getAnnotations.mockReturnValue({
         // Page 0 would be pageIndex -1 (invalid)
@@ -244,5 +482,73 @@ describe('export.js', () => {
 
       expect(result.bytes).toBeInstanceOf(Uint8Array);
     });
+
+    it('writes markup as native annotations in native mode', async () => {
+      mockPage.drawText = vi.fn();
+      const text = { mudbrickType: 'text', type: 'i-text', text: 'Note', left: 10, top: 10 };
+      const highlight = { mudbrickType: 'highlight', type: 'path', path: [] };
+      const cover = { mudbrickType: 'cover', left: 0, top: 0, width: 10, height: 10, scaleX: 1, scaleY: 1 };
+      getAnnotations.mockReturnValue({
+        1: { objects: [cover, text, highlight], _canvasWidth: 612, _canvasHeight: 792 },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'test.pdf',
+        annotationMode: 'native',
+      });
+
+      expect(writeNativeAnnotations).toHaveBeenCalledWith(
+        expect.anything(), 0, [text, highlight], expect.objectContaining({ canvasWidth: 612, canvasHeight: 792 }),
+      );
+      expect(mockPage.drawText).not.toHaveBeenCalled();
+      expect(mockPage.drawRectangle).toHaveBeenCalledTimes(1);
+      expect(mockPage.drawImage).not.toHaveBeenCalled();
+    });
+
+    it('writes imported markup as native annotations when flattening', async () => {
+      const imported = { mudbrickType: 'highlight', type: 'path', path: [], imported: true };
+      const ours = { mudbrickType: 'cover', left: 0, top: 0, width: 10, height: 10, scaleX: 1, scaleY: 1 };
+      getAnnotations.mockReturnValue({
+        1: { objects: [ours, imported], _canvasWidth: 612, _canvasHeight: 792 },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'test.pdf',
+      });
+
+      expect(writeNativeAnnotations).toHaveBeenCalledWith(
+        expect.anything(), 0, [imported], expect.objectContaining({ canvasWidth: 612, canvasHeight: 792 }),
+      );
+      expect(mockPage.drawRectangle).toHaveBeenCalledTimes(1);
+      expect(mockPage.drawImage).not.toHaveBeenCalled();
+    });
+
+    it('does not write native annotations by default', async () => {
+      getAnnotations.mockReturnValue({
+        1: {
+          objects: [{ mudbrickType: 'cover', left: 0, top: 0, width: 10, height: 10, scaleX: 1, scaleY: 1 }],
+          _canvasWidth: 612,
+          _canvasHeight: 792,
+        },
+      });
+      getCanvas.mockReturnValue({ width: 612, height: 792 });
+
+      await exportAnnotatedPDF({
+        pdfBytes: makePdfBytes(),
+        currentPage: 1,
+        totalPages: 3,
+        fileName: 'test.pdf',
+      });
+
+      expect(writeNativeAnnotations).not.toHaveBeenCalled();
+    });
   });
 });
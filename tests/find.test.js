@@ -3,6 +3,7 @@ import {
   buildTextIndex, clearTextIndex, searchText, findNext, findPrevious,
   getMatchInfo, isFindOpen, setFindOpen, hasMatches, augmentTextIndex,
   getCurrentMatchInfo, getAllMatchInfos, removeCurrentMatch, clearMatches,
+  getDocumentText,
 } from '../js/find.js';
 
 /* ── Helpers ── */
@@ -378,6 +379,36 @@ describe('find.js', () => {
     });
   });
 
+  /* ── getDocumentText ── */
+
+  describe('getDocumentText', () => {
+    it('reads a document that is not indexed, breaking lines at EOL', async () => {
+      const doc = {
+        numPages: 1,
+        getPage: () => Promise.resolve({
+          getTextContent: () => Promise.resolve({
+            items: [{ str: 'Line one', hasEOL: true }, { str: 'Line two', hasEOL: false }],
+          }),
+        }),
+      };
+      expect(await getDocumentText(doc)).toEqual(['Line one\nLine two']);
+    });
+
+    it('uses the index, including OCR text, for the indexed document', async () => {
+      const doc = makeMockPdfDoc([['native'], ['']]);
+      await buildTextIndex(doc);
+      augmentTextIndex([{ pageNum: 2, text: 'scanned words', items: [{ str: 'scanned ' }, { str: 'words' }] }]);
+
+      expect(await getDocumentText(doc)).toEqual(['native', 'scanned words']);
+      expect(doc.getPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives an empty string for pages that cannot be read', async () => {
+      const doc = { numPages: 1, getPage: () => Promise.reject(new Error('bad page')) };
+      expect(await getDocumentText(doc)).toEqual(['']);
+    });
+  });
+
   /* ── clearTextIndex ── */
 
   describe('clearTextIndex', () => {
@@ -0,0 +1,206 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../js/pdf-engine.js', () => ({
+  loadDocument: vi.fn(async bytes => ({ numPages: bytes[0], destroy: vi.fn() })),
+}));
+
+vi.mock('../js/find.js', () => ({
+  getDocumentText: vi.fn(async doc => Array.from({ length: doc.numPages }, (_, i) => `page ${i + 1}`)),
+}));
+
+vi.mock('../js/ocr.js', () => ({
+  ocrDocumentKey: vi.fn(async () => 'key'),
+  recognizePageText: vi.fn(async (doc, pages) => new Map(pages.map(pageNum => [pageNum, `ocr ${pageNum}`]))),
+}));
+
+vi.mock('../js/export-image.js', () => ({
+  IMAGE_EXTENSIONS: { png: 'png', jpg: 'jpg', tiff: 'tif' },
+  exportPagesToImages: vi.fn(async (doc, pages) => pages.map(pageNum => ({
+    pageNum, blob: new Blob([`image ${pageNum}`]),
+  }))),
+}));
+
+import {
+  CONCORDANCE_DELIMITERS, DAT_FIELDS, buildDAT, buildOPT, attachmentRanges, buildLoadFileVolume,
+} from '../js/load-files.js';
+import { exportPagesToImages } from '../js/export-image.js';
+import { getDocumentText } from '../js/find.js';
+import { recognizePageText } from '../js/ocr.js';
+
+/* ── Helpers ── */
+
+const { field: F, quote: Q } = CONCORDANCE_DELIMITERS;
+
+// Records from a DAT: the header row gives the keys
+function parseDAT(dat) {
+  const [header, ...rows] = dat.replace(/^\uFEFF/, '').split('\r\n').filter(Boolean)
+    .map(line => line.split(F).map(v => v.slice(1, -1)));
+  return rows.map(row => Object.fromEntries(header.map((name, i) => [name, row[i]])));
+}
+
+// A stamped production file; the first byte is the page count
+function productionFile(name, first, pageCount, extra = {}) {
+  const labels = Array.from({ length: pageCount }, (_, i) => `ABC${String(first + i).padStart(6, '0')}`);
+  return {
+    name, bytes: new Uint8Array([pageCount]), labels, pageCount,
+    firstLabel: labels[0], lastLabel: labels[labels.length - 1], ...extra,
+  };
+}
+
+/* ── Tests ── */
+
+describe('load-files.js', () => {
+  describe('buildDAT', () => {
+    it('quotes every value with þ and separates fields with DC4', () => {
+      const dat = buildDAT([{ BEGBATES: 'ABC000001', PGCOUNT: 2 }], ['BEGBATES', 'PGCOUNT', 'CUSTODIAN']);
+      expect(dat).toBe(
+        `\uFEFF${Q}BEGBATES${Q}${F}${Q}PGCOUNT${Q}${F}${Q}CUSTODIAN${Q}\r\n` +
+        `${Q}ABC000001${Q}${F}${Q}2${Q}${F}${Q}${Q}\r\n`,
+      );
+    });
+
+    it('replaces newlines and delimiters inside values', () => {
+      const dat = buildDAT([{ TITLE: `Line 1\r\nLine 2${Q}${F}end` }], ['TITLE']);
+      expect(parseDAT(dat)[0].TITLE).toBe('Line 1®Line 2 end');
+    });
+  });
+
+  describe('buildOPT', () => {
+    it('writes one row per page with a document break on the first', () => {
+      const opt = buildOPT([
+        { labels: ['ABC1', 'ABC2'], imagePaths: ['VOL001\\IMAGES\\0001\\ABC1.tif', 'VOL001\\IMAGES\\0001\\ABC2.tif'] },
+        { labels: ['ABC3'], imagePaths: ['VOL001\\IMAGES\\0001\\ABC3.tif'] },
+      ], 'VOL001');
+      expect(opt.split('\r\n')).toEqual([
+        'ABC1,VOL001,VOL001\\IMAGES\\0001\\ABC1.tif,Y,,,2',
+        'ABC2,VOL001,VOL001\\IMAGES\\0001\\ABC2.tif,,,,',
+        'ABC3,VOL001,VOL001\\IMAGES\\0001\\ABC3.tif,Y,,,1',
+        '',
+      ]);
+    });
+  });
+
+  describe('attachmentRanges', () => {
+    it('spans each family from parent to last attachment', () => {
+      const ranges = attachmentRanges([
+        { firstLabel: 'A1', lastLabel: 'A2' },
+        { firstLabel: 'A3', lastLabel: 'A3', attachment: true },
+        { firstLabel: 'A4', lastLabel: 'A6', attachment: true },
+        { firstLabel: 'A7', lastLabel: 'A7' },
+      ]);
+      expect(ranges).toEqual([
+        { begAttach: 'A1', endAttach: 'A6' },
+        { begAttach: 'A1', endAttach: 'A6' },
+        { begAttach: 'A1', endAttach: 'A6' },
+        { begAttach: 'A7', endAttach: 'A7' },
+      ]);
+    });
+  });
+
+  describe('buildLoadFileVolume', () => {
+    let savedLoad;
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      savedLoad = window.PDFLib.PDFDocument.load;
+      window.PDFLib.PDFDocument.load = vi.fn(async bytes => {
+        if (bytes[0] === 0) throw new Error('damaged');
+        return {
+          getTitle: () => 'Engagement Letter',
+          getAuthor: () => 'J. Smith',
+          getSubject: () => undefined,
+          getCreationDate: () => new Date(2024, 0, 5),
+          getModificationDate: () => new Date(2024, 10, 30),
+        };
+      });
+    });
+
+    afterEach(() => {
+      window.PDFLib.PDFDocument.load = savedLoad;
+    });
+
+    it('writes a DAT row per document with families and metadata', async () => {
+      const { dat, entries } = await buildLoadFileVolume([
+        productionFile('letter.pdf', 1, 2, { source: new Uint8Array([2]) }),
+        productionFile('exhibit.pdf', 3, 1, { source: new Uint8Array([0]), attachment: true }),
+      ], { custodian: 'Smith, Jane' });
+
+      const records = parseDAT(dat);
+      expect(Object.keys(records[0])).toEqual(DAT_FIELDS);
+      expect(records[0]).toMatchObject({
+        BEGBATES: 'ABC000001', ENDBATES: 'ABC000002', BEGATTACH: 'ABC000001', ENDATTACH: 'ABC000003',
+        PGCOUNT: '2', CUSTODIAN: 'Smith, Jane', FILENAME: 'letter.pdf',
+        TITLE: 'Engagement Letter', AUTHOR: 'J. Smith', SUBJECT: '',
+        DATECREATED: '01/05/2024', DATEMODIFIED: '11/30/2024',
+        PDFPATH: 'VOL001\\PDF\\ABC000001.pdf', TEXTPATH: '',
+      });
+      expect(records[1]).toMatchObject({ BEGATTACH: 'ABC000001', TITLE: '', DATECREATED: '' });
+      expect(entries.map(e => e.name)).toEqual([
+        'VOL001/DATA/VOL001.dat', 'VOL001/PDF/ABC000001.pdf', 'VOL001/PDF/ABC000003.pdf',
+      ]);
+    });
+
+    it('adds page images with an OPT and extracted text', async () => {
+      const onProgress = vi.fn();
+      const { dat, opt, entries } = await buildLoadFileVolume([
+        productionFile('a.pdf', 1, 2),
+        productionFile('b.pdf', 3, 1),
+      ], { volume: 'PROD002', images: 'tiff', dpi: 200, text: true }, onProgress);
+
+      expect(exportPagesToImages.mock.calls[0][2]).toMatchObject({ format: 'tiff', dpi: 200, bilevel: true, download: false });
+      expect(opt.split('\r\n')[0]).toBe('ABC000001,PROD002,PROD002\\IMAGES\\0001\\ABC000001.tif,Y,,,2');
+      expect(parseDAT(dat)[1].TEXTPATH).toBe('PROD002\\TEXT\\ABC000003.txt');
+      expect(entries.map(e => e.name)).toEqual([
+        'PROD002/DATA/PROD002.dat', 'PROD002/DATA/PROD002.opt',
+        'PROD002/PDF/ABC000001.pdf', 'PROD002/TEXT/ABC000001.txt',
+        'PROD002/IMAGES/0001/ABC000001.tif', 'PROD002/IMAGES/0001/ABC000002.tif',
+        'PROD002/PDF/ABC000003.pdf', 'PROD002/TEXT/ABC000003.txt',
+        'PROD002/IMAGES/0001/ABC000003.tif',
+      ]);
+      expect(entries[3].bytes).toBe('page 1\fpage 2');
+      expect(onProgress.mock.calls.map(c => c[2])).toEqual(['a.pdf', 'b.pdf']);
+    });
+
+    it('OCRs pages of the text that have none of their own', async () => {
+      getDocumentText.mockResolvedValueOnce(['page 1', ' ', 'page 3']);
+      const { entries } = await buildLoadFileVolume([productionFile('scan.pdf', 1, 3)], { text: true, ocrLanguage: 'deu' });
+
+      expect(recognizePageText).toHaveBeenCalledWith(expect.anything(), [2], { language: 'deu', documentKey: 'key' });
+      expect(entries.find(e => e.name.endsWith('.txt')).bytes).toBe('page 1\focr 2\fpage 3');
+    });
+
+    it('leaves scanned pages blank when OCR cannot run', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      getDocumentText.mockResolvedValueOnce(['', 'page 2']);
+      recognizePageText.mockRejectedValueOnce(new Error('offline'));
+      const { entries } = await buildLoadFileVolume([productionFile('scan.pdf', 1, 2)], { text: true });
+
+      expect(entries.find(e => e.name.endsWith('.txt')).bytes).toBe('\fpage 2');
+      warn.mockRestore();
+    });
+
+    it('hands entries over as they are ready, load files last', async () => {
+      const onEntry = vi.fn();
+      const { entries } = await buildLoadFileVolume([
+        productionFile('a.pdf', 1, 1),
+        productionFile('b.pdf', 2, 1),
+      ], { images: 'png', onEntry });
+
+      expect(entries).toEqual([]);
+      expect(onEntry.mock.calls.map(([entry]) => entry.name)).toEqual([
+        'VOL001/PDF/ABC000001.pdf', 'VOL001/IMAGES/0001/ABC000001.png',
+        'VOL001/PDF/ABC000002.pdf', 'VOL001/IMAGES/0001/ABC000002.png',
+        'VOL001/DATA/VOL001.dat', 'VOL001/DATA/VOL001.opt',
+      ]);
+    });
+
+    it('starts a new image folder every 1000 images', async () => {
+      const files = Array.from({ length: 11 }, (_, i) => productionFile(`d${i}.pdf`, i * 100 + 1, 100));
+      const { opt } = await buildLoadFileVolume(files, { images: 'jpg' });
+      const rows = opt.split('\r\n');
+      expect(rows).toHaveLength(1101);
+      expect(rows[999]).toContain('\\IMAGES\\0001\\ABC001000.jpg');
+      expect(rows[1000]).toContain('\\IMAGES\\0002\\ABC001001.jpg');
+    });
+  });
+});
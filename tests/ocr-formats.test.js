@@ -0,0 +1,180 @@
+import { describe, it, expect } from 'vitest';
+import { toHOCR, toALTO, detectOCRFormat, parseHOCR, parseALTO } from '../js/ocr-formats.js';
+
+/* ── Helpers ── */
+
+const PX = 300 / 72;
+const LETTER = { width: 612, height: 792 };
+const letterPages = pageNum => (pageNum <= 2 ? LETTER : null);
+
+// Two OCR'd pages in the ocr.js result shape (boxes in points)
+function results() {
+  const word = (text, x0, y0, x1, y1, confidence, line) => ({ text, bbox: { x0, y0, x1, y1 }, confidence, line });
+  return {
+    2: {
+      words: [word('Exhibit', 72, 72, 120, 84, 91, 0), word('B', 124, 72, 132, 84, 88, 0)],
+      lines: [{ text: 'Exhibit B', bbox: { x0: 72, y0: 72, x1: 132, y1: 84 } }],
+      pageWidth: 612,
+      pageHeight: 792,
+    },
+    1: {
+      words: [
+        word('Smith', 72, 72, 108, 84, 96, 0), word('&', 112, 72, 120, 84, 40, 0), word('"Jones"', 124, 72, 168, 84, 95, 0),
+        word('Page', 72, 720, 100, 732, 99, 1), word('1', 104, 720, 110, 732, 99, 1),
+      ],
+      lines: [
+        { text: 'Smith & "Jones"', bbox: { x0: 72, y0: 72, x1: 168, y1: 84 } },
+        { text: 'Page 1', bbox: { x0: 72, y0: 720, x1: 110, y1: 732 } },
+      ],
+      pageWidth: 612,
+      pageHeight: 792,
+    },
+  };
+}
+
+const closeBox = (actual, expected) => {
+  for (const k of ['x0', 'y0', 'x1', 'y1']) expect(Math.abs(actual[k] - expected[k])).toBeLessThan(0.25);
+};
+
+/* ── Tests ── */
+
+describe('ocr-formats.js', () => {
+  describe('toHOCR', () => {
+    it('writes pages, lines and words in 300 DPI pixels with confidences', () => {
+      const hocr = toHOCR(results(), { title: 'Smith v. Jones.pdf' });
+      expect(hocr).toContain('<title>Smith v. Jones.pdf</title>');
+      expect(hocr).toContain('class="ocr_page" id="page_1" title="bbox 0 0 2550 3300; ppageno 0; scan_res 300 300"');
+      expect(hocr).toContain('<span class="ocr_line" id="line_1_1" title="bbox 300 300 700 350">');
+      expect(hocr).toContain('<span class="ocrx_word" id="word_1_2" title="bbox 467 300 500 350; x_wconf 40">&amp;</span>');
+      expect(hocr).toContain('&quot;Jones&quot;');
+      // Pages in order
+      expect(hocr.indexOf('page_1')).toBeLessThan(hocr.indexOf('page_2'));
+    });
+
+    it('is well-formed XHTML', () => {
+      const doc = new DOMParser().parseFromString(toHOCR(results()), 'application/xml');
+      expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    });
+  });
+
+  describe('toALTO', () => {
+    it('writes ALTO v4 with String boxes, spaces and WC', () => {
+      const alto = toALTO(results(), { fileName: 'smith.pdf' });
+      const doc = new DOMParser().parseFromString(alto, 'application/xml');
+      expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+      expect(doc.documentElement.namespaceURI).toBe('http://www.loc.gov/standards/alto/ns-v4#');
+      expect(doc.getElementsByTagName('fileName')[0].textContent).toBe('smith.pdf');
+
+      const pages = doc.getElementsByTagName('Page');
+      expect(pages).toHaveLength(2);
+      expect(pages[0].getAttribute('WIDTH')).toBe('2550');
+      const strings = pages[0].getElementsByTagName('String');
+      expect(strings).toHaveLength(5);
+      expect(strings[1].getAttribute('CONTENT')).toBe('&');
+      expect(strings[1].getAttribute('WC')).toBe('0.40');
+      expect(strings[0].getAttribute('HPOS')).toBe('300');
+      expect(strings[0].getAttribute('WIDTH')).toBe('150');
+      expect(pages[0].getElementsByTagName('TextLine')).toHaveLength(2);
+      expect(pages[0].getElementsByTagName('SP')).toHaveLength(3);
+    });
+  });
+
+  describe('round trips', () => {
+    it.each([
+      ['hOCR', toHOCR, parseHOCR],
+      ['ALTO', toALTO, parseALTO],
+    ])('reads its own %s back', (_, write, read) => {
+      const original = results();
+      const pages = read(write(original), letterPages);
+      expect(pages.map(p => p.pageNum)).toEqual([1, 2]);
+      const page1 = pages[0];
+      expect(page1.words.map(w => w.text)).toEqual(['Smith', '&', '"Jones"', 'Page', '1']);
+      expect(page1.words.map(w => w.confidence)).toEqual([96, 40, 95, 99, 99]);
+      expect(page1.words.map(w => w.line)).toEqual([0, 0, 0, 1, 1]);
+      expect(page1.lines.map(l => l.text)).toEqual(['Smith & "Jones"', 'Page 1']);
+      page1.words.forEach((w, i) => closeBox(w.bbox, original[1].words[i].bbox));
+      closeBox(page1.lines[1].bbox, original[1].lines[1].bbox);
+    });
+
+    it('groups words of older results by line box', () => {
+      const old = results();
+      old[1].words.forEach(w => delete w.line);
+      const [page1] = parseHOCR(toHOCR(old), letterPages);
+      expect(page1.lines.map(l => l.text)).toEqual(['Smith & "Jones"', 'Page 1']);
+    });
+  });
+
+  describe('detectOCRFormat', () => {
+    it('tells hOCR from ALTO', () => {
+      expect(detectOCRFormat(toHOCR(results()))).toBe('hocr');
+      expect(detectOCRFormat(toALTO(results()))).toBe('alto');
+      expect(detectOCRFormat('<html><body>Hello</body></html>')).toBeNull();
+    });
+  });
+
+  describe('parseHOCR', () => {
+    // As written by Tesseract: areas and paragraphs, no scan_res, 150 DPI image
+    const TESSERACT = `<!DOCTYPE html>
+      <html><head><meta name="ocr-system" content="tesseract 5.3.0"/></head><body>
+      <div class="ocr_page" id="page_1" title='image "scan.png"; bbox 0 0 1275 1650; ppageno 1'>
+        <div class="ocr_carea" title="bbox 150 150 600 200"><p class="ocr_par">
+          <span class="ocr_line" title="bbox 150 150 600 175; baseline 0 -5; x_size 25">
+            <span class="ocrx_word" title="bbox 150 150 300 175; x_wconf 93"><strong>Deposition</strong></span>
+            <span class="ocrx_word" title="bbox 310 150 600 175; x_wconf 87">Transcript</span>
+          </span>
+        </p></div>
+        <span class="ocrx_word" title="bbox 1100 1600 1150 1625">7</span>
+        <span class="ocrx_word" title="bbox 1160 1600 1170 1625; x_wconf 50">   </span>
+      </div>
+      <div class="ocr_page" title="bbox 0 0 1275 1650; ppageno 5"></div>
+      </body></html>`;
+
+    it('scales boxes to the page, reads the page number and keeps loose words', () => {
+      const pages = parseHOCR(TESSERACT, letterPages);
+      expect(pages).toHaveLength(1);
+      const [page] = pages;
+      expect(page.pageNum).toBe(2);
+      expect(page.words.map(w => w.text)).toEqual(['Deposition', 'Transcript', '7']);
+      closeBox(page.words[0].bbox, { x0: 72, y0: 72, x1: 144, y1: 84 });
+      expect(page.words[2].confidence).toBe(100);
+      expect(page.lines.map(l => l.text)).toEqual(['Deposition Transcript', '7']);
+      closeBox(page.lines[1].bbox, page.words[2].bbox);
+    });
+  });
+
+  describe('parseALTO', () => {
+    it('reads ALTO v2 in tenths of a millimetre', () => {
+      const alto = `<?xml version="1.0"?>
+        <alto xmlns="http://www.loc.gov/standards/alto/ns-v2#">
+          <Description><MeasurementUnit>mm10</MeasurementUnit></Description>
+          <Layout><Page ID="p1" PHYSICAL_IMG_NR="1" WIDTH="2159" HEIGHT="2794"><PrintSpace>
+            <TextBlock><TextLine HPOS="254" VPOS="254" WIDTH="508" HEIGHT="42">
+              <String CONTENT="Bates" HPOS="254" VPOS="254" WIDTH="200" HEIGHT="42" WC="0.8"/><SP/>
+              <String CONTENT="ABC0001" HPOS="470" VPOS="254" WIDTH="292" HEIGHT="42"/>
+            </TextLine></TextBlock>
+          </PrintSpace></Page></Layout>
+        </alto>`;
+      const [page] = parseALTO(alto, letterPages);
+      expect(page.pageNum).toBe(1);
+      expect(page.words.map(w => [w.text, w.confidence])).toEqual([['Bates', 80], ['ABC0001', 100]]);
+      closeBox(page.words[0].bbox, { x0: 72, y0: 72, x1: 72 + 200 * 72 / 254, y1: 72 + 42 * 72 / 254 });
+      expect(page.lines[0].text).toBe('Bates ABC0001');
+    });
+
+    it('numbers pages by order and skips pages the document does not have', () => {
+      const page = w => `<Page WIDTH="${w}" HEIGHT="3300"><PrintSpace><TextBlock><TextLine>
+        <String CONTENT="x" HPOS="${PX * 72}" VPOS="0" WIDTH="10" HEIGHT="10"/></TextLine></TextBlock></PrintSpace></Page>`;
+      const alto = `<alto><Layout>${page(2550)}${page(1275)}${page(2550)}</Layout></alto>`;
+      const pages = parseALTO(alto, letterPages);
+      expect(pages.map(p => p.pageNum)).toEqual([1, 2]);
+      expect(pages[0].words[0].bbox.x0).toBeCloseTo(72);
+      expect(pages[1].words[0].bbox.x0).toBeCloseTo(144);
+      // Lines without a box get their words' box
+      expect(pages[0].lines[0].bbox).toEqual(pages[0].words[0].bbox);
+    });
+
+    it('rejects broken XML', () => {
+      expect(() => parseALTO('<alto><Layout>', letterPages)).toThrow('Not a well-formed ALTO file');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { vendorTesseract } from '../scripts/vendor-tesseract.js';
+
+/* ── Helpers ── */
+
+// In-memory Cache Storage keyed by URL
+function fakeCaches() {
+  const stores = new Map();
+  return {
+    stores,
+    open: vi.fn(async name => {
+      if (!stores.has(name)) stores.set(name, new Map());
+      const store = stores.get(name);
+      return {
+        keys: async () => [...store.keys()].map(url => ({ url })),
+        match: async req => store.get(typeof req === 'string' ? req : req.url),
+        put: async (url, resp) => { store.set(url, resp); },
+        delete: async url => store.delete(url),
+      };
+    }),
+  };
+}
+
+function headers(values) {
+  return { get: name => values[name] ?? null };
+}
+
+function cachedResponse(bytes) {
+  return { headers: headers({ 'Content-Length': String(bytes) }) };
+}
+
+// A download that arrives in two chunks
+function download(size) {
+  const half = new Uint8Array(size / 2);
+  const chunks = [half, half];
+  return {
+    ok: true,
+    status: 200,
+    headers: headers({ 'Content-Length': String(size) }),
+    body: { getReader: () => ({ read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }) }) },
+  };
+}
+
+const BASE = new URL('vendor/tesseract/', document.baseURI).href;
+
+let mod;
+let savedFetch;
+
+async function load(manifest) {
+  globalThis.fetch = vi.fn(async url => {
+    if (url.endsWith('languages.json')) {
+      return manifest ? { ok: true, json: async () => manifest } : { ok: false, status: 404 };
+    }
+    return download(1000);
+  });
+  vi.resetModules();
+  mod = await import('../js/ocr-languages.js');
+}
+
+/* ── Tests ── */
+
+describe('ocr-languages.js', () => {
+  beforeEach(() => {
+    savedFetch = globalThis.fetch;
+    globalThis.caches = fakeCaches();
+  });
+
+  afterEach(() => {
+    globalThis.fetch = savedFetch;
+    delete globalThis.caches;
+  });
+
+  describe('getTesseractAssets', () => {
+    it('uses the vendored engine when its manifest is present', async () => {
+      await load({ tesseract: '5.1.1', languages: ['eng', 'spa'] });
+      const assets = await mod.getTesseractAssets();
+      expect(assets).toEqual({
+        source: 'local',
+        scriptPath: BASE + 'tesseract.min.js',
+        workerPath: BASE + 'worker.min.js',
+        corePath: BASE + 'core',
+        langPath: BASE + 'lang',
+        languages: ['eng', 'spa'],
+      });
+      expect(mod.languageDataURL(assets, 'spa')).toBe(BASE + 'lang/spa.traineddata.gz');
+    });
+
+    it('uses the engine the build vendors, with every file in place', async () => {
+      const out = mkdtempSync(join(tmpdir(), 'mudbrick-tesseract-'));
+      try {
+        vendorTesseract(['eng'], out, () => {});
+        await load(JSON.parse(readFileSync(join(out, 'languages.json'), 'utf8')));
+        const assets = await mod.getTesseractAssets();
+        expect(assets.source).toBe('local');
+        expect(assets.languages).toEqual(['eng']);
+
+        const onDisk = url => existsSync(join(out, url.slice(BASE.length)));
+        expect(onDisk(assets.scriptPath)).toBe(true);
+        expect(onDisk(assets.workerPath)).toBe(true);
+        expect(onDisk(assets.corePath + '/tesseract-core-simd-lstm.wasm.js')).toBe(true);
+        expect(onDisk(assets.corePath + '/tesseract-core-lstm.wasm.js')).toBe(true);
+        expect(onDisk(mod.languageDataURL(assets, 'eng'))).toBe(true);
+      } finally {
+        rmSync(out, { recursive: true, force: true });
+      }
+    });
+
+    it('falls back to the CDN and looks only once', async () => {
+      await load(null);
+      const assets = await mod.getTesseractAssets();
+      await mod.getTesseractAssets();
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(assets.source).toBe('cdn');
+      expect(assets.langPath).toBeUndefined();
+      expect(assets.languages).toEqual(mod.OCR_LANGUAGES.map(l => l.code));
+      expect(mod.languageDataURL(assets, 'chi_sim')).toBe(
+        'https://cdn.jsdelivr.net/npm/@tesseract.js-data/chi_sim/4.0.0_best_int/chi_sim.traineddata.gz',
+      );
+    });
+  });
+
+  describe('languageName', () => {
+    it('names single and combined languages', async () => {
+      await load(null);
+      expect(mod.languageName('deu')).toBe('German');
+      expect(mod.languageName('eng+spa')).toBe('English + Spanish');
+      expect(mod.languageName('xyz')).toBe('xyz');
+    });
+  });
+
+  describe('language manager', () => {
+    it('lists installed languages with their size', async () => {
+      await load({ languages: ['eng'] });
+      const cache = await globalThis.caches.open(mod.OCR_LANG_CACHE);
+      await cache.put(BASE + 'lang/eng.traineddata.gz', cachedResponse(2952873));
+      await cache.put(BASE + 'languages.json', cachedResponse(10));
+      expect(await mod.getInstalledLanguages()).toEqual([{ code: 'eng', bytes: 2952873 }]);
+    });
+
+    it('downloads traineddata into the language cache with progress', async () => {
+      await load({ languages: ['eng'] });
+      const onProgress = vi.fn();
+      expect(await mod.installLanguage('eng', onProgress)).toBe(1000);
+      expect(onProgress.mock.calls).toEqual([[500, 1000], [1000, 1000]]);
+      const stored = globalThis.caches.stores.get(mod.OCR_LANG_CACHE).get(BASE + 'lang/eng.traineddata.gz');
+      expect(stored.headers.get('Content-Length')).toBe('1000');
+    });
+
+    it('refuses languages that are not vendored', async () => {
+      await load({ languages: ['eng'] });
+      await expect(mod.installLanguage('jpn')).rejects.toThrow('Japanese language data is not available');
+    });
+
+    it('reports failed downloads', async () => {
+      await load({ languages: ['eng'] });
+      await mod.getTesseractAssets();
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+      await expect(mod.installLanguage('eng')).rejects.toThrow('HTTP 404');
+    });
+
+    it('removes installed languages', async () => {
+      await load({ languages: ['eng'] });
+      await mod.installLanguage('eng');
+      expect(await mod.removeLanguage('eng')).toBe(true);
+      expect(await mod.removeLanguage('eng')).toBe(false);
+      expect(await mod.getInstalledLanguages()).toEqual([]);
+    });
+
+    it('downloads only the missing parts of a combined language', async () => {
+      await load({ languages: ['eng', 'spa'] });
+      await mod.installLanguage('eng');
+      const onProgress = vi.fn();
+      expect(await mod.ensureLanguages('eng+spa', onProgress)).toEqual(['spa']);
+      expect(onProgress).toHaveBeenCalledWith('spa', 1000, 1000);
+      expect(await mod.ensureLanguages('eng+spa')).toEqual([]);
+    });
+
+    it('explains when a language cannot be downloaded', async () => {
+      await load({ languages: ['eng'] });
+      await expect(mod.ensureLanguages('rus')).rejects.toThrow(
+        'Russian language data is not installed and could not be downloaded',
+      );
+    });
+
+    it('does nothing without Cache Storage', async () => {
+      await load({ languages: ['eng'] });
+      delete globalThis.caches;
+      expect(await mod.getInstalledLanguages()).toEqual([]);
+      expect(await mod.ensureLanguages('eng')).toEqual([]);
+      await expect(mod.installLanguage('eng')).rejects.toThrow('not available in this browser');
+    });
+  });
+});
@@ -0,0 +1,275 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  PREPROCESS_STAGES, hasPreprocessing, preprocessProfile,
+  toGrayscale, binarize, despeckle, estimateSkew, detectOrientation, rotateImage,
+  preprocessCanvas,
+} from '../js/ocr-preprocess.js';
+
+/* ── Helpers ── */
+
+function blank(width, height, value = 255) {
+  return { data: new Uint8ClampedArray(width * height).fill(value), width, height };
+}
+
+function fillRect(img, x0, y0, x1, y1, value = 0) {
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) img.data[y * img.width + x] = value;
+  }
+}
+
+function inkAt(img, x, y) {
+  return img.data[y * img.width + x] === 0;
+}
+
+// Deterministic pseudo-random numbers in [0, 1)
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+/**
+ * Binary page of fake Latin text: lines of letter blocks on an x-height
+ * band, about a third with an ascender and one in ten with a descender,
+ * optionally drawn with its lines running downhill by `skew` degrees.
+ */
+function textPage({ width = 600, height = 400, skew = 0 } = {}) {
+  const img = blank(width, height);
+  const rand = random(7);
+  const t = Math.tan(skew * Math.PI / 180);
+  const put = (x, y) => {
+    const sy = Math.round(y + (x - width / 2) * t);
+    if (sy >= 0 && sy < height) img.data[sy * width + x] = 0;
+  };
+  for (let base = 60; base < height - 50; base += 40) {
+    let x = 40 + Math.floor(rand() * 20);
+    while (x < width - 60) {
+      const w = 5 + Math.floor(rand() * 6);
+      const r = rand();
+      const top = r < 0.33 ? base - 20 : base - 12;
+      const bottom = r > 0.9 ? base + 8 : base;
+      for (let y = top; y < bottom; y++) {
+        for (let dx = 0; dx < w; dx++) put(x + dx, y);
+      }
+      x += w + 3 + (rand() < 0.2 ? 8 : 0);
+    }
+  }
+  return img;
+}
+
+/* ── Tests ── */
+
+describe('ocr-preprocess.js', () => {
+  describe('options', () => {
+    it('knows when any stage is on', () => {
+      expect(hasPreprocessing()).toBe(false);
+      expect(hasPreprocessing({ compare: true })).toBe(false);
+      expect(hasPreprocessing({ deskew: true })).toBe(true);
+    });
+
+    it('names the enabled stages in pipeline order', () => {
+      expect(preprocessProfile({ orientation: true, binarize: true, compare: true })).toBe('binarize+orientation');
+      expect(preprocessProfile({})).toBe('');
+      expect(PREPROCESS_STAGES).toEqual(['grayscale', 'binarize', 'despeckle', 'deskew', 'orientation']);
+    });
+  });
+
+  describe('toGrayscale', () => {
+    it('weights channels by luma', () => {
+      const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 255, 255, 255, 255]);
+      const gray = toGrayscale({ data: rgba, width: 3, height: 1 });
+      expect(Array.from(gray.data)).toEqual([76, 150, 255]);
+      expect(gray.width).toBe(3);
+    });
+  });
+
+  describe('binarize', () => {
+    it('separates text from an uneven background a single threshold could not', () => {
+      // Background fades from white to mid-gray; text is a little darker than its surroundings
+      const img = blank(200, 60);
+      for (let y = 0; y < 60; y++) {
+        for (let x = 0; x < 200; x++) img.data[y * 200 + x] = 255 - Math.round(x * 0.6);
+      }
+      for (const x0 of [10, 90, 170]) {
+        for (let y = 20; y < 40; y++) {
+          for (let x = x0; x < x0 + 6; x++) img.data[y * 200 + x] -= 80;
+        }
+      }
+      const { data } = binarize(img);
+      for (const x0 of [10, 90, 170]) expect(data[30 * 200 + x0 + 3]).toBe(0);
+      // The darkest background (≈ 136) is lighter than its neighbourhood says text is
+      expect(data[5 * 200 + 195]).toBe(255);
+      expect(data[30 * 200 + 140]).toBe(255);
+      // The text on the light side (≈ 169) is lighter than that background
+      expect(img.data[30 * 200 + 13]).toBeGreaterThan(img.data[5 * 200 + 195]);
+    });
+
+    it('leaves an even page white', () => {
+      const { data } = binarize(blank(50, 50, 230));
+      expect(data.every(v => v === 255)).toBe(true);
+    });
+  });
+
+  describe('despeckle', () => {
+    it('removes isolated specks and keeps strokes', () => {
+      const img = blank(30, 30);
+      img.data[2 * 30 + 2] = 0;              // single-pixel speck
+      fillRect(img, 20, 2, 22, 4);           // 2×2 speck
+      fillRect(img, 5, 10, 25, 13);          // stroke
+      const removed = despeckle(img);
+      expect(removed.sort((a, b) => a - b)).toEqual([62, 80, 81, 110, 111]);
+      expect(inkAt(img, 2, 2)).toBe(false);
+      expect(inkAt(img, 20, 2)).toBe(false);
+      expect(inkAt(img, 10, 11)).toBe(true);
+    });
+
+    it('treats diagonal neighbours as connected', () => {
+      const img = blank(20, 20);
+      for (let i = 0; i < 10; i++) img.data[(i + 2) * 20 + i + 2] = 0;
+      expect(despeckle(img)).toEqual([]);
+      expect(despeckle(img, { maxArea: 10 })).toHaveLength(10);
+    });
+  });
+
+  describe('estimateSkew', () => {
+    it('finds the angle of skewed text lines', () => {
+      expect(estimateSkew(textPage({ skew: 2 }))).toBeCloseTo(2, 0);
+      expect(Math.abs(estimateSkew(textPage({ skew: 2 })) - 2)).toBeLessThan(0.2);
+      expect(Math.abs(estimateSkew(textPage({ skew: -3.5 })) + 3.5)).toBeLessThan(0.2);
+    });
+
+    it('reports straight and empty pages as straight', () => {
+      expect(Math.abs(estimateSkew(textPage()))).toBeLessThan(0.2);
+      expect(estimateSkew(blank(100, 100))).toBe(0);
+    });
+  });
+
+  describe('rotateImage', () => {
+    it('turns clockwise in quarter turns', () => {
+      // 1 2 3      4 1
+      // 4 5 6  →   5 2
+      //            6 3
+      const img = { data: new Uint8ClampedArray([1, 2, 3, 4, 5, 6]), width: 3, height: 2 };
+      const turned = rotateImage(img, 90);
+      expect(turned).toMatchObject({ width: 2, height: 3 });
+      expect(Array.from(turned.data)).toEqual([4, 1, 5, 2, 6, 3]);
+      expect(Array.from(rotateImage(img, 180).data)).toEqual([6, 5, 4, 3, 2, 1]);
+      expect(Array.from(rotateImage(img, 270).data)).toEqual([3, 6, 2, 5, 1, 4]);
+      expect(rotateImage(img, 0)).toEqual(img);
+    });
+  });
+
+  describe('detectOrientation', () => {
+    const page = textPage();
+
+    it('leaves upright pages alone', () => {
+      expect(detectOrientation(page)).toBe(0);
+    });
+
+    it('turns upside-down and sideways pages upright', () => {
+      expect(detectOrientation(rotateImage(page, 180))).toBe(180);
+      expect(detectOrientation(rotateImage(page, 90))).toBe(270);
+      expect(detectOrientation(rotateImage(page, 270))).toBe(90);
+    });
+  });
+
+  describe('preprocessCanvas', () => {
+    const origGetContext = HTMLCanvasElement.prototype.getContext;
+    afterEach(() => {
+      HTMLCanvasElement.prototype.getContext = origGetContext;
+    });
+
+    // Canvas whose pixels come from a grayscale image; draws are recorded
+    function mockCanvases(gray) {
+      const contexts = [];
+      HTMLCanvasElement.prototype.getContext = vi.fn(function () {
+        const ctx = {
+          canvas: this,
+          fillRect: vi.fn(),
+          translate: vi.fn(),
+          rotate: vi.fn(),
+          drawImage: vi.fn(),
+          putImageData: vi.fn(),
+          getImageData: vi.fn(() => {
+            const data = new Uint8ClampedArray(gray.width * gray.height * 4);
+            gray.data.forEach((v, i) => data.fill(v, i * 4, i * 4 + 3));
+            gray.data.forEach((_, i) => { data[i * 4 + 3] = 255; });
+            return { data, width: gray.width, height: gray.height };
+          }),
+        };
+        contexts.push(ctx);
+        return ctx;
+      });
+      const source = document.createElement('canvas');
+      source.width = gray.width;
+      source.height = gray.height;
+      return { source, contexts };
+    }
+
+    it('writes the black & white image without moving it', async () => {
+      const page = textPage();
+      page.data[5] = 0; // a speck
+      const { source, contexts } = mockCanvases(page);
+      const result = await preprocessCanvas(source, { binarize: true, despeckle: true });
+
+      expect(result).toMatchObject({ rotation: 0, skew: 0 });
+      expect(result.canvas).not.toBe(source);
+      expect(result.toUpright(10, 20)).toEqual({ x: 10, y: 20 });
+      const written = contexts.find(c => c.putImageData.mock.calls.length).putImageData.mock.calls[0][0].data;
+      expect(written[5 * 4]).toBe(255);
+      expect(Array.from(written.subarray(0, 4))).toEqual([255, 255, 255, 255]);
+      expect(new Set(written).size).toBe(2);
+    });
+
+    it('turns a sideways, skewed page upright and straight in one draw', async () => {
+      const page = rotateImage(textPage({ skew: 2 }), 90); // 400 × 600
+      const { source, contexts } = mockCanvases(page);
+      const result = await preprocessCanvas(source, { deskew: true, orientation: true });
+
+      expect(result.rotation).toBe(270);
+      expect(Math.abs(result.skew - 2)).toBeLessThan(0.2);
+      const out = contexts.find(c => c.rotate.mock.calls.length);
+      expect(out.rotate).toHaveBeenCalledWith((270 - result.skew) * Math.PI / 180);
+      // Grown to hold the turned page's corners
+      expect(result.canvas.width).toBeGreaterThan(600);
+      expect(result.canvas.height).toBeGreaterThan(400);
+
+      // Centers line up; a point right of center moves back downhill by the skew
+      const center = result.toUpright(result.canvas.width / 2, result.canvas.height / 2);
+      expect(center.x).toBeCloseTo(300);
+      expect(center.y).toBeCloseTo(200);
+      const right = result.toUpright(result.canvas.width / 2 + 100, result.canvas.height / 2);
+      expect(right.y - 200).toBeCloseTo(100 * Math.sin(result.skew * Math.PI / 180));
+    });
+
+    it('keeps the source colors when only straightening', async () => {
+      const { source, contexts } = mockCanvases(textPage({ skew: -2 }));
+      const result = await preprocessCanvas(source, { deskew: true });
+      expect(result.rotation).toBe(0);
+      expect(result.skew).toBeLessThan(-1.5);
+      // Colors are copied through untouched (alpha included)
+      const written = contexts.find(c => c.putImageData.mock.calls.length).putImageData.mock.calls[0][0];
+      expect(written.data[3]).toBe(255);
+    });
+
+    it('hands control back between stages and stops there when aborted', async () => {
+      const { source, contexts } = mockCanvases(textPage());
+      const controller = new AbortController();
+      const running = preprocessCanvas(source, { binarize: true, despeckle: true, deskew: true }, {
+        signal: controller.signal,
+      });
+      // The first stage is done and the pipeline is waiting for its turn again
+      controller.abort();
+      await expect(running).rejects.toMatchObject({ name: 'AbortError' });
+      expect(contexts.some(c => c.putImageData.mock.calls.length)).toBe(false);
+    });
+
+    it('does nothing when already aborted', async () => {
+      const { source, contexts } = mockCanvases(textPage());
+      await expect(preprocessCanvas(source, { binarize: true }, { signal: AbortSignal.abort() }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(contexts).toHaveLength(0);
+    });
+  });
+});
@@ -1,4 +1,28 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../js/ocr-languages.js', () => ({
+  getTesseractAssets: vi.fn(async () => ({
+    source: 'local',
+    scriptPath: '/vendor/tesseract/tesseract.min.js',
+    workerPath: '/vendor/tesseract/worker.min.js',
+    corePath: '/vendor/tesseract/core',
+    langPath: '/vendor/tesseract/lang',
+    languages: ['eng', 'spa'],
+  })),
+  ensureLanguages: vi.fn(async (language, onProgress) => {
+    if (language.includes('spa')) onProgress?.('spa', 500, 1000);
+    return [];
+  }),
+  languageName: vi.fn(code => ({ eng: 'English', spa: 'Spanish' })[code] || code),
+}));
+
+vi.mock('../js/ocr-preprocess.js', async importOriginal => ({
+  ...await importOriginal(),
+  preprocessCanvas: vi.fn(),
+}));
+
+import * as PDFLib from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
 import {
   runOCR,
   hasOCRResults,
@@ -6,7 +30,119 @@ import {
   getOCRTextEntries,
   clearOCRResults,
   terminateOCR,
+  makeSearchablePDF,
+  ocrDocumentKey,
+  clearSavedOCR,
+  getOCRResults,
+  getOCRStats,
+  applyOCRRotations,
+  exportHOCR,
+  exportALTO,
+  importOCR,
+  recognizePageText,
 } from '../js/ocr.js';
+import { preprocessCanvas } from '../js/ocr-preprocess.js';
+
+/* ── Helpers ── */
+
+// In-memory IndexedDB: enough for one object store with string keys
+function fakeIndexedDB() {
+  const data = new Map();
+  const later = (req, fn) => setTimeout(() => {
+    req.result = fn();
+    req.onsuccess?.();
+  }, 0);
+  const inRange = (key, range) => key >= range.lower && key <= range.upper;
+  const store = {
+    get: key => { const req = {}; later(req, () => data.get(key)); return req; },
+    put: (value, key) => { const req = {}; later(req, () => data.set(key, structuredClone(value))); return req; },
+    delete: key => {
+      const req = {};
+      later(req, () => {
+        for (const k of [...data.keys()]) if (typeof key === 'object' ? inRange(k, key) : k === key) data.delete(k);
+      });
+      return req;
+    },
+    openCursor: () => { const req = {}; later(req, () => null); return req; },
+  };
+  const db = {
+    objectStoreNames: { contains: () => true },
+    transaction: () => ({ objectStore: () => store }),
+  };
+  return {
+    data,
+    open: () => { const req = {}; later(req, () => db); return req; },
+  };
+}
+
+const idb = fakeIndexedDB();
+globalThis.indexedDB = idb;
+globalThis.IDBKeyRange = { bound: (lower, upper) => ({ lower, upper }) };
+
+// PDF.js document stand-in whose pages render instantly
+function pagedDoc(numPages = 10) {
+  return {
+    numPages,
+    getPage: vi.fn(async () => ({
+      getViewport: vi.fn(({ scale }) => ({
+        width: 100 * scale, height: 130 * scale, transform: [scale, 0, 0, -scale, 0, 130 * scale],
+      })),
+      getTextContent: async () => ({ items: [] }),
+      render: vi.fn(() => ({ promise: Promise.resolve() })),
+    })),
+  };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const OCR_SCALE = 300 / 72;
+
+// Tesseract blocks for lines of [text, x0, y0, x1, y1] words in view points
+// (top-left origin, as the page is displayed)
+function ocrBlocks(lines) {
+  const box = ([x0, y0, x1, y1]) => ({ x0: x0 * OCR_SCALE, y0: y0 * OCR_SCALE, x1: x1 * OCR_SCALE, y1: y1 * OCR_SCALE });
+  return [{
+    paragraphs: [{
+      lines: lines.map(words => ({
+        bbox: box([
+          Math.min(...words.map(w => w[1])), Math.min(...words.map(w => w[2])),
+          Math.max(...words.map(w => w[3])), Math.max(...words.map(w => w[4])),
+        ]),
+        words: words.map(([text, ...bbox]) => ({ text, bbox: box(bbox), confidence: 90 })),
+      })),
+    }],
+  }];
+}
+
+const openPDF = bytes => pdfjsLib.getDocument({
+  data: bytes.slice(), isEvalSupported: false, standardFontDataUrl: 'node_modules/pdfjs-dist/standard_fonts/',
+}).promise;
+
+// A PDF.js document whose pages skip rendering (OCR is mocked)
+async function openForOCR(bytes) {
+  const doc = await openPDF(bytes);
+  return {
+    numPages: doc.numPages,
+    getPage: async pageNum => {
+      const page = await doc.getPage(pageNum);
+      return {
+        rotate: page.rotate,
+        getViewport: opts => page.getViewport(opts),
+        getTextContent: () => page.getTextContent(),
+        render: () => ({ promise: Promise.resolve() }),
+      };
+    },
+  };
+}
+
+// Extracted text with line breaks, and the items themselves
+async function extractText(bytes, pageNum) {
+  const doc = await openPDF(bytes);
+  const page = await doc.getPage(pageNum);
+  const { items } = await page.getTextContent();
+  const text = items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('');
+  return { text: text.trim(), items, viewport: page.getViewport({ scale: 1 }) };
+}
 
 /* ── Stub canvas getContext so jsdom doesn't return null ── */
 
@@ -273,5 +409,394 @@ describe('ocr.js', () => {
       expect(lastCall.current).toBe(2);
       expect(lastCall.total).toBe(2);
     });
+
+    it('creates the worker from the located assets after fetching language data', async () => {
+      const mockWorker = {
+        recognize: vi.fn(() => Promise.resolve({ data: { blocks: [], text: '' } })),
+        terminate: vi.fn(),
+      };
+      window.Tesseract = {
+        createWorker: vi.fn(() => Promise.resolve(mockWorker)),
+      };
+      const mockPdfDoc = {
+        getPage: vi.fn(() => Promise.resolve({
+          getViewport: vi.fn(({ scale }) => ({ width: 100 * scale, height: 130 * scale })),
+          render: vi.fn(() => ({ promise: Promise.resolve() })),
+        })),
+      };
+
+      const onProgress = vi.fn();
+      await runOCR(mockPdfDoc, [1], onProgress, { language: 'eng+spa' });
+
+      expect(window.Tesseract.createWorker).toHaveBeenCalledWith('eng+spa', 1, {
+        workerPath: '/vendor/tesseract/worker.min.js',
+        corePath: '/vendor/tesseract/core',
+        langPath: '/vendor/tesseract/lang',
+        cacheMethod: 'none',
+      });
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+        status: expect.stringContaining('Downloading Spanish language data'),
+        progress: 50,
+      }));
+    });
+  });
+
+  /* ── makeSearchablePDF ── */
+
+  describe('makeSearchablePDF', () => {
+    const LINES = [
+      [['Invoice', 40, 30, 110, 46], ['No.', 116, 30, 140, 46], ['1042', 146, 30, 190, 46]],
+      [['Total', 40, 60, 86, 76], ['due:', 92, 60, 126, 76], ['$1,250.00', 132, 60, 190, 76]],
+    ];
+    let savedPDFLib;
+    let recognize;
+
+    beforeEach(() => {
+      savedPDFLib = window.PDFLib;
+      window.PDFLib = PDFLib;
+      recognize = vi.fn(async () => ({ data: { blocks: ocrBlocks(LINES) } }));
+      window.Tesseract = {
+        createWorker: vi.fn(async () => ({ recognize, terminate: vi.fn() })),
+      };
+    });
+
+    afterEach(() => {
+      window.PDFLib = savedPDFLib;
+    });
+
+    // Page 1 is a "scan" (no text), page 2 already has text
+    async function sourcePDF({ rotate = 0 } = {}) {
+      const doc = await PDFLib.PDFDocument.create();
+      const font = await doc.embedFont(PDFLib.StandardFonts.Helvetica);
+      const scan = doc.addPage([300, 200]);
+      scan.drawRectangle({ x: 20, y: 20, width: 260, height: 160, color: PDFLib.rgb(0.9, 0.9, 0.9) });
+      if (rotate) scan.setRotation(PDFLib.degrees(rotate));
+      doc.addPage([300, 200]).drawText('This page was born digital and has text.', { x: 20, y: 100, size: 10, font });
+      return doc.save();
+    }
+
+    it('writes invisible text that PDF.js extracts as the OCR text', async () => {
+      const bytes = await sourcePDF();
+      const { bytes: out, pages } = await makeSearchablePDF(await openForOCR(bytes), bytes);
+
+      expect(pages).toEqual([1]);
+      expect(recognize).toHaveBeenCalledTimes(1);
+      const { text, items } = await extractText(out, 1);
+      expect(text.split(/\s*\n\s*/).map(l => l.replace(/\s+/g, ' ').trim()))
+        .toEqual(['Invoice No. 1042', 'Total due: $1,250.00']);
+      expect(text.replace(/\s+/g, ' ')).toBe(getOCRTextEntries()[0].text.replace(/\s+/g, ' '));
+
+      // Each word starts at its box and is scaled to span it
+      const invoice = items.find(item => item.str.startsWith('Invoice'));
+      expect(invoice.transform[4]).toBeCloseTo(40, 1);
+      const amount = items.find(item => item.str === '$1,250.00');
+      expect(amount.width).toBeCloseTo(58, 1);
+
+      // The born-digital page is left as it was
+      expect((await extractText(out, 2)).text).toBe('This page was born digital and has text.');
+    });
+
+    it('places words over the image on rotated pages', async () => {
+      const bytes = await sourcePDF({ rotate: 90 });
+      const { bytes: out } = await makeSearchablePDF(await openForOCR(bytes), bytes);
+      const { items, viewport } = await extractText(out, 1);
+      const amount = items.find(item => item.str === '$1,250.00');
+      const [x, y] = viewport.convertToViewportPoint(amount.transform[4], amount.transform[5]);
+      expect(x).toBeCloseTo(132, 1);
+      expect(y).toBeCloseTo(76 - 16 * 0.15, 1);
+    });
+
+    it('reuses existing results and skips documents that have text', async () => {
+      const bytes = await sourcePDF();
+      const pdfDoc = await openForOCR(bytes);
+      await runOCR(pdfDoc, [1]);
+      const { bytes: out } = await makeSearchablePDF(pdfDoc, bytes);
+      expect(recognize).toHaveBeenCalledTimes(1);
+
+      clearOCRResults();
+      const again = await makeSearchablePDF(await openForOCR(out), out);
+      expect(again).toEqual({ bytes: null, pages: [] });
+    });
+  });
+  /* ── Worker pool, cancellation and resuming ── */
+
+  describe('worker pool', () => {
+    let recognize;
+    let terminate;
+
+    beforeEach(() => {
+      recognize = vi.fn(async () => ({ data: { blocks: [] } }));
+      terminate = vi.fn();
+      window.Tesseract = {
+        createWorker: vi.fn(async () => ({ recognize, terminate })),
+      };
+    });
+
+    it('spreads pages over the requested number of workers and reports an ETA', async () => {
+      const onProgress = vi.fn();
+      await runOCR(pagedDoc(), [1, 2, 3, 4, 5, 6], onProgress, { workers: 3 });
+
+      expect(window.Tesseract.createWorker).toHaveBeenCalledTimes(3);
+      expect(recognize).toHaveBeenCalledTimes(6);
+      expect([1, 2, 3, 4, 5, 6].every(p => hasOCRResults(p))).toBe(true);
+
+      const recognized = onProgress.mock.calls.map(c => c[0]).filter(info => info.status.startsWith('Recognized'));
+      expect(recognized.map(info => info.current)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(recognized.every(info => typeof info.eta === 'number')).toBe(true);
+      expect(onProgress.mock.calls.at(-1)[0]).toMatchObject({ status: 'OCR complete', eta: 0 });
+    });
+
+    it('never starts more workers than there are pages', async () => {
+      await runOCR(pagedDoc(), [1, 2], vi.fn(), { workers: 8 });
+      expect(window.Tesseract.createWorker).toHaveBeenCalledTimes(2);
+    });
+
+    it('stops on abort, keeping finished pages and dropping the pool', async () => {
+      const controller = new AbortController();
+      // Pages after the second never finish, like a long-running recognition
+      recognize.mockImplementation(() => (recognize.mock.calls.length <= 2
+        ? Promise.resolve({ data: { blocks: [] } })
+        : new Promise(() => {})));
+      const onProgress = vi.fn(info => {
+        if (info.current === 2) controller.abort();
+      });
+
+      await expect(runOCR(pagedDoc(), [1, 2, 3, 4], onProgress, { workers: 2, signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect([1, 2].every(p => hasOCRResults(p))).toBe(true);
+      expect(hasOCRResults(3) || hasOCRResults(4)).toBe(false);
+      expect(terminate).toHaveBeenCalledTimes(2);
+    });
+
+    it('resumes from pages saved by an earlier run of the same document', async () => {
+      await runOCR(pagedDoc(), [1, 2], vi.fn(), { documentKey: 'doc-a', workers: 1 });
+      await tick();
+      clearOCRResults();
+
+      const onProgress = vi.fn();
+      await runOCR(pagedDoc(), [1, 2, 3], onProgress, { documentKey: 'doc-a', workers: 1 });
+      expect(recognize).toHaveBeenCalledTimes(3);
+      expect([1, 2, 3].every(p => hasOCRResults(p))).toBe(true);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'Resumed 2 pages from an earlier run…', current: 2, resumed: 2,
+      }));
+
+      // Other languages and cleared documents start over
+      clearOCRResults();
+      await runOCR(pagedDoc(), [1], vi.fn(), { documentKey: 'doc-a', language: 'spa', workers: 1 });
+      expect(recognize).toHaveBeenCalledTimes(4);
+      await tick();
+      await clearSavedOCR('doc-a');
+      expect([...idb.data.keys()].some(k => k.startsWith('doc-a|'))).toBe(false);
+    });
+
+    it('recognizes another document\'s text without touching the open one\'s results', async () => {
+      recognize.mockResolvedValue({ data: { blocks: ocrBlocks([[['Scanned', 10, 10, 60, 20]]]) } });
+      await runOCR(pagedDoc(), [1, 2], vi.fn(), { documentKey: 'doc-b', workers: 1 });
+      await tick();
+      clearOCRResults();
+      recognize.mockClear();
+
+      const text = await recognizePageText(pagedDoc(), [2, 3], { documentKey: 'doc-b' });
+      expect([...text]).toEqual([[2, 'Scanned'], [3, 'Scanned']]);
+      expect(recognize).toHaveBeenCalledTimes(1);
+      expect(hasOCRResults(2) || hasOCRResults(3)).toBe(false);
+    });
+
+    it('keys documents by their bytes', async () => {
+      const a = await ocrDocumentKey(new Uint8Array([1, 2, 3]));
+      expect(a).toMatch(/^[0-9a-f]{64}$/);
+      expect(await ocrDocumentKey(new Uint8Array([1, 2, 3]))).toBe(a);
+      expect(await ocrDocumentKey(new Uint8Array([1, 2, 4]))).not.toBe(a);
+    });
+  });
+  /* ── Preprocessing ── */
+
+  describe('preprocessing', () => {
+    const LINES = [
+      [['Invoice', 40, 30, 110, 46], ['No.', 116, 30, 140, 46], ['1042', 146, 30, 190, 46]],
+      [['Total', 40, 60, 86, 76], ['due:', 92, 60, 126, 76], ['$1,250.00', 132, 60, 190, 76]],
+    ];
+    const withConfidence = confidence => {
+      const blocks = ocrBlocks(LINES);
+      blocks[0].paragraphs[0].lines.forEach(line => line.words.forEach(w => { w.confidence = confidence; }));
+      return { data: { blocks } };
+    };
+    let savedPDFLib;
+    let recognize;
+    let processed;
+
+    beforeEach(() => {
+      savedPDFLib = window.PDFLib;
+      window.PDFLib = PDFLib;
+      recognize = vi.fn(async () => withConfidence(90));
+      window.Tesseract = {
+        createWorker: vi.fn(async () => ({ recognize, terminate: vi.fn() })),
+      };
+      processed = document.createElement('canvas');
+      preprocessCanvas.mockReset();
+      preprocessCanvas.mockImplementation(() => ({
+        canvas: processed, rotation: 0, skew: 0, toUpright: (x, y) => ({ x, y }),
+      }));
+    });
+
+    afterEach(() => {
+      window.PDFLib = savedPDFLib;
+    });
+
+    it('recognizes the cleaned-up image and records what was done', async () => {
+      await runOCR(pagedDoc(), [1], null, { preprocess: { binarize: true, despeckle: true } });
+      expect(preprocessCanvas).toHaveBeenCalledWith(
+        expect.any(HTMLCanvasElement), { binarize: true, despeckle: true }, { signal: undefined },
+      );
+      expect(recognize).toHaveBeenCalledTimes(1);
+      expect(recognize.mock.calls[0][0]).toBe(processed);
+      expect(getOCRResults(1).preprocess).toEqual({ profile: 'binarize+despeckle', rotation: 0, skew: 0 });
+      expect(getOCRStats()).toMatchObject({ preprocessedPages: 1, deskewedPages: 0, confidenceGain: null });
+    });
+
+    it('stops during preprocessing without recognizing the page', async () => {
+      const controller = new AbortController();
+      preprocessCanvas.mockImplementation((canvas, options, { signal }) => {
+        controller.abort();
+        signal.throwIfAborted();
+      });
+      await expect(runOCR(pagedDoc(), [1], null, { preprocess: { deskew: true }, signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(preprocessCanvas.mock.calls[0][2].signal).toBe(controller.signal);
+      expect(recognize).not.toHaveBeenCalled();
+      expect(hasOCRResults(1)).toBe(false);
+    });
+
+    it('leaves the render alone without stages', async () => {
+      await runOCR(pagedDoc(), [1], null, { preprocess: { compare: true } });
+      expect(preprocessCanvas).not.toHaveBeenCalled();
+      expect(recognize).toHaveBeenCalledTimes(1);
+      expect(getOCRResults(1).preprocess).toBeUndefined();
+    });
+
+    it('measures the confidence gain against the unprocessed page', async () => {
+      recognize
+        .mockResolvedValueOnce(withConfidence(60))
+        .mockResolvedValueOnce(withConfidence(88));
+      await runOCR(pagedDoc(), [1], null, { preprocess: { binarize: true, compare: true } });
+      expect(recognize).toHaveBeenCalledTimes(2);
+      expect(recognize.mock.calls[0][0]).not.toBe(processed);
+      expect(recognize.mock.calls[1][0]).toBe(processed);
+      expect(getOCRResults(1)).toMatchObject({ baselineConfidence: 60, avgConfidence: 88 });
+      expect(getOCRStats()).toMatchObject({ avgConfidence: 88, confidenceGain: 28 });
+    });
+
+    it('moves deskewed words back onto the skewed page', async () => {
+      preprocessCanvas.mockImplementation(() => ({
+        canvas: processed, rotation: 0, skew: 1.5,
+        toUpright: (x, y) => ({ x: x + 10 * OCR_SCALE, y: y - 5 * OCR_SCALE }),
+      }));
+      await runOCR(pagedDoc(), [1], null, { preprocess: { deskew: true } });
+      const [invoice] = getOCRResults(1).words;
+      expect(invoice.bbox.x0).toBeCloseTo(50);
+      expect(invoice.bbox.y0).toBeCloseTo(25);
+      expect(invoice.bbox.x1 - invoice.bbox.x0).toBeCloseTo(70);
+      expect(getOCRStats().deskewedPages).toBe(1);
+    });
+
+    it('turns sideways scans upright in the searchable PDF, text and all', async () => {
+      preprocessCanvas.mockImplementation(() => ({
+        canvas: processed, rotation: 90, skew: 0, toUpright: (x, y) => ({ x, y }),
+      }));
+      const doc = await PDFLib.PDFDocument.create();
+      doc.addPage([300, 200]);
+      const bytes = await doc.save();
+
+      const { bytes: out } = await makeSearchablePDF(await openForOCR(bytes), bytes, null, {
+        preprocess: { orientation: true },
+      });
+      expect(getOCRResults(1).rotation).toBeUndefined();
+      const saved = await PDFLib.PDFDocument.load(out);
+      expect(saved.getPage(0).getRotation().angle).toBe(90);
+
+      // The words sit where OCR read them on the upright page
+      const { items, viewport } = await extractText(out, 1);
+      expect(viewport.width).toBe(200);
+      const amount = items.find(item => item.str === '$1,250.00');
+      const [x, y] = viewport.convertToViewportPoint(amount.transform[4], amount.transform[5]);
+      expect(x).toBeCloseTo(132, 1);
+      expect(y).toBeCloseTo(76 - 16 * 0.15, 1);
+    });
+
+    it('turns each page once', async () => {
+      preprocessCanvas
+        .mockImplementationOnce(() => ({ canvas: processed, rotation: 180, skew: 0, toUpright: (x, y) => ({ x, y }) }))
+        .mockImplementationOnce(() => ({ canvas: processed, rotation: 0, skew: 0, toUpright: (x, y) => ({ x, y }) }));
+      const doc = await PDFLib.PDFDocument.create();
+      doc.addPage([300, 200]);
+      doc.addPage([300, 200]).setRotation(PDFLib.degrees(270));
+      const pdfDoc = await openForOCR(await doc.save());
+      await runOCR(pdfDoc, [2, 1], null, { preprocess: { orientation: true }, workers: 1 });
+
+      expect(applyOCRRotations(doc, PDFLib)).toEqual([2]);
+      expect(doc.getPage(1).getRotation().angle).toBe(90);
+      expect(doc.getPage(0).getRotation().angle).toBe(0);
+      expect(applyOCRRotations(doc, PDFLib)).toEqual([]);
+    });
+
+    it('saves results from different stages apart', async () => {
+      await runOCR(pagedDoc(), [1], null, { documentKey: 'doc-p', preprocess: { binarize: true } });
+      await tick();
+      clearOCRResults();
+      await runOCR(pagedDoc(), [1], null, { documentKey: 'doc-p' });
+      expect(recognize).toHaveBeenCalledTimes(2);
+      await tick();
+      clearOCRResults();
+      await runOCR(pagedDoc(), [1], null, { documentKey: 'doc-p', preprocess: { binarize: true, compare: true } });
+      expect(recognize).toHaveBeenCalledTimes(2);
+      await tick();
+      await clearSavedOCR('doc-p');
+    });
+  });
+  /* ── hOCR and ALTO ── */
+
+  describe('hOCR and ALTO', () => {
+    beforeEach(() => {
+      window.Tesseract = {
+        createWorker: vi.fn(async () => ({
+          recognize: vi.fn(async () => ({ data: { blocks: ocrBlocks([[['Exhibit', 10, 10, 40, 20], ['12', 44, 10, 52, 20]]]) } })),
+          terminate: vi.fn(),
+        })),
+      };
+    });
+
+    it('exports nothing without results', () => {
+      expect(exportHOCR()).toBe('');
+      expect(exportALTO()).toBe('');
+    });
+
+    it('exports recognized pages with their page size', async () => {
+      await runOCR(pagedDoc(), [3]);
+      expect(getOCRResults(3).words.map(w => w.line)).toEqual([0, 0]);
+      const hocr = exportHOCR({ title: 'scan.pdf' });
+      expect(hocr).toContain('title="bbox 0 0 417 542; ppageno 2; scan_res 300 300"');
+      expect(hocr).toContain('>Exhibit</span>');
+      expect(exportALTO()).toContain('CONTENT="12"');
+    });
+
+    it('imports OCR from another engine as searchable results', async () => {
+      await runOCR(pagedDoc(), [1]);
+      const exported = exportHOCR();
+      clearOCRResults();
+
+      const pages = await importOCR(pagedDoc(2), exported.replace('ppageno 0', 'ppageno 1'));
+      expect(pages).toEqual([2]);
+      expect(hasOCRResults(1)).toBe(false);
+      const result = getOCRResults(2);
+      expect(result).toMatchObject({ fullText: 'Exhibit 12', pageWidth: 100, pageHeight: 130, avgConfidence: 90 });
+      expect(result.transform).toEqual([1, 0, 0, -1, 0, 130]);
+      expect(result.words[0].bbox.x0).toBeCloseTo(10, 0);
+      expect(getOCRTextEntries()).toEqual([expect.objectContaining({ pageNum: 2, text: 'Exhibit 12' })]);
+    });
+
+    it('refuses files that are neither', async () => {
+      await expect(importOCR(pagedDoc(), '<html><body>hi</body></html>')).rejects.toThrow('Not an hOCR or ALTO file');
+    });
   });
 });
@@ -0,0 +1,335 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as PDFLib from 'pdf-lib';
+import {
+  createBookmark, readOutline, writeOutline, remapOutline, insertInPageOrder,
+  getBookmark, removeBookmark, moveBookmark, countBookmarks,
+} from '../js/outline.js';
+import {
+  resetPdfLib, deletePage, deletePages, reorderPages, mergePDFs, splitPDF, appendPages, replacePages,
+} from '../js/pdf-edit.js';
+
+const { PDFDocument, PDFName, PDFHexString, PDFNumber, PDFString } = PDFLib;
+
+/* ── Helpers ── */
+
+async function docWithPages(count, size = [612, 792]) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < count; i++) doc.addPage(size);
+  return doc;
+}
+
+/** Outline as [title, page] pairs, with children nested as a third element */
+function shape(bookmarks) {
+  return bookmarks.map(b => (b.children.length
+    ? [b.title, b.pageIndex, shape(b.children)]
+    : [b.title, b.pageIndex]));
+}
+
+function tree() {
+  const chapter = createBookmark('Chapter 1', 0);
+  chapter.children.push(createBookmark('Section 1.1', 1), createBookmark('Section 1.2', 2));
+  return [chapter, createBookmark('Chapter 2', 3), createBookmark('Appendix', 4)];
+}
+
+async function bytesWithOutline(pageCount, bookmarks) {
+  const doc = await docWithPages(pageCount);
+  writeOutline(doc, bookmarks);
+  return doc.save();
+}
+
+/** Outline with a red bold page bookmark and a blue URI bookmark */
+async function styledBytes(pageCount) {
+  const doc = await docWithPages(pageCount);
+  writeOutline(doc, [createBookmark('Chapter', 2), createBookmark('Website', null)]);
+  const root = doc.catalog.lookup(PDFName.of('Outlines'));
+  const chapter = doc.context.lookup(root.get(PDFName.of('First')));
+  chapter.set(PDFName.of('C'), doc.context.obj([1, 0, 0]));
+  chapter.set(PDFName.of('F'), PDFNumber.of(2));
+  const website = doc.context.lookup(root.get(PDFName.of('Last')));
+  website.set(PDFName.of('C'), doc.context.obj([0, 0, 1]));
+  website.set(PDFName.of('A'), doc.context.register(
+    doc.context.obj({ S: 'URI', URI: PDFString.of('https://example.com/') }),
+  ));
+  return doc.save();
+}
+
+/** Each top-level item's colour, flags and action type from the saved outline */
+async function styleOf(bytes) {
+  const doc = await PDFDocument.load(bytes);
+  const items = [];
+  let ref = doc.catalog.lookup(PDFName.of('Outlines')).get(PDFName.of('First'));
+  while (ref) {
+    const item = doc.context.lookup(ref);
+    const action = item.lookup(PDFName.of('A'));
+    items.push({
+      color: item.lookup(PDFName.of('C'))?.asArray().map(n => n.asNumber()),
+      flags: item.lookup(PDFName.of('F'))?.asNumber(),
+      action: action && [action.lookup(PDFName.of('S')).asString(), action.lookup(PDFName.of('URI')).decodeText()],
+      dest: item.has(PDFName.of('Dest')),
+    });
+    ref = item.get(PDFName.of('Next'));
+  }
+  return items;
+}
+
+async function outlineOf(bytes) {
+  return readOutline(await PDFDocument.load(bytes));
+}
+
+/* ── Tests ── */
+
+describe('outline.js', () => {
+  let savedPDFLib;
+
+  beforeEach(() => {
+    savedPDFLib = window.PDFLib;
+    window.PDFLib = PDFLib;
+    resetPdfLib();
+  });
+
+  afterEach(() => {
+    window.PDFLib = savedPDFLib;
+  });
+
+  describe('writeOutline / readOutline', () => {
+    it('round-trips nesting, titles, views and open state', async () => {
+      const bookmarks = tree();
+      bookmarks[0].open = false;
+      bookmarks[1].title = 'Zweites Kapitel — Übersicht';
+      bookmarks[1].view = { fit: 'XYZ', args: [null, 500, null] };
+
+      const outline = await outlineOf(await bytesWithOutline(5, bookmarks));
+      expect(shape(outline)).toEqual(shape(bookmarks));
+      expect(outline[0].open).toBe(false);
+      expect(outline[1].view).toEqual({ fit: 'XYZ', args: [null, 500, null] });
+      expect(outline[2].view).toBeNull();
+    });
+
+    it('writes the counts and links readers expect', async () => {
+      const doc = await docWithPages(5);
+      const bookmarks = tree();
+      writeOutline(doc, bookmarks);
+      const root = doc.catalog.lookup(PDFName.of('Outlines'));
+      expect(root.lookup(PDFName.of('Count')).asNumber()).toBe(5);
+      const first = root.lookup(PDFName.of('First'));
+      expect(first.lookup(PDFName.of('Count')).asNumber()).toBe(2);
+      expect(first.lookup(PDFName.of('Last')).lookup(PDFName.of('Prev'))).toBe(first.lookup(PDFName.of('First')));
+      expect(root.lookup(PDFName.of('Last')).get(PDFName.of('Next'))).toBeUndefined();
+
+      // Closed: children are hidden and counted negatively
+      bookmarks[0].open = false;
+      writeOutline(doc, bookmarks);
+      const again = doc.catalog.lookup(PDFName.of('Outlines'));
+      expect(again.lookup(PDFName.of('Count')).asNumber()).toBe(3);
+      expect(again.lookup(PDFName.of('First')).lookup(PDFName.of('Count')).asNumber()).toBe(-2);
+    });
+
+    it('replaces the previous outline and removes an empty one', async () => {
+      const doc = await docWithPages(5);
+      writeOutline(doc, tree());
+      const before = doc.context.enumerateIndirectObjects().length;
+      writeOutline(doc, tree());
+      expect(doc.context.enumerateIndirectObjects()).toHaveLength(before);
+
+      writeOutline(doc, []);
+      expect(doc.catalog.get(PDFName.of('Outlines'))).toBeUndefined();
+      expect(readOutline(doc)).toEqual([]);
+    });
+
+    it('resolves named destinations, GoTo actions and page numbers', async () => {
+      const doc = await docWithPages(3);
+      const { context } = doc;
+      const pages = doc.getPages();
+      const dest = i => context.obj([pages[i].ref, PDFName.of('Fit')]);
+
+      const names = context.obj({ Names: [PDFHexString.fromText('intro'), context.obj({ D: dest(1) })] });
+      doc.catalog.set(PDFName.of('Names'), context.obj({ Dests: context.register(names) }));
+      doc.catalog.set(PDFName.of('Dests'), context.obj({ end: dest(2) }));
+
+      const refs = [context.nextRef(), context.nextRef(), context.nextRef(), context.nextRef()];
+      const rootRef = context.nextRef();
+      const items = [
+        { Title: PDFString.of('By name'), Dest: PDFString.of('intro') },
+        { Title: PDFString.of('By old-style name'), Dest: PDFName.of('end') },
+        { Title: PDFString.of('By action'), A: context.obj({ S: 'GoTo', D: dest(2) }) },
+        { Title: PDFString.of('By number'), Dest: context.obj([PDFNumber.of(1), PDFName.of('XYZ'), 0, 700, 0]) },
+      ];
+      items.forEach((item, i) => {
+        const dict = context.obj({ ...item, Parent: rootRef });
+        if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+        if (i < items.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+        context.assign(refs[i], dict);
+      });
+      context.assign(rootRef, context.obj({ Type: 'Outlines', First: refs[0], Last: refs[3], Count: 4 }));
+      doc.catalog.set(PDFName.of('Outlines'), rootRef);
+
+      const outline = readOutline(doc);
+      expect(shape(outline)).toEqual([['By name', 1], ['By old-style name', 2], ['By action', 2], ['By number', 1]]);
+      expect(outline[3].view).toEqual({ fit: 'XYZ', args: [0, 700, 0] });
+    });
+
+    it('keeps colour, style and non-GoTo actions', async () => {
+      const doc = await PDFDocument.load(await styledBytes(3));
+      writeOutline(doc, readOutline(doc));
+      expect(await styleOf(await doc.save())).toEqual([
+        { color: [1, 0, 0], flags: 2, action: undefined, dest: true },
+        { color: [0, 0, 1], flags: undefined, action: ['/URI', 'https://example.com/'], dest: false },
+      ]);
+    });
+
+    it('stops at cycles in a broken outline', async () => {
+      const doc = await docWithPages(1);
+      writeOutline(doc, [createBookmark('Only', 0)]);
+      const root = doc.catalog.lookup(PDFName.of('Outlines'));
+      const itemRef = root.get(PDFName.of('First'));
+      doc.context.lookup(itemRef).set(PDFName.of('Next'), itemRef);
+      expect(shape(readOutline(doc))).toEqual([['Only', 0]]);
+    });
+  });
+
+  describe('remapOutline', () => {
+    it('moves bookmarks with their pages and drops those on removed pages', () => {
+      const remapped = remapOutline(tree(), i => (i === 3 ? null : i > 3 ? i - 1 : i));
+      expect(shape(remapped)).toEqual([
+        ['Chapter 1', 0, [['Section 1.1', 1], ['Section 1.2', 2]]],
+        ['Appendix', 3],
+      ]);
+    });
+
+    it('keeps a parent whose page went as a heading over its children', () => {
+      const remapped = remapOutline(tree(), i => (i === 0 ? null : i - 1));
+      expect(shape(remapped)[0]).toEqual(['Chapter 1', 0, [['Section 1.1', 0], ['Section 1.2', 1]]]);
+    });
+
+    it('leaves the original tree alone', () => {
+      const original = tree();
+      remapOutline(original, () => null);
+      expect(countBookmarks(original)).toBe(5);
+    });
+  });
+
+  describe('tree editing', () => {
+    it('finds and removes by path', () => {
+      const bookmarks = tree();
+      expect(getBookmark(bookmarks, [0, 1]).title).toBe('Section 1.2');
+      expect(getBookmark(bookmarks, [0, 5])).toBeNull();
+      expect(removeBookmark(bookmarks, [0, 0]).title).toBe('Section 1.1');
+      expect(removeBookmark(bookmarks, [1]).title).toBe('Chapter 2');
+      expect(shape(bookmarks)).toEqual([['Chapter 1', 0, [['Section 1.2', 2]]], ['Appendix', 4]]);
+    });
+
+    it('moves before, after and inside', () => {
+      const bookmarks = tree();
+      expect(moveBookmark(bookmarks, [2], [0], 'before')).toBe(true);
+      expect(bookmarks.map(b => b.title)).toEqual(['Appendix', 'Chapter 1', 'Chapter 2']);
+
+      // Nest: a later sibling moved into an earlier one
+      expect(moveBookmark(bookmarks, [2], [1], 'inside')).toBe(true);
+      expect(shape(bookmarks)[1][2].map(([t]) => t)).toEqual(['Section 1.1', 'Section 1.2', 'Chapter 2']);
+
+      // Out of a parent, after a top-level item that comes before it
+      expect(moveBookmark(bookmarks, [1, 0], [0], 'after')).toBe(true);
+      expect(bookmarks.map(b => b.title)).toEqual(['Appendix', 'Section 1.1', 'Chapter 1']);
+    });
+
+    it('refuses to move a bookmark into itself or its descendants', () => {
+      const bookmarks = tree();
+      expect(moveBookmark(bookmarks, [0], [0, 1], 'inside')).toBe(false);
+      expect(moveBookmark(bookmarks, [0], [0], 'after')).toBe(false);
+      expect(countBookmarks(bookmarks)).toBe(5);
+    });
+
+    it('inserts new bookmarks in page order', () => {
+      const bookmarks = tree();
+      insertInPageOrder(bookmarks, [createBookmark('Exhibit', 3), createBookmark('Cover', 0), createBookmark('End', 9)]);
+      expect(bookmarks.map(b => b.title)).toEqual(['Chapter 1', 'Cover', 'Chapter 2', 'Exhibit', 'Appendix', 'End']);
+    });
+  });
+
+  describe('page operations keep the outline', () => {
+    it('deletePage drops the deleted page\'s bookmark and shifts the rest', async () => {
+      const bytes = await deletePage(await bytesWithOutline(5, tree()), 3);
+      expect(shape(await outlineOf(bytes))).toEqual([
+        ['Chapter 1', 0, [['Section 1.1', 1], ['Section 1.2', 2]]],
+        ['Appendix', 3],
+      ]);
+    });
+
+    it('deletePages remaps bookmarks past every deleted page', async () => {
+      const bytes = await deletePages(await bytesWithOutline(5, tree()), [3, 1]);
+      expect(shape(await outlineOf(bytes))).toEqual([
+        ['Chapter 1', 0, [['Section 1.2', 1]]],
+        ['Appendix', 2],
+      ]);
+    });
+
+    it('reorderPages follows the moved page', async () => {
+      const bytes = await reorderPages(await bytesWithOutline(5, tree()), 4, 0);
+      const outline = await outlineOf(bytes);
+      expect(outline.map(b => [b.title, b.pageIndex])).toEqual([['Chapter 1', 1], ['Chapter 2', 4], ['Appendix', 0]]);
+      expect(outline[0].children.map(b => b.pageIndex)).toEqual([2, 3]);
+    });
+
+    it('mergePDFs offsets each file\'s bookmarks', async () => {
+      const bytes = await mergePDFs([
+        { bytes: await bytesWithOutline(2, [createBookmark('Motion', 1)]) },
+        { bytes: await (await docWithPages(3)).save() },
+        { bytes: await bytesWithOutline(2, [createBookmark('Exhibit A', 0)]) },
+      ]);
+      expect(shape(await outlineOf(bytes))).toEqual([['Motion', 1], ['Exhibit A', 5]]);
+    });
+
+    it('mergePDFs keeps bookmarks in page order when interleaving', async () => {
+      const bytes = await mergePDFs([
+        { bytes: await bytesWithOutline(2, [createBookmark('Front 1', 0), createBookmark('Front 2', 1)]) },
+        { bytes: await bytesWithOutline(2, [createBookmark('Back 2', 0), createBookmark('Back 1', 1)]) },
+      ], { mode: 'interleave-reverse' });
+      expect(shape(await outlineOf(bytes))).toEqual([
+        ['Front 1', 0], ['Back 1', 1], ['Front 2', 2], ['Back 2', 3],
+      ]);
+    });
+
+    it('splitPDF gives each part the bookmarks inside it', async () => {
+      const parts = await splitPDF(await bytesWithOutline(5, tree()), [[0, 1], [2, 3, 4]]);
+      expect(shape(await outlineOf(parts[0].bytes))).toEqual([['Chapter 1', 0, [['Section 1.1', 1]]]]);
+      expect(shape(await outlineOf(parts[1].bytes))).toEqual([
+        ['Chapter 1', 0, [['Section 1.2', 0]]],
+        ['Chapter 2', 1],
+        ['Appendix', 2],
+      ]);
+    });
+
+    it('appendPages shifts the outline and merges in the added file\'s bookmarks', async () => {
+      const added = await bytesWithOutline(2, [createBookmark('Declaration', 0)]);
+      const bytes = await appendPages(await bytesWithOutline(5, tree()), [{ bytes: added }], 1);
+      expect(shape(await outlineOf(bytes))).toEqual([
+        ['Chapter 1', 0, [['Section 1.1', 1], ['Section 1.2', 4]]],
+        ['Declaration', 2],
+        ['Chapter 2', 5],
+        ['Appendix', 6],
+      ]);
+    });
+
+    it('keeps a coloured URI bookmark through deletes, reorders and splits', async () => {
+      const expected = [
+        { color: [1, 0, 0], flags: 2, action: undefined, dest: true },
+        { color: [0, 0, 1], flags: undefined, action: ['/URI', 'https://example.com/'], dest: false },
+      ];
+      expect(await styleOf(await deletePage(await styledBytes(3), 0))).toEqual(expected);
+      resetPdfLib();
+      expect(await styleOf(await reorderPages(await styledBytes(3), 2, 0))).toEqual(expected);
+      resetPdfLib();
+      const parts = await splitPDF(await styledBytes(3), [[1, 2]]);
+      expect(await styleOf(parts[0].bytes)).toEqual(expected);
+    });
+
+    it('replacePages points bookmarks at the replacement pages', async () => {
+      const source = await (await docWithPages(2, [500, 500])).save();
+      const bytes = await replacePages(await bytesWithOutline(5, tree()), source, [{ targetPage: 4, sourcePage: 1 }]);
+      const doc = await PDFDocument.load(bytes);
+      const outline = readOutline(doc);
+      expect(shape(outline)).toEqual(shape(tree()));
+      expect(doc.getPage(outline[1].pageIndex).getSize()).toEqual({ width: 500, height: 500 });
+    });
+  });
+});
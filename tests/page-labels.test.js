@@ -1,15 +1,32 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as PDFLib from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
 import {
   toRoman,
-  toAlpha,
+  toLabelLetters,
   LABEL_FORMATS,
+  PREFIX_ONLY,
+  rangesFromLabels,
+  findPagesByLabel,
+  resolvePageRef,
+  parseLabeledPageRanges,
+  describePage,
+  describePageRange,
+  labelConflictMessage,
+  loadPageLabels,
+  writePageLabels,
   setLabelRange,
   getPageLabel,
   getLabelRanges,
   clearLabels,
   removeLabelRange,
   previewLabels,
+  readPageLabels,
+  remapPageLabels,
 } from '../js/page-labels.js';
+import {
+  resetPdfLib, deletePage, deletePages, reorderPages, mergePDFs, splitPDF, appendPages, insertBlankPage,
+} from '../js/pdf-edit.js';
 
 /* ── toRoman ── */
 
@@ -43,28 +60,6 @@ describe('toRoman', () => {
   });
 });
 
-/* ── toAlpha ── */
-
-describe('toAlpha', () => {
-  it('converts single-letter values', () => {
-    expect(toAlpha(1)).toBe('A');
-    expect(toAlpha(2)).toBe('B');
-    expect(toAlpha(26)).toBe('Z');
-  });
-
-  it('wraps to double letters after 26', () => {
-    expect(toAlpha(27)).toBe('AA');
-    expect(toAlpha(28)).toBe('AB');
-    expect(toAlpha(52)).toBe('AZ');
-    expect(toAlpha(53)).toBe('BA');
-  });
-
-  it('returns the number as string for zero or negative', () => {
-    expect(toAlpha(0)).toBe('0');
-    expect(toAlpha(-1)).toBe('-1');
-  });
-});
-
 /* ── LABEL_FORMATS ── */
 
 describe('LABEL_FORMATS', () => {
@@ -193,3 +188,263 @@ describe('Label ranges', () => {
     ]);
   });
 });
+
+/* ── Pages by label ── */
+
+describe('pages by label', () => {
+  // Front matter i–xii, body 1–18, appendix A-1–A-12 (42 pages)
+  beforeEach(() => {
+    clearLabels();
+    setLabelRange(1, 12, 'roman-lower', '', 1);
+    setLabelRange(13, 30, 'decimal', '', 1);
+    setLabelRange(31, 42, 'decimal', 'A-', 1);
+  });
+
+  it('finds pages by label, ignoring case only when nothing matches exactly', () => {
+    expect(findPagesByLabel('vii', 42)).toEqual([7]);
+    expect(findPagesByLabel('a-3', 42)).toEqual([33]);
+    expect(findPagesByLabel('nope', 42)).toEqual([]);
+  });
+
+  it('prefers the label and reports the page number it shadows', () => {
+    expect(resolvePageRef('7', 42)).toEqual({ pageNum: 19, conflict: 7 });
+    expect(resolvePageRef('xii', 42)).toEqual({ pageNum: 12, conflict: null });
+    // No page is labelled 40, so it's the 40th page
+    expect(resolvePageRef('40', 42)).toEqual({ pageNum: 40, conflict: null });
+    expect(resolvePageRef('#7', 42)).toEqual({ pageNum: 7, conflict: null });
+    expect(resolvePageRef('#43', 42)).toBeNull();
+    expect(resolvePageRef('Z-1', 42)).toBeNull();
+  });
+
+  it('parses ranges of labels, prefixed ones included', () => {
+    expect(parseLabeledPageRanges('iii-v', 42)).toEqual([[2, 3, 4]]);
+    expect(parseLabeledPageRanges('A-1–A-3, x', 42)).toEqual([[30, 31, 32], [9]]);
+    expect(parseLabeledPageRanges('#1-#2', 42)).toEqual([[0, 1]]);
+    expect(parseLabeledPageRanges('v-iii', 42)).toBeNull();
+  });
+
+  it('reports conflicts in the parts it used', () => {
+    const conflicts = [];
+    expect(parseLabeledPageRanges('1-2, A-1', 42, { onConflict: c => conflicts.push(c) })).toEqual([[12, 13], [30]]);
+    expect(conflicts.map(c => [c.text, c.pageNum, c.conflict])).toEqual([['1', 13, 1], ['2', 14, 2]]);
+    expect(labelConflictMessage(conflicts)).toBe(
+      '"1" is the label of page 13, so that page was used (and 1 more). Type #1 for page 1.',
+    );
+  });
+
+  it('describes pages by label and number', () => {
+    expect(describePage(3)).toBe('page iii (3)');
+    expect(describePageRange(31, 33)).toBe('pages A-1–A-3 (31–33)');
+    clearLabels();
+    expect(describePage(3)).toBe('page 3');
+    expect(describePageRange(3, 5)).toBe('pages 3–5');
+  });
+});
+
+/* ── PDF /PageLabels ── */
+
+describe('toLabelLetters', () => {
+  it('repeats the letter past Z, as PDF readers number pages', () => {
+    expect(toLabelLetters(1)).toBe('A');
+    expect(toLabelLetters(26)).toBe('Z');
+    expect(toLabelLetters(27)).toBe('AA');
+    expect(toLabelLetters(28)).toBe('BB');
+    expect(toLabelLetters(53)).toBe('AAA');
+  });
+});
+
+describe('rangesFromLabels', () => {
+  it('rebuilds ranges and leaves plain numbering out', () => {
+    const labels = ['Cover', 'i', 'ii', 'iii', '1', '2', '3', 'A-1', 'A-2', '10', '11'];
+    expect(rangesFromLabels(labels)).toEqual([
+      { startPage: 1, endPage: 1, format: PREFIX_ONLY, prefix: 'Cover', startNum: 1 },
+      { startPage: 2, endPage: 4, format: 'roman-lower', prefix: '', startNum: 1 },
+      { startPage: 5, endPage: 7, format: 'decimal', prefix: '', startNum: 1 },
+      { startPage: 8, endPage: 9, format: 'decimal', prefix: 'A-', startNum: 1 },
+    ]);
+  });
+
+  it('reads ambiguous labels the way that covers the most pages', () => {
+    // "C" is both 100 in roman numerals and the third letter
+    expect(rangesFromLabels(['Exhibit C', 'Exhibit D'])).toEqual([
+      { startPage: 1, endPage: 2, format: 'alpha-upper', prefix: 'Exhibit ', startNum: 3 },
+    ]);
+    expect(rangesFromLabels(['Y', 'Z', 'AA', 'BB'])[0]).toMatchObject({ endPage: 4, startNum: 25 });
+    expect(rangesFromLabels(['xiv', 'xv'])[0]).toMatchObject({ format: 'roman-lower', prefix: '', startNum: 14 });
+  });
+
+  it('returns no ranges for a document without labels', () => {
+    expect(rangesFromLabels(null)).toEqual([]);
+    expect(rangesFromLabels(['1', '2', '3'])).toEqual([]);
+  });
+});
+
+describe('writePageLabels / loadPageLabels', () => {
+  let savedPDFLib;
+
+  beforeEach(() => {
+    savedPDFLib = window.PDFLib;
+    window.PDFLib = PDFLib;
+    clearLabels();
+  });
+
+  afterEach(() => {
+    window.PDFLib = savedPDFLib;
+  });
+
+  async function docWithPages(count) {
+    const doc = await PDFLib.PDFDocument.create();
+    for (let i = 0; i < count; i++) doc.addPage([200, 200]);
+    return doc;
+  }
+
+  const openPDF = bytes => pdfjsLib.getDocument({ data: bytes, isEvalSupported: false }).promise;
+
+  it('writes a number tree other readers label pages from', async () => {
+    setLabelRange(1, 2, 'roman-lower', '', 1);
+    setLabelRange(4, 5, 'alpha-upper', 'Ex. ', 1);
+    setLabelRange(6, 6, PREFIX_ONLY, 'Back Cover', 1);
+    const doc = await docWithPages(7);
+    writePageLabels(doc);
+
+    const nums = doc.catalog.lookup(PDFLib.PDFName.of('PageLabels')).lookup(PDFLib.PDFName.of('Nums'));
+    // i–ii, then page 3 by number, Ex. A–B, Back Cover, then page 7 by number
+    expect(nums.size()).toBe(10);
+    expect(nums.lookup(1).lookup(PDFLib.PDFName.of('S')).asString()).toBe('/r');
+
+    const pdf = await openPDF(await doc.save());
+    expect(await pdf.getPageLabels()).toEqual(['i', 'ii', '3', 'Ex. A', 'Ex. B', 'Back Cover', '7']);
+    await pdf.destroy();
+  });
+
+  it('round-trips ranges through a saved file', async () => {
+    setLabelRange(1, 3, 'roman-upper', '', 1);
+    setLabelRange(4, 6, 'decimal', 'Tab ', 5);
+    const ranges = getLabelRanges();
+    const doc = await docWithPages(8);
+    writePageLabels(doc);
+
+    clearLabels();
+    const pdf = await openPDF(await doc.save());
+    expect(await loadPageLabels(pdf)).toEqual(ranges);
+    expect(getPageLabel(5)).toBe('Tab 6');
+    expect(getPageLabel(7)).toBe('7');
+    await pdf.destroy();
+  });
+
+  it('removes /PageLabels when no ranges are set, and clears ranges on load', async () => {
+    const doc = await docWithPages(2);
+    setLabelRange(1, 2, 'roman-lower', '', 1);
+    writePageLabels(doc);
+    writePageLabels(doc, []);
+    expect(doc.catalog.get(PDFLib.PDFName.of('PageLabels'))).toBeUndefined();
+
+    const pdf = await openPDF(await doc.save());
+    expect(await loadPageLabels(pdf)).toEqual([]);
+    expect(getLabelRanges()).toEqual([]);
+    await pdf.destroy();
+  });
+});
+
+describe('remapPageLabels', () => {
+  it('moves labels with their pages and renumbers plain pages', () => {
+    const labels = ['i', 'ii', '3', 'A-1', 'A-2'];
+    // Delete page 2
+    expect(remapPageLabels(labels, i => (i === 1 ? null : i > 1 ? i - 1 : i), 4))
+      .toEqual(['i', '2', 'A-1', 'A-2']);
+  });
+
+  it('numbers pages no label lands on by position, and fills an existing array', () => {
+    const into = remapPageLabels(['Cover'], i => i, 3);
+    expect(into).toEqual(['Cover', '2', '3']);
+    expect(remapPageLabels(['x', 'y'], i => i + 1, 3, into)).toBe(into);
+    expect(into).toEqual(['Cover', 'x', 'y']);
+  });
+});
+
+describe('page operations keep page labels', () => {
+  let savedPDFLib;
+
+  beforeEach(() => {
+    savedPDFLib = window.PDFLib;
+    window.PDFLib = PDFLib;
+    resetPdfLib();
+  });
+
+  afterEach(() => {
+    window.PDFLib = savedPDFLib;
+    resetPdfLib();
+  });
+
+  /** Bytes of a `count`-page file with the given label ranges */
+  async function labelledBytes(count, ranges) {
+    const doc = await PDFLib.PDFDocument.create();
+    for (let i = 0; i < count; i++) doc.addPage([200, 200]);
+    writePageLabels(doc, ranges);
+    return doc.save();
+  }
+
+  // i–ii, then 1–4
+  const front = [
+    { startPage: 1, endPage: 2, format: 'roman-lower', prefix: '', startNum: 1 },
+    { startPage: 3, endPage: 6, format: 'decimal', prefix: '', startNum: 1 },
+  ];
+
+  async function labelsOf(bytes) {
+    return readPageLabels(await PDFLib.PDFDocument.load(bytes));
+  }
+
+  it('readPageLabels reads what PDF.js reads', async () => {
+    const bytes = await labelledBytes(6, front);
+    expect(await labelsOf(bytes)).toEqual(['i', 'ii', '1', '2', '3', '4']);
+
+    const pdf = await pdfjsLib.getDocument({ data: bytes.slice(), isEvalSupported: false }).promise;
+    expect(await pdf.getPageLabels()).toEqual(await labelsOf(bytes));
+    await pdf.destroy();
+  });
+
+  it('readPageLabels returns null for a file without labels', async () => {
+    expect(await labelsOf(await labelledBytes(2, []))).toBeNull();
+  });
+
+  it('deletePage and deletePages drop the deleted pages\' labels', async () => {
+    expect(await labelsOf(await deletePage(await labelledBytes(6, front), 1))).toEqual(['i', '1', '2', '3', '4']);
+    resetPdfLib();
+    expect(await labelsOf(await deletePages(await labelledBytes(6, front), [0, 3])))
+      .toEqual(['ii', '1', '3', '4']);
+  });
+
+  it('reorderPages moves a page\'s label with it', async () => {
+    expect(await labelsOf(await reorderPages(await labelledBytes(6, front), 5, 0)))
+      .toEqual(['4', 'i', 'ii', '1', '2', '3']);
+  });
+
+  it('insertBlankPage numbers the new page by its position', async () => {
+    expect(await labelsOf(await insertBlankPage(await labelledBytes(3, front.slice(0, 1)), 0)))
+      .toEqual(['i', '2', 'ii', '4']);
+  });
+
+  it('mergePDFs keeps each file\'s labels on its pages', async () => {
+    const exhibit = [{ startPage: 1, endPage: 2, format: 'decimal', prefix: 'Ex. 1-', startNum: 1 }];
+    const bytes = await mergePDFs([
+      { bytes: await labelledBytes(6, front) },
+      { bytes: await labelledBytes(1, []) },
+      { bytes: await labelledBytes(2, exhibit) },
+    ]);
+    expect(await labelsOf(bytes)).toEqual(['i', 'ii', '1', '2', '3', '4', '7', 'Ex. 1-1', 'Ex. 1-2']);
+  });
+
+  it('appendPages shifts the base labels past the added pages', async () => {
+    const exhibit = [{ startPage: 1, endPage: 1, format: PREFIX_ONLY, prefix: 'Exhibit A', startNum: 1 }];
+    const bytes = await appendPages(await labelledBytes(6, front), [{ bytes: await labelledBytes(1, exhibit) }], 1);
+    expect(await labelsOf(bytes)).toEqual(['i', 'ii', 'Exhibit A', '1', '2', '3', '4']);
+  });
+
+  it('splitPDF gives each part its pages\' labels', async () => {
+    const parts = await splitPDF(await labelledBytes(6, front), [[0, 4], [2, 3, 5], [2, 3]]);
+    expect(await labelsOf(parts[0].bytes)).toEqual(['i', '3']);
+    expect(await labelsOf(parts[1].bytes)).toEqual(['1', '2', '4']);
+    // Numbered plainly, so it needs no labels
+    expect(await labelsOf(parts[2].bytes)).toBeNull();
+  });
+});
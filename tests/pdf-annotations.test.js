@@ -0,0 +1,614 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../js/redact-content.js', async importOriginal => ({
+  ...await importOriginal(),
+  removeDetachedObjects: vi.fn(() => 0),
+}));
+
+import {
+  canvasToUserMatrix, fabricObjectMatrix, flattenPath, parseColor,
+  standardFontName, annotationSubtype, writeNativeAnnotations,
+  parsePDFDate, importNativeAnnotations, exportAnnotationsXFDF, importAnnotationsXFDF,
+} from '../js/pdf-annotations.js';
+import { removeDetachedObjects } from '../js/redact-content.js';
+
+/* ── Helpers ── */
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+const rounded = pts => pts.map(v => Math.round(v * 1000) / 1000 + 0);
+
+// Literal objects pass through unchanged so tests can inspect plain dicts
+function makeDoc({ rotation = 0 } = {}) {
+  const registered = [];
+  const annots = [];
+  const context = {
+    obj: literal => literal,
+    register: obj => {
+      registered.push(obj);
+      return { ref: registered.length };
+    },
+    flateStream: (content, dict) => ({ content, dict }),
+  };
+  const page = {
+    ref: { ref: 'page' },
+    node: { addAnnot: ref => annots.push(ref) },
+    getCropBox: () => ({ x: 0, y: 0, width: 612, height: 792 }),
+    getRotation: () => ({ angle: rotation }),
+  };
+  const font = {
+    ref: { ref: 'font' },
+    encodeText: text => {
+      if (/[^\x20-\xff]/.test(text)) throw new Error('WinAnsi cannot encode');
+      return { toString: () => `(${text})` };
+    },
+    widthOfTextAtSize: (text, size) => text.length * size / 2,
+  };
+  const lookup = ref => registered[ref.ref - 1];
+  return {
+    context, page, annots, lookup,
+    annotations: () => annots.map(lookup),
+    getPage: () => page,
+    getPageCount: () => 1,
+    embedFont: async () => font,
+  };
+}
+
+// Just enough of pdf-lib's object model to read annotation dictionaries
+class PDFName {
+  static names = new Map();
+  static of(name) {
+    if (!PDFName.names.has(name)) PDFName.names.set(name, new PDFName(name));
+    return PDFName.names.get(name);
+  }
+  constructor(name) { this.name = name; }
+  decodeText() { return this.name; }
+}
+
+class PDFNumber {
+  constructor(value) { this.value = value; }
+  asNumber() { return this.value; }
+}
+
+class PDFString {
+  constructor(value) { this.value = value; }
+  decodeText() { return this.value; }
+}
+
+class PDFHexString extends PDFString {}
+
+class PDFRef {}
+
+class PDFDict {
+  constructor(context, map) { this.context = context; this.map = map; }
+  get(key) { return this.map.get(key); }
+  has(key) { return this.map.has(key); }
+  set(key, value) { this.map.set(key, value); }
+  lookup(key) { return this.context.lookup(this.map.get(key)); }
+}
+
+class PDFArray {
+  constructor(context, items) { this.context = context; this.items = items; }
+  asArray() { return this.items.slice(); }
+  size() { return this.items.length; }
+}
+
+const PDF_CLASSES = { PDFName, PDFNumber, PDFString, PDFHexString, PDFRef, PDFDict, PDFArray };
+
+// A document whose first page holds the given annotation literals; strings
+// become names, numbers PDFNumbers, and `ref: 'x'` entries refer to annotation x
+function makeSourceDoc(annots, { rotation = 0 } = {}) {
+  const objects = new Map();
+  const refs = {};
+  const context = {
+    lookup: v => (v instanceof PDFRef ? objects.get(v) : v),
+    obj: literal => {
+      if (typeof literal === 'string') return PDFName.of(literal);
+      if (typeof literal === 'number') return new PDFNumber(literal);
+      if (Array.isArray(literal)) return new PDFArray(context, literal.map(context.obj));
+      if (literal && literal.constructor === Object) {
+        if (literal.ref) return refs[literal.ref];
+        return new PDFDict(context, new Map(Object.entries(literal).map(([k, v]) => [PDFName.of(k), context.obj(v)])));
+      }
+      return literal;
+    },
+  };
+  for (const id of Object.keys(annots)) refs[id] = new PDFRef();
+  for (const [id, literal] of Object.entries(annots)) objects.set(refs[id], context.obj(literal));
+  const node = context.obj({ Type: 'Page' });
+  node.set(PDFName.of('Annots'), new PDFArray(context, Object.values(refs)));
+  const page = {
+    node,
+    getCropBox: () => ({ x: 0, y: 0, width: 612, height: 792 }),
+    getRotation: () => ({ angle: rotation }),
+  };
+  return {
+    context, refs,
+    getPages: () => [page],
+    remaining: () => node.lookup(PDFName.of('Annots')).asArray().map(ref => Object.keys(refs).find(id => refs[id] === ref)),
+  };
+}
+
+const str = value => new PDFString(value);
+
+const xfdf = annots => `<?xml version="1.0" encoding="UTF-8"?>
+<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve"><annots>${annots}</annots></xfdf>`;
+
+const parseXFDF = xml => Array.from(new DOMParser().parseFromString(xml, 'text/xml').querySelector('annots').children);
+
+const opts = { canvasWidth: 612, canvasHeight: 792, author: 'Reviewer', now: new Date('2026-03-01T00:00:00Z') };
+
+/* ── Tests ── */
+
+describe('pdf-annotations.js', () => {
+  let savedPDFLib;
+
+  beforeEach(() => {
+    savedPDFLib = window.PDFLib;
+    window.PDFLib = {
+      ...savedPDFLib,
+      PDFString: { of: str => ({ str }), fromDate: date => ({ date: date.toISOString() }) },
+      PDFHexString: { fromText: text => ({ text }) },
+      StandardFonts: { Helvetica: 'Helvetica', HelveticaBold: 'Helvetica-Bold', TimesRoman: 'Times-Roman' },
+    };
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    window.PDFLib = savedPDFLib;
+  });
+
+  describe('canvasToUserMatrix', () => {
+    it('flips the y axis on unrotated pages', () => {
+      const m = canvasToUserMatrix({ x: 0, y: 0, width: 612, height: 792 }, 0, 1224, 1584);
+      expect(apply(m, 0, 0)).toEqual([0, 792]);
+      expect(apply(m, 1224, 1584)).toEqual([612, 0]);
+    });
+
+    it('maps the displayed corner of rotated pages to the right user-space corner', () => {
+      const box = { x: 0, y: 0, width: 612, height: 792 };
+      expect(apply(canvasToUserMatrix(box, 90, 792, 612), 0, 0)).toEqual([0, 0]);
+      expect(apply(canvasToUserMatrix(box, 90, 792, 612), 792, 0)).toEqual([0, 792]);
+      expect(apply(canvasToUserMatrix(box, 180, 612, 792), 0, 0)).toEqual([612, 0]);
+      expect(apply(canvasToUserMatrix(box, 270, 792, 612), 0, 0)).toEqual([612, 792]);
+    });
+
+    it('honors the crop box origin', () => {
+      const m = canvasToUserMatrix({ x: 50, y: 20, width: 500, height: 700 }, 0, 500, 700);
+      expect(apply(m, 0, 700)).toEqual([50, 20]);
+    });
+  });
+
+  describe('fabricObjectMatrix', () => {
+    it('centres objects positioned by their top-left corner', () => {
+      const m = fabricObjectMatrix({ left: 10, top: 20, width: 100, height: 50, strokeWidth: 2, originX: 'left', originY: 'top' });
+      expect(m).toEqual([1, 0, -0, 1, 61, 46]);
+    });
+
+    it('rotates about the origin point and applies scale and flips', () => {
+      const m = fabricObjectMatrix({
+        left: 0, top: 0, width: 10, height: 10, angle: 90, scaleX: 2, flipY: true,
+        originX: 'center', originY: 'center',
+      });
+      expect(rounded(apply(m, 1, 0))).toEqual([0, 2]);
+      expect(rounded(apply(m, 0, 1))).toEqual([1, 0]);
+    });
+  });
+
+  describe('flattenPath', () => {
+    it('samples curves and splits sub-paths', () => {
+      const strokes = flattenPath([['M', 0, 0], ['Q', 5, 10, 10, 0], ['M', 20, 0], ['L', 30, 0], ['Z']], 2);
+      expect(strokes).toEqual([[[0, 0], [5, 5], [10, 0]], [[20, 0], [30, 0], [20, 0]]]);
+    });
+  });
+
+  describe('parseColor', () => {
+    it('parses hex and rgb colors', () => {
+      expect(parseColor('#ff0000')).toEqual({ rgb: [1, 0, 0], alpha: 1 });
+      expect(parseColor('#0f0').rgb).toEqual([0, 1, 0]);
+      expect(parseColor('rgba(255, 255, 0, 0.35)')).toEqual({ rgb: [1, 1, 0], alpha: 0.35 });
+    });
+
+    it('treats transparent and missing colors as no color', () => {
+      expect(parseColor('transparent')).toBeNull();
+      expect(parseColor('rgba(0,0,0,0)')).toBeNull();
+      expect(parseColor(null)).toBeNull();
+    });
+  });
+
+  describe('standardFontName', () => {
+    it('matches families and styles to the standard 14 fonts', () => {
+      expect(standardFontName({ fontFamily: 'Arial' })).toBe('Helvetica');
+      expect(standardFontName({ fontFamily: 'Times New Roman', fontWeight: 'bold', fontStyle: 'italic' })).toBe('TimesRomanBoldItalic');
+      expect(standardFontName({ fontFamily: 'Courier New', fontWeight: 700 })).toBe('CourierBold');
+    });
+  });
+
+  describe('annotationSubtype', () => {
+    it('maps Mudbrick tools and shapes to annotation subtypes', () => {
+      expect(annotationSubtype({ mudbrickType: 'highlight', type: 'path' })).toBe('Highlight');
+      expect(annotationSubtype({ mudbrickType: 'strikethrough', type: 'path' })).toBe('StrikeOut');
+      expect(annotationSubtype({ type: 'path' })).toBe('Ink');
+      expect(annotationSubtype({ mudbrickType: 'shape', type: 'ellipse' })).toBe('Circle');
+      expect(annotationSubtype({ mudbrickType: 'shape', type: 'polyline' })).toBe('PolyLine');
+      expect(annotationSubtype({ mudbrickType: 'shape', type: 'group', objects: [{ type: 'line' }, { type: 'triangle' }] })).toBe('Line');
+      expect(annotationSubtype({ mudbrickType: 'shape', type: 'group', objects: [{ type: 'line' }, { type: 'line' }] })).toBe('Ink');
+      expect(annotationSubtype({ mudbrickType: 'sticky-note', type: 'group' })).toBe('Text');
+    });
+
+    it('has no native form for images and signatures', () => {
+      expect(annotationSubtype({ mudbrickType: 'image', type: 'image' })).toBeNull();
+      expect(annotationSubtype({ mudbrickType: 'signature', type: 'group' })).toBeNull();
+    });
+  });
+
+  describe('writeNativeAnnotations', () => {
+    it('writes a highlight with quad points, author and appearance', async () => {
+      const doc = makeDoc();
+      const highlight = {
+        type: 'path', mudbrickType: 'highlight', left: 100, top: 100, width: 200, height: 0,
+        strokeWidth: 20, stroke: 'rgba(255,255,0,0.35)', fill: null, strokeLineCap: 'round', originX: 'left', originY: 'top',
+        path: [['M', 0, 0], ['L', 200, 0]],
+      };
+
+      const result = await writeNativeAnnotations(doc, 0, [highlight], opts);
+      expect(result).toEqual({ written: 1, unsupported: [] });
+
+      const [annot] = doc.annotations();
+      expect(annot.Subtype).toBe('Highlight');
+      expect(annot.T).toEqual({ text: 'Reviewer' });
+      expect(annot.M).toEqual({ date: '2026-03-01T00:00:00.000Z' });
+      expect(annot.CA).toBe(0.35);
+      // Top-left, top-right, bottom-left, bottom-right in user space
+      expect(annot.QuadPoints).toEqual([100, 692, 320, 692, 100, 672, 320, 672]);
+      expect(annot.Rect).toEqual([100, 672, 320, 692]);
+
+      const ap = doc.lookup(annot.AP.N);
+      expect(ap.dict.BBox).toEqual(annot.Rect);
+      expect(ap.dict.Resources.ExtGState.GS0.BM).toBe('Multiply');
+      expect(ap.content).toContain('1 1 0 RG');
+    });
+
+    it('writes shapes with their border and interior colors', async () => {
+      const doc = makeDoc();
+      await writeNativeAnnotations(doc, 0, [
+        { type: 'rect', mudbrickType: 'shape', left: 10, top: 10, width: 100, height: 50, strokeWidth: 2, stroke: '#ff0000', fill: 'transparent', originX: 'left', originY: 'top' },
+        { type: 'line', mudbrickType: 'shape', left: 0, top: 0, x1: 0, y1: 0, x2: 100, y2: 50, width: 100, height: 50, strokeWidth: 0, stroke: '#000', originX: 'left', originY: 'top' },
+      ], opts);
+
+      const [square, line] = doc.annotations();
+      expect(square.Subtype).toBe('Square');
+      expect(square.C).toEqual([1, 0, 0]);
+      expect(square.IC).toBeUndefined();
+      expect(square.BS).toEqual({ W: 2 });
+      expect(line.Subtype).toBe('Line');
+      expect(line.L).toEqual([0, 792, 100, 742]);
+    });
+
+    it('writes text boxes as free text with characters the font lacks replaced', async () => {
+      const doc = makeDoc();
+      await writeNativeAnnotations(doc, 0, [
+        { type: 'i-text', mudbrickType: 'text', text: 'Hi\nDone ✓', left: 0, top: 0, width: 80, height: 40, fontSize: 16, fill: '#000000', originX: 'left', originY: 'top' },
+      ], opts);
+
+      const [annot] = doc.annotations();
+      expect(annot.Subtype).toBe('FreeText');
+      expect(annot.Contents).toEqual({ text: 'Hi\nDone ✓' });
+      expect(annot.DA).toEqual({ str: '/Helv 16 Tf 0 0 0 rg' });
+      const ap = doc.lookup(annot.AP.N);
+      expect(ap.content).toContain('(Hi) Tj');
+      expect(ap.content).toContain('(Done ?) Tj');
+      expect(ap.dict.Resources.Font).toEqual({ F0: { ref: 'font' } });
+    });
+
+    it('writes comment thread replies and review state as /IRT replies', async () => {
+      const doc = makeDoc();
+      const note = {
+        type: 'group', mudbrickType: 'sticky-note', left: 50, top: 50, width: 30, height: 30,
+        noteText: 'Check the total', noteColor: 'yellow', originX: 'left', originY: 'top', objects: [],
+        commentThread: {
+          id: 'thread-1', author: 'Alex', created: '2026-01-01T00:00:00Z', status: 'accepted',
+          replies: [{ id: 'reply-1', author: 'Sam', date: '2026-01-02T00:00:00Z', text: 'Fixed' }],
+        },
+      };
+
+      const result = await writeNativeAnnotations(doc, 0, [note], opts);
+      expect(result.written).toBe(1);
+
+      const [parent, reply, state] = doc.annotations();
+      expect(parent).toMatchObject({ Subtype: 'Text', Name: 'Comment', NM: { str: 'thread-1' }, T: { text: 'Alex' } });
+      expect(parent.Contents).toEqual({ text: 'Check the total' });
+      expect(parent.CreationDate).toEqual({ date: '2026-01-01T00:00:00.000Z' });
+      expect(reply).toMatchObject({ Subtype: 'Text', IRT: doc.annots[0], T: { text: 'Sam' }, Contents: { text: 'Fixed' } });
+      expect(state).toMatchObject({ IRT: doc.annots[0], State: { str: 'Accepted' }, StateModel: { str: 'Review' } });
+    });
+
+    it('names stamps after the matching standard stamp', async () => {
+      const doc = makeDoc();
+      await writeNativeAnnotations(doc, 0, [{
+        type: 'group', mudbrickType: 'stamp', left: 100, top: 100, width: 160, height: 40, angle: -15, originX: 'left', originY: 'top',
+        objects: [
+          { type: 'rect', left: -80, top: -20, width: 160, height: 40, strokeWidth: 3, stroke: '#c0392b', fill: 'transparent', originX: 'left', originY: 'top' },
+          { type: 'text', left: -60, top: -12, width: 120, height: 24, text: 'REJECTED', fontSize: 20, fill: '#c0392b', originX: 'left', originY: 'top' },
+        ],
+      }], opts);
+
+      const [stamp] = doc.annotations();
+      expect(stamp.Subtype).toBe('Stamp');
+      expect(stamp.Name).toBe('NotApproved');
+      expect(doc.lookup(stamp.AP.N).content).toContain('(REJECTED) Tj');
+    });
+
+    it('hands back objects with no native form', async () => {
+      const doc = makeDoc();
+      const image = { type: 'image', mudbrickType: 'image', left: 0, top: 0, width: 10, height: 10 };
+      const result = await writeNativeAnnotations(doc, 0, [image], opts);
+      expect(result).toEqual({ written: 0, unsupported: [image] });
+      expect(doc.annots).toEqual([]);
+    });
+  });
+
+  describe('parsePDFDate', () => {
+    it('parses full dates with time zone offsets', () => {
+      expect(parsePDFDate("D:20260102030405+05'30'")).toBe('2026-01-01T21:34:05.000Z');
+      expect(parsePDFDate('D:20260102030405Z')).toBe('2026-01-02T03:04:05.000Z');
+    });
+
+    it('fills in missing parts and rejects garbage', () => {
+      expect(parsePDFDate('D:2026')).toBe('2026-01-01T00:00:00.000Z');
+      expect(parsePDFDate('yesterday')).toBeNull();
+    });
+  });
+
+  describe('importNativeAnnotations', () => {
+    beforeEach(() => {
+      Object.assign(window.PDFLib, PDF_CLASSES);
+    });
+
+    it('imports a highlight with its replies, review state and pop-up', () => {
+      const doc = makeSourceDoc({
+        highlight: {
+          Subtype: 'Highlight', Rect: [100, 682, 320, 702], QuadPoints: [100, 702, 320, 702, 100, 682, 320, 682],
+          C: [1, 1, 0], T: str('Alex'), NM: str('h-1'), Contents: str('Check this'),
+          CreationDate: str('D:20260101000000Z'), Popup: { ref: 'popup' },
+        },
+        popup: { Subtype: 'Popup', Rect: [0, 0, 10, 10], Parent: { ref: 'highlight' } },
+        reply: { Subtype: 'Text', IRT: { ref: 'highlight' }, T: str('Sam'), Contents: str('Done'), M: str('D:20260103000000Z') },
+        answer: { Subtype: 'Text', IRT: { ref: 'reply' }, T: str('Alex'), Contents: str('Thanks'), M: str('D:20260104000000Z') },
+        state: { Subtype: 'Text', IRT: { ref: 'highlight' }, State: str('Accepted'), StateModel: str('Review'), F: 30 },
+        link: { Subtype: 'Link', Rect: [0, 0, 10, 10] },
+      });
+
+      const { pages, count } = importNativeAnnotations(doc);
+      expect(count).toBe(1);
+      const [obj] = pages[1];
+      expect(obj).toMatchObject({ type: 'path', mudbrickType: 'highlight', stroke: 'rgba(255,255,0,0.35)', strokeWidth: 20, imported: true });
+      expect(obj.path).toEqual([['M', 100, 100], ['L', 320, 100]]);
+      expect(obj.noteText).toBe('Check this');
+      expect(obj.commentThread).toMatchObject({ id: 'h-1', author: 'Alex', created: '2026-01-01T00:00:00.000Z', status: 'accepted' });
+      expect(obj.commentThread.replies.map(r => `${r.author}: ${r.text}`)).toEqual(['Sam: Done', 'Alex: Thanks']);
+
+      expect(doc.remaining()).toEqual(['link']);
+      expect(removeDetachedObjects.mock.calls[0][1]).toHaveLength(5);
+    });
+
+    it('converts shapes, arrows and ink to their Mudbrick objects', () => {
+      const doc = makeSourceDoc({
+        square: { Subtype: 'Square', Rect: [10, 692, 110, 782], C: [1, 0, 0], IC: [0, 0, 1], BS: { W: 2 } },
+        arrow: { Subtype: 'Line', Rect: [0, 0, 200, 792], L: [0, 792, 100, 692], LE: ['None', 'ClosedArrow'], C: [0] },
+        ink: { Subtype: 'Ink', Rect: [0, 0, 50, 50], InkList: [[10, 782, 20, 772], [30, 782, 40, 772]], C: [0, 0.5, 0] },
+      });
+
+      const [square, arrow, ink] = importNativeAnnotations(doc).pages[1];
+      expect(square).toMatchObject({ type: 'rect', left: 10, top: 10, width: 98, height: 88, stroke: '#ff0000', fill: '#0000ff', strokeWidth: 2 });
+      expect(arrow).toMatchObject({ type: 'group', mudbrickType: 'shape', left: 50, top: 50 });
+      expect(arrow.objects.map(o => o.type)).toEqual(['line', 'triangle']);
+      expect(arrow.objects[1]).toMatchObject({ left: 50, top: 50, angle: 135 });
+      expect(ink.type).toBe('path');
+      expect(ink.mudbrickType).toBeUndefined();
+      expect(ink.path).toEqual([['M', 10, 10], ['L', 20, 20], ['M', 30, 10], ['L', 40, 20]]);
+    });
+
+    it('turns notes, free text and stamps into sticky notes, text and stamps', () => {
+      const doc = makeSourceDoc({
+        note: { Subtype: 'Text', Rect: [100, 672, 120, 692], C: [0.97, 0.73, 0.82], Contents: str('Why?') },
+        text: { Subtype: 'FreeText', Rect: [300, 672, 400, 692], DA: str('/Helv 14 Tf 1 0 0 rg'), Contents: str('Total'), BS: { W: 0 } },
+        stamp: { Subtype: 'Stamp', Rect: [300, 492, 460, 532], Name: 'NotApproved' },
+      });
+
+      const [note, text, stamp] = importNativeAnnotations(doc).pages[1];
+      expect(note).toMatchObject({ type: 'group', mudbrickType: 'sticky-note', noteText: 'Why?', noteColor: 'pink' });
+      expect(text).toMatchObject({ type: 'i-text', mudbrickType: 'text', text: 'Total', fontSize: 14, fill: '#ff0000', left: 300, top: 100 });
+      expect(stamp.mudbrickType).toBe('stamp');
+      expect(stamp.objects[1]).toMatchObject({ text: 'REJECTED', stroke: '#c0392b' });
+    });
+
+    it('maps rotated pages into the displayed orientation', () => {
+      const doc = makeSourceDoc({
+        square: { Subtype: 'Square', Rect: [0, 0, 100, 50], BS: { W: 0 } },
+      }, { rotation: 90 });
+
+      const [square] = importNativeAnnotations(doc).pages[1];
+      expect(square).toMatchObject({ left: 0, top: 0, width: 50, height: 100 });
+    });
+
+    it('leaves hidden annotations and other subtypes in the file', () => {
+      const doc = makeSourceDoc({
+        hidden: { Subtype: 'Square', Rect: [0, 0, 10, 10], F: 2 },
+        widget: { Subtype: 'Widget', Rect: [0, 0, 10, 10] },
+        orphan: { Subtype: 'Text', IRT: { ref: 'widget' }, Contents: str('about the field') },
+      });
+
+      expect(importNativeAnnotations(doc)).toEqual({ pages: {}, count: 0 });
+      expect(doc.remaining()).toEqual(['hidden', 'widget', 'orphan']);
+      expect(removeDetachedObjects).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportAnnotationsXFDF', () => {
+    const xfdfOpts = { fileName: 'brief.pdf', author: 'Reviewer', now: new Date('2026-03-01T00:00:00Z') };
+
+    it('writes markup, shapes and text as XFDF elements in user space', () => {
+      const store = {
+        1: {
+          objects: [
+            {
+              type: 'path', mudbrickType: 'highlight', left: 90, top: 80, width: 200, height: 0, strokeWidth: 20,
+              stroke: 'rgba(255,255,0,0.35)', fill: null, path: [['M', 100, 90], ['L', 300, 90]], originX: 'left', originY: 'top',
+            },
+            { type: 'rect', left: 10, top: 10, width: 98, height: 88, stroke: '#ff0000', strokeWidth: 2, fill: '#0000ff', originX: 'left', originY: 'top' },
+            { type: 'path', left: 9, top: 9, width: 10, height: 10, stroke: '#000000', strokeWidth: 2, fill: null, path: [['M', 10, 10], ['L', 20, 20]], originX: 'left', originY: 'top' },
+            { type: 'i-text', mudbrickType: 'text', left: 300, top: 100, width: 100, height: 20, text: 'A < B', fontSize: 14, fill: '#ff0000', originX: 'left', originY: 'top' },
+            { type: 'image', mudbrickType: 'image', left: 0, top: 0, width: 10, height: 10 },
+          ],
+        },
+      };
+
+      const { xml, written, unsupported } = exportAnnotationsXFDF(makeDoc(), store, xfdfOpts);
+      expect(written).toBe(4);
+      expect(unsupported).toBe(1);
+      expect(xml).toContain('<f href="brief.pdf"/>');
+
+      const [highlight, square, ink, text] = parseXFDF(xml);
+      expect(highlight.localName).toBe('highlight');
+      expect(highlight.getAttribute('coords')).toBe('100,712,300,712,100,692,300,692');
+      expect(highlight.getAttribute('color')).toBe('#FFFF00');
+      expect(highlight.getAttribute('opacity')).toBe('0.35');
+      expect(highlight.getAttribute('title')).toBe('Reviewer');
+      expect(highlight.getAttribute('date')).toBe('D:20260301000000Z');
+      expect(highlight.getAttribute('page')).toBe('0');
+      expect(square.localName).toBe('square');
+      expect(square.getAttribute('rect')).toBe('10,692,110,782');
+      expect(square.getAttribute('interior-color')).toBe('#0000FF');
+      expect(square.getAttribute('width')).toBe('2');
+      expect(ink.querySelector('gesture').textContent).toBe('10,782;20,772');
+      expect(text.localName).toBe('freetext');
+      expect(text.querySelector('contents').textContent).toBe('A < B');
+      expect(text.querySelector('defaultappearance').textContent).toBe('/Helv 14 Tf 1 0 0 rg');
+    });
+
+    it('writes comment threads as replies with their review state', () => {
+      const store = {
+        1: {
+          objects: [{
+            type: 'group', mudbrickType: 'sticky-note', left: 50, top: 50, width: 30, height: 30,
+            noteText: 'Check the total', noteColor: 'yellow', originX: 'left', originY: 'top', objects: [],
+            commentThread: {
+              id: 'thread-1', author: 'Alex', created: '2026-01-01T00:00:00Z', status: 'resolved',
+              replies: [{ id: 'reply-1', author: 'Sam', date: '2026-01-02T00:00:00Z', text: 'Fixed' }],
+            },
+          }],
+        },
+      };
+
+      const [note, reply, state] = parseXFDF(exportAnnotationsXFDF(makeDoc(), store, xfdfOpts).xml);
+      expect(note.localName).toBe('text');
+      expect(note.getAttribute('name')).toBe('thread-1');
+      expect(note.getAttribute('creationdate')).toBe('D:20260101000000Z');
+      expect(note.getAttribute('flags')).toBe('print,nozoom,norotate');
+      expect(note.querySelector('contents').textContent).toBe('Check the total');
+      expect(reply.getAttribute('inreplyto')).toBe('thread-1');
+      expect(reply.getAttribute('title')).toBe('Sam');
+      expect(reply.querySelector('contents').textContent).toBe('Fixed');
+      expect(state.getAttribute('state')).toBe('Completed');
+      expect(state.getAttribute('statemodel')).toBe('Review');
+    });
+
+    it('maps stored canvas sizes and skips pages the document lacks', () => {
+      const store = {
+        1: { _canvasWidth: 1224, _canvasHeight: 1584, objects: [{ type: 'rect', left: 20, top: 20, width: 196, height: 176, stroke: '#000000', strokeWidth: 4, originX: 'left', originY: 'top' }] },
+        5: { objects: [{ type: 'rect', left: 0, top: 0, width: 10, height: 10 }] },
+      };
+
+      const { xml, written } = exportAnnotationsXFDF(makeDoc(), store, xfdfOpts);
+      expect(written).toBe(1);
+      expect(parseXFDF(xml)[0].getAttribute('rect')).toBe('10,692,110,782');
+    });
+  });
+
+  describe('importAnnotationsXFDF', () => {
+    it('adds annotations and their replies to the store', () => {
+      const store = {};
+      const result = importAnnotationsXFDF(makeDoc(), xfdf(`
+        <highlight page="0" name="h-1" title="Alex" creationdate="D:20260101000000Z" color="#FFFF00"
+          rect="100,682,320,702" coords="100,702,320,702,100,682,320,682"><contents>Check this</contents></highlight>
+        <strikeout page="0" name="s-1" color="#FF0000" rect="100,600,200,610" coords="100,610,200,610,100,600,200,600"/>
+        <square page="0" name="q-1" color="#FF0000" interior-color="#0000FF" width="2" rect="10,692,110,782"/>
+        <circle page="0" name="c-1" color="#00FF00" width="1" rect="200,692,300,742"/>
+        <line page="0" name="l-1" color="#000000" width="2" start="0,792" end="100,692" head="None" tail="ClosedArrow" rect="0,692,100,792"/>
+        <ink page="0" name="i-1" color="#008000" width="1" rect="0,0,50,50"><inklist><gesture>10,782;20,772</gesture><gesture>30,782;40,772</gesture></inklist></ink>
+        <freetext page="0" name="f-1" width="0" rect="300,672,400,692"><contents>Total</contents><defaultappearance>/Helv 14 Tf 1 0 0 rg</defaultappearance></freetext>
+        <text page="0" name="n-1" color="#F8BBD0" rect="100,672,120,692"><contents>Why?</contents></text>
+        <text page="0" name="r-1" inreplyto="h-1" title="Sam" date="D:20260103000000Z"><contents>Done</contents></text>
+        <text page="0" name="r-2" inreplyto="r-1" title="Alex" date="D:20260104000000Z"><contents>Thanks</contents></text>
+        <text page="0" name="r-3" inreplyto="h-1" state="Accepted" statemodel="Review" flags="hidden"/>
+        <link page="0" rect="0,0,10,10"/>
+        <square page="7" name="q-2" rect="0,0,10,10"/>
+      `), store);
+
+      expect(result).toEqual({ added: 8, updated: 0, replies: 2 });
+      const [highlight, strike, square, circle, arrow, ink, text, note] = store[1].objects;
+      expect(highlight).toMatchObject({ type: 'path', mudbrickType: 'highlight', noteText: 'Check this' });
+      expect(highlight.path).toEqual([['M', 100, 100], ['L', 320, 100]]);
+      expect(highlight.commentThread).toMatchObject({ id: 'h-1', author: 'Alex', status: 'accepted' });
+      expect(highlight.commentThread.replies.map(r => `${r.author}: ${r.text}`)).toEqual(['Sam: Done', 'Alex: Thanks']);
+      expect(strike).toMatchObject({ mudbrickType: 'strikethrough', stroke: '#ff0000' });
+      expect(square).toMatchObject({ type: 'rect', left: 10, top: 10, width: 98, height: 88, fill: '#0000ff', strokeWidth: 2 });
+      expect(circle).toMatchObject({ type: 'ellipse', stroke: '#00ff00' });
+      expect(arrow.objects.map(o => o.type)).toEqual(['line', 'triangle']);
+      expect(ink.path).toEqual([['M', 10, 10], ['L', 20, 20], ['M', 30, 10], ['L', 40, 20]]);
+      expect(text).toMatchObject({ type: 'i-text', text: 'Total', fontSize: 14, fill: '#ff0000', left: 300, top: 100 });
+      expect(note).toMatchObject({ mudbrickType: 'sticky-note', noteText: 'Why?', noteColor: 'pink' });
+    });
+
+    it('merges a returned file onto the objects it came from', () => {
+      const store = {
+        1: {
+          objects: [
+            { type: 'rect', left: 10, top: 10, width: 98, height: 88, stroke: '#ff0000', strokeWidth: 2, fill: 'transparent', originX: 'left', originY: 'top' },
+            {
+              type: 'group', mudbrickType: 'sticky-note', left: 50, top: 50, width: 30, height: 30, noteText: 'Check', originX: 'left', originY: 'top', objects: [],
+              commentThread: {
+                id: 'thread-1', author: 'Alex', created: '2026-01-01T00:00:00Z', status: 'open',
+                replies: [{ id: 'reply-1', author: 'Alex', date: '2026-01-02T00:00:00Z', text: 'Please look' }],
+              },
+            },
+          ],
+        },
+      };
+      const { xml } = exportAnnotationsXFDF(makeDoc(), store, { author: 'Alex' });
+      const returned = xml.replace('</annots>', `
+        <text page="0" name="reply-2" inreplyto="reply-1" title="Sam" date="D:20260105000000Z"><contents>Looks right</contents></text>
+        <text page="0" name="state-1" inreplyto="thread-1" state="Completed" statemodel="Review" date="D:20260105000000Z"/>
+      </annots>`);
+
+      const result = importAnnotationsXFDF(makeDoc(), returned, store);
+      expect(result).toEqual({ added: 0, updated: 2, replies: 1 });
+      const [square, note] = store[1].objects;
+      expect(store[1].objects).toHaveLength(2);
+      expect(square).toMatchObject({ type: 'rect', left: 10, top: 10, width: 98, height: 88 });
+      expect(square.commentThread).toBeDefined();
+      expect(note.commentThread).toMatchObject({ id: 'thread-1', status: 'resolved' });
+      expect(note.commentThread.replies.map(r => r.text)).toEqual(['Please look', 'Looks right']);
+    });
+
+    it('adds replies to threads already in the store', () => {
+      const thread = { id: 'thread-1', author: 'Alex', created: '2026-01-01T00:00:00Z', status: 'open', replies: [] };
+      const store = { 2: { objects: [{ type: 'rect', left: 0, top: 0, width: 10, height: 10, commentThread: thread }] } };
+
+      const result = importAnnotationsXFDF(makeDoc(), xfdf(`
+        <text page="0" name="reply-1" inreplyto="thread-1" title="Sam" date="D:20260102000000Z"><contents>Agreed</contents></text>
+        <text page="0" name="reply-2" inreplyto="unknown"><contents>Lost</contents></text>
+      `), store);
+      expect(result).toEqual({ added: 0, updated: 0, replies: 1 });
+      expect(thread.replies).toEqual([{ id: 'reply-1', author: 'Sam', date: '2026-01-02T00:00:00.000Z', text: 'Agreed' }]);
+
+      importAnnotationsXFDF(makeDoc(), xfdf('<text page="0" name="reply-1" inreplyto="thread-1"><contents>Agreed</contents></text>'), store);
+      expect(thread.replies).toHaveLength(1);
+    });
+
+    it('rejects files that are not XFDF', () => {
+      expect(() => importAnnotationsXFDF(makeDoc(), '<fdf/>', {})).toThrow('Not an XFDF file');
+      expect(() => importAnnotationsXFDF(makeDoc(), 'not xml', {})).toThrow('Not an XFDF file');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import {
+  md5, rc4, permissionFlags, decodePermissions, passwordBytesR6, paddedPasswordR4,
+  hashR6, computeOwnerKeyR4, computeFileKeyR4, computeUserKeyR4,
+  computeDecryptionKey, isEncryptedPDF,
+} from '../js/pdf-crypto.js';
+
+/* ── Helpers ── */
+
+const hex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+const ascii = str => new TextEncoder().encode(str);
+
+async function aesNoPad(key, data) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+  const out = await crypto.subtle.encrypt({ name: 'AES-CBC', iv: new Uint8Array(16) }, cryptoKey, data);
+  return new Uint8Array(out).slice(0, data.length);
+}
+
+/* ── Tests ── */
+
+describe('pdf-crypto.js', () => {
+  describe('md5', () => {
+    it('matches RFC 1321 test vectors', () => {
+      expect(hex(md5(ascii('')))).toBe('d41d8cd98f00b204e9800998ecf8427e');
+      expect(hex(md5(ascii('abc')))).toBe('900150983cd24fb0d6963f7d28e17f72');
+      expect(hex(md5(ascii('12345678901234567890123456789012345678901234567890123456789012345678901234567890'))))
+        .toBe('57edf4a22be3c955ac49da2e2107b67a');
+    });
+  });
+
+  describe('rc4', () => {
+    it('matches the classic test vector and round-trips', () => {
+      const out = rc4(ascii('Key'), ascii('Plaintext'));
+      expect(hex(out)).toBe('bbf316e8d940af0ad3');
+      expect(hex(rc4(ascii('Key'), out))).toBe(hex(ascii('Plaintext')));
+    });
+  });
+
+  describe('permissionFlags', () => {
+    it('allows everything by default', () => {
+      expect(permissionFlags()).toBe(-4);
+    });
+
+    it('clears both print bits when printing is denied', () => {
+      expect(permissionFlags({ printing: false })).toBe(-4 & ~(0x4 | 0x800));
+    });
+
+    it('clears the copy bit and keeps reserved bits set', () => {
+      const p = permissionFlags({ copying: false });
+      expect(p & 0x10).toBe(0);
+      expect(p & 0xC0).toBe(0xC0);
+      expect(p & 0x3).toBe(0);
+    });
+  });
+
+  describe('decodePermissions', () => {
+    it('round-trips permissionFlags', () => {
+      const permissions = {
+        printing: false, copying: true, modifying: false, annotating: true,
+        fillingForms: true, contentAccessibility: false, documentAssembly: true,
+      };
+      expect(decodePermissions(permissionFlags(permissions))).toEqual(permissions);
+    });
+  });
+
+  describe('password encoding', () => {
+    it('pads revision 4 passwords to 32 bytes with the standard padding', () => {
+      const padded = paddedPasswordR4('ab');
+      expect(padded.length).toBe(32);
+      expect(Array.from(padded.subarray(0, 4))).toEqual([0x61, 0x62, 0x28, 0xbf]);
+    });
+
+    it('encodes revision 6 passwords as UTF-8 capped at 127 bytes', () => {
+      expect(Array.from(passwordBytesR6('é'))).toEqual([0xc3, 0xa9]);
+      expect(passwordBytesR6('x'.repeat(200)).length).toBe(127);
+    });
+  });
+
+  describe('key derivation', () => {
+    // Reference values from files that PDF.js opens with these passwords
+    it('computes the revision 6 hash', async () => {
+      const hash = await hashR6(passwordBytesR6('user'), new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]));
+      expect(hex(hash)).toBe('17424b40ead366f7ddef0ff073608aa68ba701714b5cef3409b94c4ffa763726');
+    });
+
+    it('computes revision 4 owner, file and user keys', () => {
+      const fileId = new Uint8Array(16).fill(7);
+      const owner = computeOwnerKeyR4('owner', 'user');
+      expect(hex(owner)).toBe('0ba3835f88f90388e74e54584125ce142be0de24c6b0d37746e075b891756671');
+      const fileKey = computeFileKeyR4('user', owner, -4, fileId);
+      expect(hex(fileKey)).toBe('99bc60b724f594e5968526bbd2416dab');
+      expect(hex(computeUserKeyR4(fileKey, fileId).subarray(0, 16))).toBe('9fd59437983214b78191dc29ef0784e9');
+    });
+  });
+
+  describe('computeDecryptionKey', () => {
+    const fileId = new Uint8Array(16).fill(7);
+
+    describe('revision 4', () => {
+      const O = computeOwnerKeyR4('owner', 'user');
+      const fileKey = computeFileKeyR4('user', O, -4, fileId);
+      const encrypt = { R: 4, Length: 128, O, U: computeUserKeyR4(fileKey, fileId), P: -4 };
+
+      it('accepts the user password', async () => {
+        const auth = await computeDecryptionKey(encrypt, fileId, 'user');
+        expect(hex(auth.fileKey)).toBe('99bc60b724f594e5968526bbd2416dab');
+        expect(auth.owner).toBe(false);
+      });
+
+      it('accepts the owner password and recovers the user password', async () => {
+        const auth = await computeDecryptionKey(encrypt, fileId, 'owner');
+        expect(hex(auth.fileKey)).toBe('99bc60b724f594e5968526bbd2416dab');
+        expect(auth.owner).toBe(true);
+        expect(auth.userPassword).toBe('user');
+      });
+
+      it('rejects a wrong password', async () => {
+        expect(await computeDecryptionKey(encrypt, fileId, 'guess')).toBeNull();
+      });
+    });
+
+    it('handles revision 2 (40-bit RC4)', async () => {
+      const ownerKey = md5(paddedPasswordR4('owner')).subarray(0, 5);
+      const O = rc4(ownerKey, paddedPasswordR4('user'));
+      const fileKey = computeFileKeyR4('user', O, -4, fileId, true, 5, 2);
+      const encrypt = { R: 2, O, U: rc4(fileKey, paddedPasswordR4('')), P: -4 };
+
+      expect(hex((await computeDecryptionKey(encrypt, fileId, 'user')).fileKey)).toBe(hex(fileKey));
+      expect((await computeDecryptionKey(encrypt, fileId, 'owner')).userPassword).toBe('user');
+      expect(await computeDecryptionKey(encrypt, fileId, '')).toBeNull();
+    });
+
+    it('handles revision 6 user and owner passwords', async () => {
+      const fileKey = new Uint8Array(32).map((_, i) => i * 3);
+      const user = passwordBytesR6('user');
+      const owner = passwordBytesR6('owner');
+      const uSalts = new Uint8Array(16).fill(1);
+      const oSalts = new Uint8Array(16).fill(2);
+      const U = new Uint8Array([...await hashR6(user, uSalts.subarray(0, 8)), ...uSalts]);
+      const UE = await aesNoPad(await hashR6(user, uSalts.subarray(8)), fileKey);
+      const O = new Uint8Array([...await hashR6(owner, oSalts.subarray(0, 8), U), ...oSalts]);
+      const OE = await aesNoPad(await hashR6(owner, oSalts.subarray(8), U), fileKey);
+      const encrypt = { R: 6, O, U, OE, UE, P: -4 };
+
+      const asUser = await computeDecryptionKey(encrypt, fileId, 'user');
+      expect(hex(asUser.fileKey)).toBe(hex(fileKey));
+      expect(asUser.owner).toBe(false);
+
+      const asOwner = await computeDecryptionKey(encrypt, fileId, 'owner');
+      expect(hex(asOwner.fileKey)).toBe(hex(fileKey));
+      expect(asOwner.owner).toBe(true);
+      expect(asOwner.userPassword).toBeNull();
+
+      expect(await computeDecryptionKey(encrypt, fileId, 'nope')).toBeNull();
+    });
+  });
+
+  describe('isEncryptedPDF', () => {
+    it('spots an /Encrypt entry', () => {
+      expect(isEncryptedPDF(ascii('trailer << /Root 1 0 R /Encrypt 9 0 R >>'))).toBe(true);
+      expect(isEncryptedPDF(ascii('trailer << /Root 1 0 R /Info 2 0 R >>'))).toBe(false);
+    });
+  });
+});
@@ -4,8 +4,11 @@ import {
   ensurePdfLib,
   rotatePage,
   deletePage,
+  deletePages,
   reorderPages,
   mergePDFs,
+  mergeOrder,
+  collatePages,
   splitPDF,
   addWatermark,
   appendPages,
@@ -17,6 +20,24 @@ import {
   setPdfLibDoc,
 } from '../js/pdf-edit.js';
 
+// The mock documents below have no catalog; outline carry-over is tested
+// against real pdf-lib documents in outline.test.js
+vi.mock('../js/outline.js', () => ({
+  readOutline: vi.fn(() => []),
+  writeOutline: vi.fn(),
+  remapOutline: vi.fn(bookmarks => bookmarks),
+  insertInPageOrder: vi.fn(),
+}));
+
+// Page label carry-over is likewise tested in page-labels.test.js
+vi.mock('../js/page-labels.js', () => ({
+  readPageLabels: vi.fn(() => null),
+  remapPageLabels: vi.fn(labels => labels),
+  carryPageLabels: vi.fn(),
+  writePageLabels: vi.fn(),
+  rangesFromLabels: vi.fn(() => []),
+}));
+
 const fakePdfBytes = new Uint8Array([37, 80, 68, 70]);
 
 /* ── Helper: build a fresh mock doc with configurable page count ── */
@@ -171,6 +192,26 @@ describe('deletePage', () => {
   });
 });
 
+/* ═══════════════════ deletePages ═══════════════════ */
+
+describe('deletePages', () => {
+  it('removes pages from the highest index down', async () => {
+    await deletePages(fakePdfBytes, [0, 2]);
+    const doc = getPdfLibDoc();
+    expect(doc.removePage.mock.calls).toEqual([[2], [0]]);
+  });
+
+  it('ignores duplicate and out-of-range indexes', async () => {
+    await deletePages(fakePdfBytes, [1, 1, 7, -1]);
+    const doc = getPdfLibDoc();
+    expect(doc.removePage.mock.calls).toEqual([[1]]);
+  });
+
+  it('refuses to delete every page', async () => {
+    await expect(deletePages(fakePdfBytes, [0, 1, 2])).rejects.toThrow('Cannot delete every page');
+  });
+});
+
 /* ═══════════════════ insertBlankPage ═══════════════════ */
 
 describe('insertBlankPage', () => {
@@ -259,6 +300,66 @@ describe('mergePDFs', () => {
   });
 });
 
+/* ═══════════════════ Merge Modes ═══════════════════ */
+
+describe('mergeOrder', () => {
+  it('appends files in turn by default', () => {
+    expect(mergeOrder([2, 1])).toEqual([[0, 0], [0, 1], [1, 0]]);
+  });
+
+  it('interleaves fronts and backs, extra pages last', () => {
+    expect(mergeOrder([3, 2], 'interleave')).toEqual([[0, 0], [1, 0], [0, 1], [1, 1], [0, 2]]);
+  });
+
+  it('interleaves with the backs reversed', () => {
+    expect(mergeOrder([3, 3], 'interleave-reverse')).toEqual([
+      [0, 0], [1, 2], [0, 1], [1, 1], [0, 2], [1, 0],
+    ]);
+  });
+
+  it('reverses the appended pages', () => {
+    expect(mergeOrder([1, 2], 'reverse')).toEqual([[1, 1], [1, 0], [0, 0]]);
+  });
+
+  it('rejects interleaving other than two files, and unknown modes', () => {
+    expect(() => mergeOrder([1, 1, 1], 'interleave')).toThrow('exactly two files');
+    expect(() => mergeOrder([1], 'shuffle')).toThrow('Unknown merge mode');
+  });
+});
+
+describe('mergePDFs modes', () => {
+  it('adds pages in the interleaved order', async () => {
+    const fronts = makeMockDoc(2);
+    const backs = makeMockDoc(2);
+    window.PDFLib.PDFDocument.load
+      .mockImplementationOnce(() => Promise.resolve(fronts))
+      .mockImplementationOnce(() => Promise.resolve(backs));
+    const merged = makeMockDoc(0);
+    merged.copyPages = vi.fn((donor, indices) => Promise.resolve(indices.map(i => ({ donor, i }))));
+    window.PDFLib.PDFDocument.create.mockImplementation(() => Promise.resolve(merged));
+
+    await mergePDFs([{ bytes: fakePdfBytes }, { bytes: fakePdfBytes }], { mode: 'interleave-reverse' });
+    const added = merged.addPage.mock.calls.map(([page]) => [page.donor === fronts ? 'A' : 'B', page.i]);
+    expect(added).toEqual([['A', 0], ['B', 1], ['A', 1], ['B', 0]]);
+  });
+});
+
+describe('collatePages', () => {
+  it('interleaves the first half with the second half reversed', async () => {
+    window.PDFLib.PDFDocument.load.mockImplementation(() => Promise.resolve(makeMockDoc(5)));
+    await collatePages(fakePdfBytes);
+    const newDoc = getPdfLibDoc();
+    expect(newDoc.copyPages).toHaveBeenCalledWith(expect.anything(), [0, 4, 1, 3, 2]);
+  });
+
+  it('keeps the second half in order when backs were not reversed', async () => {
+    window.PDFLib.PDFDocument.load.mockImplementation(() => Promise.resolve(makeMockDoc(6)));
+    await collatePages(fakePdfBytes, { backsReversed: false });
+    const newDoc = getPdfLibDoc();
+    expect(newDoc.copyPages).toHaveBeenCalledWith(expect.anything(), [0, 3, 1, 4, 2, 5]);
+  });
+});
+
 /* ═══════════════════ splitPDF ═══════════════════ */
 
 describe('splitPDF', () => {
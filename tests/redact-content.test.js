@@ -0,0 +1,247 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseContentStream, serializeOperand, multiplyMatrix,
+  redactOperations, stripHiddenContent, findTextUnderRects, countTextUnderRects,
+} from '../js/redact-content.js';
+
+/* ── Helpers ── */
+
+// Monospaced stub font: every glyph is 0.5em wide, single-byte codes
+const monoFont = {
+  decode: s => Array.from(s, ch => ({ code: ch.charCodeAt(0), bytes: ch })),
+  width: () => 0.5,
+  ascent: 0.8,
+  descent: -0.2,
+};
+
+function redact(src, rects, extra = {}) {
+  return redactOperations(src, { rects, getFont: () => monoFont, ...extra });
+}
+
+/* ── Tests ── */
+
+describe('redact-content.js', () => {
+  describe('parseContentStream', () => {
+    it('splits operators and operands', () => {
+      const ops = parseContentStream('q 1 0 0 1 10 20 cm BT /F1 12 Tf (Hi) Tj ET Q');
+      expect(ops.map(o => o.op)).toEqual(['q', 'cm', 'BT', 'Tf', 'Tj', 'ET', 'Q']);
+      expect(ops[1].operands).toEqual([1, 0, 0, 1, 10, 20]);
+      expect(ops[3].operands[0]).toEqual({ type: 'name', value: 'F1' });
+      expect(ops[4].operands[0]).toEqual({ type: 'string', value: 'Hi' });
+    });
+
+    it('decodes escapes, nested parentheses and hex strings', () => {
+      const ops = parseContentStream('(a\\(b\\) (c) \\101\\n) Tj <48 65 6c6C6f> Tj');
+      expect(ops[0].operands[0].value).toBe('a(b) (c) A\n');
+      expect(ops[1].operands[0].value).toBe('Hello');
+    });
+
+    it('parses TJ arrays and inline dictionaries', () => {
+      const ops = parseContentStream('[(A) -120 (B)] TJ /Span <</ActualText (x)>> BDC EMC');
+      expect(ops[0].operands[0]).toEqual([{ type: 'string', value: 'A' }, -120, { type: 'string', value: 'B' }]);
+      expect(ops[1].operands[1].value.get('ActualText')).toEqual({ type: 'string', value: 'x' });
+    });
+
+    it('skips comments and keeps source offsets', () => {
+      const src = '% header\nq\n0 0 m Q';
+      const ops = parseContentStream(src);
+      expect(ops.map(o => o.op)).toEqual(['q', 'm', 'Q']);
+      expect(src.slice(ops[1].start, ops[1].end)).toBe('0 0 m');
+    });
+
+    it('treats inline image data as a single operation', () => {
+      const ops = parseContentStream('BI /W 2 /H 1 /BPC 8 /CS /G ID \x00Q)\xff EI Q');
+      expect(ops.map(o => o.op)).toEqual(['BI', 'Q']);
+      expect(ops[0].operands[0].value.get('W')).toBe(2);
+    });
+  });
+
+  describe('serializeOperand', () => {
+    it('writes strings as hex and trims numbers', () => {
+      expect(serializeOperand({ type: 'string', value: 'Hi' })).toBe('<4869>');
+      expect(serializeOperand([{ type: 'string', value: '\x00\x41' }, -250.5, 3])).toBe('[<0041> -250.5 3]');
+      expect(serializeOperand(0.1 + 0.2)).toBe('0.3');
+    });
+
+    it('escapes special characters in names', () => {
+      expect(serializeOperand({ type: 'name', value: 'A B' })).toBe('/A#20B');
+    });
+  });
+
+  describe('multiplyMatrix', () => {
+    it('applies the first matrix before the second', () => {
+      const scaleThenMove = multiplyMatrix([2, 0, 0, 2, 0, 0], [1, 0, 0, 1, 10, 5]);
+      expect(scaleThenMove).toEqual([2, 0, 0, 2, 10, 5]);
+      const moveThenScale = multiplyMatrix([1, 0, 0, 1, 10, 5], [2, 0, 0, 2, 0, 0]);
+      expect(moveThenScale).toEqual([2, 0, 0, 2, 20, 10]);
+    });
+  });
+
+  describe('redactOperations', () => {
+    // "ABCDEFGH" at 10pt starting at x=100: each glyph is 5pt wide
+    const text = 'BT /F1 10 Tf 100 700 Td (ABCDEFGH) Tj ET';
+
+    it('returns null content when nothing intersects', () => {
+      const res = redact(text, [{ x1: 0, y1: 0, x2: 50, y2: 50 }]);
+      expect(res.content).toBeNull();
+      expect(res.glyphsRemoved).toBe(0);
+    });
+
+    it('removes covered glyphs and keeps the rest in place', () => {
+      // Covers C, D and E (x 110–125)
+      const res = redact(text, [{ x1: 110, y1: 698, x2: 125, y2: 710 }]);
+      expect(res.glyphsRemoved).toBe(3);
+      expect(res.content).toContain('[<4142> -1500 <464748>] TJ');
+      expect(res.content).not.toMatch(/434445|\(ABCDEFGH\)/);
+    });
+
+    it('accounts for character and word spacing in the replacement gap', () => {
+      const src = 'BT /F1 10 Tf 2 Tc 4 Tw 100 700 Td (A B) Tj ET';
+      // Glyph advances: A = 5+2, space = 5+2+4, B = 5+2 → space spans x 107–118
+      const res = redact(src, [{ x1: 108, y1: 698, x2: 117, y2: 710 }]);
+      expect(res.glyphsRemoved).toBe(1);
+      expect(res.content).toContain('[<41> -1100 <42>] TJ');
+    });
+
+    it('merges kerning next to removed glyphs in TJ arrays', () => {
+      const src = 'BT /F1 10 Tf 100 700 Td [(AB) -200 (CD)] TJ ET';
+      // B spans 105–110, then the -200 kern moves 2pt right, C spans 112–117
+      const res = redact(src, [{ x1: 105, y1: 698, x2: 117, y2: 710 }]);
+      expect(res.glyphsRemoved).toBe(2);
+      expect(res.content).toContain('[<41> -1200 <44>] TJ');
+    });
+
+    it('honors the CTM and text matrix', () => {
+      const src = 'q 2 0 0 2 0 0 cm BT /F1 10 Tf 1 0 0 1 50 350 Tm (AB) Tj ET Q';
+      // In page space the glyphs are 10pt wide: A 100–110, B 110–120
+      const res = redact(src, [{ x1: 111, y1: 695, x2: 130, y2: 720 }]);
+      expect(res.glyphsRemoved).toBe(1);
+      expect(res.content).toContain('[<41> -500] TJ');
+    });
+
+    it('ignores slivers from the line above', () => {
+      const src = 'BT /F1 10 Tf 100 700 Td (AB) Tj 0 -12 Td (CD) Tj ET';
+      // Rect covers the second line and clips the bottom 1pt of the first line's descent
+      const res = redact(src, [{ x1: 100, y1: 686, x2: 130, y2: 699 }]);
+      expect(res.glyphsRemoved).toBe(2);
+      expect(res.content).toContain('(AB) Tj');
+    });
+
+    it('rewrites quote operators to preserve line movement', () => {
+      const src = "BT /F1 10 Tf 12 TL 100 712 Td (AB) ' 1 0 (CD) \" ET";
+      const res = redact(src, [{ x1: 100, y1: 680, x2: 130, y2: 705 }]);
+      expect(res.glyphsRemoved).toBe(4);
+      expect(res.content).toContain('T* [-1000] TJ');
+      expect(res.content).toContain('1 Tw 0 Tc T* [-1000] TJ');
+    });
+
+    it('downgrades marked content with ActualText when glyphs are removed', () => {
+      const src = 'BT /F1 10 Tf 100 700 Td /Span <</ActualText (SECRET)>> BDC (AB) Tj EMC ET';
+      const res = redact(src, [{ x1: 95, y1: 695, x2: 115, y2: 710 }]);
+      expect(res.content).toContain('/Span BMC');
+      expect(res.content).not.toContain('ActualText');
+    });
+
+    it('reports redactable images and drops the ones it cannot edit', () => {
+      const src = 'q 100 0 0 100 50 50 cm /Im1 Do /Im2 Do Q';
+      const res = redact(src, [{ x1: 60, y1: 60, x2: 70, y2: 70 }], {
+        getXObject: name => ({ subtype: 'Image', redactable: name === 'Im1' }),
+      });
+      expect(res.imageHits.get('Im1')).toEqual([[100, 0, 0, 100, 50, 50]]);
+      expect(res.imagesRemoved).toBe(1);
+      expect(res.content).toContain('/Im1 Do');
+      expect(res.content).not.toContain('/Im2 Do');
+    });
+
+    it('collects form XObjects whose bounding box intersects', () => {
+      const src = 'q 1 0 0 1 200 200 cm /Fm1 Do Q /Fm1 Do';
+      const res = redact(src, [{ x1: 210, y1: 210, x2: 220, y2: 220 }], {
+        getXObject: () => ({ subtype: 'Form', matrix: [1, 0, 0, 1, 0, 0], bbox: [0, 0, 50, 50] }),
+      });
+      expect(res.formHits.get('Fm1')).toEqual([[1, 0, 0, 1, 200, 200]]);
+      expect(res.content).toBeNull();
+    });
+
+    it('removes intersecting inline images', () => {
+      const src = 'q 20 0 0 20 100 100 cm BI /W 1 /H 1 /BPC 8 /CS /G ID \x80 EI Q';
+      const res = redact(src, [{ x1: 105, y1: 105, x2: 110, y2: 110 }]);
+      expect(res.inlineImagesRemoved).toBe(1);
+      expect(res.content).not.toContain('BI');
+    });
+
+    it('checks every placement of a shared stream', () => {
+      const res = redact('BT /F1 10 Tf (AB) Tj ET', [{ x1: 300, y1: 295, x2: 304, y2: 310 }], {
+        placements: [[1, 0, 0, 1, 0, 0], [1, 0, 0, 1, 300, 300]],
+      });
+      expect(res.glyphsRemoved).toBe(1);
+    });
+  });
+
+  describe('stripHiddenContent', () => {
+    const hiddenOC = { isHiddenOC: props => props?.value === 'MC0' };
+
+    it('returns null content when no hidden group is used', () => {
+      const res = stripHiddenContent('/OC /MC1 BDC 0 0 m 10 10 l S EMC', hiddenOC);
+      expect(res.content).toBeNull();
+      expect(res.removed).toBe(0);
+    });
+
+    it('drops self-contained hidden sequences whole', () => {
+      const src = 'q /OC /MC0 BDC q BT /F1 12 Tf (Secret) Tj ET Q EMC /OC /MC1 BDC (Shown) Tj EMC Q';
+      const res = stripHiddenContent(src, hiddenOC);
+      expect(res.removed).toBe(1);
+      expect(res.content).not.toContain('Secret');
+      expect(res.content).toContain('/OC /MC1 BDC (Shown) Tj EMC');
+    });
+
+    it('keeps state changes but removes painting when a sequence is not self-contained', () => {
+      const src = "/OC /MC0 BDC q 1 0 0 rg 0 0 10 10 re f BT (A) Tj 2 Tw 1 1 (B) \" EMC /Im1 Do Q";
+      const res = stripHiddenContent(src, hiddenOC);
+      expect(res.content).toContain('q 1 0 0 rg 0 0 10 10 re n BT');
+      expect(res.content).toContain('1 Tw 1 Tc T*');
+      expect(res.content).not.toMatch(/\(A\)|\(B\)|BDC|EMC| f /);
+      expect(res.content).toContain('/Im1 Do Q');
+    });
+
+    it('handles nested marked content and hidden XObjects', () => {
+      const src = '/OC /MC0 BDC /Span BMC (x) Tj EMC EMC /Fm1 Do /Fm2 Do';
+      const res = stripHiddenContent(src, { ...hiddenOC, isHiddenXObject: name => name === 'Fm1' });
+      expect(res.removed).toBe(2);
+      expect(res.content.trim()).toBe('/Fm2 Do');
+    });
+  });
+
+  describe('findTextUnderRects', () => {
+    function makeDoc(items) {
+      return {
+        numPages: 1,
+        getPage: () => Promise.resolve({ getTextContent: () => Promise.resolve({ items }) }),
+      };
+    }
+
+    it('reports characters whose centers fall inside a rect', async () => {
+      const doc = makeDoc([{ str: 'SSN 123', transform: [10, 0, 0, 10, 100, 700], width: 35, height: 10 }]);
+      const leaks = await findTextUnderRects(doc, { 1: [{ x1: 118, y1: 695, x2: 140, y2: 712 }] });
+      expect(leaks).toEqual([{ pageNum: 1, text: '123' }]);
+    });
+
+    it('returns nothing when the text sits outside the rects', async () => {
+      const doc = makeDoc([{ str: 'Public', transform: [10, 0, 0, 10, 100, 700], width: 30, height: 10 }]);
+      const leaks = await findTextUnderRects(doc, { 1: [{ x1: 100, y1: 650, x2: 200, y2: 690 }] });
+      expect(leaks).toEqual([]);
+    });
+
+    it('counts the characters under each rect', async () => {
+      const doc = makeDoc([
+        { str: 'SSN 123', transform: [10, 0, 0, 10, 100, 700], width: 35, height: 10 },
+        { str: 'Jane Doe', transform: [10, 0, 0, 10, 100, 600], width: 40, height: 10 },
+      ]);
+      const counts = await countTextUnderRects(doc, 1, [
+        { x1: 118, y1: 695, x2: 140, y2: 712 },
+        { x1: 95, y1: 595, x2: 150, y2: 612 },
+        { x1: 0, y1: 0, x2: 10, y2: 10 },
+      ]);
+      expect(counts).toEqual([3, 7, 0]);
+    });
+  });
+});
@@ -1,5 +1,14 @@
-import { describe, it, expect } from 'vitest';
-import { REDACTION_PATTERNS } from '../js/redact-patterns.js';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../js/ocr.js', () => ({
+  getOCRResults: vi.fn(() => null),
+}));
+
+import {
+  REDACTION_PATTERNS, searchPatterns, parseTermList, buildTermRegex,
+  getPatternSets, savePatternSet, deletePatternSet,
+} from '../js/redact-patterns.js';
+import { getOCRResults } from '../js/ocr.js';
 
 /**
  * Helper: test whether a pattern's regex matches a string,
@@ -166,6 +175,144 @@ describe('Credit Card pattern', () => {
   });
 });
 
+/* ── Financial and government IDs ── */
+
+describe('Routing number pattern', () => {
+  it('accepts numbers that pass the ABA checksum', () => {
+    expect(matchesPattern('routingNumber', 'Routing 011000015 / 021000021')).toEqual(['011000015', '021000021']);
+  });
+
+  it('rejects bad checksums and unassigned prefixes', () => {
+    expect(matchesPattern('routingNumber', '011000016')).toEqual([]);
+    // 991000012 passes the checksum but 99 is not a routing prefix
+    expect(matchesPattern('routingNumber', '991000012')).toEqual([]);
+  });
+});
+
+describe('Bank account pattern', () => {
+  it('matches only the number after an account label', () => {
+    expect(matchesPattern('bankAccount', 'Account No.: 1234-5678-90, Acct # 00012345')).toEqual(['1234-5678-90', '00012345']);
+    expect(matchesPattern('bankAccount', 'Invoice 12345678 and account balance 12')).toEqual([]);
+  });
+});
+
+describe('EIN and ITIN patterns', () => {
+  it('matches EINs with an assigned prefix', () => {
+    expect(matchesPattern('ein', 'EIN 12-3456789, bad 07-1234567')).toEqual(['12-3456789']);
+  });
+
+  it('matches ITINs in the IRS group ranges', () => {
+    expect(matchesPattern('itin', '912-70-1234 and 912-93-1234 and 950 88 1234')).toEqual(['912-70-1234', '950 88 1234']);
+  });
+
+  it('does not overlap with SSNs', () => {
+    expect(matchesPattern('ssn', '912-70-1234')).toEqual([]);
+  });
+});
+
+describe('Passport and driver\'s license patterns', () => {
+  it('matches passport numbers after a passport label', () => {
+    expect(matchesPattern('passport', 'Passport No. 123456789; passport number X1234567; passport office'))
+      .toEqual(['123456789', 'X1234567']);
+  });
+
+  it('matches state license formats after a license label', () => {
+    expect(matchesPattern('driversLicense', "Driver's License: A1234567, DL# WDL12345678A, D.L. F123-456-78-901-0"))
+      .toEqual(['A1234567', 'WDL12345678A', 'F123-456-78-901-0']);
+    expect(matchesPattern('driversLicense', 'License agreement, DL 12')).toEqual([]);
+  });
+});
+
+/* ── Other personal data ── */
+
+describe('Date of birth pattern', () => {
+  it('matches dates that follow a birth label only', () => {
+    expect(matchesPattern('dob', 'DOB: 01/02/1980. Date of Birth March 5, 1975; born on 1990-04-12; signed 01/02/2020'))
+      .toEqual(['01/02/1980', 'March 5, 1975', '1990-04-12']);
+  });
+});
+
+describe('IP address pattern', () => {
+  it('matches IPv4 and IPv6 addresses', () => {
+    expect(matchesPattern('ipAddress', '192.168.1.254, 2001:db8::1 and fe80:0:0:0:0:0:0:1'))
+      .toEqual(['192.168.1.254', '2001:db8::1', 'fe80:0:0:0:0:0:0:1']);
+  });
+
+  it('rejects out-of-range octets and times', () => {
+    expect(matchesPattern('ipAddress', '256.1.1.1 at 12:30:45')).toEqual([]);
+  });
+});
+
+describe('Street address pattern', () => {
+  it('matches numbered streets with suffixes and units', () => {
+    expect(matchesPattern('streetAddress', 'Lives at 123 Main Street, Apt 4B; 221 5th Ave. NW; 10 Downing St'))
+      .toEqual(['123 Main Street, Apt 4B', '221 5th Ave. NW', '10 Downing St']);
+  });
+});
+
+describe('Medical record number pattern', () => {
+  it('matches identifiers after an MRN label', () => {
+    expect(matchesPattern('mrn', 'MRN: 00123456; Medical Record No. AB-12345; MRN pending'))
+      .toEqual(['00123456', 'AB-12345']);
+  });
+});
+
+/* ── Name & term lists ── */
+
+describe('parseTermList', () => {
+  it('reads one term per line from text files', () => {
+    expect(parseTermList('\uFEFFSmith, John\r\n\n  Jane   Doe \nSmith, John\n')).toEqual(['Smith, John', 'Jane Doe']);
+  });
+
+  it('reads every cell from CSV files', () => {
+    expect(parseTermList('"Smith, John",JS\nJane Doe,\n', 'csv')).toEqual(['Smith, John', 'JS', 'Jane Doe']);
+  });
+});
+
+describe('buildTermRegex', () => {
+  it('matches whole words, longest term first, across any whitespace', () => {
+    const re = buildTermRegex(['John', 'John Smith', 'JS']);
+    expect('John  Smith, JSON, js, Johnny, John'.match(re)).toEqual(['John  Smith', 'js', 'John']);
+  });
+
+  it('honours case and partial-word options', () => {
+    expect('C++ and c++'.match(buildTermRegex(['C++'], { caseSensitive: true }))).toEqual(['C++']);
+    expect('Johnny'.match(buildTermRegex(['john'], { wholeWord: false }))).toEqual(['John']);
+  });
+
+  it('returns null for an empty list', () => {
+    expect(buildTermRegex(['', '  '])).toBeNull();
+  });
+});
+
+/* ── Saved pattern sets ── */
+
+describe('pattern sets', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('saves, replaces by name and deletes sets', () => {
+    expect(savePatternSet({ name: '  ' })).toBe(false);
+    savePatternSet({ name: 'Smith v. Acme', patterns: ['ssn'], terms: ['Jane Doe'] });
+    savePatternSet({ name: 'FOIA', patterns: ['email'], reason: '(b)(6)', wholeWord: false });
+    savePatternSet({ name: 'Smith v. Acme', patterns: ['ssn', 'dob'] });
+
+    const sets = getPatternSets();
+    expect(sets.map(s => s.name)).toEqual(['FOIA', 'Smith v. Acme']);
+    expect(sets[0]).toEqual({
+      name: 'FOIA', patterns: ['email'], custom: '', terms: [], wholeWord: false, caseSensitive: false, reason: '(b)(6)',
+    });
+    expect(sets[1].patterns).toEqual(['ssn', 'dob']);
+
+    deletePatternSet('FOIA');
+    expect(getPatternSets().map(s => s.name)).toEqual(['Smith v. Acme']);
+  });
+
+  it('returns no sets when storage holds bad JSON', () => {
+    localStorage.setItem('mudbrick-redact-pattern-sets', '{');
+    expect(getPatternSets()).toEqual([]);
+  });
+});
+
 /* ── Pattern metadata ── */
 
 describe('REDACTION_PATTERNS structure', () => {
@@ -188,3 +335,81 @@ describe('REDACTION_PATTERNS structure', () => {
     }
   });
 });
+
+/* ── searchPatterns ── */
+
+// One-page PDF.js document; items are [str, x, baseline y, width] on a 792pt page
+function mockDoc(items) {
+  const page = {
+    getTextContent: async () => ({
+      items: items.map(([str, x, y, width]) => ({ str, width, transform: [10, 0, 0, 10, x, 792 - y] })),
+    }),
+    getViewport: () => ({ transform: [1, 0, 0, -1, 0, 792] }),
+  };
+  return { numPages: 1, getPage: async () => page };
+}
+
+function ocrWord(text, x0, y0, x1, confidence) {
+  return { text, bbox: { x0, y0, x1, y1: y0 + 12 }, confidence };
+}
+
+describe('searchPatterns', () => {
+  beforeEach(() => {
+    getOCRResults.mockReset().mockReturnValue(null);
+  });
+
+  it('finds matches in the text layer', async () => {
+    const matches = await searchPatterns(mockDoc([['SSN 234-56-7890 on file', 72, 100, 115]]), ['ssn']);
+    expect(matches).toHaveLength(1);
+    expect(matches[0]).toMatchObject({ pageNum: 1, text: '234-56-7890', source: 'text' });
+    expect(matches[0].rects[0]).toMatchObject({ x: 92, y: 90, width: 55, height: 10 });
+  });
+
+  it('falls back to OCR words on a page without a text layer', async () => {
+    getOCRResults.mockReturnValue({
+      words: [
+        ocrWord('Call', 72, 200, 100, 95),
+        ocrWord('(555)', 104, 200, 140, 91),
+        ocrWord('123-4567', 144, 200, 200, 88),
+        ocrWord('SSN', 72, 220, 100, 96),
+        ocrWord('234-56-7890', 104, 220, 180, 42),
+      ],
+    });
+    const matches = await searchPatterns(mockDoc([]), ['phone', 'ssn']);
+
+    const phone = matches.find(m => m.pattern === 'phone');
+    expect(phone).toMatchObject({ text: '(555) 123-4567', source: 'ocr', confidence: 88, needsReview: false });
+    // The words and the gap between them make one box
+    expect(phone.rects).toEqual([{ x: 104, y: 200, width: 96, height: 12 }]);
+
+    const ssn = matches.find(m => m.pattern === 'ssn');
+    expect(ssn).toMatchObject({ source: 'ocr', confidence: 42, needsReview: true });
+    expect(ssn.rects).toEqual([{ x: 104, y: 220, width: 76, height: 12 }]);
+  });
+
+  it('ignores OCR on pages with text unless merging, and drops overlapping OCR matches', async () => {
+    const doc = mockDoc([['SSN 234-56-7890 on file', 72, 100, 115]]);
+    getOCRResults.mockReturnValue({
+      words: [
+        ocrWord('234-56-7890', 92, 90, 147, 90),
+        ocrWord('345-67-8901', 92, 300, 147, 90),
+      ],
+    });
+
+    expect((await searchPatterns(doc, ['ssn'])).map(m => m.source)).toEqual(['text']);
+
+    const merged = await searchPatterns(doc, ['ssn'], '', { ocr: 'merge' });
+    expect(merged.map(m => [m.text, m.source])).toEqual([['234-56-7890', 'text'], ['345-67-8901', 'ocr']]);
+
+    getOCRResults.mockClear();
+    await searchPatterns(mockDoc([]), ['ssn'], '', { ocr: 'off' });
+    expect(getOCRResults).not.toHaveBeenCalled();
+  });
+
+  it('finds every occurrence of listed terms', async () => {
+    const doc = mockDoc([['Jane Doe met Janet and jane doe', 72, 100, 155]]);
+    const matches = await searchPatterns(doc, ['terms'], '', { terms: ['Jane Doe'] });
+    expect(matches.map(m => [m.pattern, m.text])).toEqual([['terms', 'Jane Doe'], ['terms', 'jane doe']]);
+    expect(await searchPatterns(doc, ['terms'], '', { terms: ['Jane Doe'], caseSensitive: true })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  REDACTION_REASONS, describeReason, buildRedactionLogCSV, buildRedactionLogPDF,
+} from '../js/redaction-log.js';
+
+/* ── Helpers ── */
+
+const entries = [
+  { pageNum: 3, bates: 'ABC000003', reason: '(b)(6)', textLength: 11 },
+  { pageNum: 1, bates: 'ABC000001', reason: 'AC', textLength: 240 },
+  { pageNum: 2, bates: '', reason: 'Settlement, per order', textLength: null },
+];
+
+/* ── Tests ── */
+
+describe('redaction-log.js', () => {
+  describe('describeReason', () => {
+    it('describes preset codes and passes custom codes through', () => {
+      expect(describeReason('WP')).toBe('Attorney Work Product');
+      expect(describeReason('(b)(7)(C)')).toMatch(/law enforcement records/);
+      expect(describeReason('Sealed by court')).toBe('Sealed by court');
+      expect(describeReason('')).toBe('');
+    });
+
+    it('has unique codes', () => {
+      const codes = REDACTION_REASONS.map(r => r.code);
+      expect(new Set(codes).size).toBe(codes.length);
+    });
+  });
+
+  describe('buildRedactionLogCSV', () => {
+    it('writes one row per redaction in page order', () => {
+      expect(buildRedactionLogCSV(entries)).toBe(
+        'Page,Bates,Reason,Description,Redacted Characters\n' +
+        '1,ABC000001,AC,Attorney-Client Privilege,240\n' +
+        '2,,"Settlement, per order","Settlement, per order",\n' +
+        '3,ABC000003,(b)(6),FOIA (b)(6) — Personal privacy,11\n',
+      );
+    });
+  });
+
+  describe('buildRedactionLogPDF', () => {
+    let saved;
+    let pages;
+
+    beforeEach(() => {
+      saved = window.PDFLib.PDFDocument.create;
+      pages = [];
+      const font = { widthOfTextAtSize: (text, size) => text.length * size * 0.5 };
+      window.PDFLib.PDFDocument.create = vi.fn(() => Promise.resolve({
+        embedFont: vi.fn(() => Promise.resolve(font)),
+        addPage: vi.fn(() => {
+          const page = { drawText: vi.fn(), drawLine: vi.fn() };
+          pages.push(page);
+          return page;
+        }),
+        save: vi.fn(() => Promise.resolve(new Uint8Array([37, 80, 68, 70]))),
+      }));
+    });
+
+    afterEach(() => {
+      window.PDFLib.PDFDocument.create = saved;
+    });
+
+    it('draws a titled table with a row per redaction', async () => {
+      const bytes = await buildRedactionLogPDF(entries, { fileName: 'memo.pdf', date: new Date(2025, 0, 2) });
+      expect(bytes).toBeInstanceOf(Uint8Array);
+      const texts = pages[0].drawText.mock.calls.map(c => c[0]);
+      expect(texts[0]).toBe('Redaction Log');
+      expect(texts[1]).toContain('memo.pdf');
+      expect(texts[1]).toContain('3 redactions');
+      expect(texts.slice(2, 7)).toEqual(['Page', 'Bates', 'Reason', 'Description', 'Redacted Characters']);
+      expect(texts.slice(7, 12)).toEqual(['1', 'ABC000001', 'AC', 'Attorney-Client Privilege', '240']);
+    });
+
+    it('continues on new pages and shortens cells that do not fit', async () => {
+      const many = Array.from({ length: 60 }, (_, i) => ({
+        pageNum: i + 1, bates: '', reason: 'An unusually long custom reason code', textLength: 1,
+      }));
+      await buildRedactionLogPDF(many);
+      expect(pages.length).toBe(2);
+      const reasonCell = pages[0].drawText.mock.calls[9][0];
+      expect(reasonCell.endsWith('…')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,268 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../js/redact-content.js', () => ({
+  removeUnreachableObjects: vi.fn(() => 3),
+  removeDetachedObjects: vi.fn(() => 0),
+  removeHiddenOptionalContent: vi.fn(() => ({
+    layersRemoved: 0, contentRemoved: 0, annotationsRemoved: 0, detached: [],
+  })),
+}));
+
+import {
+  SANITIZE_CATEGORIES, resolveSanitizeOptions, sanitizeObjects,
+} from '../js/sanitize.js';
+import {
+  removeUnreachableObjects, removeDetachedObjects, removeHiddenOptionalContent,
+} from '../js/redact-content.js';
+
+/* ── Helpers ── */
+
+// Just enough of pdf-lib's object model for the sanitize passes
+class PDFName {
+  static names = new Map();
+  static of(name) {
+    if (!PDFName.names.has(name)) PDFName.names.set(name, new PDFName(name));
+    return PDFName.names.get(name);
+  }
+  constructor(name) { this.name = name; }
+  decodeText() { return this.name; }
+}
+
+class PDFRef {
+  constructor(num) { this.num = num; }
+}
+
+class PDFDict {
+  constructor(context, map = new Map()) { this.context = context; this.map = map; }
+  get(key) { return this.map.get(key); }
+  set(key, value) { this.map.set(key, value); }
+  delete(key) { this.map.delete(key); }
+  lookup(key) { return this.context.lookup(this.map.get(key)); }
+  entries() { return Array.from(this.map.entries()); }
+}
+
+class PDFArray {
+  constructor(context, items) { this.context = context; this.items = items; }
+  asArray() { return this.items.slice(); }
+  size() { return this.items.length; }
+  get(i) { return this.items[i]; }
+}
+
+class PDFStream {
+  constructor(dict) { this.dict = dict; }
+}
+
+class PDFString {
+  constructor(value) { this.value = value; }
+}
+
+function makeContext() {
+  const objects = new Map();
+  const context = {
+    trailerInfo: {},
+    lookup: v => (v instanceof PDFRef ? objects.get(v) : v),
+    enumerateIndirectObjects: () => Array.from(objects.entries()),
+    register: obj => {
+      const ref = new PDFRef(objects.size + 1);
+      objects.set(ref, obj);
+      return ref;
+    },
+    // Literal → object: 'Name' strings become names, { } dicts, [ ] arrays
+    obj: literal => {
+      if (literal === null || typeof literal !== 'object' || literal.constructor !== Object && !Array.isArray(literal)) {
+        return typeof literal === 'string' ? PDFName.of(literal) : literal;
+      }
+      if (Array.isArray(literal)) return new PDFArray(context, literal.map(context.obj));
+      return new PDFDict(context, new Map(Object.entries(literal).map(([k, v]) => [PDFName.of(k), context.obj(v)])));
+    },
+  };
+  return context;
+}
+
+function makeDoc() {
+  const context = makeContext();
+  const page = context.obj({ Type: 'Page' });
+  const catalog = context.obj({ Type: 'Catalog' });
+  context.trailerInfo.Root = context.register(catalog);
+  const pageRef = context.register(page);
+  return {
+    context, catalog, page, pageRef,
+    getPages: () => [{ node: page }],
+  };
+}
+
+const N = PDFName.of;
+const text = s => new PDFString(s);
+
+/* ── Tests ── */
+
+describe('sanitize.js', () => {
+  beforeEach(() => {
+    window.PDFLib = { ...window.PDFLib, PDFName, PDFRef, PDFDict, PDFArray, PDFStream };
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    for (const key of ['PDFName', 'PDFRef', 'PDFDict', 'PDFArray', 'PDFStream']) delete window.PDFLib[key];
+  });
+
+  describe('resolveSanitizeOptions', () => {
+    it('keeps comments and form data unless asked', () => {
+      const options = resolveSanitizeOptions();
+      expect(options.metadata).toBe(true);
+      expect(options.hiddenLayers).toBe(true);
+      expect(options.comments).toBe(false);
+      expect(options.formData).toBe(false);
+    });
+
+    it('has an option for every category', () => {
+      const options = resolveSanitizeOptions({ xmp: false, comments: true });
+      expect(Object.keys(options)).toEqual(SANITIZE_CATEGORIES.map(c => c.option));
+      expect(options.xmp).toBe(false);
+      expect(options.comments).toBe(true);
+    });
+  });
+
+  describe('sanitizeObjects', () => {
+    it('reports a count for every category', () => {
+      const report = sanitizeObjects(makeDoc());
+      for (const { count } of SANITIZE_CATEGORIES) expect(report).toHaveProperty(count);
+      expect(report.unreferencedObjects).toBe(3);
+    });
+
+    it('drops the info dictionary and XMP streams', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      context.trailerInfo.Info = context.register(context.obj({ Title: text('Plan'), Author: text('A. Lawyer') }));
+      const xmp = context.register(new PDFStream(context.obj({ Type: 'Metadata', Subtype: 'XML' })));
+      doc.catalog.set(N('Metadata'), xmp);
+      doc.page.set(N('Metadata'), context.register(new PDFStream(context.obj({ Type: 'Metadata' }))));
+
+      const report = sanitizeObjects(doc);
+      expect(report.fieldsCount).toBe(2);
+      expect(report.xmpStreams).toBe(2);
+      expect(context.trailerInfo.Info).toBeUndefined();
+      expect(doc.catalog.get(N('Metadata'))).toBeUndefined();
+      expect(removeDetachedObjects.mock.calls[0][1]).toContain(xmp);
+    });
+
+    it('removes scripts, the open action and trigger actions', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      const jsTree = context.obj({ Names: [text('a'), { S: 'JavaScript' }, text('b'), { S: 'JavaScript' }] });
+      doc.catalog.set(N('Names'), context.obj({ JavaScript: jsTree }));
+      doc.catalog.set(N('OpenAction'), context.obj({ S: 'JavaScript', JS: text('app.alert(1)') }));
+      doc.page.set(N('AA'), context.obj({ O: { S: 'Launch' }, C: { S: 'JavaScript' } }));
+      const link = context.obj({ Subtype: 'Link', A: { S: 'URI' } });
+      doc.page.set(N('Annots'), context.obj([context.register(link)]));
+
+      const report = sanitizeObjects(doc);
+      expect(report.javascript).toBe(4);
+      expect(report.actions).toBe(1);
+      expect(doc.catalog.lookup(N('Names')).get(N('JavaScript'))).toBeUndefined();
+      expect(doc.catalog.get(N('OpenAction'))).toBeUndefined();
+      expect(doc.page.get(N('AA'))).toBeUndefined();
+      expect(link.get(N('A'))).toBeDefined();
+    });
+
+    it('only removes JavaScript when actions are kept', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      doc.catalog.set(N('OpenAction'), context.obj({ S: 'GoTo', D: [doc.pageRef, 'Fit'] }));
+      doc.page.set(N('AA'), context.obj({ O: { S: 'Launch' }, C: { S: 'JavaScript' } }));
+
+      const report = sanitizeObjects(doc, { actions: false });
+      expect(report.javascript).toBe(1);
+      expect(report.actions).toBe(0);
+      expect(doc.catalog.get(N('OpenAction'))).toBeDefined();
+      expect(doc.page.lookup(N('AA')).entries().map(([k]) => k.decodeText())).toEqual(['O']);
+    });
+
+    it('counts each embedded file once', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      const spec = context.register(context.obj({ Type: 'Filespec', F: text('notes.txt') }));
+      doc.catalog.set(N('Names'), context.obj({ EmbeddedFiles: { Names: [text('notes.txt'), spec] } }));
+      doc.catalog.set(N('AF'), context.obj([spec]));
+      const attachment = context.register(context.obj({ Subtype: 'FileAttachment', FS: spec }));
+      doc.page.set(N('Annots'), context.obj([attachment]));
+
+      const report = sanitizeObjects(doc);
+      expect(report.embeddedFiles).toBe(1);
+      expect(doc.catalog.get(N('AF'))).toBeUndefined();
+      expect(doc.page.lookup(N('Annots')).size()).toBe(0);
+    });
+
+    it('drops thumbnails and private application data', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      doc.page.set(N('Thumb'), context.register(new PDFStream(context.obj({}))));
+      doc.page.set(N('PieceInfo'), context.obj({ Illustrator: { Private: 1 } }));
+
+      const report = sanitizeObjects(doc);
+      expect(report.thumbnails).toBe(1);
+      expect(report.pieceInfo).toBe(1);
+      expect(doc.page.get(N('Thumb'))).toBeUndefined();
+      expect(doc.page.get(N('PieceInfo'))).toBeUndefined();
+    });
+
+    it('removes comments and their pop-ups but keeps links', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      const popup = context.register(context.obj({ Subtype: 'Popup' }));
+      const note = context.obj({ Subtype: 'Text', Contents: text('call me'), Popup: popup });
+      const noteRef = context.register(note);
+      context.lookup(popup).set(N('Parent'), noteRef);
+      const link = context.register(context.obj({ Subtype: 'Link' }));
+      doc.page.set(N('Annots'), context.obj([noteRef, popup, link]));
+
+      expect(sanitizeObjects(doc).comments).toBe(0);
+      expect(doc.page.lookup(N('Annots')).size()).toBe(3);
+
+      const report = sanitizeObjects(doc, { comments: true });
+      expect(report.comments).toBe(1);
+      expect(doc.page.lookup(N('Annots')).asArray()).toEqual([link]);
+      expect(note.get(N('Contents'))).toBeUndefined();
+    });
+
+    it('clears form values and appearances', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      const name = context.obj({ FT: 'Tx', T: text('name'), V: text('Jane'), Subtype: 'Widget', AP: { N: 1 } });
+      const agree = context.obj({ FT: 'Btn', T: text('agree'), V: 'Yes', Subtype: 'Widget', AS: 'Yes', AP: { N: 1 } });
+      const acroForm = context.obj({ Fields: [context.register(name), context.register(agree)] });
+      doc.catalog.set(N('AcroForm'), acroForm);
+
+      const report = sanitizeObjects(doc, { formData: true });
+      expect(report.formFields).toBe(2);
+      expect(name.get(N('V'))).toBeUndefined();
+      expect(name.get(N('AP'))).toBeUndefined();
+      expect(agree.get(N('AS'))).toBe(N('Off'));
+      expect(agree.get(N('AP'))).toBeDefined();
+      expect(acroForm.get(N('NeedAppearances'))).toBe(true);
+    });
+
+    it('reports hidden layers and cleans up what they leave behind', () => {
+      const leftover = new PDFRef(99);
+      removeHiddenOptionalContent.mockReturnValueOnce({
+        layersRemoved: 2, contentRemoved: 5, annotationsRemoved: 0, detached: [leftover],
+      });
+      const report = sanitizeObjects(makeDoc());
+      expect(report.hiddenLayers).toBe(2);
+      expect(removeDetachedObjects.mock.calls[0][1]).toContain(leftover);
+    });
+
+    it('skips the passes that are turned off', () => {
+      const doc = makeDoc();
+      const { context } = doc;
+      context.trailerInfo.Info = context.register(context.obj({ Title: text('Plan') }));
+      const off = Object.fromEntries(SANITIZE_CATEGORIES.map(c => [c.option, false]));
+
+      const report = sanitizeObjects(doc, off);
+      expect(report.fieldsCount).toBe(0);
+      expect(context.trailerInfo.Info).toBeDefined();
+      expect(removeUnreachableObjects).not.toHaveBeenCalled();
+      expect(removeHiddenOptionalContent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,4 +1,15 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../js/pdf-crypto.js', () => ({
+  encryptDocument: vi.fn(() => Promise.resolve({ objectsEncrypted: 10 })),
+}));
+
+vi.mock('../js/sanitize.js', () => ({
+  sanitizeObjects: vi.fn(() => ({ fieldsCount: 0, xmpStreams: 0, javascript: 0 })),
+}));
+
+import { encryptDocument } from '../js/pdf-crypto.js';
+import { sanitizeObjects } from '../js/sanitize.js';
 import {
   encryptPDF, removeMetadata, getMetadata, setMetadata, sanitizeDocument,
 } from '../js/security.js';
@@ -63,6 +74,30 @@ describe('security.js', () => {
         },
       });
       expect(result).toBeInstanceOf(Uint8Array);
+      expect(encryptDocument).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        userPassword: 'pass',
+        permissions: { printing: false, copying: false, modifying: true },
+      }));
+    });
+
+    it('defaults to AES-256 and accepts AES-128', async () => {
+      await encryptPDF(fakePdfBytes, { userPassword: 'pass' });
+      expect(encryptDocument.mock.calls[0][1].algorithm).toBe('aes-256');
+      await encryptPDF(fakePdfBytes, { userPassword: 'pass', algorithm: 'aes-128' });
+      expect(encryptDocument.mock.calls[1][1].algorithm).toBe('aes-128');
+    });
+
+    it('saves without object streams or regenerated appearances', async () => {
+      const save = vi.fn(() => Promise.resolve(new Uint8Array([37, 80, 68, 70])));
+      window.PDFLib.PDFDocument.load.mockResolvedValueOnce({ save });
+      await encryptPDF(fakePdfBytes, { userPassword: 'pass' });
+      expect(save).toHaveBeenCalledWith({ useObjectStreams: false, updateFieldAppearances: false });
+    });
+
+    it('refuses to encrypt an already encrypted PDF', async () => {
+      window.PDFLib.PDFDocument.load.mockResolvedValueOnce({ isEncrypted: true });
+      await expect(encryptPDF(fakePdfBytes, { userPassword: 'pass' })).rejects.toThrow('already encrypted');
+      expect(encryptDocument).not.toHaveBeenCalled();
     });
   });
 
@@ -160,41 +195,29 @@ describe('security.js', () => {
       expect(report).toHaveProperty('fieldsCount');
     });
 
-    it('reports metadataRemoved as false when doc has no title/author', async () => {
+    it('reports metadataRemoved as false when no metadata was found', async () => {
       const { report } = await sanitizeDocument(fakePdfBytes);
-      // Mock returns '' for getTitle/getAuthor → falsy → metadataRemoved = false
+      // Mock passes removed no Info fields or XMP streams
       expect(report.metadataRemoved).toBe(false);
     });
 
-    it('reports metadataRemoved as true when doc has title', async () => {
-      // Override getTitle to return a non-empty string
-      const origLoad = window.PDFLib.PDFDocument.load;
-      window.PDFLib.PDFDocument.load = vi.fn(() => Promise.resolve({
-        getTitle: vi.fn(() => 'Existing Title'),
-        getAuthor: vi.fn(() => ''),
-        getSubject: vi.fn(() => ''),
-        getKeywords: vi.fn(() => ''),
-        getCreator: vi.fn(() => ''),
-        getProducer: vi.fn(() => ''),
-        getCreationDate: vi.fn(() => null),
-        getModificationDate: vi.fn(() => null),
-        getPageCount: vi.fn(() => 1),
-        setTitle: vi.fn(),
-        setAuthor: vi.fn(),
-        setSubject: vi.fn(),
-        setKeywords: vi.fn(),
-        setCreator: vi.fn(),
-        setProducer: vi.fn(),
-        setCreationDate: vi.fn(),
-        setModificationDate: vi.fn(),
-        save: vi.fn(() => Promise.resolve(new Uint8Array([37, 80, 68, 70]))),
-      }));
+    it('reports metadataRemoved as true when Info fields were removed', async () => {
+      sanitizeObjects.mockReturnValueOnce({ fieldsCount: 2, xmpStreams: 0 });
+      const { report } = await sanitizeDocument(fakePdfBytes);
+      expect(report.metadataRemoved).toBe(true);
+      expect(report.fieldsCount).toBe(2);
+    });
 
+    it('reports metadataRemoved as true when only XMP was removed', async () => {
+      sanitizeObjects.mockReturnValueOnce({ fieldsCount: 0, xmpStreams: 1 });
       const { report } = await sanitizeDocument(fakePdfBytes);
       expect(report.metadataRemoved).toBe(true);
+    });
 
-      // Restore
-      window.PDFLib.PDFDocument.load = origLoad;
+    it('passes the category options through and keeps the metadata stamp off', async () => {
+      await sanitizeDocument(fakePdfBytes, { comments: true, hiddenLayers: false });
+      expect(window.PDFLib.PDFDocument.load).toHaveBeenCalledWith(fakePdfBytes, expect.objectContaining({ updateMetadata: false }));
+      expect(sanitizeObjects).toHaveBeenCalledWith(expect.anything(), { comments: true, hiddenLayers: false });
     });
   });
 });
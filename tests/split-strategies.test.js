@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as PDFLib from 'pdf-lib';
+import {
+  planByRanges, planByBookmarks, planEveryN, planBySize, planBySeparators,
+  findKeywordPages, splitFileNames, safeFileName,
+} from '../js/split-strategies.js';
+import { createBookmark } from '../js/outline.js';
+import { resetPdfLib, measurePageSizes } from '../js/pdf-edit.js';
+
+/** Plan as [first, last] 1-based page pairs */
+function runs(plan) {
+  return plan.map(part => [part.pages[0] + 1, part.pages[part.pages.length - 1] + 1]);
+}
+
+describe('split-strategies.js', () => {
+  describe('planByRanges', () => {
+    it('labels ranges the way splitPDF does', () => {
+      const plan = planByRanges([[0, 1, 2], [4]]);
+      expect(plan.map(p => p.label)).toEqual(['pages-1-3', 'page-5']);
+    });
+  });
+
+  describe('planByBookmarks', () => {
+    it('cuts at each top-level bookmark and names parts by title', () => {
+      const chapter = createBookmark('Chapter 1: Facts', 2);
+      chapter.children.push(createBookmark('Nested', 3));
+      const plan = planByBookmarks([chapter, createBookmark('Exhibit A', 5)], 8);
+
+      expect(runs(plan)).toEqual([[1, 2], [3, 5], [6, 8]]);
+      expect(plan.map(p => p.label)).toEqual(['pages-1-2', '02_Chapter 1 Facts', '03_Exhibit A']);
+    });
+
+    it('sorts bookmarks by page and skips duplicates and dead links', () => {
+      const plan = planByBookmarks([
+        createBookmark('B', 2), createBookmark('A', 0), createBookmark('Also A', 0), createBookmark('Gone', null),
+      ], 4);
+      expect(runs(plan)).toEqual([[1, 2], [3, 4]]);
+      expect(plan.map(p => p.title)).toEqual(['A', 'B']);
+    });
+
+    it('returns no parts without bookmarks', () => {
+      expect(planByBookmarks([], 5)).toEqual([]);
+    });
+  });
+
+  describe('planEveryN', () => {
+    it('leaves the remainder in the last part', () => {
+      expect(runs(planEveryN(7, 3))).toEqual([[1, 3], [4, 6], [7, 7]]);
+    });
+
+    it('treats counts below one as one', () => {
+      expect(planEveryN(2, 0)).toHaveLength(2);
+    });
+  });
+
+  describe('planBySize', () => {
+    it('packs pages up to the limit', () => {
+      const plan = planBySize([40, 40, 30, 50, 10], 100);
+      expect(runs(plan)).toEqual([[1, 2], [3, 5]]);
+      expect(plan.map(p => p.bytes)).toEqual([80, 90]);
+    });
+
+    it('flags a page that is over the limit alone', () => {
+      const plan = planBySize([20, 150, 20], 100);
+      expect(runs(plan)).toEqual([[1, 1], [2, 2], [3, 3]]);
+      expect(plan.map(p => !!p.oversize)).toEqual([false, true, false]);
+    });
+  });
+
+  describe('planBySeparators', () => {
+    it('drops separator pages and never makes empty parts', () => {
+      expect(runs(planBySeparators([0, 3, 4, 7], 8))).toEqual([[2, 3], [6, 7]]);
+    });
+
+    it('keeps the whole document without separators', () => {
+      expect(runs(planBySeparators([], 3))).toEqual([[1, 3]]);
+    });
+  });
+
+  describe('findKeywordPages', () => {
+    it('matches regardless of case and spacing', () => {
+      const texts = ['Exhibit 1', '  slipsheet\n', 'Body text', 'SLIPSHEET   — Exhibit 2'];
+      expect(findKeywordPages(texts, 'SLIPSHEET')).toEqual([1, 3]);
+      expect(findKeywordPages(texts, 'exhibit  2')).toEqual([3]);
+    });
+
+    it('finds nothing for a blank keyword', () => {
+      expect(findKeywordPages(['a'], '  ')).toEqual([]);
+    });
+  });
+
+  describe('file names', () => {
+    it('joins the source name and part label', () => {
+      const names = splitFileNames('Brief.PDF', planEveryN(4, 2));
+      expect(names).toEqual(['Brief_pages-1-2.pdf', 'Brief_pages-3-4.pdf']);
+    });
+
+    it('strips characters file systems reject', () => {
+      expect(safeFileName('A/B: "C"?')).toBe('A B C');
+      expect(safeFileName('...hidden.')).toBe('hidden');
+    });
+  });
+
+  describe('measurePageSizes', () => {
+    let savedPDFLib;
+
+    beforeEach(() => {
+      savedPDFLib = window.PDFLib;
+      window.PDFLib = PDFLib;
+      resetPdfLib();
+    });
+
+    afterEach(() => {
+      window.PDFLib = savedPDFLib;
+    });
+
+    it('measures each page and the plan stays under the real size', async () => {
+      const doc = await PDFLib.PDFDocument.create();
+      const font = await doc.embedFont(PDFLib.StandardFonts.Helvetica);
+      for (let i = 0; i < 4; i++) {
+        doc.addPage().drawText('Page text '.repeat(20 * (i + 1)), { x: 20, y: 700, size: 8, font });
+      }
+      const bytes = await doc.save();
+
+      const progress = [];
+      const sizes = await measurePageSizes(bytes, (done, total) => progress.push([done, total]));
+      expect(sizes).toHaveLength(4);
+      expect(sizes[3]).toBeGreaterThan(sizes[0]);
+      expect(progress.at(-1)).toEqual([4, 4]);
+
+      const whole = planBySize(sizes, Infinity)[0];
+      expect(whole.bytes).toBeGreaterThanOrEqual(bytes.length);
+    });
+  });
+});
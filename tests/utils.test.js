@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parsePageRanges, formatFileSize } from '../js/utils.js';
+import { parsePageRanges, formatFileSize, formatDuration, createZip, createZipParts } from '../js/utils.js';
 
 /* ── parsePageRanges ── */
 
@@ -61,6 +61,15 @@ describe('parsePageRanges', () => {
     const result = parsePageRanges('10', 10);
     expect(result).toEqual([[9]]);
   });
+
+  it('resolves pages through a custom resolver, trying each dash as the separator', () => {
+    const pages = { 'A-1': 3, 'A-2': 4, 'A-12': 9, iii: 1, v: 3 };
+    const resolve = text => pages[text] ?? null;
+    expect(parsePageRanges('A-1–A-12', 10, resolve)).toEqual([[2, 3, 4, 5, 6, 7, 8]]);
+    expect(parsePageRanges('iii-v, A-2', 10, resolve)).toEqual([[0, 1, 2], [3]]);
+    expect(parsePageRanges('v-iii', 10, resolve)).toBeNull();
+    expect(parsePageRanges('A-3', 10, resolve)).toBeNull();
+  });
 });
 
 /* ── formatFileSize ── */
@@ -89,3 +98,83 @@ describe('formatFileSize', () => {
     expect(formatFileSize(2 * 1024 * 1024 * 1024)).toBe('2048.0 MB');
   });
 });
+
+/* ── formatDuration ── */
+
+describe('formatDuration', () => {
+  it('rounds to seconds, minutes or hours and minutes', () => {
+    expect(formatDuration(0.2)).toBe('1 s');
+    expect(formatDuration(42.4)).toBe('42 s');
+    expect(formatDuration(150)).toBe('3 min');
+    expect(formatDuration(2 * 3600 + 5 * 60)).toBe('2 h 5 min');
+  });
+});
+
+/* ── createZip ── */
+
+describe('createZip', () => {
+  const u32 = (bytes, at) => new DataView(bytes.buffer).getUint32(at, true);
+  const u16 = (bytes, at) => new DataView(bytes.buffer).getUint16(at, true);
+
+  it('stores entries with their CRC and a central directory', () => {
+    const zip = createZip([
+      { name: 'a.txt', bytes: 'abc' },
+      { name: 'b.pdf', bytes: new Uint8Array([1, 2, 3, 4]) },
+    ], new Date(2026, 0, 2, 3, 4, 6));
+
+    expect(u32(zip, 0)).toBe(0x04034B50);
+    expect(u32(zip, 14)).toBe(0x352441C2); // CRC-32 of "abc"
+    expect(u32(zip, 18)).toBe(3);
+    expect(new TextDecoder().decode(zip.slice(30, 35))).toBe('a.txt');
+    expect(u16(zip, 12)).toBe(((2026 - 1980) << 9) | (1 << 5) | 2);
+
+    const end = zip.length - 22;
+    expect(u32(zip, end)).toBe(0x06054B50);
+    expect(u16(zip, end + 10)).toBe(2);
+    const central = u32(zip, end + 16);
+    expect(u32(zip, central)).toBe(0x02014B50);
+    expect(u32(zip, central + 46 + 5 + 42)).toBe(30 + 5 + 3); // second entry offset
+  });
+
+  it('writes an empty archive', () => {
+    const zip = createZip([]);
+    expect(zip.length).toBe(22);
+    expect(u32(zip, 0)).toBe(0x06054B50);
+  });
+
+  it('refuses more entries than a zip can list', () => {
+    const entries = Array.from({ length: 65536 }, (_, i) => ({ name: `${i}.txt`, bytes: '' }));
+    expect(() => createZip(entries)).toThrow('more than 65,535 files');
+  });
+});
+
+/* ── createZipParts ── */
+
+describe('createZipParts', () => {
+  const entryCount = zip => new DataView(zip.buffer).getUint16(zip.length - 22 + 10, true);
+
+  it('starts a new archive when the next entry would not fit', () => {
+    const zips = [];
+    const parts = createZipParts((zip, n) => zips.push([n, entryCount(zip)]), 400);
+    for (let i = 0; i < 5; i++) parts.add({ name: `${i}.bin`, bytes: new Uint8Array(100) });
+
+    expect(parts.finish()).toBe(3);
+    expect(zips).toEqual([[1, 2], [2, 2], [3, 1]]);
+  });
+
+  it('gives an oversized entry an archive of its own', () => {
+    const zips = [];
+    const parts = createZipParts(zip => zips.push(entryCount(zip)), 300);
+    parts.add({ name: 'small.txt', bytes: 'a' });
+    parts.add({ name: 'big.bin', bytes: new Uint8Array(1000) });
+    parts.add({ name: 'small2.txt', bytes: 'b' });
+
+    expect(parts.finish()).toBe(3);
+    expect(zips).toEqual([1, 1, 1]);
+  });
+
+  it('writes nothing for no entries', () => {
+    const onZip = () => { throw new Error('unexpected'); };
+    expect(createZipParts(onZip).finish()).toBe(0);
+  });
+});